@@ -0,0 +1,414 @@
+/**
+ * 后端配置模块
+ *
+ * 功能描述:
+ * - 集中管理后端服务的所有配置参数
+ * - 按 默认值 → 配置文件 → 环境变量 的顺序合并，后者覆盖前者
+ * - 服务启动时读取一次，之后各模块通过 require('../config') 共享同一份配置
+ *
+ * 配置文件:
+ *   默认读取 backend/config/config.json（不存在则跳过）
+ *   可通过环境变量 CONFIG_FILE 指定其他路径
+ *   格式参考 backend/config/config.example.json
+ *
+ * 支持的环境变量:
+ *   DATA_SOURCE        数据源类型 (mock | mqtt | serial | http | websocket | database)
+ *   STORAGE_DIR        本地存储目录（历史数据等）
+ *   SCHEDULER_CATCH_UP 错过计划执行的补偿策略 (skip | once | all)
+ *   TELEOP_LEASE_TIMEOUT 运动租约超时（毫秒），超时未收到心跳自动停车
+ *   AUTH_ENABLED       是否启用登录认证 (true | false)
+ *   AUTH_SECRET        登录令牌签名密钥
+ *   AUTH_ADMIN_PASSWORD 首次启动时创建的管理员密码
+ *   DEFAULT_ROBOT_ID   默认机器人ID（旧版单机器人接口使用）
+ *   MQTT_BROKER        MQTT服务器地址
+ *   MQTT_USERNAME      MQTT用户名
+ *   MQTT_PASSWORD      MQTT密码
+ *   SERIAL_PORT        串口路径
+ *   SERIAL_BAUD_RATE   串口波特率
+ *   HTTP_BASE_URL      HTTP数据源地址
+ *   WS_URL             WebSocket数据源地址
+ *
+ * 文件路径: backend/config/index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ============================================================
+// 默认配置
+// ============================================================
+
+/**
+ * 默认配置
+ * 未提供配置文件和环境变量时使用这些值
+ */
+const DEFAULTS = {
+    // 机器人集群配置
+    fleet: {
+        // 默认机器人 - /api/robot/status 等旧版接口操作此机器人
+        defaultRobotId: 'robot-001',
+        // 是否自动登记数据源中出现的新机器人（否则忽略其数据）
+        autoRegister: true,
+        // 机器人登记数量上限（含配置中的机器人），达到后不再自动登记新机器人
+        maxRobots: 100,
+        // 超过此时间（毫秒）未收到数据视为离线
+        offlineTimeout: 10000,
+        // 在线状态检查间隔（毫秒），状态变化时推送 connection 事件
+        connectionCheckInterval: 1000,
+        // 预先登记的机器人列表
+        robots: [
+            { id: 'robot-001', name: '1号机器人' }
+        ]
+    },
+
+    // 实时推送配置
+    realtime: {
+        // WebSocket推送服务路径，与前端 API_CONFIG.WS_URL 对应
+        wsPath: '/ws',
+        // 心跳检测间隔（毫秒），超过一个间隔未响应的客户端会被断开
+        heartbeatInterval: 30000,
+        // SSE重放缓冲区大小（条），客户端带 Last-Event-ID 重连时补发缓冲区中的事件
+        sseReplaySize: 200,
+        // SSE保活注释发送间隔（毫秒），防止代理断开空闲连接
+        sseKeepAliveInterval: 15000
+    },
+
+    // 本地存储配置 - 历史数据等文件的存放目录（相对 backend 目录）
+    storage: {
+        dir: 'storage'
+    },
+
+    // 遥测历史配置
+    history: {
+        enabled: true,
+        // 同一机器人同类数据的最小记录间隔（毫秒），0 表示记录每个样本
+        sampleInterval: 0,
+        // 写盘间隔（毫秒），期间的样本先缓存在内存中
+        flushInterval: 1000,
+        // 保留天数，超过的日文件自动删除，0 表示永久保留
+        retentionDays: 90,
+        // 未指定 interval 时的默认分桶数量
+        defaultBuckets: 200,
+        // 单次查询允许的最大分桶数量
+        maxBuckets: 5000
+    },
+
+    // 任务调度配置 - 按计划自动启动任务
+    scheduler: {
+        enabled: true,
+        // 检查到期任务的间隔（毫秒）
+        checkInterval: 1000,
+        // 超过计划时间多久算作错过（毫秒），例如服务停机期间
+        misfireThreshold: 60000,
+        // 错过执行的补偿策略:
+        //   'skip' 跳过错过的执行（一次性任务直接取消）
+        //   'once' 立即补执行一次（默认）
+        //   'all'  每次错过的执行都补上，最多 maxCatchUpRuns 次
+        catchUp: 'once',
+        maxCatchUpRuns: 10
+    },
+
+    // 控制指令配置 - 每条指令带ID下发，机器人回复确认；每台机器人的指令按优先级排队下发
+    commands: {
+        // 等待机器人确认的超时（毫秒），超时未确认的指令记为 timeout
+        ackTimeout: 5000,
+        // 内存中保留的指令记录条数，超出后丢弃最早的记录
+        historySize: 1000,
+        // 每台机器人指令队列最多等待的条数，超出时新指令被拒绝（stop 除外）
+        queueSize: 50,
+        // 是否等到上一条指令确认（或超时）后再下发下一条；硬件不回复确认时保持 false
+        awaitAck: false
+    },
+
+    // 运动参数上限 - 方向指令的 speed / durationMs / distance / angle 不得超过
+    // 单台机器人可在 fleet.robots[].limits 中覆盖，如 { "id": "robot-002", "limits": { "maxSpeed": 0.8 } }
+    motion: {
+        limits: {
+            // 最大速度（米/秒）
+            maxSpeed: 2,
+            // 单条指令最长持续时间（毫秒）
+            maxDurationMs: 60000,
+            // 单条指令最大行驶距离（米）
+            maxDistance: 100,
+            // 单条指令最大转向角度（度）
+            maxAngle: 360
+        }
+    },
+
+    // 遥控运动租约配置（死人开关）
+    teleop: {
+        // 带租约的运动指令超过此时间（毫秒）未收到心跳，自动发送 stop
+        leaseTimeout: 1500,
+        // 看门狗检查间隔（毫秒）
+        checkInterval: 200,
+        // 自动停止失败后的首次重试间隔（毫秒），之后每次失败翻倍，最长 stopRetryMaxDelay
+        stopRetryDelay: 500,
+        stopRetryMaxDelay: 10000,
+        // 自动停止最多尝试次数，用尽后放弃并释放租约
+        maxStopAttempts: 10
+    },
+
+    // 航线任务配置 - 按 GPS 航点自主行驶
+    missions: {
+        // 距航点小于此距离（米）视为已到达
+        arrivalRadius: 3,
+        // 单个航线任务最多的航点数
+        maxWaypoints: 500
+    },
+
+    // 作业覆盖面积配置 - 按进行中作业任务的 GPS 轨迹计算地块的已完成面积
+    coverage: {
+        // 作业幅宽（米），可在 fleet.robots[].implementWidth 中为单台机器人覆盖
+        implementWidth: 2,
+        // 覆盖栅格边长（米），越小越精确，占用内存越多
+        cellSize: 0.5,
+        // 相邻两个轨迹点超过此距离（米）视为定位跳变，不计入覆盖
+        maxGap: 20,
+        // 覆盖数据写盘间隔（毫秒）
+        saveInterval: 10000
+    },
+
+    // 登录认证配置 - 用户保存在 storage/users.json，角色 viewer / operator / admin
+    auth: {
+        // 是否启用认证，关闭后所有接口无需登录（仅用于本机调试）
+        enabled: true,
+        // 令牌签名密钥，为空时自动生成并保存在用户文件中
+        secret: '',
+        // 令牌有效期（毫秒）
+        tokenTtl: 12 * 60 * 60 * 1000,
+        // 首次启动（没有任何用户）时创建的管理员，密码为空时随机生成并打印在控制台
+        initialAdmin: {
+            username: 'admin',
+            password: ''
+        }
+    },
+
+    // 审计日志配置 - 控制指令、任务变更和数据写入的操作记录，保存在 storage/audit
+    audit: {
+        enabled: true,
+        // 写盘间隔（毫秒），期间的记录先缓存在内存中
+        flushInterval: 1000,
+        // 保留天数，超过的日文件自动删除，0 表示永久保留
+        retentionDays: 365,
+        // 未指定 limit 时返回的记录条数
+        defaultLimit: 100,
+        // 单次查询（含 CSV 导出）最多返回的记录条数
+        maxLimit: 10000
+    },
+
+    // 告警配置 - 服务端按遥测数据评估告警规则，规则保存在 storage/alert-rules.json，告警保存在 storage/alerts.json
+    alerts: {
+        // 是否评估遥测告警规则（电量、温度、土壤湿度等，见 /api/alert-rules）；电子围栏越界告警不受影响
+        enabled: true,
+        // 保留的已恢复告警条数，超过时删除最早的
+        historyLimit: 5000,
+        // 历史查询未指定 limit 时返回的条数
+        defaultLimit: 100,
+        // 历史查询单次最多返回的条数
+        maxLimit: 1000,
+        // 规则测试最多回放的历史天数
+        testMaxDays: 7
+    },
+
+    // 告警通知配置 - 告警触发、恢复时推送到 webhook、邮件、钉钉、企业微信，投递记录保存在 storage/notifications.json
+    notifications: {
+        enabled: true,
+        // 通知渠道，格式见 data/notifiers/index.js，如:
+        // { name: 'ops', type: 'webhook', url: 'http://10.0.0.5/hook', levels: ['critical', 'warning'] }
+        // { name: 'email', type: 'smtp', host: 'smtp.example.com', port: 587, username, password, from, to: ['a@example.com'] }
+        // { name: 'dingtalk', type: 'dingtalk', url: 'https://oapi.dingtalk.com/robot/send?access_token=...', secret: 'SEC...' }
+        // { name: 'wecom', type: 'wecom', url: 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=...' }
+        channels: [],
+        // 静默时段（服务器本地时间），期间 levels 中级别的告警不通知，null 表示不启用；
+        // levels 默认为 ['warning', 'info']，严重告警只有明确列出时才静默
+        // 如 { start: '22:00', end: '07:00', levels: ['info', 'warning'] }
+        quietHours: null,
+        // 同一机器人、同一规则触发通知的最小间隔（秒），告警规则可用 throttleSeconds 单独设置
+        throttleSeconds: 600,
+        // 发送失败时的重试次数，第 n 次重试前等待 retryDelay * 2^(n-1) 毫秒
+        retries: 3,
+        retryDelay: 5000,
+        // 单次发送的超时（毫秒）
+        timeout: 10000,
+        // 保留的投递记录条数，超过时删除最早的
+        historyLimit: 5000
+    },
+
+    // 数据源配置 - 原 dataSource.js 中的 CONFIG
+    dataSource: {
+        // 数据源类型: 'mock' | 'serial' | 'mqtt' | 'http' | 'websocket' | 'database'
+        type: 'mqtt',
+
+        // 模拟数据配置 (type: 'mock')
+        mock: {
+            pushInterval: 1000          // 模拟硬件推送间隔（毫秒），0 表示不推送
+        },
+
+        // 串口配置 (type: 'serial')
+        serial: {
+            port: '/dev/ttyUSB0',       // Windows: 'COM3', Linux: '/dev/ttyUSB0'
+            baudRate: 9600
+        },
+
+        // MQTT配置 (type: 'mqtt')
+        mqtt: {
+            broker: 'mqtt://localhost:1883',    // MQTT服务器地址
+            clientId: 'robot-backend-server',   // 客户端ID
+            username: '',                        // 用户名（可选）
+            password: '',                        // 密码（可选）
+            // 主题模板，{robotId} 替换为机器人ID，订阅时替换为通配符 +
+            topics: {
+                status: 'robot/{robotId}/status',          // 机器人状态（硬件推送）
+                sensors: 'robot/{robotId}/sensors',        // 传感器数据（硬件推送）
+                tasks: 'robot/{robotId}/tasks',            // 任务列表（硬件推送）
+                statistics: 'robot/{robotId}/statistics', // 作业统计（硬件推送）
+                progress: 'robot/{robotId}/progress',     // 任务作业进度反馈（硬件推送）
+                control: 'robot/{robotId}/control',        // 控制指令（服务器发送）
+                ack: 'robot/{robotId}/control/ack',        // 控制指令确认（硬件推送）
+                estop: 'robot/{robotId}/estop'             // 急停（服务器发送，保留消息）
+            }
+        },
+
+        // HTTP API配置 (type: 'http')
+        // 端点中的 {robotId} 替换为机器人ID
+        http: {
+            baseUrl: 'http://192.168.1.100:8080',
+            endpoints: {
+                status: '/api/robots/{robotId}/status',
+                sensors: '/api/robots/{robotId}/sensors',
+                tasks: '/api/robots/{robotId}/tasks',
+                statistics: '/api/robots/{robotId}/statistics',
+                control: '/api/robots/{robotId}/control'
+            },
+            timeout: 5000
+        },
+
+        // WebSocket配置 (type: 'websocket')
+        websocket: {
+            url: 'ws://192.168.1.100:8080/ws'
+        },
+
+        // 数据库配置 (type: 'database')
+        database: {
+            type: 'mysql',              // 'mysql' | 'mongodb'
+            host: 'localhost',
+            port: 3306,
+            user: 'root',
+            password: '',
+            database: 'robot_db'
+        }
+    }
+};
+
+/**
+ * 环境变量映射表
+ * [环境变量名, 配置路径, 类型转换函数]
+ */
+const ENV_OVERRIDES = [
+    ['DEFAULT_ROBOT_ID', 'fleet.defaultRobotId', String],
+    ['DATA_SOURCE', 'dataSource.type', String],
+    ['STORAGE_DIR', 'storage.dir', String],
+    ['SCHEDULER_CATCH_UP', 'scheduler.catchUp', String],
+    ['TELEOP_LEASE_TIMEOUT', 'teleop.leaseTimeout', Number],
+    ['AUTH_ENABLED', 'auth.enabled', value => value !== 'false'],
+    ['AUTH_SECRET', 'auth.secret', String],
+    ['AUTH_ADMIN_PASSWORD', 'auth.initialAdmin.password', String],
+    ['MQTT_BROKER', 'dataSource.mqtt.broker', String],
+    ['MQTT_USERNAME', 'dataSource.mqtt.username', String],
+    ['MQTT_PASSWORD', 'dataSource.mqtt.password', String],
+    ['SERIAL_PORT', 'dataSource.serial.port', String],
+    ['SERIAL_BAUD_RATE', 'dataSource.serial.baudRate', Number],
+    ['HTTP_BASE_URL', 'dataSource.http.baseUrl', String],
+    ['WS_URL', 'dataSource.websocket.url', String]
+];
+
+// ============================================================
+// 工具函数
+// ============================================================
+
+/**
+ * 判断是否为普通对象
+ * @param {*} value - 要判断的值
+ * @returns {boolean} 是否为普通对象
+ */
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * 深度合并配置对象
+ * @param {Object} target - 基础配置
+ * @param {Object} source - 覆盖配置
+ * @returns {Object} 合并后的新对象（不修改参数）
+ */
+function deepMerge(target, source) {
+    const result = { ...target };
+
+    Object.entries(source || {}).forEach(([key, value]) => {
+        result[key] = isPlainObject(value) && isPlainObject(target[key])
+            ? deepMerge(target[key], value)
+            : value;
+    });
+
+    return result;
+}
+
+/**
+ * 按点分路径设置对象属性
+ * @param {Object} obj - 目标对象
+ * @param {string} keyPath - 属性路径，如 'dataSource.mqtt.broker'
+ * @param {*} value - 要设置的值
+ */
+function setByPath(obj, keyPath, value) {
+    const keys = keyPath.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => node[key], obj);
+    parent[last] = value;
+}
+
+/**
+ * 读取配置文件
+ * @returns {Object} 配置文件内容，文件不存在时返回空对象
+ */
+function loadConfigFile() {
+    const filePath = process.env.CONFIG_FILE
+        ? path.resolve(process.env.CONFIG_FILE)
+        : path.join(__dirname, 'config.json');
+
+    if (!fs.existsSync(filePath)) {
+        // 显式指定的配置文件不存在时给出提示
+        if (process.env.CONFIG_FILE) {
+            console.warn('[Config] 配置文件不存在:', filePath);
+        }
+        return {};
+    }
+
+    try {
+        const content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        console.log('[Config] 已加载配置文件:', filePath);
+        return content;
+    } catch (error) {
+        // 配置文件格式错误时直接退出，避免以错误配置运行
+        throw new Error(`配置文件解析失败 (${filePath}): ${error.message}`);
+    }
+}
+
+/**
+ * 生成最终配置
+ * @returns {Object} 合并后的配置对象
+ */
+function loadConfig() {
+    const config = deepMerge(DEFAULTS, loadConfigFile());
+
+    ENV_OVERRIDES.forEach(([envName, keyPath, parse]) => {
+        if (process.env[envName] !== undefined && process.env[envName] !== '') {
+            setByPath(config, keyPath, parse(process.env[envName]));
+        }
+    });
+
+    return config;
+}
+
+// ============================================================
+// 模块导出
+// ============================================================
+
+module.exports = loadConfig();
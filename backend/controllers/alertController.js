@@ -0,0 +1,156 @@
+/**
+ * 告警控制器模块
+ *
+ * 功能描述:
+ * - 查询未恢复的告警、确认告警、查询告警历史、查询告警的通知投递状态
+ * - 告警规则的评估、告警的生命周期见 data/alerts.js
+ *
+ * 使用示例:
+ *   curl "http://localhost:3000/api/alerts?level=critical" -H "Authorization: Bearer <token>"
+ *   curl -X POST http://localhost:3000/api/alerts/12/ack -H "Authorization: Bearer <token>"
+ *   curl "http://localhost:3000/api/alerts/history?robotId=robot-001&from=2026-01-30" -H "Authorization: Bearer <token>"
+ *   curl http://localhost:3000/api/alerts/12/notifications -H "Authorization: Bearer <token>"
+ *
+ * 文件路径: backend/controllers/alertController.js
+ */
+
+// 告警与告警通知
+const alerts = require('../data/alerts');
+const notifications = require('../data/notifications');
+
+// 统一响应格式工具
+const { sendSuccess, sendError, asyncHandler, actorOf } = require('./response');
+
+// ============================================================
+// 告警接口
+// ============================================================
+
+/**
+ * 查询未恢复的告警
+ * 请求方式: GET
+ * 路径: /api/alerts
+ *
+ * 查询参数 (可选):
+ *   robotId - 只返回该机器人的告警
+ *   type    - telemetry | geofence
+ *   level   - critical | warning | info
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [                              // 最新触发的在前
+ *     {
+ *       id: number,
+ *       key: string,                     // 告警键，如告警规则 rule-1、电子围栏 geofence-1
+ *       type: 'telemetry' | 'geofence',
+ *       level: 'critical' | 'warning' | 'info',
+ *       state: 'raised' | 'acknowledged',
+ *       message: string,
+ *       robotId: string,
+ *       ...                              // 遥测告警: rule, field, kind, condition, threshold, value
+ *                                        // 越界告警: geofenceId, geofenceIds, coordinates
+ *       raisedAt: number,
+ *       acknowledgedAt: number | null,
+ *       acknowledgedBy: string | null,
+ *       resolvedAt: null,
+ *       resolveReason: null
+ *     }
+ *   ],
+ *   timestamp: number
+ * }
+ *
+ * 参数无效时返回400，机器人不存在时返回404
+ */
+exports.listAlerts = asyncHandler(async (req, res) => {
+    const result = await alerts.listActive(req.query);
+
+    sendSuccess(res, result);
+});
+
+/**
+ * 查询告警历史
+ * 请求方式: GET
+ * 路径: /api/alerts/history
+ *
+ * 查询参数 (可选):
+ *   robotId、type、level - 同 listAlerts
+ *   state  - raised | acknowledged | resolved
+ *   from   - 触发时间的起点，毫秒时间戳或 ISO 时间，默认 to 之前7天
+ *   to     - 触发时间的终点，默认当前时间
+ *   limit  - 最多返回条数，默认 100，上限见 config.alerts.maxLimit
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [...],                 // 告警，格式同 listAlerts，最新触发的在前，含已恢复的告警
+ *   from: number,
+ *   to: number,
+ *   truncated: boolean,          // 为 true 表示范围内还有更早的告警
+ *   timestamp: number
+ * }
+ *
+ * 参数无效时返回400，机器人不存在时返回404
+ */
+exports.getAlertHistory = asyncHandler(async (req, res) => {
+    const options = alerts.parseHistoryQuery(req.query);
+
+    const { alerts: result, truncated } = await alerts.history(options);
+    sendSuccess(res, result, { from: options.from, to: options.to, truncated });
+});
+
+/**
+ * 确认告警
+ * 请求方式: POST
+ * 路径: /api/alerts/:id/ack
+ *
+ * 确认后告警保持未恢复，直到条件消失；确认人为当前用户
+ *
+ * 返回数据结构: data 为确认后的告警
+ * 告警不存在时返回404，已确认或已恢复时返回409
+ */
+exports.acknowledgeAlert = asyncHandler(async (req, res) => {
+    const alertId = parseInt(req.params.id);
+    if (isNaN(alertId)) {
+        return sendError(res, '无效的告警ID', 400);
+    }
+
+    const result = await alerts.acknowledge(alertId, actorOf(req));
+
+    if (!result) {
+        return sendError(res, `告警 #${alertId} 不存在`, 404);
+    }
+
+    sendSuccess(res, result, { message: `告警 #${alertId} 已确认` });
+});
+
+/**
+ * 查询告警的通知投递状态
+ * 请求方式: GET
+ * 路径: /api/alerts/:id/notifications
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: {
+ *     alertId: number,
+ *     state: 'raised' | 'acknowledged' | 'resolved',   // 告警当前状态
+ *     deliveries: [ ... ]                                // 按时间升序，格式见 GET /api/notifications
+ *   },
+ *   timestamp: number
+ * }
+ *
+ * 告警不存在时返回404
+ */
+exports.getAlertNotifications = asyncHandler(async (req, res) => {
+    const alertId = parseInt(req.params.id);
+    if (isNaN(alertId)) {
+        return sendError(res, '无效的告警ID', 400);
+    }
+
+    const result = await notifications.forAlert(alertId);
+    if (!result) {
+        return sendError(res, `告警 #${alertId} 不存在`, 404);
+    }
+
+    sendSuccess(res, result);
+});
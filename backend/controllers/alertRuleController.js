@@ -0,0 +1,237 @@
+/**
+ * 告警规则控制器模块
+ *
+ * 功能描述:
+ * - 遥测告警规则的增删改查
+ * - 用记录的历史数据回放规则，预览会产生的告警
+ * - 规则的评估见 data/alertRules.js，告警的查询和确认见 controllers/alertController.js
+ *
+ * 使用示例:
+ *   curl -X POST http://localhost:3000/api/alert-rules \
+ *        -H "Content-Type: application/json" -H "Authorization: Bearer <token>" \
+ *        -d '{"name":"土壤湿度过低","field":"soilHumidity","condition":"below","threshold":30,"clearThreshold":35,"sustainSeconds":60}'
+ *   curl -X POST http://localhost:3000/api/alert-rules/3/test \
+ *        -H "Content-Type: application/json" -H "Authorization: Bearer <token>" \
+ *        -d '{"robotId":"robot-001","from":"2026-01-30T00:00:00Z"}'
+ *
+ * 文件路径: backend/controllers/alertRuleController.js
+ */
+
+// 告警规则仓库与评估
+const ruleRepository = require('../data/alertRuleRepository');
+const alertRules = require('../data/alertRules');
+
+// 统一响应格式工具
+const { sendSuccess, sendError, asyncHandler } = require('./response');
+
+/**
+ * 解析路径中的规则ID
+ * @param {Object} req - 请求对象
+ * @returns {number} 规则ID，无效时为 NaN
+ */
+const ruleIdOf = req => parseInt(req.params.id);
+
+// ============================================================
+// 告警规则接口
+// ============================================================
+
+/**
+ * 查询告警规则列表
+ * 请求方式: GET
+ * 路径: /api/alert-rules
+ *
+ * 查询参数 (可选):
+ *   robotId - 只返回适用于该机器人的规则
+ *   field   - 只返回监测该字段的规则
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       id: number,
+ *       name: string,                   // 告警信息中的名称，如 '土壤湿度过低'
+ *       field: string,                  // battery | speed | temperature | soilHumidity | soilTemp | light | airHumidity
+ *       kind: 'threshold' | 'rate',     // 按当前值 / 按每分钟变化率判断
+ *       condition: 'below' | 'above',
+ *       threshold: number,              // 触发阈值
+ *       clearThreshold: number | null,  // 恢复阈值，null 表示与触发阈值相同
+ *       sustainSeconds: number,         // 条件持续多少秒才触发
+ *       windowSeconds: number | null,   // rate 规则的计算窗口（秒）
+ *       throttleSeconds: number | null, // 告警通知限流间隔（秒），null 取 config.notifications.throttleSeconds
+ *       level: 'critical' | 'warning' | 'info',
+ *       robotIds: string[] | null,      // 适用的机器人，null 为全部
+ *       zoneId: number | null,          // 只在该地块内评估，null 为不限
+ *       enabled: boolean,
+ *       createdAt: number,
+ *       updatedAt: number
+ *     }
+ *   ],
+ *   timestamp: number
+ * }
+ *
+ * 参数无效时返回400，机器人不存在时返回404
+ */
+exports.listAlertRules = asyncHandler(async (req, res) => {
+    const result = await alertRules.list(req.query);
+
+    sendSuccess(res, result);
+});
+
+/**
+ * 查询单条告警规则
+ * 请求方式: GET
+ * 路径: /api/alert-rules/:id
+ *
+ * 返回数据结构: 同 listAlertRules 中的一项，规则不存在时返回404
+ */
+exports.getAlertRule = asyncHandler(async (req, res) => {
+    const ruleId = ruleIdOf(req);
+    if (isNaN(ruleId)) {
+        return sendError(res, '无效的告警规则ID', 400);
+    }
+
+    const result = await ruleRepository.get(ruleId);
+    if (!result) {
+        return sendError(res, `告警规则 #${ruleId} 不存在`, 404);
+    }
+
+    sendSuccess(res, result);
+});
+
+/**
+ * 创建告警规则
+ * 请求方式: POST
+ * 路径: /api/alert-rules
+ *
+ * 请求体格式:
+ * {
+ *   name: string,                   // 必填
+ *   field: string,                  // 必填，监测字段
+ *   condition: 'below' | 'above',   // 必填
+ *   threshold: number,              // 必填，触发阈值；rate 规则为每分钟变化量，下降用负数
+ *   kind?: 'threshold' | 'rate',    // 默认 threshold
+ *   clearThreshold?: number | null, // 恢复阈值，below 规则不能低于、above 规则不能高于触发阈值，默认 null
+ *   sustainSeconds?: number,        // 0-86400，默认 0
+ *   windowSeconds?: number | null,  // 仅 rate 规则，10-3600，默认 60
+ *   throttleSeconds?: number | null, // 0-86400，同一机器人两次告警通知的最小间隔，0 为不限流，默认 null
+ *   level?: 'critical' | 'warning' | 'info', // 默认 warning
+ *   robotIds?: string[] | null,     // 默认 null（全部）
+ *   zoneId?: number | null,         // 默认 null（不限地块）
+ *   enabled?: boolean               // 默认 true
+ * }
+ *
+ * 返回数据结构: 同 getAlertRule
+ * 字段无效时返回400，信息以字段名开头
+ */
+exports.createAlertRule = asyncHandler(async (req, res) => {
+    const result = await alertRules.create(req.body || {});
+
+    sendSuccess(res, result, { message: `告警规则 #${result.id} 已创建` });
+});
+
+/**
+ * 修改告警规则
+ * 请求方式: PUT
+ * 路径: /api/alert-rules/:id
+ *
+ * 请求体格式: 同 createAlertRule，字段均可选
+ * 停用规则或修改 field、kind、condition 时该规则的告警随之恢复，
+ * 其他修改在机器人下一次数据更新时按新规则评估
+ *
+ * 返回数据结构: 同 getAlertRule，规则不存在时返回404
+ */
+exports.updateAlertRule = asyncHandler(async (req, res) => {
+    const ruleId = ruleIdOf(req);
+    if (isNaN(ruleId)) {
+        return sendError(res, '无效的告警规则ID', 400);
+    }
+
+    const result = await alertRules.update(ruleId, req.body || {});
+
+    if (!result) {
+        return sendError(res, `告警规则 #${ruleId} 不存在`, 404);
+    }
+
+    sendSuccess(res, result, { message: `告警规则 #${ruleId} 已更新` });
+});
+
+/**
+ * 删除告警规则
+ * 请求方式: DELETE
+ * 路径: /api/alert-rules/:id
+ *
+ * 该规则的告警随之恢复；规则不存在时返回404
+ */
+exports.deleteAlertRule = asyncHandler(async (req, res) => {
+    const ruleId = ruleIdOf(req);
+    if (isNaN(ruleId)) {
+        return sendError(res, '无效的告警规则ID', 400);
+    }
+
+    const deleted = await alertRules.remove(ruleId);
+    if (!deleted) {
+        return sendError(res, `告警规则 #${ruleId} 不存在`, 404);
+    }
+
+    sendSuccess(res, null, { message: `告警规则 #${ruleId} 已删除` });
+});
+
+// ============================================================
+// 规则测试
+// ============================================================
+
+/**
+ * 用历史数据测试告警规则
+ * 请求方式: POST
+ * 路径: /api/alert-rules/test（测试未保存的规则），/api/alert-rules/:id/test（测试已保存的规则）
+ *
+ * 请求体格式:
+ * {
+ *   robotId: string,          // 必填，回放该机器人的历史数据
+ *   from?: number | string,   // 毫秒时间戳或 ISO 时间，默认 to 之前24小时
+ *   to?: number | string,     // 默认当前时间，范围不超过 config.alerts.testMaxDays 天
+ *   rule?: Object             // 仅 /api/alert-rules/test，必填，格式同 createAlertRule
+ * }
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: {
+ *     robotId: string,
+ *     from: number,
+ *     to: number,
+ *     samples: number,          // 回放的样本数
+ *     raised: number,           // 会触发的告警数
+ *     alerts: [                 // 按触发时间升序，最多 config.alerts.maxLimit 条
+ *       { raisedAt, value, resolvedAt, resolvedValue, resolveReason }   // 未恢复的 resolvedAt 为 null
+ *     ],
+ *     truncated: boolean,       // 为 true 表示 alerts 只包含前面一部分
+ *     activeAtEnd: boolean      // 回放结束时是否仍在告警
+ *   },
+ *   timestamp: number
+ * }
+ *
+ * 参数无效时返回400，机器人不存在时返回404，规则不存在时返回404
+ */
+exports.testAlertRule = asyncHandler(async (req, res) => {
+    const body = req.body || {};
+
+    let rule;
+    if (req.params.id === undefined) {
+        rule = await alertRules.parseDraft(body.rule);
+    } else {
+        const ruleId = ruleIdOf(req);
+        if (isNaN(ruleId)) {
+            return sendError(res, '无效的告警规则ID', 400);
+        }
+        rule = await ruleRepository.get(ruleId);
+        if (!rule) {
+            return sendError(res, `告警规则 #${ruleId} 不存在`, 404);
+        }
+    }
+
+    const result = await alertRules.test(rule, alertRules.parseTestQuery(body));
+
+    sendSuccess(res, result);
+});
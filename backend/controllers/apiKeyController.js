@@ -0,0 +1,108 @@
+/**
+ * 设备 API Key 控制器模块
+ *
+ * 功能描述:
+ * - 管理员创建、查询、吊销田间网关等设备使用的 API Key
+ * - 设备请求的 API Key 校验见 controllers/authController.js 的 authenticate，密钥生成与范围校验见 data/apiKeys.js
+ *
+ * 使用示例:
+ *   curl -X POST http://localhost:3000/api/api-keys \
+ *        -H "Authorization: Bearer <token>" -H "Content-Type: application/json" \
+ *        -d '{"name":"东区田间网关","scopes":["status","sensors"],"robots":["robot-001"]}'
+ *   curl -X POST http://localhost:3000/api/sensors \
+ *        -H "X-API-Key: ak_Jx3f9Q..." -H "Content-Type: application/json" \
+ *        -d '{"soilHumidity":55}'
+ *
+ * 文件路径: backend/controllers/apiKeyController.js
+ */
+
+// 设备 API Key
+const apiKeys = require('../data/apiKeys');
+
+// 统一响应格式工具
+const { sendSuccess, sendError, asyncHandler, actorOf } = require('./response');
+
+/**
+ * 解析路径中的 API Key ID
+ * @param {Object} req - 请求对象
+ * @returns {number} API Key ID，无效时为 NaN
+ */
+const keyIdOf = req => parseInt(req.params.id);
+
+// ============================================================
+// API Key 接口（管理员）
+// ============================================================
+
+/**
+ * 查询 API Key 列表
+ * 请求方式: GET
+ * 路径: /api/api-keys
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       id: number,
+ *       name: string,
+ *       prefix: string,               // 密钥前缀，如 ak_Jx3f9Q，用于识别；不返回完整密钥
+ *       scopes: string[],             // status / sensors / statistics / progress
+ *       robots: string[],             // 可写入的机器人，["*"] 为全部
+ *       createdBy: string,
+ *       createdAt: number,
+ *       revokedBy: string | null,
+ *       revokedAt: number | null,     // 不为 null 表示已吊销
+ *       lastUsedAt: number | null,    // 最近使用时间
+ *       lastUsedIp: string | null     // 最近使用的来源地址
+ *     }
+ *   ],
+ *   scopes: { status: string, ... },  // 可选的权限范围及说明
+ *   timestamp: number
+ * }
+ */
+exports.listApiKeys = asyncHandler(async (req, res) => {
+    sendSuccess(res, await apiKeys.listKeys(), { scopes: apiKeys.SCOPES });
+});
+
+/**
+ * 创建 API Key
+ * 请求方式: POST
+ * 路径: /api/api-keys
+ *
+ * 请求体格式:
+ * {
+ *   name: string,                 // 必填，1-50 个字符，如网关名称
+ *   scopes: string[],             // 必填，可写入的数据上报接口: status / sensors / statistics / progress
+ *   robots: string[]              // 必填，可写入的机器人ID，["*"] 为全部
+ * }
+ *
+ * 返回数据结构: 同 listApiKeys 中的一项，另含 key（完整密钥，只返回这一次，请妥善保存）
+ * 字段无效时返回400
+ */
+exports.createApiKey = asyncHandler(async (req, res) => {
+    const result = await apiKeys.createKey(req.body || {}, actorOf(req));
+
+    sendSuccess(res, result, { message: `API Key ${result.name} 已创建，密钥只显示这一次` });
+});
+
+/**
+ * 吊销 API Key
+ * 请求方式: POST
+ * 路径: /api/api-keys/:id/revoke
+ *
+ * 吊销后立即失效，记录保留；不存在时返回404，已吊销时返回409
+ */
+exports.revokeApiKey = asyncHandler(async (req, res) => {
+    const keyId = keyIdOf(req);
+    if (isNaN(keyId)) {
+        return sendError(res, '无效的 API Key ID', 400);
+    }
+
+    const result = await apiKeys.revokeKey(keyId, actorOf(req));
+
+    if (!result) {
+        return sendError(res, `API Key #${keyId} 不存在`, 404);
+    }
+
+    sendSuccess(res, result, { message: `API Key ${result.name} 已吊销` });
+});
@@ -0,0 +1,164 @@
+/**
+ * 审计日志控制器模块
+ *
+ * 功能描述:
+ * - audit(action) 中间件: 挂在需要审计的路由上，在响应完成后记录操作人、来源地址、请求内容和结果
+ * - 查询审计日志，支持按操作人、操作类型、机器人、时间范围过滤，以及 CSV 导出
+ * - 存储与查询见 data/audit.js；WebSocket 控制指令在 realtime/wsServer.js 中记录
+ *
+ * 使用示例:
+ *   router.post('/robot/control', resolveRobot, audit('control.command'), requireRole('operator'), handler);
+ *   curl "http://localhost:3000/api/audit?actor=zhangsan&action=task&from=2026-01-30" -H "Authorization: Bearer <token>"
+ *   curl "http://localhost:3000/api/audit?format=csv" -H "Authorization: Bearer <token>" -o audit.csv
+ *
+ * 文件路径: backend/controllers/auditController.js
+ */
+
+// 审计日志
+const audit = require('../data/audit');
+
+// 统一响应格式工具
+const { sendSuccess, sendError, asyncHandler, actorOf } = require('./response');
+
+/**
+ * CSV 导出的列: [列名, 取值函数]
+ */
+const CSV_COLUMNS = [
+    ['time', entry => new Date(entry.t).toISOString()],
+    ['actor', entry => entry.actor],
+    ['ip', entry => entry.ip],
+    ['source', entry => entry.source],
+    ['action', entry => entry.action],
+    ['robotId', entry => entry.robotId],
+    ['request', entry => entry.request],
+    ['payload', entry => (entry.payload === null ? '' : JSON.stringify(entry.payload))],
+    ['success', entry => entry.outcome.success],
+    ['status', entry => entry.outcome.status],
+    ['message', entry => entry.outcome.message]
+];
+
+/**
+ * CSV 字段转义 - 含逗号、引号、换行时加引号，引号加倍
+ * @param {*} value - 字段值
+ * @returns {string}
+ */
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * 生成 CSV 文本
+ * 开头带 UTF-8 BOM，Excel 打开时中文不乱码
+ * @param {Array} entries - 审计记录
+ * @returns {string}
+ */
+const toCsv = (entries) => {
+    const lines = [CSV_COLUMNS.map(([name]) => name).join(',')];
+    entries.forEach((entry) => {
+        lines.push(CSV_COLUMNS.map(([, valueOf]) => csvField(valueOf(entry))).join(','));
+    });
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+};
+
+// ============================================================
+// 审计中间件
+// ============================================================
+
+/**
+ * 生成审计中间件
+ * 放在 resolveRobot 之后、角色校验之前，权限不足被拒绝的请求也会记录
+ * @param {string} action - 操作类型，见 data/audit.js 的 ACTIONS
+ * @returns {Function} Express中间件
+ */
+exports.audit = action => (req, res, next) => {
+    // 记下响应体，取出结果说明
+    let body = null;
+    const json = res.json;
+    res.json = function (value) {
+        body = value;
+        return json.call(this, value);
+    };
+
+    res.on('finish', () => {
+        audit.record({
+            actor: actorOf(req),
+            ip: req.ip,
+            source: 'http',
+            action,
+            robotId: req.robotId,
+            request: `${req.method} ${req.originalUrl.split('?')[0]}`,
+            payload: req.body && Object.keys(req.body).length > 0 ? req.body : null,
+            outcome: {
+                success: res.statusCode < 400,
+                status: res.statusCode,
+                message: body && body.message ? body.message : null
+            }
+        });
+    });
+
+    next();
+};
+
+// ============================================================
+// 审计日志接口
+// ============================================================
+
+/**
+ * 查询审计日志
+ * 请求方式: GET
+ * 路径: /api/audit
+ *
+ * 查询参数:
+ *   actor?: 操作人，如 zhangsan、api-key:东区田间网关
+ *   action?: 逗号分隔的操作类型，可用前缀匹配同类操作，如 task、control.command
+ *   robotId?: 目标机器人
+ *   from?: 开始时间，毫秒时间戳或 ISO 时间，默认 to 之前7天
+ *   to?: 结束时间，默认当前时间
+ *   limit?: 最多返回条数，默认 100，上限见 config.audit.maxLimit
+ *   format?: csv 时以 CSV 文件下载
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [                       // 按时间倒序
+ *     {
+ *       t: number,                // 操作时间
+ *       actor: string,            // 操作人
+ *       ip: string | null,        // 来源地址
+ *       source: 'http' | 'websocket',
+ *       action: string,           // 操作类型
+ *       robotId: string | null,
+ *       request: string,          // 如 POST /api/robot/control
+ *       payload: Object | null,   // 请求内容
+ *       outcome: { success: boolean, status: number | null, message: string | null }
+ *     }
+ *   ],
+ *   from: number,
+ *   to: number,
+ *   truncated: boolean,           // 为 true 表示范围内还有更早的记录，可缩小 to 继续查询
+ *   actions: { 'control.command': string, ... },
+ *   timestamp: number
+ * }
+ *
+ * 参数无效时返回400
+ */
+exports.listAudit = asyncHandler(async (req, res) => {
+    let options;
+    try {
+        options = audit.parseQuery(req.query);
+    } catch (error) {
+        return sendError(res, error.message, 400);
+    }
+
+    const { entries, truncated } = await audit.query(options);
+
+    if (req.query.format === 'csv') {
+        const name = `audit-${new Date(options.from).toISOString().slice(0, 10)}-${new Date(options.to).toISOString().slice(0, 10)}.csv`;
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.set('Content-Disposition', `attachment; filename="${name}"`);
+        return res.send(toCsv(entries));
+    }
+
+    sendSuccess(res, entries, { from: options.from, to: options.to, truncated, actions: audit.ACTIONS });
+});
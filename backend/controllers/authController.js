@@ -0,0 +1,293 @@
+/**
+ * 登录认证控制器模块
+ *
+ * 功能描述:
+ * - 登录、查询当前用户、修改自己的密码
+ * - 管理员管理用户（增删改查）
+ * - 提供认证中间件 authenticate 和角色中间件 requireRole / requireRoleOrApiKey，供 server.js 和各路由模块使用
+ * - 设备请求带 X-API-Key 请求头，只能访问数据上报接口 (INGEST_ROUTES)，超出 API Key 范围返回403
+ * - 密码哈希、令牌签发与校验见 data/auth.js，API Key 见 data/apiKeys.js
+ *
+ * 使用示例:
+ *   curl -X POST http://localhost:3000/api/auth/login \
+ *        -H "Content-Type: application/json" \
+ *        -d '{"username":"admin","password":"********"}'
+ *   curl http://localhost:3000/api/robot/status -H "Authorization: Bearer <token>"
+ *
+ * 文件路径: backend/controllers/authController.js
+ */
+
+// 登录认证、设备 API Key
+const auth = require('../data/auth');
+const apiKeys = require('../data/apiKeys');
+const fleet = require('../data/fleet');
+
+// 统一响应格式工具
+const { sendSuccess, sendError, asyncHandler } = require('./response');
+
+/**
+ * 无需登录的路径（相对 /api）
+ */
+const PUBLIC_PATHS = ['/health', '/auth/login'];
+
+/**
+ * API Key 可以访问的数据上报接口（POST，路径相对 /api）-> 权限范围
+ * 与 routes/robot.js 中的路径一致；捕获组为机器人ID，旧版路径为默认机器人
+ */
+const INGEST_ROUTES = [
+    { pattern: /^\/(?:robot\/status|robots\/([^/]+)\/status)$/, scope: 'status' },
+    { pattern: /^\/(?:sensors|robots\/([^/]+)\/sensors)$/, scope: 'sensors' },
+    { pattern: /^\/(?:statistics|robots\/([^/]+)\/statistics)$/, scope: 'statistics' },
+    { pattern: /^\/(?:tasks\/\d+\/progress|robots\/([^/]+)\/tasks\/\d+\/progress)$/, scope: 'progress' }
+];
+
+/**
+ * 解析路径中的用户ID
+ * @param {Object} req - 请求对象
+ * @returns {number} 用户ID，无效时为 NaN
+ */
+const userIdOf = req => parseInt(req.params.id);
+
+// ============================================================
+// 中间件
+// ============================================================
+
+/**
+ * 校验设备 API Key，API Key 保存在 req.apiKey
+ * 只允许访问 INGEST_ROUTES 中、且在 API Key 范围内的接口
+ * @param {Object} req - 请求对象
+ * @param {Object} res - 响应对象
+ * @param {Function} next - 下一个中间件
+ * @param {string} key - 请求携带的 API Key
+ */
+async function authenticateDevice(req, res, next, key) {
+    req.apiKey = await apiKeys.authenticate(key, req.ip);
+
+    const route = req.method === 'POST' && INGEST_ROUTES.find(({ pattern }) => pattern.test(req.path));
+    if (!route) {
+        return sendError(res, 'API Key 只能用于数据上报接口', 403);
+    }
+
+    const [, robotId] = req.path.match(route.pattern);
+    apiKeys.authorize(req.apiKey, route.scope, robotId || fleet.DEFAULT_ROBOT_ID);
+
+    next();
+}
+
+/**
+ * 认证中间件 - 校验令牌，当前用户保存在 req.user；设备请求校验 API Key，保存在 req.apiKey
+ * 挂载在 /api 上，PUBLIC_PATHS 除外；未登录或令牌失效时返回401
+ * config.auth.enabled 为 false 时不校验，req.user 和 req.apiKey 为 null
+ */
+exports.authenticate = asyncHandler(async (req, res, next) => {
+    req.user = null;
+    req.apiKey = null;
+    if (!auth.enabled || PUBLIC_PATHS.includes(req.path)) return next();
+
+    const key = apiKeys.keyOf(req);
+    if (key) {
+        return authenticateDevice(req, res, next, key);
+    }
+
+    const token = auth.tokenOf(req);
+    if (!token) {
+        return sendError(res, '请先登录', 401);
+    }
+
+    req.user = await auth.verifyToken(token);
+
+    next();
+});
+
+/**
+ * 生成角色中间件 - 当前用户的角色低于 role 时返回403
+ * @param {string} role - 需要的角色 viewer | operator | admin
+ * @returns {Function} Express 中间件
+ */
+exports.requireRole = role => (req, res, next) => {
+    if (!auth.enabled || auth.hasRole(req.user, role)) return next();
+
+    sendError(res, `需要${auth.ROLES[role]}权限`, 403);
+};
+
+/**
+ * 生成数据上报接口的权限中间件 - 登录用户需要 role，设备 API Key 已在 authenticate 中按范围校验
+ * @param {string} role - 登录用户需要的角色
+ * @returns {Function} Express 中间件
+ */
+exports.requireRoleOrApiKey = role => (req, res, next) => {
+    if (req.apiKey) return next();
+
+    exports.requireRole(role)(req, res, next);
+};
+
+// ============================================================
+// 登录接口
+// ============================================================
+
+/**
+ * 登录
+ * 请求方式: POST
+ * 路径: /api/auth/login
+ *
+ * 请求体格式:
+ * {
+ *   username: string,
+ *   password: string
+ * }
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: {
+ *     token: string,          // 之后的请求放在 Authorization: Bearer <token> 请求头中
+ *     expiresAt: number,      // 过期时间，过期后需重新登录
+ *     user: { id, username, role, disabled, lastLoginAt, createdAt, updatedAt }
+ *   },
+ *   timestamp: number
+ * }
+ * 用户名或密码错误、用户已停用时返回401
+ */
+exports.login = asyncHandler(async (req, res) => {
+    const { username, password } = req.body || {};
+
+    const result = await auth.login(username, password);
+
+    sendSuccess(res, result, { message: `${result.user.username} 已登录` });
+});
+
+/**
+ * 查询当前用户
+ * 请求方式: GET
+ * 路径: /api/auth/me
+ *
+ * 返回数据结构: { success: true, data: { id, username, role, ... }, timestamp }
+ * 认证关闭时 data 为 null
+ */
+exports.me = (req, res) => {
+    sendSuccess(res, req.user);
+};
+
+/**
+ * 修改自己的密码
+ * 请求方式: POST
+ * 路径: /api/auth/password
+ *
+ * 请求体格式:
+ * {
+ *   currentPassword: string,
+ *   newPassword: string       // 至少 8 位
+ * }
+ *
+ * 返回数据结构: 同 login，之前签发的令牌全部失效，请改用返回的新令牌
+ * 当前密码错误、新密码无效时返回400
+ */
+exports.changePassword = asyncHandler(async (req, res) => {
+    if (!req.user) {
+        return sendError(res, '认证未启用', 409);
+    }
+
+    const result = await auth.changePassword(req.user.id, req.body || {});
+
+    sendSuccess(res, result, { message: '密码已修改，请使用新令牌' });
+});
+
+// ============================================================
+// 用户管理接口（管理员）
+// ============================================================
+
+/**
+ * 查询用户列表
+ * 请求方式: GET
+ * 路径: /api/users
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       id: number,
+ *       username: string,
+ *       role: 'viewer' | 'operator' | 'admin',
+ *       disabled: boolean,
+ *       lastLoginAt: number | null,
+ *       createdAt: number,
+ *       updatedAt: number
+ *     }
+ *   ],
+ *   timestamp: number
+ * }
+ */
+exports.listUsers = asyncHandler(async (req, res) => {
+    sendSuccess(res, await auth.listUsers());
+});
+
+/**
+ * 创建用户
+ * 请求方式: POST
+ * 路径: /api/users
+ *
+ * 请求体格式:
+ * {
+ *   username: string,         // 必填，2-32 位字母、数字、下划线、点或短横线
+ *   password: string,         // 必填，至少 8 位
+ *   role: string,             // 必填，viewer / operator / admin
+ *   disabled?: boolean        // 默认 false
+ * }
+ *
+ * 返回数据结构: 同 listUsers 中的一项
+ * 字段无效时返回400，用户名已存在时返回409
+ */
+exports.createUser = asyncHandler(async (req, res) => {
+    const result = await auth.createUser(req.body || {});
+
+    sendSuccess(res, result, { message: `用户 ${result.username} 已创建` });
+});
+
+/**
+ * 修改用户
+ * 请求方式: PUT
+ * 路径: /api/users/:id
+ *
+ * 请求体格式: { password?, role?, disabled? }，用户名不能修改
+ * 修改密码、停用后该用户已签发的令牌失效；角色修改立即生效
+ *
+ * 返回数据结构: 同 listUsers 中的一项，用户不存在时返回404
+ * 会失去最后一个启用的管理员时返回409
+ */
+exports.updateUser = asyncHandler(async (req, res) => {
+    const userId = userIdOf(req);
+    if (isNaN(userId)) {
+        return sendError(res, '无效的用户ID', 400);
+    }
+
+    const result = await auth.updateUser(userId, req.body || {});
+
+    if (!result) {
+        return sendError(res, `用户 #${userId} 不存在`, 404);
+    }
+
+    sendSuccess(res, result, { message: `用户 ${result.username} 已更新` });
+});
+
+/**
+ * 删除用户
+ * 请求方式: DELETE
+ * 路径: /api/users/:id
+ *
+ * 用户不存在时返回404，会失去最后一个启用的管理员时返回409
+ */
+exports.deleteUser = asyncHandler(async (req, res) => {
+    const userId = userIdOf(req);
+    if (isNaN(userId)) {
+        return sendError(res, '无效的用户ID', 400);
+    }
+
+    const deleted = await auth.removeUser(userId);
+
+    if (!deleted) {
+        return sendError(res, `用户 #${userId} 不存在`, 404);
+    }
+
+    sendSuccess(res, null, { message: `用户 #${userId} 已删除` });
+});
@@ -0,0 +1,97 @@
+/**
+ * 控制指令控制器模块
+ *
+ * 功能描述:
+ * - 查询控制指令的确认状态
+ * - 每条通过 /api/robot/control、WebSocket 或任务下发的指令都有唯一ID，
+ *   状态由机器人确认更新 (data/commands.js)
+ *
+ * 使用示例:
+ *   curl http://localhost:3000/api/commands/0b6a6f0e-...
+ *   curl "http://localhost:3000/api/commands?since=1769737700000"
+ *
+ * 文件路径: backend/controllers/commandController.js
+ */
+
+// 控制指令跟踪
+const commands = require('../data/commands');
+
+// 时间参数解析
+const { parseTime } = require('../data/time');
+
+// 统一响应格式工具
+const { sendSuccess, sendError } = require('./response');
+
+/**
+ * 单次查询最多返回的条数
+ */
+const MAX_LIMIT = 500;
+
+// ============================================================
+// 指令查询接口
+// ============================================================
+
+/**
+ * 查询指令列表
+ * 请求方式: GET
+ * 路径: /api/commands 或 /api/robots/:robotId/commands
+ *
+ * 查询参数 (均可选):
+ *   since   - 只返回该时间之后状态有变化的指令，毫秒时间戳或 ISO 时间
+ *   robotId - 只返回该机器人的指令 (/api/commands 使用)
+ *   limit   - 最多返回条数（最新的），默认 100，最大 500
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       id: string,             // 指令ID
+ *       robotId: string,
+ *       type: 'command' | 'action',
+ *       command/action: string,
+ *       params?: Object,        // 方向指令的运动参数 { speed?, durationMs?, distance?, angle? }
+ *       taskId?: number,        // 任务下发的作业
+ *       state: 'pending' | 'acknowledged' | 'rejected' | 'timeout' | 'failed',
+ *       message: string,
+ *       createdAt: number,
+ *       updatedAt: number       // 最后一次状态变化时间
+ *     }
+ *   ],
+ *   timestamp: number
+ * }
+ */
+exports.listCommands = (req, res) => {
+    let since;
+    try {
+        since = req.query.since !== undefined ? parseTime(req.query.since, 'since') : undefined;
+    } catch (error) {
+        return sendError(res, error.message, 400);
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 100;
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        return sendError(res, `limit 必须是 1-${MAX_LIMIT} 的整数`, 400);
+    }
+
+    const robotId = req.robotId || req.query.robotId;
+    sendSuccess(res, commands.list({ robotId, since, limit }));
+};
+
+/**
+ * 查询单条指令
+ * 请求方式: GET
+ * 路径: /api/commands/:id
+ *
+ * 返回数据结构: 同 listCommands 中的一项
+ * 指令不存在或记录已被丢弃时返回404
+ */
+exports.getCommand = (req, res) => {
+    const record = commands.get(req.params.id);
+
+    if (!record) {
+        return sendError(res, `指令 ${req.params.id} 不存在`, 404);
+    }
+
+    sendSuccess(res, record);
+};
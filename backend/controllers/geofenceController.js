@@ -0,0 +1,165 @@
+/**
+ * 电子围栏控制器模块
+ *
+ * 功能描述:
+ * - 电子围栏（允许区域 / 禁入区域）的增删改查
+ * - 越界检测和告警见 data/geofence.js
+ *
+ * 使用示例:
+ *   curl -X POST http://localhost:3000/api/geofences \
+ *        -H "Content-Type: application/json" \
+ *        -d '{"name":"水塘","type":"keepout","autoStop":true,"boundary":{"type":"Polygon","coordinates":[[[116.3995,40.1965],[116.4,40.1965],[116.4,40.197],[116.3995,40.197]]]}}'
+ *   curl http://localhost:3000/api/geofences
+ *
+ * 文件路径: backend/controllers/geofenceController.js
+ */
+
+// 电子围栏仓库与检测
+const geofences = require('../data/geofenceRepository');
+const geofence = require('../data/geofence');
+
+// 机器人登记
+const fleet = require('../data/fleet');
+
+// 统一响应格式工具
+const { sendSuccess, sendError, asyncHandler } = require('./response');
+
+/**
+ * 解析路径中的围栏ID
+ * @param {Object} req - 请求对象
+ * @returns {number} 围栏ID，无效时为 NaN
+ */
+const geofenceIdOf = req => parseInt(req.params.id);
+
+// ============================================================
+// 电子围栏接口
+// ============================================================
+
+/**
+ * 查询电子围栏列表
+ * 请求方式: GET
+ * 路径: /api/geofences
+ *
+ * 查询参数 (可选):
+ *   robotId - 只返回适用于该机器人的围栏
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       id: number,
+ *       name: string,
+ *       type: 'allowed' | 'keepout',    // 允许区域 / 禁入区域
+ *       boundary: { type: 'Polygon', coordinates: [[[lon, lat], ...]] },
+ *       robotIds: string[] | null,      // 适用的机器人，null 为全部
+ *       autoStop: boolean,              // 越界时自动发送 stop
+ *       enabled: boolean,
+ *       createdAt: number,
+ *       updatedAt: number,
+ *       breaches: [{ robotId, since, coordinates }]   // 当前越界的机器人
+ *     }
+ *   ],
+ *   timestamp: number
+ * }
+ */
+exports.listGeofences = asyncHandler(async (req, res) => {
+    const { robotId } = req.query;
+    if (robotId !== undefined && !fleet.hasRobot(robotId)) {
+        return sendError(res, `机器人 ${robotId} 不存在`, 404);
+    }
+
+    const result = await geofences.list({ robotId });
+    sendSuccess(res, result.map(geofence.describe));
+});
+
+/**
+ * 查询单个电子围栏
+ * 请求方式: GET
+ * 路径: /api/geofences/:id
+ *
+ * 返回数据结构: 同 listGeofences 中的一项，围栏不存在时返回404
+ */
+exports.getGeofence = asyncHandler(async (req, res) => {
+    const geofenceId = geofenceIdOf(req);
+    if (isNaN(geofenceId)) {
+        return sendError(res, '无效的电子围栏ID', 400);
+    }
+
+    const result = await geofences.get(geofenceId);
+    if (!result) {
+        return sendError(res, `电子围栏 #${geofenceId} 不存在`, 404);
+    }
+
+    sendSuccess(res, geofence.describe(result));
+});
+
+/**
+ * 创建电子围栏
+ * 请求方式: POST
+ * 路径: /api/geofences
+ *
+ * 请求体格式:
+ * {
+ *   name: string,             // 必填
+ *   type: 'allowed' | 'keepout', // 必填，允许区域 / 禁入区域
+ *   boundary: GeoJSON,        // 必填，Polygon 或其 Feature，坐标为 [经度, 纬度]，可带内环（洞）
+ *   robotIds?: string[] | null, // 适用的机器人，默认 null（全部）
+ *   autoStop?: boolean,       // 越界时自动发送 stop 并暂停航线任务，默认 false
+ *   enabled?: boolean         // 默认 true
+ * }
+ *
+ * 返回数据结构: 同 getGeofence
+ * 字段无效时返回400，信息以字段名开头
+ */
+exports.createGeofence = asyncHandler(async (req, res) => {
+    const result = await geofence.create(req.body || {});
+
+    sendSuccess(res, result, { message: `电子围栏 #${result.id} 已创建` });
+});
+
+/**
+ * 修改电子围栏
+ * 请求方式: PUT
+ * 路径: /api/geofences/:id
+ *
+ * 请求体格式: 同 createGeofence，字段均可选
+ * 修改后的围栏在机器人下一次状态更新时重新检查
+ *
+ * 返回数据结构: 同 getGeofence，围栏不存在时返回404
+ */
+exports.updateGeofence = asyncHandler(async (req, res) => {
+    const geofenceId = geofenceIdOf(req);
+    if (isNaN(geofenceId)) {
+        return sendError(res, '无效的电子围栏ID', 400);
+    }
+
+    const result = await geofence.update(geofenceId, req.body || {});
+
+    if (!result) {
+        return sendError(res, `电子围栏 #${geofenceId} 不存在`, 404);
+    }
+
+    sendSuccess(res, result, { message: `电子围栏 #${geofenceId} 已更新` });
+});
+
+/**
+ * 删除电子围栏
+ * 请求方式: DELETE
+ * 路径: /api/geofences/:id
+ *
+ * 该围栏上的越界告警随之恢复；围栏不存在时返回404
+ */
+exports.deleteGeofence = asyncHandler(async (req, res) => {
+    const geofenceId = geofenceIdOf(req);
+    if (isNaN(geofenceId)) {
+        return sendError(res, '无效的电子围栏ID', 400);
+    }
+
+    const deleted = await geofence.remove(geofenceId);
+    if (!deleted) {
+        return sendError(res, `电子围栏 #${geofenceId} 不存在`, 404);
+    }
+
+    sendSuccess(res, null, { message: `电子围栏 #${geofenceId} 已删除` });
+});
@@ -0,0 +1,194 @@
+/**
+ * 航线任务控制器模块
+ *
+ * 功能描述:
+ * - 创建按 GPS 航点自主行驶的航线任务，并上传给机器人
+ * - 开始、暂停、继续、中止航线任务，查询任务及其跟踪进度
+ * - 航线校验、下发和位置跟踪见 data/missionRunner.js
+ *
+ * 使用示例:
+ *   curl -X POST http://localhost:3000/api/robots/robot-001/missions \
+ *        -H "Content-Type: application/json" \
+ *        -d '{"name":"A区巡检","speed":1,"waypoints":[{"lat":40.2001,"lon":116.4001},{"lat":40.201,"lon":116.4001}]}'
+ *   curl -X POST http://localhost:3000/api/missions/1/start
+ *
+ * 文件路径: backend/controllers/missionController.js
+ */
+
+// 航线任务仓库与执行
+const missions = require('../data/missionRepository');
+const runner = require('../data/missionRunner');
+
+// 机器人登记
+const fleet = require('../data/fleet');
+
+// 统一响应格式工具
+const { sendSuccess, sendError, asyncHandler, actorOf } = require('./response');
+
+/**
+ * 解析路径中的任务ID
+ * @param {Object} req - 请求对象
+ * @returns {number} 任务ID，无效时为 NaN
+ */
+const missionIdOf = req => parseInt(req.params.id);
+
+// ============================================================
+// 航线任务接口
+// ============================================================
+
+/**
+ * 查询航线任务列表
+ * 请求方式: GET
+ * 路径: /api/missions 或 /api/robots/:robotId/missions
+ *
+ * 查询参数 (均可选):
+ *   robotId - 只返回该机器人的任务 (/api/missions 使用)
+ *   status  - 只返回该状态的任务: uploaded | running | paused | completed | aborted
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       id: number,
+ *       robotId: string,
+ *       name: string,
+ *       status: 'uploaded' | 'running' | 'paused' | 'completed' | 'aborted',
+ *       speed: number | null,           // 默认速度 m/s
+ *       waypoints: [{ lat, lon, speed, action, reachedAt }],
+ *       currentWaypoint: number,        // 正在前往的航点序号
+ *       createdAt: number,
+ *       updatedAt: number,
+ *       history: [{ from, to, at, actor, reason? }],
+ *       tracking: {
+ *         currentLeg: number | null,    // 正在驶向的航点序号，任务结束后为 null
+ *         waypointsReached: number,
+ *         totalWaypoints: number,
+ *         totalDistance: number,        // 航线总长度（米）
+ *         distanceToWaypoint: number | null, // 到当前航点的距离（米）
+ *         remainingDistance: number,    // 剩余距离（米）
+ *         position: { lat, lon } | null,    // 最近一次跟踪到的机器人坐标
+ *         updatedAt: number | null
+ *       }
+ *     }
+ *   ],
+ *   timestamp: number
+ * }
+ */
+exports.listMissions = asyncHandler(async (req, res) => {
+    const { status } = req.query;
+    if (status !== undefined && !missions.STATUSES.includes(status)) {
+        return sendError(res, `status 必须是 ${missions.STATUSES.join(', ')} 之一`, 400);
+    }
+
+    const robotId = req.robotId || req.query.robotId;
+    const result = await missions.list({ robotId, status });
+    sendSuccess(res, result.map(runner.describe));
+});
+
+/**
+ * 查询单个航线任务
+ * 请求方式: GET
+ * 路径: /api/missions/:id
+ *
+ * 返回数据结构: 同 listMissions 中的一项，任务不存在时返回404
+ */
+exports.getMission = asyncHandler(async (req, res) => {
+    const missionId = missionIdOf(req);
+    if (isNaN(missionId)) {
+        return sendError(res, '无效的航线任务ID', 400);
+    }
+
+    const mission = await missions.get(missionId);
+    if (!mission) {
+        return sendError(res, `航线任务 #${missionId} 不存在`, 404);
+    }
+
+    sendSuccess(res, runner.describe(mission));
+});
+
+/**
+ * 创建航线任务并上传给机器人
+ * 请求方式: POST
+ * 路径: /api/missions 或 /api/robots/:robotId/missions
+ *
+ * 请求体格式 (waypoints 与 path 二选一):
+ * {
+ *   robotId?: string,         // /api/missions 使用，默认为默认机器人
+ *   name?: string,            // 任务名称
+ *   speed?: number,           // 默认速度 m/s，不超过机器人的 maxSpeed
+ *   waypoints?: [             // 航点，依次经过
+ *     { lat: number, lon: number, speed?: number, action?: string }
+ *   ],                        // speed 为驶向该航点的速度，action 为到达后执行的作业
+ *   path?: GeoJSON,           // LineString 或其 Feature，坐标为 [经度, 纬度]
+ *   legs?: [{ speed?, action? }] // 与 path 一起使用，按序号指定各航点的速度和作业
+ * }
+ *
+ * 返回数据结构: 同 getMission，状态为 uploaded；额外返回 dispatch: { executed, commandId, state, message }
+ * 上传失败时任务直接中止 (aborted)
+ *
+ * 航线无效时返回400（信息以字段名开头），机器人未登记时返回404，
+ * 机器人已有未结束的航线任务时返回409
+ */
+exports.createMission = asyncHandler(async (req, res) => {
+    const body = req.body || {};
+    const robotId = req.robotId || body.robotId || fleet.DEFAULT_ROBOT_ID;
+
+    if (!fleet.hasRobot(robotId)) {
+        return sendError(res, `机器人 ${robotId} 不存在`, 404);
+    }
+
+    const result = await runner.create(robotId, body, actorOf(req));
+
+    const { mission, dispatch } = result;
+    sendSuccess(res, mission, {
+        message: dispatch.executed ? `航线任务 #${mission.id} 已上传` : `航线任务 #${mission.id} 上传失败`,
+        dispatch
+    });
+});
+
+/**
+ * 改变航线任务状态
+ * 请求方式: POST
+ * 路径: /api/missions/:id/:action
+ *   action: start | pause | resume | abort
+ *
+ * 状态转换:
+ *   start    uploaded -> running
+ *   pause    running -> paused
+ *   resume   paused -> running
+ *   abort    uploaded / running / paused -> aborted
+ *   running -> completed 由位置跟踪在到达最后一个航点时完成
+ *
+ * 每次转换都向机器人下发对应操作；start / resume 下发失败时任务中止
+ *
+ * 请求体格式 (可选):
+ * {
+ *   reason?: string           // 原因，记录在状态历史中
+ * }
+ *
+ * 返回数据结构: 同 getMission，额外返回 dispatch
+ *
+ * 当前状态不允许该操作时返回409，急停锁定期间 start / resume 返回423
+ */
+exports.transitionMission = asyncHandler(async (req, res) => {
+    const missionId = missionIdOf(req);
+    const { action } = req.params;
+    const reason = req.body && req.body.reason;
+
+    if (isNaN(missionId)) {
+        return sendError(res, '无效的航线任务ID', 400);
+    }
+
+    const result = await runner.transition(missionId, action, { actor: actorOf(req), reason });
+
+    if (!result) {
+        return sendError(res, `航线任务 #${missionId} 不存在`, 404);
+    }
+
+    const { mission, dispatch } = result;
+    sendSuccess(res, mission, {
+        message: `航线任务状态已变更为 ${mission.status}`,
+        dispatch
+    });
+});
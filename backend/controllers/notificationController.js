@@ -0,0 +1,124 @@
+/**
+ * 告警通知控制器模块
+ *
+ * 功能描述:
+ * - 查询通知渠道配置，向渠道发送测试消息
+ * - 查询通知投递记录；单条告警的投递状态见 controllers/alertController.js
+ * - 通知的路由、限流和重试见 data/notifications.js，渠道的实现见 data/notifiers/
+ *
+ * 使用示例:
+ *   curl http://localhost:3000/api/notifications/channels -H "Authorization: Bearer <token>"
+ *   curl -X POST http://localhost:3000/api/notifications/channels/ops/test -H "Authorization: Bearer <token>"
+ *   curl "http://localhost:3000/api/notifications?state=failed" -H "Authorization: Bearer <token>"
+ *
+ * 文件路径: backend/controllers/notificationController.js
+ */
+
+// 告警通知
+const notifications = require('../data/notifications');
+
+// 统一响应格式工具
+const { sendSuccess, asyncHandler } = require('./response');
+
+// ============================================================
+// 通知渠道接口
+// ============================================================
+
+/**
+ * 查询通知配置和渠道
+ * 请求方式: GET
+ * 路径: /api/notifications/channels
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: {
+ *     enabled: boolean,
+ *     quietHours: { start, end, levels } | null,   // 静默时段（服务器本地时间）
+ *     throttleSeconds: number,                      // 默认限流间隔（秒）
+ *     channels: [
+ *       {
+ *         name: string,
+ *         type: 'webhook' | 'smtp' | 'dingtalk' | 'wecom',
+ *         label: string,                            // 如 '钉钉机器人'
+ *         enabled: boolean,
+ *         levels: string[],                         // 接收的告警级别
+ *         events: string[],                         // raised | resolved
+ *         quietHours: boolean                       // 是否遵守静默时段
+ *       }
+ *     ]
+ *   },
+ *   timestamp: number
+ * }
+ *
+ * 不返回地址、密钥、密码等渠道配置；配置无效的渠道不在列表中（启动日志中有原因）
+ */
+exports.listChannels = (req, res) => {
+    sendSuccess(res, notifications.listChannels());
+};
+
+/**
+ * 向渠道发送测试消息
+ * 请求方式: POST
+ * 路径: /api/notifications/channels/:name/test
+ *
+ * 测试消息不重试、不记录投递；渠道停用 (enabled: false) 时也会发送
+ *
+ * 返回数据结构: data 为 { channel, type, sentAt }
+ * 渠道不存在时返回404，发送失败时返回502，信息中包含失败原因
+ */
+exports.testChannel = asyncHandler(async (req, res) => {
+    const result = await notifications.testChannel(req.params.name);
+
+    sendSuccess(res, result, { message: `测试消息已发送到 ${req.params.name}` });
+});
+
+// ============================================================
+// 投递记录接口
+// ============================================================
+
+/**
+ * 查询通知投递记录
+ * 请求方式: GET
+ * 路径: /api/notifications
+ *
+ * 查询参数 (可选):
+ *   alertId - 只返回该告警的投递
+ *   channel - 只返回该渠道的投递
+ *   state   - pending | sent | failed | skipped
+ *   limit   - 返回条数，默认 100，最大 1000
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: {
+ *     deliveries: [                      // 最新的在前
+ *       {
+ *         id: number,
+ *         alertId: number,
+ *         robotId: string,
+ *         key: string,                   // 告警键，如 rule-3
+ *         level: 'critical' | 'warning' | 'info',
+ *         event: 'raised' | 'resolved',
+ *         channel: string,
+ *         state: 'pending' | 'sent' | 'failed' | 'skipped',
+ *         attempts: number,              // 已尝试发送的次数
+ *         lastError: string | null,      // 最近一次发送失败的原因
+ *         reason: string | null,         // skipped 的原因，如 '静默时段'
+ *         createdAt: number,
+ *         updatedAt: number,
+ *         sentAt: number | null
+ *       }
+ *     ],
+ *     truncated: boolean
+ *   },
+ *   timestamp: number
+ * }
+ *
+ * 参数无效时返回400
+ */
+exports.listDeliveries = asyncHandler(async (req, res) => {
+    const result = await notifications.list(req.query);
+
+    sendSuccess(res, result);
+});
@@ -0,0 +1,95 @@
+/**
+ * 控制器响应工具模块
+ * 
+ * 功能描述:
+ * - 提供统一的成功/错误响应格式，以及字段校验错误的响应
+ * - 提供异步处理函数的错误捕获包装，带 status 的业务错误统一转换为错误响应
+ * - 获取请求的操作者
+ * - 供所有控制器共用
+ * 
+ * 文件路径: backend/controllers/response.js
+ */
+
+// ============================================================
+// 响应处理工具函数
+// ============================================================
+
+/**
+ * 发送成功响应
+ * @param {Object} res - Express响应对象
+ * @param {*} data - 要返回的数据
+ * @param {Object} extra - 额外的响应字段
+ * @description 统一的成功响应格式，包含success标志和时间戳
+ */
+const sendSuccess = (res, data, extra = {}) => {
+    res.json({
+        success: true,              // 操作成功标志
+        data,                        // 响应数据
+        timestamp: Date.now(),        // 服务器时间戳
+        ...extra                     // 合并额外字段
+    });
+};
+
+/**
+ * 发送错误响应
+ * @param {Object} res - Express响应对象
+ * @param {string} message - 错误信息
+ * @param {number} statusCode - HTTP状态码，默认500
+ * @description 统一的错误响应格式
+ */
+const sendError = (res, message, statusCode = 500) => {
+    res.status(statusCode).json({
+        success: false,              // 操作失败标志
+        message                       // 错误信息
+    });
+};
+
+/**
+ * 发送字段校验错误 (400)
+ * @param {Object} res - Express响应对象
+ * @param {Array<Object>} errors - 字段错误 [{ field, message }]，见 data/schema.js
+ * @description 在错误响应中附带 errors 数组，message 为各字段错误的合并
+ */
+const sendValidationError = (res, errors) => {
+    res.status(400).json({
+        success: false,
+        message: errors.map(error => error.message).join('；'),
+        errors                        // 字段级错误
+    });
+};
+
+/**
+ * 异步错误处理器
+ * @param {Function} fn - 异步路由处理函数
+ * @returns {Function} 包装后的处理函数
+ * @description 捕获异步函数中的错误: 带 status 的业务错误 (见 data/errors.js)
+ *              以该状态码和错误信息响应，带 errors 的字段校验错误同 sendValidationError；
+ *              其他错误传递给错误处理中间件
+ */
+const asyncHandler = (fn) => (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch((error) => {
+        if (!error.status || res.headersSent) return next(error);
+        if (error.errors) return sendValidationError(res, error.errors);
+        sendError(res, error.message, error.status);
+    });
+};
+
+/**
+ * 获取请求的操作者，记录在任务、航线任务的状态历史中
+ * 取登录用户的用户名 (见 controllers/authController.js)；设备请求为 api-key:<名称>，认证关闭时为 anonymous
+ * @param {Object} req - Express请求对象
+ * @returns {string} 操作者
+ */
+const actorOf = (req) => {
+    if (req.user) return req.user.username;
+    if (req.apiKey) return `api-key:${req.apiKey.name}`;
+    return 'anonymous';
+};
+
+module.exports = {
+    sendSuccess,
+    sendError,
+    sendValidationError,
+    asyncHandler,
+    actorOf
+};
@@ -5,70 +5,209 @@
  * - 处理所有与机器人相关的API请求
  * - 调用数据层获取机器人状态和传感器数据
  * - 处理控制指令并返回执行结果
+ * - 通过 resolveRobot 中间件确定目标机器人 (req.robotId)，
+ *   不带机器人ID的旧版接口操作默认机器人
  * 
  * 🔌 槽位说明:
- * 此控制器当前使用模拟数据(mockData)，对接真实硬件时需要:
- * 1. 修改mockData引用为真实硬件驱动模块
- * 2. 确保硬件驱动实现相同的函数接口
+ * 控制器只依赖数据源接口模块(dataSource)，具体使用模拟数据还是真实硬件
+ * 由启动配置决定，无需修改此文件:
+ *   DATA_SOURCE=mock   模拟数据（无需硬件）
+ *   DATA_SOURCE=mqtt   MQTT硬件数据（默认）
+ * 可用类型见 backend/data/adapters/index.js
  * 
  * 文件路径: backend/controllers/robotController.js
  */
 
-// 数据源选择：
-// - mockData: 模拟数据（无需硬件，用于测试）
-// - dataSource: 真实数据源（MQTT/串口等，需要硬件）
-// 
-// 切换方式: 注释掉不需要的行，取消注释需要的行
-// const mockData = require('../data/mockData');  // 模拟数据
-const dataSource = require('../data/dataSource');  // 真实硬件数据
+// 数据源接口 - 启动时按配置选择适配器
+const data = require('../data/dataSource');
 
-// 统一使用 data 变量名，方便切换
-const data = dataSource;  // 改为 mockData 可切回模拟数据
+// 机器人集群登记 - 解析请求中的机器人ID
+const fleet = require('../data/fleet');
 
-// ============================================================
-// 响应处理工具函数
-// ============================================================
+// 遥测历史存储 - 状态、传感器历史查询
+const history = require('../data/history');
+
+// 任务计划解析、调度预览、状态转换与作业下发
+const schedule = require('../data/schedule');
+const scheduler = require('../data/scheduler');
+const runner = require('../data/taskRunner');
+const { DAY, parseTime } = require('../data/time');
+
+// 作业操作代码
+const { ACTIONS } = require('../data/constants');
+
+// 控制指令跟踪 - 等待机器人确认
+const commands = require('../data/commands');
+
+// 遥控运动租约（死人开关）
+const teleop = require('../data/teleop');
+
+// 运动参数
+const motion = require('../data/motion');
+
+// 请求体校验规则
+const schema = require('../data/schema');
+const { SCHEMAS } = schema;
+
+// 统一响应格式工具
+const { sendSuccess, sendError, sendValidationError, asyncHandler, actorOf } = require('./response');
 
 /**
- * 发送成功响应
- * @param {Object} res - Express响应对象
- * @param {*} data - 要返回的数据
- * @param {Object} extra - 额外的响应字段
- * @description 统一的成功响应格式，包含success标志和时间戳
+ * 解析请求体中任务的作业、区域、参数和执行计划
+ * @param {Object} body - 请求体
+ * @returns {Object} { action?, zone?, zoneId?, params?, schedule? }，未提供的字段不返回；null 表示清除
+ * @throws {Error} 字段无效时抛出，错误信息可直接返回给客户端
  */
-const sendSuccess = (res, data, extra = {}) => {
-    res.json({
-        success: true,              // 操作成功标志
-        data,                        // 响应数据
-        timestamp: Date.now(),        // 服务器时间戳
-        ...extra                     // 合并额外字段
-    });
+const parseTaskPlan = (body) => {
+    const plan = {};
+
+    if (body.action !== undefined) {
+        if (body.action !== null && !ACTIONS[body.action]) {
+            throw new Error(`未知的作业: ${body.action}，可选: ${Object.keys(ACTIONS).join(', ')}`);
+        }
+        plan.action = body.action;
+    }
+
+    if (body.zone !== undefined) {
+        if (body.zone !== null && (typeof body.zone !== 'string' || body.zone.trim() === '')) {
+            throw new Error('zone 必须是非空字符串');
+        }
+        plan.zone = body.zone === null ? null : body.zone.trim();
+    }
+
+    if (body.zoneId !== undefined) {
+        plan.zoneId = body.zoneId;
+    }
+
+    if (body.params !== undefined) {
+        if (body.params !== null && (typeof body.params !== 'object' || Array.isArray(body.params))) {
+            throw new Error('params 必须是对象，如 { "flowRate": 20 }');
+        }
+        plan.params = body.params || {};
+    }
+
+    if (body.schedule !== undefined) {
+        plan.schedule = body.schedule === null ? null : schedule.parse(body.schedule);
+    }
+
+    return plan;
+};
+
+/**
+ * 校验任务的作业地块，未提供 zone 时以地块名称作为作业区域
+ * @param {string} robotId - 机器人ID
+ * @param {Object} plan - parseTaskPlan 的结果，按需补充 zone
+ * @returns {Promise<void>}
+ * @throws {Error} 地块不存在或不由该机器人负责时抛出 (status 400)
+ */
+const resolveTaskZone = async (robotId, plan) => {
+    if (!plan.zoneId) return;
+
+    const zone = await data.getTaskZone(robotId, plan.zoneId);
+    if (plan.zone === undefined) plan.zone = zone.name;
 };
 
 /**
- * 发送错误响应
+ * 查询历史数据并返回
+ * @param {Object} req - Express请求对象
  * @param {Object} res - Express响应对象
- * @param {string} message - 错误信息
- * @param {number} statusCode - HTTP状态码，默认500
- * @description 统一的错误响应格式
+ * @param {string} kind - 数据类型 'status' | 'sensors'
  */
-const sendError = (res, message, statusCode = 500) => {
-    res.status(statusCode).json({
-        success: false,              // 操作失败标志
-        message                       // 错误信息
-    });
+const sendHistory = async (req, res, kind) => {
+    let options;
+    try {
+        options = history.parseQuery(kind, req.query);
+    } catch (error) {
+        return sendError(res, error.message, 400);
+    }
+
+    const result = await history.query(req.robotId, kind, options);
+    sendSuccess(res, result);
 };
 
+// ============================================================
+// 机器人集群相关接口
+// ============================================================
+
 /**
- * 异步错误处理器
- * @param {Function} fn - 异步路由处理函数
- * @returns {Function} 包装后的处理函数
- * @description 捕获异步函数中的错误并传递给错误处理中间件
+ * 解析目标机器人 (路由中间件)
+ * 
+ * - /api/robots/:robotId/... 使用路径中的机器人ID
+ * - /api/robot/status 等旧版接口使用默认机器人
+ * 
+ * 解析结果保存在 req.robotId，机器人未登记时返回404
  */
-const asyncHandler = (fn) => (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+exports.resolveRobot = (req, res, next) => {
+    const robotId = req.params.robotId || fleet.DEFAULT_ROBOT_ID;
+
+    if (!fleet.hasRobot(robotId)) {
+        return sendError(res, `机器人 ${robotId} 不存在`, 404);
+    }
+
+    req.robotId = robotId;
+    next();
 };
 
+/**
+ * 生成机器人概要信息
+ * @param {Object} robot - 登记信息
+ * @returns {Promise<Object>} 登记信息 + 连接状态
+ */
+const describeRobot = async (robot) => ({
+    ...robot,
+    limits: motion.getLimits(robot.id),
+    isDefault: robot.id === fleet.DEFAULT_ROBOT_ID,
+    connection: await data.getConnectionStatus(robot.id)
+});
+
+/**
+ * 获取机器人列表
+ * 请求方式: GET
+ * 路径: /api/robots
+ * 
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       id: string,             // 机器人ID
+ *       name: string,           // 机器人名称
+ *       source: 'config' | 'discovered',  // 登记来源
+ *       registeredAt: number,   // 登记时间
+ *       limits: {               // 运动上限（config.motion.limits，可被 fleet.robots[].limits 覆盖）
+ *         maxSpeed: number,     // m/s
+ *         maxDurationMs: number,
+ *         maxDistance: number,  // m
+ *         maxAngle: number      // °
+ *       },
+ *       isDefault: boolean,     // 是否为旧版接口使用的默认机器人
+ *       connection: {           // 连接状态
+ *         type: string,
+ *         connected: boolean,
+ *         lastUpdate: number | null
+ *       }
+ *     }
+ *   ],
+ *   timestamp: number
+ * }
+ */
+exports.listRobots = asyncHandler(async (req, res) => {
+    const result = await Promise.all(fleet.listRobots().map(describeRobot));
+    sendSuccess(res, result);
+});
+
+/**
+ * 获取单台机器人信息
+ * 请求方式: GET
+ * 路径: /api/robots/:robotId
+ * 
+ * 返回数据结构: 同 /api/robots 中的单个元素
+ */
+exports.getRobot = asyncHandler(async (req, res) => {
+    const result = await describeRobot(fleet.getRobot(req.robotId));
+    sendSuccess(res, result);
+});
+
 // ============================================================
 // 机器人状态相关接口
 // ============================================================
@@ -76,7 +215,7 @@ const asyncHandler = (fn) => (req, res, next) => {
 /**
  * 获取机器人状态
  * 请求方式: GET
- * 路径: /api/robot/status
+ * 路径: /api/robot/status 或 /api/robots/:robotId/status
  * 
  * 返回数据结构:
  * {
@@ -88,25 +227,72 @@ const asyncHandler = (fn) => (req, res, next) => {
  *     coordinates: {          // GPS坐标
  *       lat: number,
  *       lon: number
+ *     },
+ *     estop: {                // 急停状态（由服务器维护）
+ *       engaged: boolean,     // 是否处于急停锁定
+ *       engagedAt: number | null,
+ *       engagedBy: string | null,
+ *       reason: string | null,
+ *       resetAt: number | null,
+ *       resetBy: string | null
  *     }
  *   },
  *   timestamp: number
  * }
  * 
  * 🔌 槽位说明: 
- * 对接真实硬件时，替换mockData.getRobotStatus()为真实硬件API调用
+ * 数据来自当前数据源适配器的 getRobotStatus()，estop 来自急停安全联锁 (data/safety.js)
  */
 exports.getStatus = asyncHandler(async (req, res) => {
     // 从数据层获取机器人状态
-    const result = await data.getRobotStatus();
+    const result = await data.getRobotStatus(req.robotId);
     // 返回成功响应
     sendSuccess(res, result);
 });
 
+/**
+ * 获取机器人状态历史
+ * 请求方式: GET
+ * 路径: /api/robot/status/history 或 /api/robots/:robotId/status/history
+ * 
+ * 查询参数:
+ *   from?: 开始时间，毫秒时间戳或 ISO 时间，默认 to 之前24小时
+ *   to?: 结束时间，默认当前时间
+ *   fields?: 逗号分隔的字段 battery,speed,temperature,lat,lon，默认全部
+ *   interval?: 分桶间隔，毫秒数或 30s/5m/1h/1d，默认按范围分为约200个桶
+ * 
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: {
+ *     robotId: string,
+ *     kind: 'status',
+ *     from: number,
+ *     to: number,
+ *     interval: number,       // 分桶间隔 ms
+ *     fields: Array<string>,
+ *     buckets: [              // 只包含有样本的分桶，按时间升序
+ *       {
+ *         start: number,      // 分桶开始时间
+ *         count: number,      // 样本数
+ *         battery: { min: number, max: number, avg: number } | null,
+ *         ...
+ *       }
+ *     ]
+ *   },
+ *   timestamp: number
+ * }
+ * 
+ * 参数无效时返回400
+ */
+exports.getStatusHistory = asyncHandler(async (req, res) => {
+    await sendHistory(req, res, 'status');
+});
+
 /**
  * 更新机器人状态
  * 请求方式: POST/PUT
- * 路径: /api/robot/status
+ * 路径: /api/robot/status 或 /api/robots/:robotId/status
  * 
  * 请求体格式:
  * {
@@ -141,6 +327,12 @@ exports.updateStatus = asyncHandler(async (req, res) => {
         return sendError(res, '请至少提供一个状态字段', 400);
     }
     
+    // 字段类型和范围校验，如 battery 0-100
+    const errors = schema.validate(SCHEMAS.robotStatus, statusData);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
     // 🔔 控制器层日志
     console.log('='.repeat(60));
     console.log(`[Controller] 收到机器人状态更新请求 - ${new Date().toLocaleString()}`);
@@ -148,7 +340,7 @@ exports.updateStatus = asyncHandler(async (req, res) => {
     console.log('='.repeat(60));
     
     // 更新机器人状态
-    const updatedData = data.updateRobotStatus ? data.updateRobotStatus(statusData) : statusData;
+    const updatedData = await data.updateRobotStatus(req.robotId, statusData);
     
     // 🔔 控制器层日志
     console.log(`[Controller] 更新后的数据:`, updatedData);
@@ -162,45 +354,99 @@ exports.updateStatus = asyncHandler(async (req, res) => {
 /**
  * 发送控制指令
  * 请求方式: POST
- * 路径: /api/robot/control
+ * 路径: /api/robot/control 或 /api/robots/:robotId/control
  * 
  * 请求体格式:
- * 方向控制: { command: 'forward' | 'backward' | 'left' | 'right' | 'stop' }
- * 作业控制: { action: 'irrigation' | 'fertilize' | 'scan' | 'harvest' }
+ * 方向控制: { command: 'forward' | 'backward' | 'left' | 'right' | 'stop', priority?: string, wait?: boolean, lease?: boolean,
+ *            speed?: number, durationMs?: number, distance?: number, angle?: number }
+ * 作业控制: { action: 'irrigation' | 'fertilize' | 'scan' | 'harvest', priority?: string, wait?: boolean }
+ * priority 为指令队列优先级 high | normal | low，默认 normal；stop 总是插到队首，并清除等待中的运动指令
+ * wait 为 true（或查询参数 ?wait=true）时等待机器人确认后再响应，最多等待 config.commands.ackTimeout
+ * lease 为 true 时运动指令带租约（死人开关）: 需通过 /control/heartbeat 持续续约，
+ *   超过 config.teleop.leaseTimeout 未续约时服务器自动发送 stop；发送 stop 时释放租约
+ * 运动参数（可选）: speed 速度 m/s，durationMs 持续时间，distance 距离 m（前进/后退），angle 转向角度 °（左转/右转），
+ *   不得超过机器人的运动上限 (config.motion.limits)，durationMs / distance / angle 最多指定一个；不合法时返回400
  * 
  * 返回数据结构:
  * {
  *   success: true,
- *   executed: true,           // 指令是否执行
+ *   executed: boolean,        // 指令是否送达（等待确认时为是否被确认）
  *   command/action: string,    // 执行的指令/操作
+ *   params?: Object,          // 运动参数 { speed?, durationMs?, distance?, angle? }（有参数时）
+ *   commandId: string,        // 指令ID，可通过 GET /api/commands/:id 查询状态
+ *   state: string,            // 指令状态 pending | acknowledged | rejected | timeout | failed，
+ *                             // 在队列中被 stop 清除或队列被清空时为 cancelled（没有 commandId）
  *   message: string,          // 执行结果消息
+ *   lease?: {                 // lease 为 true 且指令已送达时返回
+ *     id: string,             // 租约ID，心跳时带上
+ *     command: string,
+ *     expiresAt: number,      // 过期时间
+ *     timeout: number         // 租约时长 ms
+ *   },
  *   timestamp: number
  * }
  * 
+ * 未知的 command / action / priority、类型错误的字段返回400（errors 中按字段列出）
+ * 急停锁定期间除 stop 外的指令返回423
+ * 
  * 🔌 槽位说明: 
  * 对接真实硬件时，将指令发送到真实硬件控制接口
  */
 exports.sendCommand = asyncHandler(async (req, res) => {
+    // 字段校验 - 未知的指令、作业、优先级，类型错误的参数返回400
+    const errors = schema.validate(SCHEMAS.control, req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
     // 从请求体中提取command和action参数
-    const { command, action } = req.body;
+    const { command, action, priority, lease } = req.body;
+    const params = motion.pickParams(req.body);
     
     // 参数验证 - 必须提供command或action之一
     if (!command && !action) {
         return sendError(res, '缺少 command 或 action 参数', 400);
     }
+    if (!command && Object.keys(params).length > 0) {
+        return sendError(res, `${Object.keys(params).join(', ')}: 运动参数只适用于方向指令`, 400);
+    }
+    if (lease && !teleop.MOTION_COMMANDS.includes(command)) {
+        return sendError(res, `lease 只适用于运动指令 ${teleop.MOTION_COMMANDS.join(' / ')}`, 400);
+    }
     
     // 🔔 控制器层日志 - 记录收到的控制请求
     console.log('='.repeat(60));
     console.log(`[Controller] 收到控制请求 - ${new Date().toLocaleString()}`);
-    console.log(`[Controller] 请求参数:`, { command, action });
+    console.log(`[Controller] 目标机器人: ${req.robotId}`);
+    console.log(`[Controller] 请求参数:`, { command, action, priority, ...params });
     console.log('='.repeat(60));
     
-    // 根据参数类型调用相应的处理函数
+    // 根据参数类型调用相应的处理函数，指令进入机器人的指令队列依次下发
     // 如果有command参数，调用方向控制函数
     // 如果有action参数，调用作业控制函数
+    // 运动参数不合法时返回400，急停锁定期间除 stop 外的指令返回423
     const result = command 
-        ? await data.handleCommand(command)
-        : await data.handleAction(action);
+        ? await data.handleCommand(req.robotId, command, { priority, params })
+        : await data.handleAction(req.robotId, action, {}, { priority });
+    
+    // 停止时释放运动租约，带租约的运动指令送达后建立租约
+    if (command === 'stop') {
+        teleop.release(req.robotId);
+    } else if (lease && result.executed) {
+        result = { ...result, lease: teleop.grant(req.robotId, command, actorOf(req)) };
+    }
+    
+    // 等待机器人确认
+    const wait = req.body.wait === true || req.query.wait === 'true';
+    const record = wait && result.state === 'pending' ? await commands.waitFor(result.commandId) : null;
+    if (record) {
+        result = {
+            ...result,
+            executed: record.state === 'acknowledged',
+            state: record.state,
+            message: record.message
+        };
+    }
     
     // 🔔 控制器层日志 - 记录执行结果
     console.log(`[Controller] 执行结果:`, result);
@@ -211,6 +457,165 @@ exports.sendCommand = asyncHandler(async (req, res) => {
     sendSuccess(res, null, result);
 });
 
+/**
+ * 运动租约心跳
+ * 请求方式: POST
+ * 路径: /api/robot/control/heartbeat 或 /api/robots/:robotId/control/heartbeat
+ * 
+ * 请求体格式: { leaseId: string }
+ * 
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: { id, command, expiresAt, timeout },   // 续约后的租约
+ *   timestamp: number
+ * }
+ * 
+ * 租约不存在（已过期自动停车、已 stop 或被新的运动指令替换）时返回404，
+ * 操作端收到404应停止发送心跳
+ */
+exports.renewLease = (req, res) => {
+    const { leaseId } = req.body || {};
+
+    if (typeof leaseId !== 'string' || !leaseId) {
+        return sendError(res, '缺少 leaseId 参数', 400);
+    }
+
+    const lease = teleop.renew(req.robotId, leaseId);
+    if (!lease) {
+        return sendError(res, `租约 ${leaseId} 不存在或已过期`, 404);
+    }
+
+    sendSuccess(res, lease);
+};
+
+/**
+ * 查看指令队列
+ * 请求方式: GET
+ * 路径: /api/robot/queue 或 /api/robots/:robotId/queue
+ * 
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: {
+ *     current: {              // 正在下发或等待确认的指令，没有时为 null
+ *       seq: number,          // 队列序号
+ *       type: 'command' | 'action',
+ *       command/action: string,
+ *       taskId?: number,      // 任务下发的作业
+ *       priority: 'emergency' | 'high' | 'normal' | 'low',
+ *       enqueuedAt: number    // 入队时间
+ *     },
+ *     pending: [...]          // 等待下发的指令，按下发顺序排列，格式同 current
+ *   },
+ *   timestamp: number
+ * }
+ */
+exports.getCommandQueue = asyncHandler(async (req, res) => {
+    sendSuccess(res, await data.getCommandQueue(req.robotId));
+});
+
+/**
+ * 清空指令队列
+ * 请求方式: DELETE
+ * 路径: /api/robot/queue 或 /api/robots/:robotId/queue
+ * 
+ * 等待中的指令全部取消（其请求返回 state: 'cancelled'），正在下发的指令不受影响
+ * 
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: { cleared: number },   // 取消的指令条数
+ *   message: '已清除 3 条指令',
+ *   timestamp: number
+ * }
+ */
+exports.clearCommandQueue = asyncHandler(async (req, res) => {
+    const cleared = await data.clearCommandQueue(req.robotId);
+    sendSuccess(res, { cleared }, { message: `已清除 ${cleared} 条指令` });
+});
+
+// ============================================================
+// 急停相关接口
+// ============================================================
+
+/**
+ * 查询急停状态
+ * 请求方式: GET
+ * 路径: /api/robot/estop 或 /api/robots/:robotId/estop
+ * 
+ * 返回数据结构: data 同 getStatus 中的 estop
+ */
+exports.getEmergencyStop = asyncHandler(async (req, res) => {
+    sendSuccess(res, await data.getEmergencyStop(req.robotId));
+});
+
+/**
+ * 急停
+ * 请求方式: POST
+ * 路径: /api/robot/estop 或 /api/robots/:robotId/estop
+ * 
+ * 请求体格式 (可选): { reason?: string }
+ * 
+ * 急停绕过指令队列立即下发，并锁定急停: 之后除 stop 外的指令和任务启动都返回423，
+ * 直到管理员调用 /estop/reset 复位；等待中的指令被取消，进行中的任务暂停
+ * 已处于锁定时再次下发急停，锁定信息保持不变
+ * 
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: {
+ *     estop: {...},            // 急停状态，同 getStatus 中的 estop
+ *     dispatch: {              // 急停消息的下发结果
+ *       executed: boolean,
+ *       estop: 'engage',
+ *       commandId: string,
+ *       state: string,
+ *       message: string
+ *     },
+ *     cleared: number,         // 取消的排队指令条数
+ *     pausedTasks: number[],   // 暂停的任务ID
+ *     pausedMissions: number[] // 暂停的航线任务ID
+ *   },
+ *   message: string,
+ *   timestamp: number
+ * }
+ */
+exports.engageEmergencyStop = asyncHandler(async (req, res) => {
+    const { reason } = req.body || {};
+
+    if (reason !== undefined && typeof reason !== 'string') {
+        return sendError(res, 'reason 必须是字符串', 400);
+    }
+
+    const result = await data.engageEmergencyStop(req.robotId, { actor: actorOf(req), reason });
+    sendSuccess(res, result, { message: `机器人 ${req.robotId} 急停已锁定` });
+});
+
+/**
+ * 复位急停
+ * 请求方式: POST
+ * 路径: /api/robot/estop/reset 或 /api/robots/:robotId/estop/reset
+ * 
+ * 只有管理员可以复位 (角色校验见 routes/robot.js)，
+ * 未处于锁定返回409；复位后暂停的任务需手动继续
+ * 
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: {
+ *     estop: {...},            // 复位后的急停状态
+ *     dispatch: {...}          // 复位消息的下发结果，estop 为 'reset'
+ *   },
+ *   message: string,
+ *   timestamp: number
+ * }
+ */
+exports.resetEmergencyStop = asyncHandler(async (req, res) => {
+    const result = await data.resetEmergencyStop(req.robotId, { actor: actorOf(req) });
+    sendSuccess(res, result, { message: `机器人 ${req.robotId} 急停已复位` });
+});
+
 // ============================================================
 // 传感器数据相关接口
 // ============================================================
@@ -218,7 +623,7 @@ exports.sendCommand = asyncHandler(async (req, res) => {
 /**
  * 获取传感器数据
  * 请求方式: GET
- * 路径: /api/sensors
+ * 路径: /api/sensors 或 /api/robots/:robotId/sensors
  * 
  * 返回数据结构:
  * {
@@ -237,15 +642,29 @@ exports.sendCommand = asyncHandler(async (req, res) => {
  */
 exports.getSensors = asyncHandler(async (req, res) => {
     // 从数据层获取传感器数据
-    const result = await data.getSensorData();
+    const result = await data.getSensorData(req.robotId);
     // 返回成功响应
     sendSuccess(res, result);
 });
 
+/**
+ * 获取传感器数据历史
+ * 请求方式: GET
+ * 路径: /api/sensors/history 或 /api/robots/:robotId/sensors/history
+ * 
+ * 查询参数: 同 getStatusHistory，
+ *   fields 可选 soilHumidity,soilTemp,light,airHumidity
+ * 
+ * 返回数据结构: 同 getStatusHistory，kind 为 'sensors'
+ */
+exports.getSensorHistory = asyncHandler(async (req, res) => {
+    await sendHistory(req, res, 'sensors');
+});
+
 /**
  * 更新传感器数据
  * 请求方式: POST
- * 路径: /api/sensors
+ * 路径: /api/sensors 或 /api/robots/:robotId/sensors
  * 
  * 请求体格式:
  * {
@@ -279,6 +698,12 @@ exports.updateSensors = asyncHandler(async (req, res) => {
         return sendError(res, '请至少提供一个传感器数据字段', 400);
     }
     
+    // 字段类型和范围校验，如 soilHumidity 0-100
+    const errors = schema.validate(SCHEMAS.sensorData, sensorData);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
     // 🔔 控制器层日志
     console.log('='.repeat(60));
     console.log(`[Controller] 收到传感器数据更新请求 - ${new Date().toLocaleString()}`);
@@ -286,7 +711,7 @@ exports.updateSensors = asyncHandler(async (req, res) => {
     console.log('='.repeat(60));
     
     // 更新传感器数据
-    const updatedData = mockData.updateSensorData(sensorData);
+    const updatedData = await data.updateSensorData(req.robotId, sensorData);
     
     // 🔔 控制器层日志
     console.log(`[Controller] 更新后的数据:`, updatedData);
@@ -304,64 +729,111 @@ exports.updateSensors = asyncHandler(async (req, res) => {
 /**
  * 获取任务列表
  * 请求方式: GET
- * 路径: /api/tasks
+ * 路径: /api/tasks 或 /api/robots/:robotId/tasks
  * 
  * 返回数据结构:
  * {
  *   success: true,
  *   data: [
  *     {
- *       id: number,             // 任务ID
+ *       id: number,             // 任务ID（全局递增，不复用）
+ *       robotId: string,        // 所属机器人
  *       name: string,           // 任务名称
- *       status: 'active' | 'pending' | 'done',  // 任务状态
- *       progress: number        // 完成进度 %
+ *       status: 'pending' | 'active' | 'paused' | 'done' | 'failed' | 'cancelled',  // 任务状态
+ *       progress: number,       // 完成进度 %
+ *       createdAt: number,      // 创建时间
+ *       updatedAt: number,      // 最后修改时间
+ *       history: [              // 状态转换历史
+ *         { from: string | null, to: string, at: number, actor: string, reason?: string }
+ *       ]
  *     }
  *   ],
  *   timestamp: number
  * }
  * 
  * 🔌 槽位说明: 
- * 对接真实硬件时，从数据库查询任务列表
+ * 任务由本地任务仓库 (data/taskRepository.js) 持久化，与数据源类型无关
  */
 exports.getTasks = asyncHandler(async (req, res) => {
     // 从数据层获取任务列表
-    const data = mockData.getTasks();
+    const result = await data.getTasks(req.robotId);
     // 返回成功响应
-    sendSuccess(res, data);
+    sendSuccess(res, result);
 });
 
 /**
  * 创建新任务
  * 请求方式: POST
- * 路径: /api/tasks
+ * 路径: /api/tasks 或 /api/robots/:robotId/tasks
  * 
  * 请求体格式:
  * {
- *   name: string,             // 任务名称 (必填)
- *   status?: string,          // 任务状态 (可选，默认pending)
- *   progress?: number         // 完成进度 (可选，默认0)
+ *   name: string,             // 任务名称 (提供 action 时可选，默认由区域和作业生成，如 "A区灌溉作业")
+ *   progress?: number,        // 完成进度 (可选，默认0)
+ *   action?: string,          // 启动时下发的作业 (可选): irrigation | fertilize | scan | harvest
+ *   zone?: string,            // 作业区域 (可选)
+ *   zoneId?: number,          // 作业地块 (可选)，须由该机器人负责；作业覆盖只计入该地块，未提供 zone 时取地块名称
+ *   params?: Object,          // 作业参数 (可选)，随作业原样下发给机器人
+ *   schedule?: {              // 执行计划 (可选)，由调度器到期自动启动
+ *     startAt?: number | string,  // 一次性执行时间，或周期计划的生效时间
+ *     cron?: string,          // cron 表达式 "分 时 日 月 周"，如 "0 6 * * *"
+ *     every?: number | string // 执行间隔，如 3600000 或 "1h"、"2d"
+ *   }
  * }
  * 
+ * 新任务的状态总是 pending，之后通过 POST /api/tasks/:id/start 等接口改变状态
+ * 绑定作业的任务启动时把作业下发给机器人，进度由机器人反馈更新
+ * 带 cron / every 的周期任务是执行计划，每次执行生成一个新任务 (planId 指向计划)
+ * 
  * 返回数据结构:
  * {
  *   success: true,
  *   data: {
  *     id: number,
+ *     robotId: string,
  *     name: string,
  *     status: string,
- *     progress: number
+ *     progress: number,
+ *     createdAt: number,
+ *     updatedAt: number,
+ *     action: string | null,
+ *     zone: string | null,
+ *     zoneId: number | null,
+ *     params: Object,
+ *     schedule: { startAt, cron, every } | null,
+ *     nextRunAt: number | null, // 下一次计划执行时间
+ *     lastRunAt: number | null, // 上一次计划执行时间
+ *     planId: number | null     // 所属周期计划
  *   },
  *   message: string,
  *   timestamp: number
  * }
  * 
  * 🔌 槽位说明: 
- * 对接真实硬件时，将任务保存到数据库
+ * 任务写入本地任务仓库 (storage/tasks.json)
  */
 exports.createTask = asyncHandler(async (req, res) => {
-    const { name, status, progress } = req.body;
+    const { status, progress } = req.body;
+    
+    if (status !== undefined && status !== 'pending') {
+        return sendError(res, '新任务的状态只能是 pending，请创建后调用 POST /api/tasks/:id/start 等接口', 400);
+    }
+    
+    const errors = schema.validate(SCHEMAS.task, req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
     
-    // 参数验证 - name是必填字段
+    let plan;
+    try {
+        plan = parseTaskPlan(req.body);
+    } catch (error) {
+        return sendError(res, error.message, 400);
+    }
+    await resolveTaskZone(req.robotId, plan);
+    
+    // 参数验证 - 未绑定作业时 name 是必填字段
+    const name = req.body.name || (plan.action ? `${plan.zone || ''}${ACTIONS[plan.action]}作业` : null);
     if (!name) {
         return sendError(res, '缺少必填字段: name', 400);
     }
@@ -369,11 +841,11 @@ exports.createTask = asyncHandler(async (req, res) => {
     // 🔔 控制器层日志
     console.log('='.repeat(60));
     console.log(`[Controller] 收到创建任务请求 - ${new Date().toLocaleString()}`);
-    console.log(`[Controller] 请求数据:`, { name, status, progress });
+    console.log(`[Controller] 请求数据:`, { name, progress, ...plan });
     console.log('='.repeat(60));
     
     // 创建任务
-    const newTask = mockData.createTask({ name, status, progress });
+    const newTask = await data.createTask(req.robotId, { name, progress, ...plan }, actorOf(req));
     
     // 🔔 控制器层日志
     console.log(`[Controller] 创建的任务:`, newTask);
@@ -387,30 +859,42 @@ exports.createTask = asyncHandler(async (req, res) => {
 /**
  * 更新任务
  * 请求方式: PUT
- * 路径: /api/tasks/:id
+ * 路径: /api/tasks/:id 或 /api/robots/:robotId/tasks/:id
  * 
  * 请求体格式:
  * {
  *   name?: string,            // 任务名称 (可选)
- *   status?: string,          // 任务状态 (可选)
- *   progress?: number         // 完成进度 (可选)
+ *   progress?: number,        // 完成进度 (可选，已结束的任务、绑定作业的任务不能修改)
+ *   action?: string | null,   // 启动时下发的作业 (可选)
+ *   zone?: string | null,     // 作业区域 (可选)
+ *   zoneId?: number | null,   // 作业地块 (可选)
+ *   params?: Object | null,   // 作业参数 (可选)
+ *   schedule?: Object | null  // 执行计划 (可选，格式同 createTask，null 取消计划)
  * }
  * 
+ * action、zone、zoneId、params、schedule 只有 pending 任务可以修改
+ * 绑定作业的任务进度由机器人反馈更新 (POST /api/tasks/:id/progress)，不能手动修改
+ * 
+ * 不能通过此接口修改状态 (status)，请使用 POST /api/tasks/:id/start 等接口
+ * 
  * 返回数据结构:
  * {
  *   success: true,
  *   data: {
  *     id: number,
+ *     robotId: string,
  *     name: string,
  *     status: string,
- *     progress: number
+ *     progress: number,
+ *     createdAt: number,
+ *     updatedAt: number       // 更新为当前时间
  *   },
  *   message: string,
  *   timestamp: number
  * }
  * 
  * 🔌 槽位说明: 
- * 对接真实硬件时，更新数据库中的任务
+ * 更新本地任务仓库中的任务
  */
 exports.updateTask = asyncHandler(async (req, res) => {
     const taskId = parseInt(req.params.id);
@@ -425,6 +909,23 @@ exports.updateTask = asyncHandler(async (req, res) => {
         return sendError(res, '请至少提供一个更新字段', 400);
     }
     
+    if (updateData.status !== undefined) {
+        return sendError(res, '不能直接修改任务状态，请使用 POST /api/tasks/:id/start|pause|resume|complete|fail|cancel', 400);
+    }
+    
+    const errors = schema.validate(SCHEMAS.task, updateData);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
+    let plan;
+    try {
+        plan = parseTaskPlan(updateData);
+    } catch (error) {
+        return sendError(res, error.message, 400);
+    }
+    await resolveTaskZone(req.robotId, plan);
+    
     // 🔔 控制器层日志
     console.log('='.repeat(60));
     console.log(`[Controller] 收到更新任务请求 - ${new Date().toLocaleString()}`);
@@ -432,8 +933,15 @@ exports.updateTask = asyncHandler(async (req, res) => {
     console.log(`[Controller] 更新数据:`, updateData);
     console.log('='.repeat(60));
     
-    // 更新任务
-    const updatedTask = mockData.updateTask(taskId, updateData);
+    if (updateData.progress !== undefined) {
+        const task = await data.getTask(req.robotId, taskId);
+        if (task && task.action) {
+            return sendError(res, `任务 #${taskId} 绑定了作业，进度由机器人反馈更新，不能手动修改`, 409);
+        }
+    }
+    
+    // 更新任务 - 已结束的任务修改进度、非 pending 任务修改作业或计划时返回409
+    const updatedTask = await data.updateTask(req.robotId, taskId, { ...updateData, ...plan });
     
     if (!updatedTask) {
         return sendError(res, `任务 #${taskId} 不存在`, 404);
@@ -448,10 +956,149 @@ exports.updateTask = asyncHandler(async (req, res) => {
     sendSuccess(res, updatedTask, { message: '任务更新成功' });
 });
 
+/**
+ * 预览接下来的计划执行
+ * 请求方式: GET
+ * 路径: /api/tasks/upcoming 或 /api/robots/:robotId/tasks/upcoming
+ * 
+ * 查询参数 (均可选):
+ *   until - 截止时间，毫秒时间戳或 ISO 时间，默认 7 天后
+ *   limit - 最多返回条数，默认 20，最大 100
+ * 
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       taskId: number,         // 任务 (或周期计划) ID
+ *       name: string,
+ *       action: string | null,  // 执行时下发的作业
+ *       runAt: number,          // 计划执行时间
+ *       recurring: boolean      // 是否为周期计划
+ *     }
+ *   ],
+ *   timestamp: number
+ * }
+ * 
+ * 周期计划展开为多次执行，按 runAt 升序
+ */
+exports.getUpcomingTasks = asyncHandler(async (req, res) => {
+    let until;
+    try {
+        until = req.query.until !== undefined ? parseTime(req.query.until, 'until') : Date.now() + 7 * DAY;
+    } catch (error) {
+        return sendError(res, error.message, 400);
+    }
+    
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : 20;
+    if (!Number.isInteger(limit) || limit < 1 || limit > 100) {
+        return sendError(res, 'limit 必须是 1-100 的整数', 400);
+    }
+    
+    const result = await scheduler.upcoming(req.robotId, { limit, until });
+    sendSuccess(res, result);
+});
+
+/**
+ * 改变任务状态
+ * 请求方式: POST
+ * 路径: /api/tasks/:id/:action 或 /api/robots/:robotId/tasks/:id/:action
+ *   action: start | pause | resume | complete | fail | cancel
+ * 
+ * 状态转换:
+ *   start    pending -> active
+ *   pause    active -> paused
+ *   resume   paused -> active
+ *   complete active -> done (进度置为100)
+ *   fail     active / paused -> failed
+ *   cancel   pending / active / paused -> cancelled
+ * 
+ * 绑定作业的任务: start / resume 时先检查状态转换，再通过 handleAction 下发作业、改变状态；
+ * 作业未送达、被机器人拒绝或确认超时时任务转为 failed，
+ * 下发出错 (如急停锁定 423) 时任务状态不变；
+ * 进行中的任务 pause / fail / cancel 时发送 stop 指令
+ * 
+ * 请求体格式 (可选):
+ * {
+ *   reason?: string           // 原因，记录在状态历史中
+ * }
+ * 
+ * 返回数据结构: 同 updateTask，history 末尾为本次转换；
+ * 下发了作业或停止指令时额外返回 dispatch: { executed, action/command, message }
+ * 
+ * 当前状态不允许该操作时返回409，急停锁定期间 start / resume 返回423
+ */
+exports.transitionTask = asyncHandler(async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    const { action } = req.params;
+    const reason = req.body && req.body.reason;
+    
+    if (isNaN(taskId)) {
+        return sendError(res, '无效的任务ID', 400);
+    }
+    
+    const result = await runner.transition(req.robotId, taskId, action, { actor: actorOf(req), reason });
+    
+    if (!result) {
+        return sendError(res, `任务 #${taskId} 不存在`, 404);
+    }
+    
+    const { task, dispatch } = result;
+    sendSuccess(res, task, {
+        message: `任务状态已变更为 ${task.status}`,
+        ...(dispatch && { dispatch })
+    });
+});
+
+/**
+ * 上报任务作业进度
+ * 请求方式: POST
+ * 路径: /api/tasks/:id/progress 或 /api/robots/:robotId/tasks/:id/progress
+ * 
+ * 供 HTTP 网关等不主动推送的数据源上报机器人反馈，
+ * MQTT、串口、WebSocket 数据源的机器人直接推送作业进度，无需调用此接口
+ * 
+ * 请求体格式:
+ * {
+ *   progress?: number,        // 完成进度 0-100
+ *   status?: 'done' | 'failed', // 作业结束时上报，任务转为 done / failed
+ *   message?: string          // 说明，记入状态历史
+ * }
+ * 
+ * 返回数据结构: 同 updateTask
+ * 
+ * 任务不在执行中 (active / paused) 时返回409
+ */
+exports.reportTaskProgress = asyncHandler(async (req, res) => {
+    const taskId = parseInt(req.params.id);
+    const { progress, status, message } = req.body || {};
+    
+    if (isNaN(taskId)) {
+        return sendError(res, '无效的任务ID', 400);
+    }
+    
+    if (progress === undefined && status === undefined) {
+        return sendError(res, '请提供 progress 或 status', 400);
+    }
+    
+    const errors = schema.validate(SCHEMAS.taskProgress, req.body);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
+    const task = await runner.reportProgress(req.robotId, { taskId, progress, status, message });
+    
+    if (!task) {
+        return sendError(res, `任务 #${taskId} 不存在`, 404);
+    }
+    
+    sendSuccess(res, task, { message: '作业进度已更新' });
+});
+
 /**
  * 删除任务
  * 请求方式: DELETE
- * 路径: /api/tasks/:id
+ * 路径: /api/tasks/:id 或 /api/robots/:robotId/tasks/:id
  * 
  * 返回数据结构:
  * {
@@ -461,7 +1108,7 @@ exports.updateTask = asyncHandler(async (req, res) => {
  * }
  * 
  * 🔌 槽位说明: 
- * 对接真实硬件时，从数据库删除任务
+ * 从本地任务仓库删除任务，任务ID不会被新任务复用
  */
 exports.deleteTask = asyncHandler(async (req, res) => {
     const taskId = parseInt(req.params.id);
@@ -478,7 +1125,7 @@ exports.deleteTask = asyncHandler(async (req, res) => {
     console.log('='.repeat(60));
     
     // 删除任务
-    const deleted = mockData.deleteTask(taskId);
+    const deleted = await data.deleteTask(req.robotId, taskId);
     
     if (!deleted) {
         return sendError(res, `任务 #${taskId} 不存在`, 404);
@@ -504,15 +1151,18 @@ exports.deleteTask = asyncHandler(async (req, res) => {
 /**
  * 获取作业统计
  * 请求方式: GET
- * 路径: /api/statistics
+ * 路径: /api/statistics 或 /api/robots/:robotId/statistics
  * 
  * 返回数据结构:
  * {
  *   success: true,
  *   data: {
- *     completedArea: number,    // 已完成面积(亩)
- *     totalArea: number,         // 总面积(亩)
- *     progress: number           // 完成进度 %
+ *     completedArea: number,    // 已完成面积(亩)，定义了地块时为按作业轨迹计算的覆盖面积之和
+ *     totalArea: number,         // 总面积(亩)，定义了地块时为启用地块的面积之和 (/api/zones)
+ *     progress: number,          // 完成进度 %
+ *     zones?: [                  // 定义了地块时附带各地块的覆盖情况
+ *       { id, name, crop, area, coveredArea, coverage }   // 面积(亩)，coverage 为覆盖率 %
+ *     ]
  *   },
  *   timestamp: number
  * }
@@ -522,20 +1172,20 @@ exports.deleteTask = asyncHandler(async (req, res) => {
  */
 exports.getStatistics = asyncHandler(async (req, res) => {
     // 从数据层获取统计数据
-    const data = mockData.getStatistics();
+    const result = await data.getStatistics(req.robotId);
     // 返回成功响应
-    sendSuccess(res, data);
+    sendSuccess(res, result);
 });
 
 /**
  * 更新作业统计
  * 请求方式: POST/PUT
- * 路径: /api/statistics
+ * 路径: /api/statistics 或 /api/robots/:robotId/statistics
  * 
  * 请求体格式:
  * {
- *   completedArea?: number,   // 已完成面积 (可选)
- *   totalArea?: number        // 总面积 (可选)
+ *   completedArea?: number,   // 已完成面积 (可选)，定义了地块时由作业轨迹计算，提供时返回409
+ *   totalArea?: number        // 总面积 (可选)，定义了地块时由地块面积计算，提供时返回409
  * }
  * 
  * 返回数据结构:
@@ -561,14 +1211,20 @@ exports.updateStatistics = asyncHandler(async (req, res) => {
         return sendError(res, '请至少提供一个统计字段', 400);
     }
     
+    // 字段类型和范围校验
+    const errors = schema.validate(SCHEMAS.statistics, statsData);
+    if (errors.length > 0) {
+        return sendValidationError(res, errors);
+    }
+    
     // 🔔 控制器层日志
     console.log('='.repeat(60));
     console.log(`[Controller] 收到统计数据更新请求 - ${new Date().toLocaleString()}`);
     console.log(`[Controller] 请求数据:`, statsData);
     console.log('='.repeat(60));
     
-    // 更新统计数据
-    const updatedData = mockData.updateStatistics(statsData);
+    // 更新统计数据 - 定义了地块时不能修改 totalArea、completedArea
+    const updatedData = await data.updateStatistics(req.robotId, statsData);
     
     // 🔔 控制器层日志
     console.log(`[Controller] 更新后的数据:`, updatedData);
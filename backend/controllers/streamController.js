@@ -0,0 +1,95 @@
+/**
+ * 事件流控制器模块
+ * 
+ * 功能描述:
+ * - 提供 Server-Sent Events 事件流，数据层变化时实时推送
+ * - 支持按机器人、按事件类型过滤
+ * - 支持 Last-Event-ID 断线续传（从内存重放缓冲区补发）
+ * 
+ * 使用示例:
+ *   curl -N http://localhost:3000/api/stream
+ *   curl -N http://localhost:3000/api/stream?events=status,alert
+ *   curl -N -H "Last-Event-ID: mkx3b2c0-42" http://localhost:3000/api/robots/robot-001/stream
+ * 
+ * 文件路径: backend/controllers/streamController.js
+ */
+
+// SSE事件中心 - 维护客户端连接和重放缓冲区
+const sseHub = require('../realtime/sseHub');
+
+// 统一响应格式工具
+const { sendError } = require('./response');
+
+// ============================================================
+// 工具函数
+// ============================================================
+
+/**
+ * 解析要接收的事件类型
+ * @param {string} query - 逗号分隔的事件类型，为空时接收全部
+ * @returns {Array<string>} 事件类型数组
+ * @throws {Error} 包含未知事件类型时抛出
+ */
+function parseEventTypes(query) {
+    if (!query) return sseHub.EVENT_TYPES;
+
+    const types = query.split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !sseHub.EVENT_TYPES.includes(type));
+
+    if (unknown.length > 0) {
+        throw new Error(`未知的事件类型: ${unknown.join(', ')}`);
+    }
+    return types;
+}
+
+/**
+ * 解析客户端已收到的最后一条事件ID
+ * 浏览器 EventSource 重连时自动带 Last-Event-ID 请求头，
+ * 也可以用 lastEventId 查询参数手动指定
+ * @param {Object} req - Express请求对象
+ * @returns {string|null} 事件ID，未提供时返回 null
+ */
+function parseLastEventId(req) {
+    const value = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    return value ? String(value).trim() : null;
+}
+
+// ============================================================
+// 事件流接口
+// ============================================================
+
+/**
+ * 订阅事件流
+ * 请求方式: GET
+ * 路径: /api/stream (全部机器人) 或 /api/robots/:robotId/stream
+ * 
+ * 查询参数:
+ *   events?: string        // 逗号分隔的事件类型，默认全部
+ *                          // status | sensors | tasks | statistics | connection | alert
+ *   lastEventId?: string   // 等同于 Last-Event-ID 请求头
+ * 
+ * 响应格式 (text/event-stream):
+ *   id: mkx3b2c0-12
+ *   event: status
+ *   data: {"robotId":"robot-001","data":{...},"timestamp":1769737700120}
+ */
+exports.stream = (req, res) => {
+    let types;
+    try {
+        types = parseEventTypes(req.query.events);
+    } catch (error) {
+        return sendError(res, error.message, 400);
+    }
+
+    const lastEventId = parseLastEventId(req);
+
+    console.log(`[SSE] 客户端订阅事件流: ${req.robotId || '全部机器人'} [${types.join(', ')}]` +
+        (lastEventId !== null ? ` (从 #${lastEventId} 续传)` : ''));
+
+    sseHub.addClient(res, {
+        robotId: req.robotId || null,
+        types,
+        lastEventId
+    });
+};
@@ -0,0 +1,193 @@
+/**
+ * 地块控制器模块
+ *
+ * 功能描述:
+ * - 地块（作业区域）的增删改查，地块包含名称、作物和边界多边形
+ * - 面积按边界计算（平方米、亩、公顷），作业统计的总面积为启用地块的面积之和
+ * - 作业统计的已完成面积为按作业轨迹计算的覆盖面积 (data/coverage.js)，可按地块清空
+ * - 地块校验和面积计算见 data/zones.js
+ *
+ * 使用示例:
+ *   curl -X POST http://localhost:3000/api/zones \
+ *        -H "Content-Type: application/json" \
+ *        -d '{"name":"A区","crop":"小麦","boundary":{"type":"Polygon","coordinates":[[[116.398,40.195],[116.401,40.195],[116.401,40.198],[116.398,40.198]]]}}'
+ *   curl http://localhost:3000/api/zones
+ *
+ * 文件路径: backend/controllers/zoneController.js
+ */
+
+// 数据层接口
+const data = require('../data/dataSource');
+
+// 机器人登记
+const fleet = require('../data/fleet');
+
+// 统一响应格式工具
+const { sendSuccess, sendError, asyncHandler } = require('./response');
+
+/**
+ * 解析路径中的地块ID
+ * @param {Object} req - 请求对象
+ * @returns {number} 地块ID，无效时为 NaN
+ */
+const zoneIdOf = req => parseInt(req.params.id);
+
+// ============================================================
+// 地块接口
+// ============================================================
+
+/**
+ * 查询地块列表
+ * 请求方式: GET
+ * 路径: /api/zones
+ *
+ * 查询参数 (均可选):
+ *   robotId - 只返回该机器人负责的地块
+ *   active  - true / false，只返回启用 / 停用的地块
+ *
+ * 返回数据结构:
+ * {
+ *   success: true,
+ *   data: [
+ *     {
+ *       id: number,
+ *       name: string,
+ *       crop: string | null,            // 作物
+ *       boundary: { type: 'Polygon', coordinates: [[[lon, lat], ...]] },
+ *       area: {
+ *         squareMeters: number,         // 平方米
+ *         mu: number,                   // 亩
+ *         hectares: number              // 公顷
+ *       },
+ *       robotIds: string[] | null,      // 负责作业的机器人，null 为全部
+ *       active: boolean,                // 停用的地块不计入总面积
+ *       createdAt: number,
+ *       updatedAt: number
+ *     }
+ *   ],
+ *   timestamp: number
+ * }
+ */
+exports.listZones = asyncHandler(async (req, res) => {
+    const { robotId, active } = req.query;
+
+    if (robotId !== undefined && !fleet.hasRobot(robotId)) {
+        return sendError(res, `机器人 ${robotId} 不存在`, 404);
+    }
+    if (active !== undefined && active !== 'true' && active !== 'false') {
+        return sendError(res, 'active 必须是 true 或 false', 400);
+    }
+
+    const result = await data.listZones({ robotId, active: active === undefined ? undefined : active === 'true' });
+    sendSuccess(res, result);
+});
+
+/**
+ * 查询单个地块
+ * 请求方式: GET
+ * 路径: /api/zones/:id
+ *
+ * 返回数据结构: 同 listZones 中的一项，地块不存在时返回404
+ */
+exports.getZone = asyncHandler(async (req, res) => {
+    const zoneId = zoneIdOf(req);
+    if (isNaN(zoneId)) {
+        return sendError(res, '无效的地块ID', 400);
+    }
+
+    const result = await data.getZone(zoneId);
+    if (!result) {
+        return sendError(res, `地块 #${zoneId} 不存在`, 404);
+    }
+
+    sendSuccess(res, result);
+});
+
+/**
+ * 创建地块
+ * 请求方式: POST
+ * 路径: /api/zones
+ *
+ * 请求体格式:
+ * {
+ *   name: string,             // 必填，如 "A区"
+ *   crop?: string | null,     // 作物
+ *   boundary: GeoJSON,        // 必填，Polygon 或其 Feature，坐标为 [经度, 纬度]，可带内环（洞）
+ *   robotIds?: string[] | null, // 负责作业的机器人，默认 null（全部）
+ *   active?: boolean          // 默认 true
+ * }
+ *
+ * 返回数据结构: 同 getZone
+ * 字段无效时返回400，信息以字段名开头
+ */
+exports.createZone = asyncHandler(async (req, res) => {
+    const result = await data.createZone(req.body || {});
+
+    sendSuccess(res, result, { message: `地块 #${result.id} 已创建，面积 ${result.area.mu} 亩` });
+});
+
+/**
+ * 修改地块
+ * 请求方式: PUT
+ * 路径: /api/zones/:id
+ *
+ * 请求体格式: 同 createZone，字段均可选；修改边界时重新计算面积
+ *
+ * 返回数据结构: 同 getZone，地块不存在时返回404
+ */
+exports.updateZone = asyncHandler(async (req, res) => {
+    const zoneId = zoneIdOf(req);
+    if (isNaN(zoneId)) {
+        return sendError(res, '无效的地块ID', 400);
+    }
+
+    const result = await data.updateZone(zoneId, req.body || {});
+
+    if (!result) {
+        return sendError(res, `地块 #${zoneId} 不存在`, 404);
+    }
+
+    sendSuccess(res, result, { message: `地块 #${zoneId} 已更新` });
+});
+
+/**
+ * 删除地块
+ * 请求方式: DELETE
+ * 路径: /api/zones/:id
+ *
+ * 地块不存在时返回404
+ */
+exports.deleteZone = asyncHandler(async (req, res) => {
+    const zoneId = zoneIdOf(req);
+    if (isNaN(zoneId)) {
+        return sendError(res, '无效的地块ID', 400);
+    }
+
+    const deleted = await data.deleteZone(zoneId);
+    if (!deleted) {
+        return sendError(res, `地块 #${zoneId} 不存在`, 404);
+    }
+
+    sendSuccess(res, null, { message: `地块 #${zoneId} 已删除` });
+});
+
+/**
+ * 清空地块的作业覆盖
+ * 请求方式: DELETE
+ * 路径: /api/zones/:id/coverage
+ *
+ * 作业统计中该地块的已覆盖面积归零，如新一季作业开始前；地块不存在时返回404
+ */
+exports.resetZoneCoverage = asyncHandler(async (req, res) => {
+    const zoneId = zoneIdOf(req);
+    if (isNaN(zoneId)) {
+        return sendError(res, '无效的地块ID', 400);
+    }
+
+    const result = await data.resetZoneCoverage(zoneId);
+    if (!result) {
+        return sendError(res, `地块 #${zoneId} 不存在`, 404);
+    }
+
+    sendSuccess(res, null, { message: `地块 #${zoneId} 的作业覆盖已清空` });
+});
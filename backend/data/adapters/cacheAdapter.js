@@ -0,0 +1,463 @@
+/**
+ * 缓存型适配器基础模块
+ *
+ * 功能描述:
+ * - 为推送型数据源（MQTT、串口、WebSocket）提供公共实现
+ * - 为每台机器人维护一份独立缓存，存储从数据源接收的最新数据
+ * - 基于缓存实现数据读取、数据写入接口
+ * - 控制指令通过各适配器提供的 send 函数发往对应机器人，每条指令带ID，
+ *   机器人回复的确认 (ack) 更新指令状态 (data/commands.js)
+ * - 推送数据写入缓存时发布变更事件 (data/events.js)
+ * - 推送数据中的 taskProgress（作业进度反馈）不写入缓存，发布 taskProgress 事件
+ * - 推送数据中的 ack（指令确认）不写入缓存，交给指令跟踪模块
+ * - 推送的状态、传感器、统计数据按 data/schema.js 的规则校验，不合法的整段丢弃，
+ *   丢弃次数和最近一次的原因记录在连接状态中 (rejected / lastRejection)
+ *
+ * 连接状态:
+ * - 传输层连接（MQTT/串口/WebSocket 链路）由适配器通过 setConnected 维护
+ * - 单台机器人在链路正常且 offlineTimeout 内有数据更新时视为在线
+ *
+ * 使用方式:
+ *   const base = createCacheAdapter({ type: 'mqtt', send: (robotId, message) => {...} });
+ *   return { ...base, init, close };
+ *
+ * 文件路径: backend/data/adapters/cacheAdapter.js
+ */
+
+const { COMMANDS, ACTIONS, MISSION_OPERATIONS } = require('../constants');
+const fleet = require('../fleet');
+const events = require('../events');
+const commands = require('../commands');
+const { describeParams } = require('../motion');
+const zones = require('../zones');
+const schema = require('../schema');
+
+/**
+ * 推送数据字段 -> [事件通道, 校验规则]
+ */
+const CACHE_SCHEMAS = {
+    robot: ['status', schema.SCHEMAS.hardwareStatus],
+    sensors: ['sensors', schema.SCHEMAS.hardwareSensors],
+    statistics: ['statistics', schema.SCHEMAS.hardwareStatistics]
+};
+
+/**
+ * 创建一份空缓存
+ * @returns {Object} 缓存对象
+ */
+const createCache = () => ({
+    robot: {
+        battery: 0,
+        speed: 0,
+        temperature: 0,
+        coordinates: { lat: 0, lon: 0 }
+    },
+    sensors: {
+        soilHumidity: 0,
+        soilTemp: 0,
+        light: 0,
+        airHumidity: 0
+    },
+    tasks: [],
+    statistics: {
+        completedArea: 0,
+        totalArea: 0,
+        progress: 0
+    },
+    lastUpdate: null,
+    // 校验失败被丢弃的推送数据次数，以及最近一次的 { at, channel, message }
+    rejected: 0,
+    lastRejection: null
+});
+
+/**
+ * 创建缓存型适配器
+ * @param {Object} options - 适配器选项
+ * @param {string} options.type - 数据源类型名，用于日志和连接状态
+ * @param {Function} options.send - 发送函数 (robotId, message)，message 为 { type, id, command }、
+ *   { type, id, action, taskId?, zone?, params?, progress? } 或 { type: 'estop', id, estop: 'engage' | 'reset' }，
+ *   未连接或发送失败时抛出异常
+ * @returns {Object} 适配器基础实现，包含 getCache、updateCache、setConnected 及全部数据接口
+ */
+function createCacheAdapter({ type, send }) {
+
+    // ============================================================
+    // 数据缓存 - robotId -> 该机器人的最新数据
+    // ============================================================
+
+    const caches = new Map();
+
+    // 传输层连接状态
+    let isConnected = false;
+
+    // ============================================================
+    // 缓存维护
+    // ============================================================
+
+    /**
+     * 获取机器人缓存，不存在时创建
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 缓存对象
+     */
+    function getCache(robotId) {
+        if (!caches.has(robotId)) {
+            caches.set(robotId, createCache());
+        }
+        return caches.get(robotId);
+    }
+
+    /**
+     * 丢弃校验失败的推送数据，只保留合法的部分
+     * @param {string} robotId - 机器人ID
+     * @param {Object} data - 接收到的数据
+     * @returns {Object} 去掉不合法字段组后的数据
+     */
+    function rejectInvalid(robotId, data) {
+        const cache = getCache(robotId);
+        const accepted = { ...data };
+
+        Object.entries(CACHE_SCHEMAS).forEach(([key, [channel, rule]]) => {
+            if (data[key] === undefined) return;
+
+            const errors = schema.validate(rule, data[key], channel);
+            if (errors.length === 0) return;
+
+            delete accepted[key];
+            cache.rejected++;
+            cache.lastRejection = { at: Date.now(), channel, message: schema.describeErrors(errors) };
+            console.warn(`[DataSource] 丢弃不合法的推送数据 (${robotId} ${channel}，累计 ${cache.rejected} 次): ${cache.lastRejection.message}`);
+        });
+
+        return accepted;
+    }
+
+    /**
+     * 更新缓存数据
+     * 硬件推送的数据都经过这里写入缓存，并发布对应通道的变更事件
+     * （任务列表只写入缓存，任务接口的数据来自任务仓库）
+     * 状态、传感器、统计数据先按规则校验，不合法的部分丢弃并计数
+     * @param {string} robotId - 机器人ID
+     * @param {Object} received - 接收到的数据 { robot?, sensors?, tasks?, statistics?, taskProgress?, ack? }
+     */
+    function updateCache(robotId, received) {
+        const cache = getCache(robotId);
+        const data = rejectInvalid(robotId, received);
+
+        if (data.robot) cache.robot = { ...cache.robot, ...data.robot };
+        if (data.sensors) cache.sensors = { ...cache.sensors, ...data.sensors };
+        if (data.tasks) cache.tasks = Array.isArray(data.tasks) ? data.tasks : [];
+        if (data.statistics) cache.statistics = { ...cache.statistics, ...data.statistics };
+        cache.lastUpdate = Date.now();
+
+        if (data.robot) events.publishUpdate(robotId, 'status', getRobotStatus(robotId));
+        if (data.sensors) events.publishUpdate(robotId, 'sensors', getSensorData(robotId));
+        if (data.statistics) events.publishUpdate(robotId, 'statistics', getStatistics(robotId));
+        if (data.taskProgress) events.publishTaskProgress(robotId, data.taskProgress);
+        if (data.ack) commands.acknowledge(robotId, data.ack);
+    }
+
+    /**
+     * 设置传输层连接状态
+     * @param {boolean} connected - 是否已连接
+     */
+    function setConnected(connected) {
+        isConnected = connected;
+    }
+
+    /**
+     * 获取机器人连接状态
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 连接信息
+     */
+    function getConnectionStatus(robotId) {
+        const { lastUpdate, rejected, lastRejection } = getCache(robotId);
+
+        return {
+            type,
+            connected: isConnected && lastUpdate !== null && Date.now() - lastUpdate <= fleet.OFFLINE_TIMEOUT,
+            lastUpdate,
+            rejected,
+            lastRejection
+        };
+    }
+
+    // ============================================================
+    // 数据读取
+    // ============================================================
+
+    /**
+     * 获取机器人状态
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 机器人状态数据
+     */
+    function getRobotStatus(robotId) {
+        const cache = getCache(robotId);
+
+        return {
+            battery: cache.robot.battery,
+            speed: cache.robot.speed,
+            temperature: cache.robot.temperature,
+            coordinates: cache.robot.coordinates
+        };
+    }
+
+    /**
+     * 获取传感器数据
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 传感器数据
+     */
+    function getSensorData(robotId) {
+        const cache = getCache(robotId);
+
+        return {
+            soilHumidity: cache.sensors.soilHumidity,
+            soilTemp: cache.sensors.soilTemp,
+            light: cache.sensors.light,
+            airHumidity: cache.sensors.airHumidity
+        };
+    }
+
+    /**
+     * 获取硬件上报的任务列表
+     * 首次启动时导入任务仓库，之后的任务接口由任务仓库提供
+     * @param {string} robotId - 机器人ID
+     * @returns {Array} 任务数组
+     */
+    function getTasks(robotId) {
+        return getCache(robotId).tasks;
+    }
+
+    /**
+     * 获取作业统计
+     * 定义了地块时总面积为地块面积之和、已完成面积为作业覆盖面积之和，进度随之重新计算 (data/zones.js)
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 统计数据
+     */
+    function getStatistics(robotId) {
+        const cache = getCache(robotId);
+
+        return zones.withZoneStatistics(robotId, {
+            completedArea: cache.statistics.completedArea,
+            totalArea: cache.statistics.totalArea,
+            progress: cache.statistics.progress
+        });
+    }
+
+    // ============================================================
+    // 控制指令
+    // ============================================================
+
+    /**
+     * 创建指令记录并发送，发送失败时指令记为 failed
+     * @param {string} robotId - 机器人ID
+     * @param {Object} message - { type, command } 或 { type, action, ... }
+     * @returns {Promise<Object>} 指令记录
+     */
+    async function dispatch(robotId, message) {
+        const record = commands.create(robotId, message);
+
+        try {
+            await send(robotId, { ...message, id: record.id });
+        } catch (error) {
+            commands.fail(record.id, error.message);
+        }
+        return record;
+    }
+
+    /**
+     * 处理方向控制指令
+     * 运动参数平铺在控制消息中: { type: 'command', command, speed?, durationMs?, distance?, angle?, id }
+     * @param {string} robotId - 机器人ID
+     * @param {string} command - 指令 (forward/backward/left/right/stop)
+     * @param {Object} params - 运动参数 { speed?, durationMs?, distance?, angle? }，已校验
+     * @returns {Object} 执行结果 { executed, command, params?, commandId, state, message }
+     */
+    async function handleCommand(robotId, command, params = {}) {
+        const details = describeParams(params);
+        const commandName = (COMMANDS[command] || command) + (details ? ` (${details})` : '');
+        const record = await dispatch(robotId, { type: 'command', command, ...params });
+        const echo = record.params ? { params: record.params } : {};
+
+        if (record.state === 'failed') {
+            return {
+                executed: false,
+                command,
+                ...echo,
+                commandId: record.id,
+                state: record.state,
+                message: `指令${record.message}`
+            };
+        }
+
+        console.log(`[DataSource] 发送指令到 ${robotId}: ${commandName} (${record.id})`);
+
+        return {
+            executed: true,
+            command,
+            ...echo,
+            commandId: record.id,
+            state: record.state,
+            message: `指令已发送: ${commandName}`
+        };
+    }
+
+    /**
+     * 处理作业操作
+     * @param {string} robotId - 机器人ID
+     * @param {string} action - 操作 (irrigation/fertilize/scan/harvest)
+     * @param {Object} job - 任务下发时的作业信息 { taskId, zone, zoneId, params, progress }，手动操作时为空
+     * @returns {Object} 执行结果 { executed, action, commandId, state, message }
+     */
+    async function handleAction(robotId, action, job = {}) {
+        const actionName = ACTIONS[action] || action;
+        const record = await dispatch(robotId, { type: 'action', action, ...job });
+
+        if (record.state === 'failed') {
+            return {
+                executed: false,
+                action,
+                commandId: record.id,
+                state: record.state,
+                message: `操作${record.message}`
+            };
+        }
+
+        console.log(`[DataSource] ${robotId} 执行作业: ${actionName} (${record.id})`);
+
+        return {
+            executed: true,
+            action,
+            commandId: record.id,
+            state: record.state,
+            message: `${actionName}作业已启动`
+        };
+    }
+
+    /**
+     * 下发急停或急停复位
+     * @param {string} robotId - 机器人ID
+     * @param {boolean} engaged - true 急停，false 复位
+     * @returns {Object} 执行结果 { executed, estop, commandId, state, message }
+     */
+    async function handleEmergencyStop(robotId, engaged) {
+        const estop = engaged ? 'engage' : 'reset';
+        const label = engaged ? '急停' : '急停复位';
+        const record = await dispatch(robotId, { type: 'estop', estop });
+
+        if (record.state === 'failed') {
+            console.error(`🛑 [DataSource] ${robotId} ${label}${record.message}`);
+            return { executed: false, estop, commandId: record.id, state: record.state, message: `${label}${record.message}` };
+        }
+
+        console.warn(`🛑 [DataSource] 发送${label}到 ${robotId} (${record.id})`);
+
+        return { executed: true, estop, commandId: record.id, state: record.state, message: `${label}已发送` };
+    }
+
+    /**
+     * 下发航线任务操作
+     * 航线消息与控制指令使用同一通道: { type: 'mission', mission: 操作, missionId, speed?, waypoints?, id }
+     * @param {string} robotId - 机器人ID
+     * @param {string} operation - 操作 upload | start | pause | resume | abort
+     * @param {Object} mission - { missionId, speed?, waypoints? }
+     * @returns {Object} 执行结果 { executed, mission, missionId, commandId, state, message }
+     */
+    async function handleMission(robotId, operation, mission) {
+        const label = `航线任务 #${mission.missionId} ${MISSION_OPERATIONS[operation] || operation}`;
+        const record = await dispatch(robotId, { type: 'mission', mission: operation, ...mission });
+        const result = { mission: operation, missionId: mission.missionId, commandId: record.id, state: record.state };
+
+        if (record.state === 'failed') {
+            return { executed: false, ...result, message: `${label}${record.message}` };
+        }
+
+        console.log(`[DataSource] 发送${label}到 ${robotId} (${record.id})`);
+        return { executed: true, ...result, message: `${label}已发送` };
+    }
+
+    // ============================================================
+    // 数据写入 - 用于网关通过 REST 接口补录数据
+    // ============================================================
+
+    /**
+     * 更新机器人状态
+     * @param {string} robotId - 机器人ID
+     * @param {Object} data - { battery?, speed?, temperature?, lat?, lon? }
+     * @returns {Object} 更新后的机器人状态
+     */
+    function updateRobotStatus(robotId, data) {
+        const cache = getCache(robotId);
+        const { lat, lon, ...fields } = data;
+
+        cache.robot = { ...cache.robot, ...fields };
+        if (lat !== undefined || lon !== undefined) {
+            cache.robot.coordinates = {
+                lat: lat !== undefined ? lat : cache.robot.coordinates.lat,
+                lon: lon !== undefined ? lon : cache.robot.coordinates.lon
+            };
+        }
+        cache.lastUpdate = Date.now();
+
+        return getRobotStatus(robotId);
+    }
+
+    /**
+     * 更新传感器数据
+     * @param {string} robotId - 机器人ID
+     * @param {Object} data - { soilHumidity?, soilTemp?, light?, airHumidity? }
+     * @returns {Object} 更新后的传感器数据
+     */
+    function updateSensorData(robotId, data) {
+        const cache = getCache(robotId);
+
+        cache.sensors = { ...cache.sensors, ...data };
+        cache.lastUpdate = Date.now();
+
+        return getSensorData(robotId);
+    }
+
+    /**
+     * 更新作业统计
+     * 提供面积字段时自动重新计算完成进度
+     * @param {string} robotId - 机器人ID
+     * @param {Object} data - { completedArea?, totalArea? }
+     * @returns {Object} 更新后的统计数据
+     */
+    function updateStatistics(robotId, data) {
+        const cache = getCache(robotId);
+        const stats = { ...cache.statistics, ...data };
+
+        if (data.completedArea !== undefined || data.totalArea !== undefined) {
+            stats.progress = stats.totalArea > 0
+                ? Number((stats.completedArea / stats.totalArea * 100).toFixed(1))
+                : 0;
+        }
+
+        cache.statistics = stats;
+        cache.lastUpdate = Date.now();
+
+        return getStatistics(robotId);
+    }
+
+    return {
+        // 硬件主动推送，缓存更新时发布变更事件
+        pushUpdates: true,
+        getCache,
+        updateCache,
+        setConnected,
+        getConnectionStatus,
+        getRobotStatus,
+        getSensorData,
+        getTasks,
+        getStatistics,
+        handleCommand,
+        handleAction,
+        handleEmergencyStop,
+        handleMission,
+        updateRobotStatus,
+        updateSensorData,
+        updateStatistics
+    };
+}
+
+module.exports = createCacheAdapter;
@@ -0,0 +1,264 @@
+/**
+ * 数据库数据源适配器
+ *
+ * 功能描述:
+ * - 从数据库读取硬件网关写入的状态、传感器、统计和任务数据
+ * - 写入接口把最新快照插入对应的表/集合
+ * - tasks 表只在首次启动时读取，导入本地任务仓库
+ * - 数据库不可用时返回缓存数据
+ *
+ * 表结构 (MySQL，MongoDB 使用同名集合和字段):
+ *   robot_status (robotId, battery, speed, temperature, lat, lon, createdAt)
+ *   sensor_data  (robotId, soilHumidity, soilTemp, light, airHumidity, createdAt)
+ *   statistics   (robotId, completedArea, totalArea, progress, createdAt)
+ *   tasks        (robotId, id, name, status, progress)
+ *
+ * MySQL需要安装: npm install mysql2
+ * MongoDB需要安装: npm install mongodb
+ *
+ * 文件路径: backend/data/adapters/databaseAdapter.js
+ */
+
+const createCacheAdapter = require('./cacheAdapter');
+
+/**
+ * 创建数据库适配器
+ * @param {Object} config - dataSource 配置，使用其中的 database 字段
+ * @returns {Object} 适配器实例
+ */
+function createDatabaseAdapter(config) {
+    const options = config.database;
+    let connection = null;
+
+    // 数据库模式没有控制通道，指令无法送达，记为发送失败
+    const base = createCacheAdapter({
+        type: 'database',
+        send: () => {
+            throw new Error('数据库数据源没有控制通道');
+        }
+    });
+
+    const isMysql = () => options.type === 'mysql';
+
+    /**
+     * 获取MongoDB数据库实例
+     * @returns {Object} Db实例
+     */
+    const mongo = () => connection.db(options.database);
+
+    // ============================================================
+    // 数据库操作封装
+    // ============================================================
+
+    /**
+     * 查询机器人在表中的最新一条记录
+     * @param {string} table - 表名/集合名
+     * @param {string} robotId - 机器人ID
+     * @returns {Promise<Object|null>} 最新记录
+     */
+    async function findLatest(table, robotId) {
+        if (isMysql()) {
+            const [rows] = await connection.execute(
+                `SELECT * FROM ${table} WHERE robotId = ? ORDER BY createdAt DESC LIMIT 1`,
+                [robotId]
+            );
+            return rows[0] || null;
+        }
+        return mongo().collection(table).findOne({ robotId }, { sort: { createdAt: -1 } });
+    }
+
+    /**
+     * 插入一条记录
+     * @param {string} table - 表名/集合名
+     * @param {Object} row - 记录内容
+     */
+    async function insertRow(table, row) {
+        if (isMysql()) {
+            const columns = Object.keys(row);
+            const placeholders = columns.map(() => '?').join(', ');
+            await connection.execute(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${placeholders})`,
+                Object.values(row)
+            );
+            return;
+        }
+        await mongo().collection(table).insertOne({ ...row });
+    }
+
+    /**
+     * 执行数据库操作，未连接或出错时返回 fallback
+     * @param {Function} operation - 数据库操作
+     * @param {*} fallback - 失败时的返回值
+     * @param {string} label - 日志说明
+     */
+    async function withConnection(operation, fallback, label) {
+        if (!connection) return fallback;
+
+        try {
+            return await operation();
+        } catch (error) {
+            console.error(`[Database] ${label}失败:`, error.message);
+            return fallback;
+        }
+    }
+
+    // ============================================================
+    // 连接管理
+    // ============================================================
+
+    /**
+     * 初始化数据库连接
+     */
+    async function init() {
+        try {
+            if (isMysql()) {
+                const mysql = require('mysql2/promise');
+                connection = await mysql.createConnection({
+                    host: options.host,
+                    port: options.port,
+                    user: options.user,
+                    password: options.password,
+                    database: options.database
+                });
+                base.setConnected(true);
+                console.log('[Database] MySQL连接成功');
+
+            } else if (options.type === 'mongodb') {
+                const { MongoClient } = require('mongodb');
+                const url = `mongodb://${options.host}:${options.port}`;
+                connection = new MongoClient(url);
+                await connection.connect();
+                base.setConnected(true);
+                console.log('[Database] MongoDB连接成功');
+            }
+
+        } catch (error) {
+            connection = null;
+            console.error('[Database] 初始化失败:', error.message);
+        }
+    }
+
+    /**
+     * 关闭数据库连接
+     */
+    async function close() {
+        if (connection) {
+            // mysql2 使用 end()，MongoClient 使用 close()
+            await (isMysql() ? connection.end() : connection.close());
+            connection = null;
+            base.setConnected(false);
+            console.log('[Database] 连接已关闭');
+        }
+    }
+
+    // ============================================================
+    // 数据读取
+    // ============================================================
+
+    async function getRobotStatus(robotId) {
+        const row = await withConnection(() => findLatest('robot_status', robotId), null, '查询机器人状态');
+        if (row) {
+            const cache = base.getCache(robotId);
+            cache.robot = {
+                battery: row.battery,
+                speed: row.speed,
+                temperature: row.temperature,
+                coordinates: { lat: row.lat, lon: row.lon }
+            };
+            // 以记录写入时间判断机器人是否在线
+            cache.lastUpdate = new Date(row.createdAt).getTime();
+        }
+        return base.getRobotStatus(robotId);
+    }
+
+    async function getSensorData(robotId) {
+        const row = await withConnection(() => findLatest('sensor_data', robotId), null, '查询传感器数据');
+        if (row) {
+            base.getCache(robotId).sensors = {
+                soilHumidity: row.soilHumidity,
+                soilTemp: row.soilTemp,
+                light: row.light,
+                airHumidity: row.airHumidity
+            };
+        }
+        return base.getSensorData(robotId);
+    }
+
+    async function getTasks(robotId) {
+        const rows = await withConnection(async () => {
+            if (isMysql()) {
+                const [result] = await connection.execute(
+                    'SELECT id, name, status, progress FROM tasks WHERE robotId = ? ORDER BY id',
+                    [robotId]
+                );
+                return result;
+            }
+            return mongo().collection('tasks')
+                .find({ robotId }, { projection: { _id: 0, robotId: 0 } })
+                .sort({ id: 1 })
+                .toArray();
+        }, null, '查询任务');
+
+        if (rows) base.getCache(robotId).tasks = rows;
+        return base.getTasks(robotId);
+    }
+
+    async function getStatistics(robotId) {
+        const row = await withConnection(() => findLatest('statistics', robotId), null, '查询统计数据');
+        if (row) {
+            base.getCache(robotId).statistics = {
+                completedArea: row.completedArea,
+                totalArea: row.totalArea,
+                progress: row.progress
+            };
+        }
+        return base.getStatistics(robotId);
+    }
+
+    // ============================================================
+    // 数据写入 - 合并到缓存后插入一条完整快照
+    // ============================================================
+
+    async function updateRobotStatus(robotId, data) {
+        const status = base.updateRobotStatus(robotId, data);
+        await withConnection(() => insertRow('robot_status', {
+            robotId,
+            battery: status.battery,
+            speed: status.speed,
+            temperature: status.temperature,
+            lat: status.coordinates.lat,
+            lon: status.coordinates.lon,
+            createdAt: new Date()
+        }), null, '写入机器人状态');
+        return status;
+    }
+
+    async function updateSensorData(robotId, data) {
+        const sensors = base.updateSensorData(robotId, data);
+        await withConnection(() => insertRow('sensor_data', { robotId, ...sensors, createdAt: new Date() }), null, '写入传感器数据');
+        return sensors;
+    }
+
+    async function updateStatistics(robotId, data) {
+        const stats = base.updateStatistics(robotId, data);
+        await withConnection(() => insertRow('statistics', { robotId, ...stats, createdAt: new Date() }), null, '写入统计数据');
+        return stats;
+    }
+
+    return {
+        ...base,
+        // 按请求查询数据库，没有主动推送
+        pushUpdates: false,
+        init,
+        close,
+        getRobotStatus,
+        getSensorData,
+        getTasks,
+        getStatistics,
+        updateRobotStatus,
+        updateSensorData,
+        updateStatistics
+    };
+}
+
+module.exports = createDatabaseAdapter;
@@ -0,0 +1,196 @@
+/**
+ * HTTP数据源适配器
+ *
+ * 功能描述:
+ * - 通过HTTP接口访问机器人网关（网关接口格式与本服务一致）
+ * - 端点中的 {robotId} 替换为目标机器人ID
+ * - 读取请求失败时返回最近一次成功获取的缓存数据
+ * - 写入请求转发到网关，成功后同步更新缓存
+ * - 控制指令带ID转发到网关，网关的响应即为指令确认
+ *
+ * 文件路径: backend/data/adapters/httpAdapter.js
+ */
+
+const createCacheAdapter = require('./cacheAdapter');
+const commands = require('../commands');
+
+/**
+ * 创建HTTP适配器
+ * @param {Object} config - dataSource 配置，使用其中的 http 字段
+ * @returns {Object} 适配器实例
+ */
+function createHttpAdapter(config) {
+    const options = config.http;
+
+    /**
+     * HTTP请求封装
+     * @param {string} endpoint - API端点
+     * @param {Object} requestOptions - 请求选项
+     * @returns {Promise<Object>} 响应JSON
+     * @throws {Error} 请求失败或超时时抛出，error.status 为HTTP状态码
+     */
+    async function httpRequest(endpoint, requestOptions = {}) {
+        const url = `${options.baseUrl}${endpoint}`;
+
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), options.timeout);
+
+        try {
+            const response = await fetch(url, {
+                ...requestOptions,
+                signal: controller.signal,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...requestOptions.headers
+                }
+            });
+
+            clearTimeout(timeoutId);
+
+            if (!response.ok) {
+                const error = new Error(`HTTP ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
+
+            return await response.json();
+
+        } catch (error) {
+            clearTimeout(timeoutId);
+            console.error(`[HTTP] 请求失败: ${endpoint}`, error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * 发送JSON请求体
+     * @param {string} endpoint - API端点
+     * @param {string} method - HTTP方法
+     * @param {Object} body - 请求体
+     * @returns {Promise<Object>} 响应JSON
+     */
+    function sendJson(endpoint, method, body) {
+        return httpRequest(endpoint, { method, body: JSON.stringify(body) });
+    }
+
+    /**
+     * 生成指定机器人的端点路径
+     * @param {string} name - 端点名 (status/sensors/tasks/statistics/control)
+     * @param {string} robotId - 机器人ID
+     * @returns {string} 端点路径
+     */
+    const endpoint = (name, robotId) => options.endpoints[name].replace('{robotId}', encodeURIComponent(robotId));
+
+    // 控制指令直接POST到网关的control端点，网关的响应即为确认:
+    // 响应 success 为 false 时记为拒绝，否则记为已确认
+    const base = createCacheAdapter({
+        type: 'http',
+        send: async (robotId, { type, ...body }) => {
+            const result = await sendJson(endpoint('control', robotId), 'POST', body);
+            commands.acknowledge(robotId, {
+                id: body.id,
+                status: result && result.success === false ? 'rejected' : 'ok',
+                message: result && result.message
+            });
+        }
+    });
+
+    /**
+     * 从网关拉取数据并写入缓存，失败时保留原缓存
+     * @param {string} robotId - 机器人ID
+     * @param {string} name - 端点名
+     * @param {Function} apply - 成功时写入缓存的函数 (cache, data)
+     */
+    async function refresh(robotId, name, apply) {
+        try {
+            const result = await httpRequest(endpoint(name, robotId));
+            if (result.success) {
+                const cache = base.getCache(robotId);
+                apply(cache, result.data);
+                cache.lastUpdate = Date.now();
+            }
+        } catch (error) {
+            // 返回缓存数据
+        }
+    }
+
+    // ============================================================
+    // 连接管理
+    // ============================================================
+
+    async function init() {
+        // HTTP无常驻连接，单台机器人是否在线取决于最近一次请求是否成功
+        base.setConnected(true);
+        console.log('[HTTP] 使用HTTP API模式:', options.baseUrl);
+    }
+
+    async function close() {
+        base.setConnected(false);
+    }
+
+    // ============================================================
+    // 数据读取 - 优先请求网关，失败时返回缓存
+    // ============================================================
+
+    async function getRobotStatus(robotId) {
+        await refresh(robotId, 'status', (cache, data) => { cache.robot = data; });
+        return base.getRobotStatus(robotId);
+    }
+
+    async function getSensorData(robotId) {
+        await refresh(robotId, 'sensors', (cache, data) => { cache.sensors = data; });
+        return base.getSensorData(robotId);
+    }
+
+    async function getTasks(robotId) {
+        await refresh(robotId, 'tasks', (cache, data) => { cache.tasks = data; });
+        return base.getTasks(robotId);
+    }
+
+    async function getStatistics(robotId) {
+        await refresh(robotId, 'statistics', (cache, data) => { cache.statistics = data; });
+        return base.getStatistics(robotId);
+    }
+
+    // ============================================================
+    // 数据写入 - 转发到网关，失败时抛出异常由控制器返回错误
+    // ============================================================
+
+    async function updateRobotStatus(robotId, data) {
+        const result = await sendJson(endpoint('status', robotId), 'POST', data);
+        const cache = base.getCache(robotId);
+        cache.robot = { ...cache.robot, ...result.data };
+        return base.getRobotStatus(robotId);
+    }
+
+    async function updateSensorData(robotId, data) {
+        const result = await sendJson(endpoint('sensors', robotId), 'POST', data);
+        const cache = base.getCache(robotId);
+        cache.sensors = { ...cache.sensors, ...result.data };
+        return base.getSensorData(robotId);
+    }
+
+    async function updateStatistics(robotId, data) {
+        const result = await sendJson(endpoint('statistics', robotId), 'POST', data);
+        const cache = base.getCache(robotId);
+        cache.statistics = { ...cache.statistics, ...result.data };
+        return base.getStatistics(robotId);
+    }
+
+    return {
+        ...base,
+        // 按请求拉取网关数据，没有主动推送
+        pushUpdates: false,
+        init,
+        close,
+        getRobotStatus,
+        getSensorData,
+        getTasks,
+        getStatistics,
+        updateRobotStatus,
+        updateSensorData,
+        updateStatistics
+    };
+}
+
+module.exports = createHttpAdapter;
@@ -0,0 +1,147 @@
+/**
+ * 数据源适配器注册表
+ *
+ * 功能描述:
+ * - 登记所有可用的数据源适配器（模拟、MQTT、串口、HTTP、WebSocket、数据库）
+ * - 按类型名创建适配器实例，并检查其是否实现了完整接口
+ * - 新增数据源时只需编写适配器文件并在此注册，无需修改控制器
+ *
+ * 适配器接口:
+ * 每个适配器工厂函数接收 dataSource 配置，返回实现以下方法的对象（可为 async）:
+ *
+ *   连接管理: init() / close() / getConnectionStatus()
+ *   数据读取: getRobotStatus() / getSensorData() / getTasks() / getStatistics()
+ *   控制指令: handleCommand(command, params?) / handleAction(action, job?) / handleEmergencyStop(engaged) /
+ *             handleMission(operation, mission)
+ *             params 为方向指令的运动参数 { speed?, durationMs?, distance?, angle? }（已校验）
+ *             job 为任务启动时下发的作业信息 { taskId, zone, zoneId, params, progress }
+ *             handleEmergencyStop 不经过指令队列，通过专用通道立即下发急停 / 复位
+ *             handleMission 下发航线任务操作 upload / start / pause / resume / abort，
+ *             mission 为 { missionId, speed?, waypoints? }，只有 upload 带航点
+ *   数据写入: updateRobotStatus(data) / updateSensorData(data) / updateStatistics(data)
+ *
+ * 任务由本地任务仓库管理 (data/taskRepository.js)，适配器的 getTasks 只在首次启动时
+ * 用于导入数据源中已有的任务
+ *
+ * 使用方式:
+ *   const { createAdapter } = require('./adapters');
+ *   const adapter = createAdapter('mqtt', config.dataSource);
+ *
+ * 文件路径: backend/data/adapters/index.js
+ */
+
+// ============================================================
+// 接口定义
+// ============================================================
+
+/**
+ * 适配器必须实现的方法列表
+ * 除 init、close 外，所有方法的第一个参数都是机器人ID (robotId)
+ */
+const ADAPTER_METHODS = [
+    // 连接管理
+    'init',
+    'close',
+    'getConnectionStatus',
+
+    // 数据读取
+    'getRobotStatus',
+    'getSensorData',
+    'getTasks',
+    'getStatistics',
+
+    // 控制指令
+    'handleCommand',
+    'handleAction',
+    'handleEmergencyStop',
+    'handleMission',
+
+    // 数据写入
+    'updateRobotStatus',
+    'updateSensorData',
+    'updateStatistics'
+];
+
+/*
+ * 可选属性:
+ *   pushUpdates: boolean - 数据源是否主动推送数据（MQTT、串口等）。
+ *   为 true 时适配器需在收到数据后调用 events.publishUpdate，
+ *   实时客户端据此决定是否还需要轮询
+ */
+
+// ============================================================
+// 注册表
+// ============================================================
+
+/**
+ * 适配器工厂表
+ * 键为数据源类型名，值为工厂函数
+ */
+const registry = new Map();
+
+/**
+ * 注册适配器
+ * @param {string} type - 数据源类型名
+ * @param {Function} factory - 工厂函数，接收 dataSource 配置返回适配器实例
+ */
+function registerAdapter(type, factory) {
+    if (typeof factory !== 'function') {
+        throw new TypeError(`适配器 ${type} 的工厂必须是函数`);
+    }
+    registry.set(type, factory);
+}
+
+/**
+ * 创建适配器实例
+ * @param {string} type - 数据源类型名
+ * @param {Object} config - dataSource 配置
+ * @returns {Object} 适配器实例
+ * @throws {Error} 类型未注册或适配器接口不完整时抛出
+ */
+function createAdapter(type, config = {}) {
+    const factory = registry.get(type);
+
+    if (!factory) {
+        throw new Error(`未知的数据源类型: ${type}，可用类型: ${listAdapters().join(', ')}`);
+    }
+
+    const adapter = factory(config);
+
+    // 检查接口完整性 - 缺少方法时在启动阶段就报错，而不是等到请求时才抛异常
+    const missing = ADAPTER_METHODS.filter(name => typeof adapter[name] !== 'function');
+    if (missing.length > 0) {
+        throw new Error(`数据源适配器 ${type} 缺少方法: ${missing.join(', ')}`);
+    }
+
+    return adapter;
+}
+
+/**
+ * 获取已注册的适配器类型
+ * @returns {string[]} 类型名数组
+ */
+function listAdapters() {
+    return Array.from(registry.keys());
+}
+
+// ============================================================
+// 内置适配器注册
+// ============================================================
+
+registerAdapter('mock', require('./mockAdapter'));
+registerAdapter('mqtt', require('./mqttAdapter'));
+registerAdapter('serial', require('./serialAdapter'));
+registerAdapter('http', require('./httpAdapter'));
+registerAdapter('websocket', require('./websocketAdapter'));
+registerAdapter('database', require('./databaseAdapter'));
+
+// ============================================================
+// 模块导出
+// ============================================================
+
+module.exports = {
+    ADAPTER_METHODS,
+    registerAdapter,
+    createAdapter,
+    listAdapters
+};
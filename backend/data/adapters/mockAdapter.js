@@ -0,0 +1,773 @@
+/**
+ * 模拟数据适配器
+ *
+ * 功能描述:
+ * - 提供机器人状态、传感器数据的模拟生成
+ * - 模拟作业统计功能，提供首次启动时导入的示例任务
+ * - 模拟控制指令的执行和作业操作，指令立即确认（未知指令拒绝）
+ * - 任务下发的作业按 pushInterval 模拟推进，并上报作业进度 (taskProgress 事件)
+ * - 航线任务开始后按航点速度沿航线移动坐标，暂停、急停时停在原地
+ *
+ * 🔌 槽位说明:
+ * 此适配器中的所有数据都是模拟数据，无需任何硬件即可运行。
+ * 对接真实硬件时无需修改此文件，只需切换数据源类型:
+ *   DATA_SOURCE=mqtt npm start
+ * 或在 backend/config/config.json 中设置 dataSource.type
+ *
+ * 文件路径: backend/data/adapters/mockAdapter.js
+ */
+
+const { COMMANDS, ACTIONS, MISSION_OPERATIONS } = require('../constants');
+const fleet = require('../fleet');
+const events = require('../events');
+const commands = require('../commands');
+const { describeParams } = require('../motion');
+const geo = require('../geo');
+const zones = require('../zones');
+
+// ============================================================
+// 工具函数区
+// ============================================================
+
+/**
+ * 生成指定范围内的随机数
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number} 随机数
+ */
+const random = (min, max) => Math.random() * (max - min) + min;
+
+/**
+ * 航线任务未指定速度时的模拟行驶速度（米/秒）
+ */
+const DEFAULT_MISSION_SPEED = 1;
+
+/**
+ * 将数值限制在指定范围内
+ * @param {number} value - 要限制的值
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number} 限制后的值
+ */
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// ============================================================
+// 适配器工厂
+// ============================================================
+
+/**
+ * 创建模拟数据适配器
+ * @param {Object} config - dataSource 配置，使用其中的 mock 字段
+ * @returns {Object} 实现完整数据源接口的适配器实例
+ */
+function createMockAdapter(config) {
+    const options = config.mock;
+
+    // 模拟推送定时器
+    let pushTimer = null;
+
+    // ============================================================
+    // 状态存储区
+    // ============================================================
+
+    // 每台机器人一份独立状态: robotId -> { state, tasks, job, estop, mission }
+    // job 为正在执行的任务作业 { taskId, progress }，没有时为 null；estop 为急停是否生效
+    // mission 为已上传的航线 { missionId, speed, waypoints, index, running, movedAt }，没有时为 null
+    const robots = new Map();
+
+    /**
+     * 创建一台模拟机器人的初始状态
+     * @param {number} index - 机器人序号，用于错开各机器人的模拟坐标
+     * @returns {Object} { state, tasks, job, estop, mission }
+     */
+    function createRobotState(index) {
+        /**
+         * 内部状态对象
+         * 模拟数据库或硬件状态存储
+         */
+        const state = {
+            // ========== 机器人状态数据 ==========
+            battery: 85,              // 电池电量 (百分比 0-100)
+            speed: 1.2,                // 当前速度 (米/秒)
+            temperature: 28,           // 机器人温度 (摄氏度)
+            baseLat: 40.200 + index * 0.01,  // 模拟作业区域中心纬度
+            baseLon: 116.400,                 // 模拟作业区域中心经度
+            lat: 40.200 + index * 0.01,       // 纬度坐标 (GPS)
+            lon: 116.400,                     // 经度坐标 (GPS)
+
+            // ========== 传感器数据 ==========
+            soilHumidity: 65,          // 土壤湿度 (百分比 0-100)
+            soilTemp: 22,              // 土壤温度 (摄氏度)
+            light: 8000,               // 光照强度 (勒克斯 Lux)
+            airHumidity: 55,           // 空气湿度 (百分比 0-100)
+
+            // ========== 作业统计数据 ==========
+            completedArea: 12.5,       // 已完成作业面积 (亩)
+            totalArea: 38.2            // 总作业面积 (亩)
+        };
+
+        // 示例任务 - 首次启动时导入任务仓库
+        const tasks = [
+            {
+                id: 1,
+                name: 'A区灌溉作业',
+                status: 'active',
+                progress: 45
+            },
+            {
+                id: 2,
+                name: 'B区病虫害检测',
+                status: 'pending',
+                progress: 0
+            },
+            {
+                id: 3,
+                name: 'D区施肥作业',
+                status: 'done',
+                progress: 100
+            }
+        ];
+
+        return { state, tasks, job: null, estop: false, mission: null };
+    }
+
+    /**
+     * 获取机器人状态存储，不存在时创建
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} { state, tasks, job, estop, mission }
+     */
+    function getRobot(robotId) {
+        if (!robots.has(robotId)) {
+            robots.set(robotId, createRobotState(robots.size));
+        }
+        return robots.get(robotId);
+    }
+
+    // ============================================================
+    // 连接管理相关函数
+    // ============================================================
+
+    /**
+     * 初始化模拟数据源
+     * 模拟数据无需建立连接，按 pushInterval 定时模拟硬件推送
+     */
+    function init() {
+        console.log('[Mock] 使用模拟数据模式（无需硬件）');
+
+        if (options.pushInterval > 0) {
+            pushTimer = setInterval(pushAll, options.pushInterval);
+        }
+    }
+
+    /**
+     * 关闭模拟数据源
+     */
+    function close() {
+        clearInterval(pushTimer);
+        pushTimer = null;
+    }
+
+    /**
+     * 模拟硬件推送 - 为每台登记的机器人生成一次新数据并发布变更事件
+     */
+    function pushAll() {
+        fleet.listRobots().forEach(({ id }) => {
+            events.publishUpdate(id, 'status', getRobotStatus(id));
+            events.publishUpdate(id, 'sensors', getSensorData(id));
+            events.publishUpdate(id, 'statistics', getStatistics(id));
+            advanceJob(id);
+        });
+    }
+
+    /**
+     * 模拟作业推进 - 每次推送增加2%-6%的进度，到100%时上报完成
+     * @param {string} robotId - 机器人ID
+     */
+    function advanceJob(robotId) {
+        const robot = getRobot(robotId);
+        if (!robot.job) return;
+
+        const { taskId } = robot.job;
+        const progress = Math.round(clamp(robot.job.progress + random(2, 6), 0, 100));
+
+        if (progress >= 100) {
+            robot.job = null;
+            events.publishTaskProgress(robotId, { taskId, progress, status: 'done' });
+        } else {
+            robot.job.progress = progress;
+            events.publishTaskProgress(robotId, { taskId, progress });
+        }
+    }
+
+    /**
+     * 模拟沿航线行驶 - 按自上次移动以来的时间和当前航段速度移动坐标，
+     * 到达航点后执行航点作业并前往下一个航点，到达终点后停在终点
+     * @param {string} robotId - 机器人ID
+     */
+    function moveAlongMission(robotId) {
+        const { state, mission } = getRobot(robotId);
+        const now = Date.now();
+
+        if (!mission.running) {
+            state.speed = 0;
+            return;
+        }
+
+        let budget = (now - mission.movedAt) / 1000;
+        mission.movedAt = now;
+
+        while (budget > 0 && mission.index < mission.waypoints.length) {
+            const target = mission.waypoints[mission.index];
+            const speed = target.speed || mission.speed || DEFAULT_MISSION_SPEED;
+            const position = { lat: state.lat, lon: state.lon };
+            const remaining = geo.distance(position, target);
+            const next = geo.moveToward(position, target, speed * budget);
+
+            state.lat = next.lat;
+            state.lon = next.lon;
+            state.speed = speed;
+            budget -= remaining / speed;
+
+            if (budget >= 0) {
+                if (target.action) {
+                    console.log(`🚜 [Robot ${robotId}] 航点 ${mission.index + 1} 执行作业: ${ACTIONS[target.action] || target.action}`);
+                }
+                mission.index += 1;
+            }
+        }
+
+        if (mission.index >= mission.waypoints.length) {
+            mission.running = false;
+            state.speed = 0;
+        }
+
+        // 航线结束后以当前位置为模拟作业区域中心
+        state.baseLat = state.lat;
+        state.baseLon = state.lon;
+    }
+
+    /**
+     * 获取连接状态
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 连接信息 - 模拟机器人始终在线
+     */
+    function getConnectionStatus(robotId) {
+        return {
+            type: 'mock',
+            connected: true,
+            lastUpdate: Date.now()
+        };
+    }
+
+    // ============================================================
+    // 机器人状态相关函数
+    // ============================================================
+
+    /**
+     * 获取机器人状态
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 机器人状态对象
+     *
+     * 返回结构:
+     * {
+     *   battery: number,          // 电量百分比
+     *   speed: number,            // 速度 m/s
+     *   temperature: number,      // 温度 °C
+     *   coordinates: {            // GPS坐标
+     *     lat: number,
+     *     lon: number
+     *   }
+     * }
+     */
+    function getRobotStatus(robotId) {
+        const { state, estop, mission } = getRobot(robotId);
+
+        // 模拟电量消耗 - 每次调用减少0-0.05%，最低保持20%
+        state.battery = Math.max(20, state.battery - random(0, 0.05));
+
+        // 模拟速度变化 - 0-2 m/s之间的随机速度，急停时为0
+        state.speed = estop ? 0 : Number(random(0, 2).toFixed(1));
+
+        // 模拟温度变化 - 25-31°C之间的随机温度
+        state.temperature = Math.floor(random(25, 31));
+
+        if (mission) {
+            // 有航线时沿航线行驶，不再随机偏移
+            moveAlongMission(robotId);
+        } else {
+            // 模拟位置变化 - 在基准坐标附近微小偏移
+            state.lat = Number((state.baseLat + random(-0.005, 0.005)).toFixed(3));
+            state.lon = Number((state.baseLon + random(-0.005, 0.005)).toFixed(3));
+        }
+
+        // 返回格式化的机器人状态
+        return {
+            battery: Math.floor(state.battery),      // 电量取整
+            speed: state.speed,                      // 速度保留一位小数
+            temperature: state.temperature,          // 温度取整
+            coordinates: {
+                lat: state.lat,                      // 纬度
+                lon: state.lon                       // 经度
+            }
+        };
+    }
+
+    // ============================================================
+    // 传感器数据相关函数
+    // ============================================================
+
+    /**
+     * 获取传感器数据
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 传感器数据对象
+     *
+     * 返回结构:
+     * {
+     *   soilHumidity: number,     // 土壤湿度 %
+     *   soilTemp: number,         // 土壤温度 °C
+     *   light: number,            // 光照强度 Lux
+     *   airHumidity: number       // 空气湿度 %
+     * }
+     */
+    function getSensorData(robotId) {
+        const { state } = getRobot(robotId);
+
+        // 模拟土壤湿度 - 60-70%之间随机
+        state.soilHumidity = Math.floor(random(60, 70));
+
+        // 模拟土壤温度 - 20-25°C之间随机
+        state.soilTemp = Math.floor(random(20, 25));
+
+        // 模拟光照强度 - 7000-9000 Lux之间随机
+        state.light = Math.floor(random(7000, 9000));
+
+        // 模拟空气湿度 - 50-60%之间随机
+        state.airHumidity = Math.floor(random(50, 60));
+
+        // 返回传感器数据
+        return {
+            soilHumidity: state.soilHumidity,
+            soilTemp: state.soilTemp,
+            light: state.light,
+            airHumidity: state.airHumidity
+        };
+    }
+
+    // ============================================================
+    // 任务管理相关函数
+    // ============================================================
+
+    /**
+     * 获取示例任务列表
+     * 首次启动时导入任务仓库 (data/taskRepository.js)
+     * @param {string} robotId - 机器人ID
+     * @returns {Array} 任务数组
+     *
+     * 返回结构:
+     * [
+     *   {
+     *     id: number,              // 任务ID
+     *     name: string,            // 任务名称
+     *     status: 'active' | 'pending' | 'done',  // 任务状态
+     *     progress: number         // 完成进度 %
+     *   },
+     *   ...
+     * ]
+     */
+    function getTasks(robotId) {
+        // 返回任务列表
+        return getRobot(robotId).tasks;
+    }
+
+    // ============================================================
+    // 统计数据相关函数
+    // ============================================================
+
+    /**
+     * 获取作业统计
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 统计数据对象
+     *
+     * 返回结构:
+     * {
+     *   completedArea: number,    // 已完成面积 (亩)，定义了地块时为按作业轨迹计算的覆盖面积之和
+     *   totalArea: number,         // 总面积 (亩)，定义了地块时为地块面积之和
+     *   progress: number,          // 完成进度 (%)
+     *   zones?: Array              // 定义了地块时为各地块的覆盖情况
+     * }
+     */
+    function getStatistics(robotId) {
+        const { state } = getRobot(robotId);
+
+        // 模拟作业进度增长 - 每次调用增加0-0.1亩
+        state.completedArea = clamp(
+            state.completedArea + random(0, 0.1),  // 增加随机面积
+            0,                                      // 最小值
+            state.totalArea                         // 最大值不超过总面积
+        );
+
+        // 计算完成进度百分比
+        const progress = Number((state.completedArea / state.totalArea * 100).toFixed(1));
+
+        // 返回统计数据，定义了地块时按地块面积和作业覆盖计算
+        return zones.withZoneStatistics(robotId, {
+            completedArea: Number(state.completedArea.toFixed(1)),  // 保留一位小数
+            totalArea: state.totalArea,
+            progress                                                 // 进度百分比
+        });
+    }
+
+    // ============================================================
+    // 控制指令相关函数
+    // ============================================================
+
+    /**
+     * 模拟机器人确认指令 - 已知的指令立即确认，未知的指令拒绝
+     * @param {string} robotId - 机器人ID
+     * @param {Object} message - 下发的消息
+     * @param {string|null} rejectReason - 拒绝原因，为 null 时确认
+     * @returns {Object} 指令记录
+     */
+    function simulateAck(robotId, message, rejectReason) {
+        const record = commands.create(robotId, message);
+        commands.acknowledge(robotId, rejectReason
+            ? { id: record.id, status: 'rejected', message: rejectReason }
+            : { id: record.id, status: 'ok' });
+        return record;
+    }
+
+    /**
+     * 处理方向控制指令
+     * @param {string} robotId - 机器人ID
+     * @param {string} command - 指令代码 (forward/backward/left/right/stop)
+     * @param {Object} params - 运动参数 { speed?, durationMs?, distance?, angle? }，已校验
+     * @returns {Object} 执行结果对象
+     *
+     * 返回结构:
+     * {
+     *   executed: boolean,       // 指令是否执行
+     *   command: string,          // 执行的指令代码
+     *   params?: Object,          // 运动参数（有参数时）
+     *   commandId: string,        // 指令ID
+     *   state: string,            // 指令状态 acknowledged / rejected
+     *   message: string           // 执行结果消息
+     * }
+     */
+    function handleCommand(robotId, command, params = {}) {
+        const record = simulateAck(robotId, { type: 'command', command, ...params },
+            COMMANDS[command] ? null : `未知的指令: ${command}`);
+        const echo = record.params ? { params: record.params } : {};
+
+        if (record.state === 'rejected') {
+            return { executed: false, command, ...echo, commandId: record.id, state: record.state, message: record.message };
+        }
+
+        // 获取指令的中文名称，带上运动参数
+        const details = describeParams(params);
+        const commandName = COMMANDS[command] + (details ? ` (${details})` : '');
+
+        // 停止指令中断正在执行的作业
+        if (command === 'stop') {
+            getRobot(robotId).job = null;
+        }
+
+        // 在控制台输出日志，模拟指令执行
+        console.log(`🤖 [Robot ${robotId}] 执行指令: ${commandName} (${command})`);
+        console.log(`   时间: ${new Date().toLocaleString()}`);
+
+        // 返回执行结果
+        return {
+            executed: true,                          // 标记指令已执行
+            command: command,                        // 返回指令代码
+            ...echo,                                 // 运动参数
+            commandId: record.id,                    // 指令ID
+            state: record.state,                     // 指令状态
+            message: `指令已发送: ${commandName}`    // 执行结果消息
+        };
+    }
+
+    /**
+     * 处理作业操作
+     * @param {string} robotId - 机器人ID
+     * @param {string} action - 操作代码 (irrigation/fertilize/scan/harvest)
+     * @param {Object} job - 任务下发时的作业信息 { taskId, zone, zoneId, params, progress }，手动操作时为空
+     * @returns {Object} 执行结果对象
+     *
+     * 返回结构:
+     * {
+     *   executed: boolean,       // 操作是否执行
+     *   action: string,           // 执行的操作代码
+     *   commandId: string,        // 指令ID
+     *   state: string,            // 指令状态 acknowledged / rejected
+     *   message: string           // 执行结果消息
+     * }
+     */
+    function handleAction(robotId, action, job = {}) {
+        const record = simulateAck(robotId, { type: 'action', action, ...job },
+            ACTIONS[action] ? null : `未知的作业: ${action}`);
+
+        if (record.state === 'rejected') {
+            return { executed: false, action, commandId: record.id, state: record.state, message: record.message };
+        }
+
+        // 获取操作的中文名称
+        const actionName = ACTIONS[action];
+
+        // 在控制台输出日志，模拟作业执行
+        console.log(`🚜 [Robot ${robotId}] 执行作业: ${actionName} (${action})`);
+        console.log(`   时间: ${new Date().toLocaleString()}`);
+
+        // 任务下发的作业从当前进度开始模拟推进
+        if (job.taskId !== undefined) {
+            console.log(`   任务: #${job.taskId}，区域: ${job.zone || '-'}，参数:`, job.params || {});
+            getRobot(robotId).job = { taskId: job.taskId, progress: job.progress || 0 };
+        }
+
+        // 返回执行结果
+        return {
+            executed: true,                          // 标记操作已执行
+            action: action,                           // 返回操作代码
+            commandId: record.id,                     // 指令ID
+            state: record.state,                      // 指令状态
+            message: `${actionName}作业已启动`         // 执行结果消息
+        };
+    }
+
+    /**
+     * 处理急停或急停复位
+     * @param {string} robotId - 机器人ID
+     * @param {boolean} engaged - true 急停，false 复位
+     * @returns {Object} 执行结果 { executed, estop, commandId, state, message }
+     */
+    function handleEmergencyStop(robotId, engaged) {
+        const estop = engaged ? 'engage' : 'reset';
+        const record = simulateAck(robotId, { type: 'estop', estop });
+        const robot = getRobot(robotId);
+
+        // 急停立即中断作业并停车
+        robot.estop = engaged;
+        if (engaged) {
+            robot.job = null;
+            robot.state.speed = 0;
+            if (robot.mission) robot.mission.running = false;
+        }
+
+        console.log(`🛑 [Robot ${robotId}] ${engaged ? '急停' : '急停复位'}`);
+        console.log(`   时间: ${new Date().toLocaleString()}`);
+
+        return {
+            executed: true,
+            estop,
+            commandId: record.id,
+            state: record.state,
+            message: engaged ? '急停已执行' : '急停已复位'
+        };
+    }
+
+    /**
+     * 处理航线任务操作
+     * @param {string} robotId - 机器人ID
+     * @param {string} operation - 操作 upload | start | pause | resume | abort
+     * @param {Object} mission - { missionId, speed?, waypoints? }，upload 时带航点
+     * @returns {Object} 执行结果 { executed, mission, missionId, commandId, state, message }
+     */
+    function handleMission(robotId, operation, mission) {
+        const robot = getRobot(robotId);
+        const current = robot.mission;
+        const known = operation === 'upload' || (current && current.missionId === mission.missionId);
+
+        let rejectReason = null;
+        if (!MISSION_OPERATIONS[operation]) {
+            rejectReason = `未知的航线操作: ${operation}`;
+        } else if (!known) {
+            rejectReason = `机器人上没有航线任务 #${mission.missionId}`;
+        } else if ((operation === 'start' || operation === 'resume') && robot.estop) {
+            rejectReason = '急停中，不能行驶';
+        }
+
+        const record = simulateAck(robotId, { type: 'mission', mission: operation, ...mission }, rejectReason);
+        const result = { mission: operation, missionId: mission.missionId, commandId: record.id, state: record.state };
+
+        if (record.state === 'rejected') {
+            return { executed: false, ...result, message: record.message };
+        }
+
+        if (operation === 'upload') {
+            robot.mission = {
+                missionId: mission.missionId,
+                speed: mission.speed,
+                waypoints: mission.waypoints,
+                index: 0,
+                running: false,
+                movedAt: Date.now()
+            };
+        } else if (operation === 'abort') {
+            robot.mission = null;
+        } else {
+            current.running = operation === 'start' || operation === 'resume';
+            current.movedAt = Date.now();
+        }
+
+        const label = `航线任务 #${mission.missionId} ${MISSION_OPERATIONS[operation]}`;
+        console.log(`🗺️ [Robot ${robotId}] ${label}`);
+        return { executed: true, ...result, message: `${label}已执行` };
+    }
+
+    // ============================================================
+    // 数据更新相关函数
+    // ============================================================
+
+    /**
+     * 更新传感器数据
+     * @param {string} robotId - 机器人ID
+     * @param {Object} data - 要更新的传感器数据
+     * @returns {Object} 更新后的传感器数据
+     *
+     * 参数结构:
+     * {
+     *   soilHumidity?: number,    // 土壤湿度 (可选)
+     *   soilTemp?: number,        // 土壤温度 (可选)
+     *   light?: number,           // 光照强度 (可选)
+     *   airHumidity?: number      // 空气湿度 (可选)
+     * }
+     */
+    function updateSensorData(robotId, data) {
+        console.log(`📊 [Data] 更新传感器数据 (${robotId}):`, data);
+        const { state } = getRobot(robotId);
+
+        // 更新传感器状态（只更新提供的字段）
+        if (data.soilHumidity !== undefined) {
+            state.soilHumidity = clamp(data.soilHumidity, 0, 100);
+        }
+        if (data.soilTemp !== undefined) {
+            state.soilTemp = data.soilTemp;
+        }
+        if (data.light !== undefined) {
+            state.light = clamp(data.light, 0, 100000);
+        }
+        if (data.airHumidity !== undefined) {
+            state.airHumidity = clamp(data.airHumidity, 0, 100);
+        }
+
+        // 返回更新后的完整传感器数据
+        return {
+            soilHumidity: state.soilHumidity,
+            soilTemp: state.soilTemp,
+            light: state.light,
+            airHumidity: state.airHumidity
+        };
+    }
+
+    /**
+     * 更新机器人状态
+     * @param {string} robotId - 机器人ID
+     * @param {Object} data - 要更新的机器人状态
+     * @returns {Object} 更新后的机器人状态
+     *
+     * 参数结构:
+     * {
+     *   battery?: number,         // 电量 (可选)
+     *   speed?: number,           // 速度 (可选)
+     *   temperature?: number,     // 温度 (可选)
+     *   lat?: number,             // 纬度 (可选)
+     *   lon?: number              // 经度 (可选)
+     * }
+     */
+    function updateRobotStatus(robotId, data) {
+        console.log(`🤖 [Data] 更新机器人状态 (${robotId}):`, data);
+        const { state } = getRobot(robotId);
+
+        // 更新机器人状态（只更新提供的字段）
+        if (data.battery !== undefined) {
+            state.battery = clamp(data.battery, 0, 100);
+        }
+        if (data.speed !== undefined) {
+            state.speed = Math.max(0, data.speed);
+        }
+        if (data.temperature !== undefined) {
+            state.temperature = data.temperature;
+        }
+        if (data.lat !== undefined) {
+            state.lat = data.lat;
+        }
+        if (data.lon !== undefined) {
+            state.lon = data.lon;
+        }
+
+        // 返回更新后的完整机器人状态
+        return {
+            battery: Math.floor(state.battery),
+            speed: state.speed,
+            temperature: state.temperature,
+            coordinates: {
+                lat: state.lat,
+                lon: state.lon
+            }
+        };
+    }
+
+    /**
+     * 更新作业统计
+     * @param {string} robotId - 机器人ID
+     * @param {Object} data - 要更新的统计数据
+     * @returns {Object} 更新后的统计数据
+     *
+     * 参数结构:
+     * {
+     *   completedArea?: number,   // 已完成面积 (可选)
+     *   totalArea?: number        // 总面积 (可选)
+     * }
+     */
+    function updateStatistics(robotId, data) {
+        console.log(`📈 [Data] 更新统计数据 (${robotId}):`, data);
+        const { state } = getRobot(robotId);
+
+        // 更新统计数据（只更新提供的字段）
+        if (data.completedArea !== undefined) {
+            state.completedArea = Math.max(0, data.completedArea);
+        }
+        if (data.totalArea !== undefined) {
+            state.totalArea = Math.max(0, data.totalArea);
+        }
+
+        // 计算完成进度百分比
+        const progress = state.totalArea > 0
+            ? Number((state.completedArea / state.totalArea * 100).toFixed(1))
+            : 0;
+
+        // 返回更新后的统计数据
+        return zones.withZoneStatistics(robotId, {
+            completedArea: Number(state.completedArea.toFixed(1)),
+            totalArea: state.totalArea,
+            progress
+        });
+    }
+
+    // ============================================================
+    // 适配器接口
+    // ============================================================
+
+    return {
+        pushUpdates: options.pushInterval > 0,  // 是否模拟硬件推送
+        init,                 // 初始化
+        close,                // 关闭
+        getConnectionStatus,  // 获取连接状态
+        getRobotStatus,       // 获取机器人状态
+        getSensorData,        // 获取传感器数据
+        getTasks,             // 获取任务列表
+        getStatistics,        // 获取作业统计
+        handleCommand,        // 处理控制指令
+        handleAction,         // 处理作业操作
+        handleEmergencyStop,  // 处理急停 / 复位
+        handleMission,        // 处理航线任务操作
+        updateSensorData,     // 更新传感器数据
+        updateRobotStatus,    // 更新机器人状态
+        updateStatistics      // 更新统计数据
+    };
+}
+
+// ============================================================
+// 模块导出
+// ============================================================
+
+module.exports = createMockAdapter;
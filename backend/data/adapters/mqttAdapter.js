@@ -0,0 +1,229 @@
+/**
+ * MQTT数据源适配器
+ *
+ * 功能描述:
+ * - 连接MQTT服务器，用通配符订阅所有机器人的数据主题
+ * - 从主题中解析机器人ID，数据写入该机器人的缓存
+ * - 控制指令发布到对应机器人的 control 主题，机器人在 control/ack 主题回复确认
+ * - 急停 / 复位发布到 estop 主题（QoS 2 保留消息）
+ *
+ * 主题格式: robot/{robotId}/status 等，模板见 config.dataSource.mqtt.topics
+ *
+ * 需要安装: npm install mqtt
+ * 主题格式详见 docs/MQTT接口文档.md
+ *
+ * 文件路径: backend/data/adapters/mqttAdapter.js
+ */
+
+const createCacheAdapter = require('./cacheAdapter');
+const fleet = require('../fleet');
+
+// 数据主题 -> 缓存字段（progress、ack 为作业进度和指令确认，不写入缓存，详见 cacheAdapter.updateCache）
+const CACHE_KEYS = {
+    status: 'robot',
+    sensors: 'sensors',
+    tasks: 'tasks',
+    statistics: 'statistics',
+    progress: 'taskProgress',
+    ack: 'ack'
+};
+
+// 数据主题 -> 日志名称
+const LABELS = {
+    status: '机器人状态',
+    sensors: '传感器数据',
+    tasks: '任务列表',
+    statistics: '统计数据',
+    progress: '作业进度',
+    ack: '指令确认'
+};
+
+/**
+ * 编译主题模板
+ * @param {string} template - 主题模板，如 'robot/{robotId}/status'
+ * @returns {Object} { filter, format(robotId), match(topic) }
+ *   filter: 订阅用的通配符主题，如 'robot/+/status'
+ *   format: 生成指定机器人的主题
+ *   match:  从实际主题中解析机器人ID，不匹配时返回 null
+ */
+function compileTopic(template) {
+    const [prefix, suffix] = template.split('{robotId}');
+    const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = new RegExp(`^${escape(prefix)}([^/]+)${escape(suffix)}$`);
+
+    return {
+        filter: template.replace('{robotId}', '+'),
+        format: (robotId) => template.replace('{robotId}', robotId),
+        match: (topic) => {
+            const result = pattern.exec(topic);
+            return result ? result[1] : null;
+        }
+    };
+}
+
+/**
+ * 创建MQTT适配器
+ * @param {Object} config - dataSource 配置，使用其中的 mqtt 字段
+ * @returns {Object} 适配器实例
+ */
+function createMqttAdapter(config) {
+    const options = config.mqtt;
+    let connection = null;
+
+    // 编译后的主题
+    const topics = {
+        status: compileTopic(options.topics.status),
+        sensors: compileTopic(options.topics.sensors),
+        tasks: compileTopic(options.topics.tasks),
+        statistics: compileTopic(options.topics.statistics),
+        progress: compileTopic(options.topics.progress),
+        control: compileTopic(options.topics.control),
+        ack: compileTopic(options.topics.ack),
+        estop: compileTopic(options.topics.estop)
+    };
+
+    /**
+     * 发布控制消息到机器人的 control 主题
+     * 急停消息发布到专用的 estop 主题，QoS 2 并作为保留消息，机器人重连后仍能收到当前急停状态
+     * @param {string} robotId - 机器人ID
+     * @param {Object} message - 控制消息
+     * @throws {Error} 未连接时抛出
+     */
+    function send(robotId, message) {
+        if (!connection || !connection.connected) {
+            throw new Error('MQTT未连接');
+        }
+
+        const payload = JSON.stringify(message);
+
+        if (message.type === 'estop') {
+            const topic = topics.estop.format(robotId);
+            connection.publish(topic, payload, { qos: 2, retain: true });
+            console.warn(`[MQTT] 发送急停消息到 ${topic}:`, payload);
+            return;
+        }
+
+        const topic = topics.control.format(robotId);
+        connection.publish(topic, payload);
+        console.log(`[MQTT] 发送控制指令到 ${topic}:`, payload);
+    }
+
+    const base = createCacheAdapter({ type: 'mqtt', send });
+
+    /**
+     * 处理收到的MQTT消息
+     * @param {string} topic - 主题
+     * @param {Buffer} message - 消息内容
+     */
+    function handleMessage(topic, message) {
+        // 按主题模板解析数据类型和机器人ID
+        const kind = Object.keys(CACHE_KEYS)
+            .find(name => topics[name].match(topic) !== null);
+        if (!kind) return;
+
+        const robotId = topics[kind].match(topic);
+        if (!fleet.acceptRobot(robotId)) return;
+
+        try {
+            const data = JSON.parse(message.toString());
+            const timestamp = new Date().toLocaleTimeString('zh-CN');
+
+            // 写入该机器人的缓存（同时发布变更事件）
+            base.updateCache(robotId, { [CACHE_KEYS[kind]]: data });
+            console.log(`[${timestamp}] 收到${LABELS[kind]} (${robotId}):`, JSON.stringify(data));
+        } catch (e) {
+            console.error('[MQTT] 数据解析错误:', e.message, '原始数据:', message.toString());
+        }
+    }
+
+    /**
+     * 初始化MQTT连接
+     */
+    async function init() {
+        try {
+            const mqtt = require('mqtt');
+
+            // 连接配置
+            const connectOptions = {
+                clientId: options.clientId,
+                clean: true,
+                reconnectPeriod: 5000,  // 5秒重连
+            };
+
+            // 如果配置了用户名密码
+            if (options.username) {
+                connectOptions.username = options.username;
+                connectOptions.password = options.password;
+            }
+
+            connection = mqtt.connect(options.broker, connectOptions);
+
+            connection.on('connect', () => {
+                base.setConnected(true);
+                console.log('='.repeat(50));
+                console.log('[MQTT] 连接成功:', options.broker);
+                console.log('='.repeat(50));
+
+                // 通配符订阅所有机器人的数据主题（不订阅control，control用于发送指令）
+                const dataTopics = [
+                    topics.status.filter,
+                    topics.sensors.filter,
+                    topics.tasks.filter,
+                    topics.statistics.filter,
+                    topics.progress.filter,
+                    topics.ack.filter
+                ];
+
+                dataTopics.forEach(topic => {
+                    connection.subscribe(topic, (err) => {
+                        if (!err) {
+                            console.log('[MQTT] 订阅主题:', topic);
+                        } else {
+                            console.error('[MQTT] 订阅失败:', topic, err.message);
+                        }
+                    });
+                });
+
+                console.log('');
+                console.log('等待硬件推送数据...');
+                console.log('');
+            });
+
+            connection.on('message', handleMessage);
+
+            connection.on('error', (err) => {
+                base.setConnected(false);
+                console.error('[MQTT] 连接错误:', err.message);
+            });
+
+            connection.on('reconnect', () => {
+                console.log('[MQTT] 正在重新连接...');
+            });
+
+            connection.on('close', () => {
+                base.setConnected(false);
+                console.log('[MQTT] 连接已断开');
+            });
+
+        } catch (error) {
+            console.error('[MQTT] 初始化失败:', error.message);
+            console.log('[MQTT] 请安装依赖: npm install mqtt');
+        }
+    }
+
+    /**
+     * 关闭MQTT连接
+     */
+    async function close() {
+        if (connection) {
+            connection.end();
+            connection = null;
+            base.setConnected(false);
+            console.log('[MQTT] 连接已关闭');
+        }
+    }
+
+    return { ...base, init, close };
+}
+
+module.exports = createMqttAdapter;
@@ -0,0 +1,103 @@
+/**
+ * 串口数据源适配器
+ *
+ * 功能描述:
+ * - 通过串口与下位机通信，按行读取JSON数据写入缓存
+ * - 每行数据格式: { robotId?, robot?, sensors?, tasks?, statistics?, taskProgress?, ack? }
+ *   未携带 robotId 时视为默认机器人的数据
+ * - 控制指令按行写入串口: {"robotId":"robot-001","id":"<指令ID>","command":"forward"}，
+ *   下位机回复 {"robotId":"robot-001","ack":{"id":"<指令ID>","status":"ok"}}
+ *
+ * 需要安装: npm install serialport
+ *
+ * 文件路径: backend/data/adapters/serialAdapter.js
+ */
+
+const createCacheAdapter = require('./cacheAdapter');
+const fleet = require('../fleet');
+
+/**
+ * 创建串口适配器
+ * @param {Object} config - dataSource 配置，使用其中的 serial 字段
+ * @returns {Object} 适配器实例
+ */
+function createSerialAdapter(config) {
+    const options = config.serial;
+    let connection = null;
+
+    /**
+     * 写入控制消息到串口
+     * 串口协议不带 type 字段，只写入 robotId、id 和 command 或 action
+     * @param {string} robotId - 机器人ID
+     * @param {Object} message - 控制消息
+     * @throws {Error} 串口未打开时抛出
+     */
+    function send(robotId, message) {
+        if (!connection || !connection.isOpen) {
+            throw new Error('串口未打开');
+        }
+
+        const { type, ...body } = message;
+        connection.write(JSON.stringify({ robotId, ...body }) + '\n');
+    }
+
+    const base = createCacheAdapter({ type: 'serial', send });
+
+    /**
+     * 初始化串口连接
+     */
+    async function init() {
+        try {
+            const { SerialPort } = require('serialport');
+            const { ReadlineParser } = require('@serialport/parser-readline');
+
+            connection = new SerialPort({
+                path: options.port,
+                baudRate: options.baudRate
+            });
+
+            const parser = connection.pipe(new ReadlineParser({ delimiter: '\n' }));
+
+            parser.on('data', (line) => {
+                try {
+                    const { robotId = fleet.DEFAULT_ROBOT_ID, ...data } = JSON.parse(line);
+                    if (fleet.acceptRobot(robotId)) {
+                        base.updateCache(robotId, data);
+                    }
+                } catch (e) {
+                    console.error('[Serial] 数据解析错误:', e.message);
+                }
+            });
+
+            connection.on('open', () => {
+                base.setConnected(true);
+                console.log('[Serial] 连接成功:', options.port);
+            });
+
+            connection.on('error', (err) => {
+                base.setConnected(false);
+                console.error('[Serial] 连接错误:', err.message);
+            });
+
+        } catch (error) {
+            console.error('[Serial] 初始化失败:', error.message);
+            console.log('[Serial] 请安装依赖: npm install serialport');
+        }
+    }
+
+    /**
+     * 关闭串口连接
+     */
+    async function close() {
+        if (connection) {
+            connection.close();
+            connection = null;
+            base.setConnected(false);
+            console.log('[Serial] 连接已关闭');
+        }
+    }
+
+    return { ...base, init, close };
+}
+
+module.exports = createSerialAdapter;
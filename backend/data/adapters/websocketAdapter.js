@@ -0,0 +1,109 @@
+/**
+ * WebSocket数据源适配器
+ *
+ * 功能描述:
+ * - 作为客户端连接硬件网关的WebSocket服务
+ * - 收到的数据格式: { robotId?, robot?, sensors?, tasks?, statistics?, taskProgress?, ack? }，写入缓存
+ *   未携带 robotId 时视为默认机器人的数据
+ * - 控制指令以 { type, id, robotId, command } 或 { type, id, robotId, action } 发送，
+ *   网关以 { robotId, ack: { id, status } } 回复确认
+ * - 连接断开后5秒自动重连
+ *
+ * 需要安装: npm install ws
+ *
+ * 文件路径: backend/data/adapters/websocketAdapter.js
+ */
+
+const createCacheAdapter = require('./cacheAdapter');
+const fleet = require('../fleet');
+
+/**
+ * 创建WebSocket适配器
+ * @param {Object} config - dataSource 配置，使用其中的 websocket 字段
+ * @returns {Object} 适配器实例
+ */
+function createWebSocketAdapter(config) {
+    const options = config.websocket;
+    let connection = null;
+    let reconnectTimer = null;
+    let closing = false;
+
+    /**
+     * 发送控制消息
+     * @param {string} robotId - 机器人ID
+     * @param {Object} message - 控制消息
+     * @throws {Error} 未连接时抛出
+     */
+    function send(robotId, message) {
+        if (!connection || connection.readyState !== 1) {
+            throw new Error('WebSocket未连接');
+        }
+        connection.send(JSON.stringify({ ...message, robotId }));
+    }
+
+    const base = createCacheAdapter({ type: 'websocket', send });
+
+    /**
+     * 初始化WebSocket连接
+     */
+    async function init() {
+        closing = false;
+
+        try {
+            const WebSocket = require('ws');
+
+            connection = new WebSocket(options.url);
+
+            connection.on('open', () => {
+                base.setConnected(true);
+                console.log('[WebSocket] 连接成功:', options.url);
+            });
+
+            connection.on('message', (message) => {
+                try {
+                    const { robotId = fleet.DEFAULT_ROBOT_ID, ...data } = JSON.parse(message.toString());
+                    if (fleet.acceptRobot(robotId)) {
+                        base.updateCache(robotId, data);
+                    }
+                } catch (e) {
+                    console.error('[WebSocket] 数据解析错误:', e.message);
+                }
+            });
+
+            connection.on('close', () => {
+                base.setConnected(false);
+                console.log('[WebSocket] 连接已关闭');
+                // 5秒后重连（主动关闭时不重连）
+                if (!closing) {
+                    reconnectTimer = setTimeout(init, 5000);
+                }
+            });
+
+            connection.on('error', (err) => {
+                console.error('[WebSocket] 连接错误:', err.message);
+            });
+
+        } catch (error) {
+            console.error('[WebSocket] 初始化失败:', error.message);
+            console.log('[WebSocket] 请安装依赖: npm install ws');
+        }
+    }
+
+    /**
+     * 关闭WebSocket连接
+     */
+    async function close() {
+        closing = true;
+        clearTimeout(reconnectTimer);
+
+        if (connection) {
+            connection.close();
+            connection = null;
+            base.setConnected(false);
+        }
+    }
+
+    return { ...base, init, close };
+}
+
+module.exports = createWebSocketAdapter;
@@ -0,0 +1,203 @@
+/**
+ * 告警仓库模块
+ *
+ * 功能描述:
+ * - 持久化保存告警（遥测规则告警、电子围栏越界告警），服务重启后未恢复的告警仍然有效
+ * - 告警ID全局单调递增，不会复用
+ * - 已恢复的告警作为历史保留，超过 config.alerts.historyLimit 条时删除最早的
+ * - 告警的触发、确认、恢复由 data/alerts.js 负责
+ *
+ * 告警状态:
+ *   raised        已触发，等待确认
+ *   acknowledged  已确认，条件仍未恢复
+ *   resolved      已恢复
+ *
+ * 存储格式 (storage/alerts.json，整体原子写入):
+ * {
+ *   "version": 1,
+ *   "nextId": 3,
+ *   "alerts": [
+ *     { "id": 1, "key": "rule-1", "type": "telemetry", "level": "critical", "state": "acknowledged",
+ *       "message": "robot-001 电量过低: 15%", "robotId": "robot-001",
+ *       "rule": 1, "field": "battery", "kind": "threshold", "condition": "below", "threshold": 20, "value": 15,
+ *       "raisedAt": 1769737700000,
+ *       "acknowledgedAt": 1769737760000, "acknowledgedBy": "zhangsan",
+ *       "resolvedAt": null, "resolveReason": null },
+ *     { "id": 2, "key": "geofence-1", "type": "geofence", "level": "critical", "state": "resolved",
+ *       "message": "robot-002 已进入禁入区域「水塘」", "robotId": "robot-002",
+ *       "geofenceId": 1, "coordinates": { "lat": 40.1966, "lon": 116.3997 },
+ *       "raisedAt": 1769737800000, "acknowledgedAt": null, "acknowledgedBy": null,
+ *       "resolvedAt": 1769737830000, "resolveReason": "已回到安全区域" }
+ *   ]
+ * }
+ *
+ * 文件路径: backend/data/alertRepository.js
+ */
+
+const config = require('../config');
+const storage = require('./storage');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 1;
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 告警仓库 (storage/alerts.json)，加载与保存见 storage.createJsonRepository
+ */
+const repository = storage.createJsonRepository('alerts.json', () => ({ version: VERSION, nextId: 1, alerts: [] }), {
+    tag: 'Alerts',
+    label: '告警仓库',
+    version: VERSION,
+    collection: 'alerts',
+    summary: (data) => {
+        const active = data.alerts.filter(alert => alert.state !== 'resolved').length;
+        return `${active} 条未恢复，${data.alerts.length - active} 条历史`;
+    }
+});
+
+const { getStore, save, close } = repository;
+
+/**
+ * 加载告警仓库
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+const init = () => repository.load();
+
+/**
+ * 删除超出保留条数的已恢复告警，从最早的开始
+ * @param {Object} data - 仓库数据
+ */
+function prune(data) {
+    let excess = data.alerts.filter(alert => alert.state === 'resolved').length - config.alerts.historyLimit;
+    if (excess <= 0) return;
+
+    data.alerts = data.alerts.filter((alert) => {
+        if (excess > 0 && alert.state === 'resolved') {
+            excess--;
+            return false;
+        }
+        return true;
+    });
+}
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 查询告警
+ * @param {Object} filter - { robotId?, type?, level?, active? }，active 为 true 时只返回未恢复的告警
+ * @returns {Promise<Array>} 告警数组，按ID升序
+ */
+async function list({ robotId, type, level, active } = {}) {
+    const { alerts } = await getStore();
+    return alerts.filter(alert => (!robotId || alert.robotId === robotId)
+        && (!type || alert.type === type)
+        && (!level || alert.level === level)
+        && (!active || alert.state !== 'resolved'));
+}
+
+/**
+ * 获取单条告警
+ * @param {number} alertId - 告警ID
+ * @returns {Promise<Object|null>} 告警，不存在时返回null
+ */
+async function get(alertId) {
+    const { alerts } = await getStore();
+    return alerts.find(alert => alert.id === alertId) || null;
+}
+
+/**
+ * 查找机器人的未恢复告警
+ * @param {string} robotId - 机器人ID
+ * @param {string} key - 告警键，同一机器人同一键同时只有一条未恢复的告警
+ * @returns {Promise<Object|null>} 告警，不存在时返回null
+ */
+async function findActive(robotId, key) {
+    const { alerts } = await getStore();
+    return alerts.find(alert => alert.robotId === robotId && alert.key === key && alert.state !== 'resolved') || null;
+}
+
+/**
+ * 创建告警
+ * @param {Object} alertData - { key, type, level, message, robotId, ...附加字段 }
+ * @returns {Promise<Object>} 创建的告警，状态为 raised
+ */
+async function create(alertData) {
+    const data = await getStore();
+    const { key, type, level, message, robotId, ...extra } = alertData;
+
+    const alert = {
+        id: data.nextId++,
+        key,
+        type,
+        level,
+        state: 'raised',
+        message,
+        robotId,
+        ...extra,
+        raisedAt: Date.now(),
+        acknowledgedAt: null,
+        acknowledgedBy: null,
+        resolvedAt: null,
+        resolveReason: null
+    };
+
+    data.alerts.push(alert);
+    await save();
+    return alert;
+}
+
+/**
+ * 确认告警
+ * @param {number} alertId - 告警ID
+ * @param {string} actor - 确认人
+ * @returns {Promise<Object|null>} 确认后的告警，不存在时返回null
+ */
+async function acknowledge(alertId, actor) {
+    const alert = await get(alertId);
+    if (!alert) return null;
+
+    alert.state = 'acknowledged';
+    alert.acknowledgedAt = Date.now();
+    alert.acknowledgedBy = actor;
+    await save();
+    return alert;
+}
+
+/**
+ * 恢复告警
+ * @param {number} alertId - 告警ID
+ * @param {string} reason - 恢复原因
+ * @returns {Promise<Object|null>} 恢复后的告警，不存在时返回null
+ */
+async function resolve(alertId, reason) {
+    const data = await getStore();
+    const alert = await get(alertId);
+    if (!alert) return null;
+
+    alert.state = 'resolved';
+    alert.resolvedAt = Date.now();
+    alert.resolveReason = reason;
+
+    prune(data);
+    await save();
+    return alert;
+}
+
+module.exports = {
+    init,
+    close,
+    list,
+    get,
+    findActive,
+    create,
+    acknowledge,
+    resolve
+};
@@ -0,0 +1,207 @@
+/**
+ * 告警规则仓库模块
+ *
+ * 功能描述:
+ * - 持久化保存遥测告警规则，服务重启后不丢失；首次启动时写入默认规则
+ * - 规则ID全局单调递增，删除后不会复用
+ * - 规则的校验、评估和历史回放测试由 data/alertRules.js 负责，告警的触发与恢复见 data/alerts.js
+ *
+ * 存储格式 (storage/alert-rules.json，整体原子写入):
+ * {
+ *   "version": 1,
+ *   "nextId": 6,
+ *   "rules": [
+ *     { "id": 3, "name": "土壤湿度过低", "field": "soilHumidity",
+ *       "kind": "threshold",                                     // threshold 阈值 / rate 变化率（每分钟）
+ *       "condition": "below",                                    // below 低于 / above 高于
+ *       "threshold": 30,                                         // 触发阈值
+ *       "clearThreshold": 35,                                    // 恢复阈值，null 表示与触发阈值相同
+ *       "sustainSeconds": 0,                                     // 条件持续多少秒才触发
+ *       "windowSeconds": null,                                   // rate 规则的计算窗口（秒）
+ *       "throttleSeconds": null,                                 // 通知限流间隔（秒），null 为默认
+ *       "level": "warning",
+ *       "robotIds": null,                                        // 适用的机器人，null 为全部
+ *       "zoneId": null,                                          // 只在该地块内评估，null 为不限
+ *       "enabled": true,
+ *       "createdAt": 1769737700000, "updatedAt": 1769737700000 }
+ *   ]
+ * }
+ *
+ * 文件路径: backend/data/alertRuleRepository.js
+ */
+
+const storage = require('./storage');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 1;
+
+/**
+ * 可修改的字段
+ */
+const FIELDS = [
+    'name', 'field', 'kind', 'condition', 'threshold', 'clearThreshold', 'sustainSeconds', 'windowSeconds', 'throttleSeconds',
+    'level', 'robotIds', 'zoneId', 'enabled'
+];
+
+/**
+ * 首次启动时写入的默认规则，恢复阈值留有回差，避免读数在阈值附近波动时反复告警
+ */
+const DEFAULT_RULES = [
+    { name: '电量过低', field: 'battery', condition: 'below', threshold: 20, clearThreshold: 25, level: 'critical' },
+    { name: '温度过高', field: 'temperature', condition: 'above', threshold: 40, clearThreshold: 38, level: 'warning' },
+    { name: '土壤湿度过低', field: 'soilHumidity', condition: 'below', threshold: 30, clearThreshold: 35, level: 'warning' },
+    { name: '土壤湿度过高', field: 'soilHumidity', condition: 'above', threshold: 90, clearThreshold: 85, level: 'info' },
+    { name: '光照不足', field: 'light', condition: 'below', threshold: 1000, clearThreshold: 1500, sustainSeconds: 300, level: 'info' }
+];
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 按规则数据构造完整的规则，未提供的字段取默认值
+ * @param {number} ruleId - 规则ID
+ * @param {Object} ruleData - 规则字段，已校验
+ * @param {number} now - 创建时间
+ * @returns {Object} 告警规则
+ */
+const build = (ruleId, ruleData, now) => ({
+    id: ruleId,
+    name: ruleData.name,
+    field: ruleData.field,
+    kind: ruleData.kind || 'threshold',
+    condition: ruleData.condition,
+    threshold: ruleData.threshold,
+    clearThreshold: ruleData.clearThreshold === undefined ? null : ruleData.clearThreshold,
+    sustainSeconds: ruleData.sustainSeconds || 0,
+    windowSeconds: ruleData.windowSeconds === undefined ? null : ruleData.windowSeconds,
+    throttleSeconds: ruleData.throttleSeconds === undefined ? null : ruleData.throttleSeconds,
+    level: ruleData.level || 'warning',
+    robotIds: ruleData.robotIds || null,
+    zoneId: ruleData.zoneId === undefined ? null : ruleData.zoneId,
+    enabled: ruleData.enabled !== false,
+    createdAt: now,
+    updatedAt: now
+});
+
+/**
+ * 告警规则仓库 (storage/alert-rules.json)，加载与保存见 storage.createJsonRepository
+ */
+const repository = storage.createJsonRepository('alert-rules.json', () => {
+    const now = Date.now();
+    return {
+        version: VERSION,
+        nextId: DEFAULT_RULES.length + 1,
+        rules: DEFAULT_RULES.map((rule, index) => build(index + 1, rule, now))
+    };
+}, {
+    tag: 'AlertRules',
+    label: '告警规则仓库',
+    version: VERSION,
+    collection: 'rules',
+    summary: data => `${data.rules.length} 条规则`
+});
+
+const { getStore, save, close } = repository;
+
+/**
+ * 加载告警规则仓库，文件不存在时写入默认规则
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+const init = () => repository.load();
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 查询告警规则
+ * @param {Object} filter - { robotId?, field?, enabled? }
+ *   robotId 指定时只返回适用于该机器人的规则
+ * @returns {Promise<Array>} 告警规则数组，按ID升序
+ */
+async function list({ robotId, field, enabled } = {}) {
+    const { rules } = await getStore();
+    return rules.filter(rule =>
+        (!robotId || !rule.robotIds || rule.robotIds.includes(robotId)) &&
+        (!field || rule.field === field) &&
+        (enabled === undefined || rule.enabled === enabled));
+}
+
+/**
+ * 获取单条告警规则
+ * @param {number} ruleId - 规则ID
+ * @returns {Promise<Object|null>} 告警规则，不存在时返回null
+ */
+async function get(ruleId) {
+    const { rules } = await getStore();
+    return rules.find(rule => rule.id === ruleId) || null;
+}
+
+/**
+ * 创建告警规则
+ * @param {Object} ruleData - FIELDS 中的字段，已校验
+ * @returns {Promise<Object>} 创建的告警规则
+ */
+async function create(ruleData) {
+    const data = await getStore();
+
+    const rule = build(data.nextId++, ruleData, Date.now());
+    data.rules.push(rule);
+    await save();
+
+    console.log(`🔔 [AlertRules] 创建告警规则 #${rule.id}: ${rule.name}`);
+    return rule;
+}
+
+/**
+ * 更新告警规则
+ * @param {number} ruleId - 规则ID
+ * @param {Object} updateData - FIELDS 中的任意字段，已校验
+ * @returns {Promise<Object|null>} 更新后的告警规则，不存在时返回null
+ */
+async function update(ruleId, updateData) {
+    const rule = await get(ruleId);
+    if (!rule) return null;
+
+    FIELDS.forEach((key) => {
+        if (updateData[key] !== undefined) rule[key] = updateData[key];
+    });
+    rule.updatedAt = Date.now();
+
+    await save();
+
+    console.log(`📝 [AlertRules] 更新告警规则 #${ruleId}: ${rule.name}`);
+    return rule;
+}
+
+/**
+ * 删除告警规则
+ * @param {number} ruleId - 规则ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+async function remove(ruleId) {
+    const data = await getStore();
+    const index = data.rules.findIndex(rule => rule.id === ruleId);
+    if (index === -1) return false;
+
+    data.rules.splice(index, 1);
+    await save();
+
+    console.log(`🗑️ [AlertRules] 删除告警规则 #${ruleId}`);
+    return true;
+}
+
+module.exports = {
+    FIELDS,
+    init,
+    close,
+    list,
+    get,
+    create,
+    update,
+    remove
+};
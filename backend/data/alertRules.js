@@ -0,0 +1,752 @@
+/**
+ * 遥测告警规则模块
+ *
+ * 功能描述:
+ * - 校验告警规则的创建、修改请求，规则保存在 data/alertRuleRepository.js
+ * - 订阅数据层的更新事件，每次状态、传感器数据更新都按已启用的规则评估，
+ *   条件满足时触发告警，满足恢复条件时恢复，告警的确认、推送和保存见 data/alerts.js
+ * - 用记录的历史数据 (data/history.js) 回放规则，预览规则在一段时间内会产生哪些告警
+ *
+ * 规则条件:
+ *   kind       threshold 按当前值判断；rate 按 windowSeconds 窗口内的变化率（每分钟）判断
+ *   condition  below 低于 threshold 触发；above 高于 threshold 触发
+ *   回差       clearThreshold 为恢复阈值，below 规则回升到不低于 clearThreshold、above 规则回落到
+ *              不高于 clearThreshold 才恢复，读数在阈值附近波动时不会反复告警；null 表示与触发阈值相同
+ *   持续时间   sustainSeconds 秒内的样本持续满足条件才触发，0 为立即触发
+ *   适用范围   robotIds 限定机器人；zoneId 限定地块，机器人不在地块内时不评估，已有告警随之恢复
+ *   通知限流   throttleSeconds 为同一机器人两次告警通知的最小间隔，null 取 config.notifications.throttleSeconds，
+ *              见 data/notifications.js
+ *
+ * 告警对象 (data/alerts.js 的告警，key 为 rule-<规则ID>):
+ *   { id, key: 'rule-3', type: 'telemetry', level, state, message, robotId,
+ *     rule: 3, field, kind, condition, threshold, value, raisedAt, ... }
+ *
+ * 使用方式:
+ *   const alertRules = require('./alertRules');
+ *   alertRules.start();                                  // 服务启动时订阅数据更新
+ *   await alertRules.create({ name: '土壤湿度过低', field: 'soilHumidity', condition: 'below', threshold: 30, clearThreshold: 35 });
+ *   const result = await alertRules.test(rule, { robotId: 'robot-001', from, to });
+ *   alertRules.stop();                                   // 服务退出时
+ *
+ * 文件路径: backend/data/alertRules.js
+ */
+
+const config = require('../config');
+const alerts = require('./alerts');
+const events = require('./events');
+const fleet = require('./fleet');
+const geo = require('./geo');
+const history = require('./history');
+const { createError } = require('./errors');
+const repository = require('./alertRuleRepository');
+const zoneRepository = require('./zoneRepository');
+const { DAY, parseTime } = require('./time');
+
+const OPTIONS = config.alerts;
+
+/**
+ * 可监测的字段 -> { channel: 数据通道, label: 中文名称, unit: 单位 }
+ */
+const METRICS = {
+    battery: { channel: 'status', label: '电量', unit: '%' },
+    speed: { channel: 'status', label: '速度', unit: ' m/s' },
+    temperature: { channel: 'status', label: '温度', unit: '°C' },
+    soilHumidity: { channel: 'sensors', label: '土壤湿度', unit: '%' },
+    soilTemp: { channel: 'sensors', label: '土壤温度', unit: '°C' },
+    light: { channel: 'sensors', label: '光照强度', unit: ' Lux' },
+    airHumidity: { channel: 'sensors', label: '空气湿度', unit: '%' }
+};
+
+/**
+ * 规则类型 -> 中文名称
+ */
+const KINDS = {
+    threshold: '阈值',
+    rate: '变化率'
+};
+
+/**
+ * 触发条件 -> 中文名称
+ */
+const CONDITIONS = {
+    below: '低于',
+    above: '高于'
+};
+
+/**
+ * rate 规则未指定 windowSeconds 时的窗口（秒）
+ */
+const DEFAULT_WINDOW = 60;
+
+/**
+ * windowSeconds、sustainSeconds 的取值范围（秒）
+ */
+const WINDOW_RANGE = [10, 3600];
+const MAX_SUSTAIN = DAY / 1000;
+
+/**
+ * throttleSeconds 的上限（秒），同一规则同一机器人两次通知的最小间隔
+ */
+const MAX_THROTTLE = DAY / 1000;
+
+// 规则评估状态: `${robotId}:${ruleId}` -> { updatedAt, pendingSince, window }
+const states = new Map();
+
+// 机器人最近一次上报的坐标，用于地块范围判断: robotId -> { lat, lon }
+const positions = new Map();
+
+// 解析后的地块边界: zoneId -> { updatedAt, rings }
+const ringCache = new Map();
+
+// 评估和规则变更按顺序执行，避免同一机器人的两次更新交错产生重复告警
+let checking = Promise.resolve();
+
+let offUpdate = null;
+
+// ============================================================
+// 规则校验
+// ============================================================
+
+/**
+ * 校验可选的数值字段
+ * @param {string} key - 字段名
+ * @param {*} value - 字段值
+ * @param {Object} options - { integer?, min?, max?, nullable? }
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+function checkNumber(key, value, { integer = false, min, max, nullable = false } = {}) {
+    if (value === null && nullable) return;
+
+    const valid = integer ? Number.isInteger(value) : typeof value === 'number' && Number.isFinite(value);
+    if (!valid || (min !== undefined && value < min) || (max !== undefined && value > max)) {
+        const range = min !== undefined ? ` (${min}-${max})` : '';
+        const suffix = nullable ? '，null 表示默认' : '';
+        throw createError(`${key}: 必须是${integer ? '整数' : '数字'}${range}${suffix}`, 400);
+    }
+}
+
+/**
+ * 校验告警规则请求
+ * @param {Object} body - 请求体 { name?, field?, kind?, condition?, threshold?, clearThreshold?,
+ *   sustainSeconds?, windowSeconds?, throttleSeconds?, level?, robotIds?, zoneId?, enabled? }
+ * @param {Object|null} current - 修改时为当前规则（字段均可选），创建时为 null
+ * @returns {Promise<Object>} 提供了的字段；windowSeconds 随 kind 补全或清空
+ * @throws {Error} 字段无效时抛出 (status 400)，信息以字段名开头
+ */
+async function parse(body, current = null) {
+    const result = {};
+    const { name, field, kind, condition, threshold, clearThreshold, sustainSeconds, windowSeconds, throttleSeconds, level, robotIds, zoneId, enabled } = body;
+
+    if (!current) {
+        const missing = ['name', 'field', 'condition', 'threshold'].filter(key => body[key] === undefined);
+        if (missing.length > 0) {
+            throw createError(`${missing.join(', ')}: 缺少必填字段`, 400);
+        }
+    }
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw createError('name: 必须是非空字符串', 400);
+        }
+        result.name = name.trim();
+    }
+
+    [['field', field, METRICS], ['kind', kind, KINDS], ['condition', condition, CONDITIONS], ['level', level, alerts.LEVELS]]
+        .forEach(([key, value, options]) => {
+            if (value === undefined) return;
+            if (!options[value]) {
+                throw createError(`${key}: 必须是 ${Object.keys(options).join(', ')} 之一`, 400);
+            }
+            result[key] = value;
+        });
+
+    if (threshold !== undefined) {
+        checkNumber('threshold', threshold);
+        result.threshold = threshold;
+    }
+    if (clearThreshold !== undefined) {
+        checkNumber('clearThreshold', clearThreshold, { nullable: true });
+        result.clearThreshold = clearThreshold;
+    }
+    if (sustainSeconds !== undefined) {
+        checkNumber('sustainSeconds', sustainSeconds, { integer: true, min: 0, max: MAX_SUSTAIN });
+        result.sustainSeconds = sustainSeconds;
+    }
+    if (windowSeconds !== undefined) {
+        checkNumber('windowSeconds', windowSeconds, { integer: true, min: WINDOW_RANGE[0], max: WINDOW_RANGE[1], nullable: true });
+        result.windowSeconds = windowSeconds;
+    }
+    if (throttleSeconds !== undefined) {
+        checkNumber('throttleSeconds', throttleSeconds, { integer: true, min: 0, max: MAX_THROTTLE, nullable: true });
+        result.throttleSeconds = throttleSeconds;
+    }
+
+    if (robotIds !== undefined) {
+        if (robotIds !== null && (!Array.isArray(robotIds) || robotIds.length === 0)) {
+            throw createError('robotIds: 必须是非空的机器人ID数组，null 表示全部机器人', 400);
+        }
+        const unknown = (robotIds || []).filter(robotId => !fleet.hasRobot(robotId));
+        if (unknown.length > 0) {
+            throw createError(`robotIds: 机器人 ${unknown.join(', ')} 不存在`, 400);
+        }
+        result.robotIds = robotIds;
+    }
+
+    if (zoneId !== undefined) {
+        if (zoneId !== null && !Number.isInteger(zoneId)) {
+            throw createError('zoneId: 必须是地块ID，null 表示不限地块', 400);
+        }
+        if (zoneId !== null && !(await zoneRepository.get(zoneId))) {
+            throw createError(`zoneId: 地块 #${zoneId} 不存在`, 400);
+        }
+        result.zoneId = zoneId;
+    }
+
+    if (enabled !== undefined) {
+        if (typeof enabled !== 'boolean') {
+            throw createError('enabled: 必须是布尔值', 400);
+        }
+        result.enabled = enabled;
+    }
+
+    // 与修改前的字段合并后检查字段之间的关系
+    const merged = { kind: 'threshold', clearThreshold: null, windowSeconds: null, ...current, ...result };
+
+    if (merged.kind === 'threshold') {
+        if (windowSeconds !== undefined && windowSeconds !== null) {
+            throw createError('windowSeconds: 只适用于 rate 规则', 400);
+        }
+        if (merged.windowSeconds !== null) result.windowSeconds = null;
+    } else if (merged.windowSeconds === null) {
+        result.windowSeconds = DEFAULT_WINDOW;
+    }
+
+    if (merged.clearThreshold !== null) {
+        const below = merged.condition === 'below';
+        if (below ? merged.clearThreshold < merged.threshold : merged.clearThreshold > merged.threshold) {
+            throw createError(
+                `clearThreshold: ${merged.condition} 规则的恢复阈值不能${below ? '低于' : '高于'}触发阈值 ${merged.threshold}`, 400);
+        }
+    }
+
+    return result;
+}
+
+/**
+ * 校验规则草稿，用于测试尚未保存的规则
+ * @param {Object} body - 规则字段，格式同创建请求
+ * @returns {Promise<Object>} 补全默认值的规则，id 为 null
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+async function parseDraft(body) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw createError('rule: 必须是规则对象', 400);
+    }
+
+    const ruleData = await parse(body);
+    return {
+        id: null,
+        kind: 'threshold',
+        clearThreshold: null,
+        sustainSeconds: 0,
+        windowSeconds: null,
+        throttleSeconds: null,
+        level: 'warning',
+        robotIds: null,
+        zoneId: null,
+        enabled: true,
+        updatedAt: null,
+        ...ruleData
+    };
+}
+
+// ============================================================
+// 规则评估
+// ============================================================
+
+/**
+ * 告警键
+ * @param {Object} rule - 告警规则
+ * @returns {string} rule-<规则ID>
+ */
+const keyOf = rule => `rule-${rule.id}`;
+
+/**
+ * 新的评估状态
+ * @param {Object} rule - 告警规则
+ * @returns {Object} { updatedAt, pendingSince, window }
+ */
+const createState = rule => ({ updatedAt: rule.updatedAt, pendingSince: null, window: [] });
+
+/**
+ * 按规则格式化数值
+ * @param {Object} rule - 告警规则
+ * @param {number} value - 当前值或变化率
+ * @returns {string} 如 '28%'、'+6.5°C/分钟'
+ */
+function formatValue(rule, value) {
+    const { unit } = METRICS[rule.field];
+    if (rule.kind !== 'rate') return `${value}${unit}`;
+    return `${value > 0 ? '+' : ''}${value}${unit}/分钟`;
+}
+
+/**
+ * 恢复原因中的数值描述
+ * @param {Object} rule - 告警规则
+ * @param {number} value - 当前值或变化率
+ * @returns {string} 如 '当前值 36%'、'变化率 +0.5°C/分钟'
+ */
+const describeValue = (rule, value) => `${rule.kind === 'rate' ? '变化率' : '当前值'} ${formatValue(rule, value)}`;
+
+/**
+ * 计算规则判断用的值: threshold 规则为当前值，rate 规则为窗口内每分钟的变化量
+ * @param {Object} rule - 告警规则
+ * @param {Object} state - 评估状态
+ * @param {number} time - 样本时间
+ * @param {number} value - 样本值
+ * @returns {number|null} 判断用的值，rate 规则样本跨度不足半个窗口时返回 null
+ */
+function measure(rule, state, time, value) {
+    if (rule.kind !== 'rate') return value;
+
+    const windowMs = rule.windowSeconds * 1000;
+    const { window } = state;
+    window.push({ t: time, value });
+
+    // 保留最近一个早于窗口起点的样本作为基准；离线太久的旧样本丢弃
+    while (window.length > 2 && time - window[1].t >= windowMs) window.shift();
+    while (window.length > 1 && time - window[0].t > 2 * windowMs) window.shift();
+
+    const first = window[0];
+    if (time - first.t < windowMs / 2) return null;
+
+    const rate = (value - first.value) / ((time - first.t) / 60000);
+    return Math.round(rate * 100) / 100;
+}
+
+/**
+ * 用一个样本推进规则的评估状态
+ * 未告警时: 超过触发阈值并持续 sustainSeconds 后触发；已告警时: 越过恢复阈值后恢复
+ * @param {Object} rule - 告警规则
+ * @param {Object} state - 评估状态，active 为当前是否有未恢复的告警
+ * @param {number} time - 样本时间
+ * @param {number} value - 样本值
+ * @returns {Object|null} { action: 'raise' | 'clear', value }，状态不变时返回 null
+ */
+function step(rule, state, time, value) {
+    const measured = measure(rule, state, time, value);
+    if (measured === null) return null;
+
+    const beyond = limit => (rule.condition === 'below' ? measured < limit : measured > limit);
+
+    if (state.active) {
+        const clearThreshold = rule.clearThreshold === null ? rule.threshold : rule.clearThreshold;
+        if (beyond(clearThreshold)) return null;
+
+        state.active = false;
+        return { action: 'clear', value: measured };
+    }
+
+    if (!beyond(rule.threshold)) {
+        state.pendingSince = null;
+        return null;
+    }
+
+    if (state.pendingSince === null) state.pendingSince = time;
+    if (time - state.pendingSince < rule.sustainSeconds * 1000) return null;
+
+    state.pendingSince = null;
+    state.active = true;
+    return { action: 'raise', value: measured };
+}
+
+/**
+ * 获取地块解析后的边界，地块修改后重新解析
+ * @param {Object} zone - 地块
+ * @returns {Array<Array<Object>>} 环数组
+ */
+function ringsOf(zone) {
+    const cached = ringCache.get(zone.id);
+    if (cached && cached.updatedAt === zone.updatedAt) return cached.rings;
+
+    const rings = geo.parsePolygon(zone.boundary);
+    ringCache.set(zone.id, { updatedAt: zone.updatedAt, rings });
+    return rings;
+}
+
+/**
+ * 判断规则是否适用于机器人当前的位置
+ * @param {Object} rule - 告警规则
+ * @param {string} robotId - 机器人ID
+ * @param {Object|undefined} coordinates - 机器人坐标 { lat, lon }
+ * @returns {Promise<string|null>} 适用时返回 null，否则返回不适用的原因
+ */
+async function scopeOf(rule, robotId, coordinates) {
+    if (rule.robotIds && !rule.robotIds.includes(robotId)) {
+        return '告警规则不再适用于该机器人';
+    }
+    if (rule.zoneId === null) return null;
+
+    const zone = await zoneRepository.get(rule.zoneId);
+    if (!zone) return `地块 #${rule.zoneId} 已删除`;
+
+    if (!geo.isCoordinate(coordinates) || !geo.containsPoint(ringsOf(zone), coordinates)) {
+        return `已离开地块「${zone.name}」`;
+    }
+    return null;
+}
+
+/**
+ * 按已启用的规则评估一次数据更新
+ * @param {string} robotId - 机器人ID
+ * @param {string} channel - 数据通道
+ * @param {Object} values - 更新后的数据
+ * @param {number} time - 更新时间
+ */
+async function evaluate(robotId, channel, values, time) {
+    if (channel === 'status' && geo.isCoordinate(values.coordinates)) {
+        positions.set(robotId, values.coordinates);
+    }
+
+    const rules = (await repository.list({ enabled: true }))
+        .filter(rule => METRICS[rule.field].channel === channel);
+
+    for (const rule of rules) {
+        const value = values[rule.field];
+        if (typeof value !== 'number') continue;
+
+        const stateKey = `${robotId}:${rule.id}`;
+        const active = await alerts.findActive(robotId, keyOf(rule));
+
+        const outside = await scopeOf(rule, robotId, positions.get(robotId));
+        if (outside) {
+            states.delete(stateKey);
+            if (active) await alerts.resolve(active, outside);
+            continue;
+        }
+
+        let state = states.get(stateKey);
+        if (!state || state.updatedAt !== rule.updatedAt) {
+            state = createState(rule);
+            states.set(stateKey, state);
+        }
+        state.active = Boolean(active);
+
+        const result = step(rule, state, time, value);
+        if (!result) continue;
+
+        if (result.action === 'raise') {
+            await alerts.raise(robotId, keyOf(rule), {
+                type: 'telemetry',
+                level: rule.level,
+                message: `${robotId} ${rule.name}: ${formatValue(rule, result.value)}`,
+                rule: rule.id,
+                field: rule.field,
+                kind: rule.kind,
+                condition: rule.condition,
+                threshold: rule.threshold,
+                value: result.value
+            });
+        } else {
+            await alerts.resolve(active, describeValue(rule, result.value));
+        }
+    }
+}
+
+/**
+ * 恢复规则的全部未恢复告警，并清除评估状态
+ * @param {number} ruleId - 规则ID
+ * @param {string} reason - 恢复原因
+ */
+async function resolveRule(ruleId, reason) {
+    for (const key of Array.from(states.keys())) {
+        if (key.endsWith(`:${ruleId}`)) states.delete(key);
+    }
+
+    for (const alert of await alerts.listActive({ type: 'telemetry' })) {
+        if (alert.key === keyOf({ id: ruleId })) await alerts.resolve(alert, reason);
+    }
+}
+
+/**
+ * 排入评估队列执行，与数据更新的评估互不交错
+ * @param {Function} task - 异步任务
+ * @returns {Promise<*>} 任务的结果
+ */
+function enqueue(task) {
+    const result = checking.then(task);
+    checking = result.catch(() => {});
+    return result;
+}
+
+/**
+ * 处理数据层更新事件，只关注状态和传感器数据
+ * @param {Object} event - { robotId, channel, data, timestamp }
+ */
+function onUpdate({ robotId, channel, data: values, timestamp }) {
+    if ((channel !== 'status' && channel !== 'sensors') || !values) return;
+
+    enqueue(() => evaluate(robotId, channel, values, timestamp)).catch((error) => {
+        console.error(`[AlertRules] 评估 ${robotId} 的告警规则失败:`, error.message);
+    });
+}
+
+/**
+ * 恢复上次运行遗留的、对应规则已删除或停用的告警（包括旧版本以规则名为 key 的告警）
+ * 其余告警在机器人下一次数据更新时按规则重新评估
+ */
+async function restore() {
+    const rules = await repository.list({ enabled: true });
+
+    for (const alert of await alerts.listActive({ type: 'telemetry' })) {
+        if (!rules.some(rule => keyOf(rule) === alert.key)) {
+            await alerts.resolve(alert, '告警规则已删除或停用');
+        }
+    }
+    console.log(`[AlertRules] 告警规则评估已启动 (${rules.length} 条启用的规则)`);
+}
+
+// ============================================================
+// 增删改
+// ============================================================
+
+/**
+ * 查询告警规则
+ * @param {Object} query - 请求参数 { robotId?, field? }
+ * @returns {Promise<Array>} 告警规则数组，按ID升序
+ * @throws {Error} 参数无效时抛出 (status 400，机器人不存在时 404)
+ */
+async function list({ robotId, field }) {
+    if (robotId !== undefined && !fleet.hasRobot(robotId)) {
+        throw createError(`机器人 ${robotId} 不存在`, 404);
+    }
+    if (field !== undefined && !METRICS[field]) {
+        throw createError(`field: 必须是 ${Object.keys(METRICS).join(', ')} 之一`, 400);
+    }
+    return repository.list({ robotId, field });
+}
+
+/**
+ * 创建告警规则
+ * @param {Object} body - 请求体，格式见 parse
+ * @returns {Promise<Object>} 创建的告警规则
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+async function create(body) {
+    return repository.create(await parse(body));
+}
+
+/**
+ * 修改告警规则
+ * 停用规则或修改字段、类型、条件时，该规则的告警随之恢复；
+ * 其他修改（阈值、范围等）在机器人下一次数据更新时按新规则评估
+ * @param {number} ruleId - 规则ID
+ * @param {Object} body - 请求体，格式见 parse，字段均可选
+ * @returns {Promise<Object|null>} 修改后的告警规则，不存在时返回null
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+async function update(ruleId, body) {
+    const current = await repository.get(ruleId);
+    if (!current) return null;
+
+    const updateData = await parse(body, current);
+
+    return enqueue(async () => {
+        const before = { ...current };
+        const rule = await repository.update(ruleId, updateData);
+
+        if (!rule.enabled) {
+            await resolveRule(ruleId, '告警规则已停用');
+        } else if (['field', 'kind', 'condition'].some(key => rule[key] !== before[key])) {
+            await resolveRule(ruleId, '告警规则已修改');
+        }
+        return rule;
+    });
+}
+
+/**
+ * 删除告警规则，该规则的告警随之恢复
+ * @param {number} ruleId - 规则ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+function remove(ruleId) {
+    return enqueue(async () => {
+        const deleted = await repository.remove(ruleId);
+        if (deleted) await resolveRule(ruleId, '告警规则已删除');
+        return deleted;
+    });
+}
+
+// ============================================================
+// 历史回放
+// ============================================================
+
+/**
+ * 解析并校验规则测试参数
+ * @param {Object} body - 请求体 { robotId, from?, to? }
+ * @returns {Object} { robotId, from, to }
+ * @throws {Error} 参数无效时抛出 (status 400，机器人不存在时 404)
+ */
+function parseTestQuery({ robotId, from, to }) {
+    if (robotId === undefined) {
+        throw createError('robotId: 缺少必填字段', 400);
+    }
+    if (!fleet.hasRobot(robotId)) {
+        throw createError(`机器人 ${robotId} 不存在`, 404);
+    }
+
+    let range;
+    try {
+        const end = to ? parseTime(to, 'to') : Date.now();
+        range = { from: from ? parseTime(from, 'from') : end - DAY, to: end };
+    } catch (error) {
+        throw createError(error.message, 400);
+    }
+    if (range.from >= range.to) {
+        throw createError('from 必须早于 to', 400);
+    }
+    if (range.to - range.from > OPTIONS.testMaxDays * DAY) {
+        throw createError(`时间范围不能超过 ${OPTIONS.testMaxDays} 天`, 400);
+    }
+
+    return { robotId, ...range };
+}
+
+/**
+ * 按时间顺序读取回放规则需要的样本
+ * 限定地块的传感器规则需要同时读取状态样本中的坐标
+ * @param {Object} rule - 告警规则
+ * @param {string} robotId - 机器人ID
+ * @param {number} from - 起始时间
+ * @param {number} to - 结束时间
+ * @returns {AsyncGenerator<Object>} 样本 { t, ...字段 }
+ */
+async function* replay(rule, robotId, from, to) {
+    const { channel } = METRICS[rule.field];
+    const kinds = rule.zoneId !== null && channel !== 'status' ? ['status', channel] : [channel];
+
+    const streams = kinds.map(kind => history.samples(robotId, kind, from, to));
+    const heads = await Promise.all(streams.map(stream => stream.next()));
+
+    for (;;) {
+        let next = -1;
+        heads.forEach((head, index) => {
+            if (!head.done && (next === -1 || head.value.t < heads[next].value.t)) next = index;
+        });
+        if (next === -1) return;
+
+        yield heads[next].value;
+        heads[next] = await streams[next].next();
+    }
+}
+
+/**
+ * 用记录的历史数据回放规则，预览会产生的告警
+ * 与实时评估使用同一套判断，不会真正触发告警
+ * @param {Object} rule - 告警规则（已保存的规则或 parse 校验过的草稿）
+ * @param {Object} options - parseTestQuery 的结果 { robotId, from, to }
+ * @returns {Promise<Object>} { robotId, from, to, samples, raised, alerts, truncated, activeAtEnd }
+ *   alerts: [{ raisedAt, value, resolvedAt, resolvedValue, resolveReason }]，按触发时间升序
+ * @throws {Error} 规则不适用于该机器人时抛出 (status 400)
+ */
+async function test(rule, { robotId, from, to }) {
+    if (rule.robotIds && !rule.robotIds.includes(robotId)) {
+        throw createError(`robotId: 规则不适用于机器人 ${robotId}`, 400);
+    }
+
+    const state = createState(rule);
+    const simulated = [];
+    let current = null;
+    let coordinates;
+    let samples = 0;
+    let raised = 0;
+
+    const close = (time, value, reason) => {
+        current.resolvedAt = time;
+        current.resolvedValue = value;
+        current.resolveReason = reason;
+        current = null;
+    };
+
+    for await (const sample of replay(rule, robotId, from, to)) {
+        if (typeof sample.lat === 'number' && typeof sample.lon === 'number') {
+            coordinates = { lat: sample.lat, lon: sample.lon };
+        }
+
+        const value = sample[rule.field];
+        if (typeof value !== 'number') continue;
+        samples++;
+
+        const outside = await scopeOf(rule, robotId, coordinates);
+        if (outside) {
+            Object.assign(state, createState(rule), { active: false });
+            if (current) close(sample.t, null, outside);
+            continue;
+        }
+
+        state.active = Boolean(current);
+        const result = step(rule, state, sample.t, value);
+        if (!result) continue;
+
+        if (result.action === 'raise') {
+            raised++;
+            current = { raisedAt: sample.t, value: result.value, resolvedAt: null, resolvedValue: null, resolveReason: null };
+            if (simulated.length < OPTIONS.maxLimit) simulated.push(current);
+        } else {
+            close(sample.t, result.value, describeValue(rule, result.value));
+        }
+    }
+
+    return {
+        robotId,
+        from,
+        to,
+        samples,
+        raised,
+        alerts: simulated,
+        truncated: raised > simulated.length,
+        activeAtEnd: current !== null
+    };
+}
+
+// ============================================================
+// 服务管理
+// ============================================================
+
+/**
+ * 开始按规则评估数据更新
+ */
+function start() {
+    if (!OPTIONS.enabled) {
+        console.log('[AlertRules] 遥测告警规则未启用');
+        return;
+    }
+
+    enqueue(restore).catch((error) => {
+        console.error('[AlertRules] 读取未恢复的遥测告警失败:', error.message);
+    });
+    offUpdate = events.onUpdate(onUpdate);
+}
+
+/**
+ * 停止评估
+ */
+function stop() {
+    if (offUpdate) offUpdate();
+    offUpdate = null;
+}
+
+module.exports = {
+    METRICS,
+    KINDS,
+    CONDITIONS,
+    parseDraft,
+    parseTestQuery,
+    list,
+    create,
+    update,
+    remove,
+    test,
+    start,
+    stop
+};
@@ -0,0 +1,225 @@
+/**
+ * 告警模块
+ *
+ * 功能描述:
+ * - 告警的触发、恢复、确认和查询，不依赖浏览器是否打开
+ * - 告警生命周期: raised (已触发) → acknowledged (已确认) → resolved (已恢复)，
+ *   未确认的告警条件消失时直接恢复；同一机器人、同一 key 同时只有一条未恢复的告警
+ * - 告警来源通过 raise / resolve 接入: 遥测告警规则 (data/alertRules.js)、电子围栏越界检测 (data/geofence.js)
+ * - 每次状态变化都发布 alert 事件 (events.publishAlert)，由 SSE、WebSocket 推送给客户端
+ * - 告警保存在 data/alertRepository.js
+ *
+ * 使用方式:
+ *   const alerts = require('./alerts');
+ *   const alert = await alerts.raise('robot-001', 'geofence-1', { type: 'geofence', level: 'critical', message });
+ *   await alerts.resolve(alert, '已回到安全区域');
+ *   await alerts.acknowledge(alert.id, 'zhangsan');
+ *
+ * 文件路径: backend/data/alerts.js
+ */
+
+const config = require('../config');
+const events = require('./events');
+const fleet = require('./fleet');
+const { createError } = require('./errors');
+const repository = require('./alertRepository');
+const { DAY, parseTime } = require('./time');
+
+const OPTIONS = config.alerts;
+
+/**
+ * 告警级别 -> 中文名称
+ */
+const LEVELS = {
+    critical: '严重',
+    warning: '警告',
+    info: '提示'
+};
+
+/**
+ * 告警状态 -> 中文名称
+ */
+const STATES = {
+    raised: '已触发',
+    acknowledged: '已确认',
+    resolved: '已恢复'
+};
+
+/**
+ * 告警类型 -> 中文名称
+ */
+const TYPES = {
+    telemetry: '遥测告警',
+    geofence: '电子围栏越界'
+};
+
+/**
+ * 历史查询未指定 from 时默认的时间范围（毫秒）
+ */
+const DEFAULT_RANGE = 7 * DAY;
+
+// ============================================================
+// 告警生命周期
+// ============================================================
+
+/**
+ * 触发告警
+ * 同一机器人、同一 key 已有未恢复的告警时不重复触发
+ * @param {string} robotId - 机器人ID
+ * @param {string} key - 告警键，如告警规则 rule-1、电子围栏 geofence-1
+ * @param {Object} alertData - { type, level, message, ...附加字段 }
+ * @returns {Promise<Object>} 新触发的告警，或已有的未恢复告警
+ */
+async function raise(robotId, key, alertData) {
+    const existing = await repository.findActive(robotId, key);
+    if (existing) return existing;
+
+    const alert = await repository.create({ ...alertData, key, robotId });
+    events.publishAlert(robotId, alert);
+    console.warn(`🚨 [Alerts] 告警 #${alert.id} (${LEVELS[alert.level]}): ${alert.message}`);
+    return alert;
+}
+
+/**
+ * 恢复告警
+ * @param {Object} alert - 告警
+ * @param {string} reason - 恢复原因
+ * @returns {Promise<Object|null>} 恢复后的告警，已恢复或不存在时返回null
+ */
+async function resolve(alert, reason) {
+    const current = await repository.get(alert.id);
+    if (!current || current.state === 'resolved') return null;
+
+    const resolved = await repository.resolve(alert.id, reason);
+    events.publishAlert(resolved.robotId, resolved);
+    console.log(`✅ [Alerts] 告警 #${resolved.id} 已恢复: ${resolved.message}（${reason}）`);
+    return resolved;
+}
+
+/**
+ * 查找机器人某个 key 未恢复的告警
+ * @param {string} robotId - 机器人ID
+ * @param {string} key - 告警键
+ * @returns {Promise<Object|null>} 未恢复的告警，没有时返回null
+ */
+const findActive = (robotId, key) => repository.findActive(robotId, key);
+
+/**
+ * 确认告警
+ * @param {number} alertId - 告警ID
+ * @param {string} actor - 确认人
+ * @returns {Promise<Object|null>} 确认后的告警，不存在时返回null
+ * @throws {Error} 告警已确认或已恢复时抛出 (status 409)
+ */
+async function acknowledge(alertId, actor) {
+    const alert = await repository.get(alertId);
+    if (!alert) return null;
+
+    if (alert.state === 'acknowledged') {
+        throw createError(`告警 #${alertId} 已由 ${alert.acknowledgedBy} 确认`, 409);
+    }
+    if (alert.state === 'resolved') {
+        throw createError(`告警 #${alertId} 已恢复，无需确认`, 409);
+    }
+
+    const acknowledged = await repository.acknowledge(alertId, actor);
+    events.publishAlert(acknowledged.robotId, acknowledged);
+    console.log(`👌 [Alerts] 告警 #${alertId} 已由 ${actor} 确认: ${acknowledged.message}`);
+    return acknowledged;
+}
+
+// ============================================================
+// 查询
+// ============================================================
+
+/**
+ * 校验通用的过滤参数
+ * @param {Object} query - 请求参数 { robotId?, type?, level? }
+ * @returns {Object} { robotId, type, level }，未提供的为 undefined
+ * @throws {Error} 参数无效时抛出 (status 400，机器人不存在时 404)
+ */
+function parseFilter({ robotId, type, level }) {
+    if (robotId !== undefined && !fleet.hasRobot(robotId)) {
+        throw createError(`机器人 ${robotId} 不存在`, 404);
+    }
+    if (type !== undefined && !TYPES[type]) {
+        throw createError(`type: 必须是 ${Object.keys(TYPES).join(', ')} 之一`, 400);
+    }
+    if (level !== undefined && !LEVELS[level]) {
+        throw createError(`level: 必须是 ${Object.keys(LEVELS).join(', ')} 之一`, 400);
+    }
+    return { robotId, type, level };
+}
+
+/**
+ * 查询未恢复的告警
+ * @param {Object} query - 请求参数 { robotId?, type?, level? }
+ * @returns {Promise<Array>} 告警数组，最新触发的在前
+ * @throws {Error} 参数无效时抛出 (status 400/404)
+ */
+async function listActive(query) {
+    const alerts = await repository.list({ ...parseFilter(query), active: true });
+    return alerts.slice().reverse();
+}
+
+/**
+ * 解析并校验历史查询参数
+ * @param {Object} query - 请求参数 { robotId?, type?, level?, state?, from?, to?, limit? }
+ * @returns {Object} { robotId, type, level, state, from, to, limit }
+ * @throws {Error} 参数无效时抛出 (status 400/404)
+ */
+function parseHistoryQuery(query) {
+    const filter = parseFilter(query);
+
+    let to;
+    let from;
+    try {
+        to = query.to ? parseTime(query.to, 'to') : Date.now();
+        from = query.from ? parseTime(query.from, 'from') : to - DEFAULT_RANGE;
+    } catch (error) {
+        throw createError(error.message, 400);
+    }
+    if (from >= to) {
+        throw createError('from 必须早于 to', 400);
+    }
+
+    if (query.state !== undefined && !STATES[query.state]) {
+        throw createError(`state: 必须是 ${Object.keys(STATES).join(', ')} 之一`, 400);
+    }
+
+    let limit = OPTIONS.defaultLimit;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > OPTIONS.maxLimit) {
+            throw createError(`limit 必须是 1-${OPTIONS.maxLimit} 的整数`, 400);
+        }
+    }
+
+    return { ...filter, state: query.state, from, to, limit };
+}
+
+/**
+ * 查询告警历史（按触发时间）
+ * @param {Object} options - parseHistoryQuery 的结果
+ * @returns {Promise<Object>} { alerts, truncated }，alerts 最新触发的在前；truncated 表示还有更早的匹配告警
+ */
+async function history({ robotId, type, level, state, from, to, limit }) {
+    const matched = (await repository.list({ robotId, type, level }))
+        .filter(alert => alert.raisedAt >= from && alert.raisedAt < to && (!state || alert.state === state))
+        .reverse();
+
+    return { alerts: matched.slice(0, limit), truncated: matched.length > limit };
+}
+
+module.exports = {
+    LEVELS,
+    STATES,
+    TYPES,
+    raise,
+    resolve,
+    acknowledge,
+    findActive,
+    listActive,
+    parseHistoryQuery,
+    history
+};
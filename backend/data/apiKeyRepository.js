@@ -0,0 +1,201 @@
+/**
+ * API Key 仓库模块
+ *
+ * 功能描述:
+ * - 持久化保存设备 API Key，服务重启后不丢失
+ * - 只保存密钥的 SHA-256 哈希和前缀，不保存明文（生成与校验见 data/apiKeys.js）
+ * - 吊销的 API Key 保留记录，便于追溯；ID全局单调递增，不会复用
+ * - 最近使用时间频繁变化，内存中实时更新，按 LAST_USED_SAVE_INTERVAL 节流写盘
+ *
+ * 存储格式 (storage/api-keys.json，整体原子写入):
+ * {
+ *   "version": 1,
+ *   "nextId": 2,
+ *   "keys": [
+ *     { "id": 1, "name": "东区田间网关", "prefix": "ak_Jx3f9Q",
+ *       "keyHash": "<SHA-256>",
+ *       "scopes": ["status", "sensors"],                 // 可写入的数据上报接口
+ *       "robots": ["robot-001"],                         // 可写入的机器人，["*"] 为全部
+ *       "createdBy": "admin", "createdAt": 1769737700000,
+ *       "revokedBy": null, "revokedAt": null,
+ *       "lastUsedAt": 1769737886000, "lastUsedIp": "192.168.1.20" }
+ *   ]
+ * }
+ *
+ * 文件路径: backend/data/apiKeyRepository.js
+ */
+
+const storage = require('./storage');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 1;
+
+/**
+ * 最近使用时间的最小写盘间隔（毫秒）
+ * 网关每秒上报时不必每次都写盘，服务退出时写入最新值
+ */
+const LAST_USED_SAVE_INTERVAL = 60 * 1000;
+
+// 最近使用时间上次写盘的时刻，以及是否有未写盘的使用记录
+let lastUsedSavedAt = 0;
+let lastUsedDirty = false;
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * API Key 仓库 (storage/api-keys.json)，加载与保存见 storage.createJsonRepository
+ */
+const repository = storage.createJsonRepository('api-keys.json', () => ({ version: VERSION, nextId: 1, keys: [] }), {
+    tag: 'ApiKeys',
+    label: 'API Key 仓库',
+    version: VERSION,
+    collection: 'keys',
+    summary: (data) => {
+        const active = data.keys.filter(key => !key.revokedAt).length;
+        return `${active} 个有效，${data.keys.length - active} 个已吊销`;
+    }
+});
+
+const { getStore } = repository;
+
+/**
+ * 保存仓库数据，最近使用时间随之写盘
+ * @returns {Promise<void>}
+ */
+function save() {
+    lastUsedDirty = false;
+    return repository.save();
+}
+
+/**
+ * 加载 API Key 仓库
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+const init = () => repository.load();
+
+/**
+ * 写入未保存的最近使用时间，并等待未完成的写入
+ * 服务退出时调用
+ * @returns {Promise<void>}
+ */
+function close() {
+    if (lastUsedDirty) save();
+    return repository.close();
+}
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 查询全部 API Key
+ * @returns {Promise<Array>} API Key 数组，按ID升序
+ */
+async function list() {
+    const { keys } = await getStore();
+    return keys;
+}
+
+/**
+ * 获取单个 API Key
+ * @param {number} keyId - API Key ID
+ * @returns {Promise<Object|null>} API Key，不存在时返回null
+ */
+async function get(keyId) {
+    const { keys } = await getStore();
+    return keys.find(key => key.id === keyId) || null;
+}
+
+/**
+ * 按密钥哈希查找 API Key
+ * @param {string} keyHash - 密钥的 SHA-256 哈希
+ * @returns {Promise<Object|null>} API Key，不存在时返回null
+ */
+async function findByHash(keyHash) {
+    const { keys } = await getStore();
+    return keys.find(key => key.keyHash === keyHash) || null;
+}
+
+/**
+ * 创建 API Key
+ * @param {Object} keyData - { name, prefix, keyHash, scopes, robots }，已校验
+ * @param {string} actor - 创建人
+ * @returns {Promise<Object>} 创建的 API Key
+ */
+async function create(keyData, actor) {
+    const data = await getStore();
+
+    const key = {
+        id: data.nextId++,
+        name: keyData.name,
+        prefix: keyData.prefix,
+        keyHash: keyData.keyHash,
+        scopes: keyData.scopes,
+        robots: keyData.robots,
+        createdBy: actor,
+        createdAt: Date.now(),
+        revokedBy: null,
+        revokedAt: null,
+        lastUsedAt: null,
+        lastUsedIp: null
+    };
+
+    data.keys.push(key);
+    await save();
+
+    console.log(`🔑 [ApiKeys] 创建 API Key #${key.id}: ${key.name} (${key.scopes.join('/')} → ${key.robots.join(', ')})`);
+    return key;
+}
+
+/**
+ * 吊销 API Key
+ * @param {number} keyId - API Key ID
+ * @param {string} actor - 操作人
+ * @returns {Promise<Object|null>} 吊销后的 API Key，不存在时返回null
+ */
+async function revoke(keyId, actor) {
+    const key = await get(keyId);
+    if (!key) return null;
+
+    key.revokedBy = actor;
+    key.revokedAt = Date.now();
+    await save();
+
+    console.log(`🚫 [ApiKeys] 吊销 API Key #${key.id}: ${key.name} (${actor})`);
+    return key;
+}
+
+/**
+ * 记录 API Key 的最近使用
+ * 内存中立即更新，写盘按 LAST_USED_SAVE_INTERVAL 节流
+ * @param {Object} key - API Key（仓库中的对象）
+ * @param {string} ip - 调用方地址
+ */
+function touch(key, ip) {
+    key.lastUsedAt = Date.now();
+    key.lastUsedIp = ip;
+    lastUsedDirty = true;
+
+    if (key.lastUsedAt - lastUsedSavedAt >= LAST_USED_SAVE_INTERVAL) {
+        lastUsedSavedAt = key.lastUsedAt;
+        save().catch((error) => {
+            console.error('[ApiKeys] 保存最近使用时间失败:', error.message);
+        });
+    }
+}
+
+module.exports = {
+    init,
+    close,
+    list,
+    get,
+    findByHash,
+    create,
+    revoke,
+    touch
+};
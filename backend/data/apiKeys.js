@@ -0,0 +1,221 @@
+/**
+ * 设备 API Key 模块
+ *
+ * 功能描述:
+ * - 田间网关等设备通过 HTTP 上报数据时使用的凭证，与人员登录 (data/auth.js) 分开管理
+ * - 每个 API Key 限定可写入的数据上报接口 (scopes) 和机器人 (robots)，超出范围的写入返回403
+ * - API Key 只能访问数据上报接口，不能查询数据或发送控制指令
+ * - 明文只在创建时返回一次，仓库中只保存 SHA-256 哈希
+ * - 吊销后立即失效；记录最近使用时间和来源地址
+ *
+ * 使用方式:
+ *   请求头 X-API-Key: ak_xxxxxxxx...
+ *   const key = await apiKeys.authenticate(apiKeys.keyOf(req), req.ip);   // 无效时抛出 401
+ *   apiKeys.authorize(key, 'sensors', 'robot-001');                      // 超出范围时抛出 403
+ *
+ * 文件路径: backend/data/apiKeys.js
+ */
+
+const crypto = require('crypto');
+
+const fleet = require('./fleet');
+const { createError } = require('./errors');
+const keys = require('./apiKeyRepository');
+
+/**
+ * 权限范围 -> 数据上报接口说明
+ * 接口路径与权限范围的对应见 controllers/authController.js 的 INGEST_ROUTES
+ */
+const SCOPES = {
+    status: '机器人状态 (POST /api/robot/status)',
+    sensors: '传感器数据 (POST /api/sensors)',
+    statistics: '作业统计 (POST /api/statistics)',
+    progress: '作业进度 (POST /api/tasks/:id/progress)'
+};
+
+/**
+ * robots 中表示全部机器人的值
+ */
+const ALL_ROBOTS = '*';
+
+/**
+ * 明文前缀，便于识别和在日志、代码仓库中扫描泄露的密钥
+ */
+const KEY_PREFIX = 'ak_';
+
+/**
+ * 对外显示的前缀长度（含 ak_），用于区分同名的 API Key
+ */
+const DISPLAY_PREFIX_LENGTH = 10;
+
+/**
+ * 名称最大长度
+ */
+const MAX_NAME_LENGTH = 50;
+
+// ============================================================
+// 密钥
+// ============================================================
+
+/**
+ * 计算密钥哈希
+ * 密钥为 192 位随机数，无需加盐和慢哈希
+ * @param {string} key - 明文密钥
+ * @returns {string} SHA-256 十六进制哈希
+ */
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * 取出请求携带的 API Key
+ * @param {Object} req - HTTP 请求
+ * @returns {string|null} 明文密钥，未携带时返回null
+ */
+function keyOf(req) {
+    return req.headers['x-api-key'] || null;
+}
+
+/**
+ * API Key 的对外表示，不含哈希
+ * @param {Object} key - API Key
+ * @returns {Object} 对外表示
+ */
+const describe = ({ keyHash, ...key }) => key;
+
+/**
+ * 校验 API Key，并记录最近使用
+ * @param {string} key - 明文密钥
+ * @param {string} ip - 调用方地址
+ * @returns {Promise<Object>} API Key
+ * @throws {Error} 不存在或已吊销时抛出 (status 401)
+ */
+async function authenticate(key, ip) {
+    const record = await keys.findByHash(hashKey(String(key)));
+
+    if (!record || record.revokedAt) {
+        console.warn(`[ApiKeys] 拒绝无效的 API Key (${ip})`);
+        throw createError('API Key 无效或已吊销', 401);
+    }
+
+    keys.touch(record, ip);
+    return record;
+}
+
+/**
+ * 检查 API Key 是否可以写入指定接口和机器人
+ * @param {Object} key - API Key
+ * @param {string} scope - 权限范围，见 SCOPES
+ * @param {string} robotId - 目标机器人ID
+ * @throws {Error} 超出范围时抛出 (status 403)
+ */
+function authorize(key, scope, robotId) {
+    if (!key.scopes.includes(scope)) {
+        throw createError(`API Key ${key.name} 无权写入${SCOPES[scope]}`, 403);
+    }
+
+    if (!key.robots.includes(ALL_ROBOTS) && !key.robots.includes(robotId)) {
+        throw createError(`API Key ${key.name} 无权写入机器人 ${robotId} 的数据`, 403);
+    }
+}
+
+// ============================================================
+// 管理
+// ============================================================
+
+/**
+ * 校验创建请求
+ * @param {Object} body - { name, scopes, robots }
+ * @returns {Object} { name, scopes, robots }
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+function parseKey(body) {
+    const { name, scopes, robots } = body;
+
+    const missing = ['name', 'scopes', 'robots'].filter(key => body[key] === undefined);
+    if (missing.length > 0) {
+        throw createError(`${missing.join(', ')}: 缺少必填字段`, 400);
+    }
+
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+        throw createError(`name: 必须是 1-${MAX_NAME_LENGTH} 个字符`, 400);
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw createError('scopes: 必须是非空数组', 400);
+    }
+    const unknownScopes = scopes.filter(scope => !SCOPES[scope]);
+    if (unknownScopes.length > 0) {
+        throw createError(`scopes: 未知的权限范围 ${unknownScopes.join(', ')}，可选 ${Object.keys(SCOPES).join(', ')}`, 400);
+    }
+
+    if (!Array.isArray(robots) || robots.length === 0) {
+        throw createError(`robots: 必须是非空数组，["${ALL_ROBOTS}"] 表示全部机器人`, 400);
+    }
+    const unknownRobots = robots.filter(robotId => robotId !== ALL_ROBOTS && !fleet.hasRobot(robotId));
+    if (unknownRobots.length > 0) {
+        throw createError(`robots: 机器人 ${unknownRobots.join(', ')} 不存在`, 400);
+    }
+
+    return {
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        robots: robots.includes(ALL_ROBOTS) ? [ALL_ROBOTS] : [...new Set(robots)]
+    };
+}
+
+/**
+ * 查询全部 API Key
+ * @returns {Promise<Array>} API Key 的对外表示，含已吊销的
+ */
+async function listKeys() {
+    return (await keys.list()).map(describe);
+}
+
+/**
+ * 创建 API Key
+ * @param {Object} body - { name, scopes, robots }
+ * @param {string} actor - 创建人
+ * @returns {Promise<Object>} API Key 的对外表示，另含明文 key（只返回这一次）
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+async function createKey(body, actor) {
+    const fields = parseKey(body);
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const record = await keys.create({
+        ...fields,
+        prefix: key.slice(0, DISPLAY_PREFIX_LENGTH),
+        keyHash: hashKey(key)
+    }, actor);
+
+    return { ...describe(record), key };
+}
+
+/**
+ * 吊销 API Key
+ * @param {number} keyId - API Key ID
+ * @param {string} actor - 操作人
+ * @returns {Promise<Object|null>} 吊销后的 API Key，不存在时返回null
+ * @throws {Error} 已经吊销时抛出 (status 409)
+ */
+async function revokeKey(keyId, actor) {
+    const record = await keys.get(keyId);
+    if (!record) return null;
+
+    if (record.revokedAt) {
+        throw createError(`API Key #${keyId} 已于 ${new Date(record.revokedAt).toISOString()} 吊销`, 409);
+    }
+
+    return describe(await keys.revoke(keyId, actor));
+}
+
+module.exports = {
+    SCOPES,
+    init: keys.init,
+    close: keys.close,
+    keyOf,
+    authenticate,
+    authorize,
+    listKeys,
+    createKey,
+    revokeKey
+};
@@ -0,0 +1,307 @@
+/**
+ * 审计日志模块
+ *
+ * 功能描述:
+ * - 记录谁、在什么时间、从哪个地址、做了什么操作、请求内容和结果
+ * - 覆盖控制指令（HTTP 与 WebSocket）、急停、任务的创建/修改/状态变更/删除、告警确认，以及状态、传感器、统计数据写入
+ * - 只追加不修改，按日期分文件存放，超过保留天数的文件自动删除
+ * - 按操作人、操作类型、机器人和时间范围查询，结果按时间倒序
+ *
+ * 存储格式 (NDJSON，每行一条记录):
+ *   storage/audit/YYYY-MM-DD.ndjson
+ *   {"t":1769737886090,"actor":"zhangsan","ip":"192.168.1.8","source":"http","action":"control.command",
+ *    "robotId":"robot-001","request":"POST /api/robot/control","payload":{"command":"forward"},
+ *    "outcome":{"success":true,"status":200,"message":"前进指令已执行"}}
+ *   日期按 UTC 划分
+ *
+ * 使用方式:
+ *   const audit = require('./audit');
+ *   audit.start();                                    // 服务启动时
+ *   audit.record({ actor, ip, source, action, robotId, request, payload, outcome });
+ *   const entries = await audit.query(audit.parseQuery(req.query));
+ *   await audit.stop();                               // 服务退出时
+ *   HTTP 接口通过 controllers/auditController.js 的 audit(action) 中间件记录
+ *
+ * 文件路径: backend/data/audit.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+const storage = require('./storage');
+const { DAY, parseTime } = require('./time');
+
+const OPTIONS = config.audit;
+
+/**
+ * 操作类型 -> 说明
+ * 查询时可用前缀 (如 task) 匹配同类的全部操作
+ */
+const ACTIONS = {
+    'control.command': '控制指令 (方向指令、作业指令)',
+    'control.estop': '急停',
+    'control.estop-reset': '复位急停',
+    'task.create': '创建任务',
+    'task.update': '修改任务',
+    'task.transition': '改变任务状态',
+    'task.progress': '上报作业进度',
+    'task.delete': '删除任务',
+    'alert.ack': '确认告警',
+    'notification.test': '发送测试通知',
+    'status.update': '写入机器人状态',
+    'sensors.update': '写入传感器数据',
+    'statistics.update': '写入作业统计'
+};
+
+/**
+ * 未指定 from 时默认查询的时间范围（毫秒）
+ */
+const DEFAULT_RANGE = 7 * DAY;
+
+// 待写盘的记录: 文件路径 -> 行数组
+const pending = new Map();
+
+let flushTimer = null;
+let cleanupTimer = null;
+let started = false;
+
+// 当前写盘操作，查询和退出前等待其完成
+let flushing = Promise.resolve();
+
+// ============================================================
+// 工具函数
+// ============================================================
+
+/**
+ * 时间戳对应的日期 (UTC)
+ * @param {number} time - 时间戳
+ * @returns {string} YYYY-MM-DD
+ */
+const dayOf = time => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * 日文件路径
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string} 文件路径
+ */
+const fileOf = day => storage.resolvePath('audit', `${day}.ndjson`);
+
+/**
+ * 判断记录是否匹配操作类型过滤
+ * @param {string} action - 记录的操作类型
+ * @param {string[]} actions - 过滤条件，完整类型或前缀
+ * @returns {boolean}
+ */
+const matchesAction = (action, actions) => actions.some(item => action === item || action.startsWith(`${item}.`));
+
+// ============================================================
+// 写入
+// ============================================================
+
+/**
+ * 记录一次操作
+ * @param {Object} entry - 审计记录
+ * @param {string} entry.actor - 操作人，见 controllers/response.js 的 actorOf
+ * @param {string|null} entry.ip - 来源地址
+ * @param {string} entry.source - 来源 'http' | 'websocket'
+ * @param {string} entry.action - 操作类型，见 ACTIONS
+ * @param {string|null} entry.robotId - 目标机器人
+ * @param {string} entry.request - 请求，如 'POST /api/robot/control'
+ * @param {*} entry.payload - 请求内容
+ * @param {Object} entry.outcome - 结果 { success, status, message }，WebSocket 请求的 status 为 null
+ */
+function record({ actor, ip, source, action, robotId, request, payload, outcome }) {
+    if (!started) return;
+
+    const t = Date.now();
+    const line = JSON.stringify({
+        t,
+        actor,
+        ip: ip || null,
+        source,
+        action,
+        robotId: robotId || null,
+        request,
+        payload: payload === undefined ? null : payload,
+        outcome
+    });
+
+    const file = fileOf(dayOf(t));
+    if (!pending.has(file)) {
+        pending.set(file, []);
+    }
+    pending.get(file).push(line);
+}
+
+/**
+ * 把缓存的记录追加到文件
+ * @returns {Promise<void>}
+ */
+function flush() {
+    flushing = flushing.then(async () => {
+        const batches = [...pending.entries()];
+        pending.clear();
+
+        for (const [file, lines] of batches) {
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.appendFile(file, lines.join('\n') + '\n');
+            } catch (error) {
+                console.error(`[Audit] 写入失败 ${file}:`, error.message);
+            }
+        }
+    });
+    return flushing;
+}
+
+/**
+ * 删除超过保留天数的日文件
+ */
+async function cleanup() {
+    if (!OPTIONS.retentionDays) return;
+
+    const oldest = dayOf(Date.now() - OPTIONS.retentionDays * DAY);
+    const dir = storage.resolvePath('audit');
+    const files = await fs.promises.readdir(dir).catch(() => []);
+
+    for (const name of files) {
+        if (name.endsWith('.ndjson') && name.slice(0, 10) < oldest) {
+            await fs.promises.unlink(path.join(dir, name)).catch(() => {});
+            console.log(`[Audit] 已删除过期审计日志: ${name}`);
+        }
+    }
+}
+
+// ============================================================
+// 查询
+// ============================================================
+
+/**
+ * 解析并校验查询参数
+ * @param {Object} query - 请求参数 { actor?, action?, robotId?, from?, to?, limit? }
+ * @returns {Object} { actor, actions, robotId, from, to, limit }
+ * @throws {Error} 参数无效时抛出，错误信息可直接返回给客户端
+ */
+function parseQuery(query) {
+    const to = query.to ? parseTime(query.to, 'to') : Date.now();
+    const from = query.from ? parseTime(query.from, 'from') : to - DEFAULT_RANGE;
+
+    if (from >= to) {
+        throw new Error('from 必须早于 to');
+    }
+
+    const actions = query.action ? String(query.action).split(',').map(s => s.trim()).filter(Boolean) : [];
+    const unknown = actions.filter(item => !Object.keys(ACTIONS).some(action => matchesAction(action, [item])));
+    if (unknown.length > 0) {
+        throw new Error(`未知的操作类型: ${unknown.join(', ')}，可选: ${Object.keys(ACTIONS).join(', ')}`);
+    }
+
+    let limit = OPTIONS.defaultLimit;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > OPTIONS.maxLimit) {
+            throw new Error(`limit 必须是 1-${OPTIONS.maxLimit} 的整数`);
+        }
+    }
+
+    return {
+        actor: query.actor ? String(query.actor) : null,
+        actions,
+        robotId: query.robotId ? String(query.robotId) : null,
+        from,
+        to,
+        limit
+    };
+}
+
+/**
+ * 按条件查询审计记录
+ * 从最近的日文件往前读取，取满 limit 条即停止
+ * @param {Object} options - parseQuery 的结果 { actor, actions, robotId, from, to, limit }
+ * @returns {Promise<Object>} { entries, truncated }，entries 按时间倒序；truncated 表示还有更早的匹配记录
+ */
+async function query({ actor, actions, robotId, from, to, limit }) {
+    // 先把内存中的记录写盘，保证查询包含最新操作
+    await flush();
+
+    const entries = [];
+
+    for (let day = Date.parse(dayOf(to - 1)); day >= Date.parse(dayOf(from)); day -= DAY) {
+        let content;
+        try {
+            content = await fs.promises.readFile(fileOf(dayOf(day)), 'utf8');
+        } catch (error) {
+            continue;   // 当天没有记录
+        }
+
+        const lines = content.split('\n');
+        for (let i = lines.length - 1; i >= 0; i--) {
+            if (!lines[i]) continue;
+
+            let entry;
+            try {
+                entry = JSON.parse(lines[i]);
+            } catch (error) {
+                continue;   // 跳过写入中断产生的残行
+            }
+
+            if (entry.t < from || entry.t >= to) continue;
+            if (actor && entry.actor !== actor) continue;
+            if (robotId && entry.robotId !== robotId) continue;
+            if (actions.length > 0 && !matchesAction(entry.action, actions)) continue;
+
+            if (entries.length === limit) {
+                return { entries, truncated: true };
+            }
+            entries.push(entry);
+        }
+    }
+
+    return { entries, truncated: false };
+}
+
+// ============================================================
+// 服务管理
+// ============================================================
+
+/**
+ * 启动审计日志 - 定时写盘，清理过期文件
+ */
+function start() {
+    if (!OPTIONS.enabled) {
+        console.log('[Audit] 审计日志未启用');
+        return;
+    }
+
+    started = true;
+    flushTimer = setInterval(flush, OPTIONS.flushInterval);
+
+    cleanup();
+    cleanupTimer = setInterval(cleanup, 60 * 60 * 1000);
+
+    console.log(`[Audit] 审计日志已启动: ${storage.resolvePath('audit')}`);
+}
+
+/**
+ * 停止审计日志，并写入剩余记录
+ * @returns {Promise<void>}
+ */
+async function stop() {
+    if (!started) return;
+
+    started = false;
+    clearInterval(flushTimer);
+    clearInterval(cleanupTimer);
+
+    await flush();
+}
+
+module.exports = {
+    ACTIONS,
+    start,
+    stop,
+    record,
+    parseQuery,
+    query
+};
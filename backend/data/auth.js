@@ -0,0 +1,461 @@
+/**
+ * 登录认证模块
+ *
+ * 功能描述:
+ * - 本地用户的密码哈希 (scrypt，每个用户独立的随机盐) 与校验
+ * - 登录成功后签发令牌 (JWT，HS256)，有效期 config.auth.tokenTtl
+ * - 校验令牌时重新读取用户: 用户被删除、停用或修改密码后，已签发的令牌失效，角色修改立即生效
+ * - 角色: viewer (查看者) < operator (操作员) < admin (管理员)，高级角色拥有低级角色的全部权限
+ * - 首次启动（没有任何用户）时创建管理员 (config.auth.initialAdmin)
+ * - 用户的增删改校验，系统中至少保留一个启用的管理员
+ *
+ * 使用方式:
+ *   const auth = require('./auth');
+ *   await auth.init();                                           // 服务启动时
+ *   const { token, user } = await auth.login('admin', 'password');
+ *   const user = await auth.verifyToken(token);                  // 无效时抛出 401
+ *   auth.hasRole(user, 'operator');
+ *
+ * 文件路径: backend/data/auth.js
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const config = require('../config');
+const { createError } = require('./errors');
+const users = require('./userRepository');
+
+const OPTIONS = config.auth;
+
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * 角色 -> 中文名称，按权限从低到高排列
+ */
+const ROLES = {
+    viewer: '查看者',
+    operator: '操作员',
+    admin: '管理员'
+};
+
+/**
+ * 角色级别
+ */
+const ROLE_LEVELS = Object.keys(ROLES);
+
+/**
+ * 用户名格式: 2-32 位字母、数字、下划线、点或短横线
+ */
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{2,32}$/;
+
+/**
+ * 密码最短长度
+ */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * scrypt 派生密钥长度（字节）
+ */
+const KEY_LENGTH = 64;
+
+// 令牌签名密钥，init 后可用
+let secret = null;
+
+// 初始化完成的 Promise（密钥就绪、初始管理员已创建），登录和令牌校验先等待
+let resolveReady;
+let rejectReady;
+const ready = new Promise((resolve, reject) => {
+    resolveReady = resolve;
+    rejectReady = reject;
+});
+ready.catch(() => {});
+
+// ============================================================
+// 密码哈希
+// ============================================================
+
+/**
+ * 计算密码哈希
+ * @param {string} password - 明文密码
+ * @returns {Promise<string>} 'scrypt$<盐>$<哈希>'
+ */
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const key = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${key.toString('hex')}`;
+}
+
+/**
+ * 校验密码
+ * @param {string} password - 明文密码
+ * @param {string} passwordHash - hashPassword 的结果
+ * @returns {Promise<boolean>} 是否匹配
+ */
+async function verifyPassword(password, passwordHash) {
+    const [scheme, salt, hash] = String(passwordHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const key = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(key, expected);
+}
+
+// ============================================================
+// 令牌
+// ============================================================
+
+/**
+ * JSON 编码为 base64url
+ * @param {Object} value - 要编码的对象
+ * @returns {string} base64url 字符串
+ */
+const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * 计算令牌签名
+ * @param {string} content - 'header.payload'
+ * @returns {string} base64url 签名
+ */
+const signatureOf = content => crypto.createHmac('sha256', secret).update(content).digest('base64url');
+
+/**
+ * 签发令牌
+ * @param {Object} user - 用户
+ * @returns {Object} { token, expiresAt }
+ */
+function signToken(user) {
+    const issuedAt = Date.now();
+    const expiresAt = issuedAt + OPTIONS.tokenTtl;
+
+    const content = `${encode({ alg: 'HS256', typ: 'JWT' })}.${encode({
+        sub: user.id,
+        username: user.username,
+        role: user.role,
+        ver: user.tokenVersion || 0,
+        iat: Math.floor(issuedAt / 1000),
+        exp: Math.floor(expiresAt / 1000)
+    })}`;
+
+    return { token: `${content}.${signatureOf(content)}`, expiresAt };
+}
+
+/**
+ * 校验令牌并返回对应的用户
+ * @param {string} token - 令牌
+ * @returns {Promise<Object>} 用户的对外表示
+ * @throws {Error} 令牌无效、已过期或用户已失效时抛出 (status 401)
+ */
+async function verifyToken(token) {
+    await ready;
+
+    const parts = String(token || '').split('.');
+    if (parts.length !== 3) {
+        throw createError('登录令牌无效', 401);
+    }
+
+    const expected = Buffer.from(signatureOf(`${parts[0]}.${parts[1]}`));
+    const actual = Buffer.from(parts[2]);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw createError('登录令牌无效', 401);
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString());
+    } catch (error) {
+        throw createError('登录令牌无效', 401);
+    }
+
+    if (!payload.exp || payload.exp * 1000 <= Date.now()) {
+        throw createError('登录已过期，请重新登录', 401);
+    }
+
+    const user = await users.get(payload.sub);
+    // 修改密码后 tokenVersion 递增，此前签发的令牌版本不再匹配
+    if (!user || user.disabled || payload.ver !== (user.tokenVersion || 0)) {
+        throw createError('登录已失效，请重新登录', 401);
+    }
+
+    return describe(user);
+}
+
+/**
+ * 取出请求携带的令牌
+ * 优先使用 Authorization: Bearer 请求头；浏览器的 WebSocket、EventSource 不能设置请求头，可用 ?token= 查询参数
+ * @param {Object} req - HTTP 请求（Express 请求或 WebSocket 升级请求）
+ * @returns {string|null} 令牌，未携带时返回null
+ */
+function tokenOf(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice('Bearer '.length).trim();
+
+    return new URL(req.url, 'http://localhost').searchParams.get('token');
+}
+
+// ============================================================
+// 角色与对外表示
+// ============================================================
+
+/**
+ * 判断用户是否拥有角色的权限
+ * @param {Object} user - 用户
+ * @param {string} role - 需要的角色
+ * @returns {boolean} 用户角色不低于需要的角色
+ */
+const hasRole = (user, role) => Boolean(user) && ROLE_LEVELS.indexOf(user.role) >= ROLE_LEVELS.indexOf(role);
+
+/**
+ * 用户的对外表示，不含密码哈希
+ * @param {Object} user - 用户
+ * @returns {Object} { id, username, role, disabled, lastLoginAt, createdAt, updatedAt }
+ */
+const describe = ({ passwordHash, passwordChangedAt, tokenVersion, ...user }) => user;
+
+// ============================================================
+// 登录
+// ============================================================
+
+/**
+ * 登录
+ * @param {string} username - 用户名
+ * @param {string} password - 密码
+ * @returns {Promise<Object>} { token, expiresAt, user }
+ * @throws {Error} 用户名或密码错误、用户已停用时抛出 (status 401)
+ */
+async function login(username, password) {
+    if (typeof username !== 'string' || typeof password !== 'string') {
+        throw createError('用户名或密码错误', 401);
+    }
+
+    await ready;
+    const user = await users.findByUsername(username);
+    if (!user || !(await verifyPassword(password, user.passwordHash))) {
+        console.warn(`[Auth] 登录失败: ${username}`);
+        throw createError('用户名或密码错误', 401);
+    }
+
+    if (user.disabled) {
+        throw createError(`用户 ${username} 已停用`, 401);
+    }
+
+    await users.update(user.id, { lastLoginAt: Date.now() });
+    console.log(`🔑 [Auth] ${username} 已登录 (${user.role})`);
+
+    return { ...signToken(user), user: describe(user) };
+}
+
+/**
+ * 修改自己的密码，之前签发的令牌失效，返回新令牌
+ * @param {number} userId - 用户ID
+ * @param {Object} body - { currentPassword, newPassword }
+ * @returns {Promise<Object>} { token, expiresAt, user }
+ * @throws {Error} 当前密码错误或新密码无效时抛出 (status 400)
+ */
+async function changePassword(userId, { currentPassword, newPassword } = {}) {
+    const user = await users.get(userId);
+    if (!user || typeof currentPassword !== 'string' || !(await verifyPassword(currentPassword, user.passwordHash))) {
+        throw createError('currentPassword: 当前密码错误', 400);
+    }
+
+    const passwordHash = await hashPassword(parsePassword(newPassword, 'newPassword'));
+    const updated = await users.update(userId, { passwordHash, passwordChangedAt: Date.now() });
+
+    console.log(`🔑 [Auth] ${user.username} 已修改密码`);
+    return { ...signToken(updated), user: describe(updated) };
+}
+
+// ============================================================
+// 用户管理
+// ============================================================
+
+/**
+ * 校验密码
+ * @param {*} password - 密码
+ * @param {string} field - 字段名，用于错误信息
+ * @returns {string} 密码
+ * @throws {Error} 密码无效时抛出 (status 400)
+ */
+function parsePassword(password, field = 'password') {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        throw createError(`${field}: 密码至少 ${MIN_PASSWORD_LENGTH} 位`, 400);
+    }
+    return password;
+}
+
+/**
+ * 校验用户请求
+ * @param {Object} body - 请求体 { username?, password?, role?, disabled? }
+ * @param {Object} options - { partial: 是否为修改（字段均可选，用户名不能修改） }
+ * @returns {Promise<Object>} 提供了的字段，密码转为 passwordHash
+ * @throws {Error} 字段无效时抛出 (status 400)，用户名已存在时抛出 (status 409)
+ */
+async function parseUser(body, { partial = false } = {}) {
+    const result = {};
+    const { username, password, role, disabled } = body;
+
+    if (!partial) {
+        const missing = ['username', 'password', 'role'].filter(key => body[key] === undefined);
+        if (missing.length > 0) {
+            throw createError(`${missing.join(', ')}: 缺少必填字段`, 400);
+        }
+
+        if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+            throw createError('username: 必须是 2-32 位字母、数字、下划线、点或短横线', 400);
+        }
+        if (await users.findByUsername(username)) {
+            throw createError(`username: 用户 ${username} 已存在`, 409);
+        }
+        result.username = username;
+    } else if (username !== undefined) {
+        throw createError('username: 用户名不能修改', 400);
+    }
+
+    if (password !== undefined) {
+        result.passwordHash = await hashPassword(parsePassword(password));
+        result.passwordChangedAt = Date.now();
+    }
+
+    if (role !== undefined) {
+        if (!ROLES[role]) {
+            throw createError(`role: 必须是 ${ROLE_LEVELS.join(', ')} 之一`, 400);
+        }
+        result.role = role;
+    }
+
+    if (disabled !== undefined) {
+        if (typeof disabled !== 'boolean') {
+            throw createError('disabled: 必须是布尔值', 400);
+        }
+        result.disabled = disabled;
+    }
+
+    return result;
+}
+
+/**
+ * 确认修改、删除后仍有启用的管理员
+ * @param {number} userId - 要修改或删除的用户ID
+ * @param {Object|null} changes - 修改的字段，删除时为 null
+ * @throws {Error} 会失去最后一个启用的管理员时抛出 (status 409)
+ */
+async function assertAdminRemains(userId, changes) {
+    const remaining = (await users.list()).filter((user) => {
+        if (user.id !== userId) return user.role === 'admin' && !user.disabled;
+        if (!changes) return false;
+
+        const role = changes.role || user.role;
+        const disabled = changes.disabled !== undefined ? changes.disabled : user.disabled;
+        return role === 'admin' && !disabled;
+    });
+
+    if (remaining.length === 0) {
+        throw createError('至少需要保留一个启用的管理员', 409);
+    }
+}
+
+/**
+ * 查询全部用户
+ * @returns {Promise<Array>} 用户的对外表示
+ */
+async function listUsers() {
+    return (await users.list()).map(describe);
+}
+
+/**
+ * 创建用户
+ * @param {Object} body - { username, password, role, disabled? }
+ * @returns {Promise<Object>} 创建的用户
+ * @throws {Error} 字段无效 (status 400) 或用户名已存在 (status 409) 时抛出
+ */
+async function createUser(body) {
+    return describe(await users.create(await parseUser(body)));
+}
+
+/**
+ * 修改用户的密码、角色或启用状态
+ * @param {number} userId - 用户ID
+ * @param {Object} body - { password?, role?, disabled? }
+ * @returns {Promise<Object|null>} 修改后的用户，不存在时返回null
+ * @throws {Error} 字段无效 (status 400) 或会失去最后一个管理员 (status 409) 时抛出
+ */
+async function updateUser(userId, body) {
+    if (!(await users.get(userId))) return null;
+
+    const changes = await parseUser(body, { partial: true });
+    await assertAdminRemains(userId, changes);
+
+    const user = await users.update(userId, changes);
+    console.log(`📝 [Users] 更新用户 #${userId}: ${Object.keys(body).join(', ')}`);
+    return describe(user);
+}
+
+/**
+ * 删除用户
+ * @param {number} userId - 用户ID
+ * @returns {Promise<boolean>} 是否删除成功
+ * @throws {Error} 会失去最后一个管理员时抛出 (status 409)
+ */
+async function removeUser(userId) {
+    if (!(await users.get(userId))) return false;
+
+    await assertAdminRemains(userId, null);
+    return users.remove(userId);
+}
+
+// ============================================================
+// 初始化
+// ============================================================
+
+/**
+ * 加载用户仓库，准备签名密钥；没有任何用户时创建初始管理员
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+async function init() {
+    try {
+        await users.init();
+        secret = OPTIONS.secret || await users.getSecret();
+
+        if ((await users.list()).length === 0) {
+            await createInitialAdmin();
+        }
+        resolveReady();
+    } catch (error) {
+        rejectReady(error);
+        throw error;
+    }
+}
+
+/**
+ * 创建初始管理员，未配置密码时随机生成并打印在日志中
+ * @returns {Promise<void>}
+ */
+async function createInitialAdmin() {
+    const { username } = OPTIONS.initialAdmin;
+    const password = OPTIONS.initialAdmin.password || crypto.randomBytes(9).toString('base64url');
+
+    await users.create({ username, role: 'admin', passwordHash: await hashPassword(password) });
+
+    if (OPTIONS.initialAdmin.password) {
+        console.log(`🔑 [Auth] 已创建初始管理员 ${username}，密码见 config.auth.initialAdmin`);
+    } else {
+        console.log(`🔑 [Auth] 已创建初始管理员 ${username}，随机密码: ${password}（请登录后立即修改）`);
+    }
+}
+
+module.exports = {
+    ROLES,
+    enabled: OPTIONS.enabled,
+    init,
+    close: users.close,
+    hasRole,
+    login,
+    verifyToken,
+    tokenOf,
+    changePassword,
+    listUsers,
+    createUser,
+    updateUser,
+    removeUser
+};
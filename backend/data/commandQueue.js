@@ -0,0 +1,237 @@
+/**
+ * 控制指令队列模块
+ *
+ * 功能描述:
+ * - 每台机器人一个指令队列，控制指令 (handleCommand) 和作业操作 (handleAction) 按优先级依次下发，
+ *   同一台机器人同一时间只下发一条，避免并发请求打乱指令顺序
+ * - stop 为紧急优先级: 插到队首，并清除队列中等待的运动指令 (forward/backward/left/right)，
+ *   等待确认中的指令不再阻塞队列
+ * - commands.awaitAck 开启时，每条指令等到机器人确认（或超时）后才下发下一条
+ *
+ * 优先级 (从高到低):
+ *   emergency 紧急，只用于 stop
+ *   high      高
+ *   normal    普通（默认）
+ *   low       低
+ * 同一优先级按入队顺序下发
+ *
+ * 使用方式:
+ *   const queue = createCommandQueue(execute, config.commands);
+ *   const result = await queue.push('robot-001', { type: 'command', command: 'forward' });
+ *   queue.snapshot('robot-001');   // { current, pending }
+ *   queue.clear('robot-001');      // 清空等待中的指令
+ *
+ * 文件路径: backend/data/commandQueue.js
+ */
+
+const commands = require('./commands');
+const { COMMANDS } = require('./constants');
+
+/**
+ * 优先级 -> 排序值，越小越先下发
+ */
+const PRIORITIES = {
+    emergency: 0,
+    high: 1,
+    normal: 2,
+    low: 3
+};
+
+/**
+ * 请求可指定的优先级，emergency 保留给 stop
+ */
+const REQUEST_PRIORITIES = ['high', 'normal', 'low'];
+
+/**
+ * 紧急停止指令
+ */
+const STOP_COMMAND = 'stop';
+
+/**
+ * 运动指令，stop 入队时被清除
+ */
+const MOTION_COMMANDS = Object.keys(COMMANDS).filter(command => command !== STOP_COMMAND);
+
+/**
+ * 创建指令队列
+ * @param {Function} execute - 下发一条指令 (robotId, entry) => Promise<执行结果>
+ * @param {Object} options - config.commands
+ * @param {number} options.queueSize - 每台机器人最多等待的指令条数
+ * @param {boolean} options.awaitAck - 是否等到确认后再下发下一条
+ * @returns {Object} 指令队列 { push, snapshot, clear }
+ */
+function createCommandQueue(execute, options) {
+    // 各机器人的队列: robotId -> { pending, current, running, interrupt }
+    const queues = new Map();
+
+    // 队列条目序号
+    let nextSeq = 1;
+
+    /**
+     * 获取机器人的队列，不存在时创建
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} 队列
+     */
+    function getQueue(robotId) {
+        if (!queues.has(robotId)) {
+            queues.set(robotId, { pending: [], current: null, running: false, interrupt: null });
+        }
+        return queues.get(robotId);
+    }
+
+    /**
+     * 队列条目的对外表示（去掉回调）
+     * @param {Object} entry - 队列条目
+     * @returns {Object} { seq, type, command | action, params?, taskId?, priority, enqueuedAt }
+     */
+    function describe(entry) {
+        const { resolve, job, ...info } = entry;
+        return job && job.taskId !== undefined ? { ...info, taskId: job.taskId } : info;
+    }
+
+    /**
+     * 结束未下发的条目
+     * @param {Object} entry - 队列条目
+     * @param {string} message - 原因
+     */
+    function cancel(entry, message) {
+        entry.resolve({
+            executed: false,
+            [entry.type]: entry[entry.type],
+            state: 'cancelled',
+            message
+        });
+    }
+
+    /**
+     * 等待指令确认，紧急指令入队时提前结束
+     * @param {Object} queue - 队列
+     * @param {string} commandId - 指令ID
+     * @returns {Promise<void>}
+     */
+    function waitForAck(queue, commandId) {
+        return Promise.race([
+            commands.waitFor(commandId),
+            new Promise((resolve) => { queue.interrupt = resolve; })
+        ]).finally(() => {
+            queue.interrupt = null;
+        });
+    }
+
+    /**
+     * 依次下发队列中的指令，直到队列为空
+     * @param {string} robotId - 机器人ID
+     */
+    async function drain(robotId) {
+        const queue = getQueue(robotId);
+        if (queue.running) return;
+        queue.running = true;
+
+        while (queue.pending.length > 0) {
+            const entry = queue.pending.shift();
+            queue.current = entry;
+
+            let result;
+            try {
+                result = await execute(robotId, entry);
+            } catch (error) {
+                result = { executed: false, [entry.type]: entry[entry.type], message: `下发失败: ${error.message}` };
+            }
+            entry.resolve(result);
+
+            if (options.awaitAck && result.state === 'pending') {
+                await waitForAck(queue, result.commandId);
+            }
+            queue.current = null;
+        }
+
+        queue.running = false;
+    }
+
+    /**
+     * 指令入队，下发后返回执行结果
+     * @param {string} robotId - 机器人ID
+     * @param {Object} message - { type: 'command', command, params? } 或 { type: 'action', action, job? }
+     * @param {string} priority - 优先级 high | normal | low，stop 固定为 emergency
+     * @returns {Promise<Object>} 执行结果 { executed, command | action, commandId?, state, message }，
+     *   被 stop 清除或队列清空时 state 为 cancelled
+     */
+    function push(robotId, message, priority = 'normal') {
+        const queue = getQueue(robotId);
+        const isStop = message.type === 'command' && message.command === STOP_COMMAND;
+
+        return new Promise((resolve) => {
+            const entry = {
+                seq: nextSeq++,
+                ...message,
+                priority: isStop ? 'emergency' : priority,
+                enqueuedAt: Date.now(),
+                resolve
+            };
+
+            if (isStop) {
+                // 清除等待中的运动指令，不再等待上一条指令的确认
+                const flushed = queue.pending.filter(item => item.type === 'command' && MOTION_COMMANDS.includes(item.command));
+                queue.pending = queue.pending.filter(item => !flushed.includes(item));
+                flushed.forEach(item => cancel(item, '已被停止指令取消'));
+                if (flushed.length > 0) {
+                    console.log(`🛑 [CommandQueue] ${robotId} 停止指令清除了 ${flushed.length} 条运动指令`);
+                }
+                if (queue.interrupt) queue.interrupt();
+            } else if (queue.pending.length >= options.queueSize) {
+                return cancel(entry, `指令队列已满 (${options.queueSize} 条)，请稍后重试`);
+            }
+
+            // 插到同优先级条目之后
+            const rank = PRIORITIES[entry.priority];
+            const index = queue.pending.findIndex(item => PRIORITIES[item.priority] > rank);
+            queue.pending.splice(index === -1 ? queue.pending.length : index, 0, entry);
+
+            drain(robotId);
+        });
+    }
+
+    /**
+     * 查看机器人的指令队列
+     * @param {string} robotId - 机器人ID
+     * @returns {Object} { current, pending }，current 为正在下发或等待确认的指令
+     */
+    function snapshot(robotId) {
+        const queue = getQueue(robotId);
+
+        return {
+            current: queue.current && describe(queue.current),
+            pending: queue.pending.map(describe)
+        };
+    }
+
+    /**
+     * 清空机器人等待中的指令，正在下发的指令不受影响
+     * @param {string} robotId - 机器人ID
+     * @returns {number} 清除的条数
+     */
+    function clear(robotId) {
+        const queue = getQueue(robotId);
+        const cleared = queue.pending;
+
+        queue.pending = [];
+        cleared.forEach(entry => cancel(entry, '指令队列已清空'));
+
+        if (cleared.length > 0) {
+            console.log(`[CommandQueue] ${robotId} 指令队列已清空 (${cleared.length} 条)`);
+        }
+        return cleared.length;
+    }
+
+    return {
+        push,
+        snapshot,
+        clear
+    };
+}
+
+module.exports = {
+    PRIORITIES,
+    REQUEST_PRIORITIES,
+    createCommandQueue
+};
@@ -0,0 +1,217 @@
+/**
+ * 控制指令跟踪模块
+ *
+ * 功能描述:
+ * - 为每条控制指令 (command) 和作业操作 (action) 分配唯一ID，随指令一起下发
+ * - 跟踪指令状态，直到机器人回复确认或超时
+ * - 记录保存在内存中，保留最近 config.commands.historySize 条，服务重启后清空
+ *
+ * 指令状态:
+ *   pending      已下发，等待机器人确认
+ *   acknowledged 机器人已确认执行
+ *   rejected     机器人拒绝执行
+ *   timeout      超过 config.commands.ackTimeout 未收到确认
+ *   failed       发送失败，指令未送达（如链路未连接）
+ *
+ * 机器人确认格式:
+ *   { id, status: 'ok' | 'rejected', message? }
+ *   MQTT 发布到 robot/{robotId}/control/ack，串口/WebSocket 放在数据的 ack 字段
+ *
+ * 使用方式:
+ *   const commands = require('./commands');
+ *   const record = commands.create('robot-001', { type: 'command', command: 'stop' });
+ *   commands.acknowledge('robot-001', { id: record.id, status: 'ok' });
+ *   const settled = await commands.waitFor(record.id);   // 等待确认或超时
+ *
+ * 文件路径: backend/data/commands.js
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const config = require('../config');
+const { MOTION_PARAMS } = require('./constants');
+
+const OPTIONS = config.commands;
+
+/**
+ * 指令状态
+ */
+const STATES = ['pending', 'acknowledged', 'rejected', 'timeout', 'failed'];
+
+/**
+ * 机器人回复的确认状态 -> 指令状态
+ */
+const ACK_STATES = {
+    ok: 'acknowledged',
+    rejected: 'rejected'
+};
+
+// 指令记录: id -> record，Map 保持插入顺序，便于丢弃最早的记录
+const records = new Map();
+
+// 超时定时器: id -> timer
+const timers = new Map();
+
+// 指令结束（离开 pending）时通知等待者
+const settled = new EventEmitter();
+settled.setMaxListeners(0);
+
+// ============================================================
+// 状态维护
+// ============================================================
+
+/**
+ * 结束指令，更新为最终状态
+ * @param {Object} record - 指令记录
+ * @param {string} state - 最终状态
+ * @param {string} message - 说明
+ */
+function settle(record, state, message) {
+    clearTimeout(timers.get(record.id));
+    timers.delete(record.id);
+
+    record.state = state;
+    record.message = message;
+    record.updatedAt = Date.now();
+
+    settled.emit(record.id, record);
+}
+
+/**
+ * 创建指令记录，开始等待确认
+ * @param {string} robotId - 机器人ID
+ * @param {Object} message - 下发的消息 { type: 'command', command, speed?, ... } 或 { type: 'action', action, ... }
+ * @returns {Object} 指令记录 { id, robotId, type, command | action | estop | mission, params?, taskId?, missionId?,
+ *   state, message, createdAt, updatedAt }
+ */
+function create(robotId, message) {
+    const now = Date.now();
+    const { type } = message;
+    const params = type === 'command' ? Object.keys(MOTION_PARAMS).filter(key => message[key] !== undefined) : [];
+    const record = {
+        id: crypto.randomUUID(),
+        robotId,
+        type,
+        [type]: message[type],
+        // 方向指令的运动参数
+        ...(params.length > 0 && { params: Object.fromEntries(params.map(key => [key, message[key]])) }),
+        // 任务下发的作业记录所属任务，航线消息记录所属航线任务
+        ...(message.taskId !== undefined && { taskId: message.taskId }),
+        ...(message.missionId !== undefined && { missionId: message.missionId }),
+        state: 'pending',
+        message: '等待机器人确认',
+        createdAt: now,
+        updatedAt: now
+    };
+
+    records.set(record.id, record);
+
+    // 丢弃超出保留条数的最早记录
+    while (records.size > OPTIONS.historySize) {
+        records.delete(records.keys().next().value);
+    }
+
+    const timer = setTimeout(() => {
+        if (record.state === 'pending') {
+            console.warn(`⏱️ [Commands] 指令 ${record.id} (${robotId}) 超时未确认`);
+            settle(record, 'timeout', `${OPTIONS.ackTimeout}ms 内未收到机器人确认`);
+        }
+    }, OPTIONS.ackTimeout);
+    timer.unref();
+    timers.set(record.id, timer);
+
+    return record;
+}
+
+/**
+ * 标记指令发送失败
+ * @param {string} id - 指令ID
+ * @param {string} reason - 失败原因
+ */
+function fail(id, reason) {
+    const record = records.get(id);
+    if (record && record.state === 'pending') {
+        settle(record, 'failed', `发送失败: ${reason}`);
+    }
+}
+
+/**
+ * 处理机器人回复的确认
+ * @param {string} robotId - 回复确认的机器人ID
+ * @param {Object} ack - { id, status: 'ok' | 'rejected', message? }
+ * @returns {Object|null} 更新后的指令记录，确认无效时返回 null
+ */
+function acknowledge(robotId, ack) {
+    const record = ack && records.get(ack.id);
+
+    if (!record || record.robotId !== robotId) {
+        console.warn(`[Commands] 收到未知指令的确认 (${robotId}):`, ack);
+        return null;
+    }
+
+    const state = ACK_STATES[ack.status];
+    if (!state) {
+        console.warn(`[Commands] 未知的确认状态 (${robotId}): ${ack.status}，可选: ${Object.keys(ACK_STATES).join(', ')}`);
+        return null;
+    }
+
+    // 超时后才到达的确认不再改变状态
+    if (record.state !== 'pending') {
+        console.warn(`[Commands] 指令 ${record.id} 已是 ${record.state}，忽略迟到的确认`);
+        return null;
+    }
+
+    settle(record, state, ack.message || (state === 'acknowledged' ? '机器人已确认' : '机器人拒绝执行'));
+    return record;
+}
+
+// ============================================================
+// 查询
+// ============================================================
+
+/**
+ * 获取指令记录
+ * @param {string} id - 指令ID
+ * @returns {Object|null} 指令记录，不存在（或已被丢弃）时返回null
+ */
+const get = id => records.get(id) || null;
+
+/**
+ * 查询指令记录
+ * @param {Object} filter - { robotId?, since?, limit? }
+ * @param {string} filter.robotId - 只返回该机器人的指令
+ * @param {number} filter.since - 只返回该时间之后有变化 (updatedAt) 的指令，便于轮询状态
+ * @param {number} filter.limit - 最多返回条数（最新的）
+ * @returns {Array} 指令记录，按创建时间升序
+ */
+function list({ robotId, since, limit } = {}) {
+    const result = [...records.values()].filter(record =>
+        (!robotId || record.robotId === robotId) && (since === undefined || record.updatedAt > since));
+
+    return limit ? result.slice(-limit) : result;
+}
+
+/**
+ * 等待指令结束（确认、拒绝、超时或失败）
+ * 超时由 create 时的定时器保证，最多等待 config.commands.ackTimeout
+ * @param {string} id - 指令ID
+ * @returns {Promise<Object|null>} 结束后的指令记录，指令不存在时返回null
+ */
+function waitFor(id) {
+    const record = records.get(id);
+    if (!record) return Promise.resolve(null);
+    if (record.state !== 'pending') return Promise.resolve(record);
+
+    return new Promise(resolve => settled.once(id, resolve));
+}
+
+module.exports = {
+    STATES,
+    create,
+    fail,
+    acknowledge,
+    get,
+    list,
+    waitFor
+};
@@ -0,0 +1,72 @@
+/**
+ * 数据层公共常量
+ *
+ * 功能描述:
+ * - 定义方向控制指令、运动参数、作业操作和航线任务操作的代码及中文名称
+ * - 定义面积单位换算
+ * - 供各数据源适配器和控制器共用，避免各处重复维护
+ *
+ * 文件路径: backend/data/constants.js
+ */
+
+/**
+ * 方向控制指令映射表
+ * 将指令代码转换为中文描述
+ */
+const COMMANDS = {
+    forward: '前进',           // 向前移动
+    backward: '后退',          // 向后移动
+    left: '左转',              // 向左转向
+    right: '右转',             // 向右转向
+    stop: '停止'               // 紧急停止
+};
+
+/**
+ * 运动参数
+ * 方向指令可选的参数及其名称、单位，上限见 config.motion.limits
+ *   commands: 可使用该参数的指令
+ */
+const MOTION_PARAMS = {
+    speed: { name: '速度', unit: 'm/s', commands: ['forward', 'backward', 'left', 'right'] },
+    durationMs: { name: '时长', unit: 'ms', commands: ['forward', 'backward', 'left', 'right'] },
+    distance: { name: '距离', unit: 'm', commands: ['forward', 'backward'] },
+    angle: { name: '角度', unit: '°', commands: ['left', 'right'] }
+};
+
+/**
+ * 作业操作映射表
+ * 将操作代码转换为中文描述
+ */
+const ACTIONS = {
+    irrigation: '灌溉',         // 灌溉作业
+    fertilize: '施肥',         // 施肥作业
+    scan: '扫描',             // 病虫害扫描
+    harvest: '收割'           // 作物收割
+};
+
+/**
+ * 航线任务操作映射表
+ * 通过控制通道下发给机器人的航线消息 { type: 'mission', mission: 操作, missionId, waypoints? }
+ */
+const MISSION_OPERATIONS = {
+    upload: '上传',            // 上传航线（航点列表）
+    start: '开始',             // 开始按航线行驶
+    pause: '暂停',             // 原地暂停
+    resume: '继续',            // 从暂停处继续
+    abort: '中止'              // 中止并丢弃航线
+};
+
+/**
+ * 面积单位换算: 每亩、每公顷的平方米数 (1 亩 = 10000/15 m²)
+ */
+const SQUARE_METERS_PER_MU = 10000 / 15;
+const SQUARE_METERS_PER_HECTARE = 10000;
+
+module.exports = {
+    COMMANDS,
+    MOTION_PARAMS,
+    ACTIONS,
+    MISSION_OPERATIONS,
+    SQUARE_METERS_PER_MU,
+    SQUARE_METERS_PER_HECTARE
+};
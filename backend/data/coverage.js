@@ -0,0 +1,443 @@
+/**
+ * 作业覆盖面积模块
+ *
+ * 功能描述:
+ * - 订阅数据层的状态更新事件，机器人有进行中且绑定作业 (action) 的任务时，
+ *   把相邻两个轨迹点之间按作业幅宽扫过的带状区域计入任务的作业地块 (zoneId)；
+ *   途经的其他地块不计入，未指定作业地块或地块已停用的任务不计入覆盖
+ * - 每个地块用栅格记录已覆盖的位置（边长 config.coverage.cellSize 米），
+ *   重复经过同一位置不重复计算，地块外的部分不计入
+ * - 作业幅宽为 config.coverage.implementWidth，可在 fleet.robots[].implementWidth 中为单台机器人覆盖
+ * - 相邻轨迹点超过 config.coverage.maxGap 米视为定位跳变，不计入覆盖
+ * - 修改地块边界后该地块的覆盖重新计算；覆盖数据定期写盘，服务重启后不丢失
+ *
+ * 存储格式 (storage/coverage.json，整体原子写入):
+ * {
+ *   "version": 1,
+ *   "zones": {
+ *     "1": { "signature": "...",                           // 边界的 JSON，与当前边界不一致时覆盖作废
+ *            "cellSize": 0.5, "lat0": 40.195, "lon0": 116.398, "metersPerLon": 85180.2, "cols": 511, "rows": 668,
+ *            "covered": "<base64 位图>", "coveredCount": 120000, "updatedAt": 1769737886000 }
+ *   }
+ * }
+ *
+ * 使用方式:
+ *   const coverage = require('./coverage');
+ *   await coverage.start();                  // 服务启动时加载覆盖数据并订阅状态更新
+ *   coverage.coveredArea(zone);              // 地块已覆盖面积（平方米）
+ *   await coverage.reset(1);                 // 清空地块的覆盖
+ *   await coverage.stop();                   // 服务退出时写盘
+ *
+ * 文件路径: backend/data/coverage.js
+ */
+
+const config = require('../config');
+const events = require('./events');
+const fleet = require('./fleet');
+const geo = require('./geo');
+const storage = require('./storage');
+const tasks = require('./taskRepository');
+const zones = require('./zoneRepository');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 1;
+
+/**
+ * 单个地块栅格的最大格数，地块过大时自动放大栅格边长
+ */
+const MAX_CELLS = 16 * 1024 * 1024;
+
+/**
+ * 每度纬度的地面距离（米）
+ */
+const METERS_PER_DEGREE = geo.distance({ lat: 0, lon: 0 }, { lat: 1, lon: 0 });
+
+// 地块栅格: zoneId -> { signature, cellSize, lat0, lon0, metersPerLon, cols, rows, covered, coveredCount, updatedAt, mask? }
+const grids = new Map();
+
+// 作业中的机器人上一个轨迹点: robotId -> { lat, lon, taskId }
+const tracks = new Map();
+
+// 更新按顺序执行，第一项为加载覆盖数据
+let updating = Promise.resolve();
+
+// 有未写盘的覆盖数据
+let dirty = false;
+
+let offUpdate = null;
+let saveTimer = null;
+
+// ============================================================
+// 栅格
+// ============================================================
+
+/**
+ * 边界签名，边界变化后签名随之变化
+ * @param {Object} zone - 地块
+ * @returns {string} 签名
+ */
+const signatureOf = zone => JSON.stringify(zone.boundary);
+
+/**
+ * 创建地块栅格: 以边界外接矩形的西南角为原点，按局部平面（米）划分
+ * @param {Object} zone - 地块
+ * @returns {Object} 栅格
+ */
+function createGrid(zone) {
+    const outer = geo.parsePolygon(zone.boundary)[0];
+    const lats = outer.map(point => point.lat);
+    const lons = outer.map(point => point.lon);
+    const lat0 = Math.min(...lats);
+    const lon0 = Math.min(...lons);
+
+    const metersPerLon = METERS_PER_DEGREE * Math.cos((lat0 + Math.max(...lats)) / 2 * Math.PI / 180);
+    const width = (Math.max(...lons) - lon0) * metersPerLon;
+    const height = (Math.max(...lats) - lat0) * METERS_PER_DEGREE;
+
+    let cellSize = config.coverage.cellSize;
+    if (width * height / cellSize ** 2 > MAX_CELLS) {
+        cellSize = Math.ceil(Math.sqrt(width * height / MAX_CELLS) * 100) / 100;
+    }
+
+    const cols = Math.max(1, Math.ceil(width / cellSize));
+    const rows = Math.max(1, Math.ceil(height / cellSize));
+
+    return {
+        signature: signatureOf(zone),
+        cellSize,
+        lat0,
+        lon0,
+        metersPerLon,
+        cols,
+        rows,
+        covered: new Uint8Array(Math.ceil(cols * rows / 8)),
+        coveredCount: 0,
+        updatedAt: null
+    };
+}
+
+/**
+ * 坐标转为栅格平面坐标（米）
+ * @param {Object} grid - 栅格
+ * @param {Object} point - { lat, lon }
+ * @returns {Object} { x, y }
+ */
+function project(grid, point) {
+    return {
+        x: (point.lon - grid.lon0) * grid.metersPerLon,
+        y: (point.lat - grid.lat0) * METERS_PER_DEGREE
+    };
+}
+
+/**
+ * 读取位图中的一位
+ * @param {Uint8Array} bits - 位图
+ * @param {number} index - 格子序号 (row * cols + col)
+ * @returns {boolean} 是否置位
+ */
+const getBit = (bits, index) => (bits[index >> 3] & (1 << (index & 7))) !== 0;
+
+/**
+ * 置位位图中的一位
+ * @param {Uint8Array} bits - 位图
+ * @param {number} index - 格子序号 (row * cols + col)
+ */
+const setBit = (bits, index) => {
+    bits[index >> 3] |= 1 << (index & 7);
+};
+
+/**
+ * 计算地块内的格子（格子中心在多边形内，内环为洞），首次使用时计算
+ * @param {Object} grid - 栅格
+ * @param {Object} zone - 地块
+ * @returns {Uint8Array} 位图
+ */
+function maskOf(grid, zone) {
+    if (grid.mask) return grid.mask;
+
+    const rings = geo.parsePolygon(zone.boundary).map(ring => ring.map(point => project(grid, point)));
+    const mask = new Uint8Array(grid.covered.length);
+
+    for (let row = 0; row < grid.rows; row++) {
+        const y = (row + 0.5) * grid.cellSize;
+        const crossings = [];
+
+        rings.forEach((ring) => {
+            for (let i = 0; i < ring.length - 1; i++) {
+                const a = ring[i];
+                const b = ring[i + 1];
+                if ((a.y > y) !== (b.y > y)) {
+                    crossings.push(a.x + (y - a.y) / (b.y - a.y) * (b.x - a.x));
+                }
+            }
+        });
+        crossings.sort((a, b) => a - b);
+
+        // 奇偶规则: 第 1、2 个交点之间在多边形内，第 3、4 个之间，依此类推
+        for (let i = 0; i + 1 < crossings.length; i += 2) {
+            const first = Math.max(0, Math.ceil(crossings[i] / grid.cellSize - 0.5));
+            const last = Math.min(grid.cols - 1, Math.floor(crossings[i + 1] / grid.cellSize - 0.5));
+            for (let col = first; col <= last; col++) setBit(mask, row * grid.cols + col);
+        }
+    }
+
+    grid.mask = mask;
+    return mask;
+}
+
+/**
+ * 获取地块栅格，边界变化后重新创建
+ * @param {Object} zone - 地块
+ * @returns {Object} 栅格
+ */
+function gridOf(zone) {
+    const grid = grids.get(zone.id);
+    if (grid && grid.signature === signatureOf(zone)) return grid;
+
+    const created = createGrid(zone);
+    grids.set(zone.id, created);
+    dirty = true;
+    return created;
+}
+
+/**
+ * 点到线段的距离平方
+ * @param {number} px - 点 x
+ * @param {number} py - 点 y
+ * @param {Object} a - 线段起点 { x, y }
+ * @param {Object} b - 线段终点 { x, y }
+ * @returns {number} 距离平方（平方米）
+ */
+function distanceSquared(px, py, a, b) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+    const t = lengthSquared > 0
+        ? Math.max(0, Math.min(1, ((px - a.x) * dx + (py - a.y) * dy) / lengthSquared))
+        : 0;
+    const x = a.x + t * dx - px;
+    const y = a.y + t * dy - py;
+    return x * x + y * y;
+}
+
+/**
+ * 把两个轨迹点之间扫过的带状区域计入地块
+ * @param {Object} zone - 地块
+ * @param {Object} from - 起点 { lat, lon }
+ * @param {Object} to - 终点 { lat, lon }
+ * @param {number} width - 作业幅宽（米）
+ * @returns {number} 新覆盖的格数
+ */
+function sweep(zone, from, to, width) {
+    const grid = gridOf(zone);
+    const mask = maskOf(grid, zone);
+    const a = project(grid, from);
+    const b = project(grid, to);
+    const radius = width / 2;
+    const cell = grid.cellSize;
+
+    const firstCol = Math.max(0, Math.floor((Math.min(a.x, b.x) - radius) / cell));
+    const lastCol = Math.min(grid.cols - 1, Math.floor((Math.max(a.x, b.x) + radius) / cell));
+    const firstRow = Math.max(0, Math.floor((Math.min(a.y, b.y) - radius) / cell));
+    const lastRow = Math.min(grid.rows - 1, Math.floor((Math.max(a.y, b.y) + radius) / cell));
+
+    let added = 0;
+    for (let row = firstRow; row <= lastRow; row++) {
+        for (let col = firstCol; col <= lastCol; col++) {
+            const index = row * grid.cols + col;
+            if (!getBit(mask, index) || getBit(grid.covered, index)) continue;
+            if (distanceSquared((col + 0.5) * cell, (row + 0.5) * cell, a, b) > radius * radius) continue;
+
+            setBit(grid.covered, index);
+            added++;
+        }
+    }
+
+    if (added > 0) {
+        grid.coveredCount += added;
+        grid.updatedAt = Date.now();
+        dirty = true;
+    }
+    return added;
+}
+
+// ============================================================
+// 轨迹跟踪
+// ============================================================
+
+/**
+ * 机器人的作业幅宽
+ * @param {string} robotId - 机器人ID
+ * @returns {number} 幅宽（米）
+ */
+function implementWidthOf(robotId) {
+    const robot = fleet.getRobot(robotId);
+    return (robot && robot.implementWidth) || config.coverage.implementWidth;
+}
+
+/**
+ * 机器人正在执行的作业任务: 进行中且绑定作业的任务
+ * @param {string} robotId - 机器人ID
+ * @returns {Promise<Object|undefined>} 任务，不在作业时为 undefined
+ */
+async function workingTask(robotId) {
+    return (await tasks.list(robotId)).find(task => task.status === 'active' && task.action);
+}
+
+/**
+ * 处理一个轨迹点
+ * 不在作业时丢弃上一个轨迹点，下次作业从新的位置开始计算；换了任务时同样从新的位置开始
+ * @param {string} robotId - 机器人ID
+ * @param {Object} coordinates - { lat, lon }
+ */
+async function track(robotId, coordinates) {
+    const task = await workingTask(robotId);
+    if (!task) {
+        tracks.delete(robotId);
+        return;
+    }
+
+    const previous = tracks.get(robotId);
+    const point = { lat: coordinates.lat, lon: coordinates.lon, taskId: task.id };
+    tracks.set(robotId, point);
+
+    if (!previous || previous.taskId !== task.id || geo.distance(previous, point) > config.coverage.maxGap) return;
+
+    // 只计入任务的作业地块，前往地块途中经过的其他地块不计入
+    const zone = zones.activeZones(robotId).find(item => item.id === task.zoneId);
+    if (zone) sweep(zone, previous, point, implementWidthOf(robotId));
+}
+
+/**
+ * 处理数据层更新事件，只关注带坐标的状态更新
+ * @param {Object} event - { robotId, channel, data }
+ */
+function onUpdate({ robotId, channel, data: status }) {
+    if (channel !== 'status' || !status || !geo.isCoordinate(status.coordinates)) return;
+
+    updating = updating
+        .then(() => track(robotId, status.coordinates))
+        .catch((error) => {
+            console.error(`[Coverage] 计算 ${robotId} 的作业覆盖失败:`, error.message);
+        });
+}
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 覆盖数据 (storage/coverage.json)，加载与保存见 storage.createJsonRepository
+ * 栅格保存在 grids 中，写盘时把位图转为 base64
+ */
+const repository = storage.createJsonRepository('coverage.json', () => ({ version: VERSION, zones: {} }), {
+    tag: 'Coverage',
+    label: '覆盖数据',
+    version: VERSION,
+    onLoad: (data) => {
+        Object.entries(data.zones).forEach(([zoneId, grid]) => {
+            grids.set(Number(zoneId), { ...grid, covered: new Uint8Array(Buffer.from(grid.covered, 'base64')) });
+        });
+    },
+    summary: () => `${grids.size} 个地块`,
+    snapshot: () => {
+        const snapshot = { version: VERSION, zones: {} };
+        grids.forEach(({ mask, covered, ...grid }, zoneId) => {
+            snapshot.zones[zoneId] = { ...grid, covered: Buffer.from(covered).toString('base64') };
+        });
+        return snapshot;
+    }
+});
+
+/**
+ * 保存覆盖数据，已删除地块的栅格一并清除
+ * @returns {Promise<void>}
+ */
+async function save() {
+    if (!dirty) return;
+    dirty = false;
+
+    const ids = (await zones.list()).map(zone => zone.id);
+    Array.from(grids.keys()).forEach((zoneId) => {
+        if (!ids.includes(zoneId)) grids.delete(zoneId);
+    });
+
+    await repository.save();
+}
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 地块已覆盖的面积
+ * @param {Object} zone - 地块
+ * @returns {number} 面积（平方米），不超过地块面积
+ */
+function coveredArea(zone) {
+    const grid = grids.get(zone.id);
+    if (!grid || grid.signature !== signatureOf(zone)) return 0;
+
+    return Math.min(zone.area.squareMeters, grid.coveredCount * grid.cellSize ** 2);
+}
+
+/**
+ * 清空地块的覆盖，如新一季作业开始前
+ * @param {number} zoneId - 地块ID
+ * @returns {Promise<void>}
+ */
+async function reset(zoneId) {
+    await updating;
+    if (!grids.delete(zoneId)) return;
+
+    dirty = true;
+    await save();
+    console.log(`[Coverage] 地块 #${zoneId} 的作业覆盖已清空`);
+}
+
+/**
+ * 开始跟踪: 加载覆盖数据，订阅状态更新，定期写盘
+ * @returns {Promise<void>}
+ */
+function start() {
+    updating = repository.load().catch(() => {
+        console.warn('[Coverage] 覆盖数据从零开始计算');
+    });
+
+    offUpdate = events.onUpdate(onUpdate);
+    saveTimer = setInterval(() => {
+        save().catch((error) => {
+            console.error('[Coverage] 覆盖数据写盘失败:', error.message);
+        });
+    }, config.coverage.saveInterval);
+
+    console.log('[Coverage] 作业覆盖跟踪已启动');
+    return updating;
+}
+
+/**
+ * 停止跟踪并写盘
+ * @returns {Promise<void>}
+ */
+async function stop() {
+    if (!offUpdate) return;
+
+    offUpdate();
+    offUpdate = null;
+    clearInterval(saveTimer);
+
+    await updating;
+    await save().catch((error) => {
+        console.error('[Coverage] 覆盖数据写盘失败:', error.message);
+    });
+    await repository.close();
+}
+
+module.exports = {
+    start,
+    stop,
+    coveredArea,
+    reset
+};
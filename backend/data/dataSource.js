@@ -1,689 +1,387 @@
 /**
  * 数据源接口模块
- * 
+ *
  * 功能描述:
- * - 提供统一的数据接口，对接真实硬件或外部服务
- * - 支持多种数据源：串口、MQTT、HTTP API、WebSocket、数据库
- * - 可通过配置切换不同的数据源
- * 
- * 使用方式:
- * 1. 在下方配置区选择数据源类型
- * 2. 填写对应的连接参数
- * 3. 在 robotController.js 中引用此模块替换 mockData
- * 
+ * - 提供统一的数据接口，控制器只依赖此模块
+ * - 启动时根据配置从适配器注册表中选择数据源
+ * - 支持多种数据源：模拟数据、串口、MQTT、HTTP API、WebSocket、数据库
+ *
+ * 切换数据源:
+ * 1. 环境变量: DATA_SOURCE=mqtt npm start
+ * 2. 配置文件: backend/config/config.json 中设置 dataSource.type
+ * 连接参数同样在配置文件中填写，详见 backend/config/index.js
+ *
+ * 变更事件:
+ * 通过本模块写入的数据（REST接口）在写入成功后发布变更事件，
+ * 硬件推送的数据由适配器在更新缓存时发布；
+ * 机器人在线状态由本模块定时检查，变化时发布 connection 事件，详见 data/events.js
+ *
+ * 任务管理:
+ * 任务接口 (getTasks/getTask/createTask/updateTask/transitionTask/deleteTask) 由本地任务仓库实现并持久化，
+ * 与使用哪种数据源无关；适配器的 getTasks 只在首次启动时用于导入现有任务，
+ * 详见 data/taskRepository.js
+ *
+ * 控制指令:
+ * handleCommand / handleAction 先进入机器人的指令队列，按优先级依次交给适配器下发，
+ * stop 插队并清除等待中的运动指令；getCommandQueue / clearCommandQueue 查看、清空队列，
+ * 详见 data/commandQueue.js；方向指令的运动参数入队前按机器人的运动上限校验 (400)，详见 data/motion.js
+ *
+ * 航线任务:
+ * handleMission 把航线任务操作 (upload/start/pause/resume/abort) 同样放入指令队列下发，
+ * 航线任务的存储见 data/missionRepository.js，上传和位置跟踪见 data/missionRunner.js
+ *
+ * 地块:
+ * listZones / getZone / createZone / updateZone / deleteZone 管理地块 (data/zones.js)，
+ * resetZoneCoverage 清空地块的作业覆盖，getTaskZone 校验任务的作业地块 (zoneId)，
+ * 作业统计的 totalArea 为机器人启用地块的面积之和，completedArea 为按作业轨迹计算的覆盖面积之和
+ * (data/coverage.js)，地块变化后推送各机器人的作业统计；
+ * 定义了地块后不能再通过 updateStatistics 修改 totalArea、completedArea (409)
+ *
+ * 急停:
+ * engageEmergencyStop 锁定急停，绕过指令队列立即下发急停，清空队列并暂停进行中的任务和航线任务；
+ * 锁定期间 handleCommand / handleAction 除 stop 外都被拒绝 (423)，直到 resetEmergencyStop 复位；
+ * getRobotStatus 返回的状态带 estop 字段，详见 data/safety.js
+ *
  * 文件路径: backend/data/dataSource.js
  */
 
+const config = require('../config');
+const { ADAPTER_METHODS, createAdapter } = require('./adapters');
+const alertRepository = require('./alertRepository');
+const alertRuleRepository = require('./alertRuleRepository');
+const { createCommandQueue } = require('./commandQueue');
+const events = require('./events');
+const fleet = require('./fleet');
+const geofences = require('./geofenceRepository');
+const missions = require('./missionRepository');
+const motion = require('./motion');
+const notificationRepository = require('./notificationRepository');
+const safety = require('./safety');
+const { createError, createValidationError } = require('./errors');
+const tasks = require('./taskRepository');
+const zones = require('./zones');
+const zoneRepository = require('./zoneRepository');
+
 // ============================================================
-// 配置区 - 根据实际情况修改
+// 适配器实例
 // ============================================================
 
 /**
  * 数据源配置
- * 修改 type 切换不同的数据源
+ * 来自 backend/config，type 字段决定使用哪个适配器
  */
-const CONFIG = {
-    // 数据源类型: 'serial' | 'mqtt' | 'http' | 'websocket' | 'database'
-    type: 'mqtt',
-    
-    // 串口配置 (type: 'serial')
-    serial: {
-        port: '/dev/ttyUSB0',       // Windows: 'COM3', Linux: '/dev/ttyUSB0'
-        baudRate: 9600
-    },
-    
-    // MQTT配置 (type: 'mqtt')
-    mqtt: {
-        broker: 'mqtt://localhost:1883',    // MQTT服务器地址
-        clientId: 'robot-backend-server',   // 客户端ID
-        username: '',                        // 用户名（可选）
-        password: '',                        // 密码（可选）
-        topics: {
-            status: 'robot/status',          // 机器人状态（硬件推送）
-            sensors: 'robot/sensors',        // 传感器数据（硬件推送）
-            tasks: 'robot/tasks',            // 任务列表（硬件推送）
-            statistics: 'robot/statistics', // 作业统计（硬件推送）
-            control: 'robot/control'         // 控制指令（服务器发送）
-        }
-    },
-    
-    // HTTP API配置 (type: 'http')
-    http: {
-        baseUrl: 'http://192.168.1.100:8080',
-        endpoints: {
-            status: '/api/robot/status',
-            sensors: '/api/sensors',
-            tasks: '/api/tasks',
-            statistics: '/api/statistics',
-            control: '/api/control'
-        },
-        timeout: 5000
-    },
-    
-    // WebSocket配置 (type: 'websocket')
-    websocket: {
-        url: 'ws://192.168.1.100:8080/ws'
-    },
-    
-    // 数据库配置 (type: 'database')
-    database: {
-        type: 'mysql',              // 'mysql' | 'mongodb' | 'postgresql'
-        host: 'localhost',
-        port: 3306,
-        user: 'root',
-        password: '',
-        database: 'robot_db'
-    }
-};
+const CONFIG = config.dataSource;
 
-// ============================================================
-// 数据缓存 - 存储从数据源接收的最新数据
-// ============================================================
+// 启动时创建一次，之后所有请求共用同一个适配器
+const adapter = createAdapter(CONFIG.type, CONFIG);
 
-const cache = {
-    robot: {
-        battery: 0,
-        speed: 0,
-        temperature: 0,
-        coordinates: { lat: 0, lon: 0 }
-    },
-    sensors: {
-        soilHumidity: 0,
-        soilTemp: 0,
-        light: 0,
-        airHumidity: 0
-    },
-    tasks: [],
-    statistics: {
-        completedArea: 0,
-        totalArea: 0,
-        progress: 0
-    },
-    lastUpdate: null
+/**
+ * 队列条目类型 -> 交给适配器下发
+ */
+const EXECUTORS = {
+    command: (robotId, entry) => adapter.handleCommand(robotId, entry.command, entry.params),
+    action: (robotId, entry) => adapter.handleAction(robotId, entry.action, entry.job),
+    mission: (robotId, entry) => adapter.handleMission(robotId, entry.mission, entry.job)
 };
 
-// ============================================================
-// 连接状态
-// ============================================================
-
-let isConnected = false;
-let connection = null;
+// 控制指令队列，出队的指令交给适配器下发
+const commandQueue = createCommandQueue((robotId, entry) => EXECUTORS[entry.type](robotId, entry), config.commands);
 
 // ============================================================
-// 数据源初始化函数
+// 在线状态检测
 // ============================================================
 
-/**
- * 初始化串口连接
- * 需要安装: npm install serialport
- */
-async function initSerial() {
-    try {
-        const { SerialPort } = require('serialport');
-        const { ReadlineParser } = require('@serialport/parser-readline');
-        
-        connection = new SerialPort({
-            path: CONFIG.serial.port,
-            baudRate: CONFIG.serial.baudRate
-        });
-        
-        const parser = connection.pipe(new ReadlineParser({ delimiter: '\n' }));
-        
-        parser.on('data', (line) => {
-            try {
-                const data = JSON.parse(line);
-                updateCache(data);
-            } catch (e) {
-                console.error('[Serial] 数据解析错误:', e.message);
-            }
-        });
-        
-        connection.on('open', () => {
-            isConnected = true;
-            console.log('[Serial] 连接成功:', CONFIG.serial.port);
-        });
-        
-        connection.on('error', (err) => {
-            isConnected = false;
-            console.error('[Serial] 连接错误:', err.message);
-        });
-        
-    } catch (error) {
-        console.error('[Serial] 初始化失败:', error.message);
-        console.log('[Serial] 请安装依赖: npm install serialport');
-    }
-}
+// 各机器人上一次的在线状态: robotId -> boolean
+const lastConnected = new Map();
+let connectionTimer = null;
 
 /**
- * 初始化MQTT连接
- * 需要安装: npm install mqtt
+ * 检查所有机器人的在线状态，变化时发布 connection 事件
+ * 首次检查时每台机器人都会发布一次当前状态
  */
-async function initMqtt() {
-    try {
-        const mqtt = require('mqtt');
-        
-        // 连接配置
-        const options = {
-            clientId: CONFIG.mqtt.clientId,
-            clean: true,
-            reconnectPeriod: 5000,  // 5秒重连
-        };
-        
-        // 如果配置了用户名密码
-        if (CONFIG.mqtt.username) {
-            options.username = CONFIG.mqtt.username;
-            options.password = CONFIG.mqtt.password;
-        }
-        
-        connection = mqtt.connect(CONFIG.mqtt.broker, options);
-        
-        connection.on('connect', () => {
-            isConnected = true;
-            console.log('='.repeat(50));
-            console.log('[MQTT] 连接成功:', CONFIG.mqtt.broker);
-            console.log('='.repeat(50));
-            
-            // 订阅数据主题（不订阅control，control用于发送指令）
-            const dataTopics = [
-                CONFIG.mqtt.topics.status,
-                CONFIG.mqtt.topics.sensors,
-                CONFIG.mqtt.topics.tasks,
-                CONFIG.mqtt.topics.statistics
-            ];
-            
-            dataTopics.forEach(topic => {
-                connection.subscribe(topic, (err) => {
-                    if (!err) {
-                        console.log('[MQTT] 订阅主题:', topic);
-                    } else {
-                        console.error('[MQTT] 订阅失败:', topic, err.message);
-                    }
-                });
-            });
-            
-            console.log('');
-            console.log('等待硬件推送数据...');
-            console.log('');
-        });
-        
-        connection.on('message', (topic, message) => {
-            try {
-                const data = JSON.parse(message.toString());
-                const timestamp = new Date().toLocaleTimeString('zh-CN');
-                
-                // 根据主题更新对应的缓存数据
-                if (topic === CONFIG.mqtt.topics.status) {
-                    cache.robot = { ...cache.robot, ...data };
-                    console.log(`[${timestamp}] 收到机器人状态:`, JSON.stringify(data));
-                } 
-                else if (topic === CONFIG.mqtt.topics.sensors) {
-                    cache.sensors = { ...cache.sensors, ...data };
-                    console.log(`[${timestamp}] 收到传感器数据:`, JSON.stringify(data));
-                }
-                else if (topic === CONFIG.mqtt.topics.tasks) {
-                    cache.tasks = Array.isArray(data) ? data : [];
-                    console.log(`[${timestamp}] 收到任务列表:`, cache.tasks.length, '个任务');
-                }
-                else if (topic === CONFIG.mqtt.topics.statistics) {
-                    cache.statistics = { ...cache.statistics, ...data };
-                    console.log(`[${timestamp}] 收到统计数据:`, JSON.stringify(data));
-                }
-                
-                cache.lastUpdate = Date.now();
-            } catch (e) {
-                console.error('[MQTT] 数据解析错误:', e.message, '原始数据:', message.toString());
+async function checkConnections() {
+    for (const { id } of fleet.listRobots()) {
+        try {
+            const connection = await adapter.getConnectionStatus(id);
+            if (lastConnected.get(id) !== connection.connected) {
+                lastConnected.set(id, connection.connected);
+                events.publishConnection(id, connection);
             }
-        });
-        
-        connection.on('error', (err) => {
-            isConnected = false;
-            console.error('[MQTT] 连接错误:', err.message);
-        });
-        
-        connection.on('reconnect', () => {
-            console.log('[MQTT] 正在重新连接...');
-        });
-        
-        connection.on('close', () => {
-            isConnected = false;
-            console.log('[MQTT] 连接已断开');
-        });
-        
-    } catch (error) {
-        console.error('[MQTT] 初始化失败:', error.message);
-        console.log('[MQTT] 请安装依赖: npm install mqtt');
+        } catch (error) {
+            console.error(`[DataSource] 检查在线状态失败 (${id}):`, error.message);
+        }
     }
 }
 
 /**
- * 初始化WebSocket连接
- * 需要安装: npm install ws
+ * 初始化数据源连接
+ * 服务启动时调用一次
  */
-async function initWebSocket() {
+async function init() {
+    console.log(`[DataSource] 初始化数据源: ${CONFIG.type}`);
     try {
-        const WebSocket = require('ws');
-        
-        connection = new WebSocket(CONFIG.websocket.url);
-        
-        connection.on('open', () => {
-            isConnected = true;
-            console.log('[WebSocket] 连接成功:', CONFIG.websocket.url);
-        });
-        
-        connection.on('message', (message) => {
-            try {
-                const data = JSON.parse(message.toString());
-                updateCache(data);
-            } catch (e) {
-                console.error('[WebSocket] 数据解析错误:', e.message);
-            }
-        });
-        
-        connection.on('close', () => {
-            isConnected = false;
-            console.log('[WebSocket] 连接已关闭');
-            // 5秒后重连
-            setTimeout(initWebSocket, 5000);
-        });
-        
-        connection.on('error', (err) => {
-            console.error('[WebSocket] 连接错误:', err.message);
-        });
-        
-    } catch (error) {
-        console.error('[WebSocket] 初始化失败:', error.message);
-        console.log('[WebSocket] 请安装依赖: npm install ws');
+        await adapter.init();
+    } finally {
+        // 任务仓库、航线任务、电子围栏、地块、告警、告警规则、急停状态与数据源无关，数据源初始化失败时也要加载
+        await safety.init();
+        await tasks.init(robotId => adapter.getTasks(robotId));
+        await missions.init();
+        await geofences.init();
+        await zoneRepository.init();
+        await alertRepository.init();
+        await alertRuleRepository.init();
+        await notificationRepository.init();
     }
+
+    connectionTimer = setInterval(checkConnections, config.fleet.connectionCheckInterval);
 }
 
 /**
- * 初始化数据库连接
- * MySQL需要安装: npm install mysql2
- * MongoDB需要安装: npm install mongodb
+ * 关闭数据源连接
+ * 服务退出时调用
  */
-async function initDatabase() {
-    try {
-        if (CONFIG.database.type === 'mysql') {
-            const mysql = require('mysql2/promise');
-            connection = await mysql.createConnection({
-                host: CONFIG.database.host,
-                port: CONFIG.database.port,
-                user: CONFIG.database.user,
-                password: CONFIG.database.password,
-                database: CONFIG.database.database
-            });
-            isConnected = true;
-            console.log('[Database] MySQL连接成功');
-            
-        } else if (CONFIG.database.type === 'mongodb') {
-            const { MongoClient } = require('mongodb');
-            const url = `mongodb://${CONFIG.database.host}:${CONFIG.database.port}`;
-            connection = new MongoClient(url);
-            await connection.connect();
-            isConnected = true;
-            console.log('[Database] MongoDB连接成功');
-        }
-        
-    } catch (error) {
-        console.error('[Database] 初始化失败:', error.message);
-    }
+async function close() {
+    clearInterval(connectionTimer);
+    await adapter.close();
+    await tasks.close();
+    await missions.close();
+    await geofences.close();
+    await zoneRepository.close();
+    await alertRepository.close();
+    await alertRuleRepository.close();
+    await notificationRepository.close();
+    await safety.close();
 }
 
 // ============================================================
-// 辅助函数
+// 模块导出
 // ============================================================
 
 /**
- * 更新缓存数据
- * @param {Object} data - 接收到的数据
+ * 任务接口 -> 任务仓库方法
  */
-function updateCache(data) {
-    if (data.robot) cache.robot = { ...cache.robot, ...data.robot };
-    if (data.sensors) cache.sensors = { ...cache.sensors, ...data.sensors };
-    if (data.tasks) cache.tasks = data.tasks;
-    if (data.statistics) cache.statistics = { ...cache.statistics, ...data.statistics };
-    cache.lastUpdate = Date.now();
-}
+const TASK_METHODS = {
+    getTasks: tasks.list,
+    getTask: tasks.get,
+    createTask: tasks.create,
+    updateTask: tasks.update,
+    checkTaskTransition: tasks.checkTransition,
+    transitionTask: tasks.transition,
+    deleteTask: tasks.remove
+};
 
 /**
- * HTTP请求封装
- * @param {string} endpoint - API端点
- * @param {Object} options - 请求选项
+ * 控制接口 -> 指令队列方法
+ * priority 为 high | normal | low，stop 固定为紧急优先级；params 为方向指令的运动参数
+ * 运动参数不合法时拒绝 (status 400，error.errors 为字段错误)，急停锁定期间除 stop 外的指令都被拒绝 (status 423)
  */
-async function httpRequest(endpoint, options = {}) {
-    const url = `${CONFIG.http.baseUrl}${endpoint}`;
-    
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), CONFIG.http.timeout);
-    
-    try {
-        const response = await fetch(url, {
-            ...options,
-            signal: controller.signal,
-            headers: {
-                'Content-Type': 'application/json',
-                ...options.headers
-            }
-        });
-        
-        clearTimeout(timeoutId);
-        
-        if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+const QUEUE_METHODS = {
+    handleCommand: async (robotId, command, { priority, params = {} } = {}) => {
+        const errors = motion.validate(robotId, command, params);
+        if (errors.length > 0) throw createValidationError(errors);
+        if (command !== 'stop') await safety.assertClear(robotId, `指令 ${command}`);
+
+        const hasParams = Object.keys(params).length > 0;
+        return commandQueue.push(robotId, { type: 'command', command, ...(hasParams && { params }) }, priority);
+    },
+    handleAction: async (robotId, action, job = {}, { priority } = {}) => {
+        await safety.assertClear(robotId, `作业 ${action}`);
+        return commandQueue.push(robotId, { type: 'action', action, job }, priority);
+    },
+    handleMission: async (robotId, operation, mission, { priority } = {}) => {
+        if (operation === 'start' || operation === 'resume') {
+            await safety.assertClear(robotId, `航线任务 #${mission.missionId} ${operation}`);
         }
-        
-        return await response.json();
-        
-    } catch (error) {
-        clearTimeout(timeoutId);
-        console.error(`[HTTP] 请求失败: ${endpoint}`, error.message);
-        throw error;
-    }
-}
+        return commandQueue.push(robotId, { type: 'mission', mission: operation, job: mission }, priority);
+    },
+    getCommandQueue: commandQueue.snapshot,
+    clearCommandQueue: commandQueue.clear
+};
 
-// ============================================================
-// 对外接口 - 与 mockData.js 保持一致
-// ============================================================
+/**
+ * 获取机器人状态，附带急停状态
+ * @param {string} robotId - 机器人ID
+ * @returns {Promise<Object>} 适配器返回的状态 + estop
+ */
+const getRobotStatus = async robotId => ({
+    ...await adapter.getRobotStatus(robotId),
+    estop: await safety.getState(robotId)
+});
 
 /**
- * 获取机器人状态
- * @returns {Object} 机器人状态数据
+ * 锁定急停
+ * 急停绕过指令队列立即下发；等待中的指令全部取消，进行中的任务和航线任务暂停
+ * @param {string} robotId - 机器人ID
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object>} { estop, dispatch, cleared, pausedTasks, pausedMissions }
  */
-async function getRobotStatus() {
-    if (CONFIG.type === 'http') {
-        try {
-            const result = await httpRequest(CONFIG.http.endpoints.status);
-            if (result.success) {
-                cache.robot = result.data;
-            }
-        } catch (error) {
-            // 返回缓存数据
+async function engageEmergencyStop(robotId, { actor, reason }) {
+    const estop = await safety.engage(robotId, { actor, reason });
+    const dispatch = await adapter.handleEmergencyStop(robotId, true);
+    const cleared = commandQueue.clear(robotId);
+    const pauseReason = `急停${reason ? `: ${reason}` : ''}`;
+
+    const pausedTasks = [];
+    for (const task of await tasks.list(robotId)) {
+        if (task.status === 'active') {
+            await tasks.transition(robotId, task.id, 'pause', { actor, reason: pauseReason });
+            pausedTasks.push(task.id);
         }
     }
-    
-    return {
-        battery: cache.robot.battery,
-        speed: cache.robot.speed,
-        temperature: cache.robot.temperature,
-        coordinates: cache.robot.coordinates
-    };
+
+    const pausedMissions = [];
+    for (const mission of await missions.list({ robotId, status: 'running' })) {
+        await missions.transition(mission.id, 'pause', { actor, reason: pauseReason });
+        pausedMissions.push(mission.id);
+    }
+
+    if (pausedTasks.length > 0) events.publishUpdate(robotId, 'tasks', await tasks.list(robotId));
+    events.publishUpdate(robotId, 'status', await getRobotStatus(robotId));
+
+    return { estop, dispatch, cleared, pausedTasks, pausedMissions };
 }
 
 /**
- * 获取传感器数据
- * @returns {Object} 传感器数据
+ * 复位急停
+ * @param {string} robotId - 机器人ID
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} { estop, dispatch }
+ * @throws {Error} 未处于锁定时抛出 (status 409)
  */
-async function getSensorData() {
-    if (CONFIG.type === 'http') {
-        try {
-            const result = await httpRequest(CONFIG.http.endpoints.sensors);
-            if (result.success) {
-                cache.sensors = result.data;
-            }
-        } catch (error) {
-            // 返回缓存数据
-        }
-    }
-    
-    return {
-        soilHumidity: cache.sensors.soilHumidity,
-        soilTemp: cache.sensors.soilTemp,
-        light: cache.sensors.light,
-        airHumidity: cache.sensors.airHumidity
-    };
+async function resetEmergencyStop(robotId, { actor }) {
+    const estop = await safety.reset(robotId, { actor });
+    const dispatch = await adapter.handleEmergencyStop(robotId, false);
+
+    events.publishUpdate(robotId, 'status', await getRobotStatus(robotId));
+    return { estop, dispatch };
 }
 
 /**
- * 获取任务列表
- * @returns {Array} 任务数组
+ * 急停接口
  */
-async function getTasks() {
-    if (CONFIG.type === 'http') {
-        try {
-            const result = await httpRequest(CONFIG.http.endpoints.tasks);
-            if (result.success) {
-                cache.tasks = result.data;
-            }
-        } catch (error) {
-            // 返回缓存数据
-        }
-    }
-    
-    if (CONFIG.type === 'database' && connection) {
-        try {
-            if (CONFIG.database.type === 'mysql') {
-                const [rows] = await connection.execute('SELECT * FROM tasks');
-                cache.tasks = rows;
-            } else if (CONFIG.database.type === 'mongodb') {
-                const db = connection.db(CONFIG.database.database);
-                cache.tasks = await db.collection('tasks').find().toArray();
-            }
-        } catch (error) {
-            console.error('[Database] 查询任务失败:', error.message);
-        }
-    }
-    
-    return cache.tasks;
-}
+const SAFETY_METHODS = {
+    getRobotStatus,
+    getEmergencyStop: safety.getState,
+    engageEmergencyStop,
+    resetEmergencyStop
+};
 
 /**
- * 获取作业统计
- * @returns {Object} 统计数据
+ * 推送全部机器人的作业统计
+ * 地块变化后总面积随之变化
  */
-async function getStatistics() {
-    if (CONFIG.type === 'http') {
-        try {
-            const result = await httpRequest(CONFIG.http.endpoints.statistics);
-            if (result.success) {
-                cache.statistics = result.data;
-            }
-        } catch (error) {
-            // 返回缓存数据
-        }
+async function publishStatistics() {
+    for (const robot of fleet.listRobots()) {
+        events.publishUpdate(robot.id, 'statistics', await adapter.getStatistics(robot.id));
     }
-    
-    return {
-        completedArea: cache.statistics.completedArea,
-        totalArea: cache.statistics.totalArea,
-        progress: cache.statistics.progress
-    };
 }
 
 /**
- * 处理方向控制指令
- * @param {string} command - 指令 (forward/backward/left/right/stop)
- * @returns {Object} 执行结果
+ * 包装地块写入接口，写入成功后推送作业统计
+ * @param {Function} fn - 地块写入方法
+ * @returns {Function} 包装后的方法
  */
-async function handleCommand(command) {
-    const COMMANDS = {
-        forward: '前进',
-        backward: '后退',
-        left: '左转',
-        right: '右转',
-        stop: '停止'
-    };
-    
-    const commandName = COMMANDS[command] || command;
-    
-    // HTTP方式发送指令
-    if (CONFIG.type === 'http') {
-        try {
-            await httpRequest(CONFIG.http.endpoints.control, {
-                method: 'POST',
-                body: JSON.stringify({ command })
-            });
-        } catch (error) {
-            return {
-                executed: false,
-                command,
-                message: `指令发送失败: ${error.message}`
-            };
-        }
-    }
-    
-    // MQTT方式发送指令
-    if (CONFIG.type === 'mqtt' && connection) {
-        const payload = JSON.stringify({ type: 'command', command });
-        connection.publish(CONFIG.mqtt.topics.control, payload);
-        console.log(`[MQTT] 发送控制指令到 ${CONFIG.mqtt.topics.control}:`, payload);
-    }
-    
-    // 串口方式发送指令
-    if (CONFIG.type === 'serial' && connection) {
-        connection.write(JSON.stringify({ command }) + '\n');
-    }
-    
-    // WebSocket方式发送指令
-    if (CONFIG.type === 'websocket' && connection && connection.readyState === 1) {
-        connection.send(JSON.stringify({ type: 'command', command }));
-    }
-    
-    console.log(`[DataSource] 发送指令: ${commandName}`);
-    
-    return {
-        executed: true,
-        command,
-        message: `指令已发送: ${commandName}`
-    };
-}
+const withStatistics = fn => async (...args) => {
+    const result = await fn(...args);
+    if (result) await publishStatistics();
+    return result;
+};
 
 /**
- * 处理作业操作
- * @param {string} action - 操作 (irrigation/fertilize/scan/harvest)
- * @returns {Object} 执行结果
+ * 地块接口 -> 地块管理方法
  */
-async function handleAction(action) {
-    const ACTIONS = {
-        irrigation: '灌溉',
-        fertilize: '施肥',
-        scan: '扫描',
-        harvest: '收割'
-    };
-    
-    const actionName = ACTIONS[action] || action;
-    
-    // HTTP方式发送操作
-    if (CONFIG.type === 'http') {
-        try {
-            await httpRequest(CONFIG.http.endpoints.control, {
-                method: 'POST',
-                body: JSON.stringify({ action })
-            });
-        } catch (error) {
-            return {
-                executed: false,
-                action,
-                message: `操作发送失败: ${error.message}`
-            };
+const ZONE_METHODS = {
+    listZones: zones.list,
+    getZone: zones.get,
+    createZone: withStatistics(zones.create),
+    updateZone: withStatistics(zones.update),
+    deleteZone: withStatistics(zones.remove),
+    resetZoneCoverage: withStatistics(zones.resetCoverage),
+    getTaskZone: zones.taskZone,
+    updateStatistics: async (robotId, stats) => {
+        if (stats.totalArea !== undefined && zones.totalArea(robotId) !== null) {
+            throw createError(`机器人 ${robotId} 的总面积由地块面积计算，请通过 /api/zones 修改地块`, 409);
         }
+        if (stats.completedArea !== undefined && zones.totalArea(robotId) !== null) {
+            throw createError(`机器人 ${robotId} 的已完成面积由作业轨迹计算，不能手动修改`, 409);
+        }
+        return adapter.updateStatistics(robotId, stats);
     }
-    
-    // MQTT方式发送操作
-    if (CONFIG.type === 'mqtt' && connection) {
-        const payload = JSON.stringify({ type: 'action', action });
-        connection.publish(CONFIG.mqtt.topics.control, payload);
-        console.log(`[MQTT] 发送作业指令到 ${CONFIG.mqtt.topics.control}:`, payload);
-    }
-    
-    // 串口方式发送操作
-    if (CONFIG.type === 'serial' && connection) {
-        connection.write(JSON.stringify({ action }) + '\n');
-    }
-    
-    // WebSocket方式发送操作
-    if (CONFIG.type === 'websocket' && connection && connection.readyState === 1) {
-        connection.send(JSON.stringify({ type: 'action', action }));
-    }
-    
-    console.log(`[DataSource] 执行作业: ${actionName}`);
-    
-    return {
-        executed: true,
-        action,
-        message: `${actionName}作业已启动`
-    };
-}
+};
 
 /**
- * 获取连接状态
- * @returns {Object} 连接信息
+ * 本模块实现的接口: 任务接口 + 控制接口 + 急停接口 + 地块接口，其余转给当前适配器
  */
-function getConnectionStatus() {
-    return {
-        type: CONFIG.type,
-        connected: isConnected,
-        lastUpdate: cache.lastUpdate
-    };
-}
+const LOCAL_METHODS = { ...TASK_METHODS, ...QUEUE_METHODS, ...SAFETY_METHODS, ...ZONE_METHODS };
 
 /**
- * 初始化数据源连接
- * 根据配置的类型自动选择初始化方式
+ * 对外提供的全部接口: 适配器接口 + 任务接口 + 控制接口 + 急停接口 + 地块接口
  */
-async function init() {
-    console.log(`[DataSource] 初始化数据源: ${CONFIG.type}`);
-    
-    switch (CONFIG.type) {
-        case 'serial':
-            await initSerial();
-            break;
-        case 'mqtt':
-            await initMqtt();
-            break;
-        case 'websocket':
-            await initWebSocket();
-            break;
-        case 'database':
-            await initDatabase();
-            break;
-        case 'http':
-            isConnected = true;
-            console.log('[HTTP] 使用HTTP API模式');
-            break;
-        default:
-            console.warn('[DataSource] 未知的数据源类型:', CONFIG.type);
-    }
-}
+const API_METHODS = [...new Set([...ADAPTER_METHODS, ...Object.keys(LOCAL_METHODS)])];
 
 /**
- * 关闭数据源连接
+ * 调用接口的实现，任务接口转给任务仓库，控制接口转给指令队列，其余转给当前适配器
+ * @param {string} name - 接口名
+ * @param {Array} args - 参数
+ * @returns {*} 调用结果
  */
-async function close() {
-    if (connection) {
-        if (CONFIG.type === 'serial') {
-            connection.close();
-        } else if (CONFIG.type === 'mqtt') {
-            connection.end();
-        } else if (CONFIG.type === 'websocket') {
-            connection.close();
-        } else if (CONFIG.type === 'database') {
-            await connection.end();
+const invoke = (name, args) => (LOCAL_METHODS[name] ? LOCAL_METHODS[name](...args) : adapter[name](...args));
+
+/**
+ * 写入接口 -> 变更的数据通道
+ */
+const WRITE_CHANNELS = {
+    updateRobotStatus: 'status',
+    updateSensorData: 'sensors',
+    updateStatistics: 'statistics',
+    createTask: 'tasks',
+    updateTask: 'tasks',
+    transitionTask: 'tasks',
+    deleteTask: 'tasks'
+};
+
+/**
+ * 包装写入接口，写入成功后发布变更事件
+ * @param {string} name - 接口名
+ * @returns {Function} 包装后的接口
+ */
+function withUpdateEvent(name) {
+    const channel = WRITE_CHANNELS[name];
+
+    return async (robotId, ...args) => {
+        const result = await invoke(name, [robotId, ...args]);
+
+        // updateTask 返回 null、deleteTask 返回 false 表示任务不存在，没有变更
+        if (result) {
+            // 任务接口只返回单个任务，推送完整的任务列表
+            const data = channel === 'tasks' ? await tasks.list(robotId) : result;
+            events.publishUpdate(robotId, channel, data);
         }
-        
-        isConnected = false;
-        connection = null;
-        console.log('[DataSource] 连接已关闭');
-    }
+        return result;
+    };
 }
 
-// ============================================================
-// 模块导出
-// ============================================================
+/**
+ * 导出全部接口
+ * 每个方法都转发给任务仓库或当前适配器，写入接口额外发布变更事件
+ */
+const api = {};
+API_METHODS.forEach((name) => {
+    api[name] = WRITE_CHANNELS[name]
+        ? withUpdateEvent(name)
+        : (...args) => invoke(name, args);
+});
 
 module.exports = {
-    // 数据接口 - 与 mockData.js 接口一致
-    getRobotStatus,
-    getSensorData,
-    getTasks,
-    getStatistics,
-    handleCommand,
-    handleAction,
-    
+    ...api,
+
     // 连接管理
     init,
     close,
-    getConnectionStatus,
-    
+
+    // 数据源是否主动推送数据（否则只有通过接口写入时才有变更事件）
+    pushUpdates: Boolean(adapter.pushUpdates),
+
     // 导出配置供外部读取
     CONFIG
 };
@@ -0,0 +1,44 @@
+/**
+ * 业务错误模块
+ *
+ * 功能描述:
+ * - 创建带HTTP状态码的错误，用于参数无效 (400)、资源不存在 (404)、状态冲突 (409) 等业务错误
+ * - 控制器用 asyncHandler 包装时，以 error.status 和错误信息响应 (见 controllers/response.js)
+ * - 字段校验错误附带 errors 数组 [{ field, message }]，响应格式与请求体校验 (data/schema.js) 相同
+ * - 不带 status 的错误视为程序错误，由全局错误处理中间件返回500
+ *
+ * 使用方式:
+ *   const { createError } = require('./errors');
+ *   throw createError(`任务 #${taskId} 不存在`, 404);
+ *   throw createValidationError([{ field: 'speed', message: 'speed: 速度不能超过...' }]);
+ *
+ * 文件路径: backend/data/errors.js
+ */
+
+/**
+ * 创建带HTTP状态码的错误
+ * @param {string} message - 错误信息
+ * @param {number} status - HTTP状态码
+ * @returns {Error} 错误对象，error.status 为HTTP状态码
+ */
+function createError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+}
+
+/**
+ * 创建字段校验错误 (400)
+ * @param {Array<Object>} errors - 字段错误 [{ field, message }]
+ * @returns {Error} 错误对象，error.errors 为字段错误，message 为各字段错误的合并
+ */
+function createValidationError(errors) {
+    const error = createError(errors.map(item => item.message).join('；'), 400);
+    error.errors = errors;
+    return error;
+}
+
+module.exports = {
+    createError,
+    createValidationError
+};
@@ -0,0 +1,132 @@
+/**
+ * 数据变更事件模块
+ *
+ * 功能描述:
+ * - 数据层在缓存更新、数据写入时发布变更事件
+ * - 机器人在线状态变化、告警变化时发布对应事件
+ * - 机器人上报作业进度时发布 taskProgress 事件，由任务执行模块更新任务
+ * - WebSocket 推送服务、SSE 等实时模块订阅事件，把最新数据推给客户端
+ *
+ * 事件格式:
+ *   update:     { robotId, channel, data, timestamp }
+ *               channel: 'status' | 'sensors' | 'tasks' | 'statistics'
+ *   connection: { robotId, data: { type, connected, lastUpdate }, timestamp }
+ *   alert:      { robotId, data: 告警对象, timestamp }
+ *   taskProgress: { robotId, data: { taskId, progress?, status?, message? }, timestamp }
+ *               status: 'done' | 'failed'，作业结束时上报
+ *
+ * 使用方式:
+ *   const events = require('./events');
+ *   events.publishUpdate('robot-001', 'status', status);   // 数据层发布
+ *   const off = events.onUpdate((event) => {...});          // 实时模块订阅
+ *   off();                                                  // 取消订阅
+ *
+ * 文件路径: backend/data/events.js
+ */
+
+const { EventEmitter } = require('events');
+
+/**
+ * 数据通道列表
+ * 与接口对应: status -> /robot/status, sensors -> /sensors ...
+ */
+const CHANNELS = ['status', 'sensors', 'tasks', 'statistics'];
+
+const emitter = new EventEmitter();
+
+// 实时模块可能为每个连接单独订阅，关闭监听数量上限提示
+emitter.setMaxListeners(0);
+
+/**
+ * 发布数据变更
+ * @param {string} robotId - 机器人ID
+ * @param {string} channel - 数据通道
+ * @param {*} data - 变更后的完整数据
+ */
+function publishUpdate(robotId, channel, data) {
+    emitter.emit('update', {
+        robotId,
+        channel,
+        data,
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * 订阅数据变更
+ * @param {Function} listener - 回调函数 (event)
+ * @returns {Function} 取消订阅函数
+ */
+function onUpdate(listener) {
+    emitter.on('update', listener);
+    return () => emitter.off('update', listener);
+}
+
+/**
+ * 发布机器人在线状态变化
+ * @param {string} robotId - 机器人ID
+ * @param {Object} connection - 连接状态 { type, connected, lastUpdate }
+ */
+function publishConnection(robotId, connection) {
+    emitter.emit('connection', { robotId, data: connection, timestamp: Date.now() });
+}
+
+/**
+ * 订阅机器人在线状态变化
+ * @param {Function} listener - 回调函数 (event)
+ * @returns {Function} 取消订阅函数
+ */
+function onConnection(listener) {
+    emitter.on('connection', listener);
+    return () => emitter.off('connection', listener);
+}
+
+/**
+ * 发布告警变化（触发、确认、恢复）
+ * @param {string} robotId - 机器人ID
+ * @param {Object} alert - 告警对象
+ */
+function publishAlert(robotId, alert) {
+    emitter.emit('alert', { robotId, data: alert, timestamp: Date.now() });
+}
+
+/**
+ * 订阅告警变化
+ * @param {Function} listener - 回调函数 (event)
+ * @returns {Function} 取消订阅函数
+ */
+function onAlert(listener) {
+    emitter.on('alert', listener);
+    return () => emitter.off('alert', listener);
+}
+
+/**
+ * 发布机器人上报的作业进度
+ * @param {string} robotId - 机器人ID
+ * @param {Object} feedback - { taskId, progress?, status?, message? }
+ */
+function publishTaskProgress(robotId, feedback) {
+    emitter.emit('taskProgress', { robotId, data: feedback, timestamp: Date.now() });
+}
+
+/**
+ * 订阅作业进度
+ * @param {Function} listener - 回调函数 (event)
+ * @returns {Function} 取消订阅函数
+ */
+function onTaskProgress(listener) {
+    emitter.on('taskProgress', listener);
+    return () => emitter.off('taskProgress', listener);
+}
+
+module.exports = {
+    CHANNELS,
+    publishUpdate,
+    onUpdate,
+    publishConnection,
+    onConnection,
+    publishAlert,
+    onAlert,
+    publishTaskProgress,
+    onTaskProgress
+};
@@ -0,0 +1,163 @@
+/**
+ * 机器人集群登记模块
+ *
+ * 功能描述:
+ * - 维护系统中已登记的机器人列表
+ * - 启动时登记配置文件中的机器人，运行中可自动登记数据源里出现的新机器人
+ * - 机器人ID会用作存储目录名和 MQTT 主题的一部分，只接受字母、数字、下划线和连字符；
+ *   自动登记的数量不超过 config.fleet.maxRobots，防止异常设备不断上报新ID
+ * - 提供默认机器人ID，供旧版单机器人接口使用
+ *
+ * 使用方式:
+ *   const fleet = require('./fleet');
+ *   fleet.hasRobot('robot-001');
+ *   fleet.acceptRobot(robotId);   // 适配器收到数据时调用
+ *
+ * 文件路径: backend/data/fleet.js
+ */
+
+const config = require('../config');
+
+const FLEET_CONFIG = config.fleet;
+
+/**
+ * 默认机器人ID
+ * /api/robot/status 等不带机器人ID的接口操作此机器人
+ */
+const DEFAULT_ROBOT_ID = FLEET_CONFIG.defaultRobotId;
+
+/**
+ * 机器人ID格式: 1-64 个字母、数字、下划线或连字符
+ */
+const ROBOT_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * 已记录过警告的被忽略机器人ID上限，超过后清空重新记录
+ */
+const MAX_IGNORED = 1000;
+
+// 机器人登记表: robotId -> { id, name, limits?, implementWidth?, source, registeredAt }
+const robots = new Map();
+
+// 已记录过警告的被忽略机器人ID，同一ID只警告一次，避免异常设备刷屏
+const ignored = new Set();
+
+/**
+ * 判断机器人ID格式是否有效
+ * @param {*} robotId - 机器人ID
+ * @returns {boolean} 是否有效
+ */
+const isValidRobotId = robotId => typeof robotId === 'string' && ROBOT_ID_PATTERN.test(robotId);
+
+/**
+ * 记录忽略机器人数据的警告，同一ID只记录一次
+ * @param {string} robotId - 机器人ID
+ * @param {string} reason - 原因
+ */
+function warnIgnored(robotId, reason) {
+    const key = String(robotId);
+    if (ignored.has(key)) return;
+
+    if (ignored.size >= MAX_IGNORED) ignored.clear();
+    ignored.add(key);
+    console.warn(`[Fleet] 忽略机器人 ${JSON.stringify(key).slice(0, 80)} 的数据: ${reason}`);
+}
+
+/**
+ * 登记机器人
+ * @param {string} robotId - 机器人ID
+ * @param {Object} info - 附加信息 { name?, limits?, implementWidth? }，
+ *   limits 覆盖 config.motion.limits，implementWidth 覆盖 config.coverage.implementWidth
+ * @param {string} source - 登记来源: 'config' | 'discovered'
+ * @returns {Object} 登记信息
+ * @throws {Error} 机器人ID格式无效时抛出
+ */
+function registerRobot(robotId, info = {}, source = 'config') {
+    if (!isValidRobotId(robotId)) {
+        throw new Error(`机器人ID ${JSON.stringify(robotId)} 无效: 只能包含字母、数字、下划线和连字符，最长 64 个字符`);
+    }
+
+    if (!robots.has(robotId)) {
+        robots.set(robotId, {
+            id: robotId,
+            name: info.name || robotId,
+            ...(info.limits && { limits: info.limits }),
+            ...(info.implementWidth && { implementWidth: info.implementWidth }),
+            source,
+            registeredAt: Date.now()
+        });
+    }
+    return robots.get(robotId);
+}
+
+/**
+ * 判断机器人是否已登记
+ * @param {string} robotId - 机器人ID
+ * @returns {boolean} 是否已登记
+ */
+function hasRobot(robotId) {
+    return robots.has(robotId);
+}
+
+/**
+ * 获取机器人登记信息
+ * @param {string} robotId - 机器人ID
+ * @returns {Object|null} 登记信息
+ */
+function getRobot(robotId) {
+    return robots.get(robotId) || null;
+}
+
+/**
+ * 获取全部机器人
+ * @returns {Array} 登记信息数组，按登记顺序排列
+ */
+function listRobots() {
+    return Array.from(robots.values());
+}
+
+/**
+ * 接收来自数据源的机器人
+ * 已登记的直接接受；未登记的按 autoRegister 配置决定是否自动登记，
+ * ID格式无效或登记数量已达 maxRobots 时丢弃数据
+ * @param {string} robotId - 机器人ID
+ * @returns {boolean} 是否接受该机器人的数据
+ */
+function acceptRobot(robotId) {
+    if (robots.has(robotId)) return true;
+
+    if (!isValidRobotId(robotId)) {
+        warnIgnored(robotId, 'ID格式无效');
+        return false;
+    }
+    if (!FLEET_CONFIG.autoRegister) {
+        warnIgnored(robotId, '未登记');
+        return false;
+    }
+    if (robots.size >= FLEET_CONFIG.maxRobots) {
+        warnIgnored(robotId, `已登记 ${robots.size} 台机器人，达到上限 maxRobots`);
+        return false;
+    }
+
+    registerRobot(robotId, {}, 'discovered');
+    console.log(`[Fleet] 发现新机器人，已自动登记: ${robotId}`);
+    return true;
+}
+
+// ============================================================
+// 初始化 - 登记配置中的机器人，并确保默认机器人存在
+// ============================================================
+
+(FLEET_CONFIG.robots || []).forEach(robot => registerRobot(robot.id, robot));
+registerRobot(DEFAULT_ROBOT_ID);
+
+module.exports = {
+    DEFAULT_ROBOT_ID,
+    OFFLINE_TIMEOUT: FLEET_CONFIG.offlineTimeout,
+    isValidRobotId,
+    registerRobot,
+    hasRobot,
+    getRobot,
+    listRobots,
+    acceptRobot
+};
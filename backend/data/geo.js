@@ -0,0 +1,211 @@
+/**
+ * 地理计算模块
+ *
+ * 功能描述:
+ * - GPS 坐标校验、两点间距离 (Haversine)、路径长度
+ * - 解析 GeoJSON LineString（几何对象或 Feature）为坐标点数组
+ * - 解析 GeoJSON Polygon，判断坐标点是否在多边形内（支持内环/洞），计算多边形的地表面积
+ * - 坐标统一使用 { lat, lon }（WGS84，单位度），距离单位为米，面积单位为平方米
+ *
+ * 使用方式:
+ *   const geo = require('./geo');
+ *   geo.distance({ lat: 40.2, lon: 116.4 }, { lat: 40.201, lon: 116.4 });   // 约 111 米
+ *   geo.parseLineString({ type: 'LineString', coordinates: [[116.4, 40.2], [116.401, 40.2]] });
+ *   geo.containsPoint(geo.parsePolygon(boundary), { lat: 40.2, lon: 116.4 });
+ *
+ * 文件路径: backend/data/geo.js
+ */
+
+const { createError } = require('./errors');
+
+/**
+ * 地球平均半径（米）
+ */
+const EARTH_RADIUS = 6371008.8;
+
+/**
+ * 角度转弧度
+ * @param {number} degrees - 角度
+ * @returns {number} 弧度
+ */
+const toRadians = degrees => degrees * Math.PI / 180;
+
+/**
+ * 判断是否为有效的 GPS 坐标
+ * @param {Object} point - { lat, lon }
+ * @returns {boolean} 纬度在 ±90、经度在 ±180 之内
+ */
+const isCoordinate = point => Boolean(point) &&
+    typeof point.lat === 'number' && Number.isFinite(point.lat) && Math.abs(point.lat) <= 90 &&
+    typeof point.lon === 'number' && Number.isFinite(point.lon) && Math.abs(point.lon) <= 180;
+
+/**
+ * 两点间的地面距离 (Haversine)
+ * @param {Object} a - { lat, lon }
+ * @param {Object} b - { lat, lon }
+ * @returns {number} 距离（米）
+ */
+function distance(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLon = toRadians(b.lon - a.lon);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLon / 2) ** 2;
+
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * 路径总长度
+ * @param {Array<Object>} points - 依次经过的坐标点 [{ lat, lon }]
+ * @returns {number} 长度（米）
+ */
+const pathLength = points => points.slice(1)
+    .reduce((sum, point, index) => sum + distance(points[index], point), 0);
+
+/**
+ * 从起点向终点移动指定距离（短距离线性插值），超过终点时返回终点
+ * @param {Object} from - 起点 { lat, lon }
+ * @param {Object} to - 终点 { lat, lon }
+ * @param {number} meters - 移动距离（米）
+ * @returns {Object} 新位置 { lat, lon }
+ */
+function moveToward(from, to, meters) {
+    const total = distance(from, to);
+    if (total <= meters || total === 0) return { lat: to.lat, lon: to.lon };
+
+    const ratio = meters / total;
+    return {
+        lat: from.lat + (to.lat - from.lat) * ratio,
+        lon: from.lon + (to.lon - from.lon) * ratio
+    };
+}
+
+/**
+ * 解析 GeoJSON LineString
+ * @param {Object} geojson - LineString 几何对象，或 geometry 为 LineString 的 Feature
+ * @param {string} field - 字段名，用于错误信息
+ * @returns {Array<Object>} 坐标点数组 [{ lat, lon }]
+ * @throws {Error} 不是有效的 LineString 时抛出 (status 400)
+ */
+function parseLineString(geojson, field = 'path') {
+    const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+
+    if (!geometry || geometry.type !== 'LineString' || !Array.isArray(geometry.coordinates)) {
+        throw createError(`${field}: 必须是 GeoJSON LineString 或其 Feature`, 400);
+    }
+
+    // GeoJSON 坐标顺序为 [经度, 纬度, 海拔?]
+    return geometry.coordinates.map((position, index) => {
+        const point = Array.isArray(position) ? { lat: position[1], lon: position[0] } : null;
+        if (!isCoordinate(point)) {
+            throw createError(`${field}.coordinates[${index}]: 必须是 [经度, 纬度]，纬度 ±90、经度 ±180 之内`, 400);
+        }
+        return point;
+    });
+}
+
+/**
+ * 解析 GeoJSON Polygon
+ * 未闭合的环自动闭合
+ * @param {Object} geojson - Polygon 几何对象，或 geometry 为 Polygon 的 Feature
+ * @param {string} field - 字段名，用于错误信息
+ * @returns {Array<Array<Object>>} 环数组，第一个为外环，其余为内环（洞），每个环为闭合的坐标点数组 [{ lat, lon }]
+ * @throws {Error} 不是有效的 Polygon 时抛出 (status 400)
+ */
+function parsePolygon(geojson, field = 'boundary') {
+    const geometry = geojson && geojson.type === 'Feature' ? geojson.geometry : geojson;
+
+    if (!geometry || geometry.type !== 'Polygon' || !Array.isArray(geometry.coordinates) ||
+        geometry.coordinates.length === 0) {
+        throw createError(`${field}: 必须是 GeoJSON Polygon 或其 Feature`, 400);
+    }
+
+    return geometry.coordinates.map((ring, ringIndex) => {
+        const ringField = `${field}.coordinates[${ringIndex}]`;
+        if (!Array.isArray(ring)) {
+            throw createError(`${ringField}: 必须是坐标数组`, 400);
+        }
+
+        const points = ring.map((position, index) => {
+            const point = Array.isArray(position) ? { lat: position[1], lon: position[0] } : null;
+            if (!isCoordinate(point)) {
+                throw createError(`${ringField}[${index}]: 必须是 [经度, 纬度]，纬度 ±90、经度 ±180 之内`, 400);
+            }
+            return point;
+        });
+
+        const first = points[0];
+        const last = points[points.length - 1];
+        if (first && (first.lat !== last.lat || first.lon !== last.lon)) points.push(first);
+
+        if (points.length < 4) {
+            throw createError(`${ringField}: 至少需要 3 个顶点`, 400);
+        }
+        return points;
+    });
+}
+
+/**
+ * 判断坐标点是否在闭合环内（射线法）
+ * @param {Array<Object>} ring - 闭合的坐标点数组
+ * @param {Object} point - { lat, lon }
+ * @returns {boolean} 是否在环内
+ */
+function ringContains(ring, point) {
+    let inside = false;
+
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const a = ring[i];
+        const b = ring[j];
+        if ((a.lat > point.lat) !== (b.lat > point.lat) &&
+            point.lon < (b.lon - a.lon) * (point.lat - a.lat) / (b.lat - a.lat) + a.lon) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * 判断坐标点是否在多边形内
+ * @param {Array<Array<Object>>} rings - parsePolygon 返回的环数组
+ * @param {Object} point - { lat, lon }
+ * @returns {boolean} 在外环内且不在任何内环（洞）内
+ */
+const containsPoint = (rings, point) => ringContains(rings[0], point) &&
+    !rings.slice(1).some(hole => ringContains(hole, point));
+
+/**
+ * 闭合环的地表面积（球面近似）
+ * @param {Array<Object>} ring - 闭合的坐标点数组
+ * @returns {number} 面积（平方米）
+ */
+function ringArea(ring) {
+    const count = ring.length - 1;
+    let total = 0;
+
+    for (let i = 0; i < count; i++) {
+        const previous = ring[(i + count - 1) % count];
+        const next = ring[(i + 1) % count];
+        total += (toRadians(next.lon) - toRadians(previous.lon)) * Math.sin(toRadians(ring[i].lat));
+    }
+    return Math.abs(total * EARTH_RADIUS * EARTH_RADIUS / 2);
+}
+
+/**
+ * 多边形的地表面积
+ * @param {Array<Array<Object>>} rings - parsePolygon 返回的环数组
+ * @returns {number} 外环面积减去内环（洞）面积（平方米）
+ */
+const polygonArea = rings => Math.max(0,
+    ringArea(rings[0]) - rings.slice(1).reduce((sum, hole) => sum + ringArea(hole), 0));
+
+module.exports = {
+    isCoordinate,
+    distance,
+    pathLength,
+    moveToward,
+    parseLineString,
+    parsePolygon,
+    containsPoint,
+    polygonArea
+};
@@ -0,0 +1,464 @@
+/**
+ * 电子围栏检测模块
+ *
+ * 功能描述:
+ * - 校验电子围栏的创建、修改请求，围栏保存在 data/geofenceRepository.js
+ * - 订阅数据层的状态更新事件，每次机器人状态更新都用 coordinates 检查适用的已启用围栏:
+ *   进入任一禁入区域 (keepout) 视为越界；适用的允许区域 (allowed) 合并为一个区域，
+ *   机器人在其中任意一个内即为安全，不在任何一个内才视为越界
+ * - 越界时触发 critical 告警，回到安全区域时恢复，告警的确认、推送和保存见 data/alerts.js；
+ *   越界的围栏开启 autoStop 时自动发送 stop，并暂停机器人进行中的航线任务
+ * - 自动停车未执行（下发失败、指令被拒绝）时触发「自动停车失败」告警，每 STOP_RETRY_INTERVAL 毫秒重试，
+ *   直到 stop 执行成功或机器人回到安全区域
+ * - 同一机器人、同一围栏持续越界只告警一次；服务重启后接管未恢复的越界告警，继续重试未成功的自动停车
+ *
+ * 告警对象 (data/alerts.js 的告警):
+ *   禁入区域   { key: 'geofence-1', type: 'geofence', level: 'critical', geofenceId: 1, geofenceIds: [1], coordinates, ... }
+ *   允许区域   { key: 'geofence-allowed', type: 'geofence', level: 'critical', geofenceId: null, geofenceIds: [2, 3], coordinates, ... }
+ *   停车失败   { key: 'geofence-stop', type: 'geofence', level: 'critical', geofenceId: null, geofenceIds: [1], ... }
+ *
+ * 使用方式:
+ *   const geofence = require('./geofence');
+ *   geofence.start();                                   // 服务启动时订阅状态更新
+ *   await geofence.create({ name: '水塘', type: 'keepout', boundary, autoStop: true });
+ *   geofence.stop();                                    // 服务退出时
+ *
+ * 文件路径: backend/data/geofence.js
+ */
+
+const alerts = require('./alerts');
+const data = require('./dataSource');
+const events = require('./events');
+const fleet = require('./fleet');
+const geo = require('./geo');
+const { createError } = require('./errors');
+const geofences = require('./geofenceRepository');
+const missions = require('./missionRepository');
+const missionRunner = require('./missionRunner');
+
+/**
+ * 允许区域越界告警、自动停车失败告警的 key
+ */
+const ALLOWED_KEY = 'geofence-allowed';
+const STOP_KEY = 'geofence-stop';
+
+/**
+ * 自动停车失败后的重试间隔（毫秒）
+ */
+const STOP_RETRY_INTERVAL = 2000;
+
+// 当前越界: `${robotId}:${告警 key}` -> 告警对象
+const breaches = new Map();
+
+// 尚未执行成功的自动停车: robotId -> { geofences, attempts, running, timer, alert }
+const pendingStops = new Map();
+
+// 解析后的围栏边界: geofenceId -> { updatedAt, rings }
+const ringCache = new Map();
+
+// 检查按顺序执行，避免同一机器人的两次状态更新交错
+let checking = Promise.resolve();
+
+let offUpdate = null;
+
+// ============================================================
+// 围栏校验
+// ============================================================
+
+/**
+ * 校验电子围栏请求
+ * @param {Object} body - 请求体 { name?, type?, boundary?, robotIds?, autoStop?, enabled? }
+ * @param {Object} options - { partial: 是否为修改（字段均可选） }
+ * @returns {Object} 提供了的字段，boundary 统一为 GeoJSON Polygon 几何对象
+ * @throws {Error} 字段无效时抛出 (status 400)，信息以字段名开头
+ */
+function parse(body, { partial = false } = {}) {
+    const result = {};
+    const { name, type, boundary, robotIds, autoStop, enabled } = body;
+
+    if (!partial) {
+        const missing = ['name', 'type', 'boundary'].filter(key => body[key] === undefined);
+        if (missing.length > 0) {
+            throw createError(`${missing.join(', ')}: 缺少必填字段`, 400);
+        }
+    }
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw createError('name: 必须是非空字符串', 400);
+        }
+        result.name = name.trim();
+    }
+
+    if (type !== undefined) {
+        if (!geofences.TYPES[type]) {
+            throw createError(`type: 必须是 ${Object.keys(geofences.TYPES).join(', ')} 之一`, 400);
+        }
+        result.type = type;
+    }
+
+    if (boundary !== undefined) {
+        geo.parsePolygon(boundary, 'boundary');
+        const geometry = boundary.type === 'Feature' ? boundary.geometry : boundary;
+        result.boundary = { type: 'Polygon', coordinates: geometry.coordinates };
+    }
+
+    if (robotIds !== undefined) {
+        if (robotIds !== null && (!Array.isArray(robotIds) || robotIds.length === 0)) {
+            throw createError('robotIds: 必须是非空的机器人ID数组，null 表示全部机器人', 400);
+        }
+        const unknown = (robotIds || []).filter(robotId => !fleet.hasRobot(robotId));
+        if (unknown.length > 0) {
+            throw createError(`robotIds: 机器人 ${unknown.join(', ')} 不存在`, 400);
+        }
+        result.robotIds = robotIds;
+    }
+
+    [['autoStop', autoStop], ['enabled', enabled]].forEach(([key, value]) => {
+        if (value === undefined) return;
+        if (typeof value !== 'boolean') {
+            throw createError(`${key}: 必须是布尔值`, 400);
+        }
+        result[key] = value;
+    });
+
+    return result;
+}
+
+// ============================================================
+// 对外表示
+// ============================================================
+
+/**
+ * 电子围栏的对外表示，附带当前越界的机器人
+ * @param {Object} geofence - 电子围栏
+ * @returns {Object} 电子围栏 + breaches: [{ robotId, since, coordinates }]
+ */
+const describe = geofence => ({
+    ...geofence,
+    breaches: Array.from(breaches.values())
+        .filter(alert => idsOf(alert).includes(geofence.id))
+        .map(alert => ({ robotId: alert.robotId, since: alert.raisedAt, coordinates: alert.coordinates }))
+});
+
+// ============================================================
+// 增删改
+// ============================================================
+
+/**
+ * 创建电子围栏
+ * @param {Object} body - 请求体，格式见 parse
+ * @returns {Promise<Object>} 创建的电子围栏
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+async function create(body) {
+    const geofence = await geofences.create(parse(body));
+    return describe(geofence);
+}
+
+/**
+ * 修改电子围栏
+ * 修改后的围栏在机器人下一次状态更新时重新检查
+ * @param {number} geofenceId - 围栏ID
+ * @param {Object} body - 请求体，格式见 parse，字段均可选
+ * @returns {Promise<Object|null>} 修改后的电子围栏，不存在时返回null
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+async function update(geofenceId, body) {
+    const geofence = await geofences.update(geofenceId, parse(body, { partial: true }));
+    return geofence && describe(geofence);
+}
+
+/**
+ * 删除电子围栏，该围栏的越界告警随之恢复
+ * @param {number} geofenceId - 围栏ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+async function remove(geofenceId) {
+    const deleted = await geofences.remove(geofenceId);
+    if (!deleted) return false;
+
+    ringCache.delete(geofenceId);
+    for (const alert of Array.from(breaches.values())) {
+        if (alert.geofenceId === geofenceId) await resolve(alert, '电子围栏已删除');
+    }
+    // 允许区域的越界在机器人下一次状态更新时按剩余的允许区域重新检查
+    return true;
+}
+
+// ============================================================
+// 围栏边界
+// ============================================================
+
+/**
+ * 获取围栏解析后的边界，围栏修改后重新解析
+ * @param {Object} geofence - 电子围栏
+ * @returns {Array<Array<Object>>} 环数组
+ */
+function ringsOf(geofence) {
+    const cached = ringCache.get(geofence.id);
+    if (cached && cached.updatedAt === geofence.updatedAt) return cached.rings;
+
+    const rings = geo.parsePolygon(geofence.boundary);
+    ringCache.set(geofence.id, { updatedAt: geofence.updatedAt, rings });
+    return rings;
+}
+
+/**
+ * 越界告警涉及的围栏ID
+ * @param {Object} alert - 越界告警
+ * @returns {Array<number>} 围栏ID数组
+ */
+const idsOf = alert => alert.geofenceIds || (alert.geofenceId ? [alert.geofenceId] : []);
+
+/**
+ * 围栏名称列表，如 「农场」「果园」
+ * @param {Array<Object>} list - 电子围栏数组
+ * @returns {string} 名称
+ */
+const namesOf = list => list.map(geofence => `「${geofence.name}」`).join('');
+
+// ============================================================
+// 自动停车
+// ============================================================
+
+/**
+ * 越界后自动停车: 暂停进行中的航线任务，发送 stop，未执行时重试直到成功
+ * @param {string} robotId - 机器人ID
+ * @param {Array<Object>} list - 开启 autoStop 的越界围栏
+ */
+async function autoStop(robotId, list) {
+    const reason = `越过电子围栏 ${list.map(geofence => `#${geofence.id} ${geofence.name}`).join('、')}`;
+    for (const mission of await missions.list({ robotId, status: 'running' })) {
+        await missionRunner.transition(mission.id, 'pause', { actor: 'geofence', reason });
+    }
+
+    const pending = pendingStops.get(robotId);
+    if (pending) {
+        pending.geofences = list;
+        return;
+    }
+    pendingStops.set(robotId, { geofences: list, attempts: 0, running: false, timer: null, alert: null });
+    await attemptStop(robotId);
+}
+
+/**
+ * 发送一次 stop；未执行时触发「自动停车失败」告警并定时重试
+ * @param {string} robotId - 机器人ID
+ */
+async function attemptStop(robotId) {
+    const pending = pendingStops.get(robotId);
+    if (!pending || pending.running) return;
+
+    pending.running = true;
+    pending.timer = null;
+    pending.attempts++;
+
+    let message;
+    try {
+        const result = await data.handleCommand(robotId, 'stop');
+        if (result.executed) message = null;
+        else message = result.message;
+    } catch (error) {
+        message = error.message;
+    }
+    pending.running = false;
+
+    // 等待期间机器人已回到安全区域
+    if (pendingStops.get(robotId) !== pending) return;
+
+    if (message === null) {
+        pendingStops.delete(robotId);
+        console.log(`✅ [Geofence] ${robotId} 越界自动停车已执行 (第 ${pending.attempts} 次尝试)`);
+        if (pending.alert) await alerts.resolve(pending.alert, '自动停车已执行');
+        return;
+    }
+
+    console.error(`[Geofence] ${robotId} 越界自动停车失败 (第 ${pending.attempts} 次)，${STOP_RETRY_INTERVAL}ms 后重试:`, message);
+    if (!pending.alert) {
+        pending.alert = await alerts.raise(robotId, STOP_KEY, {
+            type: 'geofence',
+            level: 'critical',
+            message: `${robotId} 越界自动停车失败: ${message}`,
+            geofenceId: null,
+            geofenceIds: pending.geofences.map(geofence => geofence.id)
+        });
+    }
+    pending.timer = setTimeout(() => {
+        attemptStop(robotId).catch((error) => {
+            console.error(`[Geofence] ${robotId} 越界自动停车重试失败:`, error.message);
+        });
+    }, STOP_RETRY_INTERVAL);
+}
+
+/**
+ * 取消自动停车重试（机器人已回到安全区域）
+ * @param {string} robotId - 机器人ID
+ * @param {string} reason - 恢复「自动停车失败」告警的原因
+ */
+async function cancelStop(robotId, reason) {
+    const pending = pendingStops.get(robotId);
+    if (!pending) return;
+
+    clearTimeout(pending.timer);
+    pendingStops.delete(robotId);
+    if (pending.alert) await alerts.resolve(pending.alert, reason);
+}
+
+// ============================================================
+// 越界检测
+// ============================================================
+
+/**
+ * 触发越界告警
+ * @param {string} robotId - 机器人ID
+ * @param {string} key - 告警 key
+ * @param {Object} breach - { message, geofenceId, geofenceIds }
+ * @param {Object} coordinates - 机器人坐标
+ */
+async function raise(robotId, key, { message, geofenceId, geofenceIds }, coordinates) {
+    const alert = await alerts.raise(robotId, key, {
+        type: 'geofence',
+        level: 'critical',
+        message,
+        geofenceId,
+        geofenceIds,
+        coordinates: { lat: coordinates.lat, lon: coordinates.lon }
+    });
+    breaches.set(`${robotId}:${key}`, alert);
+}
+
+/**
+ * 恢复越界告警
+ * @param {Object} alert - 越界告警
+ * @param {string} reason - 恢复原因
+ */
+async function resolve(alert, reason) {
+    breaches.delete(`${alert.robotId}:${alert.key}`);
+    await alerts.resolve(alert, reason);
+}
+
+/**
+ * 用机器人坐标检查适用的已启用围栏
+ * 已停用、已不适用的围栏上的越界直接恢复；新越界的围栏开启 autoStop 时自动停车
+ * @param {string} robotId - 机器人ID
+ * @param {Object} coordinates - 机器人坐标 { lat, lon }
+ */
+async function check(robotId, coordinates) {
+    const active = (await geofences.list({ robotId })).filter(geofence => geofence.enabled);
+    const allowed = active.filter(geofence => geofence.type === 'allowed');
+    const keys = new Set();
+    const stopFor = [];
+
+    for (const geofence of active.filter(item => item.type === 'keepout')) {
+        const key = `geofence-${geofence.id}`;
+        const breached = geo.containsPoint(ringsOf(geofence), coordinates);
+        const alert = breaches.get(`${robotId}:${key}`);
+        keys.add(key);
+
+        if (breached && !alert) {
+            await raise(robotId, key, {
+                message: `${robotId} 已进入禁入区域「${geofence.name}」`,
+                geofenceId: geofence.id,
+                geofenceIds: [geofence.id]
+            }, coordinates);
+            if (geofence.autoStop) stopFor.push(geofence);
+        }
+        if (!breached && alert) await resolve(alert, '已回到安全区域');
+    }
+
+    // 允许区域合并检查: 在任意一个允许区域内即为安全
+    if (allowed.length > 0) {
+        const breached = !allowed.some(geofence => geo.containsPoint(ringsOf(geofence), coordinates));
+        const alert = breaches.get(`${robotId}:${ALLOWED_KEY}`);
+        keys.add(ALLOWED_KEY);
+
+        if (breached && !alert) {
+            await raise(robotId, ALLOWED_KEY, {
+                message: `${robotId} 已离开允许区域${namesOf(allowed)}`,
+                geofenceId: null,
+                geofenceIds: allowed.map(geofence => geofence.id)
+            }, coordinates);
+            stopFor.push(...allowed.filter(geofence => geofence.autoStop));
+        }
+        if (!breached && alert) await resolve(alert, '已回到允许区域');
+    }
+
+    for (const alert of Array.from(breaches.values())) {
+        if (alert.robotId === robotId && !keys.has(alert.key)) {
+            await resolve(alert, '电子围栏已停用或不再适用');
+        }
+    }
+
+    if (stopFor.length > 0) {
+        console.warn(`🚨 [Geofence] ${robotId} 越过电子围栏${namesOf(stopFor)} (${coordinates.lat}, ${coordinates.lon})，自动停车`);
+        autoStop(robotId, stopFor).catch((error) => {
+            console.error(`[Geofence] ${robotId} 越界自动停车失败:`, error.message);
+        });
+    } else if (pendingStops.has(robotId) && !Array.from(breaches.values()).some(alert => alert.robotId === robotId)) {
+        await cancelStop(robotId, '已回到安全区域');
+    }
+}
+
+/**
+ * 接管上次运行遗留的未恢复越界告警，机器人下一次状态更新时重新检查
+ */
+async function restore() {
+    for (const alert of await alerts.listActive({ type: 'geofence' })) {
+        if (alert.key === STOP_KEY) {
+            const list = (await Promise.all(idsOf(alert).map(id => geofences.get(id)))).filter(Boolean);
+            pendingStops.set(alert.robotId, { geofences: list, attempts: 0, running: false, timer: null, alert });
+            console.warn(`[Geofence] ${alert.robotId} 上次运行的越界自动停车未成功，继续重试`);
+            await attemptStop(alert.robotId);
+        } else {
+            // 旧版本按单个允许区域记录的越界告警 key 不在当前检查范围内，下一次状态更新时恢复
+            breaches.set(`${alert.robotId}:${alert.key}`, alert);
+        }
+    }
+}
+
+/**
+ * 处理数据层更新事件，只关注带坐标的状态更新
+ * @param {Object} event - { robotId, channel, data }
+ */
+function onUpdate({ robotId, channel, data: status }) {
+    if (channel !== 'status' || !status || !geo.isCoordinate(status.coordinates)) return;
+
+    checking = checking
+        .then(() => check(robotId, status.coordinates))
+        .catch((error) => {
+            console.error(`[Geofence] 检查 ${robotId} 的电子围栏失败:`, error.message);
+        });
+}
+
+/**
+ * 开始检测
+ */
+function start() {
+    checking = checking.then(restore).catch((error) => {
+        console.error('[Geofence] 读取未恢复的越界告警失败:', error.message);
+    });
+    offUpdate = events.onUpdate(onUpdate);
+    console.log('[Geofence] 电子围栏检测已启动');
+}
+
+/**
+ * 停止检测
+ */
+function stop() {
+    if (offUpdate) offUpdate();
+    offUpdate = null;
+
+    // 未成功的自动停车保留「自动停车失败」告警，下次启动时继续重试
+    pendingStops.forEach(pending => clearTimeout(pending.timer));
+    pendingStops.clear();
+}
+
+module.exports = {
+    start,
+    stop,
+    create,
+    update,
+    remove,
+    describe
+};
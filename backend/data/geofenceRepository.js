@@ -0,0 +1,173 @@
+/**
+ * 电子围栏仓库模块
+ *
+ * 功能描述:
+ * - 持久化保存电子围栏（农场边界等允许区域、水塘道路等禁入区域），服务重启后不丢失
+ * - 围栏ID全局单调递增，删除后不会复用
+ * - 围栏的校验和越界检测由 data/geofence.js 负责
+ *
+ * 围栏类型:
+ *   allowed  允许区域，机器人离开时告警
+ *   keepout  禁入区域，机器人进入时告警
+ *
+ * 存储格式 (storage/geofences.json，整体原子写入):
+ * {
+ *   "version": 1,
+ *   "nextId": 3,
+ *   "geofences": [
+ *     { "id": 1, "name": "农场边界", "type": "allowed",
+ *       "boundary": { "type": "Polygon", "coordinates": [[[116.398, 40.195], [116.401, 40.195], [116.401, 40.198], [116.398, 40.198], [116.398, 40.195]]] },
+ *       "robotIds": null,                                        // 适用的机器人，null 为全部
+ *       "autoStop": true,                                        // 越界时自动发送 stop
+ *       "enabled": true,
+ *       "createdAt": 1769737700000, "updatedAt": 1769737700000 }
+ *   ]
+ * }
+ *
+ * 文件路径: backend/data/geofenceRepository.js
+ */
+
+const storage = require('./storage');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 1;
+
+/**
+ * 围栏类型 -> 中文名称
+ */
+const TYPES = {
+    allowed: '允许区域',
+    keepout: '禁入区域'
+};
+
+/**
+ * 可修改的字段
+ */
+const FIELDS = ['name', 'type', 'boundary', 'robotIds', 'autoStop', 'enabled'];
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 电子围栏仓库 (storage/geofences.json)，加载与保存见 storage.createJsonRepository
+ */
+const repository = storage.createJsonRepository('geofences.json', () => ({ version: VERSION, nextId: 1, geofences: [] }), {
+    tag: 'Geofences',
+    label: '电子围栏仓库',
+    version: VERSION,
+    collection: 'geofences',
+    summary: data => `${data.geofences.length} 个围栏`
+});
+
+const { getStore, save, close } = repository;
+
+/**
+ * 加载电子围栏仓库
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+const init = () => repository.load();
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 查询电子围栏
+ * @param {Object} filter - { robotId? }，指定时只返回适用于该机器人的围栏
+ * @returns {Promise<Array>} 电子围栏数组，按ID升序
+ */
+async function list({ robotId } = {}) {
+    const { geofences } = await getStore();
+    return geofences.filter(geofence => !robotId || !geofence.robotIds || geofence.robotIds.includes(robotId));
+}
+
+/**
+ * 获取单个电子围栏
+ * @param {number} geofenceId - 围栏ID
+ * @returns {Promise<Object|null>} 电子围栏，不存在时返回null
+ */
+async function get(geofenceId) {
+    const { geofences } = await getStore();
+    return geofences.find(geofence => geofence.id === geofenceId) || null;
+}
+
+/**
+ * 创建电子围栏
+ * @param {Object} geofenceData - { name, type, boundary, robotIds, autoStop, enabled }，已校验
+ * @returns {Promise<Object>} 创建的电子围栏
+ */
+async function create(geofenceData) {
+    const data = await getStore();
+    const now = Date.now();
+
+    const geofence = {
+        id: data.nextId++,
+        name: geofenceData.name,
+        type: geofenceData.type,
+        boundary: geofenceData.boundary,
+        robotIds: geofenceData.robotIds || null,
+        autoStop: Boolean(geofenceData.autoStop),
+        enabled: geofenceData.enabled !== false,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    data.geofences.push(geofence);
+    await save();
+
+    console.log(`🚧 [Geofences] 创建电子围栏 #${geofence.id}: ${geofence.name} (${TYPES[geofence.type]})`);
+    return geofence;
+}
+
+/**
+ * 更新电子围栏
+ * @param {number} geofenceId - 围栏ID
+ * @param {Object} updateData - FIELDS 中的任意字段，已校验
+ * @returns {Promise<Object|null>} 更新后的电子围栏，不存在时返回null
+ */
+async function update(geofenceId, updateData) {
+    const geofence = await get(geofenceId);
+    if (!geofence) return null;
+
+    FIELDS.forEach((key) => {
+        if (updateData[key] !== undefined) geofence[key] = updateData[key];
+    });
+    geofence.updatedAt = Date.now();
+
+    await save();
+
+    console.log(`📝 [Geofences] 更新电子围栏 #${geofenceId}: ${geofence.name}`);
+    return geofence;
+}
+
+/**
+ * 删除电子围栏
+ * @param {number} geofenceId - 围栏ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+async function remove(geofenceId) {
+    const data = await getStore();
+    const index = data.geofences.findIndex(geofence => geofence.id === geofenceId);
+    if (index === -1) return false;
+
+    data.geofences.splice(index, 1);
+    await save();
+
+    console.log(`🗑️ [Geofences] 删除电子围栏 #${geofenceId}`);
+    return true;
+}
+
+module.exports = {
+    TYPES,
+    init,
+    close,
+    list,
+    get,
+    create,
+    update,
+    remove
+};
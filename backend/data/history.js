@@ -0,0 +1,349 @@
+/**
+ * 遥测历史存储模块
+ *
+ * 功能描述:
+ * - 订阅数据层变更事件，把每个机器人状态、传感器样本追加到本地文件
+ * - 按机器人、数据类型、日期分文件存放，超过保留天数的文件自动删除
+ * - 按时间范围查询，并降采样为固定间隔的 min/max/avg 分桶；也可逐条读取原始样本（告警规则测试用）
+ *
+ * 存储格式 (NDJSON，每行一个样本):
+ *   storage/history/<robotId>/<kind>/YYYY-MM-DD.ndjson
+ *   {"t":1769737700000,"battery":85,"speed":1.2,"temperature":28,"lat":39.9042,"lon":116.4074}
+ *   日期按 UTC 划分
+ *
+ * 使用方式:
+ *   const history = require('./history');
+ *   history.start();                                  // 服务启动时
+ *   const options = history.parseQuery('status', req.query);
+ *   const result = await history.query('robot-001', 'status', options);
+ *   for await (const sample of history.samples('robot-001', 'sensors', from, to)) { ... }
+ *   await history.stop();                             // 服务退出时
+ *
+ * 文件路径: backend/data/history.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const config = require('../config');
+const events = require('./events');
+const fleet = require('./fleet');
+const storage = require('./storage');
+const { DAY, parseTime, parseDuration } = require('./time');
+
+const OPTIONS = config.history;
+
+/**
+ * 数据类型 -> 可记录的数值字段
+ * 数据类型与事件通道同名，状态中的 coordinates 展开为 lat/lon
+ */
+const KINDS = {
+    status: ['battery', 'speed', 'temperature', 'lat', 'lon'],
+    sensors: ['soilHumidity', 'soilTemp', 'light', 'airHumidity']
+};
+
+// 待写盘的样本: 文件路径 -> 行数组
+const pending = new Map();
+
+// 最近一次记录时间: `${robotId}/${kind}` -> 时间戳，用于 sampleInterval 限流
+const lastSampled = new Map();
+
+let flushTimer = null;
+let cleanupTimer = null;
+let offUpdate = null;
+
+// 当前写盘操作，查询和退出前等待其完成
+let flushing = Promise.resolve();
+
+// ============================================================
+// 工具函数
+// ============================================================
+
+/**
+ * 时间戳对应的日期 (UTC)
+ * @param {number} time - 时间戳
+ * @returns {string} YYYY-MM-DD
+ */
+const dayOf = time => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * 日文件路径
+ * @param {string} robotId - 机器人ID
+ * @param {string} kind - 数据类型
+ * @param {string} day - YYYY-MM-DD
+ * @returns {string} 文件路径
+ * @throws {Error} 机器人ID格式无效时抛出，防止ID中的 '..'、'/' 使路径超出存储目录
+ */
+function fileOf(robotId, kind, day) {
+    if (!fleet.isValidRobotId(robotId)) {
+        throw new Error(`机器人ID ${JSON.stringify(robotId)} 无效，不能用作存储路径`);
+    }
+    return storage.resolvePath('history', robotId, kind, `${day}.ndjson`);
+}
+
+/**
+ * 把数据展开为样本
+ * @param {string} kind - 数据类型
+ * @param {Object} data - 状态或传感器数据
+ * @param {number} time - 样本时间
+ * @returns {Object|null} { t, ...字段 }，没有数值字段时返回 null
+ */
+function toSample(kind, data, time) {
+    const flat = kind === 'status' && data.coordinates
+        ? { ...data, lat: data.coordinates.lat, lon: data.coordinates.lon }
+        : data;
+
+    const sample = { t: time };
+    let count = 0;
+
+    KINDS[kind].forEach((field) => {
+        if (typeof flat[field] === 'number' && Number.isFinite(flat[field])) {
+            sample[field] = flat[field];
+            count++;
+        }
+    });
+
+    return count > 0 ? sample : null;
+}
+
+// ============================================================
+// 写入
+// ============================================================
+
+/**
+ * 记录一条数据变更
+ * @param {Object} event - 变更事件 { robotId, channel, data, timestamp }
+ */
+function record({ robotId, channel, data, timestamp }) {
+    if (!KINDS[channel] || !data || !fleet.isValidRobotId(robotId)) return;
+
+    const key = `${robotId}/${channel}`;
+    if (OPTIONS.sampleInterval > 0 && timestamp - (lastSampled.get(key) || 0) < OPTIONS.sampleInterval) {
+        return;
+    }
+
+    const sample = toSample(channel, data, timestamp);
+    if (!sample) return;
+
+    lastSampled.set(key, timestamp);
+
+    const file = fileOf(robotId, channel, dayOf(timestamp));
+    if (!pending.has(file)) {
+        pending.set(file, []);
+    }
+    pending.get(file).push(JSON.stringify(sample));
+}
+
+/**
+ * 把缓存的样本追加到文件
+ * @returns {Promise<void>}
+ */
+function flush() {
+    flushing = flushing.then(async () => {
+        const batches = [...pending.entries()];
+        pending.clear();
+
+        for (const [file, lines] of batches) {
+            try {
+                await fs.promises.mkdir(path.dirname(file), { recursive: true });
+                await fs.promises.appendFile(file, lines.join('\n') + '\n');
+            } catch (error) {
+                console.error(`[History] 写入失败 ${file}:`, error.message);
+            }
+        }
+    });
+    return flushing;
+}
+
+/**
+ * 删除超过保留天数的日文件
+ */
+async function cleanup() {
+    if (!OPTIONS.retentionDays) return;
+
+    const oldest = dayOf(Date.now() - OPTIONS.retentionDays * DAY);
+    const root = storage.resolvePath('history');
+
+    let robots;
+    try {
+        robots = await fs.promises.readdir(root);
+    } catch (error) {
+        return;     // 尚未记录任何数据
+    }
+
+    for (const robotId of robots) {
+        for (const kind of Object.keys(KINDS)) {
+            const dir = storage.resolvePath('history', robotId, kind);
+            const files = await fs.promises.readdir(dir).catch(() => []);
+
+            for (const name of files) {
+                if (name.endsWith('.ndjson') && name.slice(0, 10) < oldest) {
+                    await fs.promises.unlink(path.join(dir, name)).catch(() => {});
+                    console.log(`[History] 已删除过期数据: ${robotId}/${kind}/${name}`);
+                }
+            }
+        }
+    }
+}
+
+// ============================================================
+// 查询
+// ============================================================
+
+/**
+ * 解析并校验查询参数
+ * @param {string} kind - 数据类型 'status' | 'sensors'
+ * @param {Object} query - 请求参数 { from?, to?, fields?, interval? }
+ * @returns {Object} { from, to, fields, interval }
+ * @throws {Error} 参数无效时抛出，错误信息可直接返回给客户端
+ */
+function parseQuery(kind, query) {
+    const to = query.to ? parseTime(query.to, 'to') : Date.now();
+    const from = query.from ? parseTime(query.from, 'from') : to - DAY;
+
+    if (from >= to) {
+        throw new Error('from 必须早于 to');
+    }
+
+    const fields = query.fields ? String(query.fields).split(',').map(s => s.trim()).filter(Boolean) : KINDS[kind];
+    const unknown = fields.filter(field => !KINDS[kind].includes(field));
+    if (unknown.length > 0) {
+        throw new Error(`未知的字段: ${unknown.join(', ')}，可选: ${KINDS[kind].join(', ')}`);
+    }
+
+    const interval = query.interval
+        ? parseDuration(query.interval, 'interval')
+        : Math.max(1000, Math.ceil((to - from) / OPTIONS.defaultBuckets));
+
+    const buckets = Math.ceil((to - from) / interval);
+    if (buckets > OPTIONS.maxBuckets) {
+        throw new Error(`分桶数量 ${buckets} 超过上限 ${OPTIONS.maxBuckets}，请增大 interval 或缩小时间范围`);
+    }
+
+    return { from, to, fields, interval };
+}
+
+/**
+ * 按时间顺序逐条读取时间范围内的原始样本
+ * @param {string} robotId - 机器人ID
+ * @param {string} kind - 数据类型 'status' | 'sensors'
+ * @param {number} from - 起始时间（含）
+ * @param {number} to - 结束时间（不含）
+ * @returns {AsyncGenerator<Object>} 样本 { t, ...字段 }
+ */
+async function* samples(robotId, kind, from, to) {
+    // 先把内存中的样本写盘，保证查询包含最新数据
+    await flush();
+
+    for (let day = Date.parse(dayOf(from)); day < to; day += DAY) {
+        const file = fileOf(robotId, kind, dayOf(day));
+        if (!fs.existsSync(file)) continue;
+
+        const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+        for await (const line of lines) {
+            let sample;
+            try {
+                sample = JSON.parse(line);
+            } catch (error) {
+                continue;   // 跳过写入中断产生的残行
+            }
+            if (sample.t >= from && sample.t < to) yield sample;
+        }
+    }
+}
+
+/**
+ * 按时间范围查询历史数据，降采样为分桶
+ * @param {string} robotId - 机器人ID
+ * @param {string} kind - 数据类型 'status' | 'sensors'
+ * @param {Object} options - parseQuery 的结果 { from, to, fields, interval }
+ * @returns {Promise<Object>} { robotId, kind, from, to, interval, fields, buckets }
+ *   buckets: [{ start, count, <字段>: { min, max, avg } }]，只返回有样本的分桶
+ */
+async function query(robotId, kind, { from, to, fields, interval }) {
+    const buckets = new Map();
+
+    for await (const sample of samples(robotId, kind, from, to)) {
+        const start = from + Math.floor((sample.t - from) / interval) * interval;
+        if (!buckets.has(start)) {
+            buckets.set(start, { start, count: 0, stats: {} });
+        }
+
+        const bucket = buckets.get(start);
+        bucket.count++;
+
+        fields.forEach((field) => {
+            const value = sample[field];
+            if (typeof value !== 'number') return;
+
+            const stat = bucket.stats[field] || (bucket.stats[field] = { min: value, max: value, sum: 0, n: 0 });
+            stat.min = Math.min(stat.min, value);
+            stat.max = Math.max(stat.max, value);
+            stat.sum += value;
+            stat.n++;
+        });
+    }
+
+    const result = [...buckets.values()]
+        .sort((a, b) => a.start - b.start)
+        .map(({ start, count, stats }) => {
+            const bucket = { start, count };
+            fields.forEach((field) => {
+                const stat = stats[field];
+                bucket[field] = stat
+                    ? { min: stat.min, max: stat.max, avg: Math.round(stat.sum / stat.n * 1000) / 1000 }
+                    : null;
+            });
+            return bucket;
+        });
+
+    return { robotId, kind, from, to, interval, fields, buckets: result };
+}
+
+// ============================================================
+// 服务管理
+// ============================================================
+
+/**
+ * 启动历史记录 - 订阅数据变更并定时写盘
+ */
+function start() {
+    if (!OPTIONS.enabled) {
+        console.log('[History] 历史记录未启用');
+        return;
+    }
+
+    offUpdate = events.onUpdate(record);
+    flushTimer = setInterval(flush, OPTIONS.flushInterval);
+
+    cleanup();
+    cleanupTimer = setInterval(cleanup, 60 * 60 * 1000);
+
+    console.log(`[History] 历史记录已启动: ${storage.resolvePath('history')}`);
+}
+
+/**
+ * 停止历史记录，并写入剩余样本
+ * @returns {Promise<void>}
+ */
+async function stop() {
+    if (!offUpdate) return;
+
+    offUpdate();
+    offUpdate = null;
+    clearInterval(flushTimer);
+    clearInterval(cleanupTimer);
+
+    await flush();
+}
+
+module.exports = {
+    KINDS,
+    start,
+    stop,
+    parseQuery,
+    query,
+    samples
+};
@@ -0,0 +1,230 @@
+/**
+ * 航线任务仓库模块
+ *
+ * 功能描述:
+ * - 持久化保存航线任务（按 GPS 航点自主行驶），服务重启后不丢失
+ * - 任务ID全局单调递增，删除后不会复用
+ * - 状态只能按生命周期转换，每次转换记入 history
+ * - 记录每个航点的到达时间，currentWaypoint 为正在前往的航点序号
+ * - 航线的上传、下发和位置跟踪由 data/missionRunner.js 负责
+ *
+ * 状态转换:
+ *   uploaded --start--> running --pause--> paused --resume--> running --complete--> completed
+ *   uploaded / running / paused --abort--> aborted
+ *   completed、aborted 为终止状态
+ *
+ * 存储格式 (storage/missions.json，整体原子写入):
+ * {
+ *   "version": 1,
+ *   "nextId": 2,
+ *   "missions": [
+ *     { "id": 1, "robotId": "robot-001", "name": "A区巡检", "status": "running",
+ *       "speed": 1.0,                                            // 默认速度 m/s，可为 null
+ *       "waypoints": [
+ *         { "lat": 40.2001, "lon": 116.4001, "speed": null, "action": null, "reachedAt": 1769737760000 },
+ *         { "lat": 40.2010, "lon": 116.4001, "speed": 0.5, "action": "scan", "reachedAt": null }
+ *       ],
+ *       "currentWaypoint": 1,
+ *       "createdAt": 1769737700000, "updatedAt": 1769737760000,
+ *       "history": [
+ *         { "from": null, "to": "uploaded", "at": 1769737700000, "actor": "admin" },
+ *         { "from": "uploaded", "to": "running", "at": 1769737710000, "actor": "admin" }
+ *       ] }
+ *   ]
+ * }
+ *
+ * 文件路径: backend/data/missionRepository.js
+ */
+
+const storage = require('./storage');
+const { createError } = require('./errors');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 1;
+
+/**
+ * 任务状态
+ */
+const STATUSES = ['uploaded', 'running', 'paused', 'completed', 'aborted'];
+
+/**
+ * 终止状态
+ */
+const FINAL_STATUSES = ['completed', 'aborted'];
+
+/**
+ * 操作 -> { from: 允许的当前状态, to: 目标状态 }
+ */
+const TRANSITIONS = {
+    start: { from: ['uploaded'], to: 'running' },
+    pause: { from: ['running'], to: 'paused' },
+    resume: { from: ['paused'], to: 'running' },
+    complete: { from: ['running'], to: 'completed' },
+    abort: { from: ['uploaded', 'running', 'paused'], to: 'aborted' }
+};
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 航线任务仓库 (storage/missions.json)，加载与保存见 storage.createJsonRepository
+ */
+const repository = storage.createJsonRepository('missions.json', () => ({ version: VERSION, nextId: 1, missions: [] }), {
+    tag: 'Missions',
+    label: '航线任务仓库',
+    version: VERSION,
+    collection: 'missions',
+    summary: data => `${data.missions.length} 个任务`
+});
+
+const { getStore, save, close } = repository;
+
+/**
+ * 加载航线任务仓库
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+const init = () => repository.load();
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 判断航线任务是否已结束
+ * @param {Object} mission - 航线任务
+ * @returns {boolean} 是否处于终止状态
+ */
+const isFinal = mission => FINAL_STATUSES.includes(mission.status);
+
+/**
+ * 查询航线任务
+ * @param {Object} filter - { robotId?, status? }
+ * @returns {Promise<Array>} 航线任务数组，按ID升序
+ */
+async function list({ robotId, status } = {}) {
+    const { missions } = await getStore();
+    return missions.filter(mission => (!robotId || mission.robotId === robotId) &&
+        (!status || mission.status === status));
+}
+
+/**
+ * 获取单个航线任务
+ * @param {number} missionId - 任务ID
+ * @returns {Promise<Object|null>} 航线任务，不存在时返回null
+ */
+async function get(missionId) {
+    const { missions } = await getStore();
+    return missions.find(mission => mission.id === missionId) || null;
+}
+
+/**
+ * 获取机器人未结束的航线任务（每台机器人最多一个）
+ * @param {string} robotId - 机器人ID
+ * @returns {Promise<Object|null>} 航线任务，没有时返回null
+ */
+async function findOpen(robotId) {
+    const { missions } = await getStore();
+    return missions.find(mission => mission.robotId === robotId && !isFinal(mission)) || null;
+}
+
+/**
+ * 创建航线任务，新任务处于 uploaded 状态
+ * @param {string} robotId - 机器人ID
+ * @param {Object} missionData - { name, speed, waypoints: [{ lat, lon, speed, action }] }，已校验
+ * @param {string} actor - 操作者
+ * @returns {Promise<Object>} 创建的航线任务
+ */
+async function create(robotId, missionData, actor = 'system') {
+    const data = await getStore();
+    const now = Date.now();
+
+    const mission = {
+        id: data.nextId++,
+        robotId,
+        name: missionData.name,
+        status: 'uploaded',
+        speed: missionData.speed,
+        waypoints: missionData.waypoints.map(waypoint => ({ ...waypoint, reachedAt: null })),
+        currentWaypoint: 0,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ from: null, to: 'uploaded', at: now, actor }]
+    };
+
+    data.missions.push(mission);
+    await save();
+
+    console.log(`🗺️ [Missions] 创建航线任务 #${mission.id} (${robotId}): ${mission.name}，${mission.waypoints.length} 个航点`);
+    return mission;
+}
+
+/**
+ * 执行航线任务状态转换
+ * @param {number} missionId - 任务ID
+ * @param {string} action - 操作 start | pause | resume | complete | abort
+ * @param {Object} options - { actor, reason? }
+ * @returns {Promise<Object|null>} 转换后的航线任务，不存在时返回null
+ * @throws {Error} 操作未知 (status 400) 或当前状态不允许 (status 409) 时抛出
+ */
+async function transition(missionId, action, { actor = 'system', reason } = {}) {
+    const mission = await get(missionId);
+    if (!mission) return null;
+
+    const rule = TRANSITIONS[action];
+    if (!rule) {
+        throw createError(`未知的航线任务操作: ${action}，可选: ${Object.keys(TRANSITIONS).join(', ')}`, 400);
+    }
+    if (!rule.from.includes(mission.status)) {
+        throw createError(`航线任务 #${missionId} 当前状态为 ${mission.status}，不能执行 ${action}`, 409);
+    }
+
+    const from = mission.status;
+    const now = Date.now();
+
+    mission.status = rule.to;
+    mission.updatedAt = now;
+    mission.history.push(reason ? { from, to: rule.to, at: now, actor, reason } : { from, to: rule.to, at: now, actor });
+
+    await save();
+
+    console.log(`🔄 [Missions] 航线任务 #${missionId} (${mission.robotId}): ${from} -> ${rule.to} (${actor})`);
+    return mission;
+}
+
+/**
+ * 记录到达航点，前往下一个航点
+ * @param {number} missionId - 任务ID
+ * @param {number} index - 到达的航点序号
+ * @returns {Promise<Object|null>} 更新后的航线任务，不存在时返回null
+ */
+async function reachWaypoint(missionId, index) {
+    const mission = await get(missionId);
+    if (!mission) return null;
+
+    const now = Date.now();
+    mission.waypoints[index].reachedAt = now;
+    mission.currentWaypoint = index + 1;
+    mission.updatedAt = now;
+
+    await save();
+
+    console.log(`📍 [Missions] 航线任务 #${missionId} (${mission.robotId}) 到达航点 ${index + 1}/${mission.waypoints.length}`);
+    return mission;
+}
+
+module.exports = {
+    STATUSES,
+    init,
+    close,
+    isFinal,
+    list,
+    get,
+    findOpen,
+    create,
+    transition,
+    reachWaypoint
+};
@@ -0,0 +1,361 @@
+/**
+ * 航线任务执行模块
+ *
+ * 功能描述:
+ * - 校验航点（航点数组或 GeoJSON LineString），创建航线任务后通过控制通道上传给机器人
+ * - 航线任务状态转换时向机器人下发 start / pause / resume / abort，上传或启动失败时任务中止
+ * - 急停锁定期间不能开始或继续航线任务 (data/safety.js)
+ * - 订阅数据层的状态更新事件，机器人每次上报坐标时与进行中任务的航点比较:
+ *   距当前航点小于 arrivalRadius 时记为到达并前往下一个航点，到达最后一个航点时任务完成
+ * - 返回的任务带 tracking 字段: 当前航段、到当前航点的距离、剩余距离
+ *
+ * 航线消息 (通过控制通道下发，格式见 MQTT接口文档 第 5 节):
+ *   { type: 'mission', mission: 'upload', missionId, speed?, waypoints: [{ lat, lon, speed?, action? }], id }
+ *   { type: 'mission', mission: 'start' | 'pause' | 'resume' | 'abort', missionId, id }
+ *
+ * 使用方式:
+ *   const runner = require('./missionRunner');
+ *   runner.start();                                         // 服务启动时订阅状态更新，开始位置跟踪
+ *   const { mission } = await runner.create('robot-001', { name: 'A区巡检', waypoints }, 'admin');
+ *   await runner.transition(mission.id, 'start', { actor: 'admin' });
+ *   runner.stop();                                          // 服务退出时
+ *
+ * 文件路径: backend/data/missionRunner.js
+ */
+
+const config = require('../config');
+const data = require('./dataSource');
+const events = require('./events');
+const geo = require('./geo');
+const { createError } = require('./errors');
+const missions = require('./missionRepository');
+const motion = require('./motion');
+const safety = require('./safety');
+const { ACTIONS } = require('./constants');
+
+const OPTIONS = config.missions;
+
+/**
+ * 可通过接口执行的操作，complete 由位置跟踪触发
+ */
+const OPERATIONS = ['start', 'pause', 'resume', 'abort'];
+
+/**
+ * 需要机器人行驶的操作，下发失败时任务中止
+ */
+const DRIVE_OPERATIONS = ['start', 'resume'];
+
+// 最近一次位置: missionId -> { position, updatedAt }
+const positions = new Map();
+
+// 检查按顺序执行，避免同一机器人的两次状态更新交错
+let checking = Promise.resolve();
+
+let offUpdate = null;
+
+// ============================================================
+// 航点校验
+// ============================================================
+
+/**
+ * 校验速度
+ * @param {*} value - 速度
+ * @param {string} field - 字段名
+ * @param {number} maxSpeed - 机器人最大速度
+ * @returns {number|null} 速度，未提供时为 null
+ * @throws {Error} 速度无效时抛出 (status 400)
+ */
+function parseSpeed(value, field, maxSpeed) {
+    if (value === undefined || value === null) return null;
+
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0 || value > maxSpeed) {
+        throw createError(`${field}: 速度必须是大于 0、不超过 ${maxSpeed} m/s 的数字`, 400);
+    }
+    return value;
+}
+
+/**
+ * 校验航点作业
+ * @param {*} value - 作业代码
+ * @param {string} field - 字段名
+ * @returns {string|null} 作业代码，未提供时为 null
+ * @throws {Error} 作业未知时抛出 (status 400)
+ */
+function parseAction(value, field) {
+    if (value === undefined || value === null) return null;
+
+    if (!ACTIONS[value]) {
+        throw createError(`${field}: 未知的作业 ${value}，可选: ${Object.keys(ACTIONS).join(', ')}`, 400);
+    }
+    return value;
+}
+
+/**
+ * 解析请求中的航线
+ * waypoints 与 path 二选一:
+ *   waypoints: [{ lat, lon, speed?, action? }]
+ *   path: GeoJSON LineString（或其 Feature），可配合 legs: [{ speed?, action? }] 按序号指定各航点的速度和作业
+ * 航点的 speed 为驶向该航点的航段速度，action 为到达后执行的作业
+ * @param {string} robotId - 机器人ID，用于读取运动上限
+ * @param {Object} body - 请求体 { name?, speed?, waypoints? | path?, legs? }
+ * @returns {Object} { name, speed, waypoints: [{ lat, lon, speed, action }] }
+ * @throws {Error} 航线无效时抛出 (status 400)，信息以字段名开头
+ */
+function parseMission(robotId, body) {
+    const { maxSpeed } = motion.getLimits(robotId);
+    const { name, waypoints, path, legs } = body;
+
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        throw createError('name: 必须是非空字符串', 400);
+    }
+    if ((waypoints === undefined) === (path === undefined)) {
+        throw createError('waypoints, path: 必须提供航点数组 waypoints 或 GeoJSON LineString path 之一', 400);
+    }
+    if (legs !== undefined && (path === undefined || !Array.isArray(legs))) {
+        throw createError('legs: 只能与 path 一起使用，且必须是数组', 400);
+    }
+
+    let points;
+    if (path !== undefined) {
+        points = geo.parseLineString(path, 'path').map((point, index) => ({ ...point, ...(legs && legs[index]) }));
+    } else {
+        if (!Array.isArray(waypoints)) {
+            throw createError('waypoints: 必须是数组', 400);
+        }
+        points = waypoints;
+    }
+
+    const field = path !== undefined ? 'legs' : 'waypoints';
+    if (points.length === 0 || points.length > OPTIONS.maxWaypoints) {
+        throw createError(`${path !== undefined ? 'path' : 'waypoints'}: 航点数量必须为 1-${OPTIONS.maxWaypoints} 个`, 400);
+    }
+    if (legs && legs.length > points.length) {
+        throw createError(`legs: 数量 (${legs.length}) 超过航点数量 (${points.length})`, 400);
+    }
+
+    return {
+        name: name ? name.trim() : `航线任务 (${points.length} 个航点)`,
+        speed: parseSpeed(body.speed, 'speed', maxSpeed),
+        waypoints: points.map((point, index) => {
+            if (!geo.isCoordinate(point)) {
+                throw createError(`waypoints[${index}]: 必须包含 lat (±90) 和 lon (±180)`, 400);
+            }
+            return {
+                lat: point.lat,
+                lon: point.lon,
+                speed: parseSpeed(point.speed, `${field}[${index}].speed`, maxSpeed),
+                action: parseAction(point.action, `${field}[${index}].action`)
+            };
+        })
+    };
+}
+
+// ============================================================
+// 对外表示
+// ============================================================
+
+/**
+ * 距离保留一位小数
+ * @param {number|null} meters - 距离（米）
+ * @returns {number|null} 距离
+ */
+const round = meters => (meters === null ? null : Math.round(meters * 10) / 10);
+
+/**
+ * 航线任务的对外表示，附带跟踪信息
+ * @param {Object} mission - 航线任务
+ * @returns {Object} 航线任务 + tracking: { currentLeg, waypointsReached, totalWaypoints, totalDistance,
+ *   distanceToWaypoint, remainingDistance, position, updatedAt }
+ *   currentLeg 为正在驶向的航点序号（从 0 开始），结束后为 null；
+ *   没有收到过坐标时 position、distanceToWaypoint 为 null，remainingDistance 不含驶向当前航点的距离
+ */
+function describe(mission) {
+    const { waypoints, currentWaypoint } = mission;
+    const last = positions.get(mission.id) || { position: null, updatedAt: null };
+    const target = missions.isFinal(mission) ? null : waypoints[currentWaypoint];
+
+    const distanceToWaypoint = target && last.position ? geo.distance(last.position, target) : null;
+    const remainingDistance = mission.status === 'completed'
+        ? 0
+        : geo.pathLength(waypoints.slice(currentWaypoint)) + (distanceToWaypoint || 0);
+
+    return {
+        ...mission,
+        tracking: {
+            currentLeg: target ? currentWaypoint : null,
+            waypointsReached: waypoints.filter(waypoint => waypoint.reachedAt !== null).length,
+            totalWaypoints: waypoints.length,
+            totalDistance: round(geo.pathLength(waypoints)),
+            distanceToWaypoint: round(distanceToWaypoint),
+            remainingDistance: round(remainingDistance),
+            position: last.position,
+            updatedAt: last.updatedAt
+        }
+    };
+}
+
+// ============================================================
+// 上传与状态转换
+// ============================================================
+
+/**
+ * 上传给机器人的航线，省略未设置的速度和作业
+ * @param {Object} mission - 航线任务
+ * @returns {Object} { missionId, speed?, waypoints: [{ lat, lon, speed?, action? }] }
+ */
+const uploadPayload = mission => ({
+    missionId: mission.id,
+    ...(mission.speed !== null && { speed: mission.speed }),
+    waypoints: mission.waypoints.map(({ lat, lon, speed, action }) => ({
+        lat,
+        lon,
+        ...(speed !== null && { speed }),
+        ...(action !== null && { action })
+    }))
+});
+
+/**
+ * 创建航线任务并上传给机器人，上传失败时任务中止
+ * 每台机器人同一时间只能有一个未结束的航线任务
+ * @param {string} robotId - 机器人ID
+ * @param {Object} body - 请求体，格式见 parseMission
+ * @param {string} actor - 操作者
+ * @returns {Promise<Object>} { mission, dispatch }
+ * @throws {Error} 航线无效 (status 400) 或机器人已有未结束的航线任务 (status 409) 时抛出
+ */
+async function create(robotId, body, actor) {
+    const missionData = parseMission(robotId, body);
+
+    const open = await missions.findOpen(robotId);
+    if (open) {
+        throw createError(`机器人 ${robotId} 已有未结束的航线任务 #${open.id} (${open.status})，请先中止`, 409);
+    }
+
+    let mission = await missions.create(robotId, missionData, actor);
+    const dispatch = await data.handleMission(robotId, 'upload', uploadPayload(mission));
+
+    if (!dispatch.executed) {
+        mission = await missions.transition(mission.id, 'abort', {
+            actor: 'system',
+            reason: `航线上传失败: ${dispatch.message}`
+        });
+    }
+
+    return { mission: describe(mission), dispatch };
+}
+
+/**
+ * 改变航线任务状态，并向机器人下发对应操作
+ * @param {number} missionId - 任务ID
+ * @param {string} action - 操作 start | pause | resume | abort
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object|null>} { mission, dispatch }，任务不存在时返回null
+ * @throws {Error} 操作未知 (status 400)、当前状态不允许 (status 409) 或急停锁定中开始任务 (status 423) 时抛出
+ */
+async function transition(missionId, action, options) {
+    if (!OPERATIONS.includes(action)) {
+        throw createError(`未知的航线任务操作: ${action}，可选: ${OPERATIONS.join(', ')}`, 400);
+    }
+
+    let mission = await missions.get(missionId);
+    if (!mission) return null;
+
+    const { robotId } = mission;
+    if (DRIVE_OPERATIONS.includes(action)) {
+        await safety.assertClear(robotId, `航线任务 #${missionId} ${action}`);
+    }
+
+    mission = await missions.transition(missionId, action, options);
+    const dispatch = await data.handleMission(robotId, action, { missionId });
+
+    if (!dispatch.executed && DRIVE_OPERATIONS.includes(action)) {
+        mission = await missions.transition(missionId, 'abort', {
+            actor: 'system',
+            reason: `航线下发失败: ${dispatch.message}`
+        });
+    } else if (!dispatch.executed) {
+        console.warn(`[MissionRunner] 航线任务 #${missionId} ${action} 下发失败:`, dispatch.message);
+    }
+
+    return { mission: describe(mission), dispatch };
+}
+
+// ============================================================
+// 位置跟踪
+// ============================================================
+
+/**
+ * 用机器人当前坐标更新进行中的航线任务
+ * 可能一次到达多个相近的航点，到达最后一个航点时任务完成
+ * @param {Object} mission - 进行中的航线任务
+ * @param {Object} position - 机器人坐标 { lat, lon }
+ */
+async function track(mission, position) {
+    positions.set(mission.id, { position: { lat: position.lat, lon: position.lon }, updatedAt: Date.now() });
+
+    let current = mission;
+    while (current.currentWaypoint < current.waypoints.length &&
+        geo.distance(position, current.waypoints[current.currentWaypoint]) <= OPTIONS.arrivalRadius) {
+        current = await missions.reachWaypoint(current.id, current.currentWaypoint);
+    }
+
+    if (current.currentWaypoint >= current.waypoints.length) {
+        await missions.transition(current.id, 'complete', { actor: current.robotId, reason: '已到达最后一个航点' });
+        console.log(`🏁 [MissionRunner] 航线任务 #${current.id} (${current.robotId}) 已完成`);
+    }
+}
+
+/**
+ * 用机器人上报的坐标检查它进行中的航线任务
+ * @param {string} robotId - 机器人ID
+ * @param {Object} coordinates - { lat, lon }
+ */
+async function check(robotId, coordinates) {
+    for (const mission of await missions.list({ robotId, status: 'running' })) {
+        try {
+            await track(mission, coordinates);
+        } catch (error) {
+            console.error(`[MissionRunner] 跟踪航线任务 #${mission.id} 失败:`, error.message);
+        }
+    }
+}
+
+/**
+ * 处理数据层更新事件，只关注带坐标的状态更新
+ * 每个坐标都参与比较，短暂经过航点也能记为到达
+ * @param {Object} event - { robotId, channel, data }
+ */
+function onUpdate({ robotId, channel, data: status }) {
+    if (channel !== 'status' || !status || !geo.isCoordinate(status.coordinates)) return;
+
+    checking = checking
+        .then(() => check(robotId, status.coordinates))
+        .catch((error) => {
+            console.error(`[MissionRunner] 检查 ${robotId} 的航线任务失败:`, error.message);
+        });
+}
+
+/**
+ * 启动位置跟踪
+ */
+function start() {
+    offUpdate = events.onUpdate(onUpdate);
+    console.log(`[MissionRunner] 航线任务位置跟踪已启动 (到达半径 ${OPTIONS.arrivalRadius}m)`);
+}
+
+/**
+ * 停止位置跟踪
+ */
+function stop() {
+    if (offUpdate) offUpdate();
+    offUpdate = null;
+}
+
+module.exports = {
+    OPERATIONS,
+    start,
+    stop,
+    create,
+    transition,
+    describe
+};
@@ -0,0 +1,129 @@
+/**
+ * 运动参数模块
+ *
+ * 功能描述:
+ * - 方向指令可带运动参数: speed 速度、durationMs 持续时间、distance 距离、angle 转向角度
+ * - 按机器人的运动上限校验参数，上限为 config.motion.limits，可被 fleet.robots[].limits 覆盖
+ * - 校验通过的参数随指令一起下发，并记录在指令状态中
+ *
+ * 参数规则:
+ *   speed       0 < speed <= maxSpeed（米/秒），前进/后退/转向可用
+ *   durationMs  0 < durationMs <= maxDurationMs 的整数（毫秒），前进/后退/转向可用
+ *   distance    0 < distance <= maxDistance（米），只用于前进/后退
+ *   angle       0 < angle <= maxAngle（度），只用于左转/右转
+ *   durationMs / distance / angle 为指令的结束条件，最多指定一个；都不指定时持续运动直到 stop
+ *   stop 不带参数
+ *
+ * 使用方式:
+ *   const motion = require('./motion');
+ *   const params = motion.pickParams(req.body);                 // { speed: 0.5, durationMs: 3000 }
+ *   motion.validate('robot-001', 'forward', params);            // [{ field: 'speed', message: 'speed: ...' }]，合法时为 []
+ *   motion.describeParams(params);                              // '速度 0.5 m/s，时长 3000 ms'
+ *
+ * 文件路径: backend/data/motion.js
+ */
+
+const config = require('../config');
+const fleet = require('./fleet');
+const { MOTION_PARAMS } = require('./constants');
+
+/**
+ * 参数 -> 对应的上限字段
+ */
+const LIMIT_KEYS = {
+    speed: 'maxSpeed',
+    durationMs: 'maxDurationMs',
+    distance: 'maxDistance',
+    angle: 'maxAngle'
+};
+
+/**
+ * 指令的结束条件，最多指定一个
+ */
+const STOP_CONDITIONS = ['durationMs', 'distance', 'angle'];
+
+/**
+ * 获取机器人的运动上限
+ * @param {string} robotId - 机器人ID
+ * @returns {Object} { maxSpeed, maxDurationMs, maxDistance, maxAngle }
+ */
+function getLimits(robotId) {
+    const robot = fleet.getRobot(robotId);
+    return { ...config.motion.limits, ...(robot && robot.limits) };
+}
+
+/**
+ * 从请求中取出运动参数（只保留提供了的参数）
+ * @param {Object} body - 请求体或 WebSocket 消息
+ * @returns {Object} 运动参数 { speed?, durationMs?, distance?, angle? }
+ */
+function pickParams(body) {
+    const params = {};
+
+    Object.keys(MOTION_PARAMS).forEach((key) => {
+        if (body[key] !== undefined) params[key] = body[key];
+    });
+    return params;
+}
+
+/**
+ * 校验单个运动参数
+ * @param {string} robotId - 机器人ID
+ * @param {string} command - 方向指令
+ * @param {string} key - 参数名
+ * @param {*} value - 参数值
+ * @param {Object} limits - 机器人的运动上限
+ * @returns {string|null} 错误信息（不含字段名），合法时为 null
+ */
+function checkParam(robotId, command, key, value, limits) {
+    const { name, unit, commands } = MOTION_PARAMS[key];
+    const max = limits[LIMIT_KEYS[key]];
+
+    if (!commands.includes(command)) return `${name}参数不适用于指令 ${command}`;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) return `${name}必须是大于 0 的数字`;
+    if (key === 'durationMs' && !Number.isInteger(value)) return `${name}必须是整数毫秒`;
+    if (value > max) return `${name}不能超过机器人 ${robotId} 的上限 ${max} ${unit}`;
+    return null;
+}
+
+/**
+ * 校验方向指令的运动参数
+ * 错误格式与请求体校验 (data/schema.js) 相同，控制接口以 errors 数组返回
+ * @param {string} robotId - 机器人ID
+ * @param {string} command - 方向指令
+ * @param {Object} params - 运动参数
+ * @returns {Array<Object>} 错误列表 [{ field, message }]，message 以字段名开头；合法时为空数组
+ */
+function validate(robotId, command, params) {
+    const limits = getLimits(robotId);
+    const errors = [];
+
+    Object.entries(params).forEach(([key, value]) => {
+        const message = checkParam(robotId, command, key, value, limits);
+        if (message) errors.push({ field: key, message: `${key}: ${message}` });
+    });
+
+    const conditions = STOP_CONDITIONS.filter(key => params[key] !== undefined);
+    if (conditions.length > 1) {
+        conditions.forEach((key) => {
+            errors.push({ field: key, message: `${key}: 只能指定一个结束条件 (已指定 ${conditions.join(', ')})` });
+        });
+    }
+    return errors;
+}
+
+/**
+ * 运动参数的中文描述，用于日志和结果消息
+ * @param {Object} params - 运动参数
+ * @returns {string} 如 '速度 0.5 m/s，时长 3000 ms'，无参数时为空字符串
+ */
+const describeParams = params => Object.entries(params)
+    .map(([key, value]) => `${MOTION_PARAMS[key].name} ${value} ${MOTION_PARAMS[key].unit}`)
+    .join('，');
+
+module.exports = {
+    getLimits,
+    pickParams,
+    validate,
+    describeParams
+};
@@ -0,0 +1,168 @@
+/**
+ * 告警通知投递记录仓库模块
+ *
+ * 功能描述:
+ * - 持久化保存每条告警在每个通知渠道上的投递记录，服务重启后仍可查询，未完成的投递继续重试
+ * - 超过 config.notifications.historyLimit 条时删除最早的已完成记录
+ * - 通知的路由、限流和重试由 data/notifications.js 负责
+ *
+ * 投递状态:
+ *   pending  待发送（含等待重试）
+ *   sent     已发送
+ *   failed   重试后仍失败
+ *   skipped  未发送，reason 为原因（静默时段、限流等）
+ *
+ * 存储格式 (storage/notifications.json，整体原子写入):
+ * {
+ *   "version": 1,
+ *   "nextId": 3,
+ *   "deliveries": [
+ *     { "id": 1, "alertId": 12, "robotId": "robot-001", "key": "rule-1", "level": "critical",
+ *       "event": "raised",                                       // raised 触发 / resolved 恢复
+ *       "channel": "email", "state": "sent", "attempts": 2,
+ *       "lastError": "SMTP 服务器响应超时 (10000ms)", "reason": null,
+ *       "createdAt": 1769737886100, "updatedAt": 1769737891300, "sentAt": 1769737891300 }
+ *   ]
+ * }
+ *
+ * 文件路径: backend/data/notificationRepository.js
+ */
+
+const config = require('../config');
+const storage = require('./storage');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 1;
+
+/**
+ * 投递状态 -> 中文名称
+ */
+const STATES = {
+    pending: '待发送',
+    sent: '已发送',
+    failed: '发送失败',
+    skipped: '未发送'
+};
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 投递记录仓库 (storage/notifications.json)，加载与保存见 storage.createJsonRepository
+ */
+const repository = storage.createJsonRepository('notifications.json', () => ({ version: VERSION, nextId: 1, deliveries: [] }), {
+    tag: 'Notifications',
+    label: '投递记录仓库',
+    version: VERSION,
+    collection: 'deliveries',
+    summary: data => `${data.deliveries.length} 条记录`
+});
+
+const { getStore, save, close } = repository;
+
+/**
+ * 加载投递记录仓库
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+const init = () => repository.load();
+
+/**
+ * 删除超出保留条数的最早的已完成记录
+ * @param {Object} data - 仓库数据
+ */
+function prune(data) {
+    const excess = data.deliveries.length - config.notifications.historyLimit;
+    if (excess <= 0) return;
+
+    let removed = 0;
+    data.deliveries = data.deliveries.filter((delivery) => {
+        if (removed >= excess || delivery.state === 'pending') return true;
+        removed++;
+        return false;
+    });
+}
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 查询投递记录
+ * @param {Object} filter - { alertId?, channel?, state?, robotId?, key?, event? }
+ * @returns {Promise<Array>} 投递记录数组，按ID升序
+ */
+async function list({ alertId, channel, state, robotId, key, event } = {}) {
+    const { deliveries } = await getStore();
+    return deliveries.filter(delivery =>
+        (alertId === undefined || delivery.alertId === alertId) &&
+        (!channel || delivery.channel === channel) &&
+        (!state || delivery.state === state) &&
+        (!robotId || delivery.robotId === robotId) &&
+        (!key || delivery.key === key) &&
+        (!event || delivery.event === event));
+}
+
+/**
+ * 创建投递记录
+ * @param {Object} deliveryData - { alertId, robotId, key, level, event, channel, state?, reason? }
+ * @returns {Promise<Object>} 创建的投递记录
+ */
+async function create(deliveryData) {
+    const data = await getStore();
+    const now = Date.now();
+
+    const delivery = {
+        id: data.nextId++,
+        alertId: deliveryData.alertId,
+        robotId: deliveryData.robotId,
+        key: deliveryData.key,
+        level: deliveryData.level,
+        event: deliveryData.event,
+        channel: deliveryData.channel,
+        state: deliveryData.state || 'pending',
+        attempts: 0,
+        lastError: null,
+        reason: deliveryData.reason || null,
+        createdAt: now,
+        updatedAt: now,
+        sentAt: null
+    };
+
+    data.deliveries.push(delivery);
+    prune(data);
+    await save();
+    return delivery;
+}
+
+/**
+ * 更新投递记录
+ * @param {number} deliveryId - 记录ID
+ * @param {Object} updateData - { state?, attempts?, lastError?, reason?, sentAt? }
+ * @returns {Promise<Object|null>} 更新后的记录，不存在时返回null
+ */
+async function update(deliveryId, updateData) {
+    const { deliveries } = await getStore();
+    const delivery = deliveries.find(item => item.id === deliveryId);
+    if (!delivery) return null;
+
+    ['state', 'attempts', 'lastError', 'reason', 'sentAt'].forEach((key) => {
+        if (updateData[key] !== undefined) delivery[key] = updateData[key];
+    });
+    delivery.updatedAt = Date.now();
+
+    await save();
+    return delivery;
+}
+
+module.exports = {
+    STATES,
+    init,
+    close,
+    list,
+    create,
+    update
+};
@@ -0,0 +1,553 @@
+/**
+ * 告警通知模块
+ *
+ * 功能描述:
+ * - 订阅告警事件 (events.onAlert)，告警触发、恢复时按配置推送到各通知渠道（webhook、邮件、钉钉、企业微信），
+ *   渠道的实现见 data/notifiers/，投递记录保存在 data/notificationRepository.js
+ * - 按级别路由: 渠道只接收 levels 中级别的告警；events 决定是否推送触发、恢复通知
+ * - 静默时段: config.notifications.quietHours 期间，其中级别的告警不推送（渠道 quietHours: false 时不受限制）
+ * - 限流: 同一渠道、同一机器人、同一告警键的触发通知在 throttleSeconds 秒内只推送一次，
+ *   遥测告警取规则的 throttleSeconds，未设置或其他告警取 config.notifications.throttleSeconds
+ * - 触发通知未推送（静默、限流、发送失败）的告警，恢复时也不推送恢复通知
+ * - 每个渠道按顺序逐条发送，失败后等待 retryDelay * 2^(n-1) 毫秒重试，最多 retries 次；
+ *   服务重启后继续发送未完成的投递
+ * - 被跳过的通知也会记录（state: skipped，reason 为原因），可按告警查询每个渠道的投递状态
+ *
+ * 使用方式:
+ *   const notifications = require('./notifications');
+ *   notifications.start();                               // 服务启动时订阅告警事件
+ *   await notifications.testChannel('ops');              // 向渠道发送测试消息
+ *   const { deliveries } = await notifications.forAlert(12);
+ *   notifications.stop();                                // 服务退出时
+ *
+ * 文件路径: backend/data/notifications.js
+ */
+
+const config = require('../config');
+const alerts = require('./alerts');
+const alertRepository = require('./alertRepository');
+const events = require('./events');
+const { createError } = require('./errors');
+const repository = require('./notificationRepository');
+const ruleRepository = require('./alertRuleRepository');
+const { createNotifier } = require('./notifiers');
+
+const OPTIONS = config.notifications;
+
+/**
+ * 通知事件 -> 中文名称；告警状态为 raised、resolved 时发送对应通知，确认告警不通知
+ */
+const EVENTS = {
+    raised: '触发',
+    resolved: '恢复'
+};
+
+/**
+ * 投递记录查询的默认条数和最大条数
+ */
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * 静默时段未配置 levels 时静默的级别，严重告警默认不静默，需要时在 levels 中明确列出
+ */
+const DEFAULT_QUIET_LEVELS = ['warning', 'info'];
+
+// 已创建的渠道: name -> notifier，见 data/notifiers/index.js
+const channels = new Map();
+
+// 每个渠道的发送队列: name -> Promise，保证同一渠道的通知按顺序发送
+const queues = new Map();
+
+// 最近一次推送触发通知的时间: `${channel}:${robotId}:${key}` -> 毫秒时间戳
+const lastRaised = new Map();
+
+// 等待重试的定时器 { timer, resolve }，停止时立即结束等待
+const timers = new Set();
+
+// 解析后的静默时段 { start, end, levels }，start、end 为当天的分钟数，未启用时为 null
+let quietHours = null;
+
+// 告警事件按顺序处理，保证同一告警的触发、恢复通知按顺序记录
+let dispatching = Promise.resolve();
+
+let offAlert = null;
+let stopped = true;
+
+// ============================================================
+// 工具函数
+// ============================================================
+
+/**
+ * 格式化时间
+ * @param {number} time - 毫秒时间戳
+ * @returns {string} 如 2026/1/30 10:31:26
+ */
+const formatTime = time => new Date(time).toLocaleString('zh-CN', { hour12: false });
+
+/**
+ * 限流键
+ * @param {string} channel - 渠道名称
+ * @param {string} robotId - 机器人ID
+ * @param {string} key - 告警键
+ * @returns {string} 限流键
+ */
+const throttleKeyOf = (channel, robotId, key) => `${channel}:${robotId}:${key}`;
+
+/**
+ * 等待一段时间，stop() 时提前结束
+ * @param {number} ms - 毫秒
+ * @returns {Promise<void>}
+ */
+function wait(ms) {
+    return new Promise((resolve) => {
+        const entry = { resolve };
+        entry.timer = setTimeout(() => {
+            timers.delete(entry);
+            resolve();
+        }, ms);
+        timers.add(entry);
+    });
+}
+
+// ============================================================
+// 配置解析
+// ============================================================
+
+/**
+ * 解析静默时段配置
+ * @param {Object|null} value - { start: 'HH:MM', end: 'HH:MM', levels? }，levels 默认为 warning、info
+ * @returns {Object|null} { start, end, levels }，start 晚于 end 时表示跨越午夜
+ * @throws {Error} 配置无效时抛出
+ */
+function parseQuietHours(value) {
+    if (!value) return null;
+
+    const minutesOf = (key) => {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(value[key] || '');
+        if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) {
+            throw new Error(`quietHours.${key} 必须是 HH:MM 格式的时间`);
+        }
+        return Number(match[1]) * 60 + Number(match[2]);
+    };
+
+    const levels = value.levels || DEFAULT_QUIET_LEVELS;
+    const unknown = [].concat(levels).filter(level => !alerts.LEVELS[level]);
+    if (unknown.length > 0) {
+        throw new Error(`quietHours.levels 包含未知的告警级别 ${unknown.join(', ')}`);
+    }
+
+    return { start: minutesOf('start'), end: minutesOf('end'), levels: [].concat(levels) };
+}
+
+/**
+ * 按配置创建渠道，并检查 levels、events
+ * @param {Object} channel - 渠道配置
+ * @returns {Object} notifier
+ * @throws {Error} 配置无效时抛出
+ */
+function buildChannel(channel) {
+    const notifier = createNotifier(channel, { timeout: OPTIONS.timeout });
+
+    if (channels.has(notifier.name)) {
+        throw new Error(`通知渠道名称 ${notifier.name} 重复`);
+    }
+    [['levels', notifier.levels || [], alerts.LEVELS], ['events', notifier.events, EVENTS]].forEach(([key, values, options]) => {
+        const unknown = [].concat(values).filter(value => !options[value]);
+        if (unknown.length > 0) {
+            throw new Error(`通知渠道 ${notifier.name} 的 ${key} 只能包含 ${Object.keys(options).join(', ')}`);
+        }
+    });
+
+    return notifier;
+}
+
+// ============================================================
+// 路由判断
+// ============================================================
+
+/**
+ * 判断某个时间是否在静默时段内
+ * @param {number} time - 毫秒时间戳
+ * @returns {boolean} 是否静默
+ */
+function inQuietHours(time) {
+    const date = new Date(time);
+    const minutes = date.getHours() * 60 + date.getMinutes();
+    const { start, end } = quietHours;
+    return start <= end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * 告警的限流间隔
+ * @param {Object} alert - 告警
+ * @returns {Promise<number>} 秒
+ */
+async function throttleOf(alert) {
+    if (alert.type === 'telemetry' && alert.rule) {
+        const rule = await ruleRepository.get(alert.rule);
+        if (rule && rule.throttleSeconds !== null && rule.throttleSeconds !== undefined) return rule.throttleSeconds;
+    }
+    return OPTIONS.throttleSeconds;
+}
+
+/**
+ * 判断通知是否需要跳过
+ * @param {Object} notifier - 渠道
+ * @param {Object} alert - 告警
+ * @param {string} event - raised | resolved
+ * @param {number} time - 事件时间
+ * @returns {Promise<string|null>} 跳过原因，需要发送时返回null
+ */
+async function skipReason(notifier, alert, event, time) {
+    if (notifier.quietHours && quietHours && quietHours.levels.includes(alert.level) && inQuietHours(time)) {
+        return '静默时段';
+    }
+
+    if (event === 'raised') {
+        const seconds = await throttleOf(alert);
+        const last = lastRaised.get(throttleKeyOf(notifier.name, alert.robotId, alert.key));
+        if (seconds > 0 && last !== undefined && time - last < seconds * 1000) {
+            return `限流（${seconds} 秒内已通知）`;
+        }
+        return null;
+    }
+
+    // 恢复通知只发给推送过触发通知的渠道
+    if (notifier.events.includes('raised')) {
+        const [raised] = await repository.list({ alertId: alert.id, channel: notifier.name, event: 'raised' });
+        if (!raised || raised.state === 'skipped') return '触发时未通知';
+    }
+    return null;
+}
+
+// ============================================================
+// 发送
+// ============================================================
+
+/**
+ * 生成通知消息
+ * @param {string} event - raised | resolved
+ * @param {Object} alert - 告警
+ * @returns {Object} { event, alert, title, lines }
+ */
+function buildMessage(event, alert) {
+    const resolved = event === 'resolved';
+    const lines = [
+        ['机器人', alert.robotId],
+        ['级别', alerts.LEVELS[alert.level]],
+        ['类型', alerts.TYPES[alert.type] || alert.type],
+        ['触发时间', formatTime(alert.raisedAt)]
+    ];
+    if (resolved) {
+        lines.push(['恢复时间', formatTime(alert.resolvedAt)], ['恢复原因', alert.resolveReason]);
+    }
+    lines.push(['告警ID', `#${alert.id}`]);
+
+    return {
+        event,
+        alert,
+        title: `[${resolved ? '已恢复' : alerts.LEVELS[alert.level]}] ${alert.message}`,
+        lines
+    };
+}
+
+/**
+ * 发送一条投递，失败时按退避间隔重试
+ * @param {Object} delivery - 投递记录
+ * @returns {Promise<void>}
+ */
+async function deliver(delivery) {
+    const notifier = channels.get(delivery.channel);
+    if (!notifier) {
+        await repository.update(delivery.id, { state: 'failed', lastError: '通知渠道已从配置中移除' });
+        return;
+    }
+
+    if (delivery.event === 'resolved' && notifier.events.includes('raised')) {
+        const [raised] = await repository.list({ alertId: delivery.alertId, channel: delivery.channel, event: 'raised' });
+        if (raised && raised.state === 'failed') {
+            await repository.update(delivery.id, { state: 'skipped', reason: '触发通知发送失败' });
+            return;
+        }
+    }
+
+    const alert = await alertRepository.get(delivery.alertId);
+    if (!alert) {
+        await repository.update(delivery.id, { state: 'failed', lastError: `告警 #${delivery.alertId} 不存在` });
+        return;
+    }
+
+    const message = buildMessage(delivery.event, alert);
+    let attempts = delivery.attempts;
+
+    while (!stopped) {
+        attempts++;
+        try {
+            await notifier.send(message);
+            await repository.update(delivery.id, { state: 'sent', attempts, lastError: null, sentAt: Date.now() });
+            console.log(`📨 [Notifications] 告警 #${alert.id} ${EVENTS[delivery.event]}通知已发送到 ${notifier.name}`);
+            return;
+        } catch (error) {
+            if (attempts > OPTIONS.retries) {
+                await repository.update(delivery.id, { state: 'failed', attempts, lastError: error.message });
+                console.error(`[Notifications] 告警 #${alert.id} 通知发送到 ${notifier.name} 失败，已放弃:`, error.message);
+                return;
+            }
+
+            const delay = OPTIONS.retryDelay * 2 ** (attempts - 1);
+            await repository.update(delivery.id, { attempts, lastError: error.message });
+            console.warn(`[Notifications] 告警 #${alert.id} 通知发送到 ${notifier.name} 失败，${delay}ms 后重试:`, error.message);
+            await wait(delay);
+        }
+    }
+}
+
+/**
+ * 把投递加入所属渠道的发送队列
+ * @param {Object} delivery - 投递记录
+ */
+function enqueue(delivery) {
+    const previous = queues.get(delivery.channel) || Promise.resolve();
+    const next = previous
+        .then(() => (stopped ? null : deliver(delivery)))
+        .catch((error) => {
+            console.error(`[Notifications] 投递 #${delivery.id} 处理失败:`, error.message);
+        });
+    queues.set(delivery.channel, next);
+}
+
+/**
+ * 处理一次告警状态变化
+ * @param {Object} event - { robotId, data: 告警, timestamp }
+ * @returns {Promise<void>}
+ */
+async function dispatch({ data: alert, timestamp }) {
+    const event = EVENTS[alert.state] ? alert.state : null;
+    if (!event) return;
+
+    for (const notifier of channels.values()) {
+        if (!notifier.enabled || !notifier.events.includes(event)) continue;
+        if (notifier.levels && !notifier.levels.includes(alert.level)) continue;
+
+        const deliveryData = {
+            alertId: alert.id,
+            robotId: alert.robotId,
+            key: alert.key,
+            level: alert.level,
+            event,
+            channel: notifier.name
+        };
+
+        const reason = await skipReason(notifier, alert, event, timestamp);
+        if (reason) {
+            await repository.create({ ...deliveryData, state: 'skipped', reason });
+            console.log(`[Notifications] 告警 #${alert.id} 未通知 ${notifier.name}: ${reason}`);
+            continue;
+        }
+
+        if (event === 'raised') {
+            lastRaised.set(throttleKeyOf(notifier.name, alert.robotId, alert.key), timestamp);
+        }
+        enqueue(await repository.create(deliveryData));
+    }
+}
+
+/**
+ * 告警事件回调
+ * @param {Object} event - { robotId, data, timestamp }
+ */
+function onAlert(event) {
+    dispatching = dispatching.then(() => dispatch(event)).catch((error) => {
+        console.error('[Notifications] 处理告警通知失败:', error.message);
+    });
+}
+
+/**
+ * 从投递记录恢复限流状态，继续发送未完成的投递
+ * @returns {Promise<void>}
+ */
+async function restore() {
+    const deliveries = await repository.list();
+
+    deliveries.forEach((delivery) => {
+        if (delivery.event !== 'raised' || delivery.state === 'skipped') return;
+        const key = throttleKeyOf(delivery.channel, delivery.robotId, delivery.key);
+        lastRaised.set(key, Math.max(lastRaised.get(key) || 0, delivery.createdAt));
+    });
+
+    const pending = deliveries.filter(delivery => delivery.state === 'pending');
+    pending.forEach(enqueue);
+    if (pending.length > 0) {
+        console.log(`[Notifications] 继续发送 ${pending.length} 条未完成的通知`);
+    }
+}
+
+// ============================================================
+// 查询与测试
+// ============================================================
+
+/**
+ * 查询通知配置和渠道（不包含地址、密钥等敏感信息）
+ * @returns {Object} { enabled, quietHours, throttleSeconds, channels: [{ name, type, label, enabled, levels, events, quietHours }] }
+ */
+function listChannels() {
+    return {
+        enabled: OPTIONS.enabled,
+        quietHours: quietHours && { ...OPTIONS.quietHours, levels: quietHours.levels },
+        throttleSeconds: OPTIONS.throttleSeconds,
+        channels: [...channels.values()].map(notifier => ({
+            name: notifier.name,
+            type: notifier.type,
+            label: notifier.label,
+            enabled: notifier.enabled,
+            levels: notifier.levels || Object.keys(alerts.LEVELS),
+            events: notifier.events,
+            quietHours: notifier.quietHours
+        }))
+    };
+}
+
+/**
+ * 向渠道发送测试消息，不重试、不记录投递
+ * @param {string} name - 渠道名称
+ * @returns {Promise<Object>} { channel, type, sentAt }
+ * @throws {Error} 渠道不存在时抛出 (status 404)，发送失败时抛出 (status 502)
+ */
+async function testChannel(name) {
+    const notifier = channels.get(name);
+    if (!notifier) {
+        throw createError(`通知渠道 ${name} 不存在`, 404);
+    }
+
+    const now = Date.now();
+    try {
+        await notifier.send({
+            event: 'test',
+            alert: null,
+            title: '[测试] 农业机器人告警通知',
+            lines: [['渠道', `${notifier.name} (${notifier.label})`], ['时间', formatTime(now)], ['说明', '收到这条消息说明渠道配置正确']]
+        });
+    } catch (error) {
+        throw createError(`通知渠道 ${name} 发送失败: ${error.message}`, 502);
+    }
+
+    console.log(`📨 [Notifications] 测试消息已发送到 ${name}`);
+    return { channel: notifier.name, type: notifier.type, sentAt: Date.now() };
+}
+
+/**
+ * 解析并校验投递记录查询参数
+ * @param {Object} query - 请求参数 { alertId?, channel?, state?, limit? }
+ * @returns {Object} { alertId, channel, state, limit }
+ * @throws {Error} 参数无效时抛出 (status 400)
+ */
+function parseQuery(query) {
+    let alertId;
+    if (query.alertId !== undefined) {
+        alertId = Number(query.alertId);
+        if (!Number.isInteger(alertId)) {
+            throw createError('alertId 必须是告警ID', 400);
+        }
+    }
+
+    if (query.state !== undefined && !repository.STATES[query.state]) {
+        throw createError(`state: 必须是 ${Object.keys(repository.STATES).join(', ')} 之一`, 400);
+    }
+
+    let limit = DEFAULT_LIMIT;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+            throw createError(`limit 必须是 1-${MAX_LIMIT} 的整数`, 400);
+        }
+    }
+
+    return { alertId, channel: query.channel, state: query.state, limit };
+}
+
+/**
+ * 查询投递记录
+ * @param {Object} query - 请求参数，见 parseQuery
+ * @returns {Promise<Object>} { deliveries, truncated }，deliveries 最新的在前
+ * @throws {Error} 参数无效时抛出 (status 400)
+ */
+async function list(query) {
+    const { limit, ...filter } = parseQuery(query);
+    const matched = (await repository.list(filter)).reverse();
+    return { deliveries: matched.slice(0, limit), truncated: matched.length > limit };
+}
+
+/**
+ * 查询一条告警的投递状态
+ * @param {number} alertId - 告警ID
+ * @returns {Promise<Object|null>} { alertId, state, deliveries }，deliveries 按时间升序；告警不存在时返回null
+ */
+async function forAlert(alertId) {
+    const alert = await alertRepository.get(alertId);
+    if (!alert) return null;
+
+    return { alertId, state: alert.state, deliveries: await repository.list({ alertId }) };
+}
+
+// ============================================================
+// 启动与停止
+// ============================================================
+
+/**
+ * 创建通知渠道并订阅告警事件
+ * 配置无效的渠道记录错误后跳过，不影响其他渠道
+ */
+function start() {
+    if (!OPTIONS.enabled) {
+        console.log('[Notifications] 告警通知未启用');
+        return;
+    }
+
+    try {
+        quietHours = parseQuietHours(OPTIONS.quietHours);
+    } catch (error) {
+        console.error('[Notifications] 静默时段配置无效，已忽略:', error.message);
+    }
+
+    OPTIONS.channels.forEach((channel) => {
+        try {
+            const notifier = buildChannel(channel);
+            channels.set(notifier.name, notifier);
+        } catch (error) {
+            console.error('[Notifications] 通知渠道配置无效，已跳过:', error.message);
+        }
+    });
+
+    stopped = false;
+    dispatching = dispatching.then(restore).catch((error) => {
+        console.error('[Notifications] 读取未完成的通知失败:', error.message);
+    });
+    offAlert = events.onAlert(onAlert);
+}
+
+/**
+ * 停止通知
+ * 正在等待重试的投递保持 pending，下次启动时继续发送
+ */
+function stop() {
+    if (offAlert) offAlert();
+    offAlert = null;
+    stopped = true;
+
+    timers.forEach(({ timer, resolve }) => {
+        clearTimeout(timer);
+        resolve();
+    });
+    timers.clear();
+}
+
+module.exports = {
+    EVENTS,
+    listChannels,
+    testChannel,
+    list,
+    forAlert,
+    start,
+    stop
+};
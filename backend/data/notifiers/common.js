@@ -0,0 +1,71 @@
+/**
+ * 通知渠道公共函数
+ *
+ * 功能描述:
+ * - 带超时的 JSON POST 请求，供 webhook、钉钉、企业微信渠道使用
+ * - 把通知消息排版为 Markdown、纯文本
+ *
+ * 文件路径: backend/data/notifiers/common.js
+ */
+
+/**
+ * 带超时的 JSON POST 请求，供 HTTP 类渠道使用
+ * @param {string} url - 地址
+ * @param {Object|string} body - 请求体，对象按 JSON 序列化
+ * @param {Object} options - { timeout, headers? }
+ * @returns {Promise<Object|null>} 响应 JSON，响应体不是 JSON 时返回 null
+ * @throws {Error} 请求失败、超时或状态码不是 2xx 时抛出
+ */
+async function postJson(url, body, { timeout, headers = {} }) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            signal: controller.signal,
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+
+        const text = await response.text();
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+        }
+
+        try {
+            return JSON.parse(text);
+        } catch (error) {
+            return null;
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`请求超时 (${timeout}ms)`);
+        // fetch 的网络错误信息只有 "fetch failed"，具体原因（连接被拒绝、域名解析失败等）在 cause 中
+        if (error.cause && error.cause.message) throw new Error(`请求失败: ${error.cause.message}`);
+        throw error;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * 把消息转为 Markdown，供钉钉、企业微信使用
+ * @param {Object} message - { title, lines }
+ * @returns {string} Markdown 文本
+ */
+const toMarkdown = ({ title, lines }) =>
+    [`### ${title}`, '', ...lines.map(([label, value]) => `- **${label}**: ${value}`)].join('\n');
+
+/**
+ * 把消息转为纯文本，供邮件使用
+ * @param {Object} message - { title, lines }
+ * @returns {string} 纯文本
+ */
+const toText = ({ title, lines }) =>
+    [title, '', ...lines.map(([label, value]) => `${label}: ${value}`)].join('\n');
+
+module.exports = {
+    postJson,
+    toMarkdown,
+    toText
+};
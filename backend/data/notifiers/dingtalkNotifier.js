@@ -0,0 +1,68 @@
+/**
+ * 钉钉群机器人通知渠道
+ *
+ * 功能描述:
+ * - 以 markdown 消息推送告警到钉钉群自定义机器人
+ * - 机器人开启「加签」时配置 secret，按钉钉规则在地址后附加 timestamp 和 sign
+ * - 可 @ 指定手机号的群成员 (atMobiles) 或所有人 (atAll)
+ * - 钉钉返回 errcode 不为 0 时视为发送失败（如关键词不匹配、签名错误、频率超限）
+ *
+ * 消息格式:
+ *   { "msgtype": "markdown", "markdown": { "title": "...", "text": "### ...\n\n- **机器人**: robot-001" },
+ *     "at": { "atMobiles": ["138..."], "isAtAll": false } }
+ *
+ * 文件路径: backend/data/notifiers/dingtalkNotifier.js
+ */
+
+const crypto = require('crypto');
+const { postJson, toMarkdown } = require('./common');
+
+/**
+ * 创建钉钉渠道
+ * @param {Object} channel - 渠道配置 { url, secret?, atMobiles?, atAll? }
+ * @param {Object} options - { timeout }
+ * @returns {Object} { send }
+ */
+function createDingtalkNotifier(channel, { timeout }) {
+    /**
+     * 加签后的请求地址
+     * @returns {string} 地址
+     */
+    function signedUrl() {
+        if (!channel.secret) return channel.url;
+
+        const timestamp = Date.now();
+        const sign = crypto.createHmac('sha256', channel.secret)
+            .update(`${timestamp}\n${channel.secret}`)
+            .digest('base64');
+        const separator = channel.url.includes('?') ? '&' : '?';
+        return `${channel.url}${separator}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+    }
+
+    /**
+     * 发送通知
+     * @param {Object} message - { title, lines }
+     * @returns {Promise<void>}
+     */
+    async function send(message) {
+        const atMobiles = channel.atMobiles || [];
+        const mentions = atMobiles.map(mobile => `@${mobile}`).join(' ');
+
+        const result = await postJson(signedUrl(), {
+            msgtype: 'markdown',
+            markdown: {
+                title: message.title,
+                text: mentions ? `${toMarkdown(message)}\n\n${mentions}` : toMarkdown(message)
+            },
+            at: { atMobiles, isAtAll: Boolean(channel.atAll) }
+        }, { timeout });
+
+        if (!result || result.errcode !== 0) {
+            throw new Error(`钉钉返回错误: ${result ? `${result.errcode} ${result.errmsg}` : '响应不是 JSON'}`);
+        }
+    }
+
+    return { send };
+}
+
+module.exports = createDingtalkNotifier;
@@ -0,0 +1,100 @@
+/**
+ * 告警通知渠道注册表
+ *
+ * 功能描述:
+ * - 登记所有可用的通知渠道（通用 webhook、SMTP 邮件、钉钉机器人、企业微信机器人）
+ * - 按 config.notifications.channels 中的配置创建渠道实例，并检查必填字段
+ * - 新增渠道时只需编写渠道文件并在此注册，告警的路由、限流和重试由 data/notifications.js 统一处理；
+ *   HTTP 请求和消息排版等公共函数见 common.js
+ *
+ * 渠道配置 (config.notifications.channels 中的一项):
+ *   通用字段:
+ *     name        渠道名称，唯一，投递记录和测试接口中使用
+ *     type        webhook | smtp | dingtalk | wecom
+ *     enabled     是否启用，默认 true
+ *     levels      通知的告警级别，默认全部 ['critical', 'warning', 'info']
+ *     events      通知的告警事件，默认 ['raised', 'resolved']
+ *     quietHours  是否遵守静默时段，默认 true；值班电话等渠道可设为 false
+ *   webhook:  url, headers?, secret?（设置后带 X-Signature: sha256=<HMAC> 请求头）
+ *   smtp:     host, port?, secure?, starttls?, rejectUnauthorized?, username?, password?, from, to
+ *   dingtalk: url（含 access_token）, secret?（加签密钥）, atMobiles?, atAll?
+ *   wecom:    url（含 key）
+ *
+ * 渠道接口:
+ * 每个渠道工厂函数接收渠道配置和 { timeout }，返回 { send(message) }，
+ * send 返回 Promise，发送失败时抛出错误（信息可直接显示给用户）
+ *   message: { event, alert, title, lines }
+ *     event  raised | resolved | test
+ *     title  标题，如 '[严重] robot-001 电量过低: 15%'
+ *     lines  正文各行 [[标签, 值]]，如 [['机器人', 'robot-001'], ['级别', '严重']]
+ *
+ * 使用方式:
+ *   const { createNotifier } = require('./notifiers');
+ *   const notifier = createNotifier({ name: 'ops', type: 'webhook', url }, { timeout: 10000 });
+ *   await notifier.send(message);
+ *
+ * 文件路径: backend/data/notifiers/index.js
+ */
+
+// ============================================================
+// 注册表
+// ============================================================
+
+/**
+ * 渠道工厂表: 类型 -> { create: 工厂函数, required: 必填字段, label: 中文名称 }
+ */
+const registry = new Map();
+
+/**
+ * 注册通知渠道
+ * @param {string} type - 渠道类型
+ * @param {Function} create - 工厂函数 (channel, options) => { send }
+ * @param {Object} meta - { label: 中文名称, required: 必填字段 }
+ */
+function registerNotifier(type, create, { label, required = [] }) {
+    registry.set(type, { create, label, required });
+}
+
+registerNotifier('webhook', require('./webhookNotifier'), { label: 'Webhook', required: ['url'] });
+registerNotifier('smtp', require('./smtpNotifier'), { label: '邮件', required: ['host', 'from', 'to'] });
+registerNotifier('dingtalk', require('./dingtalkNotifier'), { label: '钉钉机器人', required: ['url'] });
+registerNotifier('wecom', require('./wecomNotifier'), { label: '企业微信机器人', required: ['url'] });
+
+// ============================================================
+// 创建渠道
+// ============================================================
+
+/**
+ * 按配置创建通知渠道
+ * @param {Object} channel - 渠道配置
+ * @param {Object} options - { timeout: 单次发送超时（毫秒） }
+ * @returns {Object} { name, type, label, enabled, levels, events, quietHours, send }
+ * @throws {Error} 类型未知或缺少必填字段时抛出
+ */
+function createNotifier(channel, options) {
+    const entry = registry.get(channel.type);
+    if (!entry) {
+        throw new Error(`未知的通知渠道类型 ${channel.type}，可选: ${[...registry.keys()].join(', ')}`);
+    }
+
+    const missing = ['name', ...entry.required].filter(key => !channel[key] || (Array.isArray(channel[key]) && !channel[key].length));
+    if (missing.length > 0) {
+        throw new Error(`通知渠道 ${channel.name || channel.type} 缺少配置: ${missing.join(', ')}`);
+    }
+
+    const { send } = entry.create(channel, options);
+    return {
+        name: channel.name,
+        type: channel.type,
+        label: entry.label,
+        enabled: channel.enabled !== false,
+        levels: channel.levels || null,
+        events: channel.events || ['raised', 'resolved'],
+        quietHours: channel.quietHours !== false,
+        send
+    };
+}
+
+module.exports = {
+    createNotifier
+};
@@ -0,0 +1,231 @@
+/**
+ * SMTP 邮件通知渠道
+ *
+ * 功能描述:
+ * - 用 Node 内置的 net / tls 直接与 SMTP 服务器对话发送纯文本邮件，无需额外依赖
+ * - 支持 465 端口的隐式 TLS (secure: true)，以及服务器支持时通过 STARTTLS 升级加密 (starttls，默认开启)
+ * - 配置 username 时使用 AUTH PLAIN 认证；连接未加密时拒绝发送认证信息，
+ *   只有明确设置 starttls: false 时才允许在明文连接上认证（如仅本机可达的中继）
+ * - 标题、正文按 UTF-8 编码，中文内容不会乱码
+ *
+ * 渠道配置:
+ *   { name: 'email', type: 'smtp', host: 'smtp.example.com', port: 587, secure: false, starttls: true,
+ *     rejectUnauthorized: true, username: 'alert@example.com', password: '...',
+ *     from: 'alert@example.com', to: ['ops@example.com'] }
+ *
+ * 文件路径: backend/data/notifiers/smtpNotifier.js
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const os = require('os');
+const tls = require('tls');
+const { toText } = require('./common');
+
+// ============================================================
+// SMTP 会话
+// ============================================================
+
+/**
+ * 创建 SMTP 会话，按行解析服务器响应
+ * @param {number} timeout - 等待每个响应的超时（毫秒）
+ * @returns {Object} { attach(socket), command(line, expected), socket() }
+ */
+function createSession(timeout) {
+    const replies = [];
+    let lines = [];
+    let buffer = '';
+    let failure = null;
+    let waiter = null;
+    let current = null;
+
+    // 有响应或出错时交给正在等待的 read
+    function settle() {
+        if (!waiter || (replies.length === 0 && !failure)) return;
+
+        const { resolve, reject, timer } = waiter;
+        waiter = null;
+        clearTimeout(timer);
+        if (replies.length > 0) resolve(replies.shift());
+        else reject(failure);
+    }
+
+    function onData(chunk) {
+        buffer += chunk.toString('utf8');
+
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            lines.push(line);
+
+            // 多行响应以 "250-" 续行，"250 " 结束
+            if (/^\d{3}(?: |$)/.test(line)) {
+                replies.push({ code: Number(line.slice(0, 3)), text: lines.join(' | ') });
+                lines = [];
+            }
+        }
+        settle();
+    }
+
+    function onError(error) {
+        failure = error;
+        settle();
+    }
+
+    function onClose() {
+        if (!failure) failure = new Error('SMTP 服务器断开了连接');
+        settle();
+    }
+
+    /**
+     * 切换到新的套接字（STARTTLS 升级后）
+     * @param {Object} socket - net.Socket 或 tls.TLSSocket
+     */
+    function attach(socket) {
+        if (current) {
+            current.removeListener('data', onData);
+            current.removeListener('error', onError);
+            current.removeListener('close', onClose);
+        }
+        current = socket;
+        current.on('data', onData);
+        current.on('error', onError);
+        current.on('close', onClose);
+    }
+
+    /**
+     * 读取下一个响应
+     * @returns {Promise<Object>} { code, text }
+     */
+    function read() {
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                waiter = null;
+                reject(new Error(`SMTP 服务器响应超时 (${timeout}ms)`));
+            }, timeout);
+            waiter = { resolve, reject, timer };
+            settle();
+        });
+    }
+
+    /**
+     * 发送一条命令并检查响应码
+     * @param {string|null} line - 命令，null 表示只读取响应（连接时的欢迎信息）
+     * @param {Array<number>} expected - 期望的响应码
+     * @returns {Promise<Object>} { code, text }
+     * @throws {Error} 响应码不符合预期时抛出；错误信息只包含命令名，不包含认证信息
+     */
+    async function command(line, expected) {
+        if (line !== null) current.write(`${line}\r\n`);
+
+        const reply = await read();
+        if (!expected.includes(reply.code)) {
+            throw new Error(`SMTP ${line === null ? '连接' : line.split(' ')[0]} 失败: ${reply.text}`);
+        }
+        return reply;
+    }
+
+    return { attach, command, socket: () => current };
+}
+
+// ============================================================
+// 邮件内容
+// ============================================================
+
+/**
+ * 编码邮件头，非 ASCII 内容按 RFC 2047 编码
+ * @param {string} text - 原文
+ * @returns {string} 编码后的文本
+ */
+const encodeHeader = text => (/^[\x20-\x7e]*$/.test(text) ? text : `=?UTF-8?B?${Buffer.from(text).toString('base64')}?=`);
+
+/**
+ * 生成邮件原文
+ * @param {Object} channel - 渠道配置
+ * @param {Array<string>} recipients - 收件人
+ * @param {Object} message - { title, lines }
+ * @returns {string} 邮件原文（CRLF 换行，正文 base64 编码，不会出现需要转义的 "." 行）
+ */
+function buildMail(channel, recipients, message) {
+    const body = Buffer.from(toText(message)).toString('base64').replace(/.{76}/g, '$&\r\n');
+    const domain = String(channel.from).split('@')[1] || os.hostname();
+
+    return [
+        `From: ${channel.from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${encodeHeader(message.title)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: <${Date.now()}.${crypto.randomBytes(6).toString('hex')}@${domain}>`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=UTF-8',
+        'Content-Transfer-Encoding: base64',
+        '',
+        body
+    ].join('\r\n');
+}
+
+// ============================================================
+// 渠道
+// ============================================================
+
+/**
+ * 创建 SMTP 渠道
+ * @param {Object} channel - 渠道配置，见文件头
+ * @param {Object} options - { timeout }
+ * @returns {Object} { send }
+ */
+function createSmtpNotifier(channel, { timeout }) {
+    const recipients = [].concat(channel.to);
+    const port = channel.port || (channel.secure ? 465 : 25);
+    const tlsOptions = { servername: channel.host, rejectUnauthorized: channel.rejectUnauthorized !== false };
+
+    /**
+     * 发送通知邮件
+     * @param {Object} message - { title, lines }
+     * @returns {Promise<void>}
+     */
+    async function send(message) {
+        const session = createSession(timeout);
+        session.attach(channel.secure
+            ? tls.connect({ host: channel.host, port, ...tlsOptions })
+            : net.connect({ host: channel.host, port }));
+
+        try {
+            const hostname = os.hostname();
+            await session.command(null, [220]);
+            const greeting = await session.command(`EHLO ${hostname}`, [250]);
+
+            let encrypted = Boolean(channel.secure);
+            if (!encrypted && channel.starttls !== false && /STARTTLS/i.test(greeting.text)) {
+                await session.command('STARTTLS', [220]);
+                session.attach(tls.connect({ socket: session.socket(), ...tlsOptions }));
+                await session.command(`EHLO ${hostname}`, [250]);
+                encrypted = true;
+            }
+
+            if (channel.username) {
+                if (!encrypted && channel.starttls !== false) {
+                    throw new Error('SMTP 服务器不支持 STARTTLS，拒绝在未加密的连接上发送密码；' +
+                        '请使用 secure: true，或确认链路可信后设置 starttls: false');
+                }
+                const credentials = Buffer.from(`\0${channel.username}\0${channel.password || ''}`).toString('base64');
+                await session.command(`AUTH PLAIN ${credentials}`, [235]);
+            }
+
+            await session.command(`MAIL FROM:<${channel.from}>`, [250]);
+            for (const recipient of recipients) {
+                await session.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+            await session.command('DATA', [354]);
+            await session.command(`${buildMail(channel, recipients, message)}\r\n.`, [250]);
+            await session.command('QUIT', [221]).catch(() => {});
+        } finally {
+            session.socket().destroy();
+        }
+    }
+
+    return { send };
+}
+
+module.exports = createSmtpNotifier;
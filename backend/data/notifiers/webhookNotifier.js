@@ -0,0 +1,48 @@
+/**
+ * 通用 Webhook 通知渠道
+ *
+ * 功能描述:
+ * - 以 JSON POST 推送告警到任意 HTTP 地址，便于接入自建的值班、工单系统
+ * - 配置 secret 时用 HMAC-SHA256 对请求体签名，放在 X-Signature 请求头中，接收方据此校验来源
+ *
+ * 请求体:
+ *   {
+ *     "event": "raised",                        // raised 触发 / resolved 恢复 / test 测试
+ *     "title": "[严重] robot-001 电量过低: 15%",
+ *     "alert": { "id": 12, "key": "rule-1", "level": "critical", "state": "raised", ... },   // 测试消息为 null
+ *     "timestamp": 1769737886100
+ *   }
+ *
+ * 文件路径: backend/data/notifiers/webhookNotifier.js
+ */
+
+const crypto = require('crypto');
+const { postJson } = require('./common');
+
+/**
+ * 创建 Webhook 渠道
+ * @param {Object} channel - 渠道配置 { url, headers?, secret? }
+ * @param {Object} options - { timeout }
+ * @returns {Object} { send }
+ */
+function createWebhookNotifier(channel, { timeout }) {
+    /**
+     * 发送通知
+     * @param {Object} message - { event, alert, title }
+     * @returns {Promise<void>}
+     */
+    async function send({ event, alert, title }) {
+        const body = JSON.stringify({ event, title, alert, timestamp: Date.now() });
+
+        const headers = { ...channel.headers };
+        if (channel.secret) {
+            headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', channel.secret).update(body).digest('hex')}`;
+        }
+
+        await postJson(channel.url, body, { timeout, headers });
+    }
+
+    return { send };
+}
+
+module.exports = createWebhookNotifier;
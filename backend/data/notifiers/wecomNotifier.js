@@ -0,0 +1,54 @@
+/**
+ * 企业微信群机器人通知渠道
+ *
+ * 功能描述:
+ * - 以 markdown 消息推送告警到企业微信群机器人，按告警级别给标题着色
+ * - 企业微信返回 errcode 不为 0 时视为发送失败（如 key 无效、频率超限）
+ *
+ * 消息格式:
+ *   { "msgtype": "markdown", "markdown": { "content": "### <font color=\"warning\">...</font>\n\n- **机器人**: robot-001" } }
+ *
+ * 文件路径: backend/data/notifiers/wecomNotifier.js
+ */
+
+const { postJson, toMarkdown } = require('./common');
+
+/**
+ * 告警级别 -> 企业微信 markdown 字体颜色
+ */
+const COLORS = {
+    critical: 'warning',
+    warning: 'comment',
+    info: 'info'
+};
+
+/**
+ * 创建企业微信渠道
+ * @param {Object} channel - 渠道配置 { url }
+ * @param {Object} options - { timeout }
+ * @returns {Object} { send }
+ */
+function createWecomNotifier(channel, { timeout }) {
+    /**
+     * 发送通知
+     * @param {Object} message - { alert, title, lines }
+     * @returns {Promise<void>}
+     */
+    async function send(message) {
+        const color = message.alert && message.event !== 'resolved' ? COLORS[message.alert.level] : 'info';
+        const title = color ? `<font color="${color}">${message.title}</font>` : message.title;
+
+        const result = await postJson(channel.url, {
+            msgtype: 'markdown',
+            markdown: { content: toMarkdown({ ...message, title }) }
+        }, { timeout });
+
+        if (!result || result.errcode !== 0) {
+            throw new Error(`企业微信返回错误: ${result ? `${result.errcode} ${result.errmsg}` : '响应不是 JSON'}`);
+        }
+    }
+
+    return { send };
+}
+
+module.exports = createWecomNotifier;
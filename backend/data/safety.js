@@ -0,0 +1,163 @@
+/**
+ * 急停安全联锁模块
+ *
+ * 功能描述:
+ * - 记录每台机器人的急停锁定状态，持久化保存，服务重启后仍然锁定
+ * - 急停锁定期间拒绝所有运动指令和作业操作 (HTTP 423)，只允许 stop
+ * - 锁定后只能显式复位，复位接口只允许管理员调用 (routes/robot.js)
+ * - 急停消息的下发、队列清理、任务暂停由数据源接口模块负责 (data/dataSource.js)
+ *
+ * 存储格式 (storage/safety.json，整体原子写入):
+ * {
+ *   "robots": {
+ *     "robot-001": { "engaged": true, "engagedAt": 1769737700000, "engagedBy": "operator",
+ *                    "reason": "人员进入作业区", "resetAt": null, "resetBy": null }
+ *   }
+ * }
+ *
+ * 使用方式:
+ *   const safety = require('./safety');
+ *   await safety.engage('robot-001', { actor: 'operator', reason: '人员进入作业区' });
+ *   await safety.assertClear('robot-001', '指令 forward');   // 锁定中抛出 423
+ *   await safety.reset('robot-001', { actor: 'admin' });
+ *
+ * 文件路径: backend/data/safety.js
+ */
+
+const storage = require('./storage');
+const { createError } = require('./errors');
+
+/**
+ * 未急停过的机器人的状态
+ */
+const CLEAR_STATE = {
+    engaged: false,
+    engagedAt: null,
+    engagedBy: null,
+    reason: null,
+    resetAt: null,
+    resetBy: null
+};
+
+// 各机器人的急停状态: robotId -> state
+const states = new Map();
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 急停状态 (storage/safety.json)，加载与保存见 storage.createJsonRepository
+ * 加载完成前各操作等待；加载失败时各操作都会抛出，不会误判为未锁定
+ */
+const repository = storage.createJsonRepository('safety.json', () => ({ robots: {} }), {
+    tag: 'Safety',
+    label: '急停状态',
+    onLoad: (data) => {
+        Object.entries(data.robots || {}).forEach(([robotId, state]) => {
+            states.set(robotId, { ...CLEAR_STATE, ...state });
+        });
+    },
+    summary: () => `${[...states.values()].filter(state => state.engaged).length} 台急停锁定`,
+    snapshot: () => ({ robots: Object.fromEntries(states) })
+});
+
+const { save, close } = repository;
+
+/**
+ * 加载急停状态
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+async function init() {
+    await repository.load();
+
+    const engaged = [...states].filter(([, state]) => state.engaged).map(([robotId]) => robotId);
+    if (engaged.length > 0) {
+        console.warn(`🛑 [Safety] 以下机器人仍处于急停锁定: ${engaged.join(', ')}`);
+    }
+}
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 获取机器人的急停状态
+ * @param {string} robotId - 机器人ID
+ * @returns {Promise<Object>} { engaged, engagedAt, engagedBy, reason, resetAt, resetBy }
+ */
+async function getState(robotId) {
+    await repository.getStore();
+    return { ...(states.get(robotId) || CLEAR_STATE) };
+}
+
+/**
+ * 检查机器人是否允许执行指令
+ * @param {string} robotId - 机器人ID
+ * @param {string} what - 被拒绝的内容，用于错误信息，如 '指令 forward'
+ * @returns {Promise<void>}
+ * @throws {Error} 急停锁定中时抛出 (status 423)
+ */
+async function assertClear(robotId, what) {
+    const state = await getState(robotId);
+
+    if (state.engaged) {
+        throw createError(`机器人 ${robotId} 急停已锁定，${what} 被拒绝；需由管理员复位急停`, 423);
+    }
+}
+
+/**
+ * 锁定急停
+ * 已锁定时保持原锁定信息
+ * @param {string} robotId - 机器人ID
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object>} 急停状态
+ */
+async function engage(robotId, { actor, reason }) {
+    const state = await getState(robotId);
+    if (state.engaged) return state;
+
+    const next = {
+        ...CLEAR_STATE,
+        engaged: true,
+        engagedAt: Date.now(),
+        engagedBy: actor,
+        reason: reason || null
+    };
+    states.set(robotId, next);
+    await save();
+
+    console.warn(`🛑 [Safety] ${robotId} 急停已锁定 (${actor})${reason ? `: ${reason}` : ''}`);
+    return { ...next };
+}
+
+/**
+ * 复位急停
+ * @param {string} robotId - 机器人ID
+ * @param {Object} options - { actor }
+ * @returns {Promise<Object>} 急停状态
+ * @throws {Error} 未处于锁定时抛出 (status 409)
+ */
+async function reset(robotId, { actor }) {
+    const state = await getState(robotId);
+    if (!state.engaged) {
+        throw createError(`机器人 ${robotId} 未处于急停锁定`, 409);
+    }
+
+    const next = { ...state, engaged: false, resetAt: Date.now(), resetBy: actor };
+    states.set(robotId, next);
+    await save();
+
+    console.log(`✅ [Safety] ${robotId} 急停已复位 (${actor})`);
+    return { ...next };
+}
+
+module.exports = {
+    init,
+    close,
+    getState,
+    assertClear,
+    engage,
+    reset
+};
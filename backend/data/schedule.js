@@ -0,0 +1,236 @@
+/**
+ * 任务计划模块
+ *
+ * 功能描述:
+ * - 解析并校验任务的执行计划 (schedule)
+ * - 计算计划的下一次执行时间
+ *
+ * 计划格式:
+ *   { startAt }            一次性任务，在 startAt 执行
+ *   { cron, startAt? }     按 cron 表达式重复执行，startAt 之前不执行
+ *   { every, startAt? }    从 startAt（默认创建时间）起每隔 every 执行一次
+ *
+ * cron 表达式 (服务器本地时间): "分 时 日 月 周"
+ *   每个字段支持 *、数字、范围 a-b、列表 a,b、步长 *\/n 或 a-b/n；周 0 和 7 都表示周日
+ *   日和周都不是 * 时，满足其一即可（与标准 cron 一致）
+ *   例: "0 6 * * *" 每天 06:00，"30 5 * * 1-5" 工作日 05:30
+ *
+ * 使用方式:
+ *   const schedule = require('./schedule');
+ *   const plan = schedule.parse({ cron: '0 6 * * *' });   // 无效时抛出
+ *   const runAt = schedule.nextRun(plan, Date.now());      // 之后的第一次执行时间
+ *
+ * 文件路径: backend/data/schedule.js
+ */
+
+const { DAY, parseTime, parseDuration } = require('./time');
+
+/**
+ * cron 字段定义: [名称, 最小值, 最大值]
+ */
+const CRON_FIELDS = [
+    ['minute', 0, 59],
+    ['hour', 0, 23],
+    ['day', 1, 31],
+    ['month', 1, 12],
+    ['weekday', 0, 7]
+];
+
+/**
+ * 查找下一次 cron 执行时间的最大范围
+ * 超过范围仍未匹配视为表达式永远不会触发（如 2月30日）
+ */
+const CRON_SEARCH_LIMIT = 5 * 366 * DAY;
+
+// ============================================================
+// cron 表达式
+// ============================================================
+
+/**
+ * 解析 cron 的单个字段
+ * @param {string} text - 字段文本
+ * @param {Array} field - [名称, 最小值, 最大值]
+ * @returns {Set<number>|null} 匹配的取值，* 返回 null 表示不限
+ * @throws {Error} 格式无效或超出范围时抛出
+ */
+function parseCronField(text, [name, min, max]) {
+    if (text === '*') return null;
+
+    const values = new Set();
+
+    text.split(',').forEach((part) => {
+        const match = /^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`cron 字段 ${name} 格式无效: ${part}`);
+        }
+
+        const step = match[2] ? Number(match[2]) : 1;
+        let from = min;
+        let to = max;
+
+        if (match[1] !== '*') {
+            // 单个数字带步长时 (如 5/15) 表示从该值到最大值
+            [from, to = match[2] ? max : from] = match[1].split('-').map(Number);
+        }
+
+        if (from < min || to > max || from > to || step === 0) {
+            throw new Error(`cron 字段 ${name} 超出范围 ${min}-${max}: ${part}`);
+        }
+
+        for (let value = from; value <= to; value += step) {
+            values.add(value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * 解析 cron 表达式
+ * @param {string} expression - "分 时 日 月 周"
+ * @returns {Object} { minute, hour, day, month, weekday }，各字段为 Set 或 null (不限)
+ * @throws {Error} 表达式无效时抛出
+ */
+function parseCron(expression) {
+    const parts = String(expression).trim().split(/\s+/);
+
+    if (parts.length !== CRON_FIELDS.length) {
+        throw new Error('cron 表达式必须包含5个字段: 分 时 日 月 周');
+    }
+
+    const fields = {};
+    CRON_FIELDS.forEach((field, index) => {
+        fields[field[0]] = parseCronField(parts[index], field);
+    });
+
+    // 周日可写作 0 或 7
+    if (fields.weekday && fields.weekday.has(7)) {
+        fields.weekday.add(0);
+    }
+
+    return fields;
+}
+
+/**
+ * 判断日期是否满足 cron 的日、周字段
+ * @param {Object} fields - parseCron 的结果
+ * @param {Date} date - 日期
+ * @returns {boolean} 是否匹配
+ */
+function matchesDay(fields, date) {
+    const day = !fields.day || fields.day.has(date.getDate());
+    const weekday = !fields.weekday || fields.weekday.has(date.getDay());
+
+    // 日和周都有限制时满足其一即可
+    return fields.day && fields.weekday ? day || weekday : day && weekday;
+}
+
+/**
+ * 计算 cron 表达式在某时间之后的第一次触发时间
+ * @param {Object} fields - parseCron 的结果
+ * @param {number} after - 时间戳，结果严格晚于该时间
+ * @returns {number|null} 触发时间，范围内找不到时返回 null
+ */
+function nextCronTime(fields, after) {
+    const date = new Date(after);
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+
+    const has = (set, value) => !set || set.has(value);
+
+    // 按月、日、时、分逐级跳过不匹配的时间段
+    while (date.getTime() - after <= CRON_SEARCH_LIMIT) {
+        if (!has(fields.month, date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!matchesDay(fields, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+        } else if (!has(fields.hour, date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+        } else if (!has(fields.minute, date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+        } else {
+            return date.getTime();
+        }
+    }
+    return null;
+}
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 解析并校验执行计划
+ * @param {Object} input - { startAt?, cron?, every? }，startAt 为毫秒时间戳或 ISO 时间，every 为时长
+ * @param {number} now - 当前时间，every 缺省 startAt 时以此为起点
+ * @returns {Object} { startAt, cron, every }，未设置的字段为 null
+ * @throws {Error} 计划无效时抛出，错误信息可直接返回给客户端
+ */
+function parse(input, now = Date.now()) {
+    if (!input || typeof input !== 'object') {
+        throw new Error('schedule 必须是对象: { startAt?, cron?, every? }');
+    }
+
+    const startAt = input.startAt !== undefined ? parseTime(input.startAt, 'schedule.startAt') : null;
+    const cron = input.cron !== undefined ? String(input.cron).trim() : null;
+    const every = input.every !== undefined ? parseDuration(input.every, 'schedule.every') : null;
+
+    if (cron !== null && every !== null) {
+        throw new Error('schedule.cron 和 schedule.every 不能同时设置');
+    }
+
+    if (cron !== null) {
+        const fields = parseCron(cron);
+        if (nextCronTime(fields, Math.max(now, startAt || 0)) === null) {
+            throw new Error(`cron 表达式 ${cron} 不会触发`);
+        }
+    } else if (every === null) {
+        if (startAt === null) {
+            throw new Error('schedule 至少需要 startAt、cron 或 every 之一');
+        }
+        if (startAt <= now) {
+            throw new Error('一次性任务的 schedule.startAt 必须晚于当前时间');
+        }
+    }
+
+    return {
+        startAt: every !== null && startAt === null ? now : startAt,
+        cron,
+        every
+    };
+}
+
+/**
+ * 判断计划是否重复执行
+ * @param {Object|null} plan - parse 的结果
+ * @returns {boolean} 是否为周期计划
+ */
+const isRecurring = plan => Boolean(plan && (plan.cron || plan.every));
+
+/**
+ * 计算计划在某时间之后的下一次执行时间
+ * @param {Object} plan - parse 的结果
+ * @param {number} after - 时间戳，结果严格晚于该时间
+ * @returns {number|null} 执行时间，不会再执行时返回 null
+ */
+function nextRun(plan, after) {
+    if (plan.cron) {
+        const from = plan.startAt !== null ? Math.max(after, plan.startAt - 1) : after;
+        return nextCronTime(parseCron(plan.cron), from);
+    }
+
+    if (plan.every) {
+        if (after < plan.startAt) return plan.startAt;
+        return plan.startAt + (Math.floor((after - plan.startAt) / plan.every) + 1) * plan.every;
+    }
+
+    return plan.startAt > after ? plan.startAt : null;
+}
+
+module.exports = {
+    parse,
+    isRecurring,
+    nextRun
+};
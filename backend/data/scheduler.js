@@ -0,0 +1,283 @@
+/**
+ * 任务调度模块
+ *
+ * 功能描述:
+ * - 定时检查带执行计划的 pending 任务，到期时自动启动
+ * - 一次性任务: 任务本身转为 active
+ * - 周期任务（计划）: 每次执行生成一个新的任务实例 (planId 指向计划) 并转为 active，计划保持 pending
+ * - 任务通过任务执行模块 (data/taskRunner.js) 启动，绑定的作业随之下发给机器人
+ * - 服务停机等原因错过的执行，按 config.scheduler.catchUp 策略补偿
+ * - 启动失败（如急停锁定）时取消本次执行的任务并记录原因，不会留下 pending 的任务实例
+ *
+ * 使用方式:
+ *   const scheduler = require('./scheduler');
+ *   scheduler.start();                                   // 服务启动时
+ *   const runs = await scheduler.upcoming('robot-001', { limit: 10 });
+ *   scheduler.stop();                                    // 服务退出时
+ *
+ * 文件路径: backend/data/scheduler.js
+ */
+
+const config = require('../config');
+const data = require('./dataSource');
+const tasks = require('./taskRepository');
+const runner = require('./taskRunner');
+const schedule = require('./schedule');
+const { DAY } = require('./time');
+
+const OPTIONS = config.scheduler;
+
+/**
+ * 补偿策略
+ */
+const CATCH_UP_POLICIES = ['skip', 'once', 'all'];
+
+/**
+ * 调度器在任务历史中的操作者名
+ */
+const ACTOR = 'scheduler';
+
+/**
+ * 逐次推算错过的 cron 执行时间的最大次数
+ * 超过后直接跳到最近一天内的执行时间，避免长时间停机后同步循环过久
+ */
+const MAX_CRON_SCAN = 1000;
+
+let timer = null;
+
+// 正在检查中，避免上一轮未完成时重入
+let checking = false;
+
+// ============================================================
+// 执行
+// ============================================================
+
+/**
+ * 格式化时间，用于日志和状态历史
+ * @param {number} time - 时间戳
+ * @returns {string} 本地时间字符串
+ */
+const formatTime = time => new Date(time).toLocaleString();
+
+/**
+ * 放弃未能启动的任务: 仍为 pending 时取消并记录原因
+ * 周期计划生成的实例不会留在 pending，一次性任务也能从状态历史看到本次执行失败
+ * @param {Object} task - 未能启动的任务
+ * @param {Error} error - 启动失败的原因
+ */
+async function abandon(task, error) {
+    try {
+        const current = await tasks.get(task.robotId, task.id);
+        if (!current || current.status !== 'pending') return;
+
+        await data.transitionTask(task.robotId, task.id, 'cancel', {
+            actor: ACTOR,
+            reason: `计划启动失败: ${error.message}`
+        });
+    } catch (cancelError) {
+        console.error(`[Scheduler] 取消未能启动的任务 #${task.id} 失败:`, cancelError.message);
+    }
+}
+
+/**
+ * 执行一次计划: 启动任务并下发作业
+ * @param {Object} task - 到期的任务
+ * @param {number} scheduledAt - 本次计划执行时间
+ * @throws {Error} 启动失败时取消任务后抛出
+ */
+async function execute(task, scheduledAt) {
+    const { robotId } = task;
+    const reason = `计划时间 ${formatTime(scheduledAt)}`;
+
+    // 周期计划每次执行生成一个任务实例
+    const target = schedule.isRecurring(task.schedule)
+        ? await data.createTask(robotId, {
+            name: task.name,
+            action: task.action,
+            zone: task.zone,
+            zoneId: task.zoneId,
+            params: task.params,
+            planId: task.id
+        }, ACTOR)
+        : task;
+
+    try {
+        await runner.transition(robotId, target.id, 'start', { actor: ACTOR, reason });
+    } catch (error) {
+        await abandon(target, error);
+        throw error;
+    }
+    console.log(`⏰ [Scheduler] 已启动任务 #${target.id} (${robotId}): ${task.name}，${reason}`);
+}
+
+/**
+ * 计算从 nextRunAt 到现在之间的计划时间
+ * 固定间隔的计划直接计算；cron 计划逐次推算，超过 MAX_CRON_SCAN 次后跳到最近一天内
+ * @param {Object} task - nextRunAt 已到的任务
+ * @param {number} now - 当前时间
+ * @returns {Object} { count, times, partial }，count 为到期次数，partial 为 true 时跳过了部分推算、count 只是下限；
+ *   times 为最近的 maxCatchUpRuns 次执行时间（升序）
+ */
+function dueRuns(task, now) {
+    const plan = task.schedule;
+    const limit = OPTIONS.maxCatchUpRuns;
+
+    if (plan.every) {
+        const count = Math.floor((now - task.nextRunAt) / plan.every) + 1;
+        const times = [];
+        for (let index = Math.max(0, count - limit); index < count; index++) {
+            times.push(task.nextRunAt + index * plan.every);
+        }
+        return { count, times, partial: false };
+    }
+
+    const times = [];
+    let count = 0;
+    let time = task.nextRunAt;
+    let partial = false;
+
+    while (time !== null && time <= now) {
+        times.push(time);
+        if (times.length > limit) times.shift();
+        count++;
+
+        let after = time;
+        if (count === MAX_CRON_SCAN && time < now - OPTIONS.misfireThreshold - DAY) {
+            after = now - OPTIONS.misfireThreshold - DAY;
+            partial = true;
+        }
+        time = schedule.nextRun(plan, after);
+    }
+    return { count, times, partial };
+}
+
+/**
+ * 处理一个到期的任务
+ * 计算从 nextRunAt 到现在之间的计划时间，按补偿策略决定执行哪些
+ * @param {Object} task - nextRunAt 已到的任务
+ * @param {number} now - 当前时间
+ */
+async function runDue(task, now) {
+    const { count, times, partial } = dueRuns(task, now);
+
+    const missed = times.filter(time => now - time > OPTIONS.misfireThreshold);
+    let runs = times.filter(time => now - time <= OPTIONS.misfireThreshold);
+    const missedCount = count - runs.length;
+
+    if (missedCount > 0) {
+        if (OPTIONS.catchUp === 'once' && runs.length === 0) {
+            runs = [missed[missed.length - 1]];
+        } else if (OPTIONS.catchUp === 'all') {
+            runs = times;
+        }
+        console.warn(`⚠️ [Scheduler] 任务 #${task.id} 错过${partial ? '至少' : ''} ${missedCount} 次计划执行，` +
+            `最早 ${formatTime(task.nextRunAt)}，按策略 ${OPTIONS.catchUp} 补执行 ${runs.length} 次`);
+    }
+
+    // 先更新下一次执行时间，执行失败也不会在下一轮重复触发；失败的执行由 execute 取消任务留下记录
+    await tasks.recordRun(task.robotId, task.id, {
+        lastRunAt: runs.length > 0 ? now : undefined,
+        nextRunAt: schedule.nextRun(task.schedule, now)
+    });
+
+    // 一次性任务错过且不补偿时取消，避免一直停留在 pending
+    if (runs.length === 0 && !schedule.isRecurring(task.schedule)) {
+        await data.transitionTask(task.robotId, task.id, 'cancel', {
+            actor: ACTOR,
+            reason: `错过计划时间 ${formatTime(task.nextRunAt)}`
+        });
+        return;
+    }
+
+    for (const scheduledAt of runs) {
+        await execute(task, scheduledAt);
+    }
+}
+
+/**
+ * 检查所有到期的任务
+ */
+async function check() {
+    if (checking) return;
+    checking = true;
+
+    try {
+        const now = Date.now();
+        const dueTasks = (await tasks.listAll())
+            .filter(task => task.status === 'pending' && task.nextRunAt !== null && task.nextRunAt <= now);
+
+        for (const task of dueTasks) {
+            try {
+                await runDue(task, now);
+            } catch (error) {
+                console.error(`[Scheduler] 执行任务 #${task.id} 失败:`, error.message);
+            }
+        }
+    } catch (error) {
+        console.error('[Scheduler] 检查到期任务失败:', error.message);
+    } finally {
+        checking = false;
+    }
+}
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 预览机器人接下来的计划执行
+ * 周期计划会展开为多次执行
+ * @param {string} robotId - 机器人ID
+ * @param {Object} options - { limit, until }
+ * @param {number} options.limit - 最多返回的条数
+ * @param {number} options.until - 截止时间戳
+ * @returns {Promise<Array>} [{ taskId, name, action, runAt, recurring }]，按时间升序
+ */
+async function upcoming(robotId, { limit, until }) {
+    const runs = [];
+
+    (await tasks.list(robotId))
+        .filter(task => task.status === 'pending' && task.nextRunAt !== null)
+        .forEach((task) => {
+            const recurring = schedule.isRecurring(task.schedule);
+            let count = 0;
+
+            for (let time = task.nextRunAt; time !== null && time <= until && count < limit; time = schedule.nextRun(task.schedule, time)) {
+                runs.push({ taskId: task.id, name: task.name, action: task.action, runAt: time, recurring });
+                count++;
+            }
+        });
+
+    return runs.sort((a, b) => a.runAt - b.runAt).slice(0, limit);
+}
+
+/**
+ * 启动调度器
+ */
+function start() {
+    if (!OPTIONS.enabled) {
+        console.log('[Scheduler] 任务调度未启用');
+        return;
+    }
+
+    if (!CATCH_UP_POLICIES.includes(OPTIONS.catchUp)) {
+        throw new Error(`未知的补偿策略 scheduler.catchUp: ${OPTIONS.catchUp}，可选: ${CATCH_UP_POLICIES.join(', ')}`);
+    }
+
+    timer = setInterval(check, OPTIONS.checkInterval);
+    console.log(`[Scheduler] 任务调度已启动 (补偿策略: ${OPTIONS.catchUp})`);
+}
+
+/**
+ * 停止调度器
+ */
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    start,
+    stop,
+    upcoming
+};
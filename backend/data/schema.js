@@ -0,0 +1,240 @@
+/**
+ * 数据校验模块
+ *
+ * 功能描述:
+ * - 以声明式的规则 (schema) 描述接口请求体和硬件上报数据的字段类型、取值范围
+ * - 字段范围与 docs/MQTT接口文档.md 一致，REST 接口和 MQTT/串口/WebSocket 数据源共用
+ * - 校验结果按字段列出，REST 接口返回400 (见 controllers/response.js 的 sendValidationError)，
+ *   硬件上报的数据不合法时整段丢弃并计数 (见 data/adapters/cacheAdapter.js)
+ *
+ * 规则格式:
+ *   { type, label?, min?, max?, enum?, minLength?, maxLength?, nullable?, fields?, allowUnknown? }
+ *   type: 'number' | 'integer' | 'string' | 'boolean' | 'object'
+ *   fields: type 为 object 时的子字段规则；未声明的字段报错，allowUnknown 为 true 时忽略
+ *   所有字段都是可选的，必填检查由调用方处理
+ *
+ * 使用方式:
+ *   const schema = require('./schema');
+ *   const errors = schema.validate(schema.SCHEMAS.robotStatus, req.body);
+ *   // [{ field: 'battery', message: 'battery: 电量必须是数字' }]，合法时为空数组
+ *
+ * 文件路径: backend/data/schema.js
+ */
+
+const { COMMANDS, ACTIONS } = require('./constants');
+const { REQUEST_PRIORITIES } = require('./commandQueue');
+
+/**
+ * 类型 -> [判断函数, 名称]
+ */
+const TYPES = {
+    number: [value => typeof value === 'number' && Number.isFinite(value), '数字'],
+    integer: [value => Number.isInteger(value), '整数'],
+    string: [value => typeof value === 'string', '字符串'],
+    boolean: [value => typeof value === 'boolean', '布尔值'],
+    object: [value => value !== null && typeof value === 'object' && !Array.isArray(value), '对象']
+};
+
+// ============================================================
+// 字段规则
+// ============================================================
+
+/**
+ * 遥测字段，范围见 docs/MQTT接口文档.md
+ */
+const FIELDS = {
+    battery: { type: 'number', label: '电量', min: 0, max: 100 },
+    speed: { type: 'number', label: '速度', min: 0, max: 10 },
+    temperature: { type: 'number', label: '温度', min: -20, max: 60 },
+    lat: { type: 'number', label: '纬度', min: -90, max: 90 },
+    lon: { type: 'number', label: '经度', min: -180, max: 180 },
+    soilHumidity: { type: 'number', label: '土壤湿度', min: 0, max: 100 },
+    soilTemp: { type: 'number', label: '土壤温度', min: -10, max: 50 },
+    light: { type: 'number', label: '光照强度', min: 0, max: 100000 },
+    airHumidity: { type: 'number', label: '空气湿度', min: 0, max: 100 },
+    completedArea: { type: 'number', label: '已完成面积', min: 0 },
+    totalArea: { type: 'number', label: '总面积', min: 0 },
+    progress: { type: 'number', label: '完成进度', min: 0, max: 100 }
+};
+
+/**
+ * 任务字段，作业、区域、参数和执行计划的详细规则见 controllers/robotController.js 的 parseTaskPlan
+ */
+const TASK_FIELDS = {
+    name: { type: 'string', label: '任务名称', minLength: 1, maxLength: 100 },
+    status: { type: 'string', label: '任务状态' },
+    progress: FIELDS.progress,
+    action: { type: 'string', label: '作业', enum: Object.keys(ACTIONS), nullable: true },
+    zone: { type: 'string', label: '作业区域', nullable: true },
+    zoneId: { type: 'integer', label: '作业地块', min: 1, nullable: true },
+    params: { type: 'object', label: '作业参数', nullable: true, allowUnknown: true },
+    schedule: { type: 'object', label: '执行计划', nullable: true, allowUnknown: true }
+};
+
+/**
+ * 校验规则
+ */
+const SCHEMAS = {
+    // POST /api/robot/status
+    robotStatus: {
+        type: 'object',
+        fields: {
+            battery: FIELDS.battery,
+            speed: FIELDS.speed,
+            temperature: FIELDS.temperature,
+            lat: FIELDS.lat,
+            lon: FIELDS.lon
+        }
+    },
+
+    // POST /api/sensors
+    sensorData: {
+        type: 'object',
+        fields: {
+            soilHumidity: FIELDS.soilHumidity,
+            soilTemp: FIELDS.soilTemp,
+            light: FIELDS.light,
+            airHumidity: FIELDS.airHumidity
+        }
+    },
+
+    // POST /api/statistics
+    statistics: {
+        type: 'object',
+        fields: {
+            completedArea: FIELDS.completedArea,
+            totalArea: FIELDS.totalArea,
+            progress: FIELDS.progress
+        }
+    },
+
+    // POST /api/robot/control，以及 WebSocket control 消息；运动参数的上限见 data/motion.js
+    control: {
+        type: 'object',
+        fields: {
+            command: { type: 'string', label: '方向指令', enum: Object.keys(COMMANDS) },
+            action: { type: 'string', label: '作业', enum: Object.keys(ACTIONS) },
+            priority: { type: 'string', label: '优先级', enum: REQUEST_PRIORITIES },
+            lease: { type: 'boolean', label: '运动租约' },
+            wait: { type: 'boolean', label: '等待确认' },
+            speed: { type: 'number', label: '速度' },
+            durationMs: { type: 'number', label: '时长' },
+            distance: { type: 'number', label: '距离' },
+            angle: { type: 'number', label: '角度' }
+        }
+    },
+
+    // POST /api/tasks、PUT /api/tasks/:id
+    task: {
+        type: 'object',
+        fields: TASK_FIELDS
+    },
+
+    // POST /api/tasks/:id/progress
+    taskProgress: {
+        type: 'object',
+        fields: {
+            progress: FIELDS.progress,
+            status: { type: 'string', label: '作业状态', enum: ['done', 'failed'] },
+            message: { type: 'string', label: '说明', maxLength: 200 }
+        }
+    },
+
+    // 硬件上报的机器人状态，坐标嵌套在 coordinates 中；硬件附带的其他字段忽略
+    hardwareStatus: {
+        type: 'object',
+        allowUnknown: true,
+        fields: {
+            battery: FIELDS.battery,
+            speed: FIELDS.speed,
+            temperature: FIELDS.temperature,
+            coordinates: {
+                type: 'object',
+                label: 'GPS坐标',
+                allowUnknown: true,
+                fields: { lat: FIELDS.lat, lon: FIELDS.lon }
+            }
+        }
+    }
+};
+
+// 硬件上报的传感器数据、作业统计，规则同 REST 接口，硬件附带的其他字段忽略
+SCHEMAS.hardwareSensors = { ...SCHEMAS.sensorData, allowUnknown: true };
+SCHEMAS.hardwareStatistics = { ...SCHEMAS.statistics, allowUnknown: true };
+
+// ============================================================
+// 校验
+// ============================================================
+
+/**
+ * 取值范围的描述
+ * @param {Object} rule - 字段规则
+ * @returns {string} 如 '在 0~100 之间'、'不小于 0'
+ */
+function describeRange({ min, max }) {
+    if (min !== undefined && max !== undefined) return `在 ${min}~${max} 之间`;
+    if (min !== undefined) return `不小于 ${min}`;
+    return `不大于 ${max}`;
+}
+
+/**
+ * 按规则校验一个值
+ * @param {Object} rule - 规则
+ * @param {*} value - 要校验的值
+ * @param {string} [field] - 字段路径，如 coordinates.lat；顶层为空
+ * @returns {Array<Object>} 错误列表 [{ field, message }]，合法时为空数组
+ */
+function validate(rule, value, field = '') {
+    const fail = text => [{ field, message: `${field || '请求体'}: ${rule.label || ''}${text}` }];
+
+    if (value === null && rule.nullable) return [];
+
+    const [check, typeName] = TYPES[rule.type];
+    if (!check(value)) {
+        return fail(`必须是${typeName}`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        return [{ field, message: `${field}: 未知的${rule.label || '值'} ${value}，可选: ${rule.enum.join(', ')}` }];
+    }
+
+    if ((rule.min !== undefined && value < rule.min) || (rule.max !== undefined && value > rule.max)) {
+        return fail(`必须${describeRange(rule)}`);
+    }
+
+    if (rule.type === 'string') {
+        const { minLength = 0, maxLength = Infinity } = rule;
+        if (value.trim().length < minLength || value.length > maxLength) {
+            return fail(maxLength === Infinity ? '不能为空' : `必须是 ${minLength}-${maxLength} 个字符`);
+        }
+    }
+
+    if (rule.type !== 'object' || !rule.fields) return [];
+
+    const errors = [];
+    Object.keys(value).forEach((key) => {
+        const path = field ? `${field}.${key}` : key;
+
+        if (!rule.fields[key]) {
+            if (!rule.allowUnknown) errors.push({ field: path, message: `${path}: 未知字段` });
+            return;
+        }
+        if (value[key] !== undefined) {
+            errors.push(...validate(rule.fields[key], value[key], path));
+        }
+    });
+    return errors;
+}
+
+/**
+ * 把错误列表合并为一条信息
+ * @param {Array<Object>} errors - validate 的结果
+ * @returns {string} 各字段的错误，以分号分隔
+ */
+const describeErrors = errors => errors.map(error => error.message).join('；');
+
+module.exports = {
+    SCHEMAS,
+    validate,
+    describeErrors
+};
@@ -0,0 +1,214 @@
+/**
+ * 本地存储目录模块
+ *
+ * 功能描述:
+ * - 统一解析本地存储目录 (config.storage.dir，相对 backend 目录)
+ * - 历史数据、任务等文件型存储都放在此目录下
+ * - 提供 JSON 文件的读取与原子写入（先写临时文件再重命名，写入中断不会损坏原文件）
+ * - 提供 JSON 文件仓库 (createJsonRepository)，各仓库共用加载、等待加载、按顺序写盘的流程
+ *
+ * 使用方式:
+ *   const storage = require('./storage');
+ *   const dir = storage.ensureDir('history', 'robot-001');
+ *   const repository = storage.createJsonRepository('zones.json', () => ({ version: 1, nextId: 1, zones: [] }),
+ *       { tag: 'Zones', label: '地块仓库', version: 1, collection: 'zones' });
+ *
+ * 文件路径: backend/data/storage.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const config = require('../config');
+
+/**
+ * 存储根目录（绝对路径）
+ */
+const ROOT = path.resolve(__dirname, '..', config.storage.dir);
+
+/**
+ * 生成存储目录下的路径
+ * @param {...string} parts - 路径片段
+ * @returns {string} 绝对路径
+ * @throws {Error} 路径片段包含 '..' 等使结果超出存储目录时抛出
+ */
+function resolvePath(...parts) {
+    const file = path.resolve(ROOT, ...parts);
+    if (file !== ROOT && !file.startsWith(ROOT + path.sep)) {
+        throw new Error(`存储路径 ${path.join(...parts)} 超出存储目录 ${ROOT}`);
+    }
+    return file;
+}
+
+/**
+ * 确保存储目录下的子目录存在
+ * @param {...string} parts - 路径片段
+ * @returns {string} 目录绝对路径
+ */
+function ensureDir(...parts) {
+    const dir = resolvePath(...parts);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+}
+
+/**
+ * 读取 JSON 文件
+ * @param {string} file - 文件绝对路径
+ * @returns {Promise<*>} 解析结果，文件不存在时返回 null
+ * @throws {Error} 文件内容不是合法 JSON 时抛出
+ */
+async function readJson(file) {
+    let text;
+    try {
+        text = await fs.promises.readFile(file, 'utf8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * 原子写入 JSON 文件
+ * 先写入同目录下的临时文件并刷盘，再重命名覆盖目标文件
+ * @param {string} file - 文件绝对路径
+ * @param {*} data - 要写入的数据
+ * @returns {Promise<void>}
+ */
+async function writeJsonAtomic(file, data) {
+    const temp = `${file}.${process.pid}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+    const handle = await fs.promises.open(temp, 'w');
+    try {
+        await handle.writeFile(JSON.stringify(data, null, 2));
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+
+    await fs.promises.rename(temp, file);
+}
+
+// ============================================================
+// JSON 文件仓库
+// ============================================================
+
+/**
+ * 创建 JSON 文件仓库
+ * 整个文件加载到内存，修改后整体原子写入；所有操作先等待加载完成，
+ * 加载失败时各操作都会抛出，不会把空数据当作文件中的数据
+ * @param {string} file - 文件名（相对存储目录），如 'tasks.json'
+ * @param {Function} defaults - (...args) => 文件不存在时的初始数据，可返回 Promise；args 为 load 的参数
+ * @param {Object} options - 仓库选项
+ *   tag         日志标签，如 'Tasks'
+ *   label       日志中的名称，如 '任务仓库'
+ *   version     当前文件格式版本，文件版本更高时拒绝加载；不设置时不检查
+ *   collection  带自增ID的记录数组的字段名，如 'tasks'，加载时按最大ID修正 nextId
+ *   migrate     (data) => 升级后的数据，返回新对象时写回文件
+ *   onLoad      (data) => 加载后、放行其他操作前执行，可返回 Promise，如把数据整理到 Map 中
+ *   summary     (data) => 加载日志中的统计，如 '3 个任务'
+ *   snapshot    (data) => 写入文件的内容，默认为数据的深拷贝
+ * @returns {Object} { FILE, load(...args), getStore(), peek(), save(), close() }
+ */
+function createJsonRepository(file, defaults, options) {
+    const { tag, label, version, collection, migrate, onLoad, summary, snapshot } = options;
+    const FILE = resolvePath(file);
+
+    // 仓库数据，加载完成前为 null
+    let store = null;
+
+    // 加载完成的 Promise，所有操作先等待加载
+    let resolveLoaded;
+    let rejectLoaded;
+    const loaded = new Promise((resolve, reject) => {
+        resolveLoaded = resolve;
+        rejectLoaded = reject;
+    });
+    loaded.catch(() => {});     // 加载失败由 load 的调用方处理，各操作等待时再抛出
+
+    // 当前写盘操作，保证写入按顺序执行
+    let saving = Promise.resolve();
+
+    /**
+     * 保存仓库数据
+     * 立即生成快照，写入排在之前的写入之后
+     * @returns {Promise<void>}
+     */
+    function save() {
+        const content = snapshot ? snapshot(store) : JSON.parse(JSON.stringify(store));
+        saving = saving.catch(() => {}).then(() => writeJsonAtomic(FILE, content));
+        return saving;
+    }
+
+    /**
+     * 加载仓库
+     * 服务启动时调用一次
+     * @param {...*} args - 传给 defaults
+     * @returns {Promise<void>}
+     */
+    async function load(...args) {
+        try {
+            const data = await readJson(FILE);
+
+            if (data && version !== undefined && data.version > version) {
+                throw new Error(`文件 ${file} 的版本 ${data.version} 高于当前支持的版本 ${version}，请升级程序`);
+            }
+
+            store = data === null ? await defaults(...args) : data;
+            if (migrate && data !== null) store = migrate(data);
+            if (store !== data) await save();
+
+            // 防止手工编辑文件后ID重复
+            if (collection) {
+                const maxId = store[collection].reduce((max, item) => Math.max(max, item.id), 0);
+                store.nextId = Math.max(store.nextId, maxId + 1);
+            }
+
+            if (onLoad) await onLoad(store);
+
+            console.log(`[${tag}] ${label}已加载: ${FILE}${summary ? ` (${summary(store)})` : ''}`);
+            resolveLoaded();
+        } catch (error) {
+            console.error(`[${tag}] ${label}加载失败:`, error.message);
+            rejectLoaded(error);
+            throw error;
+        }
+    }
+
+    /**
+     * 等待加载完成，并返回仓库数据
+     * @returns {Promise<Object>} 仓库数据
+     */
+    async function getStore() {
+        await loaded;
+        return store;
+    }
+
+    /**
+     * 不等待加载，直接返回仓库数据，供同步判断使用
+     * @returns {Object|null} 仓库数据，加载完成前为 null
+     */
+    const peek = () => store;
+
+    /**
+     * 等待未完成的写入
+     * 服务退出时调用
+     * @returns {Promise<void>}
+     */
+    function close() {
+        return saving.catch(() => {});
+    }
+
+    return { FILE, load, getStore, peek, save, close };
+}
+
+module.exports = {
+    ROOT,
+    resolvePath,
+    ensureDir,
+    readJson,
+    writeJsonAtomic,
+    createJsonRepository
+};
@@ -0,0 +1,85 @@
+/**
+ * 任务生命周期模块
+ *
+ * 功能描述:
+ * - 定义任务状态和允许的状态转换（状态机）
+ * - 任务状态只能通过操作 (start/pause/resume/complete/fail/cancel) 改变
+ * - 非法转换抛出 status 为 409 的错误，由控制器返回给客户端
+ *
+ * 状态转换:
+ *   pending --start--> active --pause--> paused --resume--> active --complete--> done
+ *   active / paused --fail--> failed
+ *   pending / active / paused --cancel--> cancelled
+ *   done、failed、cancelled 为终止状态，不能再转换
+ *
+ * 使用方式:
+ *   const lifecycle = require('./taskLifecycle');
+ *   const to = lifecycle.nextStatus(task, 'start');   // 非法时抛出 409 错误
+ *
+ * 文件路径: backend/data/taskLifecycle.js
+ */
+
+const { createError } = require('./errors');
+
+/**
+ * 任务状态
+ */
+const STATUSES = ['pending', 'active', 'paused', 'done', 'failed', 'cancelled'];
+
+/**
+ * 终止状态 - 不能再转换，也不能再修改进度
+ */
+const FINAL_STATUSES = ['done', 'failed', 'cancelled'];
+
+/**
+ * 操作 -> { from: 允许的当前状态, to: 目标状态 }
+ */
+const TRANSITIONS = {
+    start: { from: ['pending'], to: 'active' },
+    pause: { from: ['active'], to: 'paused' },
+    resume: { from: ['paused'], to: 'active' },
+    complete: { from: ['active'], to: 'done' },
+    fail: { from: ['active', 'paused'], to: 'failed' },
+    cancel: { from: ['pending', 'active', 'paused'], to: 'cancelled' }
+};
+
+/**
+ * 操作列表
+ */
+const ACTIONS = Object.keys(TRANSITIONS);
+
+/**
+ * 计算操作后的状态
+ * @param {Object} task - 任务
+ * @param {string} action - 操作名
+ * @returns {string} 目标状态
+ * @throws {Error} 操作未知 (status 400) 或当前状态不允许该操作 (status 409) 时抛出
+ */
+function nextStatus(task, action) {
+    const transition = TRANSITIONS[action];
+
+    if (!transition) {
+        throw createError(`未知的任务操作: ${action}，可选: ${ACTIONS.join(', ')}`, 400);
+    }
+
+    if (!transition.from.includes(task.status)) {
+        throw createError(`任务 #${task.id} 当前状态为 ${task.status}，不能执行 ${action}`, 409);
+    }
+
+    return transition.to;
+}
+
+/**
+ * 判断任务是否已结束
+ * @param {Object} task - 任务
+ * @returns {boolean} 是否处于终止状态
+ */
+const isFinal = task => FINAL_STATUSES.includes(task.status);
+
+module.exports = {
+    STATUSES,
+    FINAL_STATUSES,
+    ACTIONS,
+    nextStatus,
+    isFinal
+};
@@ -0,0 +1,418 @@
+/**
+ * 任务仓库模块
+ *
+ * 功能描述:
+ * - 持久化保存所有机器人的任务，服务重启后不丢失
+ * - 任务由本仓库统一管理，与当前使用的遥测数据源（模拟、MQTT、HTTP等）无关
+ * - 任务ID全局单调递增，删除后不会复用
+ * - 每个任务记录 createdAt / updatedAt
+ * - 任务状态只能按生命周期转换 (data/taskLifecycle.js)，每次转换记入 history
+ * - 任务可带执行计划 (data/schedule.js)，nextRunAt 为下一次计划执行时间，由调度器使用
+ * - 任务可绑定作业 (action)、作业区域 (zone) 和作业参数 (params)，启动时下发给机器人 (data/taskRunner.js)
+ * - 作业地块 (zoneId) 指向 data/zoneRepository.js 中的地块，作业覆盖只计入该地块 (data/coverage.js)
+ *
+ * 存储格式 (storage/tasks.json，整体原子写入):
+ * {
+ *   "version": 5,
+ *   "nextId": 4,
+ *   "tasks": [
+ *     { "id": 1, "robotId": "robot-001", "name": "A区灌溉作业", "status": "active",
+ *       "progress": 45, "createdAt": 1769737700000, "updatedAt": 1769737800000,
+ *       "history": [
+ *         { "from": null, "to": "pending", "at": 1769737700000, "actor": "admin" },
+ *         { "from": "pending", "to": "active", "at": 1769737800000, "actor": "admin" }
+ *       ],
+ *       "action": "irrigation",                                   // 启动时执行的作业，可为 null
+ *       "zone": "A区", "params": { "flowRate": 20 },              // 作业区域（可为 null）和参数
+ *       "zoneId": 1,                                              // 作业地块，可为 null
+ *       "schedule": { "startAt": null, "cron": "0 6 * * *", "every": null },  // 可为 null
+ *       "nextRunAt": 1769810400000, "lastRunAt": 1769724000000,
+ *       "planId": null }                                          // 周期任务生成的执行实例指向所属计划
+ *   ]
+ * }
+ *
+ * 数据迁移:
+ * - 文件不存在时（首次启动），从数据源导入每台已登记机器人的现有任务
+ *   （模拟数据的示例任务、HTTP网关或数据库中的任务），之后只使用本仓库
+ * - 文件格式升级时在 MIGRATIONS 中追加一步，加载时依次执行并写回新格式
+ * - 旧版本（无 version 字段）为 GET /api/tasks 返回的任务数组，归属默认机器人
+ *
+ * 文件路径: backend/data/taskRepository.js
+ */
+
+const fleet = require('./fleet');
+const storage = require('./storage');
+const lifecycle = require('./taskLifecycle');
+const { createError } = require('./errors');
+const schedule = require('./schedule');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 5;
+
+/**
+ * 计划相关字段的默认值
+ */
+const SCHEDULE_DEFAULTS = {
+    action: null,
+    schedule: null,
+    nextRunAt: null,
+    lastRunAt: null,
+    planId: null
+};
+
+/**
+ * 格式迁移步骤
+ * MIGRATIONS[n] 把版本 n 的数据转换为版本 n + 1
+ */
+const MIGRATIONS = [
+    // 0 -> 1: 旧版任务数组 -> { version, nextId, tasks }
+    (legacy) => {
+        const now = Date.now();
+        const tasks = legacy.map(task => ({
+            ...task,
+            robotId: task.robotId || fleet.DEFAULT_ROBOT_ID,
+            createdAt: task.createdAt || now,
+            updatedAt: task.updatedAt || now
+        }));
+        return { version: 1, nextId: Math.max(0, ...tasks.map(task => task.id)) + 1, tasks };
+    },
+
+    // 1 -> 2: 增加状态转换历史，无法识别的状态重置为 pending
+    (data) => ({
+        ...data,
+        version: 2,
+        tasks: data.tasks.map((task) => {
+            const status = lifecycle.STATUSES.includes(task.status) ? task.status : 'pending';
+            return {
+                ...task,
+                status,
+                history: [{ from: null, to: status, at: task.createdAt, actor: 'system' }]
+            };
+        })
+    }),
+
+    // 2 -> 3: 增加作业和执行计划字段
+    (data) => ({
+        ...data,
+        version: 3,
+        tasks: data.tasks.map(task => ({ ...SCHEDULE_DEFAULTS, ...task }))
+    }),
+
+    // 3 -> 4: 增加作业区域和参数
+    (data) => ({
+        ...data,
+        version: 4,
+        tasks: data.tasks.map(task => ({ zone: null, params: {}, ...task }))
+    }),
+
+    // 4 -> 5: 增加作业地块
+    (data) => ({
+        ...data,
+        version: 5,
+        tasks: data.tasks.map(task => ({ zoneId: null, ...task }))
+    })
+];
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 把读取到的数据升级到当前版本
+ * @param {Object|Array} data - 文件内容
+ * @returns {Object} 当前版本的数据，已是当前版本时原样返回
+ */
+function migrate(data) {
+    let version = Array.isArray(data) ? 0 : data.version;
+
+    while (version < VERSION) {
+        console.log(`[Tasks] 迁移任务文件: v${version} -> v${version + 1}`);
+        data = MIGRATIONS[version](data);
+        version = data.version;
+    }
+    return data;
+}
+
+/**
+ * 首次启动时从数据源导入已登记机器人的任务
+ * @param {Function} importTasks - (robotId) => 任务数组
+ * @returns {Promise<Object>} 仓库数据
+ */
+async function importFromSource(importTasks) {
+    const now = Date.now();
+    const result = { version: VERSION, nextId: 1, tasks: [] };
+
+    for (const { id: robotId } of fleet.listRobots()) {
+        let tasks = [];
+        try {
+            tasks = (await importTasks(robotId)) || [];
+        } catch (error) {
+            console.error(`[Tasks] 导入任务失败 (${robotId}):`, error.message);
+        }
+
+        tasks.forEach((task) => {
+            const status = lifecycle.STATUSES.includes(task.status) ? task.status : 'pending';
+            result.tasks.push({
+                id: result.nextId++,
+                robotId,
+                name: task.name,
+                status,
+                progress: status === 'done' ? 100 : task.progress || 0,
+                createdAt: now,
+                updatedAt: now,
+                history: [{ from: null, to: status, at: now, actor: 'system' }],
+                ...SCHEDULE_DEFAULTS,
+                zone: null,
+                zoneId: null,
+                params: {}
+            });
+        });
+    }
+
+    console.log(`[Tasks] 首次启动，已从数据源导入 ${result.tasks.length} 个任务`);
+    return result;
+}
+
+/**
+ * 任务仓库 (storage/tasks.json)，加载与保存见 storage.createJsonRepository
+ */
+const repository = storage.createJsonRepository('tasks.json', importFromSource, {
+    tag: 'Tasks',
+    label: '任务仓库',
+    version: VERSION,
+    collection: 'tasks',
+    migrate,
+    summary: data => `${data.tasks.length} 个任务`
+});
+
+const { getStore, save, close } = repository;
+
+/**
+ * 加载任务仓库
+ * 服务启动时调用一次，数据源初始化之后调用以便导入其现有任务
+ * @param {Function} importTasks - 首次启动时读取数据源任务的函数 (robotId) => 任务数组
+ * @returns {Promise<void>}
+ */
+const init = importTasks => repository.load(importTasks);
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 获取机器人的任务列表
+ * @param {string} robotId - 机器人ID
+ * @returns {Promise<Array>} 任务数组，按ID升序
+ */
+async function list(robotId) {
+    const { tasks } = await getStore();
+    return tasks.filter(task => task.robotId === robotId);
+}
+
+/**
+ * 获取全部机器人的任务
+ * @returns {Promise<Array>} 任务数组
+ */
+async function listAll() {
+    const { tasks } = await getStore();
+    return tasks;
+}
+
+/**
+ * 获取单个任务
+ * @param {string} robotId - 机器人ID
+ * @param {number} taskId - 任务ID
+ * @returns {Promise<Object|null>} 任务，不存在时返回null
+ */
+async function get(robotId, taskId) {
+    const { tasks } = await getStore();
+    return tasks.find(task => task.id === taskId && task.robotId === robotId) || null;
+}
+
+/**
+ * 创建任务，新任务总是处于 pending 状态
+ * @param {string} robotId - 机器人ID
+ * @param {Object} taskData - { name, progress?, action?, zone?, zoneId?, params?, schedule?, planId? }
+ *   schedule 为 schedule.parse 的结果
+ * @param {string} actor - 操作者
+ * @returns {Promise<Object>} 创建的任务
+ */
+async function create(robotId, taskData, actor = 'system') {
+    const data = await getStore();
+    const now = Date.now();
+
+    const task = {
+        id: data.nextId++,
+        robotId,
+        name: taskData.name,
+        status: 'pending',
+        progress: taskData.progress || 0,
+        createdAt: now,
+        updatedAt: now,
+        history: [{ from: null, to: 'pending', at: now, actor }],
+        action: taskData.action || null,
+        zone: taskData.zone || null,
+        zoneId: taskData.zoneId || null,
+        params: taskData.params || {},
+        schedule: taskData.schedule || null,
+        nextRunAt: taskData.schedule ? schedule.nextRun(taskData.schedule, now - 1) : null,
+        lastRunAt: null,
+        planId: taskData.planId || null
+    };
+
+    data.tasks.push(task);
+    await save();
+
+    console.log(`✅ [Tasks] 创建任务 #${task.id} (${robotId}):`, task.name);
+    return task;
+}
+
+/**
+ * 更新任务名称、进度、作业和执行计划
+ * 状态不能在这里修改，请使用 transition
+ * @param {string} robotId - 机器人ID
+ * @param {number} taskId - 任务ID
+ * @param {Object} updateData - { name?, progress?, action?, zone?, zoneId?, params?, schedule? }
+ *   schedule 为 schedule.parse 的结果，null 表示取消计划
+ * @returns {Promise<Object|null>} 更新后的任务，任务不存在时返回null
+ * @throws {Error} 已结束的任务修改进度、非 pending 任务修改作业或计划时抛出 (status 409)
+ */
+async function update(robotId, taskId, updateData) {
+    const task = await get(robotId, taskId);
+    if (!task) return null;
+
+    if (updateData.progress !== undefined && lifecycle.isFinal(task)) {
+        throw createError(`任务 #${taskId} 已结束 (${task.status})，不能修改进度`, 409);
+    }
+
+    // 作业已下发给机器人后不能再修改
+    const changesJob = ['action', 'zone', 'zoneId', 'params', 'schedule'].some(key => updateData[key] !== undefined);
+    if (changesJob && task.status !== 'pending') {
+        throw createError(`任务 #${taskId} 当前状态为 ${task.status}，只有 pending 任务可以修改作业和计划`, 409);
+    }
+
+    const now = Date.now();
+
+    if (updateData.name !== undefined) task.name = updateData.name;
+    if (updateData.progress !== undefined) task.progress = Math.min(Math.max(updateData.progress, 0), 100);
+    if (updateData.action !== undefined) task.action = updateData.action;
+    if (updateData.zone !== undefined) task.zone = updateData.zone;
+    if (updateData.zoneId !== undefined) task.zoneId = updateData.zoneId;
+    if (updateData.params !== undefined) task.params = updateData.params;
+    if (updateData.schedule !== undefined) {
+        task.schedule = updateData.schedule;
+        task.nextRunAt = task.schedule ? schedule.nextRun(task.schedule, now - 1) : null;
+    }
+    task.updatedAt = now;
+
+    await save();
+
+    console.log(`📝 [Tasks] 更新任务 #${taskId} (${robotId}):`, updateData);
+    return task;
+}
+
+/**
+ * 检查任务状态转换，不修改任务
+ * 与 transition 的检查相同，供需要先下发作业再提交状态的调用方预先检查 (data/taskRunner.js)
+ * @param {string} robotId - 机器人ID
+ * @param {number} taskId - 任务ID
+ * @param {string} action - 操作 start | pause | resume | complete | fail | cancel
+ * @returns {Promise<Object|null>} { task, to }，to 为目标状态；任务不存在时返回null
+ * @throws {Error} 操作未知 (status 400)、周期计划执行取消以外的操作或当前状态不允许 (status 409) 时抛出
+ */
+async function checkTransition(robotId, taskId, action) {
+    const task = await get(robotId, taskId);
+    if (!task) return null;
+
+    // 周期任务是执行计划，每次执行生成新的任务实例，计划本身只能取消
+    if (schedule.isRecurring(task.schedule) && action !== 'cancel') {
+        throw createError(`任务 #${taskId} 是周期计划，由调度器按计划执行，只能取消`, 409);
+    }
+
+    return { task, to: lifecycle.nextStatus(task, action) };
+}
+
+/**
+ * 执行任务状态转换
+ * @param {string} robotId - 机器人ID
+ * @param {number} taskId - 任务ID
+ * @param {string} action - 操作 start | pause | resume | complete | fail | cancel
+ * @param {Object} options - { actor, reason? }
+ * @returns {Promise<Object|null>} 转换后的任务，任务不存在时返回null
+ * @throws {Error} 操作未知 (status 400) 或当前状态不允许 (status 409) 时抛出，见 checkTransition
+ */
+async function transition(robotId, taskId, action, { actor = 'system', reason } = {}) {
+    const checked = await checkTransition(robotId, taskId, action);
+    if (!checked) return null;
+
+    const { task, to } = checked;
+    const from = task.status;
+    const now = Date.now();
+
+    task.status = to;
+    if (to === 'done') task.progress = 100;
+    task.updatedAt = now;
+
+    // 离开 pending 后不再按计划启动
+    task.nextRunAt = null;
+    task.history.push(reason ? { from, to, at: now, actor, reason } : { from, to, at: now, actor });
+
+    await save();
+
+    console.log(`🔄 [Tasks] 任务 #${taskId} (${robotId}): ${from} -> ${to} (${actor})`);
+    return task;
+}
+
+/**
+ * 记录计划执行，更新下一次执行时间
+ * 由调度器调用
+ * @param {string} robotId - 机器人ID
+ * @param {number} taskId - 任务ID
+ * @param {Object} run - { lastRunAt?, nextRunAt }
+ * @returns {Promise<Object|null>} 更新后的任务，任务不存在时返回null
+ */
+async function recordRun(robotId, taskId, { lastRunAt, nextRunAt }) {
+    const task = await get(robotId, taskId);
+    if (!task) return null;
+
+    if (lastRunAt !== undefined) task.lastRunAt = lastRunAt;
+    task.nextRunAt = nextRunAt;
+    task.updatedAt = Date.now();
+
+    await save();
+    return task;
+}
+
+/**
+ * 删除任务
+ * @param {string} robotId - 机器人ID
+ * @param {number} taskId - 任务ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+async function remove(robotId, taskId) {
+    const data = await getStore();
+    const index = data.tasks.findIndex(task => task.id === taskId && task.robotId === robotId);
+    if (index === -1) return false;
+
+    data.tasks.splice(index, 1);
+    await save();
+
+    console.log(`🗑️ [Tasks] 删除任务 #${taskId} (${robotId})`);
+    return true;
+}
+
+module.exports = {
+    init,
+    close,
+    list,
+    listAll,
+    get,
+    create,
+    update,
+    checkTransition,
+    transition,
+    recordRun,
+    remove
+};
@@ -0,0 +1,235 @@
+/**
+ * 任务执行模块
+ *
+ * 功能描述:
+ * - 任务状态转换时把绑定的作业下发给机器人:
+ *   start / resume 通过 handleAction 下发作业、区域、参数和当前进度，
+ *   pause / fail / cancel 进行中的任务时发送 stop 指令
+ * - 先检查状态转换，再下发作业，最后提交状态: 下发出错 (如急停锁定 423) 时任务状态不变，
+ *   提交失败时发送 stop 撤回已下发的作业
+ * - 作业未送达、被机器人拒绝 (rejected) 或确认超时 (timeout) 时，进行中的任务转为 failed
+ * - 急停锁定期间不能启动或继续任务 (data/safety.js)
+ * - 订阅机器人上报的作业进度 (taskProgress 事件)，更新任务进度，
+ *   上报 done / failed 时结束任务
+ *
+ * 作业进度反馈格式:
+ *   { taskId, progress?, status?, message? }
+ *   progress: 0-100，status: 'done' | 'failed'，message: 说明（记入状态历史）
+ *   MQTT 发布到 robot/{robotId}/progress，串口/WebSocket 放在数据的 taskProgress 字段，
+ *   HTTP 网关可调用 POST /api/tasks/:id/progress
+ *
+ * 使用方式:
+ *   const runner = require('./taskRunner');
+ *   runner.start();                                          // 服务启动时订阅进度反馈
+ *   const { task, dispatch } = await runner.transition('robot-001', 2, 'start', { actor: 'admin' });
+ *   runner.stop();                                           // 服务退出时
+ *
+ * 文件路径: backend/data/taskRunner.js
+ */
+
+const commands = require('./commands');
+const data = require('./dataSource');
+const events = require('./events');
+const { createError } = require('./errors');
+const safety = require('./safety');
+
+/**
+ * 机器人上报的作业结束状态 -> 任务操作
+ */
+const FEEDBACK_ACTIONS = {
+    done: 'complete',
+    failed: 'fail'
+};
+
+/**
+ * 下发作业的状态操作
+ */
+const DISPATCH_ACTIONS = ['start', 'resume'];
+
+/**
+ * 停止作业的状态操作（仅当任务原来处于 active 时）
+ */
+const STOP_ACTIONS = ['pause', 'fail', 'cancel'];
+
+let unsubscribe = null;
+
+// ============================================================
+// 作业下发
+// ============================================================
+
+/**
+ * 下发任务绑定的作业
+ * @param {Object} task - 任务
+ * @returns {Promise<Object>} handleAction 的执行结果
+ */
+const dispatchJob = task => data.handleAction(task.robotId, task.action, {
+    taskId: task.id,
+    zone: task.zone,
+    zoneId: task.zoneId,
+    params: task.params,
+    progress: task.progress
+});
+
+/**
+ * 撤回已下发的作业: 状态提交失败时发送 stop，避免机器人执行一个状态未改变的任务
+ * @param {string} robotId - 机器人ID
+ * @param {number} taskId - 任务ID
+ * @param {string} reason - 撤回原因
+ * @returns {Promise<void>}
+ */
+async function recallJob(robotId, taskId, reason) {
+    console.warn(`[TaskRunner] 任务 #${taskId} (${robotId}) ${reason}，发送 stop 撤回已下发的作业`);
+    try {
+        await data.handleCommand(robotId, 'stop');
+    } catch (error) {
+        console.error(`[TaskRunner] 撤回任务 #${taskId} 的作业失败:`, error.message);
+    }
+}
+
+/**
+ * 等待作业指令结束，被机器人拒绝或确认超时时让进行中的任务失败
+ * 在后台执行，不阻塞状态转换的返回
+ * @param {Object} task - 已提交状态的任务
+ * @param {Object} dispatch - handleAction 的执行结果
+ * @returns {Promise<void>}
+ */
+async function watchDispatch(task, dispatch) {
+    const record = await commands.waitFor(dispatch.commandId);
+    if (!record || (record.state !== 'rejected' && record.state !== 'timeout')) return;
+
+    // 等待期间任务可能已暂停或结束，只处理仍在执行中的
+    const current = await data.getTask(task.robotId, task.id);
+    if (!current || current.status !== 'active') return;
+
+    await data.transitionTask(task.robotId, task.id, 'fail', {
+        actor: 'system',
+        reason: record.state === 'rejected' ? `机器人拒绝作业: ${record.message}` : '作业确认超时'
+    });
+}
+
+/**
+ * 改变任务状态，并按需向机器人下发作业或停止指令
+ * start / resume 先检查转换、下发作业，再提交状态: 下发出错时抛出且任务状态不变，提交失败时撤回作业
+ * @param {string} robotId - 机器人ID
+ * @param {number} taskId - 任务ID
+ * @param {string} action - 操作名
+ * @param {Object} options - { actor, reason }
+ * @returns {Promise<Object|null>} { task, dispatch }，dispatch 为下发结果（没有下发时为 null）；任务不存在时返回null
+ * @throws {Error} 操作未知 (status 400)、当前状态不允许 (status 409) 或急停锁定中启动任务 (status 423) 时抛出
+ */
+async function transition(robotId, taskId, action, options) {
+    if (DISPATCH_ACTIONS.includes(action)) {
+        await safety.assertClear(robotId, `任务 #${taskId} ${action}`);
+    }
+
+    // 下发前执行仓库的全部检查（周期计划、当前状态），不合法的操作不会下发作业
+    const checked = await data.checkTaskTransition(robotId, taskId, action);
+    if (!checked) return null;
+    const current = checked.task;
+
+    let dispatch = null;
+    if (current.action && DISPATCH_ACTIONS.includes(action)) {
+        dispatch = await dispatchJob(current);
+    }
+
+    let task;
+    try {
+        task = await data.transitionTask(robotId, taskId, action, options);
+    } catch (error) {
+        if (dispatch && dispatch.executed) await recallJob(robotId, taskId, `状态提交失败 (${error.message})`);
+        throw error;
+    }
+    if (!task) {
+        if (dispatch && dispatch.executed) await recallJob(robotId, taskId, '已被删除');
+        return null;
+    }
+    if (!task.action) return { task, dispatch };
+
+    if (dispatch && !dispatch.executed) {
+        task = await data.transitionTask(robotId, taskId, 'fail', {
+            actor: 'system',
+            reason: `作业下发失败: ${dispatch.message}`
+        });
+    } else if (dispatch) {
+        watchDispatch(task, dispatch).catch((error) => {
+            console.error(`[TaskRunner] 跟踪任务 #${taskId} 的作业确认失败:`, error.message);
+        });
+    } else if (STOP_ACTIONS.includes(action) && current.status === 'active') {
+        dispatch = await data.handleCommand(robotId, 'stop');
+    }
+
+    return { task, dispatch };
+}
+
+// ============================================================
+// 进度反馈
+// ============================================================
+
+/**
+ * 处理机器人上报的作业进度
+ * @param {string} robotId - 机器人ID
+ * @param {Object} feedback - { taskId, progress?, status?, message? }
+ * @returns {Promise<Object|null>} 更新后的任务，任务不存在时返回null
+ * @throws {Error} 反馈格式无效 (status 400) 或任务不在执行中 (status 409) 时抛出
+ */
+async function reportProgress(robotId, { taskId, progress, status, message }) {
+    if (!Number.isInteger(taskId)) {
+        throw createError('作业进度缺少有效的 taskId', 400);
+    }
+    if (progress !== undefined && (typeof progress !== 'number' || progress < 0 || progress > 100)) {
+        throw createError('progress 必须是 0-100 的数字', 400);
+    }
+    if (status !== undefined && !FEEDBACK_ACTIONS[status]) {
+        throw createError(`未知的作业状态: ${status}，可选: ${Object.keys(FEEDBACK_ACTIONS).join(', ')}`, 400);
+    }
+
+    let task = await data.getTask(robotId, taskId);
+    if (!task) return null;
+
+    if (task.status !== 'active' && task.status !== 'paused') {
+        throw createError(`任务 #${taskId} 当前状态为 ${task.status}，不接受作业进度`, 409);
+    }
+
+    if (progress !== undefined && progress !== task.progress) {
+        task = await data.updateTask(robotId, taskId, { progress });
+    }
+
+    if (status) {
+        task = await data.transitionTask(robotId, taskId, FEEDBACK_ACTIONS[status], {
+            actor: robotId,
+            reason: message
+        });
+    }
+
+    return task;
+}
+
+/**
+ * 启动进度反馈订阅
+ */
+function start() {
+    unsubscribe = events.onTaskProgress(({ robotId, data: feedback }) => {
+        reportProgress(robotId, feedback || {})
+            .then((task) => {
+                if (!task) console.warn(`[TaskRunner] 收到未知任务的作业进度 (${robotId}):`, feedback);
+            })
+            .catch((error) => {
+                console.warn(`[TaskRunner] 忽略作业进度 (${robotId}):`, error.message);
+            });
+    });
+}
+
+/**
+ * 停止进度反馈订阅
+ */
+function stop() {
+    if (unsubscribe) unsubscribe();
+    unsubscribe = null;
+}
+
+module.exports = {
+    start,
+    stop,
+    transition,
+    reportProgress
+};
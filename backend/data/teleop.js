@@ -0,0 +1,200 @@
+/**
+ * 遥控运动租约模块（死人开关）
+ *
+ * 功能描述:
+ * - 带租约的运动指令 (forward/backward/left/right) 为机器人建立一个运动租约，
+ *   操作端按住按键期间必须持续发送心跳续约
+ * - 看门狗定时检查，租约超过 config.teleop.leaseTimeout 未续约时通过当前数据源自动发送 stop，
+ *   防止浏览器崩溃、网络中断后机器人一直行驶；stop 未执行（下发失败、被拒绝）时保留租约，
+ *   按 stopRetryDelay 起指数退避重试，最多 maxStopAttempts 次，用尽后放弃并释放租约
+ * - 每台机器人同一时间只有一个租约，新的运动指令替换旧租约；发送 stop 时释放租约
+ *
+ * 使用方式:
+ *   const teleop = require('./teleop');
+ *   teleop.start();                                       // 服务启动时
+ *   const lease = teleop.grant('robot-001', 'forward', 'zhangsan');
+ *   teleop.renew('robot-001', lease.id);                  // 心跳，租约不存在时返回 null
+ *   teleop.release('robot-001');                          // 发送 stop 时
+ *   teleop.stop();                                        // 服务退出时
+ *
+ * 文件路径: backend/data/teleop.js
+ */
+
+const crypto = require('crypto');
+
+const config = require('../config');
+const data = require('./dataSource');
+
+const OPTIONS = config.teleop;
+
+/**
+ * 需要租约的运动指令
+ */
+const MOTION_COMMANDS = ['forward', 'backward', 'left', 'right'];
+
+// 各机器人的运动租约: robotId -> { id, command, actor, grantedAt, expiresAt, expiring, stopping, attempts, retryAt }
+// expiring 为 true 表示已过期、正在自动停车，stopping 为 true 表示 stop 正在下发，retryAt 为下次重试 stop 的时间
+const leases = new Map();
+
+let timer = null;
+
+// ============================================================
+// 租约管理
+// ============================================================
+
+/**
+ * 租约的对外表示
+ * @param {Object} lease - 租约
+ * @returns {Object} { id, command, expiresAt, timeout }
+ */
+const describe = lease => ({
+    id: lease.id,
+    command: lease.command,
+    expiresAt: lease.expiresAt,
+    timeout: OPTIONS.leaseTimeout
+});
+
+/**
+ * 为运动指令建立租约，替换机器人原有的租约
+ * @param {string} robotId - 机器人ID
+ * @param {string} command - 运动指令
+ * @param {string} actor - 操作者
+ * @returns {Object} 租约 { id, command, expiresAt, timeout }
+ */
+function grant(robotId, command, actor) {
+    const now = Date.now();
+    const lease = {
+        id: crypto.randomUUID(),
+        command,
+        actor,
+        grantedAt: now,
+        expiresAt: now + OPTIONS.leaseTimeout,
+        expiring: false,
+        stopping: false,
+        attempts: 0,
+        retryAt: 0
+    };
+
+    leases.set(robotId, lease);
+    return describe(lease);
+}
+
+/**
+ * 心跳续约
+ * @param {string} robotId - 机器人ID
+ * @param {string} leaseId - 租约ID
+ * @returns {Object|null} 续约后的租约，租约不存在（已过期、已释放或被替换）时返回null
+ */
+function renew(robotId, leaseId) {
+    const lease = leases.get(robotId);
+    if (!lease || lease.id !== leaseId || lease.expiring) return null;
+
+    lease.expiresAt = Date.now() + OPTIONS.leaseTimeout;
+    return describe(lease);
+}
+
+/**
+ * 释放机器人的租约（机器人已收到 stop）
+ * @param {string} robotId - 机器人ID
+ */
+function release(robotId) {
+    leases.delete(robotId);
+}
+
+// ============================================================
+// 看门狗
+// ============================================================
+
+/**
+ * 第 attempts 次自动停止失败后的重试间隔，每次失败翻倍
+ * @param {number} attempts - 已尝试次数
+ * @returns {number} 毫秒
+ */
+const retryDelay = attempts => Math.min(OPTIONS.stopRetryDelay * 2 ** (attempts - 1), OPTIONS.stopRetryMaxDelay);
+
+/**
+ * 对过期租约的机器人发送 stop，执行成功后才删除租约，否则退避后重试
+ * 只在首次失败、放弃和恢复时记录日志，重试期间不重复输出
+ * @param {string} robotId - 机器人ID
+ * @param {Object} lease - 过期的租约
+ * @returns {Promise<void>}
+ */
+async function autoStop(robotId, lease) {
+    lease.stopping = true;
+    lease.attempts++;
+
+    let message;
+    try {
+        const result = await data.handleCommand(robotId, 'stop');
+        message = result.executed ? null : result.message;
+    } catch (error) {
+        message = error.message;
+    }
+    lease.stopping = false;
+
+    // 期间租约已被 stop 释放或被新的运动指令替换
+    if (leases.get(robotId) !== lease) return;
+
+    if (message === null) {
+        leases.delete(robotId);
+        if (lease.attempts > 1) console.log(`✅ [Teleop] ${robotId} 自动停止已执行 (第 ${lease.attempts} 次尝试)`);
+        return;
+    }
+
+    if (lease.attempts >= OPTIONS.maxStopAttempts) {
+        leases.delete(robotId);
+        console.error(`🚨 [Teleop] ${robotId} 自动停止 ${lease.attempts} 次均失败，放弃重试，请人工确认机器人已停止:`, message);
+        return;
+    }
+
+    lease.retryAt = Date.now() + retryDelay(lease.attempts);
+    if (lease.attempts === 1) {
+        console.error(`[Teleop] ${robotId} 自动停止失败，最多重试 ${OPTIONS.maxStopAttempts - 1} 次:`, message);
+    }
+}
+
+/**
+ * 检查过期的租约，对其机器人发送 stop
+ */
+function check() {
+    const now = Date.now();
+
+    leases.forEach((lease, robotId) => {
+        if (lease.expiresAt > now || lease.stopping || lease.retryAt > now) return;
+
+        if (!lease.expiring) {
+            lease.expiring = true;
+            console.warn(`🐕 [Teleop] ${robotId} 的运动租约已 ${now - lease.expiresAt + OPTIONS.leaseTimeout}ms 未续约 ` +
+                `(${lease.command}, ${lease.actor})，自动发送 stop`);
+        }
+
+        autoStop(robotId, lease).catch((error) => {
+            console.error(`[Teleop] ${robotId} 自动停止失败:`, error.message);
+        });
+    });
+}
+
+/**
+ * 启动看门狗
+ */
+function start() {
+    timer = setInterval(check, OPTIONS.checkInterval);
+    console.log(`[Teleop] 运动租约看门狗已启动 (租约 ${OPTIONS.leaseTimeout}ms)`);
+}
+
+/**
+ * 停止看门狗
+ */
+function stop() {
+    clearInterval(timer);
+    timer = null;
+}
+
+module.exports = {
+    MOTION_COMMANDS,
+    start,
+    stop,
+    grant,
+    renew,
+    release
+};
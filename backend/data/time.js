@@ -0,0 +1,59 @@
+/**
+ * 时间参数工具模块
+ *
+ * 功能描述:
+ * - 解析接口参数中的时间点（毫秒时间戳或 ISO 时间）
+ * - 解析时长（毫秒数或 30s、5m、1h、1d 等带单位的写法）
+ * - 供历史查询、任务计划等模块共用
+ *
+ * 文件路径: backend/data/time.js
+ */
+
+/**
+ * 一天的毫秒数
+ */
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * 时长单位 -> 毫秒
+ */
+const UNITS = { ms: 1, s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: DAY };
+
+/**
+ * 解析时间点
+ * @param {string|number} value - 毫秒时间戳或 ISO 时间字符串
+ * @param {string} name - 参数名，用于错误信息
+ * @returns {number} 时间戳
+ * @throws {Error} 格式无效时抛出
+ */
+function parseTime(value, name) {
+    const text = String(value);
+    const time = /^\d+$/.test(text) ? Number(text) : Date.parse(text);
+
+    if (!Number.isFinite(time)) {
+        throw new Error(`${name} 格式无效，应为毫秒时间戳或 ISO 时间`);
+    }
+    return time;
+}
+
+/**
+ * 解析时长
+ * @param {string|number} value - 毫秒数，或带单位的时长如 '30s'、'5m'、'1h'、'1d'
+ * @param {string} name - 参数名，用于错误信息
+ * @returns {number} 毫秒
+ * @throws {Error} 格式无效或为0时抛出
+ */
+function parseDuration(value, name) {
+    const match = /^(\d+)(ms|s|m|h|d)?$/.exec(String(value));
+
+    if (!match || Number(match[1]) === 0) {
+        throw new Error(`${name} 格式无效，应为毫秒数或 30s、5m、1h、1d 等时长`);
+    }
+    return Number(match[1]) * UNITS[match[2] || 'ms'];
+}
+
+module.exports = {
+    DAY,
+    parseTime,
+    parseDuration
+};
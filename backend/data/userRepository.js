@@ -0,0 +1,196 @@
+/**
+ * 用户仓库模块
+ *
+ * 功能描述:
+ * - 持久化保存登录用户，服务重启后不丢失
+ * - 只保存密码的加盐哈希，不保存明文密码（哈希计算见 data/auth.js）
+ * - 用户ID全局单调递增，删除后不会复用
+ * - 未配置 config.auth.secret 时，令牌签名密钥在首次加载时生成并保存在同一文件中
+ *
+ * 存储格式 (storage/users.json，整体原子写入):
+ * {
+ *   "version": 1,
+ *   "nextId": 2,
+ *   "secret": "<令牌签名密钥>",
+ *   "users": [
+ *     { "id": 1, "username": "admin", "role": "admin",
+ *       "passwordHash": "scrypt$<盐>$<哈希>",
+ *       "disabled": false,                                       // 停用的用户不能登录，已签发的令牌失效
+ *       "passwordChangedAt": 1769737700000,
+ *       "tokenVersion": 0,                                       // 修改密码时递增，此前签发的令牌失效
+ *       "lastLoginAt": 1769737886000,
+ *       "createdAt": 1769737700000, "updatedAt": 1769737700000 }
+ *   ]
+ * }
+ *
+ * 文件路径: backend/data/userRepository.js
+ */
+
+const crypto = require('crypto');
+
+const storage = require('./storage');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 1;
+
+/**
+ * 可修改的字段
+ */
+const FIELDS = ['role', 'passwordHash', 'disabled', 'passwordChangedAt', 'lastLoginAt'];
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 生成令牌签名密钥
+ * @returns {string} 随机密钥
+ */
+const createSecret = () => crypto.randomBytes(32).toString('hex');
+
+/**
+ * 用户仓库 (storage/users.json)，加载与保存见 storage.createJsonRepository
+ */
+const repository = storage.createJsonRepository('users.json', () => ({ version: VERSION, nextId: 1, secret: createSecret(), users: [] }), {
+    tag: 'Users',
+    label: '用户仓库',
+    version: VERSION,
+    collection: 'users',
+    // 文件中没有令牌签名密钥时生成并写回
+    migrate: data => (data.secret ? data : { ...data, secret: createSecret() }),
+    summary: data => `${data.users.length} 个用户`
+});
+
+const { getStore, save, close } = repository;
+
+/**
+ * 加载用户仓库
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+const init = () => repository.load();
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 获取保存的令牌签名密钥
+ * @returns {Promise<string>} 密钥
+ */
+async function getSecret() {
+    const { secret } = await getStore();
+    return secret;
+}
+
+/**
+ * 查询全部用户
+ * @returns {Promise<Array>} 用户数组，按ID升序
+ */
+async function list() {
+    const { users } = await getStore();
+    return users;
+}
+
+/**
+ * 获取单个用户
+ * @param {number} userId - 用户ID
+ * @returns {Promise<Object|null>} 用户，不存在时返回null
+ */
+async function get(userId) {
+    const { users } = await getStore();
+    return users.find(user => user.id === userId) || null;
+}
+
+/**
+ * 按用户名查找用户
+ * @param {string} username - 用户名
+ * @returns {Promise<Object|null>} 用户，不存在时返回null
+ */
+async function findByUsername(username) {
+    const { users } = await getStore();
+    return users.find(user => user.username === username) || null;
+}
+
+/**
+ * 创建用户
+ * @param {Object} userData - { username, role, passwordHash, disabled? }，已校验
+ * @returns {Promise<Object>} 创建的用户
+ */
+async function create(userData) {
+    const data = await getStore();
+    const now = Date.now();
+
+    const user = {
+        id: data.nextId++,
+        username: userData.username,
+        role: userData.role,
+        passwordHash: userData.passwordHash,
+        disabled: userData.disabled === true,
+        passwordChangedAt: now,
+        tokenVersion: 0,
+        lastLoginAt: null,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    data.users.push(user);
+    await save();
+
+    console.log(`👤 [Users] 创建用户 #${user.id}: ${user.username} (${user.role})`);
+    return user;
+}
+
+/**
+ * 更新用户
+ * 修改 passwordHash 时递增 tokenVersion，使此前签发的令牌失效
+ * @param {number} userId - 用户ID
+ * @param {Object} updateData - FIELDS 中的任意字段，已校验
+ * @returns {Promise<Object|null>} 更新后的用户，不存在时返回null
+ */
+async function update(userId, updateData) {
+    const user = await get(userId);
+    if (!user) return null;
+
+    FIELDS.forEach((key) => {
+        if (updateData[key] !== undefined) user[key] = updateData[key];
+    });
+    if (updateData.passwordHash !== undefined) {
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+    }
+    user.updatedAt = Date.now();
+
+    await save();
+    return user;
+}
+
+/**
+ * 删除用户
+ * @param {number} userId - 用户ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+async function remove(userId) {
+    const data = await getStore();
+    const index = data.users.findIndex(user => user.id === userId);
+    if (index === -1) return false;
+
+    data.users.splice(index, 1);
+    await save();
+
+    console.log(`🗑️ [Users] 删除用户 #${userId}`);
+    return true;
+}
+
+module.exports = {
+    init,
+    close,
+    getSecret,
+    list,
+    get,
+    findByUsername,
+    create,
+    update,
+    remove
+};
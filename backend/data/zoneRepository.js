@@ -0,0 +1,181 @@
+/**
+ * 地块仓库模块
+ *
+ * 功能描述:
+ * - 持久化保存地块（作业区域），服务重启后不丢失
+ * - 地块ID全局单调递增，删除后不会复用
+ * - 面积在创建、修改边界时由 data/zones.js 计算并保存
+ * - activeZones 同步读取，供适配器计算作业统计的总面积
+ *
+ * 存储格式 (storage/zones.json，整体原子写入):
+ * {
+ *   "version": 1,
+ *   "nextId": 2,
+ *   "zones": [
+ *     { "id": 1, "name": "A区", "crop": "小麦",
+ *       "boundary": { "type": "Polygon", "coordinates": [[[116.398, 40.195], [116.401, 40.195], [116.401, 40.198], [116.398, 40.198], [116.398, 40.195]]] },
+ *       "area": { "squareMeters": 84998.9, "mu": 127.5, "hectares": 8.4999 },
+ *       "robotIds": null,                                        // 负责作业的机器人，null 为全部
+ *       "active": true,                                          // 停用的地块不计入总面积
+ *       "createdAt": 1769737700000, "updatedAt": 1769737700000 }
+ *   ]
+ * }
+ *
+ * 文件路径: backend/data/zoneRepository.js
+ */
+
+const storage = require('./storage');
+
+/**
+ * 当前文件格式版本
+ */
+const VERSION = 1;
+
+/**
+ * 可修改的字段
+ */
+const FIELDS = ['name', 'crop', 'boundary', 'area', 'robotIds', 'active'];
+
+// ============================================================
+// 加载与保存
+// ============================================================
+
+/**
+ * 地块仓库 (storage/zones.json)，加载与保存见 storage.createJsonRepository
+ */
+const repository = storage.createJsonRepository('zones.json', () => ({ version: VERSION, nextId: 1, zones: [] }), {
+    tag: 'Zones',
+    label: '地块仓库',
+    version: VERSION,
+    collection: 'zones',
+    summary: data => `${data.zones.length} 个地块`
+});
+
+const { getStore, save, close } = repository;
+
+/**
+ * 加载地块仓库
+ * 服务启动时调用一次
+ * @returns {Promise<void>}
+ */
+const init = () => repository.load();
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 判断地块是否适用于机器人
+ * @param {Object} zone - 地块
+ * @param {string} robotId - 机器人ID
+ * @returns {boolean} robotIds 为 null 或包含该机器人
+ */
+const appliesTo = (zone, robotId) => !zone.robotIds || zone.robotIds.includes(robotId);
+
+/**
+ * 查询地块
+ * @param {Object} filter - { robotId?, active? }
+ * @returns {Promise<Array>} 地块数组，按ID升序
+ */
+async function list({ robotId, active } = {}) {
+    const { zones } = await getStore();
+    return zones.filter(zone => (!robotId || appliesTo(zone, robotId)) &&
+        (active === undefined || zone.active === active));
+}
+
+/**
+ * 同步获取机器人的启用地块
+ * @param {string} robotId - 机器人ID
+ * @returns {Array} 启用的地块，仓库加载完成前返回空数组
+ */
+function activeZones(robotId) {
+    const data = repository.peek();
+    return data ? data.zones.filter(zone => zone.active && appliesTo(zone, robotId)) : [];
+}
+
+/**
+ * 获取单个地块
+ * @param {number} zoneId - 地块ID
+ * @returns {Promise<Object|null>} 地块，不存在时返回null
+ */
+async function get(zoneId) {
+    const { zones } = await getStore();
+    return zones.find(zone => zone.id === zoneId) || null;
+}
+
+/**
+ * 创建地块
+ * @param {Object} zoneData - { name, crop, boundary, area, robotIds, active }，已校验
+ * @returns {Promise<Object>} 创建的地块
+ */
+async function create(zoneData) {
+    const data = await getStore();
+    const now = Date.now();
+
+    const zone = {
+        id: data.nextId++,
+        name: zoneData.name,
+        crop: zoneData.crop || null,
+        boundary: zoneData.boundary,
+        area: zoneData.area,
+        robotIds: zoneData.robotIds || null,
+        active: zoneData.active !== false,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    data.zones.push(zone);
+    await save();
+
+    console.log(`🌾 [Zones] 创建地块 #${zone.id}: ${zone.name} (${zone.area.mu} 亩)`);
+    return zone;
+}
+
+/**
+ * 更新地块
+ * @param {number} zoneId - 地块ID
+ * @param {Object} updateData - FIELDS 中的任意字段，已校验
+ * @returns {Promise<Object|null>} 更新后的地块，不存在时返回null
+ */
+async function update(zoneId, updateData) {
+    const zone = await get(zoneId);
+    if (!zone) return null;
+
+    FIELDS.forEach((key) => {
+        if (updateData[key] !== undefined) zone[key] = updateData[key];
+    });
+    zone.updatedAt = Date.now();
+
+    await save();
+
+    console.log(`📝 [Zones] 更新地块 #${zoneId}: ${zone.name}`);
+    return zone;
+}
+
+/**
+ * 删除地块
+ * @param {number} zoneId - 地块ID
+ * @returns {Promise<boolean>} 是否删除成功
+ */
+async function remove(zoneId) {
+    const data = await getStore();
+    const index = data.zones.findIndex(zone => zone.id === zoneId);
+    if (index === -1) return false;
+
+    data.zones.splice(index, 1);
+    await save();
+
+    console.log(`🗑️ [Zones] 删除地块 #${zoneId}`);
+    return true;
+}
+
+module.exports = {
+    init,
+    close,
+    list,
+    activeZones,
+    get,
+    create,
+    update,
+    remove
+};
@@ -0,0 +1,236 @@
+/**
+ * 地块管理模块
+ *
+ * 功能描述:
+ * - 校验地块（作业区域）的创建、修改请求，地块保存在 data/zoneRepository.js
+ * - 按边界多边形计算地表面积，单位为平方米、亩、公顷
+ * - 作业统计的总面积 (totalArea) 为机器人启用地块的面积之和（亩），
+ *   已完成面积 (completedArea) 为按作业轨迹计算的地块覆盖面积之和（亩，data/coverage.js），
+ *   并附带各地块的覆盖情况 (zones)；没有适用的启用地块时沿用数据源上报的统计
+ *
+ * 使用方式:
+ *   const zones = require('./zones');
+ *   const zone = await zones.create({ name: 'A区', crop: '小麦', boundary });
+ *   zones.withZoneStatistics('robot-001', { completedArea: 12.5, totalArea: 38.2, progress: 32.7 });
+ *
+ * 文件路径: backend/data/zones.js
+ */
+
+const coverage = require('./coverage');
+const fleet = require('./fleet');
+const geo = require('./geo');
+const { createError } = require('./errors');
+const repository = require('./zoneRepository');
+const { SQUARE_METERS_PER_MU, SQUARE_METERS_PER_HECTARE } = require('./constants');
+
+/**
+ * 按小数位数取整
+ * @param {number} value - 数值
+ * @param {number} digits - 小数位数
+ * @returns {number} 取整后的数值
+ */
+const round = (value, digits) => Number(value.toFixed(digits));
+
+/**
+ * 计算边界的面积
+ * @param {Object} boundary - GeoJSON Polygon
+ * @returns {Object} { squareMeters, mu, hectares }
+ */
+function areaOf(boundary) {
+    const squareMeters = geo.polygonArea(geo.parsePolygon(boundary));
+
+    return {
+        squareMeters: round(squareMeters, 1),
+        mu: round(squareMeters / SQUARE_METERS_PER_MU, 2),
+        hectares: round(squareMeters / SQUARE_METERS_PER_HECTARE, 4)
+    };
+}
+
+// ============================================================
+// 地块校验
+// ============================================================
+
+/**
+ * 校验地块请求
+ * @param {Object} body - 请求体 { name?, crop?, boundary?, robotIds?, active? }
+ * @param {Object} options - { partial: 是否为修改（字段均可选） }
+ * @returns {Object} 提供了的字段，boundary 统一为 GeoJSON Polygon 几何对象，提供边界时附带 area
+ * @throws {Error} 字段无效时抛出 (status 400)，信息以字段名开头
+ */
+function parse(body, { partial = false } = {}) {
+    const result = {};
+    const { name, crop, boundary, robotIds, active } = body;
+
+    if (!partial) {
+        const missing = ['name', 'boundary'].filter(key => body[key] === undefined);
+        if (missing.length > 0) {
+            throw createError(`${missing.join(', ')}: 缺少必填字段`, 400);
+        }
+    }
+
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw createError('name: 必须是非空字符串', 400);
+        }
+        result.name = name.trim();
+    }
+
+    if (crop !== undefined) {
+        if (crop !== null && (typeof crop !== 'string' || !crop.trim())) {
+            throw createError('crop: 必须是非空字符串，null 表示未种植', 400);
+        }
+        result.crop = crop === null ? null : crop.trim();
+    }
+
+    if (boundary !== undefined) {
+        geo.parsePolygon(boundary, 'boundary');
+        const geometry = boundary.type === 'Feature' ? boundary.geometry : boundary;
+        result.boundary = { type: 'Polygon', coordinates: geometry.coordinates };
+        result.area = areaOf(result.boundary);
+
+        if (result.area.squareMeters === 0) {
+            throw createError('boundary: 面积为 0，请检查顶点', 400);
+        }
+    }
+
+    if (robotIds !== undefined) {
+        if (robotIds !== null && (!Array.isArray(robotIds) || robotIds.length === 0)) {
+            throw createError('robotIds: 必须是非空的机器人ID数组，null 表示全部机器人', 400);
+        }
+        const unknown = (robotIds || []).filter(robotId => !fleet.hasRobot(robotId));
+        if (unknown.length > 0) {
+            throw createError(`robotIds: 机器人 ${unknown.join(', ')} 不存在`, 400);
+        }
+        result.robotIds = robotIds;
+    }
+
+    if (active !== undefined) {
+        if (typeof active !== 'boolean') {
+            throw createError('active: 必须是布尔值', 400);
+        }
+        result.active = active;
+    }
+
+    return result;
+}
+
+// ============================================================
+// 增删改
+// ============================================================
+
+/**
+ * 创建地块
+ * @param {Object} body - 请求体，格式见 parse
+ * @returns {Promise<Object>} 创建的地块
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+const create = body => repository.create(parse(body));
+
+/**
+ * 修改地块，修改边界时重新计算面积
+ * @param {number} zoneId - 地块ID
+ * @param {Object} body - 请求体，格式见 parse，字段均可选
+ * @returns {Promise<Object|null>} 修改后的地块，不存在时返回null
+ * @throws {Error} 字段无效时抛出 (status 400)
+ */
+const update = (zoneId, body) => repository.update(zoneId, parse(body, { partial: true }));
+
+/**
+ * 清空地块的作业覆盖，如新一季作业开始前
+ * @param {number} zoneId - 地块ID
+ * @returns {Promise<Object|null>} 地块，不存在时返回null
+ */
+async function resetCoverage(zoneId) {
+    const zone = await repository.get(zoneId);
+    if (!zone) return null;
+
+    await coverage.reset(zoneId);
+    return zone;
+}
+
+/**
+ * 校验任务的作业地块: 地块存在，且由任务所属的机器人负责
+ * @param {string} robotId - 机器人ID
+ * @param {number} zoneId - 地块ID
+ * @returns {Promise<Object>} 地块
+ * @throws {Error} 地块不存在或不由该机器人负责时抛出 (status 400)
+ */
+async function taskZone(robotId, zoneId) {
+    const zone = await repository.get(zoneId);
+    if (!zone) {
+        throw createError(`zoneId: 地块 #${zoneId} 不存在`, 400);
+    }
+    if (zone.robotIds && !zone.robotIds.includes(robotId)) {
+        throw createError(`zoneId: 地块 #${zoneId} (${zone.name}) 不由机器人 ${robotId} 负责`, 400);
+    }
+    return zone;
+}
+
+// ============================================================
+// 作业统计
+// ============================================================
+
+/**
+ * 机器人启用地块的总面积
+ * @param {string} robotId - 机器人ID
+ * @returns {number|null} 总面积（亩），没有适用的启用地块时返回null
+ */
+function totalArea(robotId) {
+    const zones = repository.activeZones(robotId);
+    if (zones.length === 0) return null;
+
+    return round(zones.reduce((sum, zone) => sum + zone.area.mu, 0), 1);
+}
+
+/**
+ * 地块的作业覆盖情况
+ * @param {Object} zone - 地块
+ * @returns {Object} { id, name, crop, area, coveredArea, coverage }，面积单位为亩，coverage 为百分比
+ */
+function coverageOf(zone) {
+    const covered = coverage.coveredArea(zone);
+
+    return {
+        id: zone.id,
+        name: zone.name,
+        crop: zone.crop,
+        area: zone.area.mu,
+        coveredArea: round(covered / SQUARE_METERS_PER_MU, 2),
+        coverage: zone.area.squareMeters > 0 ? Math.min(100, round(covered / zone.area.squareMeters * 100, 1)) : 0
+    };
+}
+
+/**
+ * 用地块面积和作业覆盖替换作业统计中的总面积、已完成面积，并重新计算完成进度
+ * 适配器返回统计数据前调用
+ * @param {string} robotId - 机器人ID
+ * @param {Object} stats - { completedArea, totalArea, progress }
+ * @returns {Object} 作业统计 + zones: 各地块的覆盖情况，没有适用的启用地块时原样返回
+ */
+function withZoneStatistics(robotId, stats) {
+    const active = repository.activeZones(robotId);
+    if (active.length === 0) return stats;
+
+    const total = totalArea(robotId);
+    const covered = active.reduce((sum, zone) => sum + coverage.coveredArea(zone), 0) / SQUARE_METERS_PER_MU;
+
+    return {
+        ...stats,
+        completedArea: round(covered, 1),
+        totalArea: total,
+        progress: total > 0 ? Math.min(100, round(covered / total * 100, 1)) : 0,
+        zones: active.map(coverageOf)
+    };
+}
+
+module.exports = {
+    list: repository.list,
+    get: repository.get,
+    create,
+    update,
+    remove: repository.remove,
+    resetCoverage,
+    taskZone,
+    totalArea,
+    withZoneStatistics
+};
@@ -0,0 +1,187 @@
+/**
+ * SSE (Server-Sent Events) 事件中心
+ *
+ * 功能描述:
+ * - 订阅数据层事件，转换为带递增ID的SSE事件并推送给所有连接的客户端
+ * - 事件ID为 "<启动标识>-<序号>"，服务重启后序号从1开始，旧ID不会与新事件混淆
+ * - 最近的事件保存在内存重放缓冲区，客户端带 Last-Event-ID 重连时补发；
+ *   ID 来自上一次启动、无法识别或已超出缓冲区时无法续传，发送 resync 事件通知客户端重新获取全量状态
+ * - 定时发送保活注释，防止代理断开空闲连接
+ *
+ * 事件类型:
+ *   status / sensors / tasks / statistics - 数据变更
+ *   connection                            - 机器人在线状态变化
+ *   alert                                 - 告警变化
+ *   resync                                - 无法续传，客户端应通过 REST 接口重新获取状态（不可订阅，总是发送）
+ * 事件数据: { robotId, data, timestamp }
+ *
+ * 文件路径: backend/realtime/sseHub.js
+ */
+
+const config = require('../config');
+const events = require('../data/events');
+
+const OPTIONS = config.realtime;
+
+/**
+ * 全部事件类型
+ */
+const EVENT_TYPES = [...events.CHANNELS, 'connection', 'alert'];
+
+// 重放缓冲区: [{ id, seq, event, robotId, payload }]，按序号递增
+const buffer = [];
+
+// 已连接的客户端
+const clients = new Set();
+
+// 本次启动的标识，作为事件ID前缀
+const BOOT_ID = Date.now().toString(36);
+
+// 事件序号计数器
+let nextSeq = 1;
+
+let keepAliveTimer = null;
+let unsubscribers = [];
+
+// ============================================================
+// 工具函数
+// ============================================================
+
+/**
+ * 格式化为SSE报文
+ * @param {Object} entry - 缓冲区条目
+ * @returns {string} SSE报文
+ */
+const format = ({ id, event, payload }) => `id: ${id}\nevent: ${event}\ndata: ${payload}\n\n`;
+
+/**
+ * 判断客户端是否需要某条事件
+ * @param {Object} client - 客户端 { robotId, types }
+ * @param {Object} entry - 缓冲区条目
+ * @returns {boolean} 是否需要
+ */
+const matches = (client, entry) =>
+    (!client.robotId || client.robotId === entry.robotId) && client.types.includes(entry.event);
+
+/**
+ * 解析客户端的 Last-Event-ID，得到可以续传的事件序号
+ * @param {string} lastEventId - 客户端已收到的最后一条事件ID
+ * @returns {number|null} 本次启动内的事件序号；ID 来自上一次启动、格式无法识别、
+ *   晚于已发出的事件或之后的事件已移出重放缓冲区时返回 null，需要全量同步
+ */
+function resumeSeq(lastEventId) {
+    const match = /^([0-9a-z]+)-(\d+)$/.exec(lastEventId);
+    if (!match || match[1] !== BOOT_ID) return null;
+
+    const seq = Number(match[2]);
+    const oldest = buffer.length > 0 ? buffer[0].seq : nextSeq;
+    if (seq >= nextSeq || seq < oldest - 1) return null;
+
+    return seq;
+}
+
+/**
+ * 记录事件并推送给客户端
+ * @param {string} event - 事件类型
+ * @param {Object} source - 数据层事件 { robotId, data, timestamp }
+ */
+function dispatch(event, { robotId, data, timestamp }) {
+    const seq = nextSeq++;
+    const entry = {
+        id: `${BOOT_ID}-${seq}`,
+        seq,
+        event,
+        robotId,
+        payload: JSON.stringify({ robotId, data, timestamp })
+    };
+
+    buffer.push(entry);
+    if (buffer.length > OPTIONS.sseReplaySize) {
+        buffer.shift();
+    }
+
+    clients.forEach((client) => {
+        if (matches(client, entry)) {
+            client.res.write(format(entry));
+        }
+    });
+}
+
+// ============================================================
+// 对外接口
+// ============================================================
+
+/**
+ * 启动事件中心 - 订阅数据层事件
+ * 服务启动时调用一次，之后的事件才会进入重放缓冲区
+ */
+function start() {
+    unsubscribers = [
+        events.onUpdate(event => dispatch(event.channel, event)),
+        events.onConnection(event => dispatch('connection', event)),
+        events.onAlert(event => dispatch('alert', event))
+    ];
+
+    keepAliveTimer = setInterval(() => {
+        clients.forEach(client => client.res.write(': keep-alive\n\n'));
+    }, OPTIONS.sseKeepAliveInterval);
+}
+
+/**
+ * 添加SSE客户端
+ * 写入响应头，补发 lastEventId 之后的缓冲事件，并在连接关闭时移除客户端
+ * @param {Object} res - Express响应对象
+ * @param {Object} options - 订阅选项
+ * @param {string} options.robotId - 只接收该机器人的事件，为空时接收全部机器人
+ * @param {Array<string>} options.types - 要接收的事件类型
+ * @param {string} options.lastEventId - 客户端已收到的最后一条事件ID，为空时不补发；无法续传时发送 resync 事件
+ */
+function addClient(res, { robotId, types, lastEventId }) {
+    const client = { res, robotId, types };
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'      // 关闭Nginx缓冲
+    });
+
+    // 断线后3秒重连
+    res.write('retry: 3000\n\n');
+
+    if (lastEventId !== null) {
+        const seq = resumeSeq(lastEventId);
+
+        if (seq === null) {
+            const payload = JSON.stringify({ robotId, data: { lastEventId }, timestamp: Date.now() });
+            res.write(`event: resync\ndata: ${payload}\n\n`);
+        } else {
+            buffer
+                .filter(entry => entry.seq > seq && matches(client, entry))
+                .forEach(entry => res.write(format(entry)));
+        }
+    }
+
+    clients.add(client);
+    res.on('close', () => clients.delete(client));
+}
+
+/**
+ * 关闭事件中心 - 结束所有客户端连接
+ * 服务退出时调用，否则长连接会阻止HTTP服务器关闭
+ */
+function close() {
+    clearInterval(keepAliveTimer);
+    unsubscribers.forEach(off => off());
+    unsubscribers = [];
+
+    clients.forEach(client => client.res.end());
+    clients.clear();
+}
+
+module.exports = {
+    EVENT_TYPES,
+    start,
+    addClient,
+    close
+};
@@ -0,0 +1,479 @@
+/**
+ * WebSocket推送服务
+ *
+ * 功能描述:
+ * - 挂载在 HTTP 服务器上，路径默认 /ws (config.realtime.wsPath)
+ * - 数据层发布变更事件时，立即推送给订阅了对应通道的客户端
+ * - 客户端可按机器人、按通道订阅，也可以通过同一连接发送控制指令
+ * - 启用登录认证时，连接地址需带令牌 ws://host/ws?token=<token>，令牌无效时握手返回401；
+ *   control、heartbeat 需要 operator 及以上角色 (见 routes/auth.js)；每条 control、heartbeat 都重新校验令牌和用户，
+ *   令牌过期、用户被停用或删除、角色被降到 operator 以下时回复失败并关闭连接（关闭码 4401）
+ * - control 消息与 POST /api/robot/control 一样记录到审计日志 (见 routes/audit.js)
+ * - 告警变化（触发、确认、恢复）推送给所有连接，无需订阅，见 routes/alerts.js
+ *
+ * 客户端 → 服务器:
+ *   { type: 'subscribe', id?, robotId?, channels? }    订阅，robotId 为 '*' 时订阅全部机器人
+ *   { type: 'unsubscribe', id?, robotId?, channels? }  取消订阅
+ *   { type: 'control', id, robotId?, command | action, priority?, lease?, speed?, durationMs?, distance?, angle? }
+ *                                                      发送控制指令（进入机器人的指令队列），运动参数见 POST /api/robot/control
+ *   { type: 'heartbeat', id, robotId?, leaseId }       运动租约心跳，lease 见 POST /api/robot/control
+ *   { type: 'ping', id? }                               应用层心跳
+ *   robotId 缺省为默认机器人，channels 缺省为全部通道 (status/sensors/tasks/statistics)
+ *
+ * 服务器 → 客户端:
+ *   { type: 'welcome', robotId, channels, pushUpdates, timestamp }    连接建立
+ *   { type: 'subscribed' | 'unsubscribed', id, robotId, channels }   订阅结果
+ *   { type: 'update', robotId, channel, data, timestamp }             数据变更
+ *   { type: 'alert', robotId, data, timestamp }                       告警变化，data 为告警对象
+ *   { type: 'reply', id, success, ... }                               控制指令、心跳结果，id 与请求相同
+ *   { type: 'pong', id, timestamp }
+ *   { type: 'error', id, message }
+ *
+ * 文件路径: backend/realtime/wsServer.js
+ */
+
+const { WebSocketServer } = require('ws');
+
+const config = require('../config');
+const data = require('../data/dataSource');
+const fleet = require('../data/fleet');
+const events = require('../data/events');
+const schema = require('../data/schema');
+const teleop = require('../data/teleop');
+const motion = require('../data/motion');
+const auth = require('../data/auth');
+const audit = require('../data/audit');
+
+const OPTIONS = config.realtime;
+
+// 订阅全部机器人时使用的键
+const ALL_ROBOTS = '*';
+
+/**
+ * 数据通道 -> 读取当前数据的接口名
+ * 订阅成功后先推送一次当前数据
+ */
+const CHANNEL_READERS = {
+    status: 'getRobotStatus',
+    sensors: 'getSensorData',
+    tasks: 'getTasks',
+    statistics: 'getStatistics'
+};
+
+/**
+ * 登录状态失效时关闭连接使用的关闭码（4000-4999 由应用自定义）
+ */
+const CLOSE_UNAUTHORIZED = 4401;
+
+let wss = null;
+let heartbeatTimer = null;
+let offUpdate = null;
+let offAlert = null;
+
+// ============================================================
+// 工具函数
+// ============================================================
+
+/**
+ * 发送JSON消息
+ * @param {WebSocket} socket - 客户端连接
+ * @param {Object} message - 消息内容
+ */
+function send(socket, message) {
+    if (socket.readyState === socket.OPEN) {
+        socket.send(JSON.stringify(message));
+    }
+}
+
+/**
+ * 解析订阅参数
+ * @param {Object} message - 客户端消息
+ * @returns {Object} { robotId, channels }
+ * @throws {Error} 机器人未登记或通道不存在时抛出
+ */
+function parseSubscription(message) {
+    const robotId = message.robotId || fleet.DEFAULT_ROBOT_ID;
+    const channels = message.channels || events.CHANNELS;
+
+    if (robotId !== ALL_ROBOTS && !fleet.hasRobot(robotId)) {
+        throw new Error(`机器人 ${robotId} 不存在`);
+    }
+
+    if (!Array.isArray(channels)) {
+        throw new Error('channels 必须是数组');
+    }
+
+    const unknown = channels.filter(channel => !events.CHANNELS.includes(channel));
+    if (unknown.length > 0) {
+        throw new Error(`未知的通道: ${unknown.join(', ')}`);
+    }
+
+    return { robotId, channels };
+}
+
+/**
+ * 判断客户端是否订阅了某条变更
+ * @param {WebSocket} socket - 客户端连接
+ * @param {Object} event - 变更事件
+ * @returns {boolean} 是否订阅
+ */
+function isSubscribed(socket, { robotId, channel }) {
+    const { subscriptions } = socket;
+
+    return [robotId, ALL_ROBOTS].some(key => subscriptions.has(key) && subscriptions.get(key).has(channel));
+}
+
+/**
+ * 校验客户端是否可以发送控制指令、租约心跳
+ * 握手后令牌可能过期，用户可能被停用、删除或降低角色，所以每次都用令牌重新读取用户
+ * @param {WebSocket} socket - 客户端连接
+ * @returns {Promise<Object|null>} 拒绝时返回 { message, revoked }，revoked 表示登录状态已失效、需要关闭连接；
+ *   认证关闭或登录用户为 operator 及以上时返回null
+ */
+async function authorizeControl(socket) {
+    if (!auth.enabled) return null;
+
+    const granted = auth.hasRole(socket.user, 'operator');
+    try {
+        socket.user = await auth.verifyToken(socket.token);
+    } catch (error) {
+        if (!error.status) throw error;
+        return { message: error.message, revoked: true };
+    }
+
+    if (auth.hasRole(socket.user, 'operator')) return null;
+
+    // 连接时有权限、现在没有，说明角色已被降低
+    return { message: `需要${auth.ROLES.operator}权限`, revoked: granted };
+}
+
+/**
+ * 回复拒绝结果，登录状态已失效时随后关闭连接
+ * @param {WebSocket} socket - 客户端连接
+ * @param {*} id - 请求ID
+ * @param {Object} denied - authorizeControl 的结果
+ */
+function sendDenied(socket, id, denied) {
+    send(socket, { type: 'reply', id, success: false, message: denied.message });
+    if (!denied.revoked) return;
+
+    console.warn(`[WS] 关闭连接 (${socket.ip}${socket.user ? `, ${socket.user.username}` : ''}): ${denied.message}`);
+    socket.close(CLOSE_UNAUTHORIZED, denied.message);
+}
+
+// ============================================================
+// 消息处理
+// ============================================================
+
+/**
+ * 订阅通道，并推送一次当前数据
+ * @param {WebSocket} socket - 客户端连接
+ * @param {Object} message - { id?, robotId?, channels? }
+ */
+async function handleSubscribe(socket, message) {
+    const { robotId, channels } = parseSubscription(message);
+
+    if (!socket.subscriptions.has(robotId)) {
+        socket.subscriptions.set(robotId, new Set());
+    }
+    channels.forEach(channel => socket.subscriptions.get(robotId).add(channel));
+
+    send(socket, { type: 'subscribed', id: message.id, robotId, channels });
+
+    const robotIds = robotId === ALL_ROBOTS ? fleet.listRobots().map(robot => robot.id) : [robotId];
+    for (const id of robotIds) {
+        for (const channel of channels) {
+            const current = await data[CHANNEL_READERS[channel]](id);
+            send(socket, { type: 'update', robotId: id, channel, data: current, timestamp: Date.now() });
+        }
+    }
+}
+
+/**
+ * 取消订阅
+ * @param {WebSocket} socket - 客户端连接
+ * @param {Object} message - { id?, robotId?, channels? }
+ */
+function handleUnsubscribe(socket, message) {
+    const { robotId, channels } = parseSubscription(message);
+    const subscribed = socket.subscriptions.get(robotId);
+
+    if (subscribed) {
+        channels.forEach(channel => subscribed.delete(channel));
+        if (subscribed.size === 0) socket.subscriptions.delete(robotId);
+    }
+
+    send(socket, { type: 'unsubscribed', id: message.id, robotId, channels });
+}
+
+/**
+ * 执行控制指令
+ * @param {WebSocket} socket - 客户端连接
+ * @param {Object} message - { id, robotId?, command?, action?, priority?, lease?, speed?, durationMs?, distance?, angle? }
+ * @returns {Promise<Object>} reply 消息的内容 { success, message? | robotId, ...指令结果 }
+ */
+async function executeControl(socket, message) {
+    const { command, action, priority, lease } = message;
+    const params = motion.pickParams(message);
+    const robotId = message.robotId || fleet.DEFAULT_ROBOT_ID;
+
+    if (!fleet.hasRobot(robotId)) {
+        return { success: false, message: `机器人 ${robotId} 不存在` };
+    }
+
+    // 字段校验规则与 POST /api/robot/control 相同
+    const { type, id, robotId: target, ...body } = message;
+    const errors = schema.validate(schema.SCHEMAS.control, body);
+    if (errors.length > 0) {
+        return { success: false, message: schema.describeErrors(errors), errors };
+    }
+
+    if (!command && !action) {
+        return { success: false, message: '缺少 command 或 action 参数' };
+    }
+
+    if (!command && Object.keys(params).length > 0) {
+        return { success: false, message: `${Object.keys(params).join(', ')}: 运动参数只适用于方向指令` };
+    }
+
+    if (lease && !teleop.MOTION_COMMANDS.includes(command)) {
+        return { success: false, message: `lease 只适用于运动指令 ${teleop.MOTION_COMMANDS.join(' / ')}` };
+    }
+
+    console.log(`[WS] 收到控制请求 (${robotId}):`, { command, action, ...params });
+
+    let result = command
+        ? await data.handleCommand(robotId, command, { priority, params })
+        : await data.handleAction(robotId, action, {}, { priority });
+
+    // 停止时释放运动租约，带租约的运动指令送达后建立租约
+    if (command === 'stop') {
+        teleop.release(robotId);
+    } else if (lease && result.executed) {
+        result = { ...result, lease: teleop.grant(robotId, command, socket.user ? socket.user.username : 'websocket') };
+    }
+
+    return { success: true, robotId, ...result, timestamp: Date.now() };
+}
+
+/**
+ * 校验权限、执行控制指令并记录审计日志，结果以 reply 消息返回，id 与请求相同
+ * @param {WebSocket} socket - 客户端连接
+ * @param {Object} message - 控制消息，见 executeControl
+ */
+async function handleControl(socket, message) {
+    let denied = null;
+    let reply;
+    try {
+        denied = await authorizeControl(socket);
+        reply = denied ? { success: false, message: denied.message } : await executeControl(socket, message);
+    } catch (error) {
+        reply = { success: false, message: error.message, ...(error.errors && { errors: error.errors }) };
+    }
+
+    const { type, id, ...payload } = message;
+    audit.record({
+        actor: socket.user ? socket.user.username : 'anonymous',
+        ip: socket.ip,
+        source: 'websocket',
+        action: 'control.command',
+        robotId: message.robotId || fleet.DEFAULT_ROBOT_ID,
+        request: 'WS control',
+        payload,
+        outcome: { success: reply.success, status: null, message: reply.message || null }
+    });
+
+    if (denied) sendDenied(socket, id, denied);
+    else send(socket, { type: 'reply', id, ...reply });
+}
+
+/**
+ * 运动租约心跳，结果以 reply 消息返回
+ * @param {WebSocket} socket - 客户端连接
+ * @param {Object} message - { id, robotId?, leaseId }
+ */
+async function handleHeartbeat(socket, message) {
+    const { id, leaseId } = message;
+    const robotId = message.robotId || fleet.DEFAULT_ROBOT_ID;
+
+    const denied = await authorizeControl(socket);
+    if (denied) return sendDenied(socket, id, denied);
+
+    const lease = teleop.renew(robotId, leaseId);
+
+    send(socket, lease
+        ? { type: 'reply', id, success: true, robotId, lease }
+        : { type: 'reply', id, success: false, message: `租约 ${leaseId} 不存在或已过期` });
+}
+
+/**
+ * 处理客户端消息
+ * @param {WebSocket} socket - 客户端连接
+ * @param {Buffer} raw - 原始消息
+ */
+async function handleMessage(socket, raw) {
+    let message;
+    try {
+        message = JSON.parse(raw.toString());
+    } catch (error) {
+        message = null;
+    }
+
+    if (!message || typeof message !== 'object') {
+        return send(socket, { type: 'error', message: '消息必须是JSON对象' });
+    }
+
+    try {
+        switch (message.type) {
+            case 'subscribe':
+                await handleSubscribe(socket, message);
+                break;
+            case 'unsubscribe':
+                handleUnsubscribe(socket, message);
+                break;
+            case 'control':
+                await handleControl(socket, message);
+                break;
+            case 'heartbeat':
+                await handleHeartbeat(socket, message);
+                break;
+            case 'ping':
+                send(socket, { type: 'pong', id: message.id, timestamp: Date.now() });
+                break;
+            default:
+                send(socket, { type: 'error', id: message.id, message: `未知的消息类型: ${message.type}` });
+        }
+    } catch (error) {
+        // 控制指令失败也以 reply 返回，便于客户端按 id 对应请求
+        send(socket, message.type === 'control' || message.type === 'heartbeat'
+            ? { type: 'reply', id: message.id, success: false, message: error.message }
+            : { type: 'error', id: message.id, message: error.message });
+    }
+}
+
+// ============================================================
+// 服务管理
+// ============================================================
+
+/**
+ * 推送数据变更给订阅的客户端
+ * @param {Object} event - 变更事件 { robotId, channel, data, timestamp }
+ */
+function broadcast(event) {
+    wss.clients.forEach((socket) => {
+        if (isSubscribed(socket, event)) {
+            send(socket, { type: 'update', ...event });
+        }
+    });
+}
+
+/**
+ * 推送告警变化给所有客户端
+ * @param {Object} event - 告警事件 { robotId, data, timestamp }
+ */
+function broadcastAlert(event) {
+    wss.clients.forEach(socket => send(socket, { type: 'alert', ...event }));
+}
+
+/**
+ * 新客户端连接
+ * @param {WebSocket} socket - 客户端连接
+ * @param {Object} req - 升级请求
+ */
+function handleConnection(socket, req) {
+    // 订阅表: robotId 或 '*' -> Set<channel>
+    socket.subscriptions = new Map();
+    // 登录用户和令牌，握手时校验，control、heartbeat 时重新校验；认证关闭时为 null
+    socket.user = req.user || null;
+    socket.token = req.token || null;
+    // 来源地址，记录在审计日志中
+    socket.ip = req.socket.remoteAddress;
+    socket.isAlive = true;
+
+    console.log(`[WS] 客户端已连接: ${req.socket.remoteAddress}${socket.user ? ` (${socket.user.username})` : ''} (当前 ${wss.clients.size} 个)`);
+
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', (raw) => handleMessage(socket, raw));
+    socket.on('close', () => {
+        console.log(`[WS] 客户端已断开 (当前 ${wss.clients.size} 个)`);
+    });
+
+    send(socket, {
+        type: 'welcome',
+        robotId: fleet.DEFAULT_ROBOT_ID,
+        channels: events.CHANNELS,
+        pushUpdates: data.pushUpdates,
+        timestamp: Date.now()
+    });
+}
+
+/**
+ * 握手校验 - 启用登录认证时校验 ?token= 或 Authorization 请求头，登录用户、令牌保存在 req.user、req.token
+ * @param {Object} info - { req }
+ * @param {Function} done - 回调 (是否接受, 拒绝状态码, 拒绝原因)
+ */
+function verifyClient({ req }, done) {
+    if (!auth.enabled) return done(true);
+
+    const token = auth.tokenOf(req);
+    if (!token) return done(false, 401, '请先登录');
+
+    auth.verifyToken(token)
+        .then((user) => {
+            req.user = user;
+            req.token = token;
+            done(true);
+        })
+        .catch((error) => {
+            console.warn(`[WS] 拒绝连接 (${req.socket.remoteAddress}): ${error.message}`);
+            done(false, error.status || 500, error.status ? error.message : 'Internal Server Error');
+        });
+}
+
+/**
+ * 心跳检测 - 断开上一轮未响应 ping 的客户端
+ */
+function checkHeartbeat() {
+    wss.clients.forEach((socket) => {
+        if (!socket.isAlive) {
+            socket.terminate();
+            return;
+        }
+        socket.isAlive = false;
+        socket.ping();
+    });
+}
+
+/**
+ * 在HTTP服务器上启动WebSocket推送服务
+ * @param {http.Server} server - HTTP服务器
+ */
+function attach(server) {
+    wss = new WebSocketServer({ server, path: OPTIONS.wsPath, verifyClient });
+    wss.on('connection', handleConnection);
+
+    offUpdate = events.onUpdate(broadcast);
+    offAlert = events.onAlert(broadcastAlert);
+    heartbeatTimer = setInterval(checkHeartbeat, OPTIONS.heartbeatInterval);
+
+    console.log(`[WS] 推送服务已启动: ${OPTIONS.wsPath}`);
+}
+
+/**
+ * 关闭WebSocket推送服务
+ */
+function close() {
+    if (!wss) return;
+
+    clearInterval(heartbeatTimer);
+    offUpdate();
+    offAlert();
+    wss.clients.forEach(socket => socket.terminate());
+    wss.close();
+    wss = null;
+}
+
+module.exports = {
+    attach,
+    close
+};
@@ -0,0 +1,219 @@
+/**
+ * 告警规则路由模块
+ *
+ * 功能描述:
+ * - 定义遥测告警规则的增删改查路由，规则保存在服务端，每次状态、传感器数据更新时评估
+ * - 规则支持回差（分开的触发、恢复阈值）、持续时间、变化率条件，可限定机器人或地块
+ * - 用记录的历史数据回放规则，保存前预览会产生哪些告警；触发的告警见 routes/alerts.js
+ *
+ * 路由结构:
+ * /api/alert-rules            - GET 查询告警规则 / POST 创建告警规则
+ * /api/alert-rules/test       - POST 用历史数据测试未保存的规则
+ * /api/alert-rules/:id        - GET 查询 / PUT 修改 / DELETE 删除告警规则
+ * /api/alert-rules/:id/test   - POST 用历史数据测试已保存的规则
+ *
+ * 文件路径: backend/routes/alertRules.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const alertRuleController = require('../controllers/alertRuleController');
+
+// 角色中间件 - 修改规则需要管理员，见 routes/auth.js
+const { requireRole } = require('../controllers/authController');
+
+// ============================================================
+// 告警规则相关路由
+// ============================================================
+
+/**
+ * 查询告警规则列表
+ *
+ * 接口信息:
+ *   - 路径: /api/alert-rules
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: alertRuleController.listAlertRules
+ *
+ * 查询参数 (可选):
+ *   - robotId: 只返回适用于该机器人的规则
+ *   - field: 只返回监测该字段的规则，如 soilHumidity
+ *
+ * 请求示例:
+ *   GET /api/alert-rules?field=soilHumidity
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": 3,
+ *       "name": "土壤湿度过低",
+ *       "field": "soilHumidity",
+ *       "kind": "threshold",
+ *       "condition": "below",
+ *       "threshold": 30,
+ *       "clearThreshold": 35,
+ *       "sustainSeconds": 0,
+ *       "windowSeconds": null,
+ *       "throttleSeconds": null,
+ *       "level": "warning",
+ *       "robotIds": null,
+ *       "zoneId": null,
+ *       "enabled": true,
+ *       "createdAt": 1769737700000,
+ *       "updatedAt": 1769737700000
+ *     }
+ *   ],
+ *   "timestamp": 1769737886100
+ * }
+ *
+ * 首次启动时创建默认规则: 电量过低、温度过高、土壤湿度过低、土壤湿度过高、光照不足
+ */
+router.get('/alert-rules', alertRuleController.listAlertRules);
+
+/**
+ * 创建告警规则
+ *
+ * 接口信息:
+ *   - 路径: /api/alert-rules
+ *   - 方法: POST
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: alertRuleController.createAlertRule
+ *
+ * 请求示例 (土壤湿度低于 30% 持续 1 分钟告警，回升到 35% 以上才恢复，只在 A区 评估):
+ *   POST /api/alert-rules
+ *   {
+ *     "name": "A区土壤湿度过低",
+ *     "field": "soilHumidity",
+ *     "condition": "below",
+ *     "threshold": 30,
+ *     "clearThreshold": 35,
+ *     "sustainSeconds": 60,
+ *     "zoneId": 1
+ *   }
+ *
+ * 请求示例 (温度 5 分钟内每分钟升高超过 2°C 告警):
+ *   POST /api/alert-rules
+ *   { "name": "温度骤升", "field": "temperature", "kind": "rate", "condition": "above", "threshold": 2, "windowSeconds": 300, "level": "critical" }
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": { "id": 6, "name": "A区土壤湿度过低", "kind": "threshold", "level": "warning", "enabled": true, ... },
+ *   "timestamp": 1769737900000,
+ *   "message": "告警规则 #6 已创建"
+ * }
+ *
+ * throttleSeconds 为该规则告警通知的限流间隔（秒），null 取 config.notifications.throttleSeconds，见 routes/notifications.js
+ * 字段无效时返回400，信息以字段名开头，如 "clearThreshold: below 规则的恢复阈值不能低于触发阈值 30"
+ */
+router.post('/alert-rules', requireRole('admin'), alertRuleController.createAlertRule);
+
+/**
+ * 用历史数据测试未保存的规则
+ *
+ * 接口信息:
+ *   - 路径: /api/alert-rules/test
+ *   - 方法: POST
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: alertRuleController.testAlertRule
+ *
+ * 请求示例:
+ *   POST /api/alert-rules/test
+ *   {
+ *     "robotId": "robot-001",
+ *     "from": "2026-01-30T00:00:00Z",
+ *     "to": "2026-01-31T00:00:00Z",
+ *     "rule": { "name": "土壤湿度过低", "field": "soilHumidity", "condition": "below", "threshold": 30, "clearThreshold": 35 }
+ *   }
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "robotId": "robot-001",
+ *     "from": 1769731200000,
+ *     "to": 1769817600000,
+ *     "samples": 8640,
+ *     "raised": 2,
+ *     "alerts": [
+ *       { "raisedAt": 1769745600000, "value": 29.4, "resolvedAt": 1769752800000, "resolvedValue": 35.2, "resolveReason": "当前值 35.2%" },
+ *       { "raisedAt": 1769810000000, "value": 28.9, "resolvedAt": null, "resolvedValue": null, "resolveReason": null }
+ *     ],
+ *     "truncated": false,
+ *     "activeAtEnd": true
+ *   },
+ *   "timestamp": 1769817600100
+ * }
+ *
+ * 回放与实时评估使用同一套判断，不会真正触发告警；from 默认 to 之前24小时，范围不超过7天 (config.alerts.testMaxDays)
+ * 参数无效时返回400，机器人不存在时返回404
+ */
+router.post('/alert-rules/test', alertRuleController.testAlertRule);
+
+/**
+ * 查询单条告警规则
+ *
+ * 接口信息:
+ *   - 路径: /api/alert-rules/:id
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: alertRuleController.getAlertRule
+ */
+router.get('/alert-rules/:id', alertRuleController.getAlertRule);
+
+/**
+ * 修改告警规则
+ *
+ * 接口信息:
+ *   - 路径: /api/alert-rules/:id
+ *   - 方法: PUT
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: alertRuleController.updateAlertRule
+ *
+ * 请求示例:
+ *   PUT /api/alert-rules/3
+ *   { "clearThreshold": 40, "sustainSeconds": 120 }
+ *
+ * 停用规则 (enabled: false) 或修改 field、kind、condition 时，该规则的告警随之恢复；
+ * 修改阈值、范围等在机器人下一次数据更新时按新规则评估
+ */
+router.put('/alert-rules/:id', requireRole('admin'), alertRuleController.updateAlertRule);
+
+/**
+ * 删除告警规则
+ *
+ * 接口信息:
+ *   - 路径: /api/alert-rules/:id
+ *   - 方法: DELETE
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: alertRuleController.deleteAlertRule
+ *
+ * 该规则的告警随之恢复
+ */
+router.delete('/alert-rules/:id', requireRole('admin'), alertRuleController.deleteAlertRule);
+
+/**
+ * 用历史数据测试已保存的规则
+ *
+ * 接口信息:
+ *   - 路径: /api/alert-rules/:id/test
+ *   - 方法: POST
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: alertRuleController.testAlertRule
+ *
+ * 请求示例:
+ *   POST /api/alert-rules/3/test
+ *   { "robotId": "robot-001", "from": "2026-01-30T00:00:00Z" }
+ *
+ * 响应格式同 /api/alert-rules/test；规则不存在时返回404
+ */
+router.post('/alert-rules/:id/test', alertRuleController.testAlertRule);
+
+module.exports = router;
@@ -0,0 +1,210 @@
+/**
+ * 告警路由模块
+ *
+ * 功能描述:
+ * - 服务端在每次状态、传感器数据更新时评估告警规则（规则的管理见 routes/alertRules.js），
+ *   不依赖浏览器是否打开；电子围栏越界告警也在这里查询和确认
+ * - 告警生命周期: raised (已触发) → acknowledged (已确认) → resolved (已恢复)，
+ *   条件消失（遥测告警越过恢复阈值）时自动恢复，未确认的告警也会直接恢复
+ * - 告警变化实时推送: SSE alert 事件 (routes/stream.js)、WebSocket alert 消息 (realtime/wsServer.js)
+ *
+ * 路由结构:
+ * /api/alerts             - GET  查询未恢复的告警
+ * /api/alerts/history     - GET  查询告警历史（含已恢复）
+ * /api/alerts/:id/ack     - POST 确认告警
+ * /api/alerts/:id/notifications - GET 查询告警的通知投递状态（通知渠道见 routes/notifications.js）
+ *
+ * 文件路径: backend/routes/alerts.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const alertController = require('../controllers/alertController');
+
+// 角色中间件 - 确认告警需要操作员，见 routes/auth.js
+const { requireRole } = require('../controllers/authController');
+
+// 审计中间件，见 routes/audit.js
+const { audit } = require('../controllers/auditController');
+
+// ============================================================
+// 告警相关路由
+// ============================================================
+
+/**
+ * 查询未恢复的告警
+ *
+ * 接口信息:
+ *   - 路径: /api/alerts
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: alertController.listAlerts
+ *
+ * 查询参数 (可选):
+ *   - robotId: 只返回该机器人的告警
+ *   - type: telemetry (遥测告警) / geofence (电子围栏越界)
+ *   - level: critical / warning / info
+ *
+ * 请求示例:
+ *   GET /api/alerts?level=critical
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": 12,
+ *       "key": "rule-1",
+ *       "type": "telemetry",
+ *       "level": "critical",
+ *       "state": "raised",
+ *       "message": "robot-001 电量过低: 15%",
+ *       "robotId": "robot-001",
+ *       "rule": 1,
+ *       "field": "battery",
+ *       "kind": "threshold",
+ *       "condition": "below",
+ *       "threshold": 20,
+ *       "value": 15,
+ *       "raisedAt": 1769737886090,
+ *       "acknowledgedAt": null,
+ *       "acknowledgedBy": null,
+ *       "resolvedAt": null,
+ *       "resolveReason": null
+ *     },
+ *     {
+ *       "id": 11,
+ *       "key": "geofence-1",
+ *       "type": "geofence",
+ *       "level": "critical",
+ *       "state": "acknowledged",
+ *       "message": "robot-002 已进入禁入区域「水塘」",
+ *       "robotId": "robot-002",
+ *       "geofenceId": 1,
+ *       "coordinates": { "lat": 40.1966, "lon": 116.3997 },
+ *       "raisedAt": 1769737800000,
+ *       "acknowledgedAt": 1769737830000,
+ *       "acknowledgedBy": "zhangsan",
+ *       "resolvedAt": null,
+ *       "resolveReason": null
+ *     }
+ *   ],
+ *   "timestamp": 1769737886100
+ * }
+ *
+ * 结果按触发时间倒序；参数无效时返回400，机器人不存在时返回404
+ */
+router.get('/alerts', alertController.listAlerts);
+
+/**
+ * 查询告警历史
+ *
+ * 接口信息:
+ *   - 路径: /api/alerts/history
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: alertController.getAlertHistory
+ *
+ * 查询参数 (可选):
+ *   - robotId / type / level: 同 /api/alerts
+ *   - state: raised / acknowledged / resolved
+ *   - from / to: 触发时间范围，毫秒时间戳或 ISO 时间，默认最近7天
+ *   - limit: 最多返回条数，默认 100，上限 1000 (config.alerts.maxLimit)
+ *
+ * 请求示例:
+ *   GET /api/alerts/history?robotId=robot-001&state=resolved&from=2026-01-30T00:00:00Z
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": 10,
+ *       "key": "rule-2",
+ *       "type": "telemetry",
+ *       "level": "warning",
+ *       "state": "resolved",
+ *       "message": "robot-001 温度过高: 43°C",
+ *       "robotId": "robot-001",
+ *       ...
+ *       "raisedAt": 1769737000000,
+ *       "acknowledgedAt": 1769737060000,
+ *       "acknowledgedBy": "zhangsan",
+ *       "resolvedAt": 1769737300000,
+ *       "resolveReason": "当前值 38°C"
+ *     }
+ *   ],
+ *   "from": 1769132886090,
+ *   "to": 1769737886090,
+ *   "truncated": false,
+ *   "timestamp": 1769737886100
+ * }
+ *
+ * 结果按触发时间倒序；truncated 为 true 表示范围内还有更早的告警，可把 to 设为最后一条的 raisedAt 继续查询
+ * 已恢复的告警保留最近 5000 条 (config.alerts.historyLimit)
+ */
+router.get('/alerts/history', alertController.getAlertHistory);
+
+/**
+ * 确认告警
+ *
+ * 接口信息:
+ *   - 路径: /api/alerts/:id/ack
+ *   - 方法: POST
+ *   - 认证: 需要操作员 (operator 及以上)
+ *   - 审计: alert.ack
+ *   - 处理函数: alertController.acknowledgeAlert
+ *
+ * 请求示例:
+ *   POST /api/alerts/12/ack
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": { "id": 12, "state": "acknowledged", "acknowledgedAt": 1769737900000, "acknowledgedBy": "zhangsan", ... },
+ *   "timestamp": 1769737900000,
+ *   "message": "告警 #12 已确认"
+ * }
+ *
+ * 确认后告警保持未恢复，直到条件消失；告警不存在时返回404，已确认或已恢复时返回409
+ */
+router.post('/alerts/:id/ack', audit('alert.ack'), requireRole('operator'), alertController.acknowledgeAlert);
+
+/**
+ * 查询告警的通知投递状态
+ *
+ * 接口信息:
+ *   - 路径: /api/alerts/:id/notifications
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: alertController.getAlertNotifications
+ *
+ * 请求示例:
+ *   GET /api/alerts/12/notifications
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "alertId": 12,
+ *     "state": "resolved",
+ *     "deliveries": [
+ *       { "id": 7, "event": "raised", "channel": "ops", "state": "sent", "attempts": 1, "sentAt": 1769737886300, ... },
+ *       { "id": 8, "event": "raised", "channel": "email", "state": "failed", "attempts": 4,
+ *         "lastError": "SMTP 服务器响应超时 (10000ms)", ... },
+ *       { "id": 9, "event": "resolved", "channel": "ops", "state": "skipped", "reason": "静默时段", ... }
+ *     ]
+ *   },
+ *   "timestamp": 1769741000000
+ * }
+ *
+ * 每个渠道的触发 (raised)、恢复 (resolved) 通知各一条记录；告警不存在时返回404
+ */
+router.get('/alerts/:id/notifications', alertController.getAlertNotifications);
+
+module.exports = router;
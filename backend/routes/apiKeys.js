@@ -0,0 +1,146 @@
+/**
+ * 设备 API Key 路由模块
+ *
+ * 功能描述:
+ * - 定义设备 API Key 的查询、创建和吊销路由，仅管理员可用
+ * - 田间网关等设备通过 HTTP 上报数据时，在请求头带 X-API-Key: <密钥>，与人员登录的令牌分开管理
+ * - API Key 只能访问数据上报接口，并限定接口范围 (scopes) 和机器人 (robots)，超出范围返回403:
+ *     status     - POST /api/robot/status、/api/robots/:robotId/status
+ *     sensors    - POST /api/sensors、/api/robots/:robotId/sensors
+ *     statistics - POST /api/statistics、/api/robots/:robotId/statistics
+ *     progress   - POST /api/tasks/:id/progress、/api/robots/:robotId/tasks/:id/progress
+ *
+ * 路由结构:
+ * /api/api-keys            - GET  查询 API Key / POST 创建 API Key
+ * /api/api-keys/:id/revoke - POST 吊销 API Key
+ *
+ * 文件路径: backend/routes/apiKeys.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const apiKeyController = require('../controllers/apiKeyController');
+
+// 角色中间件 - 写入接口需要对应角色，见 routes/auth.js
+const { requireRole } = require('../controllers/authController');
+
+// ============================================================
+// API Key 相关路由
+// ============================================================
+
+/**
+ * 查询 API Key 列表
+ *
+ * 接口信息:
+ *   - 路径: /api/api-keys
+ *   - 方法: GET
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: apiKeyController.listApiKeys
+ *
+ * 请求示例:
+ *   GET /api/api-keys
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": 1,
+ *       "name": "东区田间网关",
+ *       "prefix": "ak_Jx3f9Q",
+ *       "scopes": ["status", "sensors"],
+ *       "robots": ["robot-001"],
+ *       "createdBy": "admin",
+ *       "createdAt": 1769737700000,
+ *       "revokedBy": null,
+ *       "revokedAt": null,
+ *       "lastUsedAt": 1769737886000,
+ *       "lastUsedIp": "192.168.1.20"
+ *     }
+ *   ],
+ *   "timestamp": 1769737886090,
+ *   "scopes": {
+ *     "status": "机器人状态 (POST /api/robot/status)",
+ *     "sensors": "传感器数据 (POST /api/sensors)",
+ *     "statistics": "作业统计 (POST /api/statistics)",
+ *     "progress": "作业进度 (POST /api/tasks/:id/progress)"
+ *   }
+ * }
+ *
+ * 列表包含已吊销的 API Key (revokedAt 不为 null)；不返回完整密钥
+ */
+router.get('/api-keys', requireRole('admin'), apiKeyController.listApiKeys);
+
+/**
+ * 创建 API Key
+ *
+ * 接口信息:
+ *   - 路径: /api/api-keys
+ *   - 方法: POST
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: apiKeyController.createApiKey
+ *
+ * 请求体:
+ *   - name: 名称，1-50 个字符（必填）
+ *   - scopes: 可写入的数据上报接口，status / sensors / statistics / progress（必填，非空）
+ *   - robots: 可写入的机器人ID，["*"] 为全部机器人（必填，非空）
+ *
+ * 请求示例:
+ *   POST /api/api-keys
+ *   Content-Type: application/json
+ *   {
+ *     "name": "东区田间网关",
+ *     "scopes": ["status", "sensors"],
+ *     "robots": ["robot-001"]
+ *   }
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "id": 1,
+ *     "name": "东区田间网关",
+ *     "prefix": "ak_Jx3f9Q",
+ *     "scopes": ["status", "sensors"],
+ *     "robots": ["robot-001"],
+ *     "createdBy": "admin",
+ *     "createdAt": 1769737700000,
+ *     "revokedBy": null,
+ *     "revokedAt": null,
+ *     "lastUsedAt": null,
+ *     "lastUsedIp": null,
+ *     "key": "ak_Jx3f9Q2mW8vT0cLpRkY4sN7hZbE1uGdA"
+ *   },
+ *   "timestamp": 1769737700000,
+ *   "message": "API Key 东区田间网关 已创建，密钥只显示这一次"
+ * }
+ *
+ * key 只在创建时返回，服务器只保存哈希，遗失后需吊销并重新创建
+ * 字段无效时返回400，信息以字段名开头（如 scopes: 未知的权限范围 control）
+ */
+router.post('/api-keys', requireRole('admin'), apiKeyController.createApiKey);
+
+/**
+ * 吊销 API Key
+ *
+ * 接口信息:
+ *   - 路径: /api/api-keys/:id/revoke
+ *   - 方法: POST
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: apiKeyController.revokeApiKey
+ *
+ * 请求示例:
+ *   POST /api/api-keys/1/revoke
+ *
+ * 响应示例: data 同列表中的一项，revokedAt、revokedBy 为吊销时间和操作人
+ *
+ * 吊销后使用该密钥的请求返回401；不存在时返回404，已吊销时返回409
+ */
+router.post('/api-keys/:id/revoke', requireRole('admin'), apiKeyController.revokeApiKey);
+
+module.exports = router;
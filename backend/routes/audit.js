@@ -0,0 +1,99 @@
+/**
+ * 审计日志路由模块
+ *
+ * 功能描述:
+ * - 查询和导出审计日志，仅管理员可用
+ * - 审计日志记录以下操作的操作人、时间、来源地址、请求内容和结果（含权限不足等被拒绝的请求）:
+ *     control.command     - POST /api/robot/control，以及 WebSocket control 消息
+ *     control.estop       - POST /api/robot/estop
+ *     control.estop-reset - POST /api/robot/estop/reset
+ *     task.create / task.update / task.transition / task.progress / task.delete - 任务接口
+ *     alert.ack           - POST /api/alerts/:id/ack
+ *     notification.test   - POST /api/notifications/channels/:name/test
+ *     status.update / sensors.update / statistics.update - 状态、传感器、统计写入接口
+ *   以上接口均包含 /api/robots/:robotId 前缀的形式；硬件通过 MQTT、串口等数据源推送的数据不记录
+ *
+ * 路由结构:
+ * /api/audit - GET 查询审计日志（format=csv 导出 CSV）
+ *
+ * 文件路径: backend/routes/audit.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const auditController = require('../controllers/auditController');
+
+// 角色中间件，见 routes/auth.js
+const { requireRole } = require('../controllers/authController');
+
+// ============================================================
+// 审计日志相关路由
+// ============================================================
+
+/**
+ * 查询审计日志
+ *
+ * 接口信息:
+ *   - 路径: /api/audit
+ *   - 方法: GET
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: auditController.listAudit
+ *
+ * 查询参数:
+ *   - actor: 操作人，如 zhangsan、api-key:东区田间网关（可选）
+ *   - action: 逗号分隔的操作类型，可用前缀匹配同类操作，如 task、control（可选）
+ *   - robotId: 目标机器人（可选）
+ *   - from / to: 时间范围，毫秒时间戳或 ISO 时间，默认最近7天
+ *   - limit: 最多返回条数，默认 100，上限 10000 (config.audit.maxLimit)
+ *   - format: csv 时下载 CSV 文件
+ *
+ * 请求示例:
+ *   GET /api/audit?actor=zhangsan&action=control,task&from=2026-01-30T00:00:00Z
+ *   GET /api/audit?action=status.update&robotId=robot-002&format=csv
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "t": 1769737886090,
+ *       "actor": "zhangsan",
+ *       "ip": "192.168.1.8",
+ *       "source": "http",
+ *       "action": "control.command",
+ *       "robotId": "robot-001",
+ *       "request": "POST /api/robot/control",
+ *       "payload": { "command": "forward", "speed": 1 },
+ *       "outcome": { "success": true, "status": 200, "message": "前进指令已执行" }
+ *     },
+ *     {
+ *       "t": 1769737800000,
+ *       "actor": "lisi",
+ *       "ip": "192.168.1.9",
+ *       "source": "http",
+ *       "action": "task.delete",
+ *       "robotId": "robot-001",
+ *       "request": "DELETE /api/tasks/3",
+ *       "payload": null,
+ *       "outcome": { "success": false, "status": 403, "message": "需要操作员权限" }
+ *     }
+ *   ],
+ *   "from": 1769132886090,
+ *   "to": 1769737886090,
+ *   "truncated": false,
+ *   "actions": { "control.command": "控制指令 (方向指令、作业指令)", ... },
+ *   "timestamp": 1769737886100
+ * }
+ *
+ * 结果按时间倒序；truncated 为 true 表示范围内还有更早的记录，可把 to 设为最后一条的 t 继续查询
+ * CSV 列: time, actor, ip, source, action, robotId, request, payload, success, status, message
+ * 参数无效时返回400
+ */
+router.get('/audit', requireRole('admin'), auditController.listAudit);
+
+module.exports = router;
@@ -0,0 +1,217 @@
+/**
+ * 登录认证路由模块
+ *
+ * 功能描述:
+ * - 定义登录、当前用户、修改密码和用户管理的路由
+ * - 除 /api/health 和 /api/auth/login 外，所有 /api 接口都需要登录:
+ *   请求头 Authorization: Bearer <token>（WebSocket、SSE 可用 ?token= 查询参数）；
+ *   数据上报接口也可用设备 API Key (X-API-Key 请求头)，见 routes/apiKeys.js
+ * - 角色: viewer 只能查询；operator 还可以控制机器人、管理任务和航线任务、写入数据；
+ *   admin 还可以复位急停、管理地块、电子围栏和用户
+ *
+ * 路由结构:
+ * /api/auth/login     - POST 登录
+ * /api/auth/me        - GET  查询当前用户
+ * /api/auth/password  - POST 修改自己的密码
+ * /api/users          - GET  查询用户 / POST 创建用户（管理员）
+ * /api/users/:id      - PUT  修改 / DELETE 删除用户（管理员）
+ *
+ * 文件路径: backend/routes/auth.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const authController = require('../controllers/authController');
+
+// 角色中间件
+const { requireRole } = authController;
+
+// ============================================================
+// 登录相关路由
+// ============================================================
+
+/**
+ * 登录
+ *
+ * 接口信息:
+ *   - 路径: /api/auth/login
+ *   - 方法: POST
+ *   - 认证: 无需认证
+ *   - 处理函数: authController.login
+ *
+ * 请求示例:
+ *   POST /api/auth/login
+ *   Content-Type: application/json
+ *   { "username": "admin", "password": "********" }
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "token": "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9.eyJzdWIiOjEsInVzZXJuYW1lIjoiYWRtaW4iLCJyb2xlIjoiYWRtaW4iLCJpYXQiOjE3Njk3Mzc3MDAsImV4cCI6MTc2OTc4MDkwMH0.4b7c...",
+ *     "expiresAt": 1769780900000,
+ *     "user": {
+ *       "id": 1,
+ *       "username": "admin",
+ *       "role": "admin",
+ *       "disabled": false,
+ *       "lastLoginAt": 1769737700000,
+ *       "createdAt": 1769737600000,
+ *       "updatedAt": 1769737700000
+ *     }
+ *   },
+ *   "timestamp": 1769737700000,
+ *   "message": "admin 已登录"
+ * }
+ *
+ * 用户名或密码错误、用户已停用时返回401；令牌有效期见 config.auth.tokenTtl
+ */
+router.post('/auth/login', authController.login);
+
+/**
+ * 查询当前用户
+ *
+ * 接口信息:
+ *   - 路径: /api/auth/me
+ *   - 方法: GET
+ *   - 认证: 需要登录
+ *   - 处理函数: authController.me
+ *
+ * 请求示例:
+ *   GET /api/auth/me
+ *   Authorization: Bearer <token>
+ *
+ * 响应示例: data 同登录响应中的 user；令牌无效或已过期时返回401
+ */
+router.get('/auth/me', authController.me);
+
+/**
+ * 修改自己的密码
+ *
+ * 接口信息:
+ *   - 路径: /api/auth/password
+ *   - 方法: POST
+ *   - 认证: 需要登录
+ *   - 处理函数: authController.changePassword
+ *
+ * 请求示例:
+ *   POST /api/auth/password
+ *   Authorization: Bearer <token>
+ *   Content-Type: application/json
+ *   { "currentPassword": "********", "newPassword": "new-password" }
+ *
+ * 响应示例: 同登录；之前签发的令牌全部失效，请改用返回的新令牌
+ * 当前密码错误、新密码少于 8 位时返回400
+ */
+router.post('/auth/password', authController.changePassword);
+
+// ============================================================
+// 用户管理相关路由
+// ============================================================
+
+/**
+ * 查询用户列表
+ *
+ * 接口信息:
+ *   - 路径: /api/users
+ *   - 方法: GET
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: authController.listUsers
+ *
+ * 请求示例:
+ *   GET /api/users
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     { "id": 1, "username": "admin", "role": "admin", "disabled": false, "lastLoginAt": 1769737700000, ... },
+ *     { "id": 2, "username": "zhangsan", "role": "operator", "disabled": false, "lastLoginAt": null, ... }
+ *   ],
+ *   "timestamp": 1769737886090
+ * }
+ */
+router.get('/users', requireRole('admin'), authController.listUsers);
+
+/**
+ * 创建用户
+ *
+ * 接口信息:
+ *   - 路径: /api/users
+ *   - 方法: POST
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: authController.createUser
+ *
+ * 请求体:
+ *   - username: 用户名，2-32 位字母、数字、下划线、点或短横线（必填）
+ *   - password: 密码，至少 8 位（必填）
+ *   - role: viewer / operator / admin（必填）
+ *   - disabled: 是否停用，默认 false
+ *
+ * 请求示例:
+ *   POST /api/users
+ *   Content-Type: application/json
+ *   { "username": "zhangsan", "password": "field-2026", "role": "operator" }
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": { "id": 2, "username": "zhangsan", "role": "operator", "disabled": false, ... },
+ *   "timestamp": 1769737700000,
+ *   "message": "用户 zhangsan 已创建"
+ * }
+ *
+ * 字段无效时返回400，信息以字段名开头；用户名已存在时返回409
+ */
+router.post('/users', requireRole('admin'), authController.createUser);
+
+/**
+ * 修改用户
+ *
+ * 接口信息:
+ *   - 路径: /api/users/:id
+ *   - 方法: PUT
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: authController.updateUser
+ *
+ * 请求体: password、role、disabled，均可选；用户名不能修改
+ *
+ * 请求示例:
+ *   PUT /api/users/2
+ *   Content-Type: application/json
+ *   { "role": "viewer" }
+ *
+ * 修改密码、停用后该用户已签发的令牌失效；会失去最后一个启用的管理员时返回409，用户不存在时返回404
+ */
+router.put('/users/:id', requireRole('admin'), authController.updateUser);
+
+/**
+ * 删除用户
+ *
+ * 接口信息:
+ *   - 路径: /api/users/:id
+ *   - 方法: DELETE
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: authController.deleteUser
+ *
+ * 请求示例:
+ *   DELETE /api/users/2
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": null,
+ *   "timestamp": 1769737900000,
+ *   "message": "用户 #2 已删除"
+ * }
+ *
+ * 会失去最后一个启用的管理员时返回409，用户不存在时返回404
+ */
+router.delete('/users/:id', requireRole('admin'), authController.deleteUser);
+
+module.exports = router;
@@ -0,0 +1,114 @@
+/**
+ * 控制指令路由模块
+ *
+ * 功能描述:
+ * - 定义控制指令状态查询的路由
+ * - 指令下发见 POST /api/robot/control (routes/robot.js)
+ *
+ * 路由结构:
+ * /api/commands                   - GET 查询全部机器人的指令
+ * /api/commands/:id               - GET 查询单条指令
+ * /api/robots/:robotId/commands   - GET 查询指定机器人的指令
+ *
+ * 文件路径: backend/routes/commands.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const commandController = require('../controllers/commandController');
+const { resolveRobot } = require('../controllers/robotController');
+
+// ============================================================
+// 指令查询相关路由
+// ============================================================
+
+/**
+ * 查询指令列表
+ *
+ * 接口信息:
+ *   - 路径: /api/commands
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: commandController.listCommands
+ *
+ * 查询参数 (均可选):
+ *   - since: 只返回该时间之后状态有变化的指令（毫秒时间戳或 ISO 时间），轮询时传上次响应的 timestamp
+ *   - robotId: 只返回该机器人的指令
+ *   - limit: 最多返回条数，默认 100，最大 500
+ *
+ * 请求示例:
+ *   GET /api/commands?since=1769737700000
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "0b6a6f0e-7c1d-4f55-9a55-4d2f0c1e8a21",
+ *       "robotId": "robot-001",
+ *       "type": "command",
+ *       "command": "forward",
+ *       "params": { "speed": 0.5, "durationMs": 3000 },
+ *       "state": "acknowledged",
+ *       "message": "机器人已确认",
+ *       "createdAt": 1769737700120,
+ *       "updatedAt": 1769737700180
+ *     },
+ *     {
+ *       "id": "5d0c2a4b-1e9f-4b3a-8c2d-7f6e5a4b3c2d",
+ *       "robotId": "robot-002",
+ *       "type": "action",
+ *       "action": "irrigation",
+ *       "taskId": 12,
+ *       "state": "timeout",
+ *       "message": "5000ms 内未收到机器人确认",
+ *       "createdAt": 1769737701000,
+ *       "updatedAt": 1769737706000
+ *     }
+ *   ],
+ *   "timestamp": 1769737886090
+ * }
+ *
+ * 指令状态: pending (等待确认) / acknowledged (已确认) / rejected (拒绝) / timeout (超时) / failed (发送失败)
+ * 指令记录保存在内存中，保留最近 config.commands.historySize 条
+ */
+router.get('/commands', commandController.listCommands);
+
+/**
+ * 查询单条指令
+ *
+ * 接口信息:
+ *   - 路径: /api/commands/:id
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: commandController.getCommand
+ *
+ * 请求示例:
+ *   GET /api/commands/0b6a6f0e-7c1d-4f55-9a55-4d2f0c1e8a21
+ *
+ * 响应示例: data 同 /api/commands 中的一项；指令不存在时返回404
+ */
+router.get('/commands/:id', commandController.getCommand);
+
+/**
+ * 查询指定机器人的指令
+ *
+ * 接口信息:
+ *   - 路径: /api/robots/:robotId/commands
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: commandController.listCommands
+ *
+ * 请求示例:
+ *   GET /api/robots/robot-002/commands?since=1769737700000&limit=20
+ *
+ * 响应格式同 /api/commands，只包含该机器人的指令；机器人未登记时返回404
+ */
+router.get('/robots/:robotId/commands', resolveRobot, commandController.listCommands);
+
+module.exports = router;
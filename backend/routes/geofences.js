@@ -0,0 +1,176 @@
+/**
+ * 电子围栏路由模块
+ *
+ * 功能描述:
+ * - 定义电子围栏（农场边界等允许区域、水塘道路等禁入区域）的增删改查路由
+ * - 机器人每次状态更新都按围栏检查 coordinates，越界时触发 critical 告警（见 routes/alerts.js），
+ *   围栏开启 autoStop 时自动停车，停车未执行时告警并重试
+ *
+ * 路由结构:
+ * /api/geofences        - GET 查询电子围栏 / POST 创建电子围栏
+ * /api/geofences/:id    - GET 查询 / PUT 修改 / DELETE 删除电子围栏
+ *
+ * 文件路径: backend/routes/geofences.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const geofenceController = require('../controllers/geofenceController');
+
+// 角色中间件 - 写入接口需要对应角色，见 routes/auth.js
+const { requireRole } = require('../controllers/authController');
+
+// ============================================================
+// 电子围栏相关路由
+// ============================================================
+
+/**
+ * 查询电子围栏列表
+ *
+ * 接口信息:
+ *   - 路径: /api/geofences
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: geofenceController.listGeofences
+ *
+ * 查询参数 (可选):
+ *   - robotId: 只返回适用于该机器人的围栏
+ *
+ * 请求示例:
+ *   GET /api/geofences?robotId=robot-001
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": 1,
+ *       "name": "农场边界",
+ *       "type": "allowed",
+ *       "boundary": {
+ *         "type": "Polygon",
+ *         "coordinates": [[[116.398, 40.195], [116.401, 40.195], [116.401, 40.198], [116.398, 40.198], [116.398, 40.195]]]
+ *       },
+ *       "robotIds": null,
+ *       "autoStop": true,
+ *       "enabled": true,
+ *       "createdAt": 1769737700000,
+ *       "updatedAt": 1769737700000,
+ *       "breaches": [
+ *         { "robotId": "robot-001", "since": 1769737886000, "coordinates": { "lat": 40.1985, "lon": 116.3995 } }
+ *       ]
+ *     }
+ *   ],
+ *   "timestamp": 1769737886090
+ * }
+ *
+ * 围栏类型: allowed (允许区域，离开时告警) / keepout (禁入区域，进入时告警)
+ */
+router.get('/geofences', geofenceController.listGeofences);
+
+/**
+ * 创建电子围栏
+ *
+ * 接口信息:
+ *   - 路径: /api/geofences
+ *   - 方法: POST
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: geofenceController.createGeofence
+ *
+ * 请求体:
+ *   - name: 围栏名称（必填）
+ *   - type: allowed / keepout（必填）；同一机器人的多个 allowed 区域合并检查，都不在时才越界
+ *   - boundary: GeoJSON Polygon 或其 Feature，坐标为 [经度, 纬度]，未闭合时自动闭合（必填）
+ *   - robotIds: 适用的机器人ID数组，默认 null（全部机器人）
+ *   - autoStop: 越界时自动发送 stop 并暂停进行中的航线任务，默认 false
+ *   - enabled: 是否启用，默认 true
+ *
+ * 请求示例:
+ *   POST /api/geofences
+ *   Content-Type: application/json
+ *   {
+ *     "name": "水塘",
+ *     "type": "keepout",
+ *     "autoStop": true,
+ *     "boundary": {
+ *       "type": "Polygon",
+ *       "coordinates": [[[116.3995, 40.1965], [116.4, 40.1965], [116.4, 40.197], [116.3995, 40.197], [116.3995, 40.1965]]]
+ *     }
+ *   }
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": { "id": 2, "name": "水塘", "type": "keepout", ..., "breaches": [] },
+ *   "timestamp": 1769737700000,
+ *   "message": "电子围栏 #2 已创建"
+ * }
+ *
+ * 字段无效时返回400，信息以字段名开头（如 "boundary.coordinates[0]: 至少需要 3 个顶点"）
+ */
+router.post('/geofences', requireRole('admin'), geofenceController.createGeofence);
+
+/**
+ * 查询单个电子围栏
+ *
+ * 接口信息:
+ *   - 路径: /api/geofences/:id
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: geofenceController.getGeofence
+ *
+ * 请求示例:
+ *   GET /api/geofences/1
+ *
+ * 响应示例: data 同 /api/geofences 中的一项；围栏不存在时返回404
+ */
+router.get('/geofences/:id', geofenceController.getGeofence);
+
+/**
+ * 修改电子围栏
+ *
+ * 接口信息:
+ *   - 路径: /api/geofences/:id
+ *   - 方法: PUT
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: geofenceController.updateGeofence
+ *
+ * 请求体: 同 POST /api/geofences，字段均可选
+ *
+ * 请求示例:
+ *   PUT /api/geofences/2
+ *   Content-Type: application/json
+ *   { "enabled": false }
+ *
+ * 停用或不再适用的围栏上的越界告警在机器人下一次状态更新时恢复；围栏不存在时返回404
+ */
+router.put('/geofences/:id', requireRole('admin'), geofenceController.updateGeofence);
+
+/**
+ * 删除电子围栏
+ *
+ * 接口信息:
+ *   - 路径: /api/geofences/:id
+ *   - 方法: DELETE
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: geofenceController.deleteGeofence
+ *
+ * 请求示例:
+ *   DELETE /api/geofences/2
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": null,
+ *   "timestamp": 1769737900000,
+ *   "message": "电子围栏 #2 已删除"
+ * }
+ */
+router.delete('/geofences/:id', requireRole('admin'), geofenceController.deleteGeofence);
+
+module.exports = router;
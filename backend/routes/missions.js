@@ -0,0 +1,233 @@
+/**
+ * 航线任务路由模块
+ *
+ * 功能描述:
+ * - 定义航线任务（按 GPS 航点自主行驶）的创建、查询和状态转换路由
+ * - 任务ID全局唯一，查询单个任务和状态转换不需要指定机器人
+ *
+ * 路由结构:
+ * /api/missions                      - GET 查询航线任务 / POST 创建航线任务（默认机器人或 body.robotId）
+ * /api/missions/:id                  - GET 查询单个航线任务
+ * /api/missions/:id/:action          - POST 改变航线任务状态 (start/pause/resume/abort)
+ * /api/robots/:robotId/missions      - GET 查询 / POST 创建指定机器人的航线任务
+ *
+ * 文件路径: backend/routes/missions.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const missionController = require('../controllers/missionController');
+const { resolveRobot } = require('../controllers/robotController');
+
+// 角色中间件 - 写入接口需要对应角色，见 routes/auth.js
+const { requireRole } = require('../controllers/authController');
+
+// ============================================================
+// 航线任务相关路由
+// ============================================================
+
+/**
+ * 查询航线任务列表
+ *
+ * 接口信息:
+ *   - 路径: /api/missions
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: missionController.listMissions
+ *
+ * 查询参数 (均可选):
+ *   - robotId: 只返回该机器人的任务
+ *   - status: 只返回该状态的任务 uploaded / running / paused / completed / aborted
+ *
+ * 请求示例:
+ *   GET /api/missions?status=running
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": 1,
+ *       "robotId": "robot-001",
+ *       "name": "A区巡检",
+ *       "status": "running",
+ *       "speed": 1,
+ *       "waypoints": [
+ *         { "lat": 40.2001, "lon": 116.4001, "speed": null, "action": null, "reachedAt": 1769737760000 },
+ *         { "lat": 40.201, "lon": 116.4001, "speed": 0.5, "action": "scan", "reachedAt": null }
+ *       ],
+ *       "currentWaypoint": 1,
+ *       "createdAt": 1769737700000,
+ *       "updatedAt": 1769737760000,
+ *       "history": [
+ *         { "from": null, "to": "uploaded", "at": 1769737700000, "actor": "admin" },
+ *         { "from": "uploaded", "to": "running", "at": 1769737710000, "actor": "admin" }
+ *       ],
+ *       "tracking": {
+ *         "currentLeg": 1,
+ *         "waypointsReached": 1,
+ *         "totalWaypoints": 2,
+ *         "totalDistance": 99.9,
+ *         "distanceToWaypoint": 42.3,
+ *         "remainingDistance": 42.3,
+ *         "position": { "lat": 40.20072, "lon": 116.4001 },
+ *         "updatedAt": 1769737886000
+ *       }
+ *     }
+ *   ],
+ *   "timestamp": 1769737886090
+ * }
+ *
+ * 航线任务状态:
+ *   uploaded (已上传) / running (行驶中) / paused (已暂停) / completed (已完成) / aborted (已中止)
+ * 机器人进入最后一个航点 config.missions.arrivalRadius 米范围内时任务自动完成
+ */
+router.get('/missions', missionController.listMissions);
+
+/**
+ * 创建航线任务
+ *
+ * 接口信息:
+ *   - 路径: /api/missions
+ *   - 方法: POST
+ *   - 认证: 需要操作员 (operator 及以上)
+ *   - 处理函数: missionController.createMission
+ *
+ * 请求体 (waypoints 与 path 二选一):
+ *   - robotId: 机器人ID（可选，默认为默认机器人）
+ *   - name: 任务名称（可选）
+ *   - speed: 默认速度 m/s（可选，不超过机器人的 maxSpeed）
+ *   - waypoints: 航点数组 [{ lat, lon, speed?, action? }]，最多 config.missions.maxWaypoints 个
+ *   - path: GeoJSON LineString 或其 Feature，坐标为 [经度, 纬度]
+ *   - legs: 与 path 一起使用，按序号指定各航点的 { speed?, action? }
+ *
+ * 请求示例:
+ *   POST /api/missions
+ *   Content-Type: application/json
+ *   Authorization: Bearer <token>
+ *   {
+ *     "robotId": "robot-001",
+ *     "name": "A区巡检",
+ *     "speed": 1,
+ *     "path": {
+ *       "type": "LineString",
+ *       "coordinates": [[116.4001, 40.2001], [116.4001, 40.201]]
+ *     },
+ *     "legs": [{}, { "speed": 0.5, "action": "scan" }]
+ *   }
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": { "id": 1, "robotId": "robot-001", "name": "A区巡检", "status": "uploaded", ... },
+ *   "timestamp": 1769737700000,
+ *   "message": "航线任务 #1 已上传",
+ *   "dispatch": {
+ *     "executed": true,
+ *     "mission": "upload",
+ *     "missionId": 1,
+ *     "commandId": "0b6a6f0e-7c1d-4f55-9a55-4d2f0c1e8a21",
+ *     "state": "pending",
+ *     "message": "航线任务 #1 上传已发送"
+ *   }
+ * }
+ *
+ * 航线无效时返回400（信息以字段名开头，如 "waypoints[2].speed: ..."），
+ * 机器人不存在时返回404，机器人已有未结束的航线任务时返回409；
+ * 上传失败时任务直接中止 (aborted)
+ */
+router.post('/missions', requireRole('operator'), missionController.createMission);
+
+/**
+ * 查询单个航线任务
+ *
+ * 接口信息:
+ *   - 路径: /api/missions/:id
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: missionController.getMission
+ *
+ * 请求示例:
+ *   GET /api/missions/1
+ *
+ * 响应示例: data 同 /api/missions 中的一项；任务不存在时返回404
+ */
+router.get('/missions/:id', missionController.getMission);
+
+/**
+ * 改变航线任务状态
+ *
+ * 接口信息:
+ *   - 路径: /api/missions/:id/:action
+ *   - 方法: POST
+ *   - 认证: 需要操作员 (operator 及以上)
+ *   - 处理函数: missionController.transitionMission
+ *
+ * 路径参数:
+ *   - action: start (开始) / pause (暂停) / resume (继续) / abort (中止)
+ *
+ * 请求示例:
+ *   POST /api/missions/1/abort
+ *   Content-Type: application/json
+ *   { "reason": "前方有障碍物" }
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": { "id": 1, "status": "aborted", ... },
+ *   "timestamp": 1769737900000,
+ *   "message": "航线任务状态已变更为 aborted",
+ *   "dispatch": { "executed": true, "mission": "abort", "missionId": 1, "commandId": "...", "state": "pending", "message": "航线任务 #1 中止已发送" }
+ * }
+ *
+ * 当前状态不允许该操作时返回409；急停锁定期间 start / resume 返回423；
+ * start / resume 下发失败时任务中止
+ */
+router.post('/missions/:id/:action', requireRole('operator'), missionController.transitionMission);
+
+/**
+ * 查询指定机器人的航线任务
+ *
+ * 接口信息:
+ *   - 路径: /api/robots/:robotId/missions
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: missionController.listMissions
+ *
+ * 请求示例:
+ *   GET /api/robots/robot-001/missions?status=completed
+ *
+ * 响应格式同 /api/missions，只包含该机器人的任务；机器人不存在时返回404
+ */
+router.get('/robots/:robotId/missions', resolveRobot, missionController.listMissions);
+
+/**
+ * 为指定机器人创建航线任务
+ *
+ * 接口信息:
+ *   - 路径: /api/robots/:robotId/missions
+ *   - 方法: POST
+ *   - 认证: 需要操作员 (operator 及以上)
+ *   - 处理函数: missionController.createMission
+ *
+ * 请求体同 POST /api/missions（不需要 robotId）
+ *
+ * 请求示例:
+ *   POST /api/robots/robot-001/missions
+ *   Content-Type: application/json
+ *   {
+ *     "speed": 1,
+ *     "waypoints": [
+ *       { "lat": 40.2001, "lon": 116.4001 },
+ *       { "lat": 40.201, "lon": 116.4001, "speed": 0.5, "action": "scan" }
+ *     ]
+ *   }
+ */
+router.post('/robots/:robotId/missions', resolveRobot, requireRole('operator'), missionController.createMission);
+
+module.exports = router;
@@ -0,0 +1,139 @@
+/**
+ * 告警通知路由模块
+ *
+ * 功能描述:
+ * - 告警触发、恢复时服务端推送到配置的通知渠道: 通用 webhook、SMTP 邮件、钉钉机器人、企业微信机器人，
+ *   渠道在 config.notifications.channels 中配置（见 data/notifiers/index.js）
+ * - 按级别路由到渠道，遵守静默时段和按规则的限流，发送失败自动重试
+ * - 查询渠道、发送测试消息、查询投递记录；单条告警的投递状态见 /api/alerts/:id/notifications
+ *
+ * 路由结构:
+ * /api/notifications                      - GET  查询通知投递记录
+ * /api/notifications/channels             - GET  查询通知渠道
+ * /api/notifications/channels/:name/test  - POST 向渠道发送测试消息
+ *
+ * 文件路径: backend/routes/notifications.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const notificationController = require('../controllers/notificationController');
+
+// 角色中间件 - 渠道的查询和测试需要管理员，见 routes/auth.js
+const { requireRole } = require('../controllers/authController');
+
+// 审计中间件，见 routes/audit.js
+const { audit } = require('../controllers/auditController');
+
+// ============================================================
+// 告警通知相关路由
+// ============================================================
+
+/**
+ * 查询通知投递记录
+ *
+ * 接口信息:
+ *   - 路径: /api/notifications
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: notificationController.listDeliveries
+ *
+ * 查询参数 (可选):
+ *   - alertId: 只返回该告警的投递
+ *   - channel: 只返回该渠道的投递
+ *   - state: pending | sent | failed | skipped
+ *   - limit: 返回条数，默认 100，最大 1000
+ *
+ * 请求示例:
+ *   GET /api/notifications?state=failed
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "deliveries": [
+ *       {
+ *         "id": 8,
+ *         "alertId": 12,
+ *         "robotId": "robot-001",
+ *         "key": "rule-1",
+ *         "level": "critical",
+ *         "event": "raised",
+ *         "channel": "email",
+ *         "state": "failed",
+ *         "attempts": 4,
+ *         "lastError": "SMTP 服务器响应超时 (10000ms)",
+ *         "reason": null,
+ *         "createdAt": 1769737886100,
+ *         "updatedAt": 1769737961500,
+ *         "sentAt": null
+ *       }
+ *     ],
+ *     "truncated": false
+ *   },
+ *   "timestamp": 1769737990000
+ * }
+ *
+ * 跳过的通知 state 为 skipped，reason 为原因: 静默时段、限流（600 秒内已通知）、触发时未通知、触发通知发送失败
+ */
+router.get('/notifications', notificationController.listDeliveries);
+
+/**
+ * 查询通知渠道
+ *
+ * 接口信息:
+ *   - 路径: /api/notifications/channels
+ *   - 方法: GET
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: notificationController.listChannels
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "enabled": true,
+ *     "quietHours": { "start": "22:00", "end": "07:00", "levels": ["info", "warning"] },
+ *     "throttleSeconds": 600,
+ *     "channels": [
+ *       { "name": "ops", "type": "dingtalk", "label": "钉钉机器人", "enabled": true,
+ *         "levels": ["critical", "warning"], "events": ["raised", "resolved"], "quietHours": true }
+ *     ]
+ *   },
+ *   "timestamp": 1769737886100
+ * }
+ *
+ * 不返回地址、密钥等敏感配置
+ */
+router.get('/notifications/channels', requireRole('admin'), notificationController.listChannels);
+
+/**
+ * 向渠道发送测试消息
+ *
+ * 接口信息:
+ *   - 路径: /api/notifications/channels/:name/test
+ *   - 方法: POST
+ *   - 认证: 需要管理员 (admin)
+ *   - 审计: notification.test
+ *   - 处理函数: notificationController.testChannel
+ *
+ * 请求示例:
+ *   POST /api/notifications/channels/ops/test
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": { "channel": "ops", "type": "dingtalk", "sentAt": 1769737886300 },
+ *   "timestamp": 1769737886300,
+ *   "message": "测试消息已发送到 ops"
+ * }
+ *
+ * 渠道不存在时返回404；发送失败时返回502，如 "通知渠道 ops 发送失败: 钉钉返回错误: 310000 sign not match"
+ */
+router.post('/notifications/channels/:name/test', audit('notification.test'), requireRole('admin'), notificationController.testChannel);
+
+module.exports = router;
@@ -7,12 +7,34 @@
  * - 提供RESTful风格的API接口
  * 
  * 路由结构:
+ * /api/robots         - GET  获取机器人列表
+ * /api/robots/:robotId - GET 获取单台机器人信息
  * /api/robot/status   - GET  获取机器人状态
- * /api/robot/control  - POST 发送控制指令
+ * /api/robot/status/history - GET 获取机器人状态历史
+ * /api/robot/control  - POST 发送控制指令（可等待机器人确认）
+ * /api/robot/control/heartbeat - POST 运动租约心跳（死人开关）
+ * /api/robot/queue    - GET  查看指令队列 / DELETE 清空指令队列
+ * /api/robot/estop    - GET  查询急停状态 / POST 急停（锁定）
+ * /api/robot/estop/reset - POST 复位急停（管理员）
  * /api/sensors        - GET  获取传感器数据
+ * /api/sensors/history - GET 获取传感器数据历史
  * /api/tasks          - GET  获取任务列表
+ * /api/tasks/upcoming - GET  预览接下来的计划执行
+ * /api/tasks/:id/:action - POST 改变任务状态 (start/pause/resume/complete/fail/cancel)
+ * /api/tasks/:id/progress - POST 上报任务作业进度（机器人反馈）
  * /api/statistics     - GET  获取作业统计
  * 
+ * 多机器人:
+ * 以上机器人数据接口均可加 /api/robots/:robotId 前缀访问指定机器人，
+ * 例如 /api/robots/robot-002/status、/api/robots/robot-002/tasks/:id；
+ * 不带前缀的旧版接口操作默认机器人 (config.fleet.defaultRobotId)
+ * 
+ * 数据校验:
+ * 写入接口的请求体按 data/schema.js 的规则校验，字段类型错误、超出范围或未知字段时返回400，errors 按字段列出原因
+ * 
+ * 审计:
+ * 控制指令、急停、任务变更和状态/传感器/统计写入记录到审计日志（含被拒绝的请求），见 routes/audit.js
+ * 
  * 文件路径: backend/routes/robot.js
  */
 
@@ -25,6 +47,95 @@ const router = express.Router();
 // 引入控制器模块 - 包含所有请求处理函数
 const robotController = require('../controllers/robotController');
 
+// 解析目标机器人的中间件 - 结果保存在 req.robotId
+const { resolveRobot } = robotController;
+
+// 角色中间件 - 写入接口需要对应角色，见 routes/auth.js；数据上报接口也接受设备 API Key，见 routes/apiKeys.js
+const { requireRole, requireRoleOrApiKey } = require('../controllers/authController');
+
+// 审计中间件 - 控制指令、任务变更和数据写入记录到审计日志，见 routes/audit.js
+const { audit } = require('../controllers/auditController');
+
+/**
+ * 生成同一接口的旧版路径和多机器人路径
+ * @param {string} path - 旧版路径，如 '/sensors'
+ * @param {string} robotPath - 机器人路径后缀，默认与旧版路径相同
+ * @returns {Array<string>} [旧版路径, '/robots/:robotId' + 机器人路径]
+ */
+const robotPaths = (path, robotPath = path) => [path, `/robots/:robotId${robotPath}`];
+
+// ============================================================
+// 机器人集群相关路由
+// ============================================================
+
+/**
+ * 获取机器人列表
+ * 
+ * 接口信息:
+ *   - 路径: /api/robots
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: robotController.listRobots
+ * 
+ * 请求示例:
+ *   GET /api/robots
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": "robot-001",
+ *       "name": "1号机器人",
+ *       "source": "config",
+ *       "registeredAt": 1769737700000,
+ *       "limits": {
+ *         "maxSpeed": 2,
+ *         "maxDurationMs": 60000,
+ *         "maxDistance": 100,
+ *         "maxAngle": 360
+ *       },
+ *       "isDefault": true,
+ *       "connection": {
+ *         "type": "mqtt",
+ *         "connected": true,
+ *         "lastUpdate": 1769737700120,
+ *         "rejected": 2,
+ *         "lastRejection": {
+ *           "at": 1769737690000,
+ *           "channel": "status",
+ *           "message": "status.battery: 电量必须在 0~100 之间"
+ *         }
+ *       }
+ *     }
+ *   ],
+ *   "timestamp": 1769737700120
+ * }
+ * 
+ * rejected / lastRejection 只在 MQTT、串口、WebSocket 数据源时返回: 校验失败被丢弃的推送数据次数和最近一次的原因
+ */
+router.get('/robots', robotController.listRobots);
+
+/**
+ * 获取单台机器人信息
+ * 
+ * 接口信息:
+ *   - 路径: /api/robots/:robotId
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: robotController.getRobot
+ * 
+ * 请求示例:
+ *   GET /api/robots/robot-001
+ * 
+ * 响应示例: 同 /api/robots 中的单个元素，机器人未登记时返回404
+ * {
+ *   "success": false,
+ *   "message": "机器人 robot-009 不存在"
+ * }
+ */
+router.get('/robots/:robotId', resolveRobot, robotController.getRobot);
+
 // ============================================================
 // 机器人状态相关路由
 // ============================================================
@@ -33,9 +144,10 @@ const robotController = require('../controllers/robotController');
  * 获取机器人状态
  * 
  * 接口信息:
- *   - 路径: /api/robot/status
+ *   - 路径: /api/robot/status (默认机器人)
+ *   - 路径: /api/robots/:robotId/status
  *   - 方法: GET
- *   - 认证: 无需认证
+ *   - 认证: 需要登录 (viewer 及以上)
  *   - 处理函数: robotController.getStatus
  * 
  * 请求示例:
@@ -51,24 +163,82 @@ const robotController = require('../controllers/robotController');
  *     "coordinates": {
  *       "lat": 40.204,
  *       "lon": 116.401
+ *     },
+ *     "estop": {
+ *       "engaged": false,
+ *       "engagedAt": null,
+ *       "engagedBy": null,
+ *       "reason": null,
+ *       "resetAt": null,
+ *       "resetBy": null
  *     }
  *   },
  *   "timestamp": 1769737700120
  * }
+ * 
+ * estop 为服务器维护的急停锁定状态，见 /api/robot/estop
  */
-router.get('/robot/status', robotController.getStatus);
+router.get(robotPaths('/robot/status', '/status'), resolveRobot, robotController.getStatus);
+
+/**
+ * 获取机器人状态历史
+ * 
+ * 接口信息:
+ *   - 路径: /api/robot/status/history (默认机器人)
+ *   - 路径: /api/robots/:robotId/status/history
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: robotController.getStatusHistory
+ * 
+ * 查询参数:
+ *   - from: 开始时间，毫秒时间戳或 ISO 时间 (默认 to 之前24小时)
+ *   - to: 结束时间 (默认当前时间)
+ *   - fields: 逗号分隔的字段 battery,speed,temperature,lat,lon (默认全部)
+ *   - interval: 分桶间隔，毫秒数或 30s/5m/1h/1d (默认约200个桶)
+ * 
+ * 请求示例:
+ *   GET /api/robot/status/history?from=2026-01-30T00:00:00Z&fields=battery,speed&interval=1h
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "robotId": "robot-001",
+ *     "kind": "status",
+ *     "from": 1769731200000,
+ *     "to": 1769737700120,
+ *     "interval": 3600000,
+ *     "fields": ["battery", "speed"],
+ *     "buckets": [
+ *       {
+ *         "start": 1769731200000,
+ *         "count": 3600,
+ *         "battery": { "min": 78, "max": 85, "avg": 81.4 },
+ *         "speed": { "min": 0, "max": 1.5, "avg": 1.12 }
+ *       }
+ *     ]
+ *   },
+ *   "timestamp": 1769737700120
+ * }
+ * 
+ * 错误响应 (400):
+ * { "success": false, "message": "未知的字段: foo，可选: battery, speed, temperature, lat, lon" }
+ */
+router.get(robotPaths('/robot/status/history', '/status/history'), resolveRobot, robotController.getStatusHistory);
 
 /**
  * 更新机器人状态
  * 
  * 接口信息:
- *   - 路径: /api/robot/status
+ *   - 路径: /api/robot/status (默认机器人)
+ *   - 路径: /api/robots/:robotId/status
  *   - 方法: POST
- *   - 认证: 无需认证
+ *   - 认证: 需要操作员 (operator 及以上)，或带 status 权限范围的设备 API Key (X-API-Key 请求头)
  *   - 处理函数: robotController.updateStatus
  * 
  * 请求示例:
  *   POST /api/robot/status
+ *   X-API-Key: ak_Jx3f9Q...          // 田间网关；人员使用 Authorization: Bearer <token>
  *   Content-Type: application/json
  *   {
  *     "battery": 90,
@@ -94,15 +264,16 @@ router.get('/robot/status', robotController.getStatus);
  *   "timestamp": 1769737700120
  * }
  */
-router.post('/robot/status', robotController.updateStatus);
+router.post(robotPaths('/robot/status', '/status'), resolveRobot, audit('status.update'), requireRoleOrApiKey('operator'), robotController.updateStatus);
 
 /**
  * 发送控制指令
  * 
  * 接口信息:
- *   - 路径: /api/robot/control
+ *   - 路径: /api/robot/control (默认机器人)
+ *   - 路径: /api/robots/:robotId/control
  *   - 方法: POST
- *   - 认证: 无需认证
+ *   - 认证: 需要操作员 (operator 及以上)
  *   - 处理函数: robotController.sendCommand
  * 
  * 请求格式1 - 方向控制:
@@ -119,16 +290,300 @@ router.post('/robot/status', robotController.updateStatus);
  *     "action": "irrigation"  // irrigation | fertilize | scan | harvest
  *   }
  * 
+ * 运动参数（可选，只用于方向指令）:
+ *   speed 速度 m/s，durationMs 持续时间 ms，distance 距离 m（前进/后退），angle 转向角度 °（左转/右转）；
+ *   不得超过机器人的运动上限 (GET /api/robots/:robotId 的 limits)，durationMs / distance / angle 最多指定一个，
+ *   不合法时返回 400，errors 按字段列出原因 [{ field, message }]，message 以字段名开头；参数平铺在下发给机器人的控制消息中
+ *   {
+ *     "command": "forward",
+ *     "speed": 0.5,
+ *     "durationMs": 3000
+ *   }
+ *   {
+ *     "command": "left",
+ *     "angle": 30
+ *   }
+ * 
+ * 指令队列:
+ *   每台机器人的指令进入队列依次下发，可带 "priority": "high" | "normal" | "low"（默认 normal）；
+ *   stop 总是插到队首并清除等待中的运动指令，被清除的请求返回 state: "cancelled"
+ * 
+ * 运动租约（死人开关）:
+ *   运动指令可带 "lease": true，响应中返回 lease.id；操作端按住按键期间需持续调用
+ *   /api/robot/control/heartbeat 续约，超过 config.teleop.leaseTimeout 未续约时服务器自动发送 stop
+ *   {
+ *     "command": "forward",
+ *     "lease": true
+ *   }
+ * 
+ * 急停锁定期间 (POST /api/robot/estop) 除 stop 外的指令返回 423
+ * 
+ * 指令确认:
+ *   每条指令带唯一ID下发，机器人回复确认后状态变为 acknowledged 或 rejected，
+ *   超过 config.commands.ackTimeout 未确认记为 timeout，链路未连接时记为 failed；
+ *   请求体带 "wait": true（或 ?wait=true）时等待确认后再响应，
+ *   否则立即返回 pending，可通过 GET /api/commands/:id 查询
+ * 
  * 响应示例:
  * {
  *   "success": true,
  *   "executed": true,
  *   "command": "forward",
+ *   "commandId": "0b6a6f0e-7c1d-4f55-9a55-4d2f0c1e8a21",
+ *   "state": "pending",
  *   "message": "指令已发送: 前进",
  *   "timestamp": 1769737700120
  * }
+ * 
+ * 带运动参数的响应示例:
+ * {
+ *   "success": true,
+ *   "executed": true,
+ *   "command": "forward",
+ *   "params": { "speed": 0.5, "durationMs": 3000 },
+ *   "commandId": "7c9e6679-7425-40de-944b-e07fc1f90ae7",
+ *   "state": "pending",
+ *   "message": "指令已发送: 前进 (速度 0.5 m/s，时长 3000 ms)",
+ *   "timestamp": 1769737700120
+ * }
+ * 
+ * 等待确认的响应示例 (wait=true，超时未确认):
+ * {
+ *   "success": true,
+ *   "executed": false,
+ *   "command": "forward",
+ *   "commandId": "0b6a6f0e-7c1d-4f55-9a55-4d2f0c1e8a21",
+ *   "state": "timeout",
+ *   "message": "5000ms 内未收到机器人确认",
+ *   "timestamp": 1769737705130
+ * }
+ */
+router.post(robotPaths('/robot/control', '/control'), resolveRobot, audit('control.command'), requireRole('operator'), robotController.sendCommand);
+
+/**
+ * 运动租约心跳
+ * 
+ * 接口信息:
+ *   - 路径: /api/robot/control/heartbeat (默认机器人)
+ *   - 路径: /api/robots/:robotId/control/heartbeat
+ *   - 方法: POST
+ *   - 认证: 需要操作员 (operator 及以上)
+ *   - 处理函数: robotController.renewLease
+ * 
+ * 请求示例:
+ *   POST /api/robot/control/heartbeat
+ *   Content-Type: application/json
+ *   {
+ *     "leaseId": "3f2b8c1a-5d4e-4a7b-9c6d-0e1f2a3b4c5d"
+ *   }
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "id": "3f2b8c1a-5d4e-4a7b-9c6d-0e1f2a3b4c5d",
+ *     "command": "forward",
+ *     "expiresAt": 1769737701620,
+ *     "timeout": 1500
+ *   },
+ *   "timestamp": 1769737700120
+ * }
+ * 
+ * 建议心跳间隔为租约时长的 1/3；租约已过期（服务器已自动停车）、已 stop 或被替换时返回404
+ */
+router.post(robotPaths('/robot/control/heartbeat', '/control/heartbeat'), resolveRobot, requireRole('operator'), robotController.renewLease);
+
+/**
+ * 查看指令队列
+ * 
+ * 接口信息:
+ *   - 路径: /api/robot/queue (默认机器人)
+ *   - 路径: /api/robots/:robotId/queue
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: robotController.getCommandQueue
+ * 
+ * 请求示例:
+ *   GET /api/robot/queue
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "current": {
+ *       "seq": 41,
+ *       "type": "action",
+ *       "action": "irrigation",
+ *       "taskId": 12,
+ *       "priority": "normal",
+ *       "enqueuedAt": 1769737700120
+ *     },
+ *     "pending": [
+ *       { "seq": 43, "type": "command", "command": "left", "priority": "high", "enqueuedAt": 1769737700300 },
+ *       { "seq": 42, "type": "command", "command": "forward", "priority": "normal", "enqueuedAt": 1769737700250 }
+ *     ]
+ *   },
+ *   "timestamp": 1769737700310
+ * }
+ * 
+ * current 为正在下发（config.commands.awaitAck 开启时包括等待确认）的指令；
+ * pending 按下发顺序排列: 优先级 emergency > high > normal > low，同优先级先入队先下发
  */
-router.post('/robot/control', robotController.sendCommand);
+router.get(robotPaths('/robot/queue', '/queue'), resolveRobot, robotController.getCommandQueue);
+
+/**
+ * 清空指令队列
+ * 
+ * 接口信息:
+ *   - 路径: /api/robot/queue (默认机器人)
+ *   - 路径: /api/robots/:robotId/queue
+ *   - 方法: DELETE
+ *   - 认证: 需要操作员 (operator 及以上)
+ *   - 处理函数: robotController.clearCommandQueue
+ * 
+ * 请求示例:
+ *   DELETE /api/robots/robot-002/queue
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": { "cleared": 2 },
+ *   "message": "已清除 2 条指令",
+ *   "timestamp": 1769737700400
+ * }
+ * 
+ * 等待中的指令全部取消，正在下发的指令不受影响；要让机器人立即停下请发送 stop
+ */
+router.delete(robotPaths('/robot/queue', '/queue'), resolveRobot, requireRole('operator'), robotController.clearCommandQueue);
+
+// ============================================================
+// 急停相关路由
+// ============================================================
+
+/**
+ * 查询急停状态
+ * 
+ * 接口信息:
+ *   - 路径: /api/robot/estop (默认机器人)
+ *   - 路径: /api/robots/:robotId/estop
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: robotController.getEmergencyStop
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "engaged": true,
+ *     "engagedAt": 1769737700120,
+ *     "engagedBy": "zhangsan",
+ *     "reason": "人员进入作业区",
+ *     "resetAt": null,
+ *     "resetBy": null
+ *   },
+ *   "timestamp": 1769737700300
+ * }
+ */
+router.get(robotPaths('/robot/estop', '/estop'), resolveRobot, robotController.getEmergencyStop);
+
+/**
+ * 急停
+ * 
+ * 接口信息:
+ *   - 路径: /api/robot/estop (默认机器人)
+ *   - 路径: /api/robots/:robotId/estop
+ *   - 方法: POST
+ *   - 认证: 需要登录（任何登录用户都可以急停）
+ *   - 处理函数: robotController.engageEmergencyStop
+ * 
+ * 请求示例:
+ *   POST /api/robot/estop
+ *   Authorization: Bearer <token>
+ *   Content-Type: application/json
+ *   {
+ *     "reason": "人员进入作业区"   // 可选
+ *   }
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "estop": {
+ *       "engaged": true,
+ *       "engagedAt": 1769737700120,
+ *       "engagedBy": "zhangsan",
+ *       "reason": "人员进入作业区",
+ *       "resetAt": null,
+ *       "resetBy": null
+ *     },
+ *     "dispatch": {
+ *       "executed": true,
+ *       "estop": "engage",
+ *       "commandId": "9a1c3e5f-2b4d-4f6a-8c0e-1d3f5a7b9c2e",
+ *       "state": "pending",
+ *       "message": "急停已发送"
+ *     },
+ *     "cleared": 2,
+ *     "pausedTasks": [12],
+ *     "pausedMissions": [3]
+ *   },
+ *   "message": "机器人 robot-001 急停已锁定",
+ *   "timestamp": 1769737700130
+ * }
+ * 
+ * 说明:
+ *   - 急停不经过指令队列，通过专用消息立即下发（MQTT 为 robot/{robotId}/estop 保留消息）
+ *   - 锁定后除 stop 外的控制指令、作业操作和任务 start / resume 都返回 423，直到复位
+ *   - 等待中的排队指令被取消，进行中的任务转为 paused
+ *   - 锁定状态持久化保存，服务重启后仍然有效
+ */
+router.post(robotPaths('/robot/estop', '/estop'), resolveRobot, audit('control.estop'), robotController.engageEmergencyStop);
+
+/**
+ * 复位急停
+ * 
+ * 接口信息:
+ *   - 路径: /api/robot/estop/reset (默认机器人)
+ *   - 路径: /api/robots/:robotId/estop/reset
+ *   - 方法: POST
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: robotController.resetEmergencyStop
+ * 
+ * 请求示例:
+ *   POST /api/robot/estop/reset
+ *   Authorization: Bearer <token>
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "estop": {
+ *       "engaged": false,
+ *       "engagedAt": 1769737700120,
+ *       "engagedBy": "zhangsan",
+ *       "reason": "人员进入作业区",
+ *       "resetAt": 1769737760000,
+ *       "resetBy": "supervisor"
+ *     },
+ *     "dispatch": {
+ *       "executed": true,
+ *       "estop": "reset",
+ *       "commandId": "4e6a8c0e-1d3f-4b5a-9c2e-7b9c2e4d6f8a",
+ *       "state": "pending",
+ *       "message": "急停复位已发送"
+ *     }
+ *   },
+ *   "message": "机器人 robot-001 急停已复位",
+ *   "timestamp": 1769737760010
+ * }
+ * 
+ * 错误响应:
+ *   - 403: 当前用户不是管理员
+ *   - 409: 未处于急停锁定
+ * 
+ * 复位后暂停的任务不会自动继续，需手动 resume
+ */
+router.post(robotPaths('/robot/estop/reset', '/estop/reset'), resolveRobot, audit('control.estop-reset'), requireRole('admin'), robotController.resetEmergencyStop);
 
 // ============================================================
 // 传感器数据相关路由
@@ -138,9 +593,10 @@ router.post('/robot/control', robotController.sendCommand);
  * 获取传感器数据
  * 
  * 接口信息:
- *   - 路径: /api/sensors
+ *   - 路径: /api/sensors (默认机器人)
+ *   - 路径: /api/robots/:robotId/sensors
  *   - 方法: GET
- *   - 认证: 无需认证
+ *   - 认证: 需要登录 (viewer 及以上)
  *   - 处理函数: robotController.getSensors
  * 
  * 请求示例:
@@ -158,15 +614,57 @@ router.post('/robot/control', robotController.sendCommand);
  *   "timestamp": 1769737886090
  * }
  */
-router.get('/sensors', robotController.getSensors);
+router.get(robotPaths('/sensors'), resolveRobot, robotController.getSensors);
+
+/**
+ * 获取传感器数据历史
+ * 
+ * 接口信息:
+ *   - 路径: /api/sensors/history (默认机器人)
+ *   - 路径: /api/robots/:robotId/sensors/history
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: robotController.getSensorHistory
+ * 
+ * 查询参数: 同状态历史，fields 可选 soilHumidity,soilTemp,light,airHumidity
+ * 
+ * 请求示例:
+ *   GET /api/robots/robot-002/sensors/history?from=1769731200000&interval=15m
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "robotId": "robot-002",
+ *     "kind": "sensors",
+ *     "from": 1769731200000,
+ *     "to": 1769737700120,
+ *     "interval": 900000,
+ *     "fields": ["soilHumidity", "soilTemp", "light", "airHumidity"],
+ *     "buckets": [
+ *       {
+ *         "start": 1769731200000,
+ *         "count": 900,
+ *         "soilHumidity": { "min": 60, "max": 68, "avg": 64.2 },
+ *         "soilTemp": { "min": 19, "max": 21, "avg": 20.1 },
+ *         "light": { "min": 7800, "max": 8100, "avg": 7954.5 },
+ *         "airHumidity": { "min": 52, "max": 56, "avg": 54 }
+ *       }
+ *     ]
+ *   },
+ *   "timestamp": 1769737700120
+ * }
+ */
+router.get(robotPaths('/sensors/history'), resolveRobot, robotController.getSensorHistory);
 
 /**
  * 更新传感器数据
  * 
  * 接口信息:
- *   - 路径: /api/sensors
+ *   - 路径: /api/sensors (默认机器人)
+ *   - 路径: /api/robots/:robotId/sensors
  *   - 方法: POST
- *   - 认证: 无需认证
+ *   - 认证: 需要操作员 (operator 及以上)，或带 sensors 权限范围的设备 API Key (X-API-Key 请求头)
  *   - 处理函数: robotController.updateSensors
  * 
  * 请求示例:
@@ -192,7 +690,7 @@ router.get('/sensors', robotController.getSensors);
  *   "timestamp": 1769737886090
  * }
  */
-router.post('/sensors', robotController.updateSensors);
+router.post(robotPaths('/sensors'), resolveRobot, audit('sensors.update'), requireRoleOrApiKey('operator'), robotController.updateSensors);
 
 // ============================================================
 // 任务管理相关路由
@@ -201,10 +699,14 @@ router.post('/sensors', robotController.updateSensors);
 /**
  * 获取任务列表
  * 
+ * 任务保存在本地任务仓库 (storage/tasks.json)，服务重启后不丢失，
+ * 与当前使用的数据源无关
+ * 
  * 接口信息:
- *   - 路径: /api/tasks
+ *   - 路径: /api/tasks (默认机器人)
+ *   - 路径: /api/robots/:robotId/tasks
  *   - 方法: GET
- *   - 认证: 无需认证
+ *   - 认证: 需要登录 (viewer 及以上)
  *   - 处理函数: robotController.getTasks
  * 
  * 请求示例:
@@ -216,35 +718,69 @@ router.post('/sensors', robotController.updateSensors);
  *   "data": [
  *     {
  *       "id": 1,
+ *       "robotId": "robot-001",
  *       "name": "A区灌溉作业",
  *       "status": "active",
- *       "progress": 45
+ *       "progress": 45,
+ *       "createdAt": 1769737700000,
+ *       "updatedAt": 1769737800000
  *     },
  *     {
  *       "id": 2,
+ *       "robotId": "robot-001",
  *       "name": "B区病虫害检测",
  *       "status": "pending",
- *       "progress": 0
- *     },
- *     {
- *       "id": 3,
- *       "name": "D区施肥作业",
- *       "status": "done",
- *       "progress": 100
- *   }
+ *       "progress": 0,
+ *       "createdAt": 1769737700000,
+ *       "updatedAt": 1769737700000
+ *     }
  *   ],
  *   "timestamp": 1769737886090
  * }
  */
-router.get('/tasks', robotController.getTasks);
+router.get(robotPaths('/tasks'), resolveRobot, robotController.getTasks);
+
+/**
+ * 预览接下来的计划执行
+ * 
+ * 带执行计划 (schedule) 的 pending 任务由调度器到期自动启动，
+ * 此接口列出截止时间前的计划执行，周期计划展开为多次
+ * 
+ * 接口信息:
+ *   - 路径: /api/tasks/upcoming (默认机器人)
+ *   - 路径: /api/robots/:robotId/tasks/upcoming
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: robotController.getUpcomingTasks
+ * 
+ * 查询参数 (均可选):
+ *   - until: 截止时间，毫秒时间戳或 ISO 时间，默认 7 天后
+ *   - limit: 最多返回条数，默认 20，最大 100
+ * 
+ * 请求示例:
+ *   GET /api/tasks/upcoming?limit=3
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     { "taskId": 8, "name": "每日A区灌溉", "action": "irrigation", "runAt": 1769810400000, "recurring": true },
+ *     { "taskId": 9, "name": "B区施肥", "action": "fertilize", "runAt": 1769823000000, "recurring": false },
+ *     { "taskId": 8, "name": "每日A区灌溉", "action": "irrigation", "runAt": 1769896800000, "recurring": true }
+ *   ],
+ *   "timestamp": 1769737886090
+ * }
+ */
+router.get(robotPaths('/tasks/upcoming'), resolveRobot, robotController.getUpcomingTasks);
 
 /**
  * 创建新任务
  * 
  * 接口信息:
- *   - 路径: /api/tasks
+ *   - 路径: /api/tasks (默认机器人)
+ *   - 路径: /api/robots/:robotId/tasks
  *   - 方法: POST
- *   - 认证: 无需认证
+ *   - 认证: 需要操作员 (operator 及以上)
  *   - 处理函数: robotController.createTask
  * 
  * 请求示例:
@@ -252,64 +788,191 @@ router.get('/tasks', robotController.getTasks);
  *   Content-Type: application/json
  *   {
  *     "name": "C区除草作业",
- *     "status": "pending",
  *     "progress": 0
  *   }
  * 
+ *   绑定作业 (启动时下发给机器人，名称缺省时生成为 "B区施肥作业"):
+ *   {
+ *     "action": "fertilize",
+ *     "zone": "B区",
+ *     "params": { "amount": 15 }
+ *   }
+ * 
+ *   指定作业地块 (/api/zones 中的地块ID，须由该机器人负责；zone 缺省时取地块名称):
+ *   {
+ *     "action": "scan",
+ *     "zoneId": 1
+ *   }
+ * 
+ *   带作业和执行计划 (每天 06:00 自动启动并下发灌溉作业):
+ *   {
+ *     "name": "每日A区灌溉",
+ *     "action": "irrigation",
+ *     "zone": "A区",
+ *     "schedule": { "cron": "0 6 * * *" }
+ *   }
+ * 
+ *   schedule 格式:
+ *     { "startAt": "2026-02-01T08:30:00+08:00" }   一次性，到时启动该任务
+ *     { "cron": "0 6 * * *", "startAt"?: ... }     按 cron 重复 (分 时 日 月 周，服务器本地时间)
+ *     { "every": "2d", "startAt"?: ... }           每隔一段时间重复，startAt 默认为创建时间
+ *   周期计划本身保持 pending，每次执行生成一个 planId 指向它的新任务
+ * 
  * 响应示例:
  * {
  *   "success": true,
  *   "data": {
- *     "id": 4,
+ *     "id": 7,
+ *     "robotId": "robot-001",
  *     "name": "C区除草作业",
  *     "status": "pending",
- *     "progress": 0
+ *     "progress": 0,
+ *     "createdAt": 1769737886090,
+ *     "updatedAt": 1769737886090
  *   },
  *   "message": "任务创建成功",
  *   "timestamp": 1769737886090
  * }
  */
-router.post('/tasks', robotController.createTask);
+router.post(robotPaths('/tasks'), resolveRobot, audit('task.create'), requireRole('operator'), robotController.createTask);
 
 /**
  * 更新任务
  * 
  * 接口信息:
- *   - 路径: /api/tasks/:id
+ *   - 路径: /api/tasks/:id (默认机器人)
+ *   - 路径: /api/robots/:robotId/tasks/:id
  *   - 方法: PUT
- *   - 认证: 无需认证
+ *   - 认证: 需要操作员 (operator 及以上)
  *   - 处理函数: robotController.updateTask
  * 
  * 请求示例:
  *   PUT /api/tasks/1
  *   Content-Type: application/json
  *   {
- *     "status": "done",
- *     "progress": 100
+ *     "progress": 60
  *   }
  * 
+ * 任务状态不能通过此接口修改 (返回400)，请使用下方的状态操作接口
+ * 
  * 响应示例:
  * {
  *   "success": true,
  *   "data": {
  *     "id": 1,
+ *     "robotId": "robot-001",
  *     "name": "A区灌溉作业",
- *     "status": "done",
- *     "progress": 100
+ *     "status": "active",
+ *     "progress": 60,
+ *     "createdAt": 1769737700000,
+ *     "updatedAt": 1769737886090,
+ *     "history": [...]
  *   },
  *   "message": "任务更新成功",
  *   "timestamp": 1769737886090
  * }
  */
-router.put('/tasks/:id', robotController.updateTask);
+router.put(robotPaths('/tasks/:id'), resolveRobot, audit('task.update'), requireRole('operator'), robotController.updateTask);
+
+/**
+ * 改变任务状态
+ * 
+ * 接口信息:
+ *   - 路径: /api/tasks/:id/:action (默认机器人)
+ *   - 路径: /api/robots/:robotId/tasks/:id/:action
+ *   - 方法: POST
+ *   - 认证: 需要操作员 (operator 及以上)
+ *   - 处理函数: robotController.transitionTask
+ * 
+ * 操作 (action):
+ *   - start: pending -> active
+ *   - pause: active -> paused
+ *   - resume: paused -> active
+ *   - complete: active -> done，进度置为100
+ *   - fail: active / paused -> failed
+ *   - cancel: pending / active / paused -> cancelled
+ *   done、failed、cancelled 为终止状态
+ * 
+ * 绑定作业 (action) 的任务:
+ *   - start / resume: 通过 handleAction 下发 { action, taskId, zone, zoneId, params, progress } 后改变状态，
+ *     作业未送达、被机器人拒绝或确认超时时任务转为 failed，下发出错 (如急停锁定 423) 时任务状态不变
+ *   - pause / fail / cancel 进行中的任务: 发送 stop 指令
+ *   - 之后的进度由机器人反馈更新
+ * 
+ * 请求示例:
+ *   POST /api/tasks/2/start
+ *   Authorization: Bearer <token>
+ * 
+ *   POST /api/tasks/2/fail
+ *   Content-Type: application/json
+ *   { "reason": "水泵故障" }
+ * 
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": {
+ *     "id": 2,
+ *     "robotId": "robot-001",
+ *     "name": "B区病虫害检测",
+ *     "status": "active",
+ *     "progress": 0,
+ *     "createdAt": 1769737700000,
+ *     "updatedAt": 1769737886090,
+ *     "history": [
+ *       { "from": null, "to": "pending", "at": 1769737700000, "actor": "system" },
+ *       { "from": "pending", "to": "active", "at": 1769737886090, "actor": "zhangsan" }
+ *     ]
+ *   },
+ *   "message": "任务状态已变更为 active",
+ *   "dispatch": { "executed": true, "action": "scan", "message": "扫描作业已启动" },
+ *   "timestamp": 1769737886090
+ * }
+ * 
+ * 错误响应 (409):
+ * { "success": false, "message": "任务 #3 当前状态为 done，不能执行 start" }
+ */
+router.post(
+    robotPaths('/tasks/:id/:action(start|pause|resume|complete|fail|cancel)'),
+    resolveRobot,
+    audit('task.transition'),
+    requireRole('operator'),
+    robotController.transitionTask
+);
+
+/**
+ * 上报任务作业进度
+ * 
+ * 绑定作业的任务进度由机器人反馈更新。MQTT 机器人发布到 robot/{robotId}/progress，
+ * 串口/WebSocket 在数据中带 taskProgress 字段；不主动推送的 HTTP 网关调用此接口
+ * 
+ * 接口信息:
+ *   - 路径: /api/tasks/:id/progress (默认机器人)
+ *   - 路径: /api/robots/:robotId/tasks/:id/progress
+ *   - 方法: POST
+ *   - 认证: 需要操作员 (operator 及以上)，或带 progress 权限范围的设备 API Key (X-API-Key 请求头)
+ *   - 处理函数: robotController.reportTaskProgress
+ * 
+ * 请求示例:
+ *   POST /api/tasks/2/progress
+ *   Content-Type: application/json
+ *   { "progress": 60 }
+ * 
+ *   作业完成 / 失败:
+ *   { "progress": 100, "status": "done" }
+ *   { "status": "failed", "message": "喷头堵塞" }
+ * 
+ * 响应示例: 同更新任务，任务不在执行中 (active / paused) 时返回409
+ */
+router.post(robotPaths('/tasks/:id/progress'), resolveRobot, audit('task.progress'), requireRoleOrApiKey('operator'), robotController.reportTaskProgress);
 
 /**
  * 删除任务
  * 
  * 接口信息:
- *   - 路径: /api/tasks/:id
+ *   - 路径: /api/tasks/:id (默认机器人)
+ *   - 路径: /api/robots/:robotId/tasks/:id
  *   - 方法: DELETE
- *   - 认证: 无需认证
+ *   - 认证: 需要操作员 (operator 及以上)
  *   - 处理函数: robotController.deleteTask
  * 
  * 请求示例:
@@ -322,7 +985,7 @@ router.put('/tasks/:id', robotController.updateTask);
  *   "timestamp": 1769737886090
  * }
  */
-router.delete('/tasks/:id', robotController.deleteTask);
+router.delete(robotPaths('/tasks/:id'), resolveRobot, audit('task.delete'), requireRole('operator'), robotController.deleteTask);
 
 // ============================================================
 // 统计数据相关路由
@@ -332,9 +995,10 @@ router.delete('/tasks/:id', robotController.deleteTask);
  * 获取作业统计
  * 
  * 接口信息:
- *   - 路径: /api/statistics
+ *   - 路径: /api/statistics (默认机器人)
+ *   - 路径: /api/robots/:robotId/statistics
  *   - 方法: GET
- *   - 认证: 无需认证
+ *   - 认证: 需要登录 (viewer 及以上)
  *   - 处理函数: robotController.getStatistics
  * 
  * 请求示例:
@@ -350,16 +1014,21 @@ router.delete('/tasks/:id', robotController.deleteTask);
  *   },
  *   "timestamp": 1769737886090
  * }
+ * 
+ * 定义了地块 (/api/zones) 时 totalArea 为启用地块的面积之和，completedArea 为进行中作业任务的
+ * GPS 轨迹按作业幅宽扫过的作业地块 (任务的 zoneId) 面积（重叠部分只计一次），并附带各地块的覆盖情况:
+ *   "zones": [{ "id": 1, "name": "A区", "crop": "小麦", "area": 127.5, "coveredArea": 12.5, "coverage": 9.8 }]
  */
-router.get('/statistics', robotController.getStatistics);
+router.get(robotPaths('/statistics'), resolveRobot, robotController.getStatistics);
 
 /**
  * 更新作业统计
  * 
  * 接口信息:
- *   - 路径: /api/statistics
+ *   - 路径: /api/statistics (默认机器人)
+ *   - 路径: /api/robots/:robotId/statistics
  *   - 方法: POST
- *   - 认证: 无需认证
+ *   - 认证: 需要操作员 (operator 及以上)，或带 statistics 权限范围的设备 API Key (X-API-Key 请求头)
  *   - 处理函数: robotController.updateStatistics
  * 
  * 请求示例:
@@ -382,7 +1051,7 @@ router.get('/statistics', robotController.getStatistics);
  *   "timestamp": 1769737886090
  * }
  */
-router.post('/statistics', robotController.updateStatistics);
+router.post(robotPaths('/statistics'), resolveRobot, audit('statistics.update'), requireRoleOrApiKey('operator'), robotController.updateStatistics);
 
 // ============================================================
 // 模块导出
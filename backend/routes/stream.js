@@ -0,0 +1,84 @@
+/**
+ * 事件流路由模块
+ * 
+ * 功能描述:
+ * - 定义 Server-Sent Events 事件流的路由
+ * - 供看板大屏、脚本等只读客户端实时跟踪机器人，无需轮询
+ * - EventSource 不能设置请求头，令牌通过查询参数传递: /api/stream?token=<token>
+ * 
+ * 路由结构:
+ * /api/stream                  - GET 订阅全部机器人的事件流
+ * /api/robots/:robotId/stream  - GET 订阅指定机器人的事件流
+ * 
+ * 文件路径: backend/routes/stream.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const streamController = require('../controllers/streamController');
+const { resolveRobot } = require('../controllers/robotController');
+
+// ============================================================
+// 事件流相关路由
+// ============================================================
+
+/**
+ * 订阅全部机器人的事件流
+ * 
+ * 接口信息:
+ *   - 路径: /api/stream
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: streamController.stream
+ * 
+ * 请求示例:
+ *   curl -N http://localhost:3000/api/stream
+ *   curl -N "http://localhost:3000/api/stream?events=status,connection"
+ *   curl -N -H "Last-Event-ID: mkx3b2c0-42" http://localhost:3000/api/stream
+ * 
+ * 响应示例 (text/event-stream):
+ *   retry: 3000
+ * 
+ *   id: mkx3b2c0-43
+ *   event: status
+ *   data: {"robotId":"robot-001","data":{"battery":84,"speed":1.5,"temperature":25,"coordinates":{"lat":40.204,"lon":116.401}},"timestamp":1769737700120}
+ * 
+ *   id: mkx3b2c0-44
+ *   event: connection
+ *   data: {"robotId":"robot-002","data":{"type":"mqtt","connected":false,"lastUpdate":1769737690000},"timestamp":1769737700200}
+ * 
+ * 事件类型:
+ *   status / sensors / tasks / statistics - 数据变更，data 与对应GET接口的 data 相同
+ *   connection - 机器人上线/离线
+ *   alert      - 告警变化
+ * 
+ * 断线续传:
+ *   带 Last-Event-ID 请求头（或 lastEventId 查询参数）重连时，
+ *   补发重放缓冲区中该ID之后的事件（缓冲区大小见 config.realtime.sseReplaySize）
+ *   事件ID为 "<启动标识>-<序号>"；ID 来自服务重启前、无法识别或已超出缓冲区时不补发，
+ *   改为发送 resync 事件（data.data 为 { lastEventId }），客户端应通过 REST 接口重新获取状态
+ */
+router.get('/stream', streamController.stream);
+
+/**
+ * 订阅指定机器人的事件流
+ * 
+ * 接口信息:
+ *   - 路径: /api/robots/:robotId/stream
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: streamController.stream
+ * 
+ * 请求示例:
+ *   curl -N http://localhost:3000/api/robots/robot-001/stream?events=status,alert
+ * 
+ * 响应格式同 /api/stream，只包含该机器人的事件；机器人未登记时返回404
+ */
+router.get('/robots/:robotId/stream', resolveRobot, streamController.stream);
+
+module.exports = router;
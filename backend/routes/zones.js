@@ -0,0 +1,197 @@
+/**
+ * 地块路由模块
+ *
+ * 功能描述:
+ * - 定义地块（作业区域）的增删改查路由
+ * - 地块面积按边界多边形计算，作业统计 (/api/statistics) 的 totalArea 为启用地块的面积之和，
+ *   completedArea 为按作业轨迹计算的地块覆盖面积之和
+ *
+ * 路由结构:
+ * /api/zones        - GET 查询地块 / POST 创建地块
+ * /api/zones/:id    - GET 查询 / PUT 修改 / DELETE 删除地块
+ * /api/zones/:id/coverage - DELETE 清空地块的作业覆盖
+ *
+ * 文件路径: backend/routes/zones.js
+ */
+
+// 引入Express框架
+const express = require('express');
+
+// 创建路由器实例
+const router = express.Router();
+
+// 引入控制器模块
+const zoneController = require('../controllers/zoneController');
+
+// 角色中间件 - 写入接口需要对应角色，见 routes/auth.js
+const { requireRole } = require('../controllers/authController');
+
+// ============================================================
+// 地块相关路由
+// ============================================================
+
+/**
+ * 查询地块列表
+ *
+ * 接口信息:
+ *   - 路径: /api/zones
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: zoneController.listZones
+ *
+ * 查询参数 (均可选):
+ *   - robotId: 只返回该机器人负责的地块
+ *   - active: true / false
+ *
+ * 请求示例:
+ *   GET /api/zones?active=true
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": [
+ *     {
+ *       "id": 1,
+ *       "name": "A区",
+ *       "crop": "小麦",
+ *       "boundary": {
+ *         "type": "Polygon",
+ *         "coordinates": [[[116.398, 40.195], [116.401, 40.195], [116.401, 40.198], [116.398, 40.198], [116.398, 40.195]]]
+ *       },
+ *       "area": { "squareMeters": 84998.9, "mu": 127.5, "hectares": 8.4999 },
+ *       "robotIds": null,
+ *       "active": true,
+ *       "createdAt": 1769737700000,
+ *       "updatedAt": 1769737700000
+ *     }
+ *   ],
+ *   "timestamp": 1769737886090
+ * }
+ *
+ * 面积换算: 1 亩 ≈ 666.67 平方米，1 公顷 = 10000 平方米 = 15 亩
+ */
+router.get('/zones', zoneController.listZones);
+
+/**
+ * 创建地块
+ *
+ * 接口信息:
+ *   - 路径: /api/zones
+ *   - 方法: POST
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: zoneController.createZone
+ *
+ * 请求体:
+ *   - name: 地块名称（必填）
+ *   - crop: 作物（可选）
+ *   - boundary: GeoJSON Polygon 或其 Feature，坐标为 [经度, 纬度]，未闭合时自动闭合（必填）
+ *   - robotIds: 负责作业的机器人ID数组，默认 null（全部机器人）
+ *   - active: 是否启用，默认 true
+ *
+ * 请求示例:
+ *   POST /api/zones
+ *   Content-Type: application/json
+ *   {
+ *     "name": "A区",
+ *     "crop": "小麦",
+ *     "boundary": {
+ *       "type": "Polygon",
+ *       "coordinates": [[[116.398, 40.195], [116.401, 40.195], [116.401, 40.198], [116.398, 40.198]]]
+ *     }
+ *   }
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": { "id": 1, "name": "A区", "area": { "squareMeters": 84998.9, "mu": 127.5, "hectares": 8.4999 }, ... },
+ *   "timestamp": 1769737700000,
+ *   "message": "地块 #1 已创建，面积 127.5 亩"
+ * }
+ *
+ * 字段无效时返回400，信息以字段名开头
+ */
+router.post('/zones', requireRole('admin'), zoneController.createZone);
+
+/**
+ * 查询单个地块
+ *
+ * 接口信息:
+ *   - 路径: /api/zones/:id
+ *   - 方法: GET
+ *   - 认证: 需要登录 (viewer 及以上)
+ *   - 处理函数: zoneController.getZone
+ *
+ * 请求示例:
+ *   GET /api/zones/1
+ *
+ * 响应示例: data 同 /api/zones 中的一项；地块不存在时返回404
+ */
+router.get('/zones/:id', zoneController.getZone);
+
+/**
+ * 修改地块
+ *
+ * 接口信息:
+ *   - 路径: /api/zones/:id
+ *   - 方法: PUT
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: zoneController.updateZone
+ *
+ * 请求体: 同 POST /api/zones，字段均可选；修改 boundary 时重新计算面积
+ *
+ * 请求示例:
+ *   PUT /api/zones/1
+ *   Content-Type: application/json
+ *   { "crop": "玉米", "active": false }
+ *
+ * 地块不存在时返回404
+ */
+router.put('/zones/:id', requireRole('admin'), zoneController.updateZone);
+
+/**
+ * 删除地块
+ *
+ * 接口信息:
+ *   - 路径: /api/zones/:id
+ *   - 方法: DELETE
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: zoneController.deleteZone
+ *
+ * 请求示例:
+ *   DELETE /api/zones/1
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": null,
+ *   "timestamp": 1769737900000,
+ *   "message": "地块 #1 已删除"
+ * }
+ */
+router.delete('/zones/:id', requireRole('admin'), zoneController.deleteZone);
+
+/**
+ * 清空地块的作业覆盖
+ *
+ * 接口信息:
+ *   - 路径: /api/zones/:id/coverage
+ *   - 方法: DELETE
+ *   - 认证: 需要管理员 (admin)
+ *   - 处理函数: zoneController.resetZoneCoverage
+ *
+ * 请求示例:
+ *   DELETE /api/zones/1/coverage
+ *
+ * 响应示例:
+ * {
+ *   "success": true,
+ *   "data": null,
+ *   "timestamp": 1769737900000,
+ *   "message": "地块 #1 的作业覆盖已清空"
+ * }
+ *
+ * 作业统计 (/api/statistics) 中该地块的 coveredArea 归零，如新一季作业开始前；地块不存在时返回404
+ */
+router.delete('/zones/:id/coverage', requireRole('admin'), zoneController.resetZoneCoverage);
+
+module.exports = router;
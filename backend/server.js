@@ -13,6 +13,25 @@
  *   默认端口: 3000
  *   可通过环境变量 PORT 修改
  * 
+ * 实时推送:
+ *   WebSocket 地址 ws://localhost:3000/ws，协议见 realtime/wsServer.js
+ *   SSE 事件流 GET /api/stream，见 routes/stream.js
+ * 
+ * 登录认证:
+ *   除 /api/health 和 /api/auth/login 外的接口都需要登录，见 routes/auth.js
+ *   首次启动自动创建管理员 admin，密码取自 AUTH_ADMIN_PASSWORD，未设置时随机生成并打印在日志中
+ *   田间网关等设备上报数据使用 API Key (X-API-Key 请求头)，见 routes/apiKeys.js
+ *   控制指令、任务变更和数据写入记录到审计日志，见 routes/audit.js
+ * 
+ * 告警:
+ *   服务端在每次状态、传感器数据更新时评估告警规则，告警的查询、确认和历史见 routes/alerts.js
+ *   告警规则（回差、持续时间、变化率、机器人/地块范围）的管理和历史回放测试见 routes/alertRules.js
+ *   告警触发、恢复时推送到 webhook、邮件、钉钉、企业微信（静默时段、限流、重试），见 routes/notifications.js
+ * 
+ * 数据源配置:
+ *   默认使用 MQTT (mqtt)，没有硬件时可设置 DATA_SOURCE=mock 使用模拟数据
+ *   可通过环境变量 DATA_SOURCE 或 config/config.json 切换
+ * 
  * 作者: 开发团队
  * 版本: 1.0.0
  */
@@ -25,6 +44,64 @@ const cors = require('cors');
 
 // 引入路由模块 - 定义API端点
 const robotRoutes = require('./routes/robot');
+const streamRoutes = require('./routes/stream');
+const commandRoutes = require('./routes/commands');
+const missionRoutes = require('./routes/missions');
+const geofenceRoutes = require('./routes/geofences');
+const zoneRoutes = require('./routes/zones');
+const authRoutes = require('./routes/auth');
+const apiKeyRoutes = require('./routes/apiKeys');
+const auditRoutes = require('./routes/audit');
+const alertRoutes = require('./routes/alerts');
+const alertRuleRoutes = require('./routes/alertRules');
+const notificationRoutes = require('./routes/notifications');
+
+// 引入认证中间件 - 校验登录令牌
+const { authenticate } = require('./controllers/authController');
+
+// 引入配置模块 - 合并默认值、配置文件和环境变量
+const config = require('./config');
+
+// 引入登录认证 - 启动时加载用户仓库，必要时创建初始管理员
+const auth = require('./data/auth');
+
+// 引入设备 API Key - 启动时加载 API Key 仓库
+const apiKeys = require('./data/apiKeys');
+
+// 引入审计日志 - 记录控制指令、任务变更和数据写入
+const audit = require('./data/audit');
+
+// 引入告警规则 - 数据更新时评估告警规则
+const alertRules = require('./data/alertRules');
+
+// 引入告警通知 - 告警触发、恢复时推送到通知渠道
+const notifications = require('./data/notifications');
+
+// 引入数据源模块 - 启动时建立硬件连接
+const dataSource = require('./data/dataSource');
+
+// 引入遥测历史存储 - 记录状态、传感器样本供历史查询
+const history = require('./data/history');
+
+// 引入任务调度 - 按执行计划自动启动任务
+const scheduler = require('./data/scheduler');
+
+// 引入任务执行 - 订阅机器人上报的作业进度
+const taskRunner = require('./data/taskRunner');
+const teleop = require('./data/teleop');
+
+// 引入航线任务执行 - 跟踪机器人位置，到达航点后前往下一个航点
+const missionRunner = require('./data/missionRunner');
+
+// 引入电子围栏检测 - 状态更新时检查越界
+const geofence = require('./data/geofence');
+
+// 引入作业覆盖跟踪 - 按作业轨迹计算地块的已完成面积
+const coverage = require('./data/coverage');
+
+// 引入实时推送服务 - WebSocket与HTTP服务共用端口，SSE事件流
+const wsServer = require('./realtime/wsServer');
+const sseHub = require('./realtime/sseHub');
 
 // 创建Express应用实例
 const app = express();
@@ -63,13 +140,49 @@ app.use((req, res, next) => {
     next();
 });
 
+// 认证中间件 - /api 下除健康检查和登录外的请求都需要令牌，当前用户保存在 req.user；设备请求校验 API Key
+app.use('/api', authenticate);
+
 // ============================================================
 // 路由配置区
 // ============================================================
 
+// 挂载登录认证路由 - /api/auth 登录、/api/users 用户管理
+app.use('/api', authRoutes);
+
+// 挂载设备 API Key 路由 - /api/api-keys 创建、吊销（管理员）
+app.use('/api', apiKeyRoutes);
+
+// 挂载审计日志路由 - /api/audit 查询、导出 CSV（管理员）
+app.use('/api', auditRoutes);
+
+// 挂载告警路由 - /api/alerts 查询、确认告警，告警历史
+app.use('/api', alertRoutes);
+
+// 挂载告警规则路由 - /api/alert-rules 增删改查、历史回放测试
+app.use('/api', alertRuleRoutes);
+
+// 挂载告警通知路由 - /api/notifications 投递记录、通知渠道测试
+app.use('/api', notificationRoutes);
+
 // 挂载API路由 - 所有/api开头的请求由robotRoutes处理
 app.use('/api', robotRoutes);
 
+// 挂载事件流路由 - /api/stream 等 Server-Sent Events 接口
+app.use('/api', streamRoutes);
+
+// 挂载控制指令路由 - /api/commands 指令确认状态查询
+app.use('/api', commandRoutes);
+
+// 挂载航线任务路由 - /api/missions GPS 航点自主行驶
+app.use('/api', missionRoutes);
+
+// 挂载电子围栏路由 - /api/geofences 允许区域、禁入区域
+app.use('/api', geofenceRoutes);
+
+// 挂载地块路由 - /api/zones 地块边界与面积
+app.use('/api', zoneRoutes);
+
 // 健康检查接口 - 用于检测服务器是否正常运行
 // 请求方式: GET
 // 路径: /api/health
@@ -104,8 +217,54 @@ app.use((err, req, res, next) => {
 // 服务器启动
 // ============================================================
 
+// 加载用户仓库 - 加载完成前的登录、令牌校验会等待加载
+auth.init().catch((err) => {
+    console.error('[Server] 用户仓库加载失败:', err.message);
+});
+
+// 加载 API Key 仓库 - 加载完成前的 API Key 校验会等待加载
+apiKeys.init().catch((err) => {
+    console.error('[Server] API Key 仓库加载失败:', err.message);
+});
+
+// 启动审计日志 - 在接收请求之前启动
+audit.start();
+
+// 启动告警通知 - 在告警规则恢复、触发告警之前订阅
+notifications.start();
+
+// 启动告警规则评估 - 在数据源产生状态更新之前订阅
+alertRules.start();
+
+// 启动电子围栏检测 - 在数据源产生状态更新之前订阅
+geofence.start();
+
+// 启动作业覆盖跟踪 - 同样在数据源产生状态更新之前订阅
+coverage.start();
+
+// 启动SSE事件中心 - 先于数据源启动，确保首批事件进入重放缓冲区
+sseHub.start();
+
+// 启动历史记录 - 同样需要在数据源产生数据之前订阅
+history.start();
+
+// 初始化数据源连接 - 模拟数据源无需连接，硬件数据源在后台自动重连
+dataSource.init().catch((err) => {
+    console.error('[Server] 数据源初始化失败:', err.message);
+});
+
+// 启动任务调度 - 任务仓库加载完成前的检查会等待加载
+scheduler.start();
+taskRunner.start();
+
+// 启动运动租约看门狗 - 心跳超时自动停车
+teleop.start();
+
+// 启动航线任务位置跟踪
+missionRunner.start();
+
 // 启动HTTP服务器并监听指定端口
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     // 打印分隔线 - 美化控制台输出
     console.log('='.repeat(50));
     console.log('🤖 农业机器人后端服务');
@@ -114,6 +273,7 @@ app.listen(PORT, () => {
     console.log(`📡 服务地址: http://localhost:${PORT}`);
     // 打印API文档链接
     console.log(`🔗 API文档: http://localhost:${PORT}/api/health`);
+    console.log(`⚡ 实时推送: ws://localhost:${PORT}${config.realtime.wsPath}`);
     console.log('='.repeat(50));
     console.log('');
     // 打印所有可用的API端点列表
@@ -122,30 +282,137 @@ app.listen(PORT, () => {
     console.log('  【基础接口】');
     console.log('  GET    /api/health           - 健康检查');
     console.log('');
+    console.log('  【登录认证】');
+    console.log('  POST   /api/auth/login       - 登录，返回令牌 (Authorization: Bearer <token>)');
+    console.log('  GET    /api/auth/me          - 查询当前用户');
+    console.log('  POST   /api/auth/password    - 修改自己的密码');
+    console.log('  GET    /api/users            - 查询用户 (管理员)');
+    console.log('  POST   /api/users            - 创建用户 (viewer/operator/admin，管理员)');
+    console.log('  PUT    /api/users/:id        - 修改用户 (管理员)');
+    console.log('  DELETE /api/users/:id        - 删除用户 (管理员)');
+    console.log('');
+    console.log('  【设备 API Key】');
+    console.log('  GET    /api/api-keys         - 查询 API Key (管理员)');
+    console.log('  POST   /api/api-keys         - 创建 API Key (scopes/robots，管理员) ⭐');
+    console.log('  POST   /api/api-keys/:id/revoke - 吊销 API Key (管理员)');
+    console.log('  数据上报接口 (状态/传感器/统计/作业进度) 可用 X-API-Key 请求头代替登录');
+    console.log('');
+    console.log('  【审计日志】');
+    console.log('  GET    /api/audit            - 查询审计日志 (actor/action/robotId/from/to，format=csv 导出，管理员)');
+    console.log('');
+    console.log('  【告警】');
+    console.log('  GET    /api/alerts           - 查询未恢复的告警 (robotId/type/level)');
+    console.log('  GET    /api/alerts/history   - 查询告警历史 (state/from/to/limit)');
+    console.log('  POST   /api/alerts/:id/ack   - 确认告警 (操作员)');
+    console.log('  GET    /api/alerts/:id/notifications - 查询告警的通知投递状态');
+    console.log('  GET    /api/alert-rules      - 查询告警规则');
+    console.log('  POST   /api/alert-rules      - 创建告警规则 (回差/持续时间/变化率/地块，管理员) ⭐');
+    console.log('  PUT    /api/alert-rules/:id  - 修改告警规则 (管理员)');
+    console.log('  DELETE /api/alert-rules/:id  - 删除告警规则 (管理员)');
+    console.log('  POST   /api/alert-rules/test - 用历史数据测试规则 (也可 /api/alert-rules/:id/test)');
+    console.log('');
+    console.log('  【告警通知】');
+    console.log('  GET    /api/notifications    - 查询通知投递记录 (alertId/channel/state/limit)');
+    console.log('  GET    /api/notifications/channels - 查询通知渠道 (webhook/邮件/钉钉/企业微信，管理员)');
+    console.log('  POST   /api/notifications/channels/:name/test - 发送测试消息 (管理员) ⭐');
+    console.log('');
+    console.log('  【机器人集群】');
+    console.log('  GET    /api/robots           - 获取机器人列表');
+    console.log('  GET    /api/robots/:robotId  - 获取单台机器人信息');
+    console.log('  以下接口均可加 /api/robots/:robotId 前缀访问指定机器人');
+    console.log('');
     console.log('  【机器人状态】');
     console.log('  GET    /api/robot/status     - 获取机器人状态');
+    console.log('  GET    /api/robot/status/history - 获取状态历史 (from/to/fields/interval)');
     console.log('  POST   /api/robot/status     - 更新机器人状态 ⭐');
-    console.log('  POST   /api/robot/control    - 发送控制指令');
+    console.log('  POST   /api/robot/control    - 发送控制指令 (wait=true 等待机器人确认)');
+    console.log('  POST   /api/robot/control/heartbeat - 运动租约心跳 (超时自动停车)');
+    console.log('  POST   /api/robot/estop      - 急停 (锁定，直到复位) 🛑');
+    console.log('  POST   /api/robot/estop/reset - 复位急停 (管理员)');
     console.log('');
     console.log('  【传感器数据】');
     console.log('  GET    /api/sensors          - 获取传感器数据');
+    console.log('  GET    /api/sensors/history  - 获取传感器历史 (from/to/fields/interval)');
     console.log('  POST   /api/sensors          - 更新传感器数据 ⭐');
     console.log('');
     console.log('  【任务管理】');
     console.log('  GET    /api/tasks            - 获取任务列表');
+    console.log('  GET    /api/tasks/upcoming   - 预览接下来的计划执行 (until/limit)');
     console.log('  POST   /api/tasks            - 创建新任务 ⭐');
-    console.log('  PUT    /api/tasks/:id        - 更新任务 ⭐');
+    console.log('  PUT    /api/tasks/:id        - 更新任务名称/进度 ⭐');
+    console.log('  POST   /api/tasks/:id/:action - 改变任务状态 (start/pause/resume/complete/fail/cancel)');
+    console.log('  POST   /api/tasks/:id/progress - 上报作业进度 (机器人反馈) ⭐');
     console.log('  DELETE /api/tasks/:id        - 删除任务 ⭐');
     console.log('');
+    console.log('  【航线任务】');
+    console.log('  GET    /api/missions         - 查询航线任务 (robotId/status)');
+    console.log('  POST   /api/missions         - 创建并上传航线任务 (waypoints 或 GeoJSON path) ⭐');
+    console.log('  GET    /api/missions/:id     - 查询航线任务及行驶进度');
+    console.log('  POST   /api/missions/:id/:action - 改变航线任务状态 (start/pause/resume/abort)');
+    console.log('');
+    console.log('  【电子围栏】');
+    console.log('  GET    /api/geofences        - 查询电子围栏 (越界机器人)');
+    console.log('  POST   /api/geofences        - 创建电子围栏 (allowed/keepout) ⭐');
+    console.log('  PUT    /api/geofences/:id    - 修改电子围栏 ⭐');
+    console.log('  DELETE /api/geofences/:id    - 删除电子围栏');
+    console.log('');
+    console.log('  【地块管理】');
+    console.log('  GET    /api/zones            - 查询地块 (面积: 亩/公顷)');
+    console.log('  POST   /api/zones            - 创建地块 (边界多边形) ⭐');
+    console.log('  PUT    /api/zones/:id        - 修改地块 ⭐');
+    console.log('  DELETE /api/zones/:id        - 删除地块');
+    console.log('  DELETE /api/zones/:id/coverage - 清空地块的作业覆盖');
+    console.log('');
     console.log('  【作业统计】');
-    console.log('  GET    /api/statistics       - 获取作业统计');
+    console.log('  GET    /api/statistics       - 获取作业统计 (按地块面积和作业轨迹覆盖计算)');
     console.log('  POST   /api/statistics       - 更新统计数据 ⭐');
     console.log('');
-    console.log('📋 当前模式: 模拟数据（无需硬件）');
+    console.log('  【控制指令】');
+    console.log('  GET    /api/commands         - 查询指令状态 (since/robotId/limit)');
+    console.log('  GET    /api/commands/:id     - 查询单条指令');
+    console.log('  GET    /api/robot/queue      - 查看指令队列');
+    console.log('  DELETE /api/robot/queue      - 清空指令队列');
+    console.log('');
+    console.log('  【实时推送】');
+    console.log('  GET    /api/stream           - SSE事件流 (全部机器人)');
+    console.log('  GET    /api/robots/:robotId/stream - SSE事件流 (指定机器人)');
+    console.log('');
+    console.log(`🔐 登录认证: ${auth.enabled ? '已启用' : '已关闭（AUTH_ENABLED=false，所有接口无需登录）'}`);
+    console.log(`📋 当前数据源: ${dataSource.CONFIG.type}${dataSource.CONFIG.type === 'mock' ? '（模拟数据，无需硬件）' : ''}`);
     console.log('⭐ 标记的接口支持通过Postman发送数据');
     console.log('📖 详细使用说明: 查看 POSTMAN_GUIDE.md');
     console.log('');
 });
 
+// 在同一HTTP服务器上启动WebSocket推送服务
+wsServer.attach(server);
+
+/**
+ * 优雅退出 - 关闭数据源连接和HTTP服务器
+ * @param {string} signal - 收到的信号名
+ */
+const shutdown = async (signal) => {
+    console.log(`[Server] 收到 ${signal}，正在关闭...`);
+    wsServer.close();
+    sseHub.close();
+    scheduler.stop();
+    taskRunner.stop();
+    teleop.stop();
+    missionRunner.stop();
+    geofence.stop();
+    alertRules.stop();
+    notifications.stop();
+    await coverage.stop();
+    await dataSource.close();
+    await history.stop();
+    await audit.stop();
+    await auth.close();
+    await apiKeys.close();
+    server.close(() => process.exit(0));
+};
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
 // 导出应用实例 - 用于测试和模块化使用
 module.exports = app;
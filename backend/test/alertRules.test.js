@@ -0,0 +1,155 @@
+/**
+ * 遥测告警规则测试
+ *
+ * 在临时存储目录和配置文件下启动 data/alertRules.js，发布传感器数据更新，检查:
+ * - 回差: 读数越过触发阈值时告警，回到恢复阈值之前不恢复，在阈值附近波动时不反复告警
+ * - 未设置 clearThreshold 时以触发阈值恢复
+ * - robotIds 之外的机器人不评估，恢复阈值与触发阈值矛盾的规则返回 400
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/alertRules.test.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, mock, test } = require('node:test');
+
+/**
+ * 发布数据更新后等待规则评估的时间（毫秒），评估在模块内部排队执行
+ */
+const EVALUATE_DELAY = 100;
+
+// 在 before 中加载，加载前需先设置 STORAGE_DIR、CONFIG_FILE
+let alertRules;
+let alerts;
+let events;
+let alertRepository;
+let alertRuleRepository;
+
+let tempDir;
+
+/**
+ * 发布一次传感器数据，等待规则评估完成
+ * @param {string} robotId - 机器人ID
+ * @param {Object} values - 传感器数据
+ */
+async function publish(robotId, values) {
+    events.publishUpdate(robotId, 'sensors', values);
+    await new Promise(resolve => setTimeout(resolve, EVALUATE_DELAY));
+}
+
+/**
+ * 规则在机器人上未恢复的告警
+ * @param {Object} rule - 告警规则
+ * @param {string} robotId - 机器人ID
+ * @returns {Promise<Object|null>} 未恢复的告警
+ */
+const activeAlert = (rule, robotId = 'robot-001') => alerts.findActive(robotId, `rule-${rule.id}`);
+
+before(async () => {
+    // 各模块的运行日志不影响断言，静音以免混入测试输出
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'alert-rules-test-'));
+    const configFile = path.join(tempDir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+        fleet: { robots: [{ id: 'robot-001', name: '1号机' }, { id: 'robot-002', name: '2号机' }] },
+        notifications: { enabled: false }
+    }));
+
+    process.env.STORAGE_DIR = path.join(tempDir, 'storage');
+    process.env.CONFIG_FILE = configFile;
+
+    alertRules = require('../data/alertRules');
+    alerts = require('../data/alerts');
+    events = require('../data/events');
+    alertRepository = require('../data/alertRepository');
+    alertRuleRepository = require('../data/alertRuleRepository');
+
+    await alertRepository.init();
+    await alertRuleRepository.init();
+    alertRules.start();
+});
+
+after(async () => {
+    alertRules.stop();
+    await alertRuleRepository.close();
+    await alertRepository.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// ============================================================
+// 回差
+// ============================================================
+
+test('回到恢复阈值之前不恢复，在阈值附近波动时不反复告警', async () => {
+    const rule = await alertRules.create({ name: '土壤湿度过低', field: 'soilHumidity', condition: 'below', threshold: 30, clearThreshold: 35 });
+
+    await publish('robot-001', { soilHumidity: 28 });
+    const raised = await activeAlert(rule);
+    assert.equal(raised.message, 'robot-001 土壤湿度过低: 28%');
+    assert.equal(raised.value, 28);
+
+    // 回升到触发阈值和恢复阈值之间，告警保持
+    for (const value of [31, 29.5, 34.9]) {
+        await publish('robot-001', { soilHumidity: value });
+        assert.equal((await activeAlert(rule)).id, raised.id);
+    }
+
+    await publish('robot-001', { soilHumidity: 35 });
+    assert.equal(await activeAlert(rule), null);
+    const resolved = await alertRepository.get(raised.id);
+    assert.equal(resolved.state, 'resolved');
+    assert.equal(resolved.resolveReason, '当前值 35%');
+
+    // 恢复后在触发阈值以上波动不再告警，再次低于触发阈值时产生新告警
+    await publish('robot-001', { soilHumidity: 32 });
+    assert.equal(await activeAlert(rule), null);
+    await publish('robot-001', { soilHumidity: 29 });
+    assert.notEqual((await activeAlert(rule)).id, raised.id);
+
+    await alertRules.remove(rule.id);
+});
+
+test('未设置 clearThreshold 时回到触发阈值即恢复', async () => {
+    const rule = await alertRules.create({ name: '温度过高', field: 'soilTemp', condition: 'above', threshold: 40 });
+
+    await publish('robot-001', { soilTemp: 41 });
+    assert.ok(await activeAlert(rule));
+
+    await publish('robot-001', { soilTemp: 40 });
+    assert.equal(await activeAlert(rule), null);
+
+    await alertRules.remove(rule.id);
+});
+
+// ============================================================
+// 适用范围与校验
+// ============================================================
+
+test('robotIds 之外的机器人不评估', async () => {
+    const rule = await alertRules.create({ name: '光照过低', field: 'light', condition: 'below', threshold: 100, robotIds: ['robot-002'] });
+
+    await publish('robot-001', { light: 10 });
+    assert.equal(await activeAlert(rule, 'robot-001'), null);
+
+    await publish('robot-002', { light: 10 });
+    assert.ok(await activeAlert(rule, 'robot-002'));
+
+    await alertRules.remove(rule.id);
+    assert.equal(await activeAlert(rule, 'robot-002'), null);
+});
+
+test('恢复阈值与触发阈值矛盾时返回 400', async () => {
+    await assert.rejects(
+        alertRules.create({ name: '湿度过低', field: 'airHumidity', condition: 'below', threshold: 30, clearThreshold: 25 }),
+        { status: 400, message: 'clearThreshold: below 规则的恢复阈值不能低于触发阈值 30' }
+    );
+    await assert.rejects(
+        alertRules.create({ name: '温度过高', field: 'temperature', condition: 'above', threshold: 50, clearThreshold: 55 }),
+        { status: 400, message: /^clearThreshold: above 规则的恢复阈值不能高于触发阈值 50/ }
+    );
+});
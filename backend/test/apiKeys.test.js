@@ -0,0 +1,109 @@
+/**
+ * 设备 API Key 测试
+ *
+ * 在临时存储目录下启动 data/apiKeys.js，检查:
+ * - 创建请求的校验，明文只返回一次，仓库和列表中只有前缀和哈希
+ * - 权限范围 (scopes) 和机器人范围 (robots) 之外的写入返回 403，"*" 表示全部机器人
+ * - 无效、已吊销的 API Key 返回 401，重复吊销返回 409
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/apiKeys.test.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, mock, test } = require('node:test');
+
+// 在 before 中加载，加载前需先设置 STORAGE_DIR、CONFIG_FILE
+let apiKeys;
+
+let tempDir;
+
+before(async () => {
+    // 各模块的运行日志不影响断言，静音以免混入测试输出
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+    const configFile = path.join(tempDir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+        fleet: { robots: [{ id: 'robot-001', name: '1号机' }, { id: 'robot-002', name: '2号机' }] }
+    }));
+
+    process.env.STORAGE_DIR = path.join(tempDir, 'storage');
+    process.env.CONFIG_FILE = configFile;
+
+    apiKeys = require('../data/apiKeys');
+    await apiKeys.init();
+});
+
+after(async () => {
+    await apiKeys.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// ============================================================
+// 创建
+// ============================================================
+
+test('创建时返回一次明文，列表中只有前缀', async () => {
+    const created = await apiKeys.createKey({ name: ' 东区网关 ', scopes: ['sensors', 'sensors'], robots: ['robot-001'] }, 'admin');
+
+    assert.match(created.key, /^ak_[A-Za-z0-9_-]{32}$/);
+    assert.equal(created.prefix, created.key.slice(0, 10));
+    assert.equal(created.name, '东区网关');
+    assert.deepEqual(created.scopes, ['sensors']);
+
+    const listed = (await apiKeys.listKeys()).find(key => key.id === created.id);
+    assert.equal(listed.key, undefined);
+    assert.equal(listed.keyHash, undefined);
+    assert.equal(fs.readFileSync(path.join(tempDir, 'storage', 'api-keys.json'), 'utf8').includes(created.key), false);
+});
+
+test('创建请求无效时返回 400', async () => {
+    await assert.rejects(apiKeys.createKey({ name: 'x', scopes: ['sensors'] }, 'admin'), { status: 400, message: 'robots: 缺少必填字段' });
+    await assert.rejects(apiKeys.createKey({ name: 'x', scopes: [], robots: ['*'] }, 'admin'), { status: 400, message: 'scopes: 必须是非空数组' });
+    await assert.rejects(apiKeys.createKey({ name: 'x', scopes: ['control'], robots: ['*'] }, 'admin'), { status: 400, message: /未知的权限范围 control/ });
+    await assert.rejects(apiKeys.createKey({ name: 'x', scopes: ['status'], robots: ['robot-404'] }, 'admin'), { status: 400, message: 'robots: 机器人 robot-404 不存在' });
+});
+
+// ============================================================
+// 权限范围
+// ============================================================
+
+test('只能写入限定的接口和机器人', async () => {
+    const { key } = await apiKeys.createKey({ name: '西区网关', scopes: ['status', 'progress'], robots: ['robot-002'] }, 'admin');
+    const record = await apiKeys.authenticate(key, '10.0.0.8');
+
+    assert.doesNotThrow(() => apiKeys.authorize(record, 'status', 'robot-002'));
+    assert.doesNotThrow(() => apiKeys.authorize(record, 'progress', 'robot-002'));
+    assert.throws(() => apiKeys.authorize(record, 'sensors', 'robot-002'), { status: 403, message: /无权写入传感器数据/ });
+    assert.throws(() => apiKeys.authorize(record, 'status', 'robot-001'), { status: 403, message: 'API Key 西区网关 无权写入机器人 robot-001 的数据' });
+});
+
+test('robots 含 "*" 时可写入全部机器人', async () => {
+    const created = await apiKeys.createKey({ name: '中心网关', scopes: ['statistics'], robots: ['robot-001', '*'] }, 'admin');
+    assert.deepEqual(created.robots, ['*']);
+
+    const record = await apiKeys.authenticate(created.key, '10.0.0.9');
+    ['robot-001', 'robot-002'].forEach(robotId => assert.doesNotThrow(() => apiKeys.authorize(record, 'statistics', robotId)));
+});
+
+// ============================================================
+// 吊销
+// ============================================================
+
+test('无效或已吊销的 API Key 返回 401，重复吊销返回 409', async () => {
+    await assert.rejects(apiKeys.authenticate('ak_unknown', '10.0.0.1'), { status: 401 });
+
+    const created = await apiKeys.createKey({ name: '临时网关', scopes: ['sensors'], robots: ['*'] }, 'admin');
+    await apiKeys.authenticate(created.key, '10.0.0.2');
+
+    const revoked = await apiKeys.revokeKey(created.id, 'admin');
+    assert.ok(revoked.revokedAt);
+    await assert.rejects(apiKeys.authenticate(created.key, '10.0.0.2'), { status: 401, message: 'API Key 无效或已吊销' });
+    await assert.rejects(apiKeys.revokeKey(created.id, 'admin'), { status: 409 });
+    assert.equal(await apiKeys.revokeKey(9999, 'admin'), null);
+});
@@ -0,0 +1,114 @@
+/**
+ * 登录认证测试
+ *
+ * 在临时存储目录和配置文件下启动 data/auth.js，检查:
+ * - 登录签发的令牌可以校验，篡改、过期格式无效的令牌返回 401
+ * - 修改密码、管理员重置密码、停用用户后，此前签发的令牌立即失效（同一秒内签发的也失效）
+ * - 角色级别: 高级角色拥有低级角色的全部权限
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/auth.test.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, mock, test } = require('node:test');
+
+const ADMIN_PASSWORD = 'adminpass123';
+
+// 在 before 中加载，加载前需先设置 STORAGE_DIR、CONFIG_FILE
+let auth;
+
+let tempDir;
+
+before(async () => {
+    // 各模块的运行日志不影响断言，静音以免混入测试输出
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+    const configFile = path.join(tempDir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+        auth: { enabled: true, secret: 'test-secret', initialAdmin: { username: 'admin', password: ADMIN_PASSWORD } }
+    }));
+
+    process.env.STORAGE_DIR = path.join(tempDir, 'storage');
+    process.env.CONFIG_FILE = configFile;
+
+    auth = require('../data/auth');
+    await auth.init();
+});
+
+after(async () => {
+    await auth.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// ============================================================
+// 令牌
+// ============================================================
+
+test('登录签发的令牌可以校验，对外表示不含密码哈希', async () => {
+    const { token, user } = await auth.login('admin', ADMIN_PASSWORD);
+
+    const verified = await auth.verifyToken(token);
+    assert.equal(verified.id, user.id);
+    assert.equal(verified.role, 'admin');
+    ['passwordHash', 'passwordChangedAt', 'tokenVersion'].forEach(key => assert.equal(key in verified, false));
+});
+
+test('密码错误、令牌被篡改或格式无效时返回 401', async () => {
+    await assert.rejects(auth.login('admin', 'wrong-password'), { status: 401, message: '用户名或密码错误' });
+
+    const { token } = await auth.login('admin', ADMIN_PASSWORD);
+    const [header, payload, signature] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), role: 'viewer' })).toString('base64url');
+
+    await assert.rejects(auth.verifyToken(`${header}.${forged}.${signature}`), { status: 401, message: '登录令牌无效' });
+    await assert.rejects(auth.verifyToken('not-a-token'), { status: 401 });
+    await assert.rejects(auth.verifyToken(null), { status: 401 });
+});
+
+// ============================================================
+// 令牌失效
+// ============================================================
+
+test('修改密码后此前的令牌立即失效，同一秒内签发的也失效', async () => {
+    await auth.createUser({ username: 'zhangsan', password: 'password-1', role: 'operator' });
+    const { token, user } = await auth.login('zhangsan', 'password-1');
+
+    const changed = await auth.changePassword(user.id, { currentPassword: 'password-1', newPassword: 'password-2' });
+
+    await assert.rejects(auth.verifyToken(token), { status: 401, message: '登录已失效，请重新登录' });
+    assert.equal((await auth.verifyToken(changed.token)).username, 'zhangsan');
+    await assert.rejects(auth.changePassword(user.id, { currentPassword: 'password-1', newPassword: 'password-3' }), { status: 400 });
+});
+
+test('管理员重置密码、停用用户后令牌失效，修改角色立即生效', async () => {
+    const created = await auth.createUser({ username: 'lisi', password: 'password-1', role: 'viewer' });
+
+    const first = await auth.login('lisi', 'password-1');
+    await auth.updateUser(created.id, { role: 'operator' });
+    assert.equal((await auth.verifyToken(first.token)).role, 'operator');
+
+    await auth.updateUser(created.id, { password: 'password-2' });
+    await assert.rejects(auth.verifyToken(first.token), { status: 401 });
+
+    const second = await auth.login('lisi', 'password-2');
+    await auth.updateUser(created.id, { disabled: true });
+    await assert.rejects(auth.verifyToken(second.token), { status: 401 });
+    await assert.rejects(auth.login('lisi', 'password-2'), { status: 401, message: '用户 lisi 已停用' });
+});
+
+// ============================================================
+// 角色
+// ============================================================
+
+test('高级角色拥有低级角色的全部权限', () => {
+    assert.equal(auth.hasRole({ role: 'admin' }, 'viewer'), true);
+    assert.equal(auth.hasRole({ role: 'operator' }, 'operator'), true);
+    assert.equal(auth.hasRole({ role: 'viewer' }, 'operator'), false);
+    assert.equal(auth.hasRole(null, 'viewer'), false);
+});
@@ -0,0 +1,222 @@
+/**
+ * 告警通知分发测试
+ *
+ * 在临时存储目录和配置文件下启动 data/notifications.js，告警推送到本地 HTTP 替身服务器，检查:
+ * - 按级别路由到渠道，触发、恢复通知的投递记录
+ * - 发送失败时按 retryDelay * 2^(n-1) 退避重试，重试用尽后标记失败
+ * - 同一机器人、同一告警键在限流间隔内只通知一次
+ * - 静默时段默认只静默 warning、info，渠道可设置 quietHours: false 不受限制
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/notifications.test.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, mock, test } = require('node:test');
+
+const { startHttpStandin } = require('./standins');
+
+const RETRY_DELAY = 40;
+
+// 在 before 中加载，加载前需先设置 STORAGE_DIR、CONFIG_FILE
+let alerts;
+let alertRepository;
+let notificationRepository;
+let notifications;
+
+let server;
+let tempDir;
+
+/**
+ * 当前时间前后一小时的静默时段，保证测试运行时处于静默时段内
+ * @returns {Object} { start, end }
+ */
+function quietHoursAroundNow() {
+    const format = (date) => {
+        const pad = value => String(value).padStart(2, '0');
+        return `${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    };
+    return {
+        start: format(new Date(Date.now() - 60 * 60 * 1000)),
+        end: format(new Date(Date.now() + 60 * 60 * 1000))
+    };
+}
+
+/**
+ * 等待告警的投递全部完成（不再是 pending）
+ * @param {number} alertId - 告警ID
+ * @param {number} count - 期望的投递条数
+ * @returns {Promise<Object>} `${渠道}:${事件}` -> 投递记录，如 ops:raised
+ */
+async function settled(alertId, count) {
+    const deadline = Date.now() + 5000;
+    for (;;) {
+        const { deliveries } = await notifications.list({ alertId });
+        if (deliveries.length === count && deliveries.every(delivery => delivery.state !== 'pending')) {
+            return Object.fromEntries(deliveries.map(delivery => [`${delivery.channel}:${delivery.event}`, delivery]));
+        }
+        if (Date.now() > deadline) {
+            assert.fail(`告警 #${alertId} 的投递未在 5 秒内完成: ${JSON.stringify(deliveries)}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+const raise = (key, level) => alerts.raise('robot-001', key, { type: 'telemetry', level, message: `${key} 测试告警` });
+
+before(async () => {
+    // 各模块的运行日志不影响断言，静音以免混入测试输出
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+    server = await startHttpStandin({
+        '/flaky': { failures: 2 },
+        '/broken': { failures: Infinity }
+    });
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'notifications-test-'));
+    const configFile = path.join(tempDir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+        notifications: {
+            quietHours: quietHoursAroundNow(),
+            throttleSeconds: 600,
+            retries: 3,
+            retryDelay: RETRY_DELAY,
+            timeout: 2000,
+            channels: [
+                { name: 'ops', type: 'webhook', url: server.url('/ops'), levels: ['critical'] },
+                { name: 'muted', type: 'webhook', url: server.url('/muted'), levels: ['warning'] },
+                { name: 'duty', type: 'webhook', url: server.url('/duty'), levels: ['warning'], quietHours: false },
+                { name: 'flaky', type: 'webhook', url: server.url('/flaky'), levels: ['info'], quietHours: false },
+                { name: 'broken', type: 'webhook', url: server.url('/broken'), levels: ['info'], quietHours: false }
+            ]
+        }
+    }));
+
+    process.env.STORAGE_DIR = path.join(tempDir, 'storage');
+    process.env.CONFIG_FILE = configFile;
+
+    alerts = require('../data/alerts');
+    alertRepository = require('../data/alertRepository');
+    notificationRepository = require('../data/notificationRepository');
+    notifications = require('../data/notifications');
+
+    await alertRepository.init();
+    await require('../data/alertRuleRepository').init();
+    await notificationRepository.init();
+    notifications.start();
+});
+
+after(async () => {
+    notifications.stop();
+    await notificationRepository.close();
+    await alertRepository.close();
+    await server.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// ============================================================
+// 路由与限流
+// ============================================================
+
+test('按级别路由到渠道，恢复时发送恢复通知', async () => {
+    const alert = await raise('battery', 'critical');
+    const raised = await settled(alert.id, 1);
+    assert.equal(raised['ops:raised'].state, 'sent');
+    assert.equal(raised['ops:raised'].attempts, 1);
+
+    await alerts.resolve(alert, '电量已恢复');
+    const resolved = await settled(alert.id, 2);
+    assert.equal(resolved['ops:resolved'].state, 'sent');
+
+    const [first, second] = server.requests('/ops');
+    assert.equal(first.body.event, 'raised');
+    assert.equal(first.body.alert.id, alert.id);
+    assert.equal(second.body.event, 'resolved');
+    assert.match(second.body.title, /^\[已恢复\]/);
+});
+
+test('限流间隔内同一告警键只通知一次，其他告警键不受影响', async () => {
+    const sent = server.requests('/ops').length;
+
+    const repeated = await raise('battery', 'critical');
+    const skipped = await settled(repeated.id, 1);
+    assert.equal(skipped['ops:raised'].state, 'skipped');
+    assert.equal(skipped['ops:raised'].reason, '限流（600 秒内已通知）');
+
+    await alerts.resolve(repeated, '电量已恢复');
+    const resolved = await settled(repeated.id, 2);
+    assert.equal(resolved['ops:resolved'].state, 'skipped');
+    assert.equal(resolved['ops:resolved'].reason, '触发时未通知');
+
+    const other = await raise('temperature', 'critical');
+    assert.equal((await settled(other.id, 1))['ops:raised'].state, 'sent');
+
+    assert.equal(server.requests('/ops').length, sent + 1);
+});
+
+// ============================================================
+// 静默时段
+// ============================================================
+
+test('静默时段内不通知 warning，quietHours: false 的渠道照常通知', async () => {
+    const alert = await raise('humidity', 'warning');
+    const deliveries = await settled(alert.id, 2);
+
+    assert.equal(deliveries['muted:raised'].state, 'skipped');
+    assert.equal(deliveries['muted:raised'].reason, '静默时段');
+    assert.equal(deliveries['duty:raised'].state, 'sent');
+    assert.equal(server.requests('/muted').length, 0);
+});
+
+test('静默时段未列出 levels 时严重告警照常通知', async () => {
+    assert.deepEqual(notifications.listChannels().quietHours.levels, ['warning', 'info']);
+
+    const alert = await raise('geofence', 'critical');
+    assert.equal((await settled(alert.id, 1))['ops:raised'].state, 'sent');
+});
+
+// ============================================================
+// 重试
+// ============================================================
+
+test('发送失败时退避重试，重试用尽后标记失败，恢复通知随之跳过', async () => {
+    const alert = await raise('offline', 'info');
+    const deliveries = await settled(alert.id, 2);
+
+    assert.equal(deliveries['flaky:raised'].state, 'sent');
+    assert.equal(deliveries['flaky:raised'].attempts, 3);
+    assert.equal(deliveries['broken:raised'].state, 'failed');
+    assert.equal(deliveries['broken:raised'].attempts, 4);
+    assert.match(deliveries['broken:raised'].lastError, /^HTTP 500/);
+
+    // 第 n 次重试前等待 retryDelay * 2^(n-1)
+    const gaps = server.requests('/broken').map((request, index, requests) => (index ? request.time - requests[index - 1].time : 0));
+    assert.equal(gaps.length, 4);
+    [1, 2, 4].forEach((factor, index) => {
+        assert.ok(gaps[index + 1] >= RETRY_DELAY * factor - 5, `第 ${index + 1} 次重试间隔 ${gaps[index + 1]}ms 过短`);
+    });
+
+    await alerts.resolve(alert, '已上线');
+    const resolved = await settled(alert.id, 4);
+    assert.equal(resolved['flaky:resolved'].state, 'sent');
+    assert.equal(resolved['broken:resolved'].state, 'skipped');
+    assert.equal(resolved['broken:resolved'].reason, '触发通知发送失败');
+    assert.equal(server.requests('/broken').length, 4);
+});
+
+// ============================================================
+// 测试消息
+// ============================================================
+
+test('测试消息: 渠道不存在返回 404，发送失败返回 502', async () => {
+    await assert.rejects(notifications.testChannel('missing'), { status: 404 });
+    await assert.rejects(notifications.testChannel('broken'), { status: 502, message: /通知渠道 broken 发送失败: HTTP 500/ });
+
+    const result = await notifications.testChannel('duty');
+    assert.equal(result.channel, 'duty');
+    assert.equal(server.requests('/duty').at(-1).body.event, 'test');
+});
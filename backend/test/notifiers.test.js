@@ -0,0 +1,183 @@
+/**
+ * 告警通知渠道测试
+ *
+ * 在本地替身服务器上检查各渠道发出的请求: webhook、钉钉机器人、企业微信机器人、SMTP 邮件
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/notifiers.test.js
+ */
+
+const assert = require('node:assert/strict');
+const crypto = require('node:crypto');
+const { after, before, describe, test } = require('node:test');
+
+const { createNotifier } = require('../data/notifiers');
+const { startHttpStandin, startSmtpStandin } = require('./standins');
+
+const OPTIONS = { timeout: 2000 };
+
+const ALERT = { id: 12, key: 'rule-1', level: 'critical', state: 'raised', robotId: 'robot-001' };
+
+const MESSAGE = {
+    event: 'raised',
+    alert: ALERT,
+    title: '[严重] robot-001 电量过低: 15%',
+    lines: [['机器人', 'robot-001'], ['级别', '严重']]
+};
+
+let server;
+
+before(async () => {
+    server = await startHttpStandin({
+        '/dingtalk-rejected': { body: { errcode: 310000, errmsg: 'sign not match' } },
+        '/wecom-rejected': { body: { errcode: 93000, errmsg: 'invalid webhook url' } },
+        '/down': { status: 503 }
+    });
+});
+
+after(() => server.close());
+
+// ============================================================
+// HTTP 类渠道
+// ============================================================
+
+describe('webhook', () => {
+    test('以 JSON POST 推送告警，并用 secret 签名', async () => {
+        const notifier = createNotifier({
+            name: 'hook', type: 'webhook', url: server.url('/hook'), secret: 's3cret', headers: { 'X-Source': 'robot' }
+        }, OPTIONS);
+        await notifier.send(MESSAGE);
+
+        const [request] = server.requests('/hook');
+        assert.equal(request.body.event, 'raised');
+        assert.equal(request.body.title, MESSAGE.title);
+        assert.deepEqual(request.body.alert, ALERT);
+        assert.equal(request.headers['x-source'], 'robot');
+
+        const signature = crypto.createHmac('sha256', 's3cret').update(request.text).digest('hex');
+        assert.equal(request.headers['x-signature'], `sha256=${signature}`);
+    });
+
+    test('状态码不是 2xx 时发送失败', async () => {
+        const notifier = createNotifier({ name: 'hook', type: 'webhook', url: server.url('/down') }, OPTIONS);
+        await assert.rejects(notifier.send(MESSAGE), /HTTP 503/);
+    });
+});
+
+describe('钉钉机器人', () => {
+    test('发送 markdown 消息，加签并 @ 指定成员', async () => {
+        const notifier = createNotifier({
+            name: 'ding', type: 'dingtalk', url: server.url('/dingtalk?access_token=abc'), secret: 'SEC123', atMobiles: ['13800000000']
+        }, OPTIONS);
+        await notifier.send(MESSAGE);
+
+        const [request] = server.requests('/dingtalk');
+        assert.equal(request.query.get('access_token'), 'abc');
+
+        const timestamp = request.query.get('timestamp');
+        const sign = crypto.createHmac('sha256', 'SEC123').update(`${timestamp}\nSEC123`).digest('base64');
+        assert.equal(request.query.get('sign'), sign);
+
+        assert.equal(request.body.msgtype, 'markdown');
+        assert.equal(request.body.markdown.title, MESSAGE.title);
+        assert.match(request.body.markdown.text, /^### \[严重\] robot-001 电量过低: 15%/);
+        assert.match(request.body.markdown.text, /- \*\*机器人\*\*: robot-001/);
+        assert.match(request.body.markdown.text, /@13800000000$/);
+        assert.deepEqual(request.body.at, { atMobiles: ['13800000000'], isAtAll: false });
+    });
+
+    test('errcode 不为 0 时发送失败', async () => {
+        const notifier = createNotifier({ name: 'ding', type: 'dingtalk', url: server.url('/dingtalk-rejected') }, OPTIONS);
+        await assert.rejects(notifier.send(MESSAGE), /钉钉返回错误: 310000 sign not match/);
+    });
+});
+
+describe('企业微信机器人', () => {
+    test('发送 markdown 消息，按告警级别给标题着色', async () => {
+        const notifier = createNotifier({ name: 'wecom', type: 'wecom', url: server.url('/wecom?key=abc') }, OPTIONS);
+        await notifier.send(MESSAGE);
+        await notifier.send({ ...MESSAGE, event: 'resolved', title: '[已恢复] robot-001 电量过低: 15%' });
+
+        const [raised, resolved] = server.requests('/wecom');
+        assert.equal(raised.query.get('key'), 'abc');
+        assert.equal(raised.body.msgtype, 'markdown');
+        assert.match(raised.body.markdown.content, /^### <font color="warning">\[严重\] robot-001 电量过低: 15%<\/font>/);
+        assert.match(resolved.body.markdown.content, /^### <font color="info">\[已恢复\]/);
+    });
+
+    test('errcode 不为 0 时发送失败', async () => {
+        const notifier = createNotifier({ name: 'wecom', type: 'wecom', url: server.url('/wecom-rejected') }, OPTIONS);
+        await assert.rejects(notifier.send(MESSAGE), /企业微信返回错误: 93000 invalid webhook url/);
+    });
+});
+
+// ============================================================
+// SMTP 邮件
+// ============================================================
+
+describe('SMTP 邮件', () => {
+    let smtp;
+
+    before(async () => {
+        smtp = await startSmtpStandin();
+    });
+
+    after(() => smtp.close());
+
+    const channelOf = extra => ({
+        name: 'email', type: 'smtp', host: '127.0.0.1', port: smtp.port,
+        from: 'alert@example.com', to: ['ops@example.com', 'duty@example.com'], ...extra
+    });
+
+    test('发送 UTF-8 编码的纯文本邮件', async () => {
+        await createNotifier(channelOf(), OPTIONS).send(MESSAGE);
+
+        const session = smtp.sessions.at(-1);
+        const verbs = session.commands.map(line => line.split(/[ :]/)[0]);
+        assert.deepEqual(verbs, ['EHLO', 'MAIL', 'RCPT', 'RCPT', 'DATA', 'QUIT']);
+        assert.ok(session.commands.includes('MAIL FROM:<alert@example.com>'));
+        assert.ok(session.commands.includes('RCPT TO:<duty@example.com>'));
+
+        const [headers, body] = session.mail.split('\r\n\r\n');
+        assert.match(headers, /^To: ops@example.com, duty@example.com$/m);
+        assert.match(headers, new RegExp(`^Subject: =\\?UTF-8\\?B\\?${Buffer.from(MESSAGE.title).toString('base64').replace(/[+/]/g, '\\$&')}\\?=$`, 'm'));
+        assert.match(headers, /^Content-Type: text\/plain; charset=UTF-8$/m);
+
+        const text = Buffer.from(body.replace(/\r\n/g, ''), 'base64').toString('utf8');
+        assert.equal(text, `${MESSAGE.title}\n\n机器人: robot-001\n级别: 严重`);
+    });
+
+    test('服务器不支持 STARTTLS 时拒绝明文认证', async () => {
+        const before = smtp.sessions.length;
+        await assert.rejects(
+            createNotifier(channelOf({ username: 'alert@example.com', password: 'pass' }), OPTIONS).send(MESSAGE),
+            /拒绝在未加密的连接上发送密码/
+        );
+
+        const session = smtp.sessions[before];
+        assert.ok(!session.commands.some(line => line.startsWith('AUTH')));
+        assert.equal(session.mail, null);
+    });
+
+    test('starttls: false 时允许明文认证', async () => {
+        await createNotifier(channelOf({ username: 'alert@example.com', password: 'pass', starttls: false }), OPTIONS).send(MESSAGE);
+
+        const session = smtp.sessions.at(-1);
+        const credentials = Buffer.from('\0alert@example.com\0pass').toString('base64');
+        assert.ok(session.commands.includes(`AUTH PLAIN ${credentials}`));
+        assert.notEqual(session.mail, null);
+    });
+
+    test('服务器拒绝命令时发送失败，错误中包含响应内容', async () => {
+        const rejecting = await startSmtpStandin({ rejects: { RCPT: '550 No such user' } });
+        try {
+            await assert.rejects(
+                createNotifier(channelOf({ port: rejecting.port }), OPTIONS).send(MESSAGE),
+                /SMTP RCPT 失败: 550 No such user/
+            );
+        } finally {
+            await rejecting.close();
+        }
+    });
+});
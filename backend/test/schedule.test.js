@@ -0,0 +1,122 @@
+/**
+ * 任务计划测试
+ *
+ * 检查 data/schedule.js 的计划校验和下一次执行时间（服务器本地时间）:
+ * - cron 表达式的数字、范围、列表、步长，周 0 和 7 都表示周日，日和周满足其一即可
+ * - every 计划按 startAt 对齐，一次性计划执行后不再执行
+ * - 格式无效、永远不会触发或已过期的计划在创建时报错
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/schedule.test.js
+ */
+
+const assert = require('node:assert/strict');
+const { describe, test } = require('node:test');
+
+const schedule = require('../data/schedule');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+/**
+ * 本地时间戳，2026年1月4日为周日
+ * @param {number} day - 1月的日期
+ * @param {number} hour - 时
+ * @param {number} minute - 分
+ * @returns {number} 时间戳
+ */
+const at = (day, hour = 0, minute = 0) => new Date(2026, 0, day, hour, minute).getTime();
+
+const NOW = at(1, 12);
+
+/**
+ * 解析 cron 计划并计算 after 之后的下一次执行时间
+ * @param {string} cron - cron 表达式
+ * @param {number} after - 时间戳
+ * @returns {number|null} 执行时间
+ */
+const nextCron = (cron, after) => schedule.nextRun(schedule.parse({ cron }, NOW), after);
+
+// ============================================================
+// cron 表达式
+// ============================================================
+
+describe('cron', () => {
+    test('每天固定时间，结果严格晚于起点', () => {
+        assert.equal(nextCron('0 6 * * *', at(5, 5, 59)), at(5, 6));
+        assert.equal(nextCron('0 6 * * *', at(5, 6)), at(6, 6));
+    });
+
+    test('范围、列表和步长', () => {
+        assert.equal(nextCron('30 5 * * 1-5', at(3, 12)), at(5, 5, 30));
+        assert.equal(nextCron('*/15 * * * *', at(5, 10, 16)), at(5, 10, 30));
+        assert.equal(nextCron('0 8,20 * * *', at(5, 9)), at(5, 20));
+        assert.equal(nextCron('5/20 * * * *', at(5, 10, 26)), at(5, 10, 45));
+    });
+
+    test('周 0 和 7 都表示周日', () => {
+        assert.equal(nextCron('0 9 * * 0', at(1, 12)), at(4, 9));
+        assert.equal(nextCron('0 9 * * 7', at(1, 12)), at(4, 9));
+    });
+
+    test('日和周都有限制时满足其一即可', () => {
+        // 每月 10 日或每个周日
+        assert.equal(nextCron('0 0 10 * 0', at(1, 12)), at(4));
+        assert.equal(nextCron('0 0 10 * 0', at(8, 12)), at(10));
+    });
+
+    test('startAt 之前不执行', () => {
+        const plan = schedule.parse({ cron: '0 6 * * *', startAt: at(8, 12) }, NOW);
+        assert.equal(schedule.nextRun(plan, at(5)), at(9, 6));
+    });
+
+    test('格式无效或永远不会触发时报错', () => {
+        assert.throws(() => schedule.parse({ cron: '0 6 * *' }, NOW), /必须包含5个字段/);
+        assert.throws(() => schedule.parse({ cron: '60 6 * * *' }, NOW), /minute 超出范围/);
+        assert.throws(() => schedule.parse({ cron: '*/0 * * * *' }, NOW), /超出范围/);
+        assert.throws(() => schedule.parse({ cron: 'a 6 * * *' }, NOW), /格式无效/);
+        assert.throws(() => schedule.parse({ cron: '0 0 30 2 *' }, NOW), /不会触发/);
+    });
+});
+
+// ============================================================
+// every 与一次性计划
+// ============================================================
+
+describe('every', () => {
+    test('按 startAt 对齐，startAt 之前返回 startAt', () => {
+        const plan = schedule.parse({ every: '6h', startAt: at(2) }, NOW);
+
+        assert.equal(schedule.nextRun(plan, at(1)), at(2));
+        assert.equal(schedule.nextRun(plan, at(2)), at(2, 6));
+        assert.equal(schedule.nextRun(plan, at(5, 7)), at(5, 12));
+    });
+
+    test('未指定 startAt 时从当前时间开始', () => {
+        const plan = schedule.parse({ every: 2 * HOUR }, NOW);
+
+        assert.equal(plan.startAt, NOW);
+        assert.equal(schedule.nextRun(plan, NOW), NOW + 2 * HOUR);
+    });
+
+    test('cron 和 every 不能同时设置', () => {
+        assert.throws(() => schedule.parse({ cron: '0 6 * * *', every: '1h' }, NOW), /不能同时设置/);
+    });
+});
+
+describe('一次性计划', () => {
+    test('到时执行一次，之后不再执行', () => {
+        const plan = schedule.parse({ startAt: at(2, 8) }, NOW);
+
+        assert.equal(schedule.isRecurring(plan), false);
+        assert.equal(schedule.nextRun(plan, NOW), at(2, 8));
+        assert.equal(schedule.nextRun(plan, at(2, 8)), null);
+    });
+
+    test('startAt 必须晚于当前时间', () => {
+        assert.throws(() => schedule.parse({ startAt: NOW - MINUTE }, NOW), /必须晚于当前时间/);
+        assert.throws(() => schedule.parse({}, NOW), /至少需要/);
+        assert.throws(() => schedule.parse(null, NOW), /必须是对象/);
+    });
+});
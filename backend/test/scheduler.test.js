@@ -0,0 +1,183 @@
+/**
+ * 任务调度测试
+ *
+ * 在临时存储目录和配置文件下启动 data/scheduler.js（补偿策略 all，最多补 3 次），
+ * 用替身代替数据源的 handleAction，检查:
+ * - 停机一年的周期计划: 只补最近的 maxCatchUpRuns 次，下一次执行时间跳到未来
+ * - 每分钟一次的 cron 计划错过数十万次时不逐次推算，直接跳到最近的执行时间
+ * - 急停锁定等原因启动失败时，本次执行的任务被取消并记录原因，不会留下 pending 的实例
+ * - 预览接下来的执行时间
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/scheduler.test.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, before, mock, test } = require('node:test');
+
+const MINUTE = 60 * 1000;
+const YEAR = 365 * 24 * 60 * MINUTE;
+const MAX_CATCH_UP_RUNS = 3;
+
+// 在 before 中加载，加载前需先设置 STORAGE_DIR、CONFIG_FILE
+let data;
+let safety;
+let schedule;
+let scheduler;
+let tasks;
+
+let tempDir;
+
+/**
+ * 创建带执行计划的任务，并把下一次执行时间改到 nextRunAt
+ * @param {string} robotId - 机器人ID
+ * @param {Object} plan - 执行计划，格式见 data/schedule.js
+ * @param {number} nextRunAt - 下一次执行时间
+ * @returns {Promise<Object>} 任务
+ */
+async function createDue(robotId, plan, nextRunAt) {
+    const task = await tasks.create(robotId, { name: `${robotId} 巡检`, action: 'scan', schedule: schedule.parse(plan) });
+    return tasks.recordRun(robotId, task.id, { nextRunAt });
+}
+
+/**
+ * 等待条件成立
+ * @param {Function} predicate - 异步判断函数
+ * @param {string} message - 超时时的失败信息
+ */
+async function waitUntil(predicate, message) {
+    const deadline = Date.now() + 5000;
+    while (!(await predicate())) {
+        if (Date.now() > deadline) assert.fail(message);
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * 计划生成的任务实例
+ * @param {Object} plan - 周期计划
+ * @returns {Promise<Array>} 任务实例
+ */
+const instancesOf = async plan => (await tasks.list(plan.robotId)).filter(task => task.planId === plan.id);
+
+before(async () => {
+    // 各模块的运行日志不影响断言，静音以免混入测试输出
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'scheduler-test-'));
+    const configFile = path.join(tempDir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+        dataSource: { type: 'mock' },
+        fleet: { robots: ['robot-001', 'robot-002', 'robot-003', 'robot-004'].map(id => ({ id, name: id })) },
+        scheduler: { enabled: true, checkInterval: 20, misfireThreshold: MINUTE, catchUp: 'all', maxCatchUpRuns: MAX_CATCH_UP_RUNS }
+    }));
+
+    process.env.STORAGE_DIR = path.join(tempDir, 'storage');
+    process.env.CONFIG_FILE = configFile;
+
+    data = require('../data/dataSource');
+    safety = require('../data/safety');
+    schedule = require('../data/schedule');
+    scheduler = require('../data/scheduler');
+    tasks = require('../data/taskRepository');
+
+    await tasks.init(async () => []);
+    await safety.init();
+
+    // 作业直接视为已送达并确认
+    mock.method(data, 'handleAction', async (robotId, action) => ({ executed: true, action, commandId: null, state: 'acknowledged' }));
+
+    scheduler.start();
+});
+
+after(async () => {
+    scheduler.stop();
+    await tasks.close();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// ============================================================
+// 补偿
+// ============================================================
+
+test('停机一年的周期计划只补最近的 maxCatchUpRuns 次', async () => {
+    const now = Date.now();
+    const plan = await createDue('robot-001', { every: '1m', startAt: now - YEAR }, now - YEAR);
+
+    await waitUntil(async () => (await instancesOf(plan)).length === MAX_CATCH_UP_RUNS, '未补执行计划');
+
+    const instances = await instancesOf(plan);
+    assert.ok(instances.every(task => task.status === 'active'));
+    assert.ok(instances.every(task => task.history.at(-1).actor === 'scheduler'));
+
+    const current = await tasks.get('robot-001', plan.id);
+    assert.equal(current.status, 'pending');
+    assert.ok(current.lastRunAt >= now);
+    assert.ok(current.nextRunAt > now);
+    assert.ok(console.warn.mock.calls.some(call => /错过 525600 次计划执行/.test(call.arguments[0])));
+});
+
+test('cron 计划错过太多次时直接跳到最近的执行时间', async () => {
+    const now = Date.now();
+    const plan = await createDue('robot-002', { cron: '* * * * *' }, now - YEAR - (now % MINUTE));
+
+    await waitUntil(async () => (await instancesOf(plan)).length === MAX_CATCH_UP_RUNS, '未补执行计划');
+
+    // 补执行的是调度器检查时最近的一次，而不是一年前的（检查时可能已跨入下一分钟）
+    const [latest] = (await instancesOf(plan)).slice(-1);
+    const expected = [0, MINUTE].map(offset => `计划时间 ${new Date(now - (now % MINUTE) + offset).toLocaleString()}`);
+    assert.ok(expected.includes(latest.history.at(-1).reason), `补执行了 ${latest.history.at(-1).reason}`);
+
+    assert.ok((await tasks.get('robot-002', plan.id)).nextRunAt > now);
+    assert.ok(console.warn.mock.calls.some(call => /任务 #\d+ 错过至少 \d+ 次计划执行/.test(call.arguments[0])));
+});
+
+// ============================================================
+// 启动失败
+// ============================================================
+
+test('急停锁定时周期计划的实例被取消，计划按下一次执行时间继续', async () => {
+    await safety.engage('robot-003', { actor: 'admin', reason: '测试' });
+    const now = Date.now();
+    const plan = await createDue('robot-003', { every: '1h', startAt: now - 1000 }, now - 1000);
+
+    await waitUntil(async () => (await instancesOf(plan)).length === 1, '未生成任务实例');
+    await waitUntil(async () => (await instancesOf(plan))[0].status === 'cancelled', '任务实例未取消');
+
+    const [instance] = await instancesOf(plan);
+    assert.match(instance.history.at(-1).reason, /^计划启动失败: 机器人 robot-003 急停已锁定/);
+
+    const current = await tasks.get('robot-003', plan.id);
+    assert.equal(current.status, 'pending');
+    assert.ok(current.nextRunAt > now);
+});
+
+test('急停锁定时一次性任务被取消并记录原因', async () => {
+    await safety.engage('robot-004', { actor: 'admin', reason: '测试' });
+    const task = await tasks.create('robot-004', { name: '施肥', action: 'fertilize', schedule: schedule.parse({ startAt: Date.now() + 50 }) });
+
+    await waitUntil(async () => (await tasks.get('robot-004', task.id)).status === 'cancelled', '一次性任务未取消');
+
+    const current = await tasks.get('robot-004', task.id);
+    assert.match(current.history.at(-1).reason, /^计划启动失败: /);
+    assert.equal(current.nextRunAt, null);
+});
+
+// ============================================================
+// 预览
+// ============================================================
+
+test('预览接下来的执行时间，周期计划展开为多次', async () => {
+    const startAt = Date.now() + 60 * MINUTE;
+    const plan = await tasks.create('robot-004', { name: '灌溉', action: 'irrigation', schedule: schedule.parse({ every: '2h', startAt }) });
+
+    const runs = await scheduler.upcoming('robot-004', { limit: 10, until: startAt + 5 * 60 * MINUTE });
+
+    assert.ok(runs.every(run => run.taskId === plan.id));
+    assert.deepEqual(runs.map(run => run.runAt), [startAt, startAt + 120 * MINUTE, startAt + 240 * MINUTE]);
+    assert.ok(runs.every(run => run.recurring));
+});
@@ -0,0 +1,62 @@
+/**
+ * 数据校验测试
+ *
+ * 检查 data/schema.js 按规则列出的字段错误: 类型、取值范围、枚举、字符串长度、可空字段、
+ * 嵌套对象和未知字段
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/schema.test.js
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const { SCHEMAS, validate, describeErrors } = require('../data/schema');
+
+test('合法的数据返回空数组，所有字段都是可选的', () => {
+    assert.deepEqual(validate(SCHEMAS.robotStatus, { battery: 84, speed: 1.5, lat: 40.2, lon: 116.4 }), []);
+    assert.deepEqual(validate(SCHEMAS.robotStatus, {}), []);
+});
+
+test('类型和取值范围错误按字段列出', () => {
+    const errors = validate(SCHEMAS.robotStatus, { battery: 120, speed: '1', temperature: -30 });
+
+    assert.deepEqual(errors, [
+        { field: 'battery', message: 'battery: 电量必须在 0~100 之间' },
+        { field: 'speed', message: 'speed: 速度必须是数字' },
+        { field: 'temperature', message: 'temperature: 温度必须在 -20~60 之间' }
+    ]);
+    assert.equal(describeErrors(errors).split('；').length, 3);
+});
+
+test('非有限数字、请求体不是对象时报错', () => {
+    assert.equal(validate(SCHEMAS.sensorData, { light: Infinity })[0].message, 'light: 光照强度必须是数字');
+    assert.deepEqual(validate(SCHEMAS.sensorData, [1, 2]), [{ field: '', message: '请求体: 必须是对象' }]);
+    assert.equal(validate(SCHEMAS.statistics, { completedArea: -1 })[0].message, 'completedArea: 已完成面积必须不小于 0');
+});
+
+test('未知字段报错，allowUnknown 的规则忽略', () => {
+    assert.deepEqual(validate(SCHEMAS.robotStatus, { battery: 50, mode: 'auto' }), [{ field: 'mode', message: 'mode: 未知字段' }]);
+    assert.deepEqual(validate(SCHEMAS.hardwareSensors, { soilHumidity: 40, firmware: '1.2' }), []);
+});
+
+test('枚举值和字符串长度', () => {
+    assert.match(validate(SCHEMAS.control, { command: 'jump' })[0].message, /^command: 未知的方向指令 jump，可选: /);
+    assert.deepEqual(validate(SCHEMAS.taskProgress, { status: 'done' }), []);
+    assert.equal(validate(SCHEMAS.task, { name: '  ' })[0].message, 'name: 任务名称必须是 1-100 个字符');
+    assert.equal(validate(SCHEMAS.task, { name: 'x'.repeat(101) })[0].field, 'name');
+});
+
+test('可空字段接受 null，整数字段拒绝小数', () => {
+    assert.deepEqual(validate(SCHEMAS.task, { action: null, zoneId: null, schedule: null }), []);
+    assert.equal(validate(SCHEMAS.task, { zoneId: 1.5 })[0].message, 'zoneId: 作业地块必须是整数');
+    assert.equal(validate(SCHEMAS.task, { name: null })[0].message, 'name: 任务名称必须是字符串');
+});
+
+test('嵌套对象的字段路径', () => {
+    const errors = validate(SCHEMAS.hardwareStatus, { battery: 60, coordinates: { lat: 95, lon: 116.4, alt: 50 } });
+
+    assert.deepEqual(errors, [{ field: 'coordinates.lat', message: 'coordinates.lat: 纬度必须在 -90~90 之间' }]);
+    assert.equal(validate(SCHEMAS.hardwareStatus, { coordinates: 'n/a' })[0].message, 'coordinates: GPS坐标必须是对象');
+});
@@ -0,0 +1,158 @@
+/**
+ * 测试用的本地替身服务器
+ *
+ * 功能描述:
+ * - HTTP 替身: 记录收到的请求，按路径返回预设响应，代替 webhook、钉钉、企业微信的服务端
+ * - SMTP 替身: 按 RFC 5321 的最小子集应答，记录命令和邮件原文，代替邮件服务器
+ * - 都监听 127.0.0.1 的随机端口，测试结束时调用 close()
+ *
+ * 使用方式:
+ *   const http = await startHttpStandin({ '/hook': { status: 500, failures: 2 } });
+ *   http.url('/hook');          // http://127.0.0.1:<port>/hook
+ *   http.requests('/hook');     // [{ path, query, headers, body, text, time }]
+ *   await http.close();
+ *
+ * 文件路径: backend/test/standins.js
+ */
+
+const http = require('http');
+const net = require('net');
+
+// ============================================================
+// HTTP 替身
+// ============================================================
+
+/**
+ * 启动 HTTP 替身服务器
+ * @param {Object} routes - 路径 -> { status?, body?, failures? }，
+ *   failures 为先返回 500 的次数，之后返回 status（默认 200）和 body（默认 { errcode: 0, errmsg: 'ok' }）
+ * @returns {Promise<Object>} { url(path), requests(path), close() }
+ */
+function startHttpStandin(routes = {}) {
+    const received = [];
+    const counts = new Map();
+
+    const server = http.createServer((req, res) => {
+        let text = '';
+        req.setEncoding('utf8');
+        req.on('data', (chunk) => { text += chunk; });
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://127.0.0.1');
+            let body = null;
+            try {
+                body = JSON.parse(text);
+            } catch (error) {
+                body = null;
+            }
+            received.push({ path: url.pathname, query: url.searchParams, headers: req.headers, body, text, time: Date.now() });
+
+            const route = routes[url.pathname] || {};
+            const count = (counts.get(url.pathname) || 0) + 1;
+            counts.set(url.pathname, count);
+
+            const failing = count <= (route.failures || 0);
+            res.writeHead(failing ? 500 : route.status || 200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(failing ? { error: 'temporarily unavailable' } : route.body || { errcode: 0, errmsg: 'ok' }));
+        });
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            resolve({
+                url: path => `http://127.0.0.1:${port}${path}`,
+                requests: path => received.filter(request => request.path === path),
+                close: () => new Promise((done) => {
+                    server.closeAllConnections();
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+// ============================================================
+// SMTP 替身
+// ============================================================
+
+/**
+ * 启动 SMTP 替身服务器
+ * @param {Object} options - { extensions: EHLO 中声明的扩展，默认 ['AUTH PLAIN'],
+ *   rejects: 命令 -> 拒绝时的响应，如 { RCPT: '550 No such user' } }
+ * @returns {Promise<Object>} { port, sessions, close() }，
+ *   sessions 为每个连接的 { commands: 收到的命令行, mail: DATA 原文 }
+ */
+function startSmtpStandin({ extensions = ['AUTH PLAIN'], rejects = {} } = {}) {
+    const sessions = [];
+    const sockets = new Set();
+
+    const server = net.createServer((socket) => {
+        const session = { commands: [], mail: null };
+        sessions.push(session);
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+
+        let buffer = '';
+        let data = null;
+        const reply = line => socket.write(`${line}\r\n`);
+
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+
+            let index;
+            while ((index = buffer.indexOf('\r\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+
+                if (data !== null) {
+                    if (line === '.') {
+                        session.mail = data.join('\r\n');
+                        data = null;
+                        reply('250 OK queued');
+                    } else {
+                        data.push(line);
+                    }
+                    continue;
+                }
+
+                session.commands.push(line);
+                const verb = line.split(' ')[0].toUpperCase();
+                if (rejects[verb]) {
+                    reply(rejects[verb]);
+                } else if (verb === 'EHLO') {
+                    [...extensions.map(extension => `250-${extension}`), '250 SIZE 1048576'].forEach(reply);
+                } else if (verb === 'AUTH') {
+                    reply('235 Authentication successful');
+                } else if (verb === 'DATA') {
+                    data = [];
+                    reply('354 End data with <CR><LF>.<CR><LF>');
+                } else if (verb === 'QUIT') {
+                    reply('221 Bye');
+                    socket.end();
+                } else {
+                    reply('250 OK');
+                }
+            }
+        });
+        reply('220 standin ESMTP');
+    });
+
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                port: server.address().port,
+                sessions,
+                close: () => new Promise((done) => {
+                    sockets.forEach(socket => socket.destroy());
+                    server.close(() => done());
+                })
+            });
+        });
+    });
+}
+
+module.exports = {
+    startHttpStandin,
+    startSmtpStandin
+};
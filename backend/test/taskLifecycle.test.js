@@ -0,0 +1,46 @@
+/**
+ * 任务生命周期测试
+ *
+ * 检查 data/taskLifecycle.js 的状态机: 允许的转换、非法转换返回 409、未知操作返回 400、终止状态
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/taskLifecycle.test.js
+ */
+
+const assert = require('node:assert/strict');
+const { test } = require('node:test');
+
+const lifecycle = require('../data/taskLifecycle');
+
+const task = status => ({ id: 7, status });
+
+test('按状态机转换: 启动、暂停、继续、完成', () => {
+    assert.equal(lifecycle.nextStatus(task('pending'), 'start'), 'active');
+    assert.equal(lifecycle.nextStatus(task('active'), 'pause'), 'paused');
+    assert.equal(lifecycle.nextStatus(task('paused'), 'resume'), 'active');
+    assert.equal(lifecycle.nextStatus(task('active'), 'complete'), 'done');
+});
+
+test('进行中、暂停的任务可以失败，未结束的任务都可以取消', () => {
+    ['active', 'paused'].forEach(status => assert.equal(lifecycle.nextStatus(task(status), 'fail'), 'failed'));
+    ['pending', 'active', 'paused'].forEach(status => assert.equal(lifecycle.nextStatus(task(status), 'cancel'), 'cancelled'));
+});
+
+test('当前状态不允许的操作返回 409', () => {
+    assert.throws(() => lifecycle.nextStatus(task('pending'), 'pause'), { status: 409, message: '任务 #7 当前状态为 pending，不能执行 pause' });
+    assert.throws(() => lifecycle.nextStatus(task('pending'), 'fail'), { status: 409 });
+    assert.throws(() => lifecycle.nextStatus(task('active'), 'start'), { status: 409 });
+});
+
+test('终止状态不能再转换', () => {
+    lifecycle.FINAL_STATUSES.forEach((status) => {
+        assert.equal(lifecycle.isFinal(task(status)), true);
+        lifecycle.ACTIONS.forEach(action => assert.throws(() => lifecycle.nextStatus(task(status), action), { status: 409 }));
+    });
+    assert.equal(lifecycle.isFinal(task('paused')), false);
+});
+
+test('未知操作返回 400', () => {
+    assert.throws(() => lifecycle.nextStatus(task('pending'), 'restart'), { status: 400, message: /未知的任务操作: restart/ });
+});
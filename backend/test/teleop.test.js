@@ -0,0 +1,143 @@
+/**
+ * 遥控运动租约测试
+ *
+ * 在临时配置下启动 data/teleop.js 的看门狗，用替身代替数据源的 handleCommand，检查:
+ * - 心跳续约期间不停车，租约过期后自动发送一次 stop 并释放租约
+ * - stop 未执行时按 stopRetryDelay * 2^(n-1) 退避重试（最长 stopRetryMaxDelay），
+ *   最多 maxStopAttempts 次后放弃并释放租约
+ * - 重试期间租约被释放（操作员发送了 stop）时不再重试
+ *
+ * 运行方式: npm test
+ *
+ * 文件路径: backend/test/teleop.test.js
+ */
+
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { after, afterEach, before, mock, test } = require('node:test');
+
+const LEASE_TIMEOUT = 60;
+const RETRY_DELAY = 30;
+const RETRY_MAX_DELAY = 60;
+const MAX_ATTEMPTS = 4;
+
+// 在 before 中加载，加载前需先设置 STORAGE_DIR、CONFIG_FILE
+let data;
+let teleop;
+
+let tempDir;
+
+/**
+ * 替换数据源的 handleCommand，记录每次调用的时间
+ * @param {boolean} executed - stop 是否执行成功
+ * @returns {Array<number>} 调用时间，随调用追加
+ */
+function stubStop(executed) {
+    const calls = [];
+    mock.method(data, 'handleCommand', async (robotId, command) => {
+        calls.push(Date.now());
+        assert.equal(command, 'stop');
+        return executed ? { executed: true, command } : { executed: false, command, message: '机器人离线' };
+    });
+    return calls;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+before(() => {
+    // 各模块的运行日志不影响断言，静音以免混入测试输出
+    ['log', 'warn', 'error'].forEach(method => mock.method(console, method, () => {}));
+
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'teleop-test-'));
+    const configFile = path.join(tempDir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({
+        dataSource: { type: 'mock' },
+        teleop: {
+            leaseTimeout: LEASE_TIMEOUT,
+            checkInterval: 5,
+            stopRetryDelay: RETRY_DELAY,
+            stopRetryMaxDelay: RETRY_MAX_DELAY,
+            maxStopAttempts: MAX_ATTEMPTS
+        }
+    }));
+
+    process.env.STORAGE_DIR = path.join(tempDir, 'storage');
+    process.env.CONFIG_FILE = configFile;
+
+    data = require('../data/dataSource');
+    teleop = require('../data/teleop');
+    teleop.start();
+});
+
+afterEach(() => {
+    teleop.release('robot-001');
+    if (data.handleCommand.mock) data.handleCommand.mock.restore();
+});
+
+after(() => {
+    teleop.stop();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+// ============================================================
+// 租约
+// ============================================================
+
+test('心跳续约期间不停车，租约过期后发送一次 stop 并释放租约', async () => {
+    const calls = stubStop(true);
+    const lease = teleop.grant('robot-001', 'forward', 'zhangsan');
+    assert.equal(lease.timeout, LEASE_TIMEOUT);
+
+    for (let i = 0; i < 5; i++) {
+        await sleep(LEASE_TIMEOUT / 3);
+        assert.ok(teleop.renew('robot-001', lease.id));
+    }
+    assert.equal(calls.length, 0);
+
+    await sleep(LEASE_TIMEOUT * 3);
+    assert.equal(calls.length, 1);
+    assert.equal(teleop.renew('robot-001', lease.id), null);
+});
+
+test('只能续约当前的租约', () => {
+    const first = teleop.grant('robot-001', 'forward', 'zhangsan');
+    const second = teleop.grant('robot-001', 'left', 'zhangsan');
+
+    assert.equal(teleop.renew('robot-001', first.id), null);
+    assert.equal(teleop.renew('robot-001', second.id).command, 'left');
+    assert.equal(teleop.renew('robot-002', second.id), null);
+});
+
+// ============================================================
+// 自动停止重试
+// ============================================================
+
+test('stop 未执行时退避重试，达到次数上限后放弃', async () => {
+    const calls = stubStop(false);
+    const lease = teleop.grant('robot-001', 'backward', 'zhangsan');
+
+    await sleep(LEASE_TIMEOUT + RETRY_DELAY + RETRY_MAX_DELAY * 4);
+    assert.equal(calls.length, MAX_ATTEMPTS);
+    assert.equal(teleop.renew('robot-001', lease.id), null);
+
+    // 第 n 次重试前等待 stopRetryDelay * 2^(n-1)，最长 stopRetryMaxDelay
+    const gaps = calls.slice(1).map((time, index) => time - calls[index]);
+    [RETRY_DELAY, RETRY_DELAY * 2, RETRY_MAX_DELAY].forEach((delay, index) => {
+        assert.ok(gaps[index] >= delay - 5, `第 ${index + 1} 次重试间隔 ${gaps[index]}ms 过短`);
+    });
+
+    await sleep(RETRY_MAX_DELAY * 2);
+    assert.equal(calls.length, MAX_ATTEMPTS);
+});
+
+test('重试期间租约被释放时不再重试', async () => {
+    const calls = stubStop(false);
+    teleop.grant('robot-001', 'right', 'zhangsan');
+
+    while (calls.length === 0) await sleep(1);
+    teleop.release('robot-001');
+    await sleep(RETRY_MAX_DELAY * 3);
+    assert.equal(calls.length, 1);
+});
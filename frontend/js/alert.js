@@ -2,15 +2,19 @@
  * 告警系统模块
  * 
  * 功能描述:
- * - 监控机器人状态和传感器数据
- * - 检测异常情况并触发告警
- * - 显示告警通知
+ * - 显示后端告警，告警规则由后端在每次数据更新时评估（见 backend/routes/alerts.js），
+ *   没有打开页面时后端同样会触发告警
+ * - 推送可用时通过 WebSocket 实时收到告警变化，推送断开时随数据轮询刷新
+ * - 新告警弹出通知，严重告警播放提示音；页面之外的通知（webhook、邮件、钉钉、企业微信）
+ *   由后端推送，见 backend/routes/notifications.js
+ * - 告警面板中可确认告警（需要操作员）
+ * - 与后端的连接断开时在本地显示断连告警
  * 
- * 告警规则:
- * - 电量低于 20% 触发低电量告警
- * - 温度高于 40°C 触发高温告警
- * - 连接断开触发断连告警
- * - 土壤湿度低于 30% 触发干旱告警
+ * 告警规则 (后端，可通过 /api/alert-rules 修改，见 backend/routes/alertRules.js):
+ * - 默认: 电量低于 20% 触发低电量告警，回升到 25% 恢复
+ * - 默认: 温度高于 40°C 触发高温告警，回落到 38°C 恢复
+ * - 默认: 土壤湿度低于 30% 触发干旱告警，回升到 35% 恢复
+ * - 机器人越过电子围栏触发越界告警
  * 
  * 文件路径: frontend/js/alert.js
  */
@@ -22,51 +26,7 @@
 // ============================================================
 
 const AlertService = {
-    // 告警规则配置
-    rules: {
-        lowBattery: {
-            enabled: true,
-            threshold: 20,
-            message: '电量过低',
-            level: 'critical',
-            field: 'battery',
-            condition: 'below'
-        },
-        highTemperature: {
-            enabled: true,
-            threshold: 40,
-            message: '温度过高',
-            level: 'warning',
-            field: 'temperature',
-            condition: 'above'
-        },
-        lowSoilHumidity: {
-            enabled: true,
-            threshold: 30,
-            message: '土壤湿度过低',
-            level: 'warning',
-            field: 'soilHumidity',
-            condition: 'below'
-        },
-        highSoilHumidity: {
-            enabled: true,
-            threshold: 90,
-            message: '土壤湿度过高',
-            level: 'info',
-            field: 'soilHumidity',
-            condition: 'above'
-        },
-        lowLight: {
-            enabled: true,
-            threshold: 1000,
-            message: '光照不足',
-            level: 'info',
-            field: 'light',
-            condition: 'below'
-        }
-    },
-    
-    // 当前活跃的告警
+    // 当前未恢复的告警: id -> 告警对象（后端告警ID为数字，本地断连告警为 'disconnected'）
     activeAlerts: new Map(),
     
     // 告警历史
@@ -75,7 +35,6 @@ const AlertService = {
     // 配置
     config: {
         maxHistory: 50,           // 最大历史记录数
-        alertCooldown: 30000,     // 同类告警冷却时间 (毫秒)
         soundEnabled: true        // 是否启用告警声音
     },
     
@@ -84,6 +43,18 @@ const AlertService = {
      */
     init() {
         this.createAlertContainer();
+        
+        // 告警面板中的确认按钮
+        const panel = document.getElementById('alertList');
+        if (panel) {
+            panel.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-ack-id]');
+                if (button) {
+                    this.acknowledge(Number(button.dataset.ackId));
+                }
+            });
+        }
+        
         console.log('✅ 告警服务初始化完成');
     },
     
@@ -100,65 +71,55 @@ const AlertService = {
     },
     
     /**
-     * 检查数据并触发告警
-     * @param {Object} robotData - 机器人状态数据
-     * @param {Object} sensorData - 传感器数据
+     * 同步后端的未恢复告警列表（轮询 /api/alerts 的结果）
+     * 新出现的告警弹出通知，列表中已不存在的告警移除
+     * @param {Array} alerts - 未恢复的告警
      */
-    check(robotData, sensorData) {
-        const allData = { ...robotData, ...sensorData };
+    sync(alerts) {
+        const ids = new Set(alerts.map(alert => alert.id));
         
-        Object.entries(this.rules).forEach(([ruleId, rule]) => {
-            if (!rule.enabled) return;
-            
-            const value = allData[rule.field];
-            if (value === undefined) return;
-            
-            let triggered = false;
-            
-            if (rule.condition === 'below' && value < rule.threshold) {
-                triggered = true;
-            } else if (rule.condition === 'above' && value > rule.threshold) {
-                triggered = true;
+        this.activeAlerts.forEach((alert, id) => {
+            if (!alert.local && !ids.has(id)) {
+                this.activeAlerts.delete(id);
             }
-            
-            if (triggered) {
-                this.trigger(ruleId, rule, value);
-            } else {
-                this.resolve(ruleId);
+        });
+        
+        alerts.forEach((alert) => {
+            if (!this.activeAlerts.has(alert.id) && alert.state === 'raised') {
+                this.notify(alert);
             }
+            this.activeAlerts.set(alert.id, alert);
         });
+        
+        this.updateAlertPanel();
     },
     
     /**
-     * 触发告警
-     * @param {string} ruleId - 规则ID
-     * @param {Object} rule - 规则配置
-     * @param {number} value - 当前值
+     * 处理推送的告警变化
+     * @param {Object} alert - 告警对象，state 为 raised / acknowledged / resolved
      */
-    trigger(ruleId, rule, value) {
-        const now = Date.now();
-        const existing = this.activeAlerts.get(ruleId);
-        
-        // 检查冷却时间
-        if (existing && (now - existing.time) < this.config.alertCooldown) {
+    apply(alert) {
+        if (alert.state === 'resolved') {
+            this.resolve(alert.id);
             return;
         }
         
-        const alert = {
-            id: ruleId,
-            message: `${rule.message}: ${value}${this.getUnit(rule.field)}`,
-            level: rule.level,
-            time: now,
-            value: value
-        };
-        
-        this.activeAlerts.set(ruleId, alert);
+        if (!this.activeAlerts.has(alert.id) && alert.state === 'raised') {
+            this.notify(alert);
+        }
+        this.activeAlerts.set(alert.id, alert);
+        this.updateAlertPanel();
+    },
+    
+    /**
+     * 提示新告警: 记录历史、弹出通知，严重告警播放声音
+     * @param {Object} alert - 告警对象
+     */
+    notify(alert) {
         this.addToHistory(alert);
         this.showNotification(alert);
-        this.updateAlertPanel();
         
-        // 播放告警声音
-        if (this.config.soundEnabled && rule.level === 'critical') {
+        if (this.config.soundEnabled && alert.level === 'critical') {
             this.playAlertSound();
         }
         
@@ -166,31 +127,29 @@ const AlertService = {
     },
     
     /**
-     * 解除告警
-     * @param {string} ruleId - 规则ID
+     * 移除告警
+     * @param {number|string} alertId - 告警ID
      */
-    resolve(ruleId) {
-        if (this.activeAlerts.has(ruleId)) {
-            this.activeAlerts.delete(ruleId);
+    resolve(alertId) {
+        if (this.activeAlerts.has(alertId)) {
+            this.activeAlerts.delete(alertId);
             this.updateAlertPanel();
         }
     },
     
     /**
-     * 获取字段单位
-     * @param {string} field - 字段名
-     * @returns {string} 单位
+     * 确认告警
+     * @param {number} alertId - 告警ID
      */
-    getUnit(field) {
-        const units = {
-            battery: '%',
-            temperature: '°C',
-            soilHumidity: '%',
-            soilTemp: '°C',
-            light: ' Lux',
-            airHumidity: '%'
-        };
-        return units[field] || '';
+    async acknowledge(alertId) {
+        try {
+            const result = await API.acknowledgeAlert(alertId);
+            if (result.success) {
+                this.apply(result.data);
+            }
+        } catch (error) {
+            this.showNotification({ level: 'warning', message: `确认告警失败: ${error.message}` });
+        }
     },
     
     /**
@@ -200,7 +159,7 @@ const AlertService = {
     addToHistory(alert) {
         this.alertHistory.unshift({
             ...alert,
-            timeStr: new Date(alert.time).toLocaleTimeString('zh-CN')
+            timeStr: new Date(alert.raisedAt).toLocaleTimeString('zh-CN')
         });
         
         if (this.alertHistory.length > this.config.maxHistory) {
@@ -248,9 +207,16 @@ const AlertService = {
     },
     
     /**
-     * 更新告警面板
+     * 更新告警面板和告警计数
+     * 未确认的后端告警显示确认按钮
      */
     updateAlertPanel() {
+        const count = this.getActiveCount();
+        const countEl = document.getElementById('alertCount');
+        const badgeEl = document.querySelector('.alert-badge');
+        if (countEl) countEl.textContent = count;
+        if (badgeEl) badgeEl.textContent = count;
+        
         const panel = document.getElementById('alertList');
         if (!panel) return;
         
@@ -264,7 +230,10 @@ const AlertService = {
                 <li class="alert-list__item alert-list__item--${alert.level}">
                     <span class="alert-list__icon">${this.getIcon(alert.level)}</span>
                     <span class="alert-list__message">${alert.message}</span>
-                    <span class="alert-list__time">${new Date(alert.time).toLocaleTimeString('zh-CN')}</span>
+                    <span class="alert-list__time">${new Date(alert.raisedAt).toLocaleTimeString('zh-CN')}</span>
+                    ${alert.state === 'acknowledged'
+                        ? `<span class="alert-list__ack-by">${alert.acknowledgedBy} 已确认</span>`
+                        : (alert.local ? '' : `<button class="alert-list__ack" data-ack-id="${alert.id}">确认</button>`)}
                 </li>
             `).join('');
     },
@@ -283,19 +252,25 @@ const AlertService = {
     },
     
     /**
-     * 检查连接状态
+     * 检查与后端的连接状态
+     * 连接断开时后端告警无法送达，在本地显示断连告警
      * @param {boolean} connected - 是否连接
      */
     checkConnection(connected) {
-        if (!connected) {
-            this.trigger('disconnected', {
-                message: '与服务器断开连接',
-                level: 'critical',
-                field: 'connection'
-            }, '离线');
-        } else {
+        if (connected) {
             this.resolve('disconnected');
+            return;
         }
+        
+        if (this.activeAlerts.has('disconnected')) return;
+        this.apply({
+            id: 'disconnected',
+            level: 'critical',
+            state: 'raised',
+            message: '与服务器断开连接',
+            raisedAt: Date.now(),
+            local: true
+        });
     },
     
     /**
@@ -5,11 +5,15 @@
  * - 封装所有与后端通信的HTTP请求
  * - 提供统一的请求方法，简化API调用
  * - 实现请求超时控制和错误处理
+ * - 自动附加登录令牌；收到401时清除令牌，并派发 auth:required 事件通知页面显示登录框
  * - 为每个API端点提供专门的调用方法
  * 
  * 使用方式:
+ * API.login('admin', '********')     // 登录，保存令牌
  * API.getRobotStatus()      // 获取机器人状态
  * API.sendControlCommand('forward')  // 发送控制指令
+ * API.sendHeartbeat(leaseId)         // 运动租约心跳
+ * API.emergencyStop()        // 急停
  * API.getSensorData()        // 获取传感器数据
  * 
  * 文件路径: frontend/js/api.js
@@ -42,6 +46,7 @@ const API = {
      * 功能特性:
      * - 自动拼接完整URL（BASE_URL + endpoint）
      * - 自动设置Content-Type为application/json
+     * - 已登录时自动附加 Authorization: Bearer <token> 请求头
      * - 实现请求超时控制（AbortController）
      * - 统一的错误处理和日志记录
      * 
@@ -56,11 +61,15 @@ const API = {
         // 拼接完整的API请求URL
         const url = `${API_CONFIG.BASE_URL}${endpoint}`;
         
+        // 读取登录令牌
+        const token = this.getToken();
+        
         // 构建默认请求配置
         const config = {
             method: 'GET',                                    // 默认GET请求
             headers: {
-                'Content-Type': 'application/json'           // 设置JSON内容类型
+                'Content-Type': 'application/json',          // 设置JSON内容类型
+                ...(token ? { Authorization: `Bearer ${token}` } : {})  // 附加登录令牌
             },
             ...options                                       // 合并用户传入的配置
         };
@@ -86,8 +95,17 @@ const API = {
             // 检查HTTP状态码
             // 2xx状态码表示成功，其他表示失败
             if (!response.ok) {
-                // 抛出包含状态码的错误
-                throw new Error(`HTTP ${response.status}`);
+                // 抛出包含状态码的错误，后端返回了错误信息时使用该信息（如急停锁定的423）
+                const body = await response.json().catch(() => null);
+                const error = new Error((body && body.message) || `HTTP ${response.status}`);
+                error.status = response.status;
+                
+                // 未登录或令牌失效（登录接口本身的401是用户名或密码错误）
+                if (response.status === 401 && endpoint !== API_CONFIG.ENDPOINTS.AUTH_LOGIN) {
+                    this.clearToken();
+                    window.dispatchEvent(new CustomEvent('auth:required', { detail: { message: error.message } }));
+                }
+                throw error;
             }
             
             // 解析响应体为JSON并返回
@@ -111,6 +129,66 @@ const API = {
         }
     },
     
+    // ============================================================
+    // 登录认证相关接口
+    // ============================================================
+    
+    /**
+     * 读取保存的登录令牌
+     * 
+     * @returns {string|null} 令牌，未登录时为 null
+     */
+    getToken() {
+        return localStorage.getItem(API_CONFIG.AUTH.TOKEN_KEY);
+    },
+    
+    /**
+     * 清除保存的登录令牌
+     */
+    clearToken() {
+        localStorage.removeItem(API_CONFIG.AUTH.TOKEN_KEY);
+    },
+    
+    /**
+     * 登录
+     * 成功后保存令牌，之后的请求自动附加
+     * 
+     * @param {string} username - 用户名
+     * @param {string} password - 密码
+     * @returns {Promise<Object>} 返回 { token, expiresAt, user: { id, username, role, ... } }
+     * @throws {Error} 用户名或密码错误时抛出（status 为 401）
+     * 
+     * 使用示例:
+     * const result = await API.login('admin', '********');
+     * console.log('当前角色:', result.data.user.role);
+     */
+    async login(username, password) {
+        const result = await this.request(API_CONFIG.ENDPOINTS.AUTH_LOGIN, {
+            method: 'POST',
+            body: JSON.stringify({ username, password })
+        });
+        localStorage.setItem(API_CONFIG.AUTH.TOKEN_KEY, result.data.token);
+        return result;
+    },
+    
+    /**
+     * 退出登录
+     * 令牌为无状态签名令牌，清除本地令牌即可
+     */
+    logout() {
+        this.clearToken();
+    },
+    
+    /**
+     * 查询当前用户
+     * 
+     * @returns {Promise<Object>} 返回当前用户 { id, username, role, ... }；后端关闭认证时 data 为 null
+     * @throws {Error} 未登录或令牌失效时抛出（status 为 401）
+     */
+    async getCurrentUser() {
+        return await this.request(API_CONFIG.ENDPOINTS.AUTH_ME);
+    },
+    
     // ============================================================
     // 机器人状态相关接口
     // ============================================================
@@ -146,19 +224,57 @@ const API = {
      *   - 'left': 左转
      *   - 'right': 右转
      *   - 'stop': 停止
-     * @returns {Promise<Object>} 返回执行结果
+     * @param {Object} options - 可选参数
+     * @param {boolean} options.lease - 是否带运动租约，带租约时需定期调用 sendHeartbeat 续约
+     * @param {number} options.speed - 速度 m/s；另可带 durationMs / distance / angle，上限见机器人的 limits
+     * @returns {Promise<Object>} 返回执行结果，带租约时包含 lease: { id, expiresAt, timeout }
      * 
      * 使用示例:
      * const result = await API.sendControlCommand('forward');
+     * await API.sendControlCommand('forward', { speed: 0.5, durationMs: 3000 });
      * if (result.success) {
      *   console.log('指令已发送');
      * }
      */
-    async sendControlCommand(command) {
+    async sendControlCommand(command, options = {}) {
         // POST请求，发送JSON格式的command参数
         return await this.request(API_CONFIG.ENDPOINTS.ROBOT_CONTROL, {
             method: 'POST',
-            body: JSON.stringify({ command })  // 将对象转为JSON字符串
+            body: JSON.stringify({ command, ...options })  // 将对象转为JSON字符串
+        });
+    },
+    
+    /**
+     * 运动租约心跳
+     * 租约已过期（服务器已自动停车）时返回404，调用方应停止心跳
+     * 
+     * @param {string} leaseId - sendControlCommand 返回的 lease.id
+     * @returns {Promise<Object>} 返回续约后的租约
+     * 
+     * 使用示例:
+     * await API.sendHeartbeat(result.lease.id);
+     */
+    async sendHeartbeat(leaseId) {
+        return await this.request(API_CONFIG.ENDPOINTS.ROBOT_CONTROL_HEARTBEAT, {
+            method: 'POST',
+            body: JSON.stringify({ leaseId })
+        });
+    },
+    
+    /**
+     * 急停
+     * 急停锁定后除停止外的指令都会被拒绝，直到管理员复位
+     * 
+     * @param {string} reason - 急停原因（可选）
+     * @returns {Promise<Object>} 返回 { estop, dispatch, cleared, pausedTasks }
+     * 
+     * 使用示例:
+     * const result = await API.emergencyStop('人员进入作业区');
+     */
+    async emergencyStop(reason) {
+        return await this.request(API_CONFIG.ENDPOINTS.ROBOT_ESTOP, {
+            method: 'POST',
+            body: JSON.stringify({ reason })
         });
     },
     
@@ -228,7 +344,7 @@ const API = {
      * 任务对象包含:
      * - id: 任务ID
      * - name: 任务名称
-     * - status: 状态 ('active'/'pending'/'done')
+     * - status: 状态 ('pending'/'active'/'paused'/'done'/'failed'/'cancelled')
      * - progress: 进度 (%)
      * 
      * 使用示例:
@@ -269,6 +385,49 @@ const API = {
         return await this.request(API_CONFIG.ENDPOINTS.STATISTICS);
     },
     
+    // ============================================================
+    // 告警相关接口
+    // ============================================================
+    
+    /**
+     * 获取未恢复的告警
+     * 
+     * @returns {Promise<Object>} 返回告警数组，最新触发的在前
+     * 
+     * 告警对象包含:
+     * - id: 告警ID
+     * - level: 级别 ('critical'/'warning'/'info')
+     * - state: 状态 ('raised' 已触发 / 'acknowledged' 已确认)
+     * - message: 告警内容，如 'robot-001 电量过低: 15%'
+     * - robotId: 机器人ID
+     * - raisedAt: 触发时间
+     * 
+     * 使用示例:
+     * const result = await API.getAlerts();
+     * if (result.success) {
+     *   console.log('未恢复告警:', result.data.length);
+     * }
+     */
+    async getAlerts() {
+        return await this.request(API_CONFIG.ENDPOINTS.ALERTS);
+    },
+    
+    /**
+     * 确认告警
+     * 需要操作员及以上角色；告警已确认或已恢复时返回409
+     * 
+     * @param {number} alertId - 告警ID
+     * @returns {Promise<Object>} 返回确认后的告警
+     * 
+     * 使用示例:
+     * await API.acknowledgeAlert(12);
+     */
+    async acknowledgeAlert(alertId) {
+        return await this.request(`${API_CONFIG.ENDPOINTS.ALERTS}/${alertId}/ack`, {
+            method: 'POST'
+        });
+    },
+    
     // ============================================================
     // 系统健康检查接口
     // ============================================================
@@ -9,11 +9,12 @@
  * 模块结构:
  * 1. State - 状态管理，存储应用全局状态
  * 2. DOM - DOM管理，处理页面元素的引用和操作
- * 3. DataService - 数据服务，负责数据的定时刷新和渲染
- * 4. ControlService - 控制服务，处理用户控制指令
+ * 3. DataService - 数据服务，负责数据的实时推送/定时刷新和渲染
+ * 4. ControlService - 控制服务，处理用户控制指令（优先走推送连接）
  * 5. LogService - 日志服务，管理系统日志显示
- * 6. EventService - 事件服务，处理用户交互事件
- * 7. App - 应用入口，初始化和销毁
+ * 6. AuthService - 登录服务，登录框、当前用户和退出登录
+ * 7. EventService - 事件服务，处理用户交互事件
+ * 8. App - 应用入口，初始化和销毁
  * 
  * 文件路径: frontend/js/app.js
  */
@@ -61,6 +62,12 @@ const State = {
     // 任务列表
     tasks: [],                   // 任务数组
     
+    // 急停状态 - 来自 /api/robot/status 的 estop 字段，未收到前为 null
+    estop: null,
+    
+    // 当前登录用户 - { id, username, role }，未登录或后端关闭认证时为 null
+    user: null,
+    
     // 定时器集合 - 用于存储所有数据刷新的定时器ID
     timers: {}                  // 键值对形式: { robot: timerId, sensors: timerId, ... }
 };
@@ -91,6 +98,20 @@ const DOM = {
             statusIndicator: document.getElementById('statusIndicator'), // 连接状态指示器
             statusText: document.getElementById('statusText'),         // 连接状态文字
             
+            // ========== 登录相关 ==========
+            userInfo: document.getElementById('userInfo'),             // 当前用户
+            userName: document.getElementById('userName'),             // 用户名和角色
+            logoutButton: document.getElementById('logoutButton'),     // 退出登录按钮
+            loginOverlay: document.getElementById('loginOverlay'),     // 登录框遮罩
+            loginForm: document.getElementById('loginForm'),           // 登录表单
+            loginUsername: document.getElementById('loginUsername'),   // 用户名输入框
+            loginPassword: document.getElementById('loginPassword'),   // 密码输入框
+            loginError: document.getElementById('loginError'),         // 登录错误提示
+            
+            // ========== 急停相关 ==========
+            estopIndicator: document.getElementById('estopIndicator'), // 急停锁定指示器
+            estopButton: document.getElementById('estopButton'),       // 急停按钮
+            
             // ========== 机器人状态相关 ==========
             batteryValue: document.getElementById('batteryValue'),     // 电量值
             speedValue: document.getElementById('speedValue'),         // 速度值
@@ -174,6 +195,25 @@ const DOM = {
         if (statusText) {
             statusText.textContent = connected ? '已连接' : '未连接';
         }
+    },
+    
+    /**
+     * 设置急停锁定状态的显示
+     * 锁定时显示指示器（悬停显示锁定人和原因），隐藏急停按钮
+     * @param {Object} estop - 急停状态 { engaged, engagedBy, reason }
+     */
+    setEstopStatus(estop) {
+        const { estopIndicator, estopButton } = this.elements;
+        
+        if (estopIndicator) {
+            estopIndicator.hidden = !estop.engaged;
+            estopIndicator.title = estop.engaged
+                ? `急停已锁定 (${estop.engagedBy}${estop.reason ? `: ${estop.reason}` : ''})，需管理员复位`
+                : '';
+        }
+        if (estopButton) {
+            estopButton.hidden = estop.engaged;
+        }
     }
 };
 
@@ -184,20 +224,90 @@ const DOM = {
 /**
  * 数据服务对象
  * 负责从后端获取数据并更新界面
- * 实现数据的定时刷新和自动更新
+ * 优先使用实时推送，推送不可用时定时轮询各接口
  */
 const DataService = {
     
+    // 轮询数据的定时器名称（不含系统时间）
+    pollingTimers: ['robot', 'sensors', 'stats', 'tasks', 'alerts'],
+    
     /**
      * 启动所有数据刷新任务
-     * 依次启动各个数据源的定时刷新
+     * 先启动轮询，推送连接可用后再停止轮询
      */
     startAll() {
         this.startTimeRefresh();           // 启动时间刷新
+        this.startPolling();               // 启动数据轮询
+        
+        // 启动实时推送
+        if (typeof PushService !== 'undefined') {
+            PushService.init({
+                onUpdate: (channel, data) => this.apply(channel, data),
+                onAlert: (alert) => this.applyAlert(alert),
+                onLiveChange: (live) => this.handleLiveChange(live)
+            });
+        }
+    },
+    
+    /**
+     * 启动数据轮询
+     */
+    startPolling() {
+        // 已在轮询时不重复启动
+        if (State.timers.robot) return;
+        
         this.startRobotStatusRefresh();     // 启动机器人状态刷新
         this.startSensorRefresh();          // 启动传感器数据刷新
         this.startStatisticsRefresh();      // 启动统计数据刷新
         this.startTasksRefresh();           // 启动任务列表刷新
+        this.startAlertsRefresh();          // 启动告警列表刷新
+    },
+    
+    /**
+     * 停止数据轮询（保留系统时间刷新）
+     */
+    stopPolling() {
+        this.pollingTimers.forEach((name) => {
+            clearInterval(State.timers[name]);
+            delete State.timers[name];
+        });
+    },
+    
+    /**
+     * 实时推送可用状态变化
+     * @param {boolean} live - 推送是否可用
+     */
+    handleLiveChange(live) {
+        if (live) {
+            this.stopPolling();
+            this.setConnected(true);
+            LogService.add('实时推送已连接');
+            
+            // 推送只带告警变化，连接后先同步一次当前告警
+            this.refreshAlerts();
+        } else {
+            LogService.add('实时推送已断开，切换为轮询', 'error');
+            this.startPolling();
+        }
+    },
+    
+    /**
+     * 处理推送的数据
+     * @param {string} channel - 数据通道 (status/sensors/tasks/statistics)
+     * @param {*} data - 最新数据
+     */
+    apply(channel, data) {
+        // 通道 -> 渲染函数
+        const renderers = {
+            status: this.renderRobotStatus,
+            sensors: this.renderSensors,
+            tasks: this.renderTasks,
+            statistics: this.renderStatistics
+        };
+        
+        if (renderers[channel]) {
+            renderers[channel].call(this, data);
+        }
     },
     
     /**
@@ -260,72 +370,84 @@ const DataService = {
     },
     
     /**
-     * 启动机器人状态数据刷新
-     * 每2秒刷新一次机器人状态（电量、速度、温度、坐标）
+     * 更新后端连接状态
+     * 状态变化时更新界面、写日志并通知告警服务
+     * @param {boolean} connected - 是否已连接
      */
-    startRobotStatusRefresh() {
-        // 定义成功时的处理函数
-        const onSuccess = (data) => {
-            // 更新状态对象中的机器人数据
-            State.robot = data;
-            
-            // 更新界面显示
-            DOM.setText('batteryValue', `${data.battery}%`);
-            DOM.setText('speedValue', `${data.speed} m/s`);
-            DOM.setText('temperatureValue', `${data.temperature}°C`);
-            DOM.setText('coordinatesValue', `N${data.coordinates.lat}° E${data.coordinates.lon}°`);
-            
-            // 如果之前未连接，现在连接成功了
-            if (!State.isConnected) {
-                State.isConnected = true;
-                DOM.setConnectionStatus(true);
-                LogService.add('已连接到后端服务');
-                
-                // 通知告警服务连接恢复
-                if (typeof AlertService !== 'undefined') {
-                    AlertService.checkConnection(true);
-                }
-            }
-            
-            // 检查告警（机器人数据）
-            if (typeof AlertService !== 'undefined') {
-                AlertService.check(data, State.sensors);
-            }
-            
-            // 更新图表（需要同时有机器人和传感器数据）
-            if (typeof ChartService !== 'undefined' && State.sensors.soilHumidity) {
-                ChartService.update(data, State.sensors);
-            }
-        };
+    setConnected(connected) {
+        if (State.isConnected === connected) return;
         
-        // 定义失败时的处理函数
-        const onFailure = () => {
-            // 如果之前已连接，现在连接失败了
-            if (State.isConnected) {
-                State.isConnected = false;
-                DOM.setConnectionStatus(false);
-                LogService.add('后端连接断开', 'error');
-                
-                // 通知告警服务连接断开
-                if (typeof AlertService !== 'undefined') {
-                    AlertService.checkConnection(false);
-                }
-            }
-        };
+        State.isConnected = connected;
+        DOM.setConnectionStatus(connected);
+        LogService.add(connected ? '已连接到后端服务' : '后端连接断开', connected ? 'info' : 'error');
+        
+        // 通知告警服务连接变化
+        if (typeof AlertService !== 'undefined') {
+            AlertService.checkConnection(connected);
+        }
+    },
+    
+    /**
+     * 渲染机器人状态（电量、速度、温度、坐标）
+     * @param {Object} data - 机器人状态
+     */
+    renderRobotStatus(data) {
+        // 更新状态对象中的机器人数据
+        State.robot = data;
+        
+        // 更新界面显示
+        DOM.setText('batteryValue', `${data.battery}%`);
+        DOM.setText('speedValue', `${data.speed} m/s`);
+        DOM.setText('temperatureValue', `${data.temperature}°C`);
+        DOM.setText('coordinatesValue', `N${data.coordinates.lat}° E${data.coordinates.lon}°`);
+        
+        // 急停状态（只有后端接口和急停变化时的推送带 estop 字段）
+        if (data.estop) {
+            this.setEstop(data.estop);
+        }
         
+        // 收到数据说明已连接
+        this.setConnected(true);
+        
+        // 更新图表（需要同时有机器人和传感器数据）
+        if (typeof ChartService !== 'undefined' && State.sensors.soilHumidity) {
+            ChartService.update(data, State.sensors);
+        }
+    },
+    
+    /**
+     * 更新急停状态，变化时写日志
+     * @param {Object} estop - 急停状态
+     */
+    setEstop(estop) {
+        const previous = State.estop;
+        State.estop = estop;
+        DOM.setEstopStatus(estop);
+        
+        // 页面打开时已锁定也提示一次；复位只在状态变化时提示
+        if (previous ? previous.engaged !== estop.engaged : estop.engaged) {
+            LogService.add(estop.engaged ? `急停已锁定 (${estop.engagedBy})` : `急停已复位 (${estop.resetBy})`,
+                estop.engaged ? 'error' : 'info');
+        }
+    },
+    
+    /**
+     * 启动机器人状态数据轮询
+     */
+    startRobotStatusRefresh() {
         // 定义刷新函数
         const refresh = async () => {
             try {
                 // 请求机器人状态数据
                 const result = await API.getRobotStatus();
                 
-                // 如果请求成功，执行成功回调
+                // 如果请求成功，渲染数据
                 if (result.success) {
-                    onSuccess(result.data);
+                    this.renderRobotStatus(result.data);
                 }
             } catch (error) {
-                // 如果请求失败，执行失败回调
-                onFailure();
+                // 如果请求失败，标记连接断开
+                this.setConnected(false);
             }
         };
         
@@ -337,76 +459,107 @@ const DataService = {
     },
     
     /**
-     * 启动传感器数据刷新
-     * 每3秒刷新一次传感器数据
+     * 渲染传感器数据
+     * @param {Object} data - 传感器数据
+     */
+    renderSensors(data) {
+        // 更新状态和界面
+        State.sensors = data;
+        DOM.setText('soilHumidityValue', `${data.soilHumidity}%`);
+        DOM.setText('soilTempValue', `${data.soilTemp}°C`);
+        DOM.setText('lightValue', `${data.light} Lux`);
+        DOM.setText('airHumidityValue', `${data.airHumidity}%`);
+    },
+    
+    /**
+     * 启动传感器数据轮询
      */
     startSensorRefresh() {
         // 使用通用刷新处理器
         State.timers.sensors = this.createRefreshHandler(
-            API.getSensorData,           // API方法
-            (data) => {                  // 成功回调
-                // 更新状态和界面
-                State.sensors = data;
-                DOM.setText('soilHumidityValue', `${data.soilHumidity}%`);
-                DOM.setText('soilTempValue', `${data.soilTemp}°C`);
-                DOM.setText('lightValue', `${data.light} Lux`);
-                DOM.setText('airHumidityValue', `${data.airHumidity}%`);
-                
-                // 检查告警（传感器数据）
-                if (typeof AlertService !== 'undefined') {
-                    AlertService.check(State.robot, data);
-                }
-                
-                // 更新告警计数显示
-                if (typeof AlertService !== 'undefined') {
-                    const count = AlertService.getActiveCount();
-                    const countEl = document.getElementById('alertCount');
-                    const badgeEl = document.querySelector('.alert-badge');
-                    if (countEl) countEl.textContent = count;
-                    if (badgeEl) badgeEl.textContent = count;
-                }
-            },
-            '传感器数据获取失败',       // 错误消息
-            API_CONFIG.REFRESH_INTERVAL.SENSORS  // 刷新间隔
+            API.getSensorData,                      // API方法
+            (data) => this.renderSensors(data),     // 成功回调
+            '传感器数据获取失败',                   // 错误消息
+            API_CONFIG.REFRESH_INTERVAL.SENSORS     // 刷新间隔
         );
     },
     
     /**
-     * 启动统计数据刷新
-     * 每10秒刷新一次作业统计数据
+     * 渲染作业统计数据
+     * @param {Object} data - 统计数据
+     */
+    renderStatistics(data) {
+        // 更新状态和界面
+        State.statistics = data;
+        DOM.setText('completedArea', data.completedArea);
+        DOM.setText('totalArea', data.totalArea);
+        DOM.setText('progressPercent', `${data.progress}%`);
+    },
+    
+    /**
+     * 处理推送的告警变化（告警由后端评估）
+     * @param {Object} alert - 告警对象
+     */
+    applyAlert(alert) {
+        if (typeof AlertService !== 'undefined') {
+            AlertService.apply(alert);
+        }
+    },
+    
+    /**
+     * 同步一次后端的未恢复告警
+     */
+    async refreshAlerts() {
+        if (typeof AlertService === 'undefined') return;
+        
+        try {
+            const result = await API.getAlerts();
+            if (result.success) {
+                AlertService.sync(result.data);
+            }
+        } catch (error) {
+            console.error('[Data] 告警列表获取失败');
+        }
+    },
+    
+    /**
+     * 启动告警列表轮询
+     */
+    startAlertsRefresh() {
+        if (typeof AlertService === 'undefined') return;
+        
+        // 使用通用刷新处理器
+        State.timers.alerts = this.createRefreshHandler(
+            API.getAlerts,                               // API方法
+            (data) => AlertService.sync(data),           // 成功回调
+            '告警列表获取失败',                          // 错误消息
+            API_CONFIG.REFRESH_INTERVAL.ALERTS           // 刷新间隔
+        );
+    },
+    
+    /**
+     * 启动统计数据轮询
      */
     startStatisticsRefresh() {
         // 使用通用刷新处理器
         State.timers.stats = this.createRefreshHandler(
-            API.getStatistics,            // API方法
-            (data) => {                   // 成功回调
-                // 更新状态和界面
-                State.statistics = data;
-                DOM.setText('completedArea', data.completedArea);
-                DOM.setText('totalArea', data.totalArea);
-                DOM.setText('progressPercent', `${data.progress}%`);
-            },
-            '统计数据获取失败',          // 错误消息
-            API_CONFIG.REFRESH_INTERVAL.STATISTICS  // 刷新间隔
+            API.getStatistics,                        // API方法
+            (data) => this.renderStatistics(data),    // 成功回调
+            '统计数据获取失败',                       // 错误消息
+            API_CONFIG.REFRESH_INTERVAL.STATISTICS    // 刷新间隔
         );
     },
     
     /**
-     * 启动任务列表刷新
-     * 每5秒刷新一次任务列表
+     * 启动任务列表轮询
      */
     startTasksRefresh() {
         // 使用通用刷新处理器
         State.timers.tasks = this.createRefreshHandler(
-            API.getTasks,                // API方法
-            (data) => {                  // 成功回调
-                // 更新状态
-                State.tasks = data;
-                // 渲染任务列表到界面
-                this.renderTasks(data);
-            },
-            '任务列表获取失败',          // 错误消息
-            API_CONFIG.REFRESH_INTERVAL.TASKS  // 刷新间隔
+            API.getTasks,                        // API方法
+            (data) => this.renderTasks(data),    // 成功回调
+            '任务列表获取失败',                  // 错误消息
+            API_CONFIG.REFRESH_INTERVAL.TASKS    // 刷新间隔
         );
     },
     
@@ -415,6 +568,9 @@ const DataService = {
      * @param {Array} tasks - 任务数组
      */
     renderTasks(tasks) {
+        // 更新状态
+        State.tasks = tasks;
+        
         // 获取任务列表容器元素
         const { taskList } = DOM.elements;
         if (!taskList) return;
@@ -423,16 +579,27 @@ const DataService = {
         const statusMap = { 
             active: 'active', 
             pending: 'pending', 
-            done: 'done' 
+            paused: 'paused', 
+            done: 'done', 
+            failed: 'failed', 
+            cancelled: 'cancelled' 
         };
         
         // 状态文字映射表：状态代码 -> 中文描述
         const statusTextMap = { 
             active: '进行中', 
             pending: '等待中', 
-            done: '已完成' 
+            paused: '已暂停', 
+            done: '已完成', 
+            failed: '失败', 
+            cancelled: '已取消' 
         };
         
+        // 计划任务显示下一次执行时间
+        const nextRunText = task => task.nextRunAt
+            ? ` - 下次 ${new Date(task.nextRunAt).toLocaleString('zh-CN', { month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', hour12: false })}`
+            : '';
+        
         // 使用map将任务数组转换为HTML字符串
         // 每个任务渲染为一个列表项
         taskList.innerHTML = tasks.map(task => `
@@ -440,7 +607,7 @@ const DataService = {
                 <span class="task-list__dot task-list__dot--${statusMap[task.status]}"></span>
                 <div class="task-list__info">
                     <span class="task-list__name">${task.name}</span>
-                    <span class="task-list__progress">${statusTextMap[task.status]}${task.progress ? ` - ${task.progress}%` : ''}</span>
+                    <span class="task-list__progress">${statusTextMap[task.status]}${task.progress ? ` - ${task.progress}%` : ''}${nextRunText(task)}</span>
                 </div>
             </li>
         `).join('');  // 将数组拼接为字符串
@@ -451,6 +618,11 @@ const DataService = {
      * 清除所有定时器，停止数据刷新
      */
     stopAll() {
+        // 关闭实时推送
+        if (typeof PushService !== 'undefined') {
+            PushService.destroy();
+        }
+        
         // 遍历所有定时器ID，逐个清除
         Object.values(State.timers).forEach(t => clearInterval(t));
         
@@ -468,42 +640,147 @@ const DataService = {
  * 负责处理用户的控制指令并发送到后端
  */
 const ControlService = {
+    // 当前按住的方向 (forward/backward/left/right)，未按住时为null
+    held: null,
+    
+    // 当前运动租约ID，按住期间定时心跳续约
+    leaseId: null,
+    
+    // 心跳定时器
+    heartbeatTimer: null,
+    
+    /**
+     * 判断是否可以通过推送连接发送指令
+     * @returns {boolean} 推送连接是否已建立
+     */
+    canUsePush() {
+        return typeof PushService !== 'undefined' && PushService.isOpen();
+    },
     
     /**
      * 发送移动方向控制指令
      * @param {string} direction - 方向指令 (forward/backward/left/right/stop)
+     * @param {Object} options - { lease: true } 带运动租约
+     * @returns {Promise<Object|null>} 执行结果，发送失败时返回null
      */
-    async move(direction) {
+    async move(direction, options = {}) {
         try {
-            // 调用API发送控制指令
-            const result = await API.sendControlCommand(direction);
+            // 推送连接可用时通过WebSocket发送，否则调用HTTP接口
+            const result = this.canUsePush()
+                ? await PushService.control({ command: direction, ...options })
+                : await API.sendControlCommand(direction, options);
             
-            // 如果指令发送成功，在日志中显示
+            // 如果指令发送成功，在日志中显示；被拒绝（如急停锁定）时显示原因
             if (result.success) {
                 LogService.add(result.message);
+            } else {
+                LogService.add(result.message, 'error');
             }
+            return result;
         } catch (error) {
             // 如果指令发送失败，在日志中显示错误
-            LogService.add('指令发送失败', 'error');
+            LogService.add(`指令发送失败: ${error.message}`, 'error');
+            return null;
+        }
+    },
+    
+    /**
+     * 按下方向键: 带租约发送运动指令，按住期间定时心跳
+     * @param {string} direction - 方向指令 (forward/backward/left/right)
+     */
+    async press(direction) {
+        if (this.held === direction) return;
+        this.held = direction;
+        this.stopHeartbeat();
+        
+        const result = await this.move(direction, { lease: true });
+        
+        // 收到结果前已经松开（已发送stop）或换了方向时不再续约
+        if (this.held !== direction || !result || !result.lease) return;
+        
+        this.leaseId = result.lease.id;
+        this.heartbeatTimer = setInterval(() => this.heartbeat(), API_CONFIG.TELEOP.HEARTBEAT_INTERVAL);
+    },
+    
+    /**
+     * 松开方向键: 停止心跳并发送停止指令
+     * @param {string} direction - 松开的方向，与当前按住的方向不同时忽略
+     */
+    release(direction) {
+        if (!this.held || (direction && this.held !== direction)) return;
+        
+        this.held = null;
+        this.stopHeartbeat();
+        this.move('stop');
+    },
+    
+    /**
+     * 发送一次运动租约心跳
+     * 租约失效（服务器已因心跳超时自动停车）时停止心跳
+     */
+    async heartbeat() {
+        const leaseId = this.leaseId;
+        
+        try {
+            if (this.canUsePush()) {
+                await PushService.heartbeat(leaseId);
+            } else {
+                await API.sendHeartbeat(leaseId);
+            }
+        } catch (error) {
+            if (this.leaseId !== leaseId) return;
+            
+            this.held = null;
+            this.stopHeartbeat();
+            LogService.add(`运动租约已失效，机器人已停止: ${error.message}`, 'error');
         }
     },
     
+    /**
+     * 停止心跳定时器
+     */
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.leaseId = null;
+    },
+    
     /**
      * 执行作业操作
      * @param {string} action - 操作代码 (irrigation/fertilize/scan/harvest)
      */
     async executeAction(action) {
         try {
-            // 调用API执行作业操作
-            const result = await API.executeAction(action);
+            // 推送连接可用时通过WebSocket发送，否则调用HTTP接口
+            const result = this.canUsePush()
+                ? await PushService.control({ action })
+                : await API.executeAction(action);
             
-            // 如果操作执行成功，在日志中显示
+            // 如果操作执行成功，在日志中显示；被拒绝（如急停锁定）时显示原因
             if (result.success) {
                 LogService.add(result.message);
+            } else {
+                LogService.add(result.message, 'error');
             }
         } catch (error) {
             // 如果操作执行失败，在日志中显示错误
-            LogService.add('操作执行失败', 'error');
+            LogService.add(`操作执行失败: ${error.message}`, 'error');
+        }
+    },
+    
+    /**
+     * 急停
+     * 总是通过HTTP接口发送，锁定状态随返回结果立即显示
+     */
+    async emergencyStop() {
+        try {
+            const result = await API.emergencyStop();
+            
+            if (result.success) {
+                DataService.setEstop(result.data.estop);
+            }
+        } catch (error) {
+            LogService.add(`急停发送失败: ${error.message}`, 'error');
         }
     }
 };
@@ -564,6 +841,171 @@ const LogService = {
     }
 };
 
+/* ==========================================================================
+   登录服务模块 (Auth Service)
+   ========================================================================== */
+
+/**
+ * 登录服务对象
+ * 负责登录框的显示、登录和退出登录
+ * 令牌保存在 localStorage，请求时由 API.request 自动附加；任何请求返回401时重新显示登录框
+ */
+const AuthService = {
+    // 角色显示名称，与后端 data/auth.js 的 ROLES 一致
+    roleNames: {
+        viewer: '查看者',
+        operator: '操作员',
+        admin: '管理员'
+    },
+    
+    /**
+     * 初始化登录服务
+     * 已保存的令牌仍然有效时直接进入控制台，否则显示登录框
+     * @param {Function} onLogin - 登录成功（或后端关闭认证）后的回调
+     */
+    async init(onLogin) {
+        this.onLogin = onLogin;
+        const { loginForm, logoutButton } = DOM.elements;
+        
+        if (loginForm) {
+            loginForm.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.submit();
+            });
+        }
+        
+        if (logoutButton) {
+            logoutButton.addEventListener('click', () => this.logout());
+        }
+        
+        // 令牌过期、被停用等情况下，任意请求返回401时重新登录
+        window.addEventListener('auth:required', (e) => this.expire(e.detail.message));
+        
+        try {
+            const result = await API.getCurrentUser();
+            this.enter(result.data);
+        } catch (error) {
+            // 401 已由 auth:required 事件处理，其他错误（后端未启动等）同样先显示登录框
+            if (error.status !== 401) this.showLogin();
+        }
+    },
+    
+    /**
+     * 提交登录表单
+     */
+    async submit() {
+        const { loginUsername, loginPassword, loginForm } = DOM.elements;
+        const button = loginForm.querySelector('button[type="submit"]');
+        
+        button.disabled = true;
+        this.setError('');
+        
+        try {
+            const result = await API.login(loginUsername.value.trim(), loginPassword.value);
+            loginPassword.value = '';
+            this.enter(result.data.user);
+        } catch (error) {
+            this.setError(error.message);
+        } finally {
+            button.disabled = false;
+        }
+    },
+    
+    /**
+     * 进入控制台 - 隐藏登录框，显示当前用户，启动数据刷新
+     * @param {Object|null} user - 当前用户，后端关闭认证时为 null
+     */
+    enter(user) {
+        State.user = user;
+        this.hideLogin();
+        this.renderUser();
+        
+        if (user) {
+            LogService.add(`${user.username} 已登录 (${this.roleNames[user.role] || user.role})`);
+        }
+        
+        this.onLogin();
+    },
+    
+    /**
+     * 退出登录 - 停止数据刷新并显示登录框
+     */
+    logout() {
+        API.logout();
+        this.leave();
+        this.showLogin();
+    },
+    
+    /**
+     * 令牌失效 - 停止数据刷新，显示登录框和原因
+     * @param {string} message - 后端返回的原因
+     */
+    expire(message) {
+        // 已经在登录框中（如多个轮询请求同时返回401）时不重复处理
+        if (!DOM.elements.loginOverlay || !DOM.elements.loginOverlay.hidden) return;
+        
+        // 打开页面时尚未登录，不显示原因
+        const expired = State.user !== null;
+        this.leave();
+        this.showLogin(expired ? `${message}，请重新登录` : '');
+    },
+    
+    /**
+     * 离开控制台 - 停止运动、数据刷新，清除当前用户
+     */
+    leave() {
+        ControlService.stopHeartbeat();
+        DataService.stopAll();
+        State.user = null;
+        this.renderUser();
+    },
+    
+    /**
+     * 显示当前用户
+     */
+    renderUser() {
+        const { userInfo } = DOM.elements;
+        if (!userInfo) return;
+        
+        userInfo.hidden = !State.user;
+        if (State.user) {
+            DOM.setText('userName', `${State.user.username} (${this.roleNames[State.user.role] || State.user.role})`);
+        }
+    },
+    
+    /**
+     * 显示登录框
+     * @param {string} message - 提示信息（可选）
+     */
+    showLogin(message = '') {
+        const { loginOverlay, loginUsername } = DOM.elements;
+        if (!loginOverlay) return;
+        
+        loginOverlay.hidden = false;
+        this.setError(message);
+        if (loginUsername) loginUsername.focus();
+    },
+    
+    /**
+     * 隐藏登录框
+     */
+    hideLogin() {
+        if (DOM.elements.loginOverlay) DOM.elements.loginOverlay.hidden = true;
+    },
+    
+    /**
+     * 设置登录框的错误提示
+     * @param {string} message - 错误信息，为空时隐藏
+     */
+    setError(message) {
+        const { loginError } = DOM.elements;
+        if (!loginError) return;
+        
+        loginError.hidden = !message;
+        loginError.textContent = message;
+    }
+};
+
 /* ==========================================================================
    事件服务模块 (Event Service)
    ========================================================================== */
@@ -597,16 +1039,19 @@ const EventService = {
     },
     
     /**
-     * 处理方向控制按钮点击事件
-     * @param {HTMLElement} btn - 被点击的按钮元素
+     * 处理方向控制按钮按下事件
+     * 方向按钮按住期间运动，停止按钮直接发送停止指令
+     * @param {HTMLElement} btn - 被按下的按钮元素
      */
     handleDirectionButton(btn) {
         // 从按钮的data属性中获取方向指令
         const direction = btn.dataset.direction;
         
-        // 如果方向指令存在，发送控制指令
-        if (direction) {
-            ControlService.move(direction);
+        if (direction === 'stop') {
+            ControlService.release();
+            ControlService.move('stop');
+        } else if (direction) {
+            ControlService.press(direction);
         }
     },
     
@@ -629,6 +1074,9 @@ const EventService = {
      * @param {KeyboardEvent} e - 键盘事件对象
      */
     handleKeyDown(e) {
+        // 输入框（如登录框）中的按键不作为遥控指令
+        if (e.target instanceof HTMLInputElement) return;
+        
         // 根据按键查找对应的方向指令
         const dir = this.keyMap[e.key];
         
@@ -639,8 +1087,29 @@ const EventService = {
                 e.preventDefault();
             }
             
-            // 发送控制指令
-            ControlService.move(dir);
+            // 按住时的自动重复不重复发送
+            if (e.repeat) return;
+            
+            // 停止键直接停止，方向键按住期间运动
+            if (dir === 'stop') {
+                ControlService.release();
+                ControlService.move('stop');
+            } else {
+                ControlService.press(dir);
+            }
+        }
+    },
+    
+    /**
+     * 处理键盘松开事件
+     * 松开当前按住的方向键时停止
+     * @param {KeyboardEvent} e - 键盘事件对象
+     */
+    handleKeyUp(e) {
+        const dir = this.keyMap[e.key];
+        
+        if (dir && dir !== 'stop') {
+            ControlService.release(dir);
         }
     },
     
@@ -649,9 +1118,12 @@ const EventService = {
      * 绑定所有按钮和键盘事件
      */
     init() {
-        // 为所有方向控制按钮绑定点击事件
+        // 为所有方向控制按钮绑定按下/松开事件（按住运动，松开停止）
         DOM.elements.directionButtons.forEach(btn => {
-            btn.addEventListener('click', () => this.handleDirectionButton(btn));
+            btn.addEventListener('pointerdown', () => this.handleDirectionButton(btn));
+            ['pointerup', 'pointerleave', 'pointercancel'].forEach(type => {
+                btn.addEventListener(type, () => ControlService.release(btn.dataset.direction));
+            });
         });
         
         // 为所有作业控制按钮绑定点击事件
@@ -659,8 +1131,17 @@ const EventService = {
             btn.addEventListener('click', () => this.handleActionButton(btn));
         });
         
-        // 为文档绑定键盘按下事件
+        // 急停按钮
+        if (DOM.elements.estopButton) {
+            DOM.elements.estopButton.addEventListener('click', () => ControlService.emergencyStop());
+        }
+        
+        // 为文档绑定键盘按下/松开事件
         document.addEventListener('keydown', (e) => this.handleKeyDown(e));
+        document.addEventListener('keyup', (e) => this.handleKeyUp(e));
+        
+        // 窗口失去焦点时收不到松开事件，直接停止
+        window.addEventListener('blur', () => ControlService.release());
     }
 };
 
@@ -710,13 +1191,15 @@ const App = {
                 console.log('✅ 视频服务初始化完成');
             }
             
-            // 启动所有数据刷新任务
-            DataService.startAll();
-            console.log('✅ 数据服务启动完成');
-            
             // 在日志中显示启动成功消息
             LogService.add('系统启动成功');
             console.log('✅ 前端启动完成');
+            
+            // 登录后启动所有数据刷新任务（令牌有效时直接启动）
+            AuthService.init(() => {
+                DataService.startAll();
+                console.log('✅ 数据服务启动完成');
+            });
         } catch (error) {
             // 如果初始化过程中发生错误，在控制台输出错误信息
             console.error('❌ 初始化失败:', error);
@@ -731,6 +1214,9 @@ const App = {
         // 停止所有数据刷新
         DataService.stopAll();
         
+        // 停止运动租约心跳，服务器会在租约过期后自动停车
+        ControlService.stopHeartbeat();
+        
         // 销毁图表
         if (typeof ChartService !== 'undefined') {
             ChartService.destroy();
@@ -772,6 +1258,8 @@ window.RobotApp = {
     DataService,     // 数据服务
     ControlService,  // 控制服务
     LogService,      // 日志服务
+    AuthService,     // 登录服务
+    PushService: typeof PushService !== 'undefined' ? PushService : null,
     ChartService: typeof ChartService !== 'undefined' ? ChartService : null,
     AlertService: typeof AlertService !== 'undefined' ? AlertService : null,
     VideoService: typeof VideoService !== 'undefined' ? VideoService : null
@@ -9,9 +9,12 @@
  * 
  * 配置说明:
  * - BASE_URL: 后端API的基础URL地址
- * - WS_URL: WebSocket连接地址（预留，暂未使用）
+ * - WS_URL: WebSocket实时推送地址
  * - ENDPOINTS: 所有API端点的路径映射
  * - REFRESH_INTERVAL: 各类数据的自动刷新间隔（毫秒）
+ * - PUSH: 实时推送的配置参数
+ * - AUTH: 登录令牌的配置参数
+ * - TELEOP: 遥控运动租约（死人开关）的配置参数
  * - REQUEST: HTTP请求的配置参数
  * 
  * 文件路径: frontend/js/config.js
@@ -35,7 +38,9 @@ const API_CONFIG = {
     
     /**
      * WebSocket服务器地址
-     * 用于实时数据推送（预留接口，当前版本未使用）
+     * 用于实时数据推送和发送控制指令，协议见 backend/realtime/wsServer.js
+     * 推送可用时前端停止轮询，连接断开时自动恢复轮询
+     * 连接时自动附加登录令牌 (?token=)
      * 
      * 说明: 
      * - ws:// 表示非加密WebSocket连接
@@ -53,6 +58,24 @@ const API_CONFIG = {
      * 使用时与BASE_URL拼接得到完整URL
      */
     ENDPOINTS: {
+        // ========== 登录认证端点 ==========
+        
+        /**
+         * 登录
+         * 方法: POST
+         * 完整URL: BASE_URL + '/api/auth/login'
+         * 返回令牌，之后的请求放在 Authorization: Bearer <token> 请求头中
+         */
+        AUTH_LOGIN: '/api/auth/login',
+        
+        /**
+         * 查询当前用户
+         * 方法: GET
+         * 完整URL: BASE_URL + '/api/auth/me'
+         * 令牌无效或已过期时返回401；后端关闭认证时 data 为 null
+         */
+        AUTH_ME: '/api/auth/me',
+        
         // ========== 机器人相关端点 ==========
         
         /**
@@ -70,6 +93,22 @@ const API_CONFIG = {
          */
         ROBOT_CONTROL: '/api/robot/control',
         
+        /**
+         * 运动租约心跳
+         * 方法: POST
+         * 完整URL: BASE_URL + '/api/robot/control/heartbeat'
+         * 按住方向键期间持续续约，停止续约后服务器自动停车
+         */
+        ROBOT_CONTROL_HEARTBEAT: '/api/robot/control/heartbeat',
+        
+        /**
+         * 急停
+         * 方法: POST
+         * 完整URL: BASE_URL + '/api/robot/estop'
+         * 锁定急停，复位需管理员调用 /api/robot/estop/reset
+         */
+        ROBOT_ESTOP: '/api/robot/estop',
+        
         // ========== 传感器相关端点 ==========
         
         /**
@@ -98,6 +137,17 @@ const API_CONFIG = {
          */
         STATISTICS: '/api/statistics',
         
+        // ========== 告警相关端点 ==========
+        
+        /**
+         * 获取未恢复的告警
+         * 方法: GET
+         * 完整URL: BASE_URL + '/api/alerts'
+         * 告警由后端按遥测数据评估（电量、温度、土壤湿度、光照）和电子围栏越界产生
+         * 确认告警: POST BASE_URL + '/api/alerts/:id/ack'（需要操作员）
+         */
+        ALERTS: '/api/alerts',
+        
         // ========== 系统相关端点 ==========
         
         /**
@@ -144,7 +194,67 @@ const API_CONFIG = {
          * 500ms = 0.5秒刷新一次
          * 原因: 实时监控需要高频率刷新
          */
-        STATISTICS: 500
+        STATISTICS: 500,
+        
+        /**
+         * 告警列表刷新间隔
+         * 2000ms = 2秒刷新一次
+         * 原因: 告警由后端评估，推送可用时实时收到变化，轮询只在推送断开时使用
+         */
+        ALERTS: 2000
+    },
+    
+    // ============================================================
+    // ⚡ 实时推送配置
+    // ============================================================
+    
+    /**
+     * WebSocket实时推送的配置参数
+     */
+    PUSH: {
+        /**
+         * 是否启用实时推送
+         * false = 只使用定时轮询
+         */
+        ENABLED: true,
+        
+        /**
+         * 断线重连间隔（单位: 毫秒）
+         * 5000ms = 断开5秒后重新连接
+         */
+        RECONNECT_INTERVAL: 5000
+    },
+    
+    // ============================================================
+    // 🔐 登录配置
+    // ============================================================
+    
+    /**
+     * 登录令牌的配置参数
+     */
+    AUTH: {
+        /**
+         * 令牌在 localStorage 中的键名
+         * 刷新页面后无需重新登录，令牌过期或退出登录时清除
+         */
+        TOKEN_KEY: 'agri-robot-token'
+    },
+    
+    // ============================================================
+    // 🕹️ 遥控配置
+    // ============================================================
+    
+    /**
+     * 遥控运动租约的配置参数
+     * 按住方向按钮/按键期间机器人运动，松开即停；心跳中断时服务器自动停车
+     */
+    TELEOP: {
+        /**
+         * 心跳间隔（单位: 毫秒）
+         * 500ms = 每0.5秒续约一次
+         * 应明显小于后端租约时长 (config.teleop.leaseTimeout，默认1500ms)
+         */
+        HEARTBEAT_INTERVAL: 500
     },
     
     // ============================================================
@@ -0,0 +1,240 @@
+/**
+ * 实时推送模块
+ *
+ * 功能描述:
+ * - 连接后端WebSocket推送服务 (API_CONFIG.WS_URL)
+ * - 订阅默认机器人的状态、传感器、任务、统计通道，数据变更时立即回调
+ * - 接收后端告警变化（触发、确认、恢复），交给告警服务显示
+ * - 通过同一连接发送控制指令和运动租约心跳，按请求ID对应返回结果
+ * - 连接断开后自动重连，断开期间由DataService轮询接口
+ * - 连接地址附加登录令牌 (?token=)，令牌无效时服务器拒绝握手
+ *
+ * 使用方式:
+ * PushService.init({
+ *     onUpdate: (channel, data) => {...},   // 收到数据变更
+ *     onAlert: (alert) => {...},            // 收到告警变化
+ *     onLiveChange: (live) => {...}         // 推送可用状态变化
+ * });
+ * await PushService.control({ command: 'forward' });
+ * await PushService.heartbeat(leaseId);
+ *
+ * 文件路径: frontend/js/push.js
+ */
+
+'use strict';
+
+// ============================================================
+// 推送服务模块
+// ============================================================
+
+const PushService = {
+    // WebSocket连接
+    socket: null,
+
+    // 推送是否可用（已连接且后端数据源会主动推送）
+    live: false,
+
+    // 回调函数
+    callbacks: {
+        onUpdate: () => {},
+        onAlert: () => {},
+        onLiveChange: () => {}
+    },
+
+    // 等待回复的控制请求: id -> { resolve, reject, timer }
+    pending: new Map(),
+
+    // 请求ID计数器
+    nextId: 1,
+
+    // 重连定时器
+    reconnectTimer: null,
+
+    /**
+     * 初始化推送服务
+     * @param {Object} callbacks - { onUpdate(channel, data), onAlert(alert), onLiveChange(live) }
+     */
+    init(callbacks) {
+        if (!API_CONFIG.PUSH.ENABLED || typeof WebSocket === 'undefined') {
+            console.log('[Push] 实时推送未启用，使用轮询');
+            return;
+        }
+
+        this.callbacks = { ...this.callbacks, ...callbacks };
+        this.connect();
+    },
+
+    /**
+     * 建立WebSocket连接
+     */
+    connect() {
+        // 浏览器的 WebSocket 不能设置请求头，令牌通过查询参数传递
+        const token = API.getToken();
+        const url = token ? `${API_CONFIG.WS_URL}?token=${encodeURIComponent(token)}` : API_CONFIG.WS_URL;
+
+        this.socket = new WebSocket(url);
+
+        this.socket.addEventListener('message', (e) => this.handleMessage(e.data));
+
+        this.socket.addEventListener('close', () => {
+            this.setLive(false);
+            this.rejectPending('推送连接已断开');
+
+            // 未被主动关闭时定时重连
+            if (this.socket) {
+                this.reconnectTimer = setTimeout(() => this.connect(), API_CONFIG.PUSH.RECONNECT_INTERVAL);
+            }
+        });
+    },
+
+    /**
+     * 处理服务器消息
+     * @param {string} raw - 原始消息
+     */
+    handleMessage(raw) {
+        let message;
+        try {
+            message = JSON.parse(raw);
+        } catch {
+            return;
+        }
+
+        switch (message.type) {
+            case 'welcome':
+                // 订阅默认机器人的全部通道，服务器会先推送一次当前数据
+                this.send({ type: 'subscribe', channels: message.channels });
+                // 数据源不主动推送时（HTTP网关、数据库）仍需轮询
+                this.setLive(message.pushUpdates);
+                break;
+            case 'update':
+                this.callbacks.onUpdate(message.channel, message.data);
+                break;
+            case 'alert':
+                this.callbacks.onAlert(message.data);
+                break;
+            case 'reply':
+                this.resolvePending(message);
+                break;
+            case 'error':
+                console.error('[Push] 服务器错误:', message.message);
+                break;
+        }
+    },
+
+    /**
+     * 更新推送可用状态
+     * @param {boolean} live - 是否可用
+     */
+    setLive(live) {
+        if (this.live === live) return;
+        this.live = live;
+        this.callbacks.onLiveChange(live);
+    },
+
+    /**
+     * 发送消息
+     * @param {Object} message - 消息内容
+     */
+    send(message) {
+        this.socket.send(JSON.stringify(message));
+    },
+
+    /**
+     * 判断连接是否可用于发送指令
+     * @returns {boolean} 是否已连接
+     */
+    isOpen() {
+        return this.socket !== null && this.socket.readyState === WebSocket.OPEN;
+    },
+
+    /**
+     * 通过推送连接发送控制指令
+     * @param {Object} payload - { command, lease? } 或 { action }
+     * @returns {Promise<Object>} 与 /api/robot/control 相同格式的结果
+     */
+    control(payload) {
+        return this.call('control', payload);
+    },
+
+    /**
+     * 通过推送连接发送运动租约心跳
+     * @param {string} leaseId - 租约ID
+     * @returns {Promise<Object>} { lease }，租约已过期时失败
+     */
+    heartbeat(leaseId) {
+        return this.call('heartbeat', { leaseId });
+    },
+
+    /**
+     * 发送请求消息，等待同ID的 reply
+     * @param {string} type - 消息类型 control | heartbeat
+     * @param {Object} payload - 消息内容
+     * @returns {Promise<Object>} reply 消息
+     */
+    call(type, payload) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+
+            // 超时未收到回复视为失败
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error('请求超时'));
+            }, API_CONFIG.REQUEST.TIMEOUT);
+
+            this.pending.set(id, { resolve, reject, timer });
+            this.send({ type, id, ...payload });
+        });
+    },
+
+    /**
+     * 按ID找到对应的控制请求并返回结果
+     * @param {Object} message - reply 消息
+     */
+    resolvePending(message) {
+        const request = this.pending.get(message.id);
+        if (!request) return;
+
+        clearTimeout(request.timer);
+        this.pending.delete(message.id);
+
+        if (message.success) {
+            request.resolve(message);
+        } else {
+            request.reject(new Error(message.message));
+        }
+    },
+
+    /**
+     * 连接断开时，让所有等待中的请求失败
+     * @param {string} reason - 失败原因
+     */
+    rejectPending(reason) {
+        this.pending.forEach(({ reject, timer }) => {
+            clearTimeout(timer);
+            reject(new Error(reason));
+        });
+        this.pending.clear();
+    },
+
+    /**
+     * 关闭推送服务
+     */
+    destroy() {
+        clearTimeout(this.reconnectTimer);
+
+        // 主动关闭不通知推送断开，避免退出登录后恢复轮询
+        this.live = false;
+
+        if (this.socket) {
+            const socket = this.socket;
+            this.socket = null;     // 先置空，close 事件中不再重连
+            socket.close();
+        }
+    }
+};
+
+// ============================================================
+// 全局导出
+// ============================================================
+
+window.PushService = PushService;